@@ -18,6 +18,8 @@
  * - Request cancellation via AbortController
  * - Progress callbacks for UI updates
  * - Comprehensive error classification and handling
+ * - Record/replay transport: record real responses to a scrubbed fixture
+ *   bundle, then replay them offline with latency and injected failures
  *
  * Integration:
  * - Requires ally-config.js to be loaded first
@@ -35,6 +37,14 @@
  * @example
  * // Test connection
  * const isConnected = await ALLY_API_CLIENT.testConnection();
+ *
+ * @example
+ * // Record a session, then replay it offline with a failure injected
+ * ALLY_API_CLIENT.setTransportMode("record");
+ * // ... run reports as normal ...
+ * const bundle = ALLY_API_CLIENT.exportRecording();
+ * ALLY_API_CLIENT.setTransportMode("replay", { fixtures: bundle, latencyMs: 300 });
+ * ALLY_API_CLIENT.injectFailure({ status: 502, times: 2 });
  */
 
 const ALLY_API_CLIENT = (function () {
@@ -135,6 +145,20 @@ const ALLY_API_CLIENT = (function () {
   /** @type {Object|null} Classified error from the last failed testConnection */
   let _lastError = null;
 
+  /**
+   * Record/replay transport state. In "live" mode everything below is unused.
+   * @type {Object}
+   */
+  let _transport = {
+    mode: "live",
+    recording: null,
+    fixtures: null,
+    cursors: {},
+    latencyMs: 0,
+    pollDelayMs: null,
+    failures: [],
+  };
+
   // ========================================================================
   // Error Type Constants
   // ========================================================================
@@ -171,6 +195,37 @@ const ALLY_API_CLIENT = (function () {
    */
   const ENTRA_SCOPE_NAME = "foundry";
 
+  // ========================================================================
+  // Record / Replay Constants
+  // ========================================================================
+
+  /**
+   * Transport modes. LIVE is the normal behaviour; RECORD is LIVE plus a copy
+   * of every response; REPLAY never touches the network.
+   * @type {Object.<string, string>}
+   */
+  const TRANSPORT_MODES = {
+    LIVE: "live",
+    RECORD: "record",
+    REPLAY: "replay",
+  };
+
+  /** @type {string} Fixture bundle format identifier */
+  const FIXTURE_FORMAT = "ally-api-fixtures";
+
+  /** @type {number} Fixture bundle format version */
+  const FIXTURE_VERSION = 1;
+
+  /**
+   * Body keys whose values are never written to a fixture bundle.
+   * @type {RegExp}
+   */
+  const SCRUB_KEY_PATTERN =
+    /token|authori[sz]ation|secret|password|api[-_]?key|cookie/i;
+
+  /** @type {string} Replacement for scrubbed values */
+  const SCRUBBED = "[scrubbed]";
+
   // ========================================================================
   // Private Helper Functions
   // ========================================================================
@@ -196,7 +251,7 @@ const ALLY_API_CLIENT = (function () {
   /**
    * Reports whether the last request went over the WORKER transport.
    *
-   * makeRequest() returns early under a truthy _token (direct GET to Ally), so
+   * makeLiveRequest() returns early under a truthy _token (direct GET to Ally), so
    * the worker POST is reached only when no token is held. This is the same
    * determination executeQuery() already makes for its debug panel, and it
    * needs no response body: we distinguish failures by status code plus the
@@ -205,6 +260,10 @@ const ALLY_API_CLIENT = (function () {
    * @returns {boolean} True when the worker transport carried the request
    */
   function isWorkerTransport() {
+    // Replayed failures are classified as the recorded transport saw them
+    if (_transport.mode === TRANSPORT_MODES.REPLAY && _transport.fixtures) {
+      return _transport.fixtures.transport === "worker";
+    }
     return !_token;
   }
 
@@ -507,7 +566,7 @@ const ALLY_API_CLIENT = (function () {
    * @param {AbortSignal} signal - Abort signal for cancellation
    * @returns {Promise<Response>} Fetch response
    */
-  async function makeRequest(requestSpec, signal) {
+  async function makeLiveRequest(requestSpec, signal) {
     if (_token) {
       logDebug("Making direct request to:", requestSpec.url);
 
@@ -622,6 +681,279 @@ const ALLY_API_CLIENT = (function () {
     });
   }
 
+  // ========================================================================
+  // Record / Replay Transport
+  // ========================================================================
+
+  /**
+   * Polling delays shrink to pollDelayMs when replaying, if it is set, so
+   * replayed warm-up sequences need not take real-world time.
+   * @param {number} ms - Configured delay
+   * @returns {number} Delay to use
+   */
+  function pollingDelay(ms) {
+    if (
+      _transport.mode === TRANSPORT_MODES.REPLAY &&
+      typeof _transport.pollDelayMs === "number"
+    ) {
+      return _transport.pollDelayMs;
+    }
+    return ms;
+  }
+
+  /**
+   * Identifies a logical request independent of transport and credentials.
+   * Parameter order is kept: it is significant to Ally (see buildQueryPairs).
+   * @param {string} endpointKey - Key from ALLY_CONFIG.ENDPOINTS
+   * @param {Array<{name: string, value: string}>} params - Ordered pairs
+   * @returns {string} Fixture key, e.g. "OVERALL?limit=1&offset=0"
+   */
+  function fixtureKey(endpointKey, params) {
+    return (
+      endpointKey +
+      "?" +
+      (params || [])
+        .map(function (pair) {
+          return (
+            encodeURIComponent(pair.name) +
+            "=" +
+            encodeURIComponent(pair.value)
+          );
+        })
+        .join("&")
+    );
+  }
+
+  /**
+   * Returns a copy of a value with anything credential-like removed: keys
+   * matching SCRUB_KEY_PATTERN, and any occurrence of the current token.
+   * @param {*} value - Parsed response body (or part of one)
+   * @returns {*} Scrubbed copy
+   */
+  function scrubValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(scrubValue);
+    }
+    if (value && typeof value === "object") {
+      const copy = {};
+      Object.keys(value).forEach(function (key) {
+        copy[key] = SCRUB_KEY_PATTERN.test(key)
+          ? SCRUBBED
+          : scrubValue(value[key]);
+      });
+      return copy;
+    }
+    if (typeof value === "string" && _token && value.indexOf(_token) !== -1) {
+      return value.split(_token).join(SCRUBBED);
+    }
+    return value;
+  }
+
+  /**
+   * Appends a live response to the recording. The body is read from a clone
+   * so the caller's response is untouched. Headers are never recorded.
+   * @param {Object} requestSpec - Logical request (see makeLiveRequest)
+   * @param {Response} response - Live fetch response
+   * @returns {Promise<void>}
+   */
+  async function recordResponse(requestSpec, response) {
+    const recording = _transport.recording;
+    if (!recording) return;
+
+    let body = null;
+    try {
+      body = await response.clone().json();
+    } catch (readError) {
+      logDebug("Recorded response has no JSON body:", readError.message);
+    }
+
+    const key = fixtureKey(requestSpec.endpointKey, requestSpec.params);
+    let interaction = recording.interactions.find(function (entry) {
+      return entry.key === key;
+    });
+    if (!interaction) {
+      interaction = {
+        key: key,
+        endpoint: requestSpec.endpointKey,
+        params: scrubValue(requestSpec.params),
+        responses: [],
+      };
+      recording.interactions.push(interaction);
+    }
+
+    interaction.responses.push({
+      status: response.status,
+      statusText: response.statusText || "",
+      body: scrubValue(body),
+    });
+    logDebug(
+      "Recorded " + response.status + " for " + key,
+      "(" + interaction.responses.length + " in sequence)",
+    );
+  }
+
+  /**
+   * Checks a fixture bundle's shape and indexes its interactions by key
+   * @param {Object|string} bundle - Bundle object or its JSON text
+   * @returns {Object} Bundle with an `index` of interactions by key
+   * @throws {Object} Structured VALIDATION error if the bundle is unusable
+   */
+  function prepareFixtures(bundle) {
+    let parsed = bundle;
+    if (typeof bundle === "string") {
+      try {
+        parsed = JSON.parse(bundle);
+      } catch (parseError) {
+        throw createError(
+          ERROR_TYPES.VALIDATION,
+          "Fixture bundle is not valid JSON",
+          null,
+          { parseError: parseError.message },
+        );
+      }
+    }
+
+    if (
+      !parsed ||
+      parsed.format !== FIXTURE_FORMAT ||
+      parsed.version !== FIXTURE_VERSION ||
+      !Array.isArray(parsed.interactions)
+    ) {
+      throw createError(
+        ERROR_TYPES.VALIDATION,
+        "Not an Ally API fixture bundle (expected " +
+          FIXTURE_FORMAT +
+          " version " +
+          FIXTURE_VERSION +
+          ")",
+        null,
+        null,
+      );
+    }
+
+    const index = {};
+    parsed.interactions.forEach(function (interaction) {
+      if (
+        interaction &&
+        typeof interaction.key === "string" &&
+        Array.isArray(interaction.responses) &&
+        interaction.responses.length > 0
+      ) {
+        index[interaction.key] = interaction;
+      }
+    });
+
+    return Object.assign({}, parsed, { index: index });
+  }
+
+  /**
+   * Builds a fetch Response for a replayed status and body
+   * @param {number} status - HTTP status
+   * @param {string} statusText - HTTP status text
+   * @param {*} body - JSON body, or null for none
+   * @returns {Response}
+   */
+  function buildReplayResponse(status, statusText, body) {
+    return new Response(body === null ? null : JSON.stringify(body), {
+      status: status,
+      statusText: statusText || "",
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  /**
+   * Takes the next injected failure that applies to this endpoint, if any
+   * @param {string} endpointKey - Key from ALLY_CONFIG.ENDPOINTS
+   * @returns {Object|null} Failure spec
+   */
+  function takeInjectedFailure(endpointKey) {
+    const index = _transport.failures.findIndex(function (failure) {
+      return !failure.endpoint || failure.endpoint === endpointKey;
+    });
+    if (index === -1) return null;
+
+    const failure = _transport.failures[index];
+    failure.remaining--;
+    if (failure.remaining <= 0) {
+      _transport.failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  /**
+   * Serves one request from the loaded fixtures. Each key replays its
+   * recorded sequence in order (e.g. Processing, Processing, Successful) and
+   * then keeps returning the last response.
+   * @param {Object} requestSpec - Logical request (see makeLiveRequest)
+   * @param {AbortSignal} signal - Abort signal for cancellation
+   * @returns {Promise<Response>} Replayed response
+   */
+  async function replayRequest(requestSpec, signal) {
+    const key = fixtureKey(requestSpec.endpointKey, requestSpec.params);
+    logDebug("Replaying request:", key);
+
+    if (_transport.latencyMs > 0) {
+      await delay(_transport.latencyMs);
+    }
+    if (signal && signal.aborted) {
+      throw new DOMException("Request cancelled", "AbortError");
+    }
+
+    const failure = takeInjectedFailure(requestSpec.endpointKey);
+    if (failure) {
+      logInfo(
+        "Injecting failure for " + key + ":",
+        failure.status || failure.error,
+      );
+      if (failure.error === "timeout") {
+        throw new Error("Request timeout (injected by replay transport)");
+      }
+      if (failure.error === "network") {
+        throw new TypeError("Failed to fetch (injected by replay transport)");
+      }
+      return buildReplayResponse(failure.status, failure.statusText, null);
+    }
+
+    const interaction = _transport.fixtures.index[key];
+    if (!interaction) {
+      logWarn("No recorded fixture for " + key);
+      return buildReplayResponse(404, "No recorded fixture", {
+        error: "No recorded fixture for " + key,
+      });
+    }
+
+    const cursor = _transport.cursors[key] || 0;
+    const recorded =
+      interaction.responses[Math.min(cursor, interaction.responses.length - 1)];
+    _transport.cursors[key] = cursor + 1;
+
+    return buildReplayResponse(
+      recorded.status,
+      recorded.statusText,
+      recorded.body === undefined ? null : recorded.body,
+    );
+  }
+
+  /**
+   * Makes one API request through the active transport mode
+   * @param {Object} requestSpec - Logical request (see makeLiveRequest)
+   * @param {AbortSignal} signal - Abort signal for cancellation
+   * @returns {Promise<Response>} Fetch (or replayed) response
+   */
+  async function makeRequest(requestSpec, signal) {
+    if (_transport.mode === TRANSPORT_MODES.REPLAY) {
+      return replayRequest(requestSpec, signal);
+    }
+
+    const response = await makeLiveRequest(requestSpec, signal);
+
+    if (_transport.mode === TRANSPORT_MODES.RECORD) {
+      await recordResponse(requestSpec, response);
+    }
+
+    return response;
+  }
+
   /**
    * Executes an API query with polling support
    * @param {string} endpointKey - Key from ALLY_CONFIG.ENDPOINTS
@@ -649,7 +981,9 @@ const ALLY_API_CLIENT = (function () {
       typeof ALLY_CONFIG.hasUsableWorkerUrl === "function" &&
       ALLY_CONFIG.hasUsableWorkerUrl();
 
-    if (!_clientId || (!_token && !hasWorker)) {
+    const replaying = _transport.mode === TRANSPORT_MODES.REPLAY;
+
+    if (!replaying && (!_clientId || (!_token && !hasWorker))) {
       const error = createError(
         ERROR_TYPES.VALIDATION,
         !_clientId
@@ -679,7 +1013,12 @@ const ALLY_API_CLIENT = (function () {
     }
 
     // Build URL
-    const baseUrl = ALLY_CONFIG.getApiUrl(endpointKey, _clientId, _region);
+    // Replay needs no credentials; the URL then only feeds the debug panel
+    const baseUrl = ALLY_CONFIG.getApiUrl(
+      endpointKey,
+      replaying ? _clientId || "replay" : _clientId,
+      _region,
+    );
     if (!baseUrl) {
       const error = createError(
         ERROR_TYPES.VALIDATION,
@@ -718,7 +1057,7 @@ const ALLY_API_CLIENT = (function () {
       url: fullUrl,
       params: queryPairs,
     };
-    const usingWorker = !_token;
+    const usingWorker = !replaying && !_token;
 
     // Create abort controller - use local variable to prevent race conditions
     // when multiple requests run concurrently
@@ -740,7 +1079,7 @@ const ALLY_API_CLIENT = (function () {
         url: fullUrl,
         options: queryOptions,
         // Which transport actually carried this request, and where to.
-        transport: usingWorker ? "worker" : "direct",
+        transport: replaying ? "replay" : usingWorker ? "worker" : "direct",
         workerUrl: usingWorker
           ? ALLY_CONFIG.getWorkerEndpointUrl("QUERY")
           : null,
@@ -780,7 +1119,7 @@ const ALLY_API_CLIENT = (function () {
       }
 
       // Initial delay
-      await delay(ALLY_CONFIG.POLLING.INITIAL_DELAY_MS);
+      await delay(pollingDelay(ALLY_CONFIG.POLLING.INITIAL_DELAY_MS));
 
       // Check if cancelled during initial delay
       if (getSignal().aborted) {
@@ -889,7 +1228,7 @@ const ALLY_API_CLIENT = (function () {
                 ALLY_CONFIG.POLLING.INTERVAL_MS +
                 "ms",
             );
-            await delay(ALLY_CONFIG.POLLING.INTERVAL_MS);
+            await delay(pollingDelay(ALLY_CONFIG.POLLING.INTERVAL_MS));
 
             // Check if cancelled during delay
             if (getSignal().aborted) {
@@ -972,7 +1311,7 @@ const ALLY_API_CLIENT = (function () {
           }
 
           // Wait before retry
-          await delay(ALLY_CONFIG.POLLING.INTERVAL_MS);
+          await delay(pollingDelay(ALLY_CONFIG.POLLING.INTERVAL_MS));
 
           // Check if cancelled during delay
           if (getSignal().aborted) {
@@ -1241,6 +1580,7 @@ const ALLY_API_CLIENT = (function () {
      * }
      */
     hasCredentials: function () {
+      if (_transport.mode === TRANSPORT_MODES.REPLAY) return true;
       if (!_clientId) return false;
       if (_token) return true;
       return (
@@ -1431,6 +1771,190 @@ const ALLY_API_CLIENT = (function () {
       return _requestInProgress;
     },
 
+    // ======================================================================
+    // Record / Replay Transport
+    // ======================================================================
+
+    /**
+     * Switches the transport mode.
+     *
+     * - "live": normal requests (the default)
+     * - "record": normal requests, with every response also appended to a new
+     *   fixture bundle. Headers are never recorded and credential-like body
+     *   values are scrubbed, so the bundle is safe to commit or share.
+     * - "replay": no network at all; requests are answered from fixtures.
+     *   Credentials are not needed.
+     *
+     * @param {string} mode - A value from TRANSPORT_MODES
+     * @param {Object} [options] - Replay options
+     * @param {Object|string} [options.fixtures] - Bundle (or its JSON) to replay;
+     *   defaults to the fixtures already loaded
+     * @param {number} [options.latencyMs=0] - Delay added to every response
+     * @param {number} [options.pollDelayMs] - Replaces the polling delays, e.g.
+     *   0 for fast tests; real delays are kept when omitted
+     * @returns {boolean} True if the mode was changed
+     *
+     * @example
+     * ALLY_API_CLIENT.setTransportMode("replay", {
+     *   fixtures: bundle,
+     *   latencyMs: 250,
+     *   pollDelayMs: 0,
+     * });
+     */
+    setTransportMode: function (mode, options) {
+      options = options || {};
+
+      if (mode === TRANSPORT_MODES.LIVE) {
+        _transport.mode = mode;
+        logInfo("Transport mode: live");
+        return true;
+      }
+
+      if (mode === TRANSPORT_MODES.RECORD) {
+        _transport.mode = mode;
+        _transport.recording = {
+          format: FIXTURE_FORMAT,
+          version: FIXTURE_VERSION,
+          recordedAt: new Date().toISOString(),
+          region: _region,
+          transport: _token ? "direct" : "worker",
+          interactions: [],
+        };
+        logInfo("Transport mode: record");
+        return true;
+      }
+
+      if (mode === TRANSPORT_MODES.REPLAY) {
+        if (options.fixtures) {
+          try {
+            _transport.fixtures = prepareFixtures(options.fixtures);
+          } catch (error) {
+            logError("Cannot replay:", error.message);
+            return false;
+          }
+        }
+        if (!_transport.fixtures) {
+          logError("Cannot replay: no fixtures loaded");
+          return false;
+        }
+
+        _transport.mode = mode;
+        _transport.cursors = {};
+        _transport.latencyMs =
+          typeof options.latencyMs === "number" ? options.latencyMs : 0;
+        _transport.pollDelayMs =
+          typeof options.pollDelayMs === "number" ? options.pollDelayMs : null;
+        logInfo(
+          "Transport mode: replay (" +
+            Object.keys(_transport.fixtures.index).length +
+            " recorded requests)",
+        );
+        return true;
+      }
+
+      logError("Unknown transport mode:", mode);
+      return false;
+    },
+
+    /**
+     * Gets the current transport mode
+     * @returns {string} A value from TRANSPORT_MODES
+     */
+    getTransportMode: function () {
+      return _transport.mode;
+    },
+
+    /**
+     * Gets the fixture bundle recorded since record mode was switched on
+     * @returns {Object|null} Copy of the bundle, or null if nothing recorded
+     */
+    getRecording: function () {
+      return _transport.recording
+        ? JSON.parse(JSON.stringify(_transport.recording))
+        : null;
+    },
+
+    /**
+     * Serialises the recording for saving as a fixture file
+     * @returns {string|null} Bundle JSON, or null if nothing recorded
+     *
+     * @example
+     * copy(ALLY_API_CLIENT.exportRecording()); // DevTools: copy to clipboard
+     */
+    exportRecording: function () {
+      return _transport.recording
+        ? JSON.stringify(_transport.recording, null, 2)
+        : null;
+    },
+
+    /**
+     * Loads fixtures for replay without switching mode
+     * @param {Object|string} bundle - Fixture bundle or its JSON text
+     * @returns {number} Number of recorded requests loaded
+     * @throws {Object} Structured VALIDATION error if the bundle is unusable
+     */
+    loadFixtures: function (bundle) {
+      _transport.fixtures = prepareFixtures(bundle);
+      _transport.cursors = {};
+      return Object.keys(_transport.fixtures.index).length;
+    },
+
+    /**
+     * Queues a failure for the replay transport. Failures are served in the
+     * order queued, ahead of any recorded response, so error handling can be
+     * exercised deterministically.
+     * @param {Object} spec - Failure to inject
+     * @param {number} [spec.status] - HTTP status, e.g. 401, 502, 504
+     * @param {string} [spec.error] - "timeout" or "network" instead of a status
+     * @param {string} [spec.endpoint] - Only for this endpoint key, e.g. "ISSUES"
+     * @param {number} [spec.times=1] - How many requests fail
+     * @returns {boolean} True if the failure was queued
+     *
+     * @example
+     * // Two gateway timeouts, then the recorded data
+     * ALLY_API_CLIENT.injectFailure({ status: 504, times: 2 });
+     */
+    injectFailure: function (spec) {
+      spec = spec || {};
+      const validStatus =
+        typeof spec.status === "number" &&
+        spec.status >= 400 &&
+        spec.status <= 599;
+      const validError = spec.error === "timeout" || spec.error === "network";
+
+      if (validStatus === validError) {
+        logError(
+          "injectFailure needs either a 4xx/5xx status or an error of " +
+            '"timeout" or "network"',
+        );
+        return false;
+      }
+
+      _transport.failures.push({
+        status: validStatus ? spec.status : null,
+        statusText: spec.statusText || "",
+        error: validError ? spec.error : null,
+        endpoint: spec.endpoint || null,
+        remaining: spec.times > 0 ? spec.times : 1,
+      });
+      return true;
+    },
+
+    /**
+     * Removes all queued failures and restarts every replayed sequence
+     */
+    resetReplay: function () {
+      _transport.failures = [];
+      _transport.cursors = {};
+      logDebug("Replay state reset");
+    },
+
+    /**
+     * Transport mode constants
+     * @type {Object.<string, string>}
+     */
+    TRANSPORT_MODES: TRANSPORT_MODES,
+
     // ======================================================================
     // Error Constants (exposed for external use)
     // ======================================================================
@@ -190,6 +190,7 @@ const ALLY_CONFIG = (function () {
       REGION: "ally-region",
       SAVE_CREDENTIALS: "ally-save-credentials",
       STATEMENT_ENVIRONMENT: "ally-statement-environment",
+      STATEMENT_LOCALE: "ally-statement-locale",
       // Phase 3: per-browser override for the statement-refresh feature flag.
       // When present, its "true"/"false" value overrides STATEMENT_REFRESH_ENABLED.
       STATEMENT_REFRESH_ENABLED: "ally-statement-refresh-enabled",
@@ -198,6 +199,9 @@ const ALLY_CONFIG = (function () {
       // deliberately SURVIVES an unchecked-"Remember credentials" clear: it is
       // the fallback that keeps the app working without a token.
       WORKER_URL: "ally-worker-url",
+      // Named Report Builder queries (ALLY_SAVED_QUERIES). Authored content, so
+      // like the inclusion answers it is kept apart from ALLY_CACHE.
+      SAVED_QUERIES: "ally-saved-queries",
     },
 
     /**
@@ -537,6 +541,7 @@ const ALLY_CONFIG = (function () {
       COURSE_REPORT: "course-report",
       STATEMENT_PREVIEW: "statement-preview",
       REPORT_BUILDER: "report-builder",
+      ROLLUP_REPORT: "rollup-report",
     },
 
     /**
@@ -553,6 +558,7 @@ const ALLY_CONFIG = (function () {
       "course-report": "Course Report",
       "statement-preview": "Accessibility Statement Preview",
       "report-builder": "Report Builder",
+      "rollup-report": "Department Roll-up",
     },
 
     /**
@@ -564,6 +570,36 @@ const ALLY_CONFIG = (function () {
         "Generate detailed accessibility report for a single course",
       "statement-preview": "Preview accessibility statement for publication",
       "report-builder": "Build custom queries with filters and export options",
+      "rollup-report":
+        "Rank departments and courses by accessibility score across a term or department",
+    },
+
+    /**
+     * Department roll-up limits (Phase 8)
+     * @type {Object}
+     */
+    ROLLUP: {
+      /** Rows requested per page from the overall/issues endpoints */
+      PAGE_LIMIT: 1000,
+      /** Safety cap on pages fetched per endpoint (PAGE_LIMIT * MAX_PAGES rows) */
+      MAX_PAGES: 20,
+      /** Number of lowest-scoring courses listed as priority modules */
+      PRIORITY_MODULES: 25,
+      /** Maximum groups plotted in the roll-up charts */
+      CHART_GROUPS: 15,
+    },
+
+    /**
+     * Batch accessibility-statement limits (Phase 8)
+     * @type {Object}
+     */
+    STATEMENT_BATCH: {
+      /** Rows requested per page when listing a term/department's modules */
+      PAGE_LIMIT: 1000,
+      /** Safety cap on pages fetched when listing modules */
+      MAX_PAGES: 5,
+      /** Maximum modules in one batch (one Issues request each) */
+      MAX_COURSES: 200,
     },
   };
 
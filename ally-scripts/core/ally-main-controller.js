@@ -2925,6 +2925,15 @@ const ALLY_MAIN_CONTROLLER = (function () {
         logDebug("Course Report Controller initialised");
       }
 
+      // Initialise Department Roll-up if available (Phase 8)
+      if (
+        typeof ALLY_ROLLUP_REPORT !== "undefined" &&
+        !ALLY_ROLLUP_REPORT.isInitialised()
+      ) {
+        ALLY_ROLLUP_REPORT.initialise();
+        logDebug("Department Roll-up initialised");
+      }
+
       // Initialise Report Switcher if available (Phase 7)
       if (
         typeof ALLY_REPORT_SWITCHER !== "undefined" &&
@@ -2951,6 +2960,12 @@ const ALLY_MAIN_CONTROLLER = (function () {
                   "Statement Preview Controller initialised/reinitialised",
                 );
               }
+
+              // Batch statements live in the same section (Phase 8)
+              if (typeof ALLY_STATEMENT_BATCH !== "undefined") {
+                ALLY_STATEMENT_BATCH.initialise(true);
+                logDebug("Statement Batch initialised/reinitialised");
+              }
             }, 50);
           }
         });
@@ -3003,6 +3018,16 @@ const ALLY_MAIN_CONTROLLER = (function () {
       // Set up event listeners
       setupEventListeners();
 
+      // Initialise Saved Queries if available (Phase 8). After the listeners,
+      // so a shared query's endpoint change reaches the Filter Builder.
+      if (
+        typeof ALLY_SAVED_QUERIES !== "undefined" &&
+        !ALLY_SAVED_QUERIES.isInitialised()
+      ) {
+        ALLY_SAVED_QUERIES.initialise();
+        logDebug("Saved Queries initialised");
+      }
+
       initialised = true;
       logInfo("Main Controller initialised successfully");
 
@@ -0,0 +1,493 @@
+/**
+ * @fileoverview Ally Accessibility Reporting Tool - Snapshot Store
+ * @module AllySnapshots
+ * @requires None - Standalone durable store
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Durable history of Course Report results, so a module's accessibility can
+ * be compared over time. Ally itself only reports the current state.
+ *
+ * Snapshots are HISTORY, not regenerable API data, so this store is
+ * deliberately SEPARATE from ALLY_CACHE: it lives in IndexedDB (a term's worth
+ * of reports is far larger than the localStorage budget ALLY_CACHE shares)
+ * and is never LRU-evicted. Snapshots are only removed on request.
+ *
+ * Storage Schema (IndexedDB database `ally-snapshots`, store `snapshots`):
+ *   {
+ *     id: "<courseId>@<takenAt>",
+ *     courseId, courseName, courseCode, termName,
+ *     takenAt: <ISO string>,            // when the report was fetched
+ *     lastCheckedOn: <ISO string|null>, // Ally's own scan date
+ *     source: "report" | "import",
+ *     data: { overall: {...}, issues: {...} }  // as rendered by the report
+ *   }
+ * Indexed by `courseId`.
+ *
+ * Export format (shareable baseline):
+ *   { format: "ally-snapshots", version: 1, exportedAt, snapshots: [...] }
+ *
+ * All methods return Promises. When IndexedDB is unavailable (private
+ * browsing in some browsers, file:// in others) they reject, and
+ * `isAvailable()` returns false so callers can hide the feature.
+ *
+ * Integration:
+ * - Written by ally-course-report.js after each fresh fetch
+ * - Read by ally-course-report-trends.js for the compare view and chart
+ * - Available globally via ALLY_SNAPSHOTS
+ *
+ * @example
+ * ALLY_SNAPSHOTS.record(course, reportData).then(function (result) {
+ *   console.log(result.saved ? "Saved" : "Unchanged since last snapshot");
+ * });
+ * ALLY_SNAPSHOTS.list(courseId).then(function (snapshots) { ... });
+ */
+
+const ALLY_SNAPSHOTS = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  var LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  var DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  var ENABLE_ALL_LOGGING = false;
+  var DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.error.apply(console, ["[AllySnapshots] " + message].concat(args));
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.warn.apply(console, ["[AllySnapshots] " + message].concat(args));
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(console, ["[AllySnapshots] " + message].concat(args));
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(console, ["[AllySnapshots] " + message].concat(args));
+    }
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  var DB_NAME = "ally-snapshots";
+  var DB_VERSION = 1;
+  var STORE_NAME = "snapshots";
+  var COURSE_INDEX = "courseId";
+
+  /** Export file identification */
+  var EXPORT_FORMAT = "ally-snapshots";
+  var EXPORT_VERSION = 1;
+
+  // ========================================================================
+  // Database Access
+  // ========================================================================
+
+  /** @type {Promise<IDBDatabase>|null} Opened once, shared by all calls */
+  var dbPromise = null;
+
+  /**
+   * Whether IndexedDB exists in this environment
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    try {
+      return typeof indexedDB !== "undefined" && indexedDB !== null;
+    } catch (e) {
+      // Some browsers throw on access when storage is blocked
+      return false;
+    }
+  }
+
+  /**
+   * Opens (and on first use creates) the snapshot database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (!isAvailable()) {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+
+    dbPromise = new Promise(function (resolve, reject) {
+      var request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = function () {
+        var db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          var store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+          store.createIndex(COURSE_INDEX, "courseId", { unique: false });
+          logInfo("Created snapshot store");
+        }
+      };
+
+      request.onsuccess = function () {
+        resolve(request.result);
+      };
+
+      request.onerror = function () {
+        dbPromise = null;
+        reject(request.error || new Error("Failed to open snapshot database"));
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Runs one request in a transaction and resolves with its result once the
+   * transaction has committed
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} makeRequest - Called with the object store; returns an IDBRequest
+   * @returns {Promise<*>}
+   */
+  function withStore(mode, makeRequest) {
+    return openDatabase().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(STORE_NAME, mode);
+        var request = makeRequest(tx.objectStore(STORE_NAME));
+        var result;
+
+        if (request) {
+          request.onsuccess = function () {
+            result = request.result;
+          };
+        }
+        tx.oncomplete = function () {
+          resolve(result);
+        };
+        tx.onerror = function () {
+          reject(tx.error || new Error("Snapshot transaction failed"));
+        };
+        tx.onabort = function () {
+          reject(tx.error || new Error("Snapshot transaction aborted"));
+        };
+      });
+    });
+  }
+
+  // ========================================================================
+  // Private Helpers
+  // ========================================================================
+
+  function byTakenAt(a, b) {
+    return a.takenAt < b.takenAt ? -1 : a.takenAt > b.takenAt ? 1 : 0;
+  }
+
+  /**
+   * True when two report data objects hold the same Ally results.
+   * The report's own `timestamp` is ignored; it changes on every fetch.
+   * @param {Object} a - { overall, issues }
+   * @param {Object} b - { overall, issues }
+   * @returns {boolean}
+   */
+  function sameResults(a, b) {
+    if (!a || !b) return false;
+    return (
+      JSON.stringify(a.overall || {}) === JSON.stringify(b.overall || {}) &&
+      JSON.stringify(a.issues || {}) === JSON.stringify(b.issues || {})
+    );
+  }
+
+  /**
+   * Checks an imported snapshot has the fields the compare view relies on
+   * @param {Object} snapshot
+   * @returns {boolean}
+   */
+  function isValidSnapshot(snapshot) {
+    return (
+      !!snapshot &&
+      typeof snapshot === "object" &&
+      typeof snapshot.courseId === "string" &&
+      snapshot.courseId !== "" &&
+      typeof snapshot.takenAt === "string" &&
+      !isNaN(Date.parse(snapshot.takenAt)) &&
+      !!snapshot.data &&
+      typeof snapshot.data.overall === "object" &&
+      snapshot.data.overall !== null
+    );
+  }
+
+  /**
+   * Builds a snapshot record from a course and its report data
+   * @param {Object} course - { id, name, code, termName }
+   * @param {Object} data - { overall, issues, timestamp }
+   * @param {string} source - "report" or "import"
+   * @returns {Object}
+   */
+  function createSnapshot(course, data, source) {
+    var overall = data.overall || {};
+    var takenAt = data.timestamp || new Date().toISOString();
+    var courseId = String(course.id || overall.courseId);
+
+    return {
+      id: courseId + "@" + takenAt,
+      courseId: courseId,
+      courseName: overall.courseName || course.name || "",
+      courseCode: overall.courseCode || course.code || "",
+      termName: overall.termName || course.termName || "",
+      takenAt: takenAt,
+      lastCheckedOn: overall.lastCheckedOn || null,
+      source: source,
+      data: { overall: overall, issues: data.issues || {} },
+    };
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  var publicApi = {
+    isAvailable: isAvailable,
+
+    /**
+     * Lists a module's snapshots, oldest first
+     * @param {string} courseId
+     * @returns {Promise<Array<Object>>}
+     */
+    list: function (courseId) {
+      return withStore("readonly", function (store) {
+        return store.index(COURSE_INDEX).getAll(String(courseId));
+      }).then(function (snapshots) {
+        return (snapshots || []).sort(byTakenAt);
+      });
+    },
+
+    /**
+     * Lists every snapshot, grouped by module then oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    listAll: function () {
+      return withStore("readonly", function (store) {
+        return store.getAll();
+      }).then(function (snapshots) {
+        return (snapshots || []).sort(function (a, b) {
+          if (a.courseId !== b.courseId) {
+            return a.courseId < b.courseId ? -1 : 1;
+          }
+          return byTakenAt(a, b);
+        });
+      });
+    },
+
+    /**
+     * Gets one snapshot by id
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    get: function (id) {
+      return withStore("readonly", function (store) {
+        return store.get(id);
+      }).then(function (snapshot) {
+        return snapshot || null;
+      });
+    },
+
+    /**
+     * Records a Course Report result. Nothing is written when the results
+     * match the module's latest snapshot, so re-running an unchanged report
+     * does not pad the history.
+     * @param {Object} course - { id, name, code, termName }
+     * @param {Object} data - Report data { overall, issues, timestamp }
+     * @returns {Promise<{saved: boolean, snapshot: Object}>}
+     */
+    record: function (course, data) {
+      if (!course || !data || !data.overall) {
+        return Promise.reject(new Error("Snapshot needs a course and report data"));
+      }
+
+      var snapshot = createSnapshot(course, data, "report");
+      if (!snapshot.courseId) {
+        return Promise.reject(new Error("Snapshot needs a course id"));
+      }
+
+      return publicApi.list(snapshot.courseId).then(function (existing) {
+        var latest = existing[existing.length - 1];
+        if (latest && sameResults(latest.data, snapshot.data)) {
+          logDebug("Results unchanged since", latest.takenAt);
+          return { saved: false, snapshot: latest };
+        }
+        return withStore("readwrite", function (store) {
+          return store.put(snapshot);
+        }).then(function () {
+          logInfo("Snapshot saved:", snapshot.id);
+          return { saved: true, snapshot: snapshot };
+        });
+      });
+    },
+
+    /**
+     * Deletes one snapshot
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    remove: function (id) {
+      return withStore("readwrite", function (store) {
+        return store.delete(id);
+      });
+    },
+
+    /**
+     * Deletes all of a module's snapshots
+     * @param {string} courseId
+     * @returns {Promise<number>} Number deleted
+     */
+    clearCourse: function (courseId) {
+      return publicApi.list(courseId).then(function (snapshots) {
+        if (snapshots.length === 0) return 0;
+        return withStore("readwrite", function (store) {
+          snapshots.forEach(function (snapshot) {
+            store.delete(snapshot.id);
+          });
+          return null;
+        }).then(function () {
+          return snapshots.length;
+        });
+      });
+    },
+
+    /**
+     * Builds the shareable export object
+     * @param {string} [courseId] - Limit to one module; omit for all snapshots
+     * @returns {Promise<Object>} { format, version, exportedAt, snapshots }
+     */
+    exportSnapshots: function (courseId) {
+      var source = courseId ? publicApi.list(courseId) : publicApi.listAll();
+      return source.then(function (snapshots) {
+        return {
+          format: EXPORT_FORMAT,
+          version: EXPORT_VERSION,
+          exportedAt: new Date().toISOString(),
+          snapshots: snapshots,
+        };
+      });
+    },
+
+    /**
+     * Imports snapshots from an export. Snapshots already held (same id) are
+     * skipped, so importing a colleague's baseline twice is harmless.
+     * @param {string|Object} json - Export object or its JSON text
+     * @returns {Promise<{imported: number, skipped: number, invalid: number}>}
+     */
+    importSnapshots: function (json) {
+      var payload;
+      try {
+        payload = typeof json === "string" ? JSON.parse(json) : json;
+      } catch (e) {
+        return Promise.reject(new Error("The file is not valid JSON"));
+      }
+
+      if (
+        !payload ||
+        payload.format !== EXPORT_FORMAT ||
+        !Array.isArray(payload.snapshots)
+      ) {
+        return Promise.reject(new Error("The file is not an Ally snapshot export"));
+      }
+      if (payload.version > EXPORT_VERSION) {
+        return Promise.reject(
+          new Error("The file was exported by a newer version of this tool"),
+        );
+      }
+
+      var valid = payload.snapshots.filter(isValidSnapshot);
+      var invalid = payload.snapshots.length - valid.length;
+
+      return withStore("readonly", function (store) {
+        return store.getAllKeys();
+      }).then(function (keys) {
+        var held = {};
+        (keys || []).forEach(function (key) {
+          held[key] = true;
+        });
+
+        var toAdd = [];
+        valid.forEach(function (snapshot) {
+          var id = snapshot.courseId + "@" + snapshot.takenAt;
+          if (held[id]) return;
+          held[id] = true;
+          toAdd.push(
+            Object.assign({}, snapshot, {
+              id: id,
+              source: "import",
+              data: {
+                overall: snapshot.data.overall,
+                issues: snapshot.data.issues || {},
+              },
+            }),
+          );
+        });
+
+        var result = {
+          imported: toAdd.length,
+          skipped: valid.length - toAdd.length,
+          invalid: invalid,
+        };
+
+        if (toAdd.length === 0) return result;
+
+        return withStore("readwrite", function (store) {
+          toAdd.forEach(function (snapshot) {
+            store.put(snapshot);
+          });
+          return null;
+        }).then(function () {
+          logInfo("Imported snapshots:", result);
+          return result;
+        });
+      });
+    },
+
+    /**
+     * Checks an export object without importing it (exposed for testing)
+     * @param {Object} snapshot
+     * @returns {boolean}
+     */
+    isValidSnapshot: isValidSnapshot,
+
+    /**
+     * Compares two report results, ignoring fetch timestamps (exposed for testing)
+     * @param {Object} a - { overall, issues }
+     * @param {Object} b - { overall, issues }
+     * @returns {boolean}
+     */
+    sameResults: sameResults,
+  };
+
+  if (!isAvailable()) {
+    logWarn("IndexedDB not available - snapshots disabled");
+  }
+
+  logDebug("Snapshot store ready (database: " + DB_NAME + ")");
+  return publicApi;
+})();
+
+// Expose globally for non-module consumers (matches ALLY_CACHE pattern).
+if (typeof window !== "undefined") {
+  window.ALLY_SNAPSHOTS = ALLY_SNAPSHOTS;
+}
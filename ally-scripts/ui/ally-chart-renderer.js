@@ -16,11 +16,15 @@
  * - Score comparison (grouped bar chart)
  * - Issue severity breakdown (doughnut chart)
  * - Top issues (horizontal bar chart)
+ * - Department/term roll-up scores and severities (horizontal bar charts)
  *
  * @example
  * // Render charts for current data
  * ALLY_CHART_RENDERER.render(result, 'overall');
  *
+ * // Render roll-up charts into another container
+ * ALLY_CHART_RENDERER.render(rollup, 'rollup', { containerId: 'ally-ru-charts' });
+ *
  * // Destroy all charts
  * ALLY_CHART_RENDERER.destroy();
  */
@@ -626,6 +630,148 @@ const ALLY_CHART_RENDERER = (function () {
     };
   }
 
+  /**
+   * Creates configuration for roll-up group scores chart (horizontal bar)
+   * @param {Array} groups - Ranked roll-up groups ({ name, averageOverall })
+   * @returns {Object|null} Chart.js configuration or null if no scored groups
+   */
+  function createGroupScoresConfig(groups) {
+    const scored = groups.filter(function (group) {
+      return group.averageOverall !== null;
+    });
+
+    if (scored.length === 0) {
+      return null;
+    }
+
+    return {
+      type: "bar",
+      data: {
+        labels: scored.map(function (group) {
+          return group.name;
+        }),
+        datasets: [
+          {
+            label: "Average Overall Score (%)",
+            data: scored.map(function (group) {
+              return Math.round(group.averageOverall * 100);
+            }),
+            backgroundColor: scored.map(function (group) {
+              return getScoreColour(group.averageOverall);
+            }),
+            borderWidth: 1,
+            borderColor: "#000000",
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: "y", // Horizontal bars
+        plugins: {
+          title: {
+            display: true,
+            text: "Average Overall Score, Lowest " + scored.length,
+            font: { size: 16 },
+          },
+          legend: {
+            display: false,
+          },
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: "Score (%)",
+            },
+            min: 0,
+            max: 100,
+          },
+          y: {
+            title: {
+              display: false,
+            },
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Creates configuration for roll-up group severity chart (stacked horizontal bar)
+   * @param {Array} groups - Ranked roll-up groups ({ name, severe, major, minor })
+   * @returns {Object|null} Chart.js configuration or null if no issues
+   */
+  function createGroupSeverityConfig(groups) {
+    const hasIssues = groups.some(function (group) {
+      return group.severe + group.major + group.minor > 0;
+    });
+
+    if (!hasIssues) {
+      return null;
+    }
+
+    const labels = groups.map(function (group) {
+      return group.name;
+    });
+
+    function dataset(label, severity) {
+      return {
+        label: label,
+        data: groups.map(function (group) {
+          return group[severity];
+        }),
+        backgroundColor: CONFIG.severityColours[severity],
+        borderWidth: 1,
+        borderColor: "#000000",
+      };
+    }
+
+    return {
+      type: "bar",
+      data: {
+        labels: labels,
+        datasets: [
+          dataset("Severe", "severe"),
+          dataset("Major", "major"),
+          dataset("Minor", "minor"),
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: "y", // Horizontal bars
+        plugins: {
+          title: {
+            display: true,
+            text: "Issues by Severity",
+            font: { size: 16 },
+          },
+          legend: {
+            display: true,
+            position: "bottom",
+          },
+        },
+        scales: {
+          x: {
+            stacked: true,
+            title: {
+              display: true,
+              text: "Number of Issues",
+            },
+            beginAtZero: true,
+          },
+          y: {
+            stacked: true,
+            title: {
+              display: false,
+            },
+          },
+        },
+      },
+    };
+  }
+
   // ========================================================================
   // Helper Functions
   // ========================================================================
@@ -646,7 +792,7 @@ const ALLY_CHART_RENDERER = (function () {
   /**
    * Determines which charts are applicable for the current data
    * @param {Object} result - API result object
-   * @param {string} endpoint - 'overall' or 'issues'
+   * @param {string} endpoint - 'overall', 'issues' or 'rollup'
    * @returns {string[]} Array of chart type identifiers
    */
   function getApplicableCharts(result, endpoint) {
@@ -675,6 +821,10 @@ const ALLY_CHART_RENDERER = (function () {
       charts.push("severityBreakdown");
       // Show top issues
       charts.push("topIssues");
+    } else if (endpoint === "rollup") {
+      // Roll-up rows are aggregated groups, not courses
+      charts.push("groupScores");
+      charts.push("groupSeverity");
     }
 
     return charts;
@@ -716,6 +866,18 @@ const ALLY_CHART_RENDERER = (function () {
           count +
           " courses, coloured by severity level."
         );
+      case "groupScores":
+        return (
+          "Horizontal bar chart showing the average overall accessibility score of the " +
+          count +
+          " lowest-scoring groups, lowest first."
+        );
+      case "groupSeverity":
+        return (
+          "Stacked horizontal bar chart showing the number of severe, major, and minor accessibility issues in each of the same " +
+          count +
+          " groups."
+        );
       default:
         return "Accessibility data chart.";
     }
@@ -794,6 +956,12 @@ const ALLY_CHART_RENDERER = (function () {
       case "topIssues":
         config = createTopIssuesConfig(data);
         break;
+      case "groupScores":
+        config = createGroupScoresConfig(data);
+        break;
+      case "groupSeverity":
+        config = createGroupSeverityConfig(data);
+        break;
       default:
         logWarn("Unknown chart type: " + chartType);
         return null;
@@ -974,9 +1142,14 @@ const ALLY_CHART_RENDERER = (function () {
     /**
      * Renders charts for the given result data
      * @param {Object} result - API result object { metadata, data }
-     * @param {string} endpoint - Endpoint name ('overall' or 'issues')
+     * @param {string} endpoint - Endpoint name ('overall', 'issues' or 'rollup')
+     * @param {Object} [options] - Render options
+     * @param {string} [options.containerId] - Target container, defaults to CONFIG.containerId
      */
-    render: function (result, endpoint) {
+    render: function (result, endpoint, options) {
+      var containerId =
+        (options && options.containerId) || CONFIG.containerId;
+
       if (!validateDependencies()) {
         logError("Cannot render charts: missing dependencies");
         return;
@@ -984,7 +1157,7 @@ const ALLY_CHART_RENDERER = (function () {
 
       if (!result || !result.data || result.data.length === 0) {
         logWarn("No data available for chart rendering");
-        var container = document.getElementById(CONFIG.containerId);
+        var container = document.getElementById(containerId);
         if (container) {
           container.innerHTML =
             '<p class="ally-no-results">No data available for chart visualisation.</p>';
@@ -992,12 +1165,12 @@ const ALLY_CHART_RENDERER = (function () {
         return;
       }
 
-      // Destroy existing charts first
-      this.destroy();
+      // Destroy existing charts in this container first
+      this.destroy(containerId);
 
-      var container = document.getElementById(CONFIG.containerId);
+      var container = document.getElementById(containerId);
       if (!container) {
-        logError("Chart container not found: " + CONFIG.containerId);
+        logError("Chart container not found: " + containerId);
         return;
       }
 
@@ -1030,24 +1203,40 @@ const ALLY_CHART_RENDERER = (function () {
         }
       });
 
+      var renderedCount = activeCharts.filter(function (chartInfo) {
+        return container.contains(chartInfo.container);
+      }).length;
+
       logInfo(
-        "Rendered " + activeCharts.length + " charts for " + endpoint + " data",
+        "Rendered " + renderedCount + " charts for " + endpoint + " data",
       );
 
       // Announce to screen readers
       if (typeof ALLY_UI_MANAGER !== "undefined" && ALLY_UI_MANAGER.announce) {
         ALLY_UI_MANAGER.announce(
-          activeCharts.length +
+          renderedCount +
             " charts rendered showing accessibility data visualisation",
         );
       }
     },
 
     /**
-     * Destroys all active charts
+     * Destroys active charts
+     * @param {string} [containerId] - Only destroy charts inside this container
      */
-    destroy: function () {
+    destroy: function (containerId) {
+      var scope = containerId ? document.getElementById(containerId) : null;
+
+      if (containerId && !scope) {
+        return;
+      }
+
+      var remaining = [];
       activeCharts.forEach(function (chartInfo) {
+        if (scope && !scope.contains(chartInfo.container)) {
+          remaining.push(chartInfo);
+          return;
+        }
         try {
           if (
             chartInfo.instance &&
@@ -1060,8 +1249,12 @@ const ALLY_CHART_RENDERER = (function () {
         }
       });
 
-      activeCharts = [];
-      logDebug("All charts destroyed");
+      activeCharts = remaining;
+      logDebug(
+        containerId
+          ? "Charts destroyed in " + containerId
+          : "All charts destroyed",
+      );
     },
 
     /**
@@ -15,6 +15,7 @@
  * - Issue category groupings for organised display
  * - Human-readable issue descriptions (British spelling)
  * - Severity level definitions with CSS classes
+ * - Remediation effort, severity weights and fix guidance per issue type
  * - Helper functions for data transformation
  *
  * Integration:
@@ -438,6 +439,236 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
     veryPoor: { label: "Very Poor", minScore: 0 },
   };
 
+  // ========================================================================
+  // Remediation Planning
+  // ========================================================================
+
+  /**
+   * Weight applied to each severity level when ranking remediation work
+   * @type {Object.<number, number>}
+   */
+  var SEVERITY_WEIGHTS = { 1: 5, 2: 3, 3: 1 };
+
+  /**
+   * Content types that issues apply to, with the typical effort (1-5) of
+   * fixing one item. Blackboard content is edited in place; images and
+   * documents have to be corrected at source and uploaded again.
+   * @type {Object.<string, Object>}
+   */
+  var REMEDIATION_CONTENT_TYPES = {
+    html: { label: "Blackboard content", effort: 1 },
+    image: { label: "Images", effort: 2 },
+    document: { label: "Documents (PDF, Word, PowerPoint)", effort: 3 },
+  };
+
+  /**
+   * Items at or below this effort are grouped as quick wins
+   * @type {number}
+   */
+  var QUICK_WIN_MAX_EFFORT = 2;
+
+  /**
+   * Fix guidance per issue type. `effort` overrides the content type's
+   * effort where an issue is notably easier or harder than usual.
+   * @type {Object.<string, Object>}
+   */
+  var ISSUE_REMEDIATION = {
+    // Severe
+    scanned1: {
+      contentType: "document",
+      effort: 5,
+      guidance:
+        "Replace the scan with the original digital file, or run OCR (e.g. Adobe Acrobat 'Recognise Text') and check the result.",
+    },
+    parsable1: {
+      contentType: "document",
+      effort: 4,
+      guidance:
+        "Re-export the file from its source application and upload it again; remove it if it is no longer needed.",
+    },
+    security1: {
+      contentType: "document",
+      effort: 2,
+      guidance:
+        "Remove the password or encryption in the source application and upload the unprotected version.",
+    },
+    imageSeizure1: {
+      contentType: "image",
+      effort: 3,
+      guidance:
+        "Replace the animation with a static image, or one that flashes no more than three times a second.",
+    },
+
+    // Major
+    alternativeText2: {
+      contentType: "document",
+      guidance:
+        "Add alternative text to each image in the source document (right-click > Edit Alt Text in Word/PowerPoint), then upload again.",
+    },
+    htmlImageAlt2: {
+      contentType: "html",
+      guidance:
+        "Edit the item and add an image description in the editor's image properties.",
+    },
+    htmlObjectAlt2: {
+      contentType: "html",
+      guidance:
+        "Add a text alternative or title to the embedded video, audio or object.",
+    },
+    imageDescription2: {
+      contentType: "image",
+      effort: 1,
+      guidance:
+        "Use Ally's instructor feedback to add a description to the image; no re-upload is needed.",
+    },
+    imageDecorative2: {
+      contentType: "image",
+      effort: 1,
+      guidance:
+        "Mark the image as decorative in Ally's instructor feedback if it conveys no information.",
+    },
+    contrast2: {
+      contentType: "document",
+      guidance:
+        "Change text or background colours in the source document to reach at least 4.5:1 contrast.",
+    },
+    htmlColorContrast2: {
+      contentType: "html",
+      guidance:
+        "Remove custom text or highlight colours in the editor, or choose colours with at least 4.5:1 contrast.",
+    },
+    imageContrast2: {
+      contentType: "image",
+      effort: 3,
+      guidance:
+        "Recreate the image with higher-contrast text, or provide the text alongside the image.",
+    },
+    headingsPresence2: {
+      contentType: "document",
+      guidance:
+        "Apply the built-in Heading styles to section titles in the source document.",
+    },
+    htmlHeadingsPresence2: {
+      contentType: "html",
+      guidance:
+        "Use the editor's paragraph format menu to mark section titles as headings.",
+    },
+    htmlEmptyHeading2: {
+      contentType: "html",
+      guidance: "Delete empty headings or change them to normal paragraphs.",
+    },
+    htmlHeadingsStart2: {
+      contentType: "html",
+      guidance:
+        "Start the item's headings at the highest level the editor offers and work down in order.",
+    },
+    tableHeaders2: {
+      contentType: "document",
+      guidance:
+        "Mark the first row (and column where relevant) as header cells in the source document's table properties.",
+    },
+    htmlEmptyTableHeader2: {
+      contentType: "html",
+      guidance: "Add text to each table header cell, or make the cell a data cell.",
+    },
+    htmlTdHasHeader2: {
+      contentType: "html",
+      guidance:
+        "Set a header row or column in the editor's table properties.",
+    },
+    tagged2: {
+      contentType: "document",
+      effort: 4,
+      guidance:
+        "Export the PDF again from Word or PowerPoint with 'Document structure tags for accessibility' ticked.",
+    },
+    ocred2: {
+      contentType: "document",
+      effort: 4,
+      guidance:
+        "Replace the scan with the original digital file, or proof-read the OCR text and correct recognition errors.",
+    },
+    htmlCaption2: {
+      contentType: "html",
+      effort: 4,
+      guidance:
+        "Provide captions for the video (e.g. edit automatic captions in the video platform) or link a transcript.",
+    },
+    htmlLabel2: {
+      contentType: "html",
+      guidance: "Give each form field a visible label associated with it.",
+    },
+    htmlBrokenLink2: {
+      contentType: "html",
+      guidance: "Update the link to a working address or remove it.",
+    },
+
+    // Minor
+    headingsSequential3: {
+      contentType: "document",
+      guidance:
+        "Re-apply Heading styles so levels go down one at a time (Heading 1, then Heading 2).",
+    },
+    headingsStartAtOne3: {
+      contentType: "document",
+      guidance: "Make the document's first heading a Heading 1.",
+    },
+    headingsHigherLevel3: {
+      contentType: "document",
+      guidance: "Restructure the document so it uses heading levels 1 to 6 only.",
+    },
+    htmlHeadingOrder3: {
+      contentType: "html",
+      guidance: "Change heading levels in the editor so none are skipped.",
+    },
+    title3: {
+      contentType: "document",
+      effort: 1,
+      guidance:
+        "Set a meaningful title in the file's properties (File > Info > Title) and upload again.",
+    },
+    htmlTitle3: {
+      contentType: "html",
+      guidance: "Add a title element to the HTML page.",
+    },
+    languagePresence3: {
+      contentType: "document",
+      effort: 1,
+      guidance: "Set the document language (Review > Language in Word) and upload again.",
+    },
+    languageCorrect3: {
+      contentType: "document",
+      effort: 1,
+      guidance: "Correct the document language setting so it matches the text.",
+    },
+    htmlHasLang3: {
+      contentType: "html",
+      guidance: "Add a lang attribute to the HTML page's html element.",
+    },
+    htmlImageRedundantAlt3: {
+      contentType: "html",
+      guidance:
+        'Remove words such as "image of" from image descriptions; describe the content instead.',
+    },
+    htmlLinkName3: {
+      contentType: "html",
+      guidance:
+        'Rewrite link text so it says where the link goes, rather than "click here".',
+    },
+    htmlDefinitionList3: {
+      contentType: "html",
+      guidance: "Rebuild the list with the editor's list tools.",
+    },
+    htmlList3: {
+      contentType: "html",
+      guidance: "Rebuild the list with the editor's bulleted or numbered list tools.",
+    },
+    imageOcr3: {
+      contentType: "image",
+      guidance: "Provide the text shown in the image as real text next to it.",
+    },
+  };
+
   // ========================================================================
   // Helper Functions
   // ========================================================================
@@ -916,6 +1147,16 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
       }
     }
 
+    // Check all described issues have remediation guidance
+    for (var describedField in ISSUE_DESCRIPTIONS) {
+      if (
+        Object.prototype.hasOwnProperty.call(ISSUE_DESCRIPTIONS, describedField) &&
+        !ISSUE_REMEDIATION[describedField]
+      ) {
+        issues.push("Missing remediation guidance for issue: " + describedField);
+      }
+    }
+
     // Check file type mapping structure
     for (var catKey in FILE_TYPE_MAPPING) {
       if (Object.prototype.hasOwnProperty.call(FILE_TYPE_MAPPING, catKey)) {
@@ -932,6 +1173,51 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
     };
   }
 
+  /**
+   * Gets remediation metadata for an issue field
+   * Unknown fields fall back to a content type guessed from the field prefix
+   * @param {string} fieldName - The API field name (e.g., 'alternativeText2')
+   * @returns {Object} { contentType, contentTypeLabel, effort, guidance, quickWin }
+   *
+   * @example
+   * getIssueRemediation('htmlImageAlt2').quickWin;  // Returns: true
+   */
+  function getIssueRemediation(fieldName) {
+    var entry = ISSUE_REMEDIATION[fieldName] || {};
+    var contentType = entry.contentType;
+    if (!REMEDIATION_CONTENT_TYPES[contentType]) {
+      contentType = /^html/.test(fieldName)
+        ? "html"
+        : /^image/.test(fieldName)
+          ? "image"
+          : "document";
+    }
+    var type = REMEDIATION_CONTENT_TYPES[contentType];
+    var effort = typeof entry.effort === "number" ? entry.effort : type.effort;
+
+    return {
+      contentType: contentType,
+      contentTypeLabel: type.label,
+      effort: effort,
+      guidance:
+        entry.guidance ||
+        "Open Ally's instructor feedback for the affected items and follow its guidance.",
+      quickWin: effort <= QUICK_WIN_MAX_EFFORT,
+    };
+  }
+
+  /**
+   * Estimates the impact of fixing an issue type
+   * (severity weight x issue count x content type effort)
+   * @param {string} fieldName - The API field name
+   * @param {number} count - Number of items with the issue
+   * @returns {number} Impact score
+   */
+  function calculateRemediationImpact(fieldName, count) {
+    var weight = SEVERITY_WEIGHTS[getSeverityFromField(fieldName)] || 1;
+    return weight * (count || 0) * getIssueRemediation(fieldName).effort;
+  }
+
   /**
    * Gets debug information about the configuration
    * @returns {Object} Debug information
@@ -961,6 +1247,10 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
     SEVERITY_LEVELS: SEVERITY_LEVELS,
     SCORE_RATINGS: SCORE_RATINGS,
     EXCLUDED_ISSUES: EXCLUDED_ISSUES,
+    SEVERITY_WEIGHTS: SEVERITY_WEIGHTS,
+    REMEDIATION_CONTENT_TYPES: REMEDIATION_CONTENT_TYPES,
+    ISSUE_REMEDIATION: ISSUE_REMEDIATION,
+    QUICK_WIN_MAX_EFFORT: QUICK_WIN_MAX_EFFORT,
 
     // Core helper functions
     getSeverityFromField: getSeverityFromField,
@@ -971,6 +1261,7 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
     getFileTypeInfo: getFileTypeInfo,
     getScoreRating: getScoreRating,
     isExcludedIssue: isExcludedIssue,
+    getIssueRemediation: getIssueRemediation,
 
     // Category functions
     getCategoryNames: getCategoryNames,
@@ -981,6 +1272,7 @@ const ALLY_COURSE_REPORT_CONFIG = (function () {
     calculateSeverityTotals: calculateSeverityTotals,
     calculateIssuesBySeverity: calculateIssuesBySeverity,
     calculateFileTypeCounts: calculateFileTypeCounts,
+    calculateRemediationImpact: calculateRemediationImpact,
 
     // Validation and debug
     validateConfiguration: validateConfiguration,
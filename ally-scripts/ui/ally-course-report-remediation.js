@@ -0,0 +1,728 @@
+/**
+ * @fileoverview Ally Course Report - Remediation Plan
+ * @module AllyCourseReportRemediation
+ * @requires ALLY_COURSE_REPORT_CONFIG
+ * @requires ALLY_UI_MANAGER
+ * @requires ALLY_STATEMENT_PREVIEW_DOCX - Optional, for Word export
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Turns a Course Report's issue counts into a prioritised plan of attack.
+ * Each issue type is ranked by estimated impact - severity weight x items
+ * affected x content type effort (ALLY_COURSE_REPORT_CONFIG) - and split
+ * into quick wins and hard fixes, with fix guidance for each.
+ *
+ * Key Features:
+ * - Ranked plan grouped into quick wins and hard fixes
+ * - Fix guidance per issue type
+ * - Markdown checklist, CSV and Word (.docx) export
+ * - Word export uses real Heading styles via ALLY_STATEMENT_PREVIEW_DOCX
+ *
+ * Integration:
+ * - ally-course-report.js appends renderSection() after the issues section
+ * - buildPlan(), toMarkdown() and toCsv() are pure and exposed for testing
+ *
+ * @example
+ * var plan = ALLY_COURSE_REPORT_REMEDIATION.buildPlan(data.issues);
+ * console.log(plan.quickWins.length + " quick wins");
+ */
+
+const ALLY_COURSE_REPORT_REMEDIATION = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  var LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  var DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  var ENABLE_ALL_LOGGING = false;
+  var DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.error.apply(
+        console,
+        ["[AllyCourseReportRemediation] " + message].concat(args),
+      );
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.warn.apply(
+        console,
+        ["[AllyCourseReportRemediation] " + message].concat(args),
+      );
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyCourseReportRemediation] " + message].concat(args),
+      );
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyCourseReportRemediation] " + message].concat(args),
+      );
+    }
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  var GROUPS = [
+    {
+      key: "quickWins",
+      label: "Quick wins",
+      description:
+        "Low-effort fixes, mostly made directly in Blackboard or through Ally's feedback.",
+    },
+    {
+      key: "hardFixes",
+      label: "Hard fixes",
+      description:
+        "Fixes that need the source file corrected and uploaded again, or specialist work.",
+    },
+  ];
+
+  var SCORING_NOTE =
+    "Ranked by estimated impact: severity weight (severe 5, major 3, minor 1) × items affected × effort per item (1-5).";
+
+  // ========================================================================
+  // Plan Building (pure)
+  // ========================================================================
+
+  /**
+   * Builds a remediation plan from an issues row
+   * @param {Object} issuesData - Issues endpoint row (field -> count)
+   * @returns {Object} { items, quickWins, hardFixes, totals }
+   */
+  function buildPlan(issuesData) {
+    var config = ALLY_COURSE_REPORT_CONFIG;
+    var items = [];
+
+    Object.keys(issuesData || {}).forEach(function (field) {
+      var count = issuesData[field];
+      if (
+        !/\d$/.test(field) ||
+        typeof count !== "number" ||
+        count <= 0 ||
+        config.isExcludedIssue(field)
+      ) {
+        return;
+      }
+
+      var severity = config.getSeverityFromField(field);
+      var level = config.getSeverityLevel(severity) || {};
+      var remediation = config.getIssueRemediation(field);
+
+      items.push({
+        field: field,
+        description: config.getIssueDescription(field),
+        category: config.getCategoryForIssue(field) || "Other",
+        severity: severity,
+        severityLabel: level.label || "",
+        count: count,
+        contentType: remediation.contentType,
+        contentTypeLabel: remediation.contentTypeLabel,
+        effort: remediation.effort,
+        impact: config.calculateRemediationImpact(field, count),
+        guidance: remediation.guidance,
+        quickWin: remediation.quickWin,
+      });
+    });
+
+    items.sort(function (a, b) {
+      if (b.impact !== a.impact) return b.impact - a.impact;
+      if (a.severity !== b.severity) return a.severity - b.severity;
+      return b.count - a.count;
+    });
+
+    items.forEach(function (item, index) {
+      item.rank = index + 1;
+    });
+
+    return {
+      items: items,
+      quickWins: items.filter(function (item) {
+        return item.quickWin;
+      }),
+      hardFixes: items.filter(function (item) {
+        return !item.quickWin;
+      }),
+      totals: {
+        issueTypes: items.length,
+        items: items.reduce(function (sum, item) {
+          return sum + item.count;
+        }, 0),
+        impact: items.reduce(function (sum, item) {
+          return sum + item.impact;
+        }, 0),
+      },
+    };
+  }
+
+  // ========================================================================
+  // Text Exports (pure)
+  // ========================================================================
+
+  function formatDate(date) {
+    return date.toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    });
+  }
+
+  function planTitle(meta) {
+    return "Remediation plan: " + ((meta && meta.courseName) || "Module");
+  }
+
+  function planSummary(plan) {
+    return (
+      plan.totals.issueTypes +
+      " issue types affecting " +
+      plan.totals.items.toLocaleString() +
+      " items: " +
+      plan.quickWins.length +
+      " quick wins, " +
+      plan.hardFixes.length +
+      " hard fixes."
+    );
+  }
+
+  /**
+   * Renders the plan as a Markdown checklist
+   * @param {Object} plan - From buildPlan()
+   * @param {Object} [meta] - { courseName, courseCode, generatedAt }
+   * @returns {string}
+   */
+  function toMarkdown(plan, meta) {
+    meta = meta || {};
+    var lines = [
+      "# " + planTitle(meta),
+      "",
+      "Generated " + formatDate(meta.generatedAt || new Date()) + ". " + planSummary(plan),
+      "",
+      SCORING_NOTE,
+    ];
+
+    GROUPS.forEach(function (group) {
+      var list = plan[group.key];
+      lines.push("", "## " + group.label + " (" + list.length + ")", "");
+      if (list.length === 0) {
+        lines.push("Nothing in this group.");
+        return;
+      }
+      list.forEach(function (item) {
+        lines.push(
+          "- [ ] **" +
+            item.rank +
+            ". " +
+            item.description +
+            "** " +
+            item.count.toLocaleString() +
+            (item.count === 1 ? " item" : " items") +
+            " · " +
+            item.severityLabel +
+            " · " +
+            item.contentTypeLabel +
+            " · effort " +
+            item.effort +
+            " · impact " +
+            item.impact.toLocaleString(),
+          "  - How to fix: " + item.guidance,
+        );
+      });
+    });
+
+    return lines.join("\n") + "\n";
+  }
+
+  function csvCell(cell) {
+    var str = String(cell);
+    if (
+      str.indexOf(",") !== -1 ||
+      str.indexOf('"') !== -1 ||
+      str.indexOf("\n") !== -1
+    ) {
+      return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+  }
+
+  /**
+   * Renders the plan as CSV, one row per issue type in rank order
+   * @param {Object} plan - From buildPlan()
+   * @returns {string}
+   */
+  function toCsv(plan) {
+    var rows = [
+      [
+        "Rank",
+        "Group",
+        "Issue",
+        "Issue Field",
+        "Category",
+        "Severity",
+        "Items Affected",
+        "Content Type",
+        "Effort",
+        "Impact Score",
+        "How to Fix",
+        "Done",
+      ],
+    ];
+
+    plan.items.forEach(function (item) {
+      rows.push([
+        item.rank,
+        item.quickWin ? "Quick win" : "Hard fix",
+        item.description,
+        item.field,
+        item.category,
+        item.severityLabel,
+        item.count,
+        item.contentTypeLabel,
+        item.effort,
+        item.impact,
+        item.guidance,
+        "",
+      ]);
+    });
+
+    return rows
+      .map(function (row) {
+        return row.map(csvCell).join(",");
+      })
+      .join("\n");
+  }
+
+  // ========================================================================
+  // Word Export
+  // ========================================================================
+
+  /**
+   * Builds and downloads the plan as a .docx with real Word headings
+   * @param {Object} plan - From buildPlan()
+   * @param {Object} meta - { courseName, courseCode }
+   * @returns {Promise<boolean>}
+   */
+  function downloadDocx(plan, meta) {
+    if (typeof ALLY_STATEMENT_PREVIEW_DOCX === "undefined") {
+      return Promise.reject(new Error("Word export is not available"));
+    }
+
+    return ALLY_STATEMENT_PREVIEW_DOCX.ensureLibraryLoaded()
+      .then(function () {
+        var docx = window.docx;
+        var paragraphs = [
+          new docx.Paragraph({
+            heading: docx.HeadingLevel.TITLE,
+            text: planTitle(meta),
+          }),
+          new docx.Paragraph({
+            text: "Generated " + formatDate(new Date()) + ". " + planSummary(plan),
+          }),
+          new docx.Paragraph({ text: SCORING_NOTE }),
+        ];
+
+        function labelled(label, value) {
+          return [
+            new docx.TextRun({ text: label + ": ", bold: true }),
+            new docx.TextRun(String(value)),
+          ];
+        }
+
+        GROUPS.forEach(function (group) {
+          var list = plan[group.key];
+          paragraphs.push(
+            new docx.Paragraph({
+              heading: docx.HeadingLevel.HEADING_1,
+              text: group.label + " (" + list.length + ")",
+            }),
+            new docx.Paragraph({ text: group.description }),
+          );
+
+          list.forEach(function (item) {
+            paragraphs.push(
+              new docx.Paragraph({
+                heading: docx.HeadingLevel.HEADING_2,
+                text: item.rank + ". " + item.description,
+              }),
+              new docx.Paragraph({
+                children: labelled("Items affected", item.count)
+                  .concat(new docx.TextRun("   "))
+                  .concat(labelled("Severity", item.severityLabel))
+                  .concat(new docx.TextRun("   "))
+                  .concat(labelled("Impact score", item.impact)),
+              }),
+              new docx.Paragraph({
+                children: labelled("Content", item.contentTypeLabel)
+                  .concat(new docx.TextRun("   "))
+                  .concat(labelled("Effort", item.effort + " of 5")),
+              }),
+              new docx.Paragraph({
+                children: labelled("How to fix", item.guidance),
+              }),
+              new docx.Paragraph({ text: "☐ Done" }),
+            );
+          });
+        });
+
+        var doc = new docx.Document({
+          styles: ALLY_STATEMENT_PREVIEW_DOCX.DOCUMENT_STYLES,
+          sections: [{ children: paragraphs }],
+        });
+        return docx.Packer.toBlob(doc);
+      })
+      .then(function (blob) {
+        ALLY_STATEMENT_PREVIEW_DOCX.triggerDownload(
+          blob,
+          buildFilename(meta, "docx"),
+        );
+        logInfo("Word remediation plan downloaded");
+        return true;
+      });
+  }
+
+  // ========================================================================
+  // DOM Helpers
+  // ========================================================================
+
+  /**
+   * Creates an HTML element with attributes
+   * @param {string} tag - Element tag name
+   * @param {Object} attrs - Attributes to set
+   * @param {string|Array} children - Text content or child elements
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, attrs, children) {
+    var el = document.createElement(tag);
+
+    if (attrs) {
+      for (var key in attrs) {
+        if (Object.prototype.hasOwnProperty.call(attrs, key)) {
+          if (key === "className") {
+            el.className = attrs[key];
+          } else if (key === "dataset") {
+            for (var dataKey in attrs[key]) {
+              if (Object.prototype.hasOwnProperty.call(attrs[key], dataKey)) {
+                el.dataset[dataKey] = attrs[key][dataKey];
+              }
+            }
+          } else if (key.startsWith("aria")) {
+            el.setAttribute(
+              key.replace(/([A-Z])/g, "-$1").toLowerCase(),
+              attrs[key],
+            );
+          } else {
+            el.setAttribute(key, attrs[key]);
+          }
+        }
+      }
+    }
+
+    if (children) {
+      if (typeof children === "string") {
+        el.textContent = children;
+      } else if (Array.isArray(children)) {
+        children.forEach(function (child) {
+          if (child) {
+            if (typeof child === "string") {
+              el.appendChild(document.createTextNode(child));
+            } else {
+              el.appendChild(child);
+            }
+          }
+        });
+      }
+    }
+
+    return el;
+  }
+
+  function announce(message) {
+    if (typeof ALLY_UI_MANAGER !== "undefined") {
+      ALLY_UI_MANAGER.announce(message);
+    }
+  }
+
+  function buildFilename(meta, extension) {
+    var base = String((meta && (meta.courseCode || meta.courseName)) || "course")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .substring(0, 50);
+    return "remediation-plan-" + (base || "course") + "." + extension;
+  }
+
+  /**
+   * Downloads a text file
+   * @param {string} content - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  function downloadFile(content, filename, mimeType) {
+    var blob = new Blob([content], { type: mimeType + ";charset=utf-8" });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // ========================================================================
+  // Rendering
+  // ========================================================================
+
+  /**
+   * Renders one group of the plan as a table
+   * @param {Object} group - Entry from GROUPS
+   * @param {Array<Object>} list - Plan items in the group
+   * @returns {DocumentFragment}
+   */
+  function renderGroup(group, list) {
+    var fragment = document.createDocumentFragment();
+    var headingId = "ally-cr-plan-" + group.key + "-heading";
+
+    fragment.appendChild(
+      createElement(
+        "h5",
+        { id: headingId, className: "ally-cr-subsection-heading" },
+        group.label + " (" + list.length + ")",
+      ),
+    );
+    fragment.appendChild(
+      createElement("p", { className: "ally-cr-file-category-desc" }, group.description),
+    );
+
+    if (list.length === 0) {
+      fragment.appendChild(
+        createElement("p", { className: "ally-cr-no-issues" }, "Nothing in this group."),
+      );
+      return fragment;
+    }
+
+    var wrapper = createElement("div", { className: "ally-cr-table-wrapper" });
+    var table = createElement("table", {
+      className: "ally-cr-issue-table ally-cr-plan-table sortable-table",
+      ariaLabelledby: headingId,
+    });
+
+    var headerRow = createElement("tr");
+    [
+      { label: "Rank", numeric: true },
+      { label: "Issue" },
+      { label: "Severity" },
+      { label: "Items", numeric: true },
+      { label: "Content" },
+      { label: "Effort", numeric: true },
+      { label: "Impact", numeric: true },
+      { label: "How to fix" },
+    ].forEach(function (column) {
+      var attrs = { scope: "col" };
+      if (column.numeric) {
+        attrs.className = "ally-cr-count-col";
+        attrs["data-type"] = "number";
+      }
+      headerRow.appendChild(createElement("th", attrs, column.label));
+    });
+    table.appendChild(createElement("thead", {}, [headerRow]));
+
+    var tbody = createElement("tbody");
+    list.forEach(function (item) {
+      var level = ALLY_COURSE_REPORT_CONFIG.getSeverityLevel(item.severity) || {};
+      tbody.appendChild(
+        createElement("tr", {}, [
+          createElement("td", { className: "ally-cr-count-col" }, String(item.rank)),
+          createElement("th", { scope: "row" }, item.description),
+          createElement("td", {}, [
+            createElement(
+              "span",
+              { className: "ally-cr-mini-badge " + (level.cssClass || "") },
+              item.severityLabel,
+            ),
+          ]),
+          createElement(
+            "td",
+            { className: "ally-cr-count-col" },
+            item.count.toLocaleString(),
+          ),
+          createElement("td", {}, item.contentTypeLabel),
+          createElement("td", { className: "ally-cr-count-col" }, String(item.effort)),
+          createElement(
+            "td",
+            { className: "ally-cr-count-col" },
+            item.impact.toLocaleString(),
+          ),
+          createElement("td", { className: "ally-cr-plan-guidance" }, item.guidance),
+        ]),
+      );
+    });
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    fragment.appendChild(wrapper);
+    return fragment;
+  }
+
+  /**
+   * Renders the export buttons for the plan
+   * @param {Object} plan - From buildPlan()
+   * @param {Object} meta - { courseName, courseCode }
+   * @returns {HTMLElement}
+   */
+  function renderExportActions(plan, meta) {
+    var actions = createElement("div", {
+      className: "ally-cr-export-actions ally-cr-plan-actions",
+    });
+
+    function addButton(label, handler) {
+      var button = createElement(
+        "button",
+        { type: "button", className: "ally-secondary-btn" },
+        [
+          createElement("span", {
+            ariaHidden: "true",
+            dataset: { icon: "download" },
+          }),
+          " " + label,
+        ],
+      );
+      button.addEventListener("click", function () {
+        handler(button);
+      });
+      actions.appendChild(button);
+    }
+
+    addButton("Export Markdown checklist", function () {
+      downloadFile(
+        toMarkdown(plan, meta),
+        buildFilename(meta, "md"),
+        "text/markdown",
+      );
+      announce("Remediation plan downloaded as Markdown");
+    });
+
+    addButton("Export CSV", function () {
+      downloadFile(toCsv(plan), buildFilename(meta, "csv"), "text/csv");
+      announce("Remediation plan downloaded as CSV");
+    });
+
+    addButton("Export Word", function (button) {
+      button.disabled = true;
+      button.setAttribute("aria-busy", "true");
+      downloadDocx(plan, meta)
+        .then(function () {
+          announce("Remediation plan downloaded as a Word document");
+        })
+        .catch(function (error) {
+          logError("Word export failed:", error);
+          announce("Word export failed: " + error.message);
+        })
+        .then(function () {
+          button.disabled = false;
+          button.removeAttribute("aria-busy");
+        });
+    });
+
+    return actions;
+  }
+
+  /**
+   * Renders the "Remediation Plan" section of the Course Report
+   * @param {Object} data - Report data { overall, issues }
+   * @returns {HTMLElement}
+   */
+  function renderSection(data) {
+    var overall = (data && data.overall) || {};
+    var meta = {
+      courseName: overall.courseName,
+      courseCode: overall.courseCode,
+    };
+    var plan = buildPlan(data && data.issues);
+
+    var section = createElement("section", {
+      className: "ally-cr-section ally-cr-plan-section",
+      ariaLabelledby: "ally-cr-plan-heading",
+    });
+    section.appendChild(
+      createElement(
+        "h4",
+        { id: "ally-cr-plan-heading", className: "ally-cr-section-heading" },
+        "Remediation Plan",
+      ),
+    );
+
+    if (plan.items.length === 0) {
+      section.appendChild(
+        createElement(
+          "p",
+          { className: "ally-cr-no-issues" },
+          "No accessibility issues to plan for.",
+        ),
+      );
+      return section;
+    }
+
+    section.appendChild(createElement("p", {}, planSummary(plan)));
+    section.appendChild(
+      createElement("p", { className: "ally-cr-file-category-desc" }, SCORING_NOTE),
+    );
+
+    GROUPS.forEach(function (group) {
+      section.appendChild(renderGroup(group, plan[group.key]));
+    });
+
+    section.appendChild(renderExportActions(plan, meta));
+
+    logDebug(
+      "Remediation plan rendered: " +
+        plan.quickWins.length +
+        " quick wins, " +
+        plan.hardFixes.length +
+        " hard fixes",
+    );
+    return section;
+  }
+
+  logInfo("ALLY_COURSE_REPORT_REMEDIATION initialised");
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  return {
+    renderSection: renderSection,
+    downloadDocx: downloadDocx,
+
+    // Pure helpers (exposed for testing)
+    buildPlan: buildPlan,
+    toMarkdown: toMarkdown,
+    toCsv: toCsv,
+  };
+})();
@@ -0,0 +1,1056 @@
+/**
+ * @fileoverview Ally Course Report - Snapshots and Trends
+ * @module AllyCourseReportTrends
+ * @requires ALLY_SNAPSHOTS
+ * @requires ALLY_COURSE_REPORT_CONFIG
+ * @requires ALLY_CONFIG
+ * @requires ALLY_UI_MANAGER
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Adds a "Progress Over Time" section to the Course Report. Compares the
+ * current report with any saved snapshot (ALLY_SNAPSHOTS) and charts the
+ * module's scores across every snapshot.
+ *
+ * Key Features:
+ * - Score deltas (overall, files, WYSIWYG) in percentage points
+ * - Issues fixed and issues introduced, by issue type and severity
+ * - New files, overall and by file type
+ * - Line chart of scores over time, with a data table
+ * - JSON export/import of snapshots to share a baseline
+ *
+ * Integration:
+ * - ally-course-report.js records a snapshot after each fresh fetch and
+ *   appends renderSection() to the report
+ * - Comparison functions are pure and exposed for testing
+ *
+ * @example
+ * var diff = ALLY_COURSE_REPORT_TRENDS.compareResults(snapshot.data, reportData);
+ * console.log(diff.issues.fixedTotal + " issues fixed");
+ */
+
+const ALLY_COURSE_REPORT_TRENDS = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  var LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  var DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  var ENABLE_ALL_LOGGING = false;
+  var DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.error.apply(
+        console,
+        ["[AllyCourseReportTrends] " + message].concat(args),
+      );
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.warn.apply(
+        console,
+        ["[AllyCourseReportTrends] " + message].concat(args),
+      );
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyCourseReportTrends] " + message].concat(args),
+      );
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyCourseReportTrends] " + message].concat(args),
+      );
+    }
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  /** Score fields compared and charted */
+  var SCORE_FIELDS = [
+    { key: "overallScore", label: "Overall" },
+    { key: "filesScore", label: "Files" },
+    { key: "WYSIWYGScore", label: "WYSIWYG" },
+  ];
+
+  /** Severity number (field suffix) to name */
+  var SEVERITY_NAMES = { 1: "severe", 2: "major", 3: "minor" };
+
+  var CHART_ID = "ally-cr-trends-chart";
+
+  // ========================================================================
+  // State
+  // ========================================================================
+
+  /** @type {Chart|null} Score history chart instance */
+  var chartInstance = null;
+
+  // ========================================================================
+  // Comparison (pure)
+  // ========================================================================
+
+  function toScore(value) {
+    return typeof value === "number" && !isNaN(value) ? value : null;
+  }
+
+  /**
+   * Issue fields present in an issues row (suffix 1-3, numeric, not excluded)
+   * @param {Object} issues
+   * @returns {string[]}
+   */
+  function issueFields(issues) {
+    return Object.keys(issues || {}).filter(function (field) {
+      return (
+        /[123]$/.test(field) &&
+        typeof issues[field] === "number" &&
+        !ALLY_COURSE_REPORT_CONFIG.isExcludedIssue(field)
+      );
+    });
+  }
+
+  /**
+   * Compares a baseline report result with the current one
+   * @param {Object} baseline - { overall, issues } from a snapshot
+   * @param {Object} current - { overall, issues } from the report
+   * @returns {Object} { scores, issues, files }
+   */
+  function compareResults(baseline, current) {
+    var beforeOverall = (baseline && baseline.overall) || {};
+    var afterOverall = (current && current.overall) || {};
+    var beforeIssues = (baseline && baseline.issues) || {};
+    var afterIssues = (current && current.issues) || {};
+
+    // Scores
+    var scores = SCORE_FIELDS.map(function (field) {
+      var before = toScore(beforeOverall[field.key]);
+      var after = toScore(afterOverall[field.key]);
+      return {
+        key: field.key,
+        label: field.label,
+        before: before,
+        after: after,
+        delta: before !== null && after !== null ? after - before : null,
+      };
+    });
+
+    // Issues
+    var seen = {};
+    var fixed = [];
+    var introduced = [];
+    issueFields(beforeIssues)
+      .concat(issueFields(afterIssues))
+      .forEach(function (field) {
+        if (seen[field]) return;
+        seen[field] = true;
+
+        var before = beforeIssues[field] || 0;
+        var after = afterIssues[field] || 0;
+        if (before === after) return;
+
+        var severity = ALLY_COURSE_REPORT_CONFIG.getSeverityFromField(field);
+        var entry = {
+          field: field,
+          description: ALLY_COURSE_REPORT_CONFIG.getIssueDescription(field),
+          severity: SEVERITY_NAMES[severity] || "major",
+          severityLevel: severity,
+          before: before,
+          after: after,
+          change: Math.abs(after - before),
+        };
+        (after < before ? fixed : introduced).push(entry);
+      });
+
+    function bySeverityThenChange(a, b) {
+      if (a.severityLevel !== b.severityLevel) {
+        return a.severityLevel - b.severityLevel;
+      }
+      return b.change - a.change;
+    }
+    fixed.sort(bySeverityThenChange);
+    introduced.sort(bySeverityThenChange);
+
+    function sumChange(list) {
+      return list.reduce(function (sum, entry) {
+        return sum + entry.change;
+      }, 0);
+    }
+
+    // Files
+    var filesBefore = beforeOverall.totalFiles || 0;
+    var filesAfter = afterOverall.totalFiles || 0;
+    var wysiwygBefore = beforeOverall.totalWYSIWYG || 0;
+    var wysiwygAfter = afterOverall.totalWYSIWYG || 0;
+
+    var byType = [];
+    var mapping = ALLY_COURSE_REPORT_CONFIG.FILE_TYPE_MAPPING;
+    Object.keys(mapping).forEach(function (categoryKey) {
+      var types = mapping[categoryKey].types;
+      Object.keys(types).forEach(function (typeKey) {
+        var apiField = types[typeKey].apiField;
+        var before = beforeOverall[apiField] || 0;
+        var after = afterOverall[apiField] || 0;
+        if (before !== after) {
+          byType.push({
+            key: typeKey,
+            label: types[typeKey].label,
+            before: before,
+            after: after,
+            delta: after - before,
+          });
+        }
+      });
+    });
+
+    return {
+      scores: scores,
+      issues: {
+        fixed: fixed,
+        introduced: introduced,
+        fixedTotal: sumChange(fixed),
+        introducedTotal: sumChange(introduced),
+        before: ALLY_COURSE_REPORT_CONFIG.calculateSeverityTotals(beforeIssues),
+        after: ALLY_COURSE_REPORT_CONFIG.calculateSeverityTotals(afterIssues),
+      },
+      files: {
+        before: filesBefore,
+        after: filesAfter,
+        newFiles: Math.max(0, filesAfter - filesBefore),
+        removedFiles: Math.max(0, filesBefore - filesAfter),
+        wysiwygBefore: wysiwygBefore,
+        wysiwygAfter: wysiwygAfter,
+        byType: byType,
+      },
+    };
+  }
+
+  /**
+   * Turns snapshots into chart series (scores as percentages)
+   * @param {Array<Object>} snapshots - Oldest first
+   * @returns {{labels: string[], series: Object.<string, Array<number|null>>}}
+   */
+  function buildScoreHistory(snapshots) {
+    var series = {};
+    SCORE_FIELDS.forEach(function (field) {
+      series[field.key] = [];
+    });
+
+    var labels = (snapshots || []).map(function (snapshot) {
+      var overall = (snapshot.data && snapshot.data.overall) || {};
+      SCORE_FIELDS.forEach(function (field) {
+        var score = toScore(overall[field.key]);
+        series[field.key].push(
+          score === null ? null : Math.round(score * 1000) / 10,
+        );
+      });
+      return formatDate(snapshot.takenAt);
+    });
+
+    return { labels: labels, series: series };
+  }
+
+  // ========================================================================
+  // Formatting
+  // ========================================================================
+
+  function formatDate(iso) {
+    var date = new Date(iso);
+    if (isNaN(date.getTime())) return String(iso || "");
+    return date.toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+    });
+  }
+
+  function formatScore(score) {
+    return ALLY_CONFIG.formatScoreAsPercentage(score);
+  }
+
+  /**
+   * Formats a score delta in percentage points, e.g. "+5.2 points"
+   * @param {number|null} delta - Difference of two 0-1 scores
+   * @returns {string}
+   */
+  function formatDelta(delta) {
+    if (delta === null) return "N/A";
+    var points = Math.round(delta * 1000) / 10;
+    if (points === 0) return "No change";
+    return (points > 0 ? "+" : "−") + Math.abs(points).toFixed(1) + " points";
+  }
+
+  function formatCountDelta(delta) {
+    if (delta === 0) return "0";
+    return (delta > 0 ? "+" : "−") + Math.abs(delta).toLocaleString();
+  }
+
+  // ========================================================================
+  // DOM Helpers
+  // ========================================================================
+
+  /**
+   * Creates an HTML element with attributes
+   * @param {string} tag - Element tag name
+   * @param {Object} attrs - Attributes to set
+   * @param {string|Array} children - Text content or child elements
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, attrs, children) {
+    var el = document.createElement(tag);
+
+    if (attrs) {
+      for (var key in attrs) {
+        if (Object.prototype.hasOwnProperty.call(attrs, key)) {
+          if (key === "className") {
+            el.className = attrs[key];
+          } else if (key === "dataset") {
+            for (var dataKey in attrs[key]) {
+              if (Object.prototype.hasOwnProperty.call(attrs[key], dataKey)) {
+                el.dataset[dataKey] = attrs[key][dataKey];
+              }
+            }
+          } else if (key.startsWith("aria")) {
+            el.setAttribute(
+              key.replace(/([A-Z])/g, "-$1").toLowerCase(),
+              attrs[key],
+            );
+          } else {
+            el.setAttribute(key, attrs[key]);
+          }
+        }
+      }
+    }
+
+    if (children) {
+      if (typeof children === "string") {
+        el.textContent = children;
+      } else if (Array.isArray(children)) {
+        children.forEach(function (child) {
+          if (child) {
+            if (typeof child === "string") {
+              el.appendChild(document.createTextNode(child));
+            } else {
+              el.appendChild(child);
+            }
+          }
+        });
+      }
+    }
+
+    return el;
+  }
+
+  function announce(message) {
+    if (typeof ALLY_UI_MANAGER !== "undefined") {
+      ALLY_UI_MANAGER.announce(message);
+    }
+  }
+
+  /**
+   * Downloads a file
+   * @param {string} content - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  function downloadFile(content, filename, mimeType) {
+    var blob = new Blob([content], { type: mimeType + ";charset=utf-8" });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Builds a simple table with a caption-less heading reference
+   * @param {string} labelledBy - Heading id
+   * @param {Array<{label: string, numeric: boolean}>} columns
+   * @param {Array<Array<string|HTMLElement>>} rows
+   * @returns {HTMLElement} Table wrapper
+   */
+  function buildTable(labelledBy, columns, rows) {
+    var wrapper = createElement("div", { className: "ally-cr-table-wrapper" });
+    var table = createElement("table", {
+      className: "ally-cr-file-table ally-cr-trends-table sortable-table",
+      ariaLabelledby: labelledBy,
+    });
+
+    var headerRow = createElement("tr");
+    columns.forEach(function (column) {
+      var attrs = { scope: "col" };
+      if (column.numeric) {
+        attrs.className = "ally-cr-count-col";
+        attrs["data-type"] = "number";
+      }
+      headerRow.appendChild(createElement("th", attrs, column.label));
+    });
+    table.appendChild(createElement("thead", {}, [headerRow]));
+
+    var tbody = createElement("tbody");
+    rows.forEach(function (cells) {
+      var row = createElement("tr");
+      cells.forEach(function (cell, index) {
+        var attrs = columns[index].numeric
+          ? { className: "ally-cr-count-col" }
+          : {};
+        row.appendChild(
+          createElement("td", attrs, typeof cell === "string" ? cell : [cell]),
+        );
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  function enhanceTables(container) {
+    if (typeof AccessibleSortableTable === "undefined") return;
+    container.querySelectorAll("table.sortable-table").forEach(function (table) {
+      try {
+        new AccessibleSortableTable(table);
+      } catch (e) {
+        logWarn("Failed to enhance table:", e.message);
+      }
+    });
+  }
+
+  // ========================================================================
+  // Rendering
+  // ========================================================================
+
+  /**
+   * Renders a comparison between a snapshot and the current report
+   * @param {Object} snapshot - Baseline snapshot
+   * @param {Object} current - Current report data
+   * @returns {DocumentFragment}
+   */
+  function renderComparison(snapshot, current) {
+    var diff = compareResults(snapshot.data, current);
+    var fragment = document.createDocumentFragment();
+
+    fragment.appendChild(
+      createElement(
+        "p",
+        { className: "ally-cr-trends-summary" },
+        "Compared with " +
+          formatDate(snapshot.takenAt) +
+          ": " +
+          diff.issues.fixedTotal.toLocaleString() +
+          " issues fixed, " +
+          diff.issues.introducedTotal.toLocaleString() +
+          " introduced, " +
+          diff.files.newFiles.toLocaleString() +
+          " new files.",
+      ),
+    );
+
+    // Scores
+    fragment.appendChild(
+      createElement(
+        "h5",
+        { id: "ally-cr-trends-scores-heading", className: "ally-cr-file-category-heading" },
+        "Score changes",
+      ),
+    );
+    fragment.appendChild(
+      buildTable(
+        "ally-cr-trends-scores-heading",
+        [
+          { label: "Score" },
+          { label: "Snapshot", numeric: true },
+          { label: "Now", numeric: true },
+          { label: "Change", numeric: true },
+        ],
+        diff.scores.map(function (score) {
+          return [
+            score.label,
+            formatScore(score.before),
+            formatScore(score.after),
+            formatDelta(score.delta),
+          ];
+        }),
+      ),
+    );
+
+    // Issues fixed / introduced
+    [
+      {
+        id: "ally-cr-trends-fixed-heading",
+        title: "Issues fixed",
+        list: diff.issues.fixed,
+        empty: "No issue counts went down.",
+      },
+      {
+        id: "ally-cr-trends-introduced-heading",
+        title: "Issues introduced",
+        list: diff.issues.introduced,
+        empty: "No issue counts went up.",
+      },
+    ].forEach(function (group) {
+      fragment.appendChild(
+        createElement(
+          "h5",
+          { id: group.id, className: "ally-cr-file-category-heading" },
+          group.title +
+            " (" +
+            group.list.length +
+            (group.list.length === 1 ? " issue type)" : " issue types)"),
+        ),
+      );
+      if (group.list.length === 0) {
+        fragment.appendChild(createElement("p", {}, group.empty));
+        return;
+      }
+      fragment.appendChild(
+        buildTable(
+          group.id,
+          [
+            { label: "Severity" },
+            { label: "Issue" },
+            { label: "Snapshot", numeric: true },
+            { label: "Now", numeric: true },
+          ],
+          group.list.map(function (entry) {
+            var level =
+              ALLY_COURSE_REPORT_CONFIG.getSeverityLevel(entry.severityLevel) ||
+              {};
+            return [
+              createElement(
+                "span",
+                { className: "ally-cr-mini-badge ally-severity-" + entry.severity },
+                level.label || entry.severity,
+              ),
+              entry.description,
+              entry.before.toLocaleString(),
+              entry.after.toLocaleString(),
+            ];
+          }),
+        ),
+      );
+    });
+
+    // Files
+    fragment.appendChild(
+      createElement(
+        "h5",
+        { id: "ally-cr-trends-files-heading", className: "ally-cr-file-category-heading" },
+        "Content changes",
+      ),
+    );
+    var filesRows = [
+      [
+        "Total files",
+        diff.files.before.toLocaleString(),
+        diff.files.after.toLocaleString(),
+        formatCountDelta(diff.files.after - diff.files.before),
+      ],
+      [
+        "WYSIWYG content",
+        diff.files.wysiwygBefore.toLocaleString(),
+        diff.files.wysiwygAfter.toLocaleString(),
+        formatCountDelta(diff.files.wysiwygAfter - diff.files.wysiwygBefore),
+      ],
+    ].concat(
+      diff.files.byType.map(function (type) {
+        return [
+          type.label,
+          type.before.toLocaleString(),
+          type.after.toLocaleString(),
+          formatCountDelta(type.delta),
+        ];
+      }),
+    );
+    fragment.appendChild(
+      buildTable(
+        "ally-cr-trends-files-heading",
+        [
+          { label: "Content" },
+          { label: "Snapshot", numeric: true },
+          { label: "Now", numeric: true },
+          { label: "Change", numeric: true },
+        ],
+        filesRows,
+      ),
+    );
+
+    return fragment;
+  }
+
+  /**
+   * Destroys the score history chart, if any
+   */
+  function destroyChart() {
+    if (chartInstance) {
+      try {
+        chartInstance.destroy();
+      } catch (e) {
+        logWarn("Error destroying chart:", e.message);
+      }
+      chartInstance = null;
+    }
+  }
+
+  /**
+   * Renders the score history line chart and its data table
+   * @param {Array<Object>} snapshots - Oldest first
+   * @returns {HTMLElement}
+   */
+  function renderHistory(snapshots) {
+    var history = buildScoreHistory(snapshots);
+    var container = createElement("div", { className: "ally-cr-trends-history" });
+
+    var headingId = "ally-cr-trends-history-heading";
+    container.appendChild(
+      createElement(
+        "h5",
+        { id: headingId, className: "ally-cr-file-category-heading" },
+        "Scores over time",
+      ),
+    );
+
+    var description =
+      "Line chart of the overall, files and WYSIWYG accessibility scores across " +
+      snapshots.length +
+      " snapshots, from " +
+      history.labels[0] +
+      " to " +
+      history.labels[history.labels.length - 1] +
+      ".";
+
+    if (typeof Chart !== "undefined") {
+      var descId = CHART_ID + "-desc";
+      container.appendChild(
+        createElement(
+          "p",
+          { className: "ally-chart-description visually-hidden", id: descId },
+          description,
+        ),
+      );
+      var chartContainer = createElement("div", {
+        className: "chart-container ally-cr-chart-container ally-cr-trends-chart",
+        id: CHART_ID,
+        role: "figure",
+        ariaDescribedby: descId,
+      });
+      var canvas = createElement("canvas", {
+        id: CHART_ID + "-canvas",
+        width: "600",
+        height: "320",
+      });
+      chartContainer.appendChild(canvas);
+      container.appendChild(chartContainer);
+
+      var config = {
+        type: "line",
+        data: {
+          labels: history.labels,
+          datasets: SCORE_FIELDS.map(function (field) {
+            return {
+              label: field.label + " score (%)",
+              data: history.series[field.key],
+              spanGaps: true,
+              tension: 0,
+            };
+          }),
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            title: { display: true, text: "Accessibility Scores Over Time" },
+            legend: { display: true, position: "bottom" },
+          },
+          scales: {
+            y: { min: 0, max: 100, title: { display: true, text: "Score (%)" } },
+          },
+        },
+      };
+      chartContainer.setAttribute(
+        "data-chart-code",
+        encodeURIComponent(JSON.stringify(config)),
+      );
+
+      // Chart.js needs the canvas in the document
+      setTimeout(function () {
+        if (!canvas.isConnected) return;
+        try {
+          destroyChart();
+          chartInstance = new Chart(canvas, config);
+          chartContainer.setAttribute("data-ally-managed", "true");
+          if (
+            typeof ChartControls !== "undefined" &&
+            ChartControls.addControlsToContainer
+          ) {
+            ChartControls.addControlsToContainer(chartContainer, CHART_ID);
+            chartContainer.setAttribute("data-has-chart-controls", "true");
+          }
+        } catch (e) {
+          logWarn("Failed to render score history chart:", e.message);
+        }
+      }, 50);
+    }
+
+    // The data table is always present: it is the chart's text alternative
+    var details = createElement("details", { className: "ally-cr-trends-data" });
+    details.appendChild(createElement("summary", {}, "Score history data"));
+    details.appendChild(
+      buildTable(
+        headingId,
+        [
+          { label: "Date" },
+          { label: "Overall", numeric: true },
+          { label: "Files", numeric: true },
+          { label: "WYSIWYG", numeric: true },
+          { label: "Source" },
+        ],
+        snapshots.map(function (snapshot) {
+          var overall = snapshot.data.overall || {};
+          return [
+            formatDate(snapshot.takenAt),
+            formatScore(toScore(overall.overallScore)),
+            formatScore(toScore(overall.filesScore)),
+            formatScore(toScore(overall.WYSIWYGScore)),
+            snapshot.source === "import" ? "Imported" : "Report",
+          ];
+        }),
+      ),
+    );
+    container.appendChild(details);
+
+    return container;
+  }
+
+  /**
+   * Renders the export/import controls
+   * @param {Object} course - { id, name }
+   * @param {Function} onImported - Called after a successful import
+   * @returns {HTMLElement}
+   */
+  function renderTransferActions(course, onImported) {
+    var actions = createElement("div", {
+      className: "ally-cr-export-actions ally-cr-trends-actions",
+    });
+
+    function exportButton(label, courseId, filename) {
+      var button = createElement(
+        "button",
+        { type: "button", className: "ally-secondary-btn" },
+        [
+          createElement("span", {
+            ariaHidden: "true",
+            dataset: { icon: "download" },
+          }),
+          " " + label,
+        ],
+      );
+      button.addEventListener("click", function () {
+        ALLY_SNAPSHOTS.exportSnapshots(courseId)
+          .then(function (payload) {
+            downloadFile(
+              JSON.stringify(payload, null, 2),
+              filename,
+              "application/json",
+            );
+            announce(
+              "Exported " + payload.snapshots.length + " snapshots as JSON",
+            );
+          })
+          .catch(function (error) {
+            logError("Export failed:", error);
+            announce("Snapshot export failed: " + error.message);
+          });
+      });
+      return button;
+    }
+
+    actions.appendChild(
+      exportButton(
+        "Export module snapshots",
+        course.id,
+        "ally-snapshots-" +
+          String(course.code || course.id)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-") +
+          ".json",
+      ),
+    );
+    actions.appendChild(
+      exportButton("Export all snapshots", null, "ally-snapshots-all.json"),
+    );
+
+    var fileInput = createElement("input", {
+      type: "file",
+      accept: ".json,application/json",
+      hidden: "",
+      id: "ally-cr-trends-import-file",
+    });
+    var importButton = createElement(
+      "button",
+      { type: "button", className: "ally-secondary-btn" },
+      [
+        createElement("span", {
+          ariaHidden: "true",
+          dataset: { icon: "upload" },
+        }),
+        " Import snapshots",
+      ],
+    );
+    importButton.addEventListener("click", function () {
+      fileInput.click();
+    });
+    fileInput.addEventListener("change", function () {
+      var file = fileInput.files && fileInput.files[0];
+      fileInput.value = "";
+      if (!file) return;
+
+      file
+        .text()
+        .then(function (text) {
+          return ALLY_SNAPSHOTS.importSnapshots(text);
+        })
+        .then(function (result) {
+          var message =
+            "Imported " +
+            result.imported +
+            " snapshots" +
+            (result.skipped ? ", " + result.skipped + " already held" : "") +
+            (result.invalid ? ", " + result.invalid + " invalid" : "") +
+            ".";
+          announce(message);
+          onImported(message);
+        })
+        .catch(function (error) {
+          logError("Import failed:", error);
+          announce("Snapshot import failed: " + error.message);
+          onImported("Import failed: " + error.message);
+        });
+    });
+
+    actions.appendChild(importButton);
+    actions.appendChild(fileInput);
+    return actions;
+  }
+
+  /**
+   * Fills the section body once snapshots have loaded
+   * @param {HTMLElement} body - Section body container
+   * @param {HTMLElement} status - Status paragraph
+   * @param {Object} course - { id, name, code }
+   * @param {Object} current - Current report data
+   * @param {Array<Object>} snapshots - Oldest first
+   */
+  function populate(body, status, course, current, snapshots) {
+    body.innerHTML = "";
+
+    var baselines = snapshots.filter(function (snapshot) {
+      return !ALLY_SNAPSHOTS.sameResults(snapshot.data, current);
+    });
+
+    status.textContent =
+      snapshots.length === 0
+        ? "No snapshots saved for this module yet."
+        : snapshots.length +
+          (snapshots.length === 1 ? " snapshot" : " snapshots") +
+          " saved for this module since " +
+          formatDate(snapshots[0].takenAt) +
+          ".";
+
+    var reload = function (message) {
+      ALLY_SNAPSHOTS.list(course.id)
+        .then(function (updated) {
+          populate(body, status, course, current, updated);
+          if (message) status.textContent += " " + message;
+        })
+        .catch(function (error) {
+          logError("Failed to reload snapshots:", error);
+        });
+    };
+
+    if (baselines.length === 0) {
+      body.appendChild(
+        createElement(
+          "p",
+          {},
+          "There is nothing to compare with yet. Generate this report again after the module changes, or import a colleague's snapshot export as a baseline.",
+        ),
+      );
+    } else {
+      var selectId = "ally-cr-trends-baseline";
+      var form = createElement("div", { className: "ally-form-group ally-cr-trends-compare" });
+      form.appendChild(
+        createElement("label", { for: selectId }, "Compare with snapshot"),
+      );
+      var select = createElement("select", { id: selectId });
+      baselines.forEach(function (snapshot) {
+        select.appendChild(
+          createElement(
+            "option",
+            { value: snapshot.id },
+            formatDate(snapshot.takenAt) +
+              " – overall " +
+              formatScore(toScore(snapshot.data.overall.overallScore)) +
+              (snapshot.source === "import" ? " (imported)" : ""),
+          ),
+        );
+      });
+      form.appendChild(select);
+
+      var compareButton = createElement(
+        "button",
+        { type: "button", className: "ally-secondary-btn" },
+        "Compare",
+      );
+      form.appendChild(compareButton);
+      body.appendChild(form);
+
+      var output = createElement("div", {
+        className: "ally-cr-trends-comparison",
+        id: "ally-cr-trends-comparison",
+      });
+      body.appendChild(output);
+
+      var showComparison = function (announceResult) {
+        var snapshot = baselines.filter(function (s) {
+          return s.id === select.value;
+        })[0];
+        if (!snapshot) return;
+        output.innerHTML = "";
+        output.appendChild(renderComparison(snapshot, current));
+        enhanceTables(output);
+        if (announceResult) {
+          announce(output.querySelector(".ally-cr-trends-summary").textContent);
+        }
+      };
+      compareButton.addEventListener("click", function () {
+        showComparison(true);
+      });
+
+      // Oldest first: the earliest snapshot is the natural baseline
+      select.value = baselines[0].id;
+      showComparison(false);
+    }
+
+    if (snapshots.length >= 2) {
+      body.appendChild(renderHistory(snapshots));
+    }
+
+    body.appendChild(renderTransferActions(course, reload));
+    enhanceTables(body);
+
+    if (
+      typeof IconLibrary !== "undefined" &&
+      typeof IconLibrary.populateIcons === "function"
+    ) {
+      IconLibrary.populateIcons();
+    }
+  }
+
+  /**
+   * Renders the "Progress Over Time" section. Returns immediately; the body
+   * fills in once the snapshot store has answered.
+   * @param {Object} course - { id, name, code }
+   * @param {Object} current - Report data { overall, issues }
+   * @param {Promise} [ready] - Settles when the current snapshot is recorded
+   * @returns {HTMLElement}
+   */
+  function renderSection(course, current, ready) {
+    var section = createElement("section", {
+      className: "ally-cr-section ally-cr-trends-section",
+      ariaLabelledby: "ally-cr-trends-heading",
+    });
+    section.appendChild(
+      createElement(
+        "h4",
+        { id: "ally-cr-trends-heading", className: "ally-cr-section-heading" },
+        "Progress Over Time",
+      ),
+    );
+
+    var status = createElement(
+      "p",
+      { className: "ally-cr-trends-status" },
+      "Loading saved snapshots...",
+    );
+    section.appendChild(status);
+
+    var body = createElement("div", { className: "ally-cr-trends-body" });
+    section.appendChild(body);
+
+    destroyChart();
+
+    if (
+      typeof ALLY_SNAPSHOTS === "undefined" ||
+      !ALLY_SNAPSHOTS.isAvailable() ||
+      !course ||
+      !course.id
+    ) {
+      status.textContent =
+        "Snapshots need browser storage (IndexedDB), which is not available here.";
+      return section;
+    }
+
+    Promise.resolve(ready)
+      .catch(function (error) {
+        logWarn("Snapshot not recorded:", error && error.message);
+      })
+      .then(function () {
+        return ALLY_SNAPSHOTS.list(course.id);
+      })
+      .then(function (snapshots) {
+        populate(body, status, course, current, snapshots);
+        logDebug("Trends rendered from " + snapshots.length + " snapshots");
+      })
+      .catch(function (error) {
+        logError("Failed to load snapshots:", error);
+        status.textContent = "Saved snapshots could not be loaded.";
+      });
+
+    return section;
+  }
+
+  logInfo("ALLY_COURSE_REPORT_TRENDS initialised");
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  return {
+    renderSection: renderSection,
+    destroy: destroyChart,
+
+    // Pure helpers (exposed for testing)
+    compareResults: compareResults,
+    buildScoreHistory: buildScoreHistory,
+    formatDelta: formatDelta,
+  };
+})();
@@ -21,12 +21,16 @@
  * - Content inventory by file type
  * - Issues grouped by category with severity indicators
  * - Export functionality (HTML, CSV, Print)
+ * - Prioritised remediation plan with Markdown, CSV and Word export
+ * - Snapshot history and trend comparison (when ALLY_SNAPSHOTS is available)
  *
  * Integration:
  * - Uses ALLY_COURSE_REPORT_SEARCH for course selection
  * - Uses ALLY_API_CLIENT for API requests
  * - Uses ALLY_COURSE_REPORT_CONFIG for data mappings
  * - Uses ALLY_UI_MANAGER for announcements
+ * - Uses ALLY_COURSE_REPORT_REMEDIATION (optional) for the remediation plan
+ * - Uses ALLY_SNAPSHOTS and ALLY_COURSE_REPORT_TRENDS (optional) for history
  *
  * @example
  * // Module auto-initialises, but can be re-initialised if needed
@@ -2327,6 +2331,57 @@ const ALLY_COURSE_REPORT = (function () {
     return container;
   }
 
+  // ========================================================================
+  // Report Rendering - Trends and Remediation Sections
+  // ========================================================================
+
+  /**
+   * Records a snapshot of freshly fetched report data for trend comparison
+   * @param {Object} course - Course info { id, name, code, termName }
+   * @param {Object} data - Report data with overall and issues properties
+   * @returns {Promise|null} Settles once the snapshot is stored
+   */
+  function recordSnapshot(course, data) {
+    if (typeof ALLY_SNAPSHOTS === "undefined" || !ALLY_SNAPSHOTS.isAvailable()) {
+      return null;
+    }
+    return ALLY_SNAPSHOTS.record(course, data)
+      .then(function (result) {
+        if (result.saved) {
+          logInfo("Snapshot recorded:", result.snapshot.id);
+        }
+        return result;
+      })
+      .catch(function (error) {
+        logWarn("Failed to record snapshot:", error && error.message);
+      });
+  }
+
+  /**
+   * Renders the "Remediation Plan" section if the remediation module is loaded
+   * @param {Object} data - Report data with overall and issues properties
+   * @returns {HTMLElement|null}
+   */
+  function renderRemediationSection(data) {
+    if (typeof ALLY_COURSE_REPORT_REMEDIATION === "undefined") {
+      return null;
+    }
+    return ALLY_COURSE_REPORT_REMEDIATION.renderSection(data);
+  }
+
+  /**
+   * Renders the "Progress Over Time" section if the trends module is loaded
+   * @param {Object} data - Report data with overall and issues properties
+   * @param {Promise} [ready] - Settles once the current snapshot is stored
+   * @returns {HTMLElement|null}
+   */
+  function renderTrendsSection(data, ready) {
+    if (typeof ALLY_COURSE_REPORT_TRENDS === "undefined" || !selectedCourse) {
+      return null;
+    }
+    return ALLY_COURSE_REPORT_TRENDS.renderSection(selectedCourse, data, ready);
+  }
+
   // ========================================================================
   // Report Rendering - Actions Section
   // ========================================================================
@@ -2925,8 +2980,9 @@ const ALLY_COURSE_REPORT = (function () {
   /**
    * Renders the report from cached or fresh data object
    * @param {Object} data - Report data with overall and issues properties
+   * @param {Promise} [ready] - Settles once the snapshot of `data` is stored
    */
-  function renderReportFromData(data) {
+  function renderReportFromData(data, ready) {
     if (!data || !elements.resultsContainer) {
       logWarn("Cannot render: missing data or container");
       return;
@@ -2955,6 +3011,18 @@ const ALLY_COURSE_REPORT = (function () {
     // Issues
     fragment.appendChild(renderIssuesSection(data.issues));
 
+    // Remediation plan
+    var planSection = renderRemediationSection(data);
+    if (planSection) {
+      fragment.appendChild(planSection);
+    }
+
+    // Progress over time
+    var trendsSection = renderTrendsSection(data, ready);
+    if (trendsSection) {
+      fragment.appendChild(trendsSection);
+    }
+
     // Export actions
     fragment.appendChild(renderActionsSection());
 
@@ -3016,6 +3084,9 @@ const ALLY_COURSE_REPORT = (function () {
       .then(function (freshData) {
         backgroundRefreshInProgress = false;
 
+        // Unchanged results are not stored twice
+        var snapshotRecorded = recordSnapshot(courseToFetch, freshData);
+
         // Check if data has changed
         if (dataHasChanged(cachedEntry.data, freshData)) {
           logInfo("Fresh data differs from cache");
@@ -3037,7 +3108,7 @@ const ALLY_COURSE_REPORT = (function () {
             function () {
               // Apply update callback
               lastReportData = freshData;
-              renderReportFromData(freshData);
+              renderReportFromData(freshData, snapshotRecorded);
               ALLY_CACHE_UI.hideUpdateBanner(elements.resultsContainer);
 
               // Announce to screen readers
@@ -3223,6 +3294,9 @@ const ALLY_COURSE_REPORT = (function () {
         logInfo("Cached course report:", currentCacheKey);
       }
 
+      // Keep a history for trend comparison
+      var snapshotRecorded = recordSnapshot(selectedCourse, data);
+
       showProgress("Rendering report...", 98);
 
       // Build report
@@ -3243,6 +3317,18 @@ const ALLY_COURSE_REPORT = (function () {
       // Issues
       fragment.appendChild(renderIssuesSection(data.issues));
 
+      // Remediation plan
+      var planSection = renderRemediationSection(data);
+      if (planSection) {
+        fragment.appendChild(planSection);
+      }
+
+      // Progress over time
+      var trendsSection = renderTrendsSection(data, snapshotRecorded);
+      if (trendsSection) {
+        fragment.appendChild(trendsSection);
+      }
+
       // Export actions
       fragment.appendChild(renderActionsSection());
 
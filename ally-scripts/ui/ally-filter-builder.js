@@ -16,12 +16,14 @@
  * - Field-type aware operator selection
  * - Appropriate input types for different field types
  * - Filter serialisation for API queries
+ * - Row state capture and restore (saved and shared queries)
  * - Full keyboard accessibility
  * - Screen reader support
  *
  * Integration:
  * - Requires ally-config.js for field definitions and operators
  * - Used by ally-main-controller.js for query building
+ * - Used by ally-saved-queries.js to save and restore filter rows
  * - Available globally via ALLY_FILTER_BUILDER
  *
  * @example
@@ -888,6 +890,75 @@ const ALLY_FILTER_BUILDER = (function () {
       return result;
     },
 
+    /**
+     * Gets every filter row exactly as entered (score fields stay as the
+     * percentage typed, incomplete rows are kept) so the builder can be restored
+     * later with setFilterState. Rows with no field selected are skipped.
+     * @returns {Array<{field: string, operator: string, value: string}>}
+     */
+    getFilterState: function () {
+      const state = [];
+      if (!elements.filterRows) return state;
+
+      elements.filterRows
+        .querySelectorAll(".ally-filter-row")
+        .forEach(function (row) {
+          const fieldSelect = row.querySelector(".ally-filter-field");
+          const operatorSelect = row.querySelector(".ally-filter-operator");
+          const valueInput = row.querySelector(".ally-filter-value");
+          if (!fieldSelect || !fieldSelect.value) return;
+
+          state.push({
+            field: fieldSelect.value,
+            operator: operatorSelect ? operatorSelect.value : "",
+            value: valueInput ? valueInput.value : "",
+          });
+        });
+
+      return state;
+    },
+
+    /**
+     * Replaces all filter rows with the given state (from getFilterState).
+     * Callers validate the state first; a field that is not offered for the
+     * endpoint is left unselected rather than guessed.
+     * @param {Array<{field: string, operator: string, value: string}>} state
+     * @param {string} [endpoint] - Endpoint whose fields the rows offer
+     * @returns {number} Number of rows created
+     */
+    setFilterState: function (state, endpoint) {
+      if (!elements.filterRows) {
+        logError("Filter rows container not found");
+        return 0;
+      }
+
+      elements.filterRows.innerHTML = "";
+      filterRowCounter = 0;
+
+      (state || []).forEach(function (filter) {
+        const row = createFilterRow(endpoint);
+        elements.filterRows.appendChild(row);
+
+        const fieldSelect = row.querySelector(".ally-filter-field");
+        fieldSelect.value = filter.field;
+        if (fieldSelect.value !== filter.field) return;
+        handleFieldChange(row.id, filter.field);
+
+        const operatorSelect = row.querySelector(".ally-filter-operator");
+        if (operatorSelect && filter.operator) {
+          operatorSelect.value = filter.operator;
+        }
+        const valueInput = row.querySelector(".ally-filter-value");
+        if (valueInput) {
+          valueInput.value = filter.value;
+        }
+      });
+
+      populateIcons();
+      logDebug("Restored " + (state || []).length + " filter rows");
+      return (state || []).length;
+    },
+
     /**
      * Clears all filter rows
      */
@@ -73,6 +73,7 @@ const ALLY_REPORT_SWITCHER = (function () {
     courseReport: null,
     statementPreview: null,
     reportBuilder: null,
+    rollupReport: null,
   };
 
   /** @type {Object} Report Builder related sections (siblings that should hide with it) */
@@ -92,6 +93,7 @@ const ALLY_REPORT_SWITCHER = (function () {
     courseReport: null,
     statementPreview: null,
     reportBuilder: null,
+    rollupReport: null,
   };
 
   /** @type {Function|null} Optional callback for type changes */
@@ -147,6 +149,7 @@ const ALLY_REPORT_SWITCHER = (function () {
       "course-report": sections.courseReport,
       "statement-preview": sections.statementPreview,
       "report-builder": sections.reportBuilder,
+      "rollup-report": sections.rollupReport,
     };
 
     // Show selected section
@@ -196,6 +199,7 @@ const ALLY_REPORT_SWITCHER = (function () {
         "course-report": "Course Report",
         "statement-preview": "Accessibility Statement Preview",
         "report-builder": "Report Builder",
+        "rollup-report": "Department Roll-up",
       };
       label = fallbackLabels[reportType] || reportType;
     }
@@ -256,6 +260,9 @@ const ALLY_REPORT_SWITCHER = (function () {
     sections.reportBuilder = document.getElementById(
       "ally-report-builder-section",
     );
+    sections.rollupReport = document.getElementById(
+      "ally-rollup-report-section",
+    );
 
     // Cache Report Builder related sections (siblings that should hide with it)
     reportBuilderRelated.results = document.getElementById(
@@ -269,6 +276,7 @@ const ALLY_REPORT_SWITCHER = (function () {
     radios.courseReport = document.getElementById("ally-report-course");
     radios.statementPreview = document.getElementById("ally-report-statement");
     radios.reportBuilder = document.getElementById("ally-report-builder");
+    radios.rollupReport = document.getElementById("ally-report-rollup");
 
     // Log what was found
     logDebug("Cached elements:", {
@@ -276,6 +284,7 @@ const ALLY_REPORT_SWITCHER = (function () {
         courseReport: !!sections.courseReport,
         statementPreview: !!sections.statementPreview,
         reportBuilder: !!sections.reportBuilder,
+        rollupReport: !!sections.rollupReport,
       },
       reportBuilderRelated: {
         results: !!reportBuilderRelated.results,
@@ -285,6 +294,7 @@ const ALLY_REPORT_SWITCHER = (function () {
         courseReport: !!radios.courseReport,
         statementPreview: !!radios.statementPreview,
         reportBuilder: !!radios.reportBuilder,
+        rollupReport: !!radios.rollupReport,
       },
     });
 
@@ -384,7 +394,12 @@ const ALLY_REPORT_SWITCHER = (function () {
      * @returns {boolean} True if type was changed
      */
     setReportType: function (reportType, skipAnnounce) {
-      var validTypes = ["course-report", "statement-preview", "report-builder"];
+      var validTypes = [
+        "course-report",
+        "statement-preview",
+        "report-builder",
+        "rollup-report",
+      ];
 
       if (validTypes.indexOf(reportType) === -1) {
         logError(
@@ -408,6 +423,7 @@ const ALLY_REPORT_SWITCHER = (function () {
         "course-report": radios.courseReport,
         "statement-preview": radios.statementPreview,
         "report-builder": radios.reportBuilder,
+        "rollup-report": radios.rollupReport,
       };
 
       var targetRadio = radioMap[reportType];
@@ -471,6 +487,14 @@ const ALLY_REPORT_SWITCHER = (function () {
       return currentReportType === "report-builder";
     },
 
+    /**
+     * Checks if currently showing the Department Roll-up
+     * @returns {boolean}
+     */
+    isRollupReport: function () {
+      return currentReportType === "rollup-report";
+    },
+
     /**
      * Gets initialisation state
      * @returns {boolean}
@@ -492,9 +516,11 @@ const ALLY_REPORT_SWITCHER = (function () {
           hasCourseReportSection: !!sections.courseReport,
           hasStatementPreviewSection: !!sections.statementPreview,
           hasReportBuilderSection: !!sections.reportBuilder,
+          hasRollupReportSection: !!sections.rollupReport,
           hasCourseReportRadio: !!radios.courseReport,
           hasStatementPreviewRadio: !!radios.statementPreview,
           hasReportBuilderRadio: !!radios.reportBuilder,
+          hasRollupReportRadio: !!radios.rollupReport,
         },
         hasChangeCallback: typeof onChangeCallback === "function",
       };
@@ -656,6 +656,9 @@ const ALLY_RESULT_RENDERER = (function () {
   /** @type {string[]} Currently visible column keys */
   let visibleColumns = [];
 
+  /** @type {{endpoint: string, columns: string[]}|null} Columns for the next render */
+  let queuedColumns = null;
+
   /** @type {string} Current view mode ('table' or 'chart') */
   let currentView = "table";
 
@@ -1287,9 +1290,14 @@ const ALLY_RESULT_RENDERER = (function () {
       currentResult = result;
       currentEndpoint = endpoint || "overall";
 
-      visibleColumns = DEFAULT_COLUMNS[currentEndpoint]
-        ? DEFAULT_COLUMNS[currentEndpoint].slice()
-        : [];
+      if (queuedColumns && queuedColumns.endpoint === currentEndpoint) {
+        visibleColumns = queuedColumns.columns.slice();
+      } else {
+        visibleColumns = DEFAULT_COLUMNS[currentEndpoint]
+          ? DEFAULT_COLUMNS[currentEndpoint].slice()
+          : [];
+      }
+      queuedColumns = null;
 
       displayedRows = 10;
 
@@ -1339,6 +1347,20 @@ const ALLY_RESULT_RENDERER = (function () {
       }
     },
 
+    /**
+     * Queues the columns to show on the next render for an endpoint, in place
+     * of the defaults (used when a saved query is restored before it is run).
+     * Pass null to cancel. Consumed by the next render.
+     * @param {string} endpoint - Endpoint name ('overall' or 'issues')
+     * @param {string[]|null} columns - Array of column keys
+     */
+    queueColumns: function (endpoint, columns) {
+      queuedColumns =
+        Array.isArray(columns) && columns.length > 0
+          ? { endpoint: endpoint, columns: columns.slice() }
+          : null;
+    },
+
     /**
      * Gets current visible columns
      * @returns {string[]} Array of column keys
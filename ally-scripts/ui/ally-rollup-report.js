@@ -0,0 +1,1306 @@
+/**
+ * @fileoverview Ally Department Roll-up - Department and term dashboard
+ * @module AllyRollupReport
+ * @requires ALLY_CONFIG
+ * @requires ALLY_API_CLIENT
+ * @requires ALLY_LOOKUP
+ * @requires ALLY_UI_MANAGER
+ * @requires ALLY_CHART_RENDERER
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Rolls the Overall and Issues endpoints up across every module in a term
+ * and/or department, so the accessibility team can see which departments and
+ * modules to prioritise without running one Course Report per module.
+ *
+ * Key Features:
+ * - Paged Overall + Issues requests (polling is handled by ALLY_API_CLIENT)
+ * - Aggregation by department or term, named via ALLY_LOOKUP
+ * - Average scores, file counts and issue severity totals per group
+ * - Ranked, sortable group table (lowest average score first)
+ * - Priority modules table (lowest scoring modules across the selection)
+ * - Accessible charts via ALLY_CHART_RENDERER
+ *
+ * Aggregation functions are pure and exposed for testing.
+ *
+ * @example
+ * ALLY_ROLLUP_REPORT.initialise();
+ *
+ * // Aggregate already-fetched rows without touching the DOM
+ * var courses = ALLY_ROLLUP_REPORT.mergeCourseRows(overall.data, issues.data);
+ * var groups = ALLY_ROLLUP_REPORT.aggregateCourses(courses, "department");
+ */
+
+const ALLY_ROLLUP_REPORT = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  var LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  var DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  var ENABLE_ALL_LOGGING = false;
+  var DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.error.apply(
+        console,
+        ["[AllyRollupReport] " + message].concat(args),
+      );
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.warn.apply(
+        console,
+        ["[AllyRollupReport] " + message].concat(args),
+      );
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyRollupReport] " + message].concat(args),
+      );
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      console.log.apply(
+        console,
+        ["[AllyRollupReport] " + message].concat(args),
+      );
+    }
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  /** Group key used for modules with no department (or term) */
+  var UNASSIGNED_KEY = "";
+
+  /** Chart container created inside the results */
+  var CHART_CONTAINER_ID = "ally-ru-charts";
+
+  /** Fallback limits if ALLY_CONFIG.ROLLUP is unavailable */
+  var DEFAULT_LIMITS = {
+    PAGE_LIMIT: 1000,
+    MAX_PAGES: 20,
+    PRIORITY_MODULES: 25,
+    CHART_GROUPS: 15,
+  };
+
+  // ========================================================================
+  // State
+  // ========================================================================
+
+  var initialised = false;
+  var isGenerating = false;
+  var lastRollup = null;
+
+  /** @type {Object} Cached DOM elements */
+  var elements = {
+    termSelect: null,
+    departmentSelect: null,
+    groupBySelect: null,
+    activeOnly: null,
+    executeButton: null,
+    progressSection: null,
+    progressFill: null,
+    progressMessage: null,
+    resultsContainer: null,
+  };
+
+  // ========================================================================
+  // Helpers
+  // ========================================================================
+
+  /**
+   * Reads a roll-up limit from ALLY_CONFIG.ROLLUP, falling back to defaults
+   * @param {string} key - Limit name (e.g. "PAGE_LIMIT")
+   * @returns {number}
+   */
+  function getLimit(key) {
+    if (
+      typeof ALLY_CONFIG !== "undefined" &&
+      ALLY_CONFIG.ROLLUP &&
+      typeof ALLY_CONFIG.ROLLUP[key] === "number"
+    ) {
+      return ALLY_CONFIG.ROLLUP[key];
+    }
+    return DEFAULT_LIMITS[key];
+  }
+
+  /**
+   * Returns a number, or null for missing/non-numeric values
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function toNumber(value) {
+    if (value === null || value === undefined || value === "") return null;
+    var n = Number(value);
+    return isNaN(n) ? null : n;
+  }
+
+  /**
+   * Mean of the non-null values, or null if there are none
+   * @param {Array<number|null>} values
+   * @returns {number|null}
+   */
+  function mean(values) {
+    var sum = 0;
+    var count = 0;
+    values.forEach(function (value) {
+      if (value !== null) {
+        sum += value;
+        count++;
+      }
+    });
+    return count > 0 ? sum / count : null;
+  }
+
+  /**
+   * Splits a semicolon-separated department ID string
+   * @param {string} deptIdString
+   * @returns {string[]} Trimmed IDs (empty array if none)
+   */
+  function splitDepartments(deptIdString) {
+    if (!deptIdString) return [];
+    return String(deptIdString)
+      .split(";")
+      .map(function (id) {
+        return id.trim();
+      })
+      .filter(function (id) {
+        return id !== "";
+      });
+  }
+
+  function departmentName(deptId) {
+    if (deptId === UNASSIGNED_KEY) return "No department";
+    return typeof ALLY_LOOKUP !== "undefined"
+      ? ALLY_LOOKUP.getDepartmentName(deptId)
+      : deptId;
+  }
+
+  function termName(termId, fallback) {
+    if (termId === UNASSIGNED_KEY) return "No term";
+    if (typeof ALLY_LOOKUP !== "undefined") {
+      return ALLY_LOOKUP.getTermName(termId);
+    }
+    return fallback || termId;
+  }
+
+  /**
+   * Totals severe/major/minor issues for one Issues row. Uses the chart
+   * renderer's issue field definitions where available; otherwise falls back
+   * to the Ally field-name suffix (1 = severe, 2 = major, 3 = minor).
+   * @param {Object|null} row - Issues endpoint row
+   * @returns {{severe: number, major: number, minor: number}}
+   */
+  function severityTotalsForRow(row) {
+    if (!row) return { severe: 0, major: 0, minor: 0 };
+
+    if (
+      typeof ALLY_CHART_RENDERER !== "undefined" &&
+      typeof ALLY_CHART_RENDERER.calculateIssueSeverityTotals === "function"
+    ) {
+      var totals = ALLY_CHART_RENDERER.calculateIssueSeverityTotals([row]);
+      return { severe: totals.severe, major: totals.major, minor: totals.minor };
+    }
+
+    var result = { severe: 0, major: 0, minor: 0 };
+    var bySuffix = { 1: "severe", 2: "major", 3: "minor" };
+    Object.keys(row).forEach(function (field) {
+      var match = /^[a-zA-Z]+([123])$/.exec(field);
+      var value = toNumber(row[field]);
+      if (match && value !== null) {
+        result[bySuffix[match[1]]] += value;
+      }
+    });
+    return result;
+  }
+
+  // ========================================================================
+  // Aggregation (pure)
+  // ========================================================================
+
+  /**
+   * Joins Overall and Issues rows by courseId into one record per module
+   * @param {Array} overallRows - Rows from the Overall endpoint
+   * @param {Array} [issuesRows] - Rows from the Issues endpoint
+   * @returns {Array<Object>} Module records
+   */
+  function mergeCourseRows(overallRows, issuesRows) {
+    var issuesById = {};
+    (issuesRows || []).forEach(function (row) {
+      if (row && row.courseId) issuesById[row.courseId] = row;
+    });
+
+    return (overallRows || []).map(function (row) {
+      var severity = severityTotalsForRow(issuesById[row.courseId] || null);
+      return {
+        courseId: row.courseId,
+        courseCode: row.courseCode || "",
+        courseName: row.courseName || row.courseId,
+        courseUrl: row.courseUrl || "",
+        termId: row.termId || UNASSIGNED_KEY,
+        termName: row.termName || "",
+        departmentIds: splitDepartments(row.departmentId),
+        overallScore: toNumber(row.overallScore),
+        filesScore: toNumber(row.filesScore),
+        wysiwygScore: toNumber(row.WYSIWYGScore),
+        totalFiles: toNumber(row.totalFiles) || 0,
+        totalWysiwyg: toNumber(row.totalWYSIWYG) || 0,
+        severe: severity.severe,
+        major: severity.major,
+        minor: severity.minor,
+        totalIssues: severity.severe + severity.major + severity.minor,
+      };
+    });
+  }
+
+  /**
+   * Orders groups lowest average overall score first (unscored groups last),
+   * then by severe issues, and assigns a 1-based rank
+   * @param {Array<Object>} groups
+   * @returns {Array<Object>} The same groups, sorted and ranked
+   */
+  function rankGroups(groups) {
+    groups.sort(function (a, b) {
+      if (a.averageOverall === null && b.averageOverall !== null) return 1;
+      if (b.averageOverall === null && a.averageOverall !== null) return -1;
+      if (a.averageOverall !== b.averageOverall) {
+        return a.averageOverall - b.averageOverall;
+      }
+      if (a.severe !== b.severe) return b.severe - a.severe;
+      return a.name.localeCompare(b.name);
+    });
+    groups.forEach(function (group, index) {
+      group.rank = index + 1;
+    });
+    return groups;
+  }
+
+  /**
+   * Aggregates module records into ranked department or term groups.
+   *
+   * A module listed under several departments counts towards each of them.
+   * With options.departmentId set, department groups are limited to that
+   * department (its modules' other departments are not listed).
+   *
+   * @param {Array<Object>} courses - Records from mergeCourseRows()
+   * @param {string} [groupBy="department"] - "department" or "term"
+   * @param {Object} [options]
+   * @param {string} [options.departmentId] - Restrict department groups
+   * @returns {Array<Object>} Ranked groups
+   */
+  function aggregateCourses(courses, groupBy, options) {
+    groupBy = groupBy === "term" ? "term" : "department";
+    options = options || {};
+
+    var groupsByKey = {};
+    var order = [];
+
+    function addTo(key, name, course) {
+      var group = groupsByKey[key];
+      if (!group) {
+        group = {
+          key: key,
+          name: name,
+          courses: [],
+        };
+        groupsByKey[key] = group;
+        order.push(key);
+      }
+      group.courses.push(course);
+    }
+
+    (courses || []).forEach(function (course) {
+      if (groupBy === "term") {
+        addTo(course.termId, termName(course.termId, course.termName), course);
+        return;
+      }
+
+      var deptIds = course.departmentIds.length
+        ? course.departmentIds
+        : [UNASSIGNED_KEY];
+      if (options.departmentId) {
+        deptIds = deptIds.filter(function (id) {
+          return id === options.departmentId;
+        });
+        // Filtered server-side, so keep the module under the chosen department
+        if (deptIds.length === 0) deptIds = [options.departmentId];
+      }
+      deptIds.forEach(function (deptId) {
+        addTo(deptId, departmentName(deptId), course);
+      });
+    });
+
+    var groups = order.map(function (key) {
+      var group = groupsByKey[key];
+      var list = group.courses;
+      var totals = list.reduce(
+        function (acc, course) {
+          acc.totalFiles += course.totalFiles;
+          acc.totalWysiwyg += course.totalWysiwyg;
+          acc.severe += course.severe;
+          acc.major += course.major;
+          acc.minor += course.minor;
+          return acc;
+        },
+        { totalFiles: 0, totalWysiwyg: 0, severe: 0, major: 0, minor: 0 },
+      );
+
+      return {
+        key: group.key,
+        name: group.name,
+        courseCount: list.length,
+        averageOverall: mean(
+          list.map(function (course) {
+            return course.overallScore;
+          }),
+        ),
+        averageFiles: mean(
+          list.map(function (course) {
+            return course.filesScore;
+          }),
+        ),
+        averageWysiwyg: mean(
+          list.map(function (course) {
+            return course.wysiwygScore;
+          }),
+        ),
+        totalFiles: totals.totalFiles,
+        totalWysiwyg: totals.totalWysiwyg,
+        severe: totals.severe,
+        major: totals.major,
+        minor: totals.minor,
+        totalIssues: totals.severe + totals.major + totals.minor,
+        rank: 0,
+      };
+    });
+
+    return rankGroups(groups);
+  }
+
+  /**
+   * Lowest-scoring modules across the selection (modules without a score
+   * have no content to fix and are left out)
+   * @param {Array<Object>} courses - Records from mergeCourseRows()
+   * @param {number} [limit] - Defaults to ALLY_CONFIG.ROLLUP.PRIORITY_MODULES
+   * @returns {Array<Object>}
+   */
+  function getPriorityModules(courses, limit) {
+    limit = typeof limit === "number" ? limit : getLimit("PRIORITY_MODULES");
+    return (courses || [])
+      .filter(function (course) {
+        return course.overallScore !== null;
+      })
+      .sort(function (a, b) {
+        if (a.overallScore !== b.overallScore) {
+          return a.overallScore - b.overallScore;
+        }
+        return b.severe - a.severe;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Builds the complete roll-up from raw endpoint rows
+   * @param {Array} overallRows
+   * @param {Array} issuesRows
+   * @param {Object} selection - { termId, departmentId, groupBy }
+   * @returns {Object} Roll-up ({ selection, courses, groups, priority, overall })
+   */
+  function buildRollup(overallRows, issuesRows, selection) {
+    selection = selection || {};
+    var courses = mergeCourseRows(overallRows, issuesRows);
+    var groups = aggregateCourses(courses, selection.groupBy, {
+      departmentId: selection.departmentId,
+    });
+
+    return {
+      selection: selection,
+      courses: courses,
+      groups: groups,
+      priority: getPriorityModules(courses),
+      overall: {
+        courseCount: courses.length,
+        averageOverall: mean(
+          courses.map(function (course) {
+            return course.overallScore;
+          }),
+        ),
+        totalFiles: courses.reduce(function (sum, course) {
+          return sum + course.totalFiles;
+        }, 0),
+        totalIssues: courses.reduce(function (sum, course) {
+          return sum + course.totalIssues;
+        }, 0),
+      },
+    };
+  }
+
+  // ========================================================================
+  // Data Fetching
+  // ========================================================================
+
+  /**
+   * Fetches every page of an endpoint for the given filters
+   * @param {string} endpoint - "overall" or "issues"
+   * @param {Object} filters - API filters
+   * @param {Function} onPage - Called with (rowsSoFar, filteredTotal) after each page
+   * @returns {Promise<{data: Array, total: number, truncated: boolean}>}
+   */
+  async function fetchAllPages(endpoint, filters, onPage) {
+    var pageLimit = getLimit("PAGE_LIMIT");
+    var maxPages = getLimit("MAX_PAGES");
+    var fetchFn =
+      endpoint === "issues"
+        ? ALLY_API_CLIENT.fetchIssues
+        : ALLY_API_CLIENT.fetchOverall;
+
+    var rows = [];
+    var total = null;
+
+    for (var page = 0; page < maxPages; page++) {
+      var result = await fetchFn.call(ALLY_API_CLIENT, {
+        limit: pageLimit,
+        offset: page * pageLimit,
+        filters: filters,
+        onProgress: function (p) {
+          showProgress(
+            "Fetching " + endpoint + " data... " + (p.message || ""),
+            null,
+          );
+        },
+      });
+
+      var data = (result && result.data) || [];
+      if (result && result.metadata) {
+        total =
+          typeof result.metadata.filteredTotal === "number"
+            ? result.metadata.filteredTotal
+            : result.metadata.total;
+      }
+      rows = rows.concat(data);
+      if (onPage) onPage(rows.length, total);
+
+      if (data.length < pageLimit) break;
+      if (typeof total === "number" && rows.length >= total) break;
+    }
+
+    var truncated = typeof total === "number" && rows.length < total;
+    if (truncated) {
+      logWarn(
+        "Stopped after " + maxPages + " pages of " + endpoint + " data",
+        rows.length + " of " + total,
+      );
+    }
+
+    return { data: rows, total: total, truncated: truncated };
+  }
+
+  /**
+   * Fetches Overall then Issues rows for the selection
+   * @param {Object} selection - { termId, departmentId, activeOnly }
+   * @returns {Promise<{overall: Object, issues: Object}>}
+   */
+  async function fetchRollupData(selection) {
+    var filters = {};
+    if (selection.termId) filters.termId = selection.termId;
+    if (selection.departmentId) filters.departmentId = selection.departmentId;
+    if (selection.activeOnly) filters.allyEnabled = "true";
+
+    showProgress("Fetching module scores...", 5);
+    var overall = await fetchAllPages("overall", filters, function (n, total) {
+      showProgress(
+        "Fetched scores for " +
+          n.toLocaleString() +
+          (total ? " of " + total.toLocaleString() : "") +
+          " modules",
+        total ? 5 + Math.round((n / total) * 45) : null,
+      );
+    });
+
+    showProgress("Fetching issue counts...", 50);
+    var issues = await fetchAllPages("issues", filters, function (n, total) {
+      showProgress(
+        "Fetched issues for " +
+          n.toLocaleString() +
+          (total ? " of " + total.toLocaleString() : "") +
+          " modules",
+        total ? 50 + Math.round((n / total) * 45) : null,
+      );
+    });
+
+    return { overall: overall, issues: issues };
+  }
+
+  // ========================================================================
+  // DOM Helpers
+  // ========================================================================
+
+  /**
+   * Caches DOM element references
+   * @returns {boolean} True if all elements found
+   */
+  function cacheElements() {
+    elements.termSelect = document.getElementById("ally-ru-term");
+    elements.departmentSelect = document.getElementById("ally-ru-department");
+    elements.groupBySelect = document.getElementById("ally-ru-group-by");
+    elements.activeOnly = document.getElementById("ally-ru-active-only");
+    elements.executeButton = document.getElementById("ally-ru-execute");
+    elements.progressSection = document.getElementById("ally-ru-progress");
+    elements.progressFill = document.getElementById("ally-ru-progress-fill");
+    elements.progressMessage = document.getElementById(
+      "ally-ru-progress-message",
+    );
+    elements.resultsContainer = document.getElementById("ally-ru-results");
+
+    var allFound = Object.keys(elements).every(function (key) {
+      return !!elements[key];
+    });
+
+    if (!allFound) {
+      logWarn("Some Roll-up elements not found");
+    }
+
+    return allFound;
+  }
+
+  /**
+   * Creates an HTML element with attributes
+   * @param {string} tag - Element tag name
+   * @param {Object} attrs - Attributes to set
+   * @param {string|Array} children - Text content or child elements
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, attrs, children) {
+    var el = document.createElement(tag);
+
+    if (attrs) {
+      for (var key in attrs) {
+        if (Object.prototype.hasOwnProperty.call(attrs, key)) {
+          if (key === "className") {
+            el.className = attrs[key];
+          } else if (key === "dataset") {
+            for (var dataKey in attrs[key]) {
+              if (Object.prototype.hasOwnProperty.call(attrs[key], dataKey)) {
+                el.dataset[dataKey] = attrs[key][dataKey];
+              }
+            }
+          } else if (key.startsWith("aria")) {
+            el.setAttribute(
+              key.replace(/([A-Z])/g, "-$1").toLowerCase(),
+              attrs[key],
+            );
+          } else {
+            el.setAttribute(key, attrs[key]);
+          }
+        }
+      }
+    }
+
+    if (children) {
+      if (typeof children === "string") {
+        el.textContent = children;
+      } else if (Array.isArray(children)) {
+        children.forEach(function (child) {
+          if (child) {
+            if (typeof child === "string") {
+              el.appendChild(document.createTextNode(child));
+            } else {
+              el.appendChild(child);
+            }
+          }
+        });
+      }
+    }
+
+    return el;
+  }
+
+  /**
+   * Shows progress indicator
+   * @param {string} message - Progress message
+   * @param {number|null} percent - Progress percentage (null keeps the bar where it is)
+   */
+  function showProgress(message, percent) {
+    if (!elements.progressSection) return;
+
+    elements.progressSection.hidden = false;
+    elements.progressMessage.textContent = message;
+
+    if (typeof percent === "number") {
+      elements.progressFill.style.width = percent + "%";
+      var progressBar = elements.progressFill.parentElement;
+      if (progressBar) {
+        progressBar.setAttribute("aria-valuenow", percent);
+      }
+    }
+  }
+
+  /**
+   * Hides progress indicator
+   */
+  function hideProgress() {
+    if (!elements.progressSection) return;
+    elements.progressSection.hidden = true;
+  }
+
+  /**
+   * Copies the options of the Report Builder's term and department dropdowns
+   * (populated by ALLY_UI_MANAGER from ALLY_LOOKUP) into the roll-up's own
+   * selects, replacing their "All ..." placeholder with a prompt.
+   */
+  function populateSelects() {
+    [
+      ["ally-term-select", elements.termSelect, "Any term"],
+      ["ally-department-select", elements.departmentSelect, "Any department"],
+    ].forEach(function (entry) {
+      var source = document.getElementById(entry[0]);
+      var target = entry[1];
+      if (!source || !target) return;
+
+      target.innerHTML = source.innerHTML;
+      var first = target.querySelector('option[value=""]');
+      if (first) first.textContent = entry[2];
+      target.value = "";
+    });
+  }
+
+  /**
+   * Reads the current selection from the form
+   * @returns {{termId: string, departmentId: string, groupBy: string, activeOnly: boolean}}
+   */
+  function getSelection() {
+    return {
+      termId: elements.termSelect ? elements.termSelect.value : "",
+      departmentId: elements.departmentSelect
+        ? elements.departmentSelect.value
+        : "",
+      groupBy:
+        elements.groupBySelect && elements.groupBySelect.value === "term"
+          ? "term"
+          : "department",
+      activeOnly: elements.activeOnly ? elements.activeOnly.checked : true,
+    };
+  }
+
+  /**
+   * Describes the selection in words, e.g. "Computer Science, 2024-25"
+   * @param {Object} selection
+   * @returns {string}
+   */
+  function describeSelection(selection) {
+    var parts = [];
+    if (selection.departmentId) parts.push(departmentName(selection.departmentId));
+    if (selection.termId) parts.push(termName(selection.termId));
+    return parts.join(", ");
+  }
+
+  // ========================================================================
+  // Rendering
+  // ========================================================================
+
+  function formatScore(score) {
+    return typeof ALLY_CONFIG !== "undefined"
+      ? ALLY_CONFIG.formatScoreAsPercentage(score)
+      : score === null
+        ? "N/A"
+        : (score * 100).toFixed(1) + "%";
+  }
+
+  /**
+   * Creates a score table cell, colour-coded like the Report Builder results
+   * @param {number|null} score
+   * @returns {HTMLElement}
+   */
+  function scoreCell(score) {
+    var className =
+      typeof ALLY_CONFIG !== "undefined"
+        ? ALLY_CONFIG.getScoreColourClass(score)
+        : "";
+    return createElement(
+      "td",
+      { className: "ally-ru-number-col" },
+      [createElement("span", { className: className }, formatScore(score))],
+    );
+  }
+
+  function numberCell(value) {
+    return createElement(
+      "td",
+      { className: "ally-ru-number-col" },
+      value.toLocaleString(),
+    );
+  }
+
+  function headerCell(label, numeric) {
+    var attrs = { scope: "col" };
+    if (numeric) {
+      attrs.className = "ally-ru-number-col";
+      attrs["data-type"] = "number";
+    }
+    return createElement("th", attrs, label);
+  }
+
+  /**
+   * Renders the roll-up header with the selection and headline figures
+   * @param {Object} rollup
+   * @returns {HTMLElement}
+   */
+  function renderHeader(rollup) {
+    var header = createElement("header", { className: "ally-cr-header" });
+    header.appendChild(
+      createElement(
+        "h3",
+        { className: "ally-cr-title" },
+        "Roll-up: " + describeSelection(rollup.selection),
+      ),
+    );
+
+    var meta = createElement("dl", { className: "ally-cr-meta" });
+    meta.appendChild(createElement("dt", {}, "Modules"));
+    meta.appendChild(
+      createElement("dd", {}, rollup.overall.courseCount.toLocaleString()),
+    );
+    meta.appendChild(
+      createElement(
+        "dt",
+        {},
+        rollup.selection.groupBy === "term" ? "Terms" : "Departments",
+      ),
+    );
+    meta.appendChild(
+      createElement("dd", {}, rollup.groups.length.toLocaleString()),
+    );
+    meta.appendChild(createElement("dt", {}, "Average overall score"));
+    meta.appendChild(
+      createElement("dd", {}, formatScore(rollup.overall.averageOverall)),
+    );
+    meta.appendChild(createElement("dt", {}, "Files"));
+    meta.appendChild(
+      createElement("dd", {}, rollup.overall.totalFiles.toLocaleString()),
+    );
+    meta.appendChild(createElement("dt", {}, "Issues"));
+    meta.appendChild(
+      createElement("dd", {}, rollup.overall.totalIssues.toLocaleString()),
+    );
+    header.appendChild(meta);
+
+    if (rollup.truncated) {
+      header.appendChild(
+        createElement(
+          "p",
+          { className: "ally-ru-note", role: "note" },
+          "This selection is larger than the roll-up fetches in one run, so only the first " +
+            rollup.overall.courseCount.toLocaleString() +
+            " modules are included. Choose a term or department to narrow it.",
+        ),
+      );
+    }
+
+    return header;
+  }
+
+  /**
+   * Renders the charts section (charts are drawn after insertion)
+   * @returns {HTMLElement}
+   */
+  function renderChartsSection() {
+    var headingId = "ally-ru-charts-heading";
+    var section = createElement("section", {
+      className: "ally-cr-section",
+      ariaLabelledby: headingId,
+    });
+    section.appendChild(
+      createElement(
+        "h4",
+        { id: headingId, className: "ally-cr-section-heading" },
+        "Charts",
+      ),
+    );
+    section.appendChild(
+      createElement("div", {
+        id: CHART_CONTAINER_ID,
+        className: "ally-ru-charts",
+      }),
+    );
+    return section;
+  }
+
+  /**
+   * Renders the ranked group table
+   * @param {Object} rollup
+   * @returns {HTMLElement}
+   */
+  function renderGroupTable(rollup) {
+    var groupLabel =
+      rollup.selection.groupBy === "term" ? "Term" : "Department";
+    var headingId = "ally-ru-groups-heading";
+    var section = createElement("section", {
+      className: "ally-cr-section",
+      ariaLabelledby: headingId,
+    });
+    section.appendChild(
+      createElement(
+        "h4",
+        { id: headingId, className: "ally-cr-section-heading" },
+        groupLabel + " ranking",
+      ),
+    );
+    section.appendChild(
+      createElement(
+        "p",
+        { className: "ally-ru-hint" },
+        "Ranked by average overall score, lowest first. Select a column heading to re-sort.",
+      ),
+    );
+
+    var wrapper = createElement("div", { className: "ally-cr-table-wrapper" });
+    var table = createElement("table", {
+      className: "ally-cr-file-table ally-ru-table sortable-table",
+      ariaLabelledby: headingId,
+    });
+
+    var thead = createElement("thead");
+    var headerRow = createElement("tr");
+    headerRow.appendChild(headerCell("Rank", true));
+    headerRow.appendChild(headerCell(groupLabel));
+    headerRow.appendChild(headerCell("Modules", true));
+    headerRow.appendChild(headerCell("Average overall", true));
+    headerRow.appendChild(headerCell("Average files", true));
+    headerRow.appendChild(headerCell("Average WYSIWYG", true));
+    headerRow.appendChild(headerCell("Files", true));
+    headerRow.appendChild(headerCell("Severe", true));
+    headerRow.appendChild(headerCell("Major", true));
+    headerRow.appendChild(headerCell("Minor", true));
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    var tbody = createElement("tbody");
+    rollup.groups.forEach(function (group) {
+      var row = createElement("tr");
+      row.appendChild(numberCell(group.rank));
+      row.appendChild(createElement("th", { scope: "row" }, group.name));
+      row.appendChild(numberCell(group.courseCount));
+      row.appendChild(scoreCell(group.averageOverall));
+      row.appendChild(scoreCell(group.averageFiles));
+      row.appendChild(scoreCell(group.averageWysiwyg));
+      row.appendChild(numberCell(group.totalFiles));
+      row.appendChild(numberCell(group.severe));
+      row.appendChild(numberCell(group.major));
+      row.appendChild(numberCell(group.minor));
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    section.appendChild(wrapper);
+    return section;
+  }
+
+  /**
+   * Renders the priority modules table
+   * @param {Object} rollup
+   * @returns {HTMLElement}
+   */
+  function renderPriorityTable(rollup) {
+    var headingId = "ally-ru-priority-heading";
+    var section = createElement("section", {
+      className: "ally-cr-section",
+      ariaLabelledby: headingId,
+    });
+    section.appendChild(
+      createElement(
+        "h4",
+        { id: headingId, className: "ally-cr-section-heading" },
+        "Priority modules",
+      ),
+    );
+
+    if (rollup.priority.length === 0) {
+      section.appendChild(
+        createElement("p", {}, "No modules in this selection have a score yet."),
+      );
+      return section;
+    }
+
+    section.appendChild(
+      createElement(
+        "p",
+        { className: "ally-ru-hint" },
+        "The " +
+          rollup.priority.length +
+          " lowest-scoring modules in this selection.",
+      ),
+    );
+
+    var wrapper = createElement("div", { className: "ally-cr-table-wrapper" });
+    var table = createElement("table", {
+      className: "ally-cr-file-table ally-ru-table sortable-table",
+      ariaLabelledby: headingId,
+    });
+
+    var thead = createElement("thead");
+    var headerRow = createElement("tr");
+    headerRow.appendChild(headerCell("Module"));
+    headerRow.appendChild(headerCell("Code"));
+    headerRow.appendChild(headerCell("Department"));
+    headerRow.appendChild(headerCell("Overall", true));
+    headerRow.appendChild(headerCell("Files", true));
+    headerRow.appendChild(headerCell("Severe", true));
+    headerRow.appendChild(headerCell("Major", true));
+    headerRow.appendChild(headerCell("Minor", true));
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    var tbody = createElement("tbody");
+    rollup.priority.forEach(function (course) {
+      var row = createElement("tr");
+      var nameContent = course.courseUrl
+        ? createElement(
+            "a",
+            {
+              href: course.courseUrl,
+              target: "_blank",
+              rel: "noopener noreferrer",
+            },
+            [
+              course.courseName,
+              createElement("span", { className: "sr-only" }, " (opens in new tab)"),
+            ],
+          )
+        : course.courseName;
+      row.appendChild(createElement("th", { scope: "row" }, [nameContent]));
+      row.appendChild(createElement("td", {}, course.courseCode));
+      row.appendChild(
+        createElement(
+          "td",
+          {},
+          course.departmentIds.map(departmentName).join("; "),
+        ),
+      );
+      row.appendChild(scoreCell(course.overallScore));
+      row.appendChild(numberCell(course.totalFiles));
+      row.appendChild(numberCell(course.severe));
+      row.appendChild(numberCell(course.major));
+      row.appendChild(numberCell(course.minor));
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    section.appendChild(wrapper);
+    return section;
+  }
+
+  /**
+   * Renders a roll-up into the results container
+   * @param {Object} rollup - Result of buildRollup()
+   */
+  function renderRollup(rollup) {
+    if (!elements.resultsContainer) return;
+
+    var fragment = document.createDocumentFragment();
+    fragment.appendChild(renderHeader(rollup));
+    fragment.appendChild(renderChartsSection());
+    fragment.appendChild(renderGroupTable(rollup));
+    fragment.appendChild(renderPriorityTable(rollup));
+
+    elements.resultsContainer.innerHTML = "";
+    elements.resultsContainer.appendChild(fragment);
+    elements.resultsContainer.hidden = false;
+
+    // Charts need their container in the document
+    if (typeof ALLY_CHART_RENDERER !== "undefined") {
+      try {
+        ALLY_CHART_RENDERER.render(
+          { data: rollup.groups.slice(0, getLimit("CHART_GROUPS")) },
+          "rollup",
+          { containerId: CHART_CONTAINER_ID },
+        );
+      } catch (e) {
+        logWarn("Failed to render roll-up charts:", e.message);
+      }
+    }
+
+    if (
+      typeof IconLibrary !== "undefined" &&
+      typeof IconLibrary.populateIcons === "function"
+    ) {
+      IconLibrary.populateIcons();
+    }
+
+    if (typeof AccessibleSortableTable !== "undefined") {
+      var sortableTables = elements.resultsContainer.querySelectorAll(
+        "table.sortable-table",
+      );
+      sortableTables.forEach(function (table) {
+        try {
+          new AccessibleSortableTable(table);
+        } catch (e) {
+          logWarn("Failed to enhance table:", e.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Replaces the results with an error message
+   * @param {string} heading
+   * @param {string} message
+   */
+  function showError(heading, message) {
+    if (!elements.resultsContainer) return;
+    var errorMsg = createElement("div", {
+      className: "ally-cr-error",
+      role: "alert",
+    });
+    errorMsg.appendChild(createElement("h4", {}, heading));
+    errorMsg.appendChild(createElement("p", {}, message));
+    elements.resultsContainer.innerHTML = "";
+    elements.resultsContainer.appendChild(errorMsg);
+    elements.resultsContainer.hidden = false;
+  }
+
+  // ========================================================================
+  // Report Generation
+  // ========================================================================
+
+  /**
+   * Fetches, aggregates and renders the roll-up for the current selection
+   * @returns {Promise<void>}
+   */
+  async function generateReport() {
+    if (isGenerating) {
+      logWarn("Roll-up already in progress");
+      return;
+    }
+
+    var selection = getSelection();
+
+    // A whole-institution roll-up is thousands of modules; ask for a scope
+    if (!selection.termId && !selection.departmentId) {
+      showError(
+        "Choose a term or department",
+        "Select a term, a department, or both before generating the roll-up.",
+      );
+      if (elements.termSelect) elements.termSelect.focus();
+      return;
+    }
+
+    logInfo("Generating roll-up for:", describeSelection(selection));
+    isGenerating = true;
+
+    if (elements.executeButton) {
+      elements.executeButton.disabled = true;
+    }
+
+    if (typeof ALLY_CHART_RENDERER !== "undefined") {
+      ALLY_CHART_RENDERER.destroy(CHART_CONTAINER_ID);
+    }
+
+    if (elements.resultsContainer) {
+      elements.resultsContainer.hidden = true;
+      elements.resultsContainer.innerHTML = "";
+    }
+
+    if (typeof ALLY_UI_MANAGER !== "undefined") {
+      ALLY_UI_MANAGER.announce(
+        "Generating roll-up for " + describeSelection(selection),
+      );
+    }
+
+    try {
+      var data = await fetchRollupData(selection);
+
+      showProgress("Aggregating modules...", 96);
+      var rollup = buildRollup(data.overall.data, data.issues.data, selection);
+      rollup.truncated = data.overall.truncated;
+      rollup.generatedAt = new Date().toISOString();
+      lastRollup = rollup;
+
+      showProgress("Rendering roll-up...", 98);
+      renderRollup(rollup);
+      hideProgress();
+
+      if (typeof ALLY_UI_MANAGER !== "undefined") {
+        var lowest = rollup.groups[0];
+        ALLY_UI_MANAGER.announce(
+          "Roll-up generated for " +
+            rollup.overall.courseCount +
+            " modules in " +
+            rollup.groups.length +
+            " groups." +
+            (lowest && lowest.averageOverall !== null
+              ? " Lowest average score: " +
+                lowest.name +
+                ", " +
+                Math.round(lowest.averageOverall * 100) +
+                " percent."
+              : ""),
+        );
+      }
+
+      logInfo("Roll-up generated:", rollup.overall.courseCount, "modules");
+    } catch (error) {
+      logError("Roll-up generation failed:", error);
+      hideProgress();
+      showError(
+        "Roll-up Generation Failed",
+        error.message || "An unexpected error occurred.",
+      );
+      if (typeof ALLY_UI_MANAGER !== "undefined") {
+        ALLY_UI_MANAGER.announce("Error generating roll-up: " + error.message);
+      }
+    } finally {
+      isGenerating = false;
+
+      // Re-arbitrate through the main controller, as the Course Report does
+      if (
+        typeof ALLY_MAIN_CONTROLLER !== "undefined" &&
+        typeof ALLY_MAIN_CONTROLLER.refreshExecuteButtonStates === "function"
+      ) {
+        ALLY_MAIN_CONTROLLER.refreshExecuteButtonStates();
+      } else if (elements.executeButton) {
+        elements.executeButton.disabled = false;
+      }
+    }
+  }
+
+  // ========================================================================
+  // Initialisation
+  // ========================================================================
+
+  /**
+   * Checks required dependencies
+   * @returns {boolean}
+   */
+  function checkDependencies() {
+    var missing = [];
+    if (typeof ALLY_CONFIG === "undefined") missing.push("ALLY_CONFIG");
+    if (typeof ALLY_API_CLIENT === "undefined") missing.push("ALLY_API_CLIENT");
+    if (missing.length > 0) {
+      logError("Missing dependencies:", missing.join(", "));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Initialises the Roll-up module
+   * @returns {boolean} True if initialisation successful
+   */
+  function initialise() {
+    if (initialised) {
+      logWarn("Already initialised");
+      return true;
+    }
+
+    logInfo("Initialising ALLY_ROLLUP_REPORT...");
+
+    if (!checkDependencies()) {
+      logError("Initialisation failed: missing dependencies");
+      return false;
+    }
+
+    if (!cacheElements()) {
+      logWarn("Some elements not found, but continuing...");
+    }
+
+    populateSelects();
+
+    if (elements.executeButton) {
+      elements.executeButton.addEventListener("click", function () {
+        generateReport();
+      });
+      logDebug("Execute button bound");
+    }
+
+    initialised = true;
+    logInfo("ALLY_ROLLUP_REPORT initialised successfully");
+
+    return true;
+  }
+
+  // ========================================================================
+  // Debug & Testing
+  // ========================================================================
+
+  /**
+   * Gets debug information
+   * @returns {Object} Debug info
+   */
+  function getDebugInfo() {
+    return {
+      initialised: initialised,
+      isGenerating: isGenerating,
+      hasLastRollup: !!lastRollup,
+      selection: initialised ? getSelection() : null,
+      elementsFound: Object.keys(elements).reduce(function (acc, key) {
+        acc[key] = !!elements[key];
+        return acc;
+      }, {}),
+      dependencies: {
+        ALLY_CONFIG: typeof ALLY_CONFIG !== "undefined",
+        ALLY_API_CLIENT: typeof ALLY_API_CLIENT !== "undefined",
+        ALLY_LOOKUP: typeof ALLY_LOOKUP !== "undefined",
+        ALLY_CHART_RENDERER: typeof ALLY_CHART_RENDERER !== "undefined",
+      },
+    };
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  return {
+    // Initialisation
+    initialise: initialise,
+    isInitialised: function () {
+      return initialised;
+    },
+
+    // Report generation
+    generateReport: generateReport,
+
+    // State access
+    getLastRollup: function () {
+      return lastRollup;
+    },
+    isGenerating: function () {
+      return isGenerating;
+    },
+
+    // Aggregation (exposed for testing)
+    mergeCourseRows: mergeCourseRows,
+    aggregateCourses: aggregateCourses,
+    getPriorityModules: getPriorityModules,
+    buildRollup: buildRollup,
+
+    // Debug
+    getDebugInfo: getDebugInfo,
+  };
+})();
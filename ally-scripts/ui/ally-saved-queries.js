@@ -0,0 +1,1083 @@
+/**
+ * @fileoverview Ally Saved Queries - Named, importable and shareable Report Builder queries
+ * @module AllySavedQueries
+ * @requires ALLY_CONFIG
+ * @requires ALLY_UI_MANAGER
+ * @requires ALLY_FILTER_BUILDER
+ * @requires ALLY_RESULT_RENDERER
+ * @requires ALLY_REPORT_SWITCHER
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Keeps Report Builder queries beyond a page reload. A query is the builder's
+ * full state — endpoint, quick filters, advanced filter rows (field, operator,
+ * value), sort, limit and the visible result columns:
+ *
+ *   { version: 1, endpoint, term, department, activeOnly,
+ *     filters: [{ field, operator, value }], sortField, sortOrder, limit,
+ *     columns }
+ *
+ * Queries can be:
+ * - Saved by name in localStorage (ALLY_CONFIG.STORAGE_KEYS.SAVED_QUERIES)
+ * - Exported and imported as JSON
+ *     { format: "ally-saved-queries", version: 1, exportedAt, queries: [...] }
+ * - Shared as a link: tools.html?ally-query=<base64url JSON>. Opening the link
+ *   restores the builder and removes the parameter from the address bar.
+ *
+ * Every query is validated before it reaches the builder (validateState), so
+ * an imported or shared query that names a field the endpoint does not offer
+ * (see ALLY_CONFIG.getFilterFieldKeysForEndpoint) is restored without it, and
+ * the notice explains exactly what was dropped.
+ *
+ * @example
+ * ALLY_SAVED_QUERIES.initialise();
+ *
+ * // Check a query without applying it
+ * var checked = ALLY_SAVED_QUERIES.validateState(query);
+ * // checked.state is safe to apply; checked.dropped lists what was removed
+ */
+
+const ALLY_SAVED_QUERIES = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[AllySavedQueries] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[AllySavedQueries] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[AllySavedQueries] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[AllySavedQueries] " + message, ...args);
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  /** Fallback localStorage key if ALLY_CONFIG is unavailable */
+  const DEFAULT_STORAGE_KEY = "ally-saved-queries";
+
+  /** Schema version of the stored queries and of each query state */
+  const SCHEMA_VERSION = 1;
+
+  /** Export file identification */
+  const EXPORT_FORMAT = "ally-saved-queries";
+  const EXPORT_VERSION = 1;
+
+  /** URL parameter carrying a shared query */
+  const URL_PARAM = "ally-query";
+
+  /** Longest accepted query name */
+  const MAX_NAME_LENGTH = 80;
+
+  /** Endpoints the Report Builder offers, with their radio labels */
+  const ENDPOINT_LABELS = {
+    overall: "Overall Scores",
+    issues: "Issues Breakdown",
+  };
+
+  /** Sort fields offered by #ally-sort-field (besides the default order) */
+  const SORT_LABELS = {
+    courseName: "Module Name",
+    courseCode: "Module Code",
+    overallScore: "Overall Score",
+    filesScore: "Files Score",
+    numberOfStudents: "Student Count",
+  };
+
+  /** Result limits offered by #ally-limit */
+  const LIMITS = [100, 500, 1000, 5000, 10000];
+  const DEFAULT_LIMIT = 1000;
+
+  // ========================================================================
+  // State
+  // ========================================================================
+
+  let initialised = false;
+
+  /** @type {Object} Cached DOM elements */
+  const elements = {
+    nameInput: null,
+    saveButton: null,
+    querySelect: null,
+    loadButton: null,
+    deleteButton: null,
+    exportButton: null,
+    importButton: null,
+    importFile: null,
+    shareButton: null,
+    shareUrl: null,
+    notice: null,
+  };
+
+  // ========================================================================
+  // Validation (pure, exposed for testing)
+  // ========================================================================
+
+  /**
+   * Checks one advanced filter row against the endpoint
+   * @param {Object} filter - { field, operator, value }
+   * @param {string} endpoint
+   * @returns {{filter: Object|null, reason: string}} Normalised row, or null
+   *   with the reason it was dropped
+   */
+  function validateFilter(filter, endpoint) {
+    if (!filter || typeof filter.field !== "string" || !filter.field) {
+      return { filter: null, reason: "A filter with no field was dropped" };
+    }
+
+    const definition = ALLY_CONFIG.getFieldDefinition(filter.field);
+    if (!definition) {
+      return {
+        filter: null,
+        reason:
+          'The filter on "' +
+          filter.field +
+          '" was dropped: it is not a field the Report Builder recognises',
+      };
+    }
+
+    if (
+      ALLY_CONFIG.getFilterFieldKeysForEndpoint(endpoint).indexOf(
+        filter.field,
+      ) === -1
+    ) {
+      return {
+        filter: null,
+        reason:
+          "The filter on " +
+          definition.label +
+          " was dropped: it is not available for " +
+          ENDPOINT_LABELS[endpoint],
+      };
+    }
+
+    let operator = "";
+    if (!definition.noOperator) {
+      const operators = ALLY_CONFIG.OPERATORS[definition.type] || [];
+      const known = operators.some(function (op) {
+        return op.value === filter.operator;
+      });
+      if (!known) {
+        return {
+          filter: null,
+          reason:
+            "The filter on " +
+            definition.label +
+            ' was dropped: "' +
+            String(filter.operator || "") +
+            '" is not an operator it supports',
+        };
+      }
+      operator = filter.operator;
+    }
+
+    return {
+      filter: {
+        field: filter.field,
+        operator: operator,
+        value:
+          filter.value === undefined || filter.value === null
+            ? ""
+            : String(filter.value),
+      },
+      reason: "",
+    };
+  }
+
+  /**
+   * Validates and normalises a query state from storage, an import or a
+   * shared link. Anything the builder cannot honour for the endpoint is
+   * removed and described in `dropped`, so the caller can tell the user.
+   * @param {Object} raw - Query state
+   * @returns {{state: Object, dropped: string[]}}
+   * @throws {Error} If raw is not a query at all
+   */
+  function validateState(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new Error("This is not a Report Builder query");
+    }
+    if (typeof raw.version === "number" && raw.version > SCHEMA_VERSION) {
+      throw new Error(
+        "The query was saved by a newer version of this tool",
+      );
+    }
+
+    const dropped = [];
+
+    let endpoint = String(raw.endpoint || "overall").toLowerCase();
+    if (!ENDPOINT_LABELS[endpoint]) {
+      dropped.push(
+        'Report type "' +
+          endpoint +
+          '" is not recognised, so ' +
+          ENDPOINT_LABELS.overall +
+          " is used",
+      );
+      endpoint = "overall";
+    }
+
+    const filters = [];
+    (Array.isArray(raw.filters) ? raw.filters : []).forEach(function (filter) {
+      const checked = validateFilter(filter, endpoint);
+      if (checked.filter) {
+        filters.push(checked.filter);
+      } else {
+        dropped.push(checked.reason);
+      }
+    });
+
+    let sortField = typeof raw.sortField === "string" ? raw.sortField : "";
+    if (sortField && !SORT_LABELS[sortField]) {
+      dropped.push(
+        'Sorting by "' + sortField + '" was dropped: it is not a sort option',
+      );
+      sortField = "";
+    } else if (
+      sortField &&
+      ALLY_CONFIG.getFieldDefinition(sortField) &&
+      !ALLY_CONFIG.isFieldValidForEndpoint(sortField, endpoint)
+    ) {
+      dropped.push(
+        "Sorting by " +
+          SORT_LABELS[sortField] +
+          " was dropped: it is not available for " +
+          ENDPOINT_LABELS[endpoint],
+      );
+      sortField = "";
+    }
+
+    let limit = parseInt(raw.limit, 10);
+    if (raw.limit !== undefined && LIMITS.indexOf(limit) === -1) {
+      dropped.push(
+        'Results limit "' +
+          raw.limit +
+          '" is not an option, so ' +
+          DEFAULT_LIMIT.toLocaleString("en-GB") +
+          " is used",
+      );
+    }
+    if (LIMITS.indexOf(limit) === -1) limit = DEFAULT_LIMIT;
+
+    let columns = null;
+    if (Array.isArray(raw.columns) && raw.columns.length > 0) {
+      const definitions =
+        typeof ALLY_RESULT_RENDERER !== "undefined"
+          ? ALLY_RESULT_RENDERER.getColumnDefinitions(endpoint)
+          : null;
+      columns = raw.columns.filter(function (key) {
+        return !definitions || Object.prototype.hasOwnProperty.call(definitions, key);
+      });
+      const unknown = raw.columns.filter(function (key) {
+        return columns.indexOf(key) === -1;
+      });
+      if (unknown.length > 0) {
+        dropped.push(
+          "Column" +
+            (unknown.length === 1 ? " " : "s ") +
+            unknown.map(String).join(", ") +
+            (unknown.length === 1 ? " was" : " were") +
+            " dropped: not available for " +
+            ENDPOINT_LABELS[endpoint],
+        );
+      }
+      if (columns.length === 0) columns = null;
+    }
+
+    return {
+      state: {
+        version: SCHEMA_VERSION,
+        endpoint: endpoint,
+        term: typeof raw.term === "string" ? raw.term : "",
+        department: typeof raw.department === "string" ? raw.department : "",
+        activeOnly: raw.activeOnly !== false,
+        filters: filters,
+        sortField: sortField,
+        sortOrder: raw.sortOrder === "desc" ? "desc" : "asc",
+        limit: limit,
+        columns: columns,
+      },
+      dropped: dropped,
+    };
+  }
+
+  // ========================================================================
+  // Share Links (pure, exposed for testing)
+  // ========================================================================
+
+  /**
+   * Encodes a query state for the ally-query URL parameter (base64url of the
+   * UTF-8 JSON, so module names with accents survive)
+   * @param {Object} state
+   * @returns {string}
+   */
+  function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = "";
+    bytes.forEach(function (byte) {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  /**
+   * Decodes an ally-query URL parameter back to a (not yet validated) state
+   * @param {string} encoded
+   * @returns {Object}
+   * @throws {Error} If the parameter is damaged
+   */
+  function decodeState(encoded) {
+    try {
+      const base64 = String(encoded || "")
+        .replace(/-/g, "+")
+        .replace(/_/g, "/");
+      const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+      throw new Error("The shared query link is incomplete or damaged");
+    }
+  }
+
+  /**
+   * Builds a link to this page that restores the given query
+   * @param {Object} state
+   * @param {string} [baseUrl] - Defaults to the current page
+   * @returns {string}
+   */
+  function buildShareUrl(state, baseUrl) {
+    const url = new URL(baseUrl || window.location.href);
+    url.hash = "";
+    url.searchParams.set(URL_PARAM, encodeState(state));
+    return url.toString();
+  }
+
+  // ========================================================================
+  // Storage
+  // ========================================================================
+
+  /**
+   * Gets the localStorage key
+   * @returns {string}
+   */
+  function getStorageKey() {
+    return typeof ALLY_CONFIG !== "undefined" &&
+      ALLY_CONFIG.STORAGE_KEYS.SAVED_QUERIES
+      ? ALLY_CONFIG.STORAGE_KEYS.SAVED_QUERIES
+      : DEFAULT_STORAGE_KEY;
+  }
+
+  /**
+   * Creates an empty store with the default structure
+   * @returns {Object}
+   */
+  function createEmptyStore() {
+    return { version: SCHEMA_VERSION, queries: {} };
+  }
+
+  /**
+   * Reads the store from localStorage, tolerating a missing or corrupt value
+   * @returns {Object}
+   */
+  function getStore() {
+    try {
+      const stored = localStorage.getItem(getStorageKey());
+      if (!stored) return createEmptyStore();
+
+      const store = JSON.parse(stored);
+      if (!store || typeof store !== "object" || !store.queries) {
+        logWarn("Malformed saved-queries store, starting afresh");
+        return createEmptyStore();
+      }
+      if (store.version !== SCHEMA_VERSION) {
+        logWarn("Saved-queries schema mismatch, starting afresh");
+        return createEmptyStore();
+      }
+      return store;
+    } catch (e) {
+      logError("Failed to read saved queries:", e);
+      return createEmptyStore();
+    }
+  }
+
+  /**
+   * Persists the store to localStorage
+   * @param {Object} store
+   * @returns {boolean} True on success
+   */
+  function saveStore(store) {
+    try {
+      localStorage.setItem(getStorageKey(), JSON.stringify(store));
+      return true;
+    } catch (e) {
+      logError("Failed to save queries:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Tidies a query name: trimmed, whitespace collapsed, length capped
+   * @param {string} name
+   * @returns {string}
+   */
+  function normaliseName(name) {
+    return String(name || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, MAX_NAME_LENGTH);
+  }
+
+  /**
+   * Lists saved queries, alphabetically by name
+   * @returns {Array<{name: string, savedAt: string, query: Object}>}
+   */
+  function listQueries() {
+    const queries = getStore().queries;
+    return Object.keys(queries)
+      .map(function (name) {
+        return queries[name];
+      })
+      .sort(function (a, b) {
+        return a.name.localeCompare(b.name, "en-GB", { sensitivity: "base" });
+      });
+  }
+
+  /**
+   * Gets a saved query by name
+   * @param {string} name
+   * @returns {{name: string, savedAt: string, query: Object}|null}
+   */
+  function getQuery(name) {
+    return getStore().queries[normaliseName(name)] || null;
+  }
+
+  /**
+   * Saves a query under a name, replacing any query of the same name
+   * @param {string} name
+   * @param {Object} state - Query state (validated before saving)
+   * @returns {{name: string, savedAt: string, query: Object}}
+   * @throws {Error} If the name is empty or storage fails
+   */
+  function saveQuery(name, state) {
+    const cleanName = normaliseName(name);
+    if (!cleanName) {
+      throw new Error("Enter a name for the query");
+    }
+
+    const entry = {
+      name: cleanName,
+      savedAt: new Date().toISOString(),
+      query: validateState(state).state,
+    };
+
+    const store = getStore();
+    store.queries[cleanName] = entry;
+    if (!saveStore(store)) {
+      throw new Error("The query could not be saved (browser storage is full or blocked)");
+    }
+
+    logInfo("Saved query:", cleanName);
+    return entry;
+  }
+
+  /**
+   * Deletes a saved query
+   * @param {string} name
+   * @returns {boolean} True if a query was deleted
+   */
+  function deleteQuery(name) {
+    const cleanName = normaliseName(name);
+    const store = getStore();
+    if (!store.queries[cleanName]) return false;
+
+    delete store.queries[cleanName];
+    return saveStore(store);
+  }
+
+  /**
+   * Builds the export object for every saved query
+   * @returns {Object} { format, version, exportedAt, queries }
+   */
+  function exportQueries() {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      queries: listQueries(),
+    };
+  }
+
+  /**
+   * Imports queries from an export. A query with the same name as one already
+   * saved replaces it. Each query is validated, so fields the endpoint does
+   * not offer are dropped and reported.
+   * @param {string|Object} json - Export object or its JSON text
+   * @returns {{imported: number, replaced: number, invalid: number, dropped: string[]}}
+   * @throws {Error} If the file is not a saved-queries export
+   */
+  function importQueries(json) {
+    let payload;
+    try {
+      payload = typeof json === "string" ? JSON.parse(json) : json;
+    } catch (e) {
+      throw new Error("The file is not valid JSON");
+    }
+
+    if (
+      !payload ||
+      payload.format !== EXPORT_FORMAT ||
+      !Array.isArray(payload.queries)
+    ) {
+      throw new Error("The file is not an Ally saved-queries export");
+    }
+    if (payload.version > EXPORT_VERSION) {
+      throw new Error("The file was exported by a newer version of this tool");
+    }
+
+    const store = getStore();
+    const result = { imported: 0, replaced: 0, invalid: 0, dropped: [] };
+
+    payload.queries.forEach(function (entry) {
+      const name = entry ? normaliseName(entry.name) : "";
+      let checked;
+      try {
+        checked = name ? validateState(entry.query) : null;
+      } catch (e) {
+        checked = null;
+      }
+      if (!checked) {
+        result.invalid++;
+        return;
+      }
+
+      if (store.queries[name]) result.replaced++;
+      store.queries[name] = {
+        name: name,
+        savedAt:
+          typeof entry.savedAt === "string"
+            ? entry.savedAt
+            : new Date().toISOString(),
+        query: checked.state,
+      };
+      result.imported++;
+      checked.dropped.forEach(function (reason) {
+        result.dropped.push(name + ": " + reason);
+      });
+    });
+
+    if (result.imported > 0 && !saveStore(store)) {
+      throw new Error("The queries could not be saved (browser storage is full or blocked)");
+    }
+
+    logInfo("Imported queries:", result);
+    return result;
+  }
+
+  // ========================================================================
+  // Builder State
+  // ========================================================================
+
+  /**
+   * Reads the Report Builder's current query state. Columns are included
+   * only when the table on screen is for the same endpoint.
+   * @returns {Object}
+   */
+  function captureState() {
+    const form = ALLY_UI_MANAGER.getFormValues();
+
+    let columns = null;
+    if (
+      typeof ALLY_RESULT_RENDERER !== "undefined" &&
+      ALLY_RESULT_RENDERER.getCurrentResult() &&
+      ALLY_RESULT_RENDERER.getCurrentEndpoint() === form.endpoint
+    ) {
+      columns = ALLY_RESULT_RENDERER.getVisibleColumns();
+    }
+
+    return {
+      version: SCHEMA_VERSION,
+      endpoint: form.endpoint,
+      term: form.term,
+      department: form.department,
+      activeOnly: form.activeOnly,
+      filters:
+        typeof ALLY_FILTER_BUILDER !== "undefined"
+          ? ALLY_FILTER_BUILDER.getFilterState()
+          : [],
+      sortField: form.sortField,
+      sortOrder: form.sortOrder,
+      limit: form.limit,
+      columns: columns,
+    };
+  }
+
+  /**
+   * Sets a select to a value if it offers it
+   * @param {string} id - Select element id
+   * @param {string} value
+   * @returns {boolean} True if the value was selected
+   */
+  function selectOption(id, value) {
+    const select = document.getElementById(id);
+    if (!select) return false;
+
+    const offered = Array.prototype.some.call(select.options, function (option) {
+      return option.value === value;
+    });
+    select.value = offered ? value : "";
+    return offered;
+  }
+
+  /**
+   * Restores a query into the Report Builder (without running it) and shows
+   * the Report Builder. The state is validated first.
+   * @param {Object} raw - Query state
+   * @returns {string[]} Everything that could not be restored
+   * @throws {Error} If raw is not a query at all
+   */
+  function applyState(raw) {
+    const checked = validateState(raw);
+    const state = checked.state;
+    const dropped = checked.dropped.slice();
+
+    if (
+      typeof ALLY_REPORT_SWITCHER !== "undefined" &&
+      typeof ALLY_CONFIG !== "undefined"
+    ) {
+      ALLY_REPORT_SWITCHER.setReportType(
+        ALLY_CONFIG.REPORT_TYPES.REPORT_BUILDER,
+        true,
+      );
+    }
+
+    // Switching endpoint through the radio lets the filter builder refresh
+    // its field lists exactly as it does for a user's click
+    const radio = document.querySelector(
+      'input[name="ally-endpoint"][value="' + state.endpoint + '"]',
+    );
+    if (radio && !radio.checked) {
+      radio.checked = true;
+      radio.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+
+    // Terms and departments come from the lookup data, which can differ
+    // between institutions or change between terms
+    if (state.term && !selectOption("ally-term-select", state.term)) {
+      dropped.push(
+        'Term "' + state.term + '" is not in the term list, so all terms are used',
+      );
+    }
+    if (!state.term) selectOption("ally-term-select", "");
+    if (
+      state.department &&
+      !selectOption("ally-department-select", state.department)
+    ) {
+      dropped.push(
+        'Department "' +
+          state.department +
+          '" is not in the department list, so all departments are used',
+      );
+    }
+    if (!state.department) selectOption("ally-department-select", "");
+
+    const activeOnly = document.getElementById("ally-active-only");
+    if (activeOnly) activeOnly.checked = state.activeOnly;
+
+    selectOption("ally-sort-field", state.sortField);
+    selectOption("ally-sort-order", state.sortOrder);
+    selectOption("ally-limit", String(state.limit));
+
+    if (typeof ALLY_FILTER_BUILDER !== "undefined") {
+      ALLY_FILTER_BUILDER.setFilterState(state.filters, state.endpoint);
+      const advanced = document.querySelector(".ally-advanced-filters");
+      if (advanced && state.filters.length > 0) advanced.open = true;
+    }
+
+    if (typeof ALLY_RESULT_RENDERER !== "undefined") {
+      if (
+        state.columns &&
+        ALLY_RESULT_RENDERER.getCurrentResult() &&
+        ALLY_RESULT_RENDERER.getCurrentEndpoint() === state.endpoint
+      ) {
+        ALLY_RESULT_RENDERER.setVisibleColumns(state.columns);
+      }
+      ALLY_RESULT_RENDERER.queueColumns(state.endpoint, state.columns);
+    }
+
+    logInfo("Query restored, dropped:", dropped);
+    return dropped;
+  }
+
+  // ========================================================================
+  // UI
+  // ========================================================================
+
+  /**
+   * Shows a message in the notice region, with an optional list of what was
+   * dropped. The region is role="status", so it is announced.
+   * @param {string} message
+   * @param {string[]} [dropped]
+   * @param {boolean} [isError]
+   */
+  function showNotice(message, dropped, isError) {
+    if (!elements.notice) return;
+
+    elements.notice.innerHTML = "";
+    elements.notice.classList.toggle("ally-saved-queries-notice-error", !!isError);
+
+    const paragraph = document.createElement("p");
+    paragraph.textContent = message;
+    elements.notice.appendChild(paragraph);
+
+    if (dropped && dropped.length > 0) {
+      const intro = document.createElement("p");
+      intro.textContent =
+        dropped.length === 1
+          ? "One part could not be restored:"
+          : dropped.length + " parts could not be restored:";
+      elements.notice.appendChild(intro);
+
+      const list = document.createElement("ul");
+      dropped.forEach(function (reason) {
+        const item = document.createElement("li");
+        item.textContent = reason;
+        list.appendChild(item);
+      });
+      elements.notice.appendChild(list);
+    }
+
+    elements.notice.hidden = false;
+  }
+
+  /**
+   * Refreshes the saved-query dropdown, keeping the selection if possible
+   * @param {string} [selectName] - Name to select
+   */
+  function refreshQuerySelect(selectName) {
+    if (!elements.querySelect) return;
+
+    const current = selectName || elements.querySelect.value;
+    const queries = listQueries();
+
+    elements.querySelect.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = queries.length
+      ? "Choose a saved query"
+      : "No saved queries yet";
+    elements.querySelect.appendChild(placeholder);
+
+    queries.forEach(function (entry) {
+      const option = document.createElement("option");
+      option.value = entry.name;
+      option.textContent = entry.name;
+      elements.querySelect.appendChild(option);
+    });
+
+    elements.querySelect.value = getQuery(current) ? current : "";
+    syncButtons();
+  }
+
+  /**
+   * Enables Load / Delete only when a query is chosen
+   */
+  function syncButtons() {
+    const chosen = !!(elements.querySelect && elements.querySelect.value);
+    if (elements.loadButton) elements.loadButton.disabled = !chosen;
+    if (elements.deleteButton) elements.deleteButton.disabled = !chosen;
+  }
+
+  function handleSave() {
+    const name = normaliseName(elements.nameInput ? elements.nameInput.value : "");
+    if (!name) {
+      showNotice("Enter a name for the query before saving.", null, true);
+      if (elements.nameInput) elements.nameInput.focus();
+      return;
+    }
+
+    if (
+      getQuery(name) &&
+      !window.confirm('Replace the saved query "' + name + '"?')
+    ) {
+      return;
+    }
+
+    try {
+      const entry = saveQuery(name, captureState());
+      refreshQuerySelect(entry.name);
+      showNotice('Saved query "' + entry.name + '".');
+    } catch (error) {
+      logError("Save failed:", error);
+      showNotice(error.message, null, true);
+    }
+  }
+
+  function handleLoad() {
+    const entry = getQuery(elements.querySelect.value);
+    if (!entry) return;
+
+    try {
+      const dropped = applyState(entry.query);
+      if (elements.nameInput) elements.nameInput.value = entry.name;
+      showNotice(
+        'Loaded query "' + entry.name + '". Select Run Query to see the results.',
+        dropped,
+      );
+    } catch (error) {
+      logError("Load failed:", error);
+      showNotice(error.message, null, true);
+    }
+  }
+
+  function handleDelete() {
+    const name = elements.querySelect.value;
+    if (!name || !window.confirm('Delete the saved query "' + name + '"?')) {
+      return;
+    }
+
+    if (deleteQuery(name)) {
+      refreshQuerySelect("");
+      showNotice('Deleted query "' + name + '".');
+    } else {
+      showNotice('Query "' + name + '" could not be deleted.', null, true);
+    }
+  }
+
+  function handleExport() {
+    const payload = exportQueries();
+    if (payload.queries.length === 0) {
+      showNotice("There are no saved queries to export.", null, true);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "ally-saved-queries.json";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    showNotice(
+      "Exported " +
+        payload.queries.length +
+        (payload.queries.length === 1 ? " query" : " queries") +
+        " as JSON.",
+    );
+  }
+
+  function handleImportFile() {
+    const file = elements.importFile.files && elements.importFile.files[0];
+    elements.importFile.value = "";
+    if (!file) return;
+
+    file
+      .text()
+      .then(function (text) {
+        const result = importQueries(text);
+        refreshQuerySelect();
+        showNotice(
+          "Imported " +
+            result.imported +
+            (result.imported === 1 ? " query" : " queries") +
+            (result.replaced ? ", replacing " + result.replaced : "") +
+            (result.invalid ? ", " + result.invalid + " invalid" : "") +
+            ".",
+          result.dropped,
+        );
+      })
+      .catch(function (error) {
+        logError("Import failed:", error);
+        showNotice("Import failed: " + error.message, null, true);
+      });
+  }
+
+  function handleShare() {
+    const url = buildShareUrl(validateState(captureState()).state);
+
+    if (elements.shareUrl) {
+      elements.shareUrl.value = url;
+      elements.shareUrl.hidden = false;
+    }
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      showNotice("Copy the link below to share this query.");
+      if (elements.shareUrl) elements.shareUrl.select();
+      return;
+    }
+
+    navigator.clipboard
+      .writeText(url)
+      .then(function () {
+        showNotice(
+          "Share link copied. Anyone opening it sees this query in the Report Builder.",
+        );
+      })
+      .catch(function (error) {
+        logWarn("Clipboard write failed:", error);
+        showNotice("Copy the link below to share this query.");
+        if (elements.shareUrl) elements.shareUrl.select();
+      });
+  }
+
+  /**
+   * Restores a query shared in the page URL, then removes the parameter so
+   * a reload does not re-apply it over later changes
+   * @returns {boolean} True if the URL carried a query
+   */
+  function applyFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const encoded = params.get(URL_PARAM);
+    if (!encoded) return false;
+
+    try {
+      const dropped = applyState(decodeState(encoded));
+      showNotice(
+        "Opened a shared query. Select Run Query to see the results.",
+        dropped,
+      );
+    } catch (error) {
+      logError("Shared query could not be applied:", error);
+      showNotice(
+        "The shared query could not be opened: " + error.message,
+        null,
+        true,
+      );
+    }
+
+    params.delete(URL_PARAM);
+    const search = params.toString();
+    window.history.replaceState(
+      window.history.state,
+      "",
+      window.location.pathname + (search ? "?" + search : "") + window.location.hash,
+    );
+    return true;
+  }
+
+  /**
+   * Caches DOM element references
+   * @returns {boolean} True if the core elements were found
+   */
+  function cacheElements() {
+    elements.nameInput = document.getElementById("ally-saved-query-name");
+    elements.saveButton = document.getElementById("ally-saved-query-save");
+    elements.querySelect = document.getElementById("ally-saved-query-select");
+    elements.loadButton = document.getElementById("ally-saved-query-load");
+    elements.deleteButton = document.getElementById("ally-saved-query-delete");
+    elements.exportButton = document.getElementById("ally-saved-query-export");
+    elements.importButton = document.getElementById("ally-saved-query-import");
+    elements.importFile = document.getElementById("ally-saved-query-import-file");
+    elements.shareButton = document.getElementById("ally-saved-query-share");
+    elements.shareUrl = document.getElementById("ally-saved-query-share-url");
+    elements.notice = document.getElementById("ally-saved-query-notice");
+
+    return !!(elements.saveButton && elements.querySelect && elements.notice);
+  }
+
+  /**
+   * Initialises the saved-queries controls and applies a shared query from
+   * the URL, if any
+   * @param {boolean} [force] - Re-cache elements and re-bind handlers
+   * @returns {boolean} True if initialised
+   */
+  function initialise(force) {
+    if (initialised && !force) {
+      logWarn("Already initialised");
+      return true;
+    }
+
+    if (!cacheElements()) {
+      logWarn("Saved-query controls not found, but continuing...");
+    }
+
+    // Assigned (not added) so a forced re-init cannot stack listeners
+    if (elements.saveButton) elements.saveButton.onclick = handleSave;
+    if (elements.querySelect) elements.querySelect.onchange = syncButtons;
+    if (elements.loadButton) elements.loadButton.onclick = handleLoad;
+    if (elements.deleteButton) elements.deleteButton.onclick = handleDelete;
+    if (elements.exportButton) elements.exportButton.onclick = handleExport;
+    if (elements.importButton && elements.importFile) {
+      elements.importButton.onclick = function () {
+        elements.importFile.click();
+      };
+      elements.importFile.onchange = handleImportFile;
+    }
+    if (elements.shareButton) elements.shareButton.onclick = handleShare;
+
+    refreshQuerySelect();
+    applyFromUrl();
+
+    initialised = true;
+    logInfo("ALLY_SAVED_QUERIES initialised successfully");
+    return true;
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  return {
+    // Initialisation
+    initialise: initialise,
+    isInitialised: function () {
+      return initialised;
+    },
+
+    // Builder state
+    captureState: captureState,
+    applyState: applyState,
+    applyFromUrl: applyFromUrl,
+
+    // Storage
+    saveQuery: saveQuery,
+    getQuery: getQuery,
+    listQueries: listQueries,
+    deleteQuery: deleteQuery,
+    exportQueries: exportQueries,
+    importQueries: importQueries,
+
+    // Pure helpers (exposed for testing)
+    validateState: validateState,
+    encodeState: encodeState,
+    decodeState: decodeState,
+    buildShareUrl: buildShareUrl,
+    URL_PARAM: URL_PARAM,
+  };
+})();
@@ -0,0 +1,1252 @@
+/**
+ * @fileoverview Ally Statement Batch - Bulk accessibility statements as a zip
+ * @module AllyStatementBatch
+ * @requires ALLY_CONFIG
+ * @requires ALLY_API_CLIENT
+ * @requires ALLY_LOOKUP
+ * @requires ALLY_STATEMENT_PREVIEW
+ * @requires ALLY_STATEMENT_PREVIEW_DOCX
+ * @requires ALLY_INCLUSION_ANSWERS
+ * @requires JSZip
+ * @version 1.0.0
+ * @since Phase 8
+ *
+ * @description
+ * Generates the accessibility statement for every module in a department or
+ * term (or a list of module codes) in one go, and packages them as a zip.
+ *
+ * Each module runs through the Statement Preview's own pipeline: the Issues row
+ * is fetched with ALLY_STATEMENT_PREVIEW.fetchCourseData, then rendered
+ * off-screen and exported with ALLY_STATEMENT_PREVIEW.buildStatementFiles, so
+ * the batch output matches a one-at-a-time export exactly — the current
+ * environment, "Show" toggles, refresh embed flag and each module's stored
+ * ALLY_INCLUSION_ANSWERS all apply. The on-screen preview is never touched.
+ *
+ * Zip layout:
+ *   index.html                                  Summary page linking everything
+ *   statements/Accessibility-statement-X.html   Standalone HTML statements
+ *   word/Accessibility-statement-X.docx         Word versions
+ *
+ * Modules that fail (no Ally data, an API error, an unknown code) are listed
+ * with the reason and can be retried without regenerating the rest.
+ *
+ * Parsing and index-page helpers are pure and exposed for testing.
+ *
+ * @example
+ * ALLY_STATEMENT_BATCH.initialise();
+ *
+ * // Codes from a pasted list or CSV (header row optional)
+ * var entries = ALLY_STATEMENT_BATCH.parseCourseList("code\nCHEM101\nPHYS202");
+ */
+
+const ALLY_STATEMENT_BATCH = (function () {
+  "use strict";
+
+  // ========================================================================
+  // Logging Configuration (IIFE-scoped)
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[AllyStatementBatch] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[AllyStatementBatch] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[AllyStatementBatch] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[AllyStatementBatch] " + message, ...args);
+  }
+
+  // ========================================================================
+  // Constants
+  // ========================================================================
+
+  /** Fallback limits if ALLY_CONFIG.STATEMENT_BATCH is unavailable */
+  const DEFAULT_LIMITS = {
+    PAGE_LIMIT: 1000,
+    MAX_PAGES: 5,
+    MAX_COURSES: 200,
+  };
+
+  /** CSV header cells recognised as the module code / module id column */
+  const CODE_HEADERS = ["code", "course code", "coursecode", "module code"];
+  const ID_HEADERS = ["id", "course id", "courseid", "module id"];
+
+  const STATEMENTS_FOLDER = "statements";
+  const WORD_FOLDER = "word";
+
+  // ========================================================================
+  // State
+  // ========================================================================
+
+  let initialised = false;
+  let isRunning = false;
+
+  /**
+   * The current batch. `results` is keyed by course id so a retry replaces a
+   * failure rather than duplicating it.
+   * @type {{label: string, startedAt: string, results: Map<string, Object>, failures: Array<Object>}|null}
+   */
+  let batch = null;
+
+  /** @type {Object} Cached DOM elements */
+  const elements = {
+    sourceScope: null,
+    sourceCodes: null,
+    scopeFields: null,
+    codesFields: null,
+    termSelect: null,
+    departmentSelect: null,
+    activeOnly: null,
+    codesInput: null,
+    codesFile: null,
+    executeButton: null,
+    progressSection: null,
+    progressFill: null,
+    progressMessage: null,
+    resultsContainer: null,
+  };
+
+  // ========================================================================
+  // Helpers (pure, exposed for testing)
+  // ========================================================================
+
+  /**
+   * Reads a batch limit from ALLY_CONFIG.STATEMENT_BATCH, falling back to defaults
+   * @param {string} key - Limit name (e.g. "MAX_COURSES")
+   * @returns {number}
+   */
+  function getLimit(key) {
+    if (
+      typeof ALLY_CONFIG !== "undefined" &&
+      ALLY_CONFIG.STATEMENT_BATCH &&
+      typeof ALLY_CONFIG.STATEMENT_BATCH[key] === "number"
+    ) {
+      return ALLY_CONFIG.STATEMENT_BATCH[key];
+    }
+    return DEFAULT_LIMITS[key];
+  }
+
+  /**
+   * Splits one CSV line into trimmed cells, honouring double-quoted cells
+   * (with "" as an escaped quote).
+   * @param {string} line
+   * @returns {string[]}
+   */
+  function splitCsvLine(line) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line.charAt(i);
+      if (quoted) {
+        if (ch === '"' && line.charAt(i + 1) === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Parses a pasted list or CSV of modules. With a header row naming a code
+   * and/or id column (e.g. "Course code", "courseId") only those columns are
+   * read; without one, every non-empty cell is taken as a module code, so a
+   * one-per-line or comma-separated list works too. Duplicates are dropped.
+   * @param {string} text
+   * @returns {Array<{code: string, id: string}>}
+   */
+  function parseCourseList(text) {
+    const rows = String(text || "")
+      .split(/\r\n|\r|\n/)
+      .map(splitCsvLine)
+      .filter(function (cells) {
+        return cells.some(function (cell) {
+          return cell !== "";
+        });
+      });
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(function (cell) {
+      return cell.toLowerCase().replace(/[_-]+/g, " ").trim();
+    });
+    const codeCol = header.findIndex(function (cell) {
+      return CODE_HEADERS.indexOf(cell) !== -1;
+    });
+    const idCol = header.findIndex(function (cell) {
+      return ID_HEADERS.indexOf(cell) !== -1;
+    });
+
+    const entries = [];
+    if (codeCol !== -1 || idCol !== -1) {
+      rows.slice(1).forEach(function (cells) {
+        const code = codeCol !== -1 ? cells[codeCol] || "" : "";
+        const id = idCol !== -1 ? cells[idCol] || "" : "";
+        if (code || id) entries.push({ code: code, id: id });
+      });
+    } else {
+      rows.forEach(function (cells) {
+        cells.forEach(function (cell) {
+          if (cell) entries.push({ code: cell, id: "" });
+        });
+      });
+    }
+
+    const seen = new Set();
+    return entries.filter(function (entry) {
+      const key = entry.id
+        ? "id:" + entry.id
+        : "code:" + entry.code.toUpperCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Filename-safe form of a module code or name (mirrors the Word export's
+   * filename rule, so the zip's names match one-at-a-time downloads).
+   * @param {string} text
+   * @returns {string}
+   */
+  function slugify(text) {
+    return String(text || "")
+      .replace(/[\\/:*?"<>|]+/g, "-")
+      .replace(/\s+/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  /**
+   * Assigns each successful entry a unique file base name,
+   * "Accessibility-statement-<code>", adding the course id when two modules
+   * share a code (e.g. the same module in two terms).
+   * @param {Array<Object>} entries - Batch results ({course})
+   * @returns {Array<Object>} The same entries, each with `fileBase` set
+   */
+  function assignFileNames(entries) {
+    const counts = {};
+    entries.forEach(function (entry) {
+      const base = slugify(entry.course.code || entry.course.name) || "course";
+      entry.fileBase = "Accessibility-statement-" + base;
+      counts[entry.fileBase] = (counts[entry.fileBase] || 0) + 1;
+    });
+    entries.forEach(function (entry) {
+      if (counts[entry.fileBase] > 1) {
+        entry.fileBase += "-" + (slugify(entry.course.id) || "course");
+      }
+    });
+    return entries;
+  }
+
+  function escapeHtml(text) {
+    return String(text === null || text === undefined ? "" : text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Builds the zip's standalone summary page: one row per statement with links
+   * to its HTML and Word files, then any modules that failed.
+   * @param {{label: string, generatedAt: string, entries: Array<Object>, failures: Array<Object>}} summary
+   *   entries need {course, fileBase, themeCount, hasAnswers, refreshable, hasDocx}
+   * @returns {string} A complete HTML document
+   */
+  function buildIndexHtml(summary) {
+    const title =
+      "Accessibility statements" +
+      (summary.label ? " — " + summary.label : "");
+    const generated = new Date(summary.generatedAt);
+    const generatedText = isNaN(generated.getTime())
+      ? ""
+      : generated.toLocaleString("en-GB");
+
+    const rows = summary.entries
+      .map(function (entry) {
+        const course = entry.course;
+        const htmlHref = STATEMENTS_FOLDER + "/" + entry.fileBase + ".html";
+        const wordHref = WORD_FOLDER + "/" + entry.fileBase + ".docx";
+        return (
+          "<tr>" +
+          "<td>" + escapeHtml(course.code) + "</td>" +
+          '<th scope="row"><a href="' + escapeHtml(htmlHref) + '">' +
+          escapeHtml(course.name || course.code || course.id) + "</a></th>" +
+          "<td>" + escapeHtml(course.termName) + "</td>" +
+          '<td class="num">' + entry.themeCount + "</td>" +
+          "<td>" + (entry.hasAnswers ? "Yes" : "No") + "</td>" +
+          "<td>" + (entry.refreshable ? "Yes" : "No") + "</td>" +
+          "<td>" +
+          (entry.hasDocx
+            ? '<a href="' + escapeHtml(wordHref) + '">Word</a>'
+            : "Not available") +
+          "</td>" +
+          "</tr>"
+        );
+      })
+      .join("\n");
+
+    const failures = summary.failures.length
+      ? "<h2>Not generated (" + summary.failures.length + ")</h2>\n<ul>\n" +
+        summary.failures
+          .map(function (failure) {
+            const course = failure.course;
+            const name = [course.code, course.name].filter(Boolean).join(" ");
+            return (
+              "<li><strong>" + escapeHtml(name || course.id) + "</strong>: " +
+              escapeHtml(failure.reason) + "</li>"
+            );
+          })
+          .join("\n") +
+        "\n</ul>"
+      : "";
+
+    return (
+      "<!DOCTYPE html>\n" +
+      '<html lang="en-GB">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      "<title>" + escapeHtml(title) + "</title>\n" +
+      "<style>\n" +
+      "body{font-family:system-ui,sans-serif;line-height:1.5;max-width:70rem;margin:2rem auto;padding:0 1rem;color:#1a1a1a}\n" +
+      "table{border-collapse:collapse;width:100%}\n" +
+      "th,td{border:1px solid #767676;padding:.4rem .6rem;text-align:left;vertical-align:top}\n" +
+      "thead th{background:#f0f0f0}\n" +
+      "td.num{text-align:right}\n" +
+      "a{color:#0b57d0}\n" +
+      "</style>\n</head>\n<body>\n<main>\n" +
+      "<h1>" + escapeHtml(title) + "</h1>\n" +
+      "<p>" + summary.entries.length + " statement" +
+      (summary.entries.length === 1 ? "" : "s") +
+      (generatedText ? " generated " + escapeHtml(generatedText) : "") +
+      ". Each links to a standalone web page; Word versions are in the " +
+      WORD_FOLDER + " folder.</p>\n" +
+      (summary.entries.length
+        ? "<table>\n<caption>Statements</caption>\n<thead><tr>" +
+          '<th scope="col">Code</th><th scope="col">Module</th>' +
+          '<th scope="col">Term</th><th scope="col">Issue categories</th>' +
+          '<th scope="col">Inclusion answers</th>' +
+          '<th scope="col">Refreshable</th><th scope="col">Word</th>' +
+          "</tr></thead>\n<tbody>\n" + rows + "\n</tbody>\n</table>\n"
+        : "") +
+      failures +
+      "\n</main>\n</body>\n</html>\n"
+    );
+  }
+
+  // ========================================================================
+  // Course Resolution
+  // ========================================================================
+
+  function termName(termId) {
+    if (!termId) return "";
+    return typeof ALLY_LOOKUP !== "undefined"
+      ? ALLY_LOOKUP.getTermName(termId)
+      : termId;
+  }
+
+  /**
+   * Lists the modules in a term and/or department from the Overall endpoint
+   * @param {{termId: string, departmentId: string, activeOnly: boolean}} selection
+   * @returns {Promise<Array<Object>>} Courses as {id, name, code, termName}
+   */
+  async function resolveScopeCourses(selection) {
+    const filters = {};
+    if (selection.termId) filters.termId = selection.termId;
+    if (selection.departmentId) filters.departmentId = selection.departmentId;
+    if (selection.activeOnly) filters.allyEnabled = "true";
+
+    const pageLimit = getLimit("PAGE_LIMIT");
+    const maxPages = getLimit("MAX_PAGES");
+    let rows = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      const result = await ALLY_API_CLIENT.fetchOverall({
+        limit: pageLimit,
+        offset: page * pageLimit,
+        filters: filters,
+        onProgress: function (p) {
+          showProgress("Listing modules... " + (p.message || ""), null);
+        },
+      });
+      const data = (result && result.data) || [];
+      rows = rows.concat(data);
+      if (data.length < pageLimit) break;
+    }
+
+    return rows
+      .filter(function (row) {
+        return row && row.courseId;
+      })
+      .map(function (row) {
+        return {
+          id: String(row.courseId),
+          name: row.courseName || "",
+          code: row.courseCode || "",
+          termName: row.termName || termName(row.termId),
+        };
+      });
+  }
+
+  /**
+   * Resolves parsed codes/ids to courses through the loaded module list
+   * (courseCode is not an Ally API filter, so codes cannot be looked up there).
+   * @param {Array<{code: string, id: string}>} entries
+   * @returns {{courses: Array<Object>, failures: Array<Object>}}
+   */
+  function resolveListedCourses(entries) {
+    const courses = [];
+    const failures = [];
+    const lookupReady =
+      typeof ALLY_LOOKUP !== "undefined" && ALLY_LOOKUP.isCoursesDataLoaded();
+
+    entries.forEach(function (entry) {
+      const id =
+        entry.id ||
+        (lookupReady ? ALLY_LOOKUP.getCourseIdByCode(entry.code) : null);
+      if (!id) {
+        failures.push({
+          course: { id: "", code: entry.code, name: "" },
+          entry: entry,
+          reason: lookupReady
+            ? "No module found with this code"
+            : "The module list has not loaded, so codes cannot be looked up",
+        });
+        return;
+      }
+
+      const record = (lookupReady && ALLY_LOOKUP.getCourseById(id)) || {};
+      courses.push({
+        id: String(id),
+        name: record.courseName || "",
+        code: record.courseCode || entry.code || "",
+        termName: termName(record.termId),
+      });
+    });
+
+    return { courses: courses, failures: failures };
+  }
+
+  // ========================================================================
+  // DOM Helpers
+  // ========================================================================
+
+  /**
+   * Caches DOM element references
+   * @returns {boolean} True if all elements found
+   */
+  function cacheElements() {
+    elements.sourceScope = document.getElementById("ally-sp-batch-source-scope");
+    elements.sourceCodes = document.getElementById("ally-sp-batch-source-codes");
+    elements.scopeFields = document.getElementById("ally-sp-batch-scope-fields");
+    elements.codesFields = document.getElementById("ally-sp-batch-codes-fields");
+    elements.termSelect = document.getElementById("ally-sp-batch-term");
+    elements.departmentSelect = document.getElementById(
+      "ally-sp-batch-department",
+    );
+    elements.activeOnly = document.getElementById("ally-sp-batch-active-only");
+    elements.codesInput = document.getElementById("ally-sp-batch-codes");
+    elements.codesFile = document.getElementById("ally-sp-batch-codes-file");
+    elements.executeButton = document.getElementById("ally-sp-batch-execute");
+    elements.progressSection = document.getElementById("ally-sp-batch-progress");
+    elements.progressFill = document.getElementById(
+      "ally-sp-batch-progress-fill",
+    );
+    elements.progressMessage = document.getElementById(
+      "ally-sp-batch-progress-message",
+    );
+    elements.resultsContainer = document.getElementById(
+      "ally-sp-batch-results",
+    );
+
+    const allFound = Object.keys(elements).every(function (key) {
+      return !!elements[key];
+    });
+    if (!allFound) {
+      logWarn("Some batch statement elements not found");
+    }
+    return allFound;
+  }
+
+  /**
+   * Creates an HTML element with attributes
+   * @param {string} tag - Element tag name
+   * @param {Object} attrs - Attributes to set
+   * @param {string|Array} children - Text content or child elements
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, attrs, children) {
+    const el = document.createElement(tag);
+
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === "className") {
+        el.className = attrs[key];
+      } else {
+        el.setAttribute(key, attrs[key]);
+      }
+    });
+
+    if (typeof children === "string") {
+      el.textContent = children;
+    } else if (Array.isArray(children)) {
+      children.forEach(function (child) {
+        if (!child) return;
+        el.appendChild(
+          typeof child === "string" ? document.createTextNode(child) : child,
+        );
+      });
+    }
+
+    return el;
+  }
+
+  /**
+   * Shows progress indicator
+   * @param {string} message - Progress message
+   * @param {number|null} percent - Progress percentage (null keeps the bar where it is)
+   */
+  function showProgress(message, percent) {
+    if (!elements.progressSection) return;
+
+    elements.progressSection.hidden = false;
+    elements.progressMessage.textContent = message;
+
+    if (typeof percent === "number") {
+      elements.progressFill.style.width = percent + "%";
+      const progressBar = elements.progressFill.parentElement;
+      if (progressBar) {
+        progressBar.setAttribute("aria-valuenow", percent);
+      }
+    }
+  }
+
+  function hideProgress() {
+    if (!elements.progressSection) return;
+    elements.progressSection.hidden = true;
+  }
+
+  function announce(message) {
+    if (typeof ALLY_UI_MANAGER !== "undefined") {
+      ALLY_UI_MANAGER.announce(message);
+    }
+  }
+
+  /**
+   * Copies the Report Builder's term and department options (populated by
+   * ALLY_UI_MANAGER from ALLY_LOOKUP) into the batch selects, as the
+   * Department Roll-up does.
+   */
+  function populateSelects() {
+    [
+      ["ally-term-select", elements.termSelect, "Any term"],
+      ["ally-department-select", elements.departmentSelect, "Any department"],
+    ].forEach(function (entry) {
+      const source = document.getElementById(entry[0]);
+      const target = entry[1];
+      if (!source || !target) return;
+
+      target.innerHTML = source.innerHTML;
+      const first = target.querySelector('option[value=""]');
+      if (first) first.textContent = entry[2];
+      target.value = "";
+    });
+  }
+
+  /**
+   * Shows the fields for the chosen course source and hides the other
+   */
+  function syncSourceFields() {
+    const useCodes = !!(elements.sourceCodes && elements.sourceCodes.checked);
+    if (elements.scopeFields) elements.scopeFields.hidden = useCodes;
+    if (elements.codesFields) elements.codesFields.hidden = !useCodes;
+  }
+
+  function showError(heading, message) {
+    if (!elements.resultsContainer) return;
+    elements.resultsContainer.innerHTML = "";
+    elements.resultsContainer.appendChild(
+      createElement("div", { className: "ally-cr-error", role: "alert" }, [
+        createElement("h4", {}, heading),
+        createElement("p", {}, message),
+      ]),
+    );
+    elements.resultsContainer.hidden = false;
+  }
+
+  // ========================================================================
+  // Generation
+  // ========================================================================
+
+  function describeCourse(course) {
+    return [course.code, course.name].filter(Boolean).join(" ") || course.id;
+  }
+
+  /**
+   * Fetches and exports one module's statement
+   * @param {Object} course - {id, name, code, termName}
+   * @returns {Promise<Object>} The batch result entry
+   * @throws {Error} With a user-facing reason
+   */
+  async function generateCourse(course) {
+    const data = await ALLY_STATEMENT_PREVIEW.fetchCourseData(course);
+    if (!data || !data.courseId) {
+      throw new Error("No Ally data found for this module");
+    }
+
+    // Fill in anything the course list lacked from the Issues row
+    const resolved = {
+      id: course.id,
+      name: course.name || data.courseName || "",
+      code: course.code || data.courseCode || "",
+      termName: course.termName || data.termName || "",
+    };
+
+    const files = await ALLY_STATEMENT_PREVIEW.buildStatementFiles(
+      resolved,
+      data,
+    );
+
+    const answersKey =
+      typeof ALLY_INCLUSION_ANSWERS !== "undefined"
+        ? ALLY_INCLUSION_ANSWERS.courseKey(resolved)
+        : null;
+
+    return {
+      course: resolved,
+      html: files.html,
+      docx: files.docx,
+      themeCount: files.themeCount,
+      refreshable: files.refreshable,
+      hasDocx: !!files.docx,
+      hasAnswers: !!(answersKey && ALLY_INCLUSION_ANSWERS.has(answersKey)),
+    };
+  }
+
+  /**
+   * Generates statements for the given courses one at a time (each is an
+   * Issues request), recording successes and failures on the current batch.
+   * @param {Array<Object>} courses
+   * @returns {Promise<void>}
+   */
+  async function runCourses(courses) {
+    for (let i = 0; i < courses.length; i++) {
+      const course = courses[i];
+      showProgress(
+        "Generating statement " +
+          (i + 1) +
+          " of " +
+          courses.length +
+          ": " +
+          describeCourse(course),
+        Math.round((i / courses.length) * 100),
+      );
+
+      try {
+        const entry = await generateCourse(course);
+        batch.results.set(course.id, entry);
+        logDebug("Generated statement for", course.id);
+      } catch (error) {
+        logWarn("Statement failed for " + course.id + ":", error);
+        batch.failures.push({
+          course: course,
+          reason: (error && error.message) || "Unknown error",
+        });
+      }
+    }
+    showProgress("Finished", 100);
+  }
+
+  /**
+   * Reads the chosen source and resolves it to a course list
+   * @returns {Promise<{label: string, courses: Array<Object>, failures: Array<Object>}|null>}
+   *   null when the form is incomplete (an error is shown)
+   */
+  async function resolveSelection() {
+    const useCodes = !!(elements.sourceCodes && elements.sourceCodes.checked);
+
+    if (!useCodes) {
+      const selection = {
+        termId: elements.termSelect ? elements.termSelect.value : "",
+        departmentId: elements.departmentSelect
+          ? elements.departmentSelect.value
+          : "",
+        activeOnly: elements.activeOnly ? elements.activeOnly.checked : true,
+      };
+      if (!selection.termId && !selection.departmentId) {
+        showError(
+          "Choose a term or department",
+          "Select a term, a department, or both, or switch to a list of module codes.",
+        );
+        if (elements.termSelect) elements.termSelect.focus();
+        return null;
+      }
+
+      const labelParts = [];
+      if (selection.departmentId && typeof ALLY_LOOKUP !== "undefined") {
+        labelParts.push(ALLY_LOOKUP.getDepartmentName(selection.departmentId));
+      }
+      if (selection.termId) labelParts.push(termName(selection.termId));
+
+      showProgress("Listing modules...", 2);
+      return {
+        label: labelParts.join(", "),
+        courses: await resolveScopeCourses(selection),
+        failures: [],
+      };
+    }
+
+    let text = elements.codesInput ? elements.codesInput.value : "";
+    const file = elements.codesFile && elements.codesFile.files[0];
+    if (file) {
+      text += "\n" + (await file.text());
+    }
+
+    const entries = parseCourseList(text);
+    if (entries.length === 0) {
+      showError(
+        "Add some module codes",
+        "Paste module codes (one per line or comma-separated) or choose a CSV file with a code column.",
+      );
+      if (elements.codesInput) elements.codesInput.focus();
+      return null;
+    }
+
+    const resolved = resolveListedCourses(entries);
+    return {
+      label:
+        entries.length + " listed module" + (entries.length === 1 ? "" : "s"),
+      courses: resolved.courses,
+      failures: resolved.failures,
+    };
+  }
+
+  /**
+   * Resolves the course list and generates every statement
+   * @returns {Promise<void>}
+   */
+  async function generateBatch() {
+    if (isRunning) {
+      logWarn("Batch already in progress");
+      return;
+    }
+    if (!checkDependencies()) {
+      showError(
+        "Batch statements unavailable",
+        "The Statement Preview is not loaded.",
+      );
+      return;
+    }
+
+    isRunning = true;
+    if (elements.executeButton) elements.executeButton.disabled = true;
+    if (elements.resultsContainer) {
+      elements.resultsContainer.hidden = true;
+      elements.resultsContainer.innerHTML = "";
+    }
+
+    try {
+      const resolved = await resolveSelection();
+      if (!resolved) return;
+
+      const maxCourses = getLimit("MAX_COURSES");
+      if (resolved.courses.length > maxCourses) {
+        hideProgress();
+        showError(
+          "Too many modules",
+          resolved.courses.length +
+            " modules match. Narrow the selection to " +
+            maxCourses +
+            " or fewer (for example, choose both a term and a department).",
+        );
+        return;
+      }
+      if (resolved.courses.length === 0 && resolved.failures.length === 0) {
+        hideProgress();
+        showError("No modules found", "No modules match this selection.");
+        return;
+      }
+
+      batch = {
+        label: resolved.label,
+        startedAt: new Date().toISOString(),
+        results: new Map(),
+        failures: resolved.failures,
+      };
+
+      announce(
+        "Generating " +
+          resolved.courses.length +
+          " accessibility statements" +
+          (resolved.label ? " for " + resolved.label : ""),
+      );
+      logInfo("Batch started:", resolved.courses.length, "modules");
+
+      await runCourses(resolved.courses);
+      hideProgress();
+      renderResults();
+      announceOutcome();
+    } catch (error) {
+      logError("Batch failed:", error);
+      hideProgress();
+      showError(
+        "Batch Generation Failed",
+        error.message || "An unexpected error occurred.",
+      );
+      announce("Error generating statements: " + error.message);
+    } finally {
+      finishRun();
+    }
+  }
+
+  /**
+   * Retries every failed module. Unresolved codes are looked up again (the
+   * module list may have loaded since); the rest are regenerated.
+   * @returns {Promise<void>}
+   */
+  async function retryFailures() {
+    if (isRunning || !batch || batch.failures.length === 0) return;
+
+    isRunning = true;
+    if (elements.executeButton) elements.executeButton.disabled = true;
+
+    const failed = batch.failures;
+    batch.failures = [];
+
+    const unresolved = failed
+      .filter(function (failure) {
+        return !!failure.entry;
+      })
+      .map(function (failure) {
+        return failure.entry;
+      });
+    const relisted = resolveListedCourses(unresolved);
+    batch.failures = relisted.failures;
+
+    const courses = failed
+      .filter(function (failure) {
+        return !failure.entry;
+      })
+      .map(function (failure) {
+        return failure.course;
+      })
+      .concat(relisted.courses);
+
+    announce("Retrying " + failed.length + " modules");
+
+    try {
+      await runCourses(courses);
+      hideProgress();
+      renderResults();
+      announceOutcome();
+    } catch (error) {
+      logError("Retry failed:", error);
+      hideProgress();
+      renderResults();
+    } finally {
+      finishRun();
+    }
+  }
+
+  function finishRun() {
+    isRunning = false;
+
+    // Re-arbitrate through the main controller, as the other reports do
+    if (
+      typeof ALLY_MAIN_CONTROLLER !== "undefined" &&
+      typeof ALLY_MAIN_CONTROLLER.refreshExecuteButtonStates === "function"
+    ) {
+      ALLY_MAIN_CONTROLLER.refreshExecuteButtonStates();
+    } else if (elements.executeButton) {
+      elements.executeButton.disabled = false;
+    }
+  }
+
+  function announceOutcome() {
+    const made = batch.results.size;
+    const failed = batch.failures.length;
+    announce(
+      made +
+        " statement" +
+        (made === 1 ? "" : "s") +
+        " ready to download." +
+        (failed ? " " + failed + " could not be generated." : ""),
+    );
+  }
+
+  // ========================================================================
+  // Zip
+  // ========================================================================
+
+  /**
+   * Packages the current batch as a zip: HTML statements, Word versions and
+   * the index page.
+   * @returns {Promise<Blob>}
+   */
+  async function buildZip() {
+    if (typeof JSZip === "undefined") {
+      throw new Error("The zip library is not available");
+    }
+
+    const entries = assignFileNames(Array.from(batch.results.values()));
+    const zip = new JSZip();
+
+    entries.forEach(function (entry) {
+      zip.file(STATEMENTS_FOLDER + "/" + entry.fileBase + ".html", entry.html);
+      if (entry.docx) {
+        zip.file(WORD_FOLDER + "/" + entry.fileBase + ".docx", entry.docx);
+      }
+    });
+
+    zip.file(
+      "index.html",
+      buildIndexHtml({
+        label: batch.label,
+        generatedAt: batch.startedAt,
+        entries: entries,
+        failures: batch.failures,
+      }),
+    );
+
+    return zip.generateAsync({ type: "blob" });
+  }
+
+  /**
+   * Builds and downloads the zip
+   * @param {HTMLButtonElement} button
+   * @returns {Promise<void>}
+   */
+  async function downloadZip(button) {
+    if (!batch || batch.results.size === 0) return;
+
+    if (button) button.disabled = true;
+    try {
+      const blob = await buildZip();
+      const filename =
+        "Accessibility-statements" +
+        (batch.label ? "-" + slugify(batch.label) : "") +
+        ".zip";
+      ALLY_STATEMENT_PREVIEW_DOCX.triggerDownload(blob, filename);
+      announce("Zip of " + batch.results.size + " statements ready");
+      logInfo("Zip handed to the browser:", filename);
+    } catch (error) {
+      logError("Zip build failed:", error);
+      announce("Failed to create the zip: " + error.message);
+      if (typeof window.notifyError === "function") {
+        window.notifyError("Failed to create the zip");
+      }
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  // ========================================================================
+  // Rendering
+  // ========================================================================
+
+  function buildSummaryTable(entries) {
+    const headers = [
+      "Code",
+      "Module",
+      "Term",
+      "Issue categories",
+      "Inclusion answers",
+      "Refreshable",
+    ];
+
+    const headRow = createElement(
+      "tr",
+      {},
+      headers.map(function (label) {
+        return createElement("th", { scope: "col" }, label);
+      }),
+    );
+
+    const bodyRows = entries.map(function (entry) {
+      const course = entry.course;
+      return createElement("tr", {}, [
+        createElement("td", {}, course.code),
+        createElement("th", { scope: "row" }, course.name || course.id),
+        createElement("td", {}, course.termName),
+        createElement(
+          "td",
+          { className: "ally-cr-count-col" },
+          String(entry.themeCount),
+        ),
+        createElement("td", {}, entry.hasAnswers ? "Yes" : "No"),
+        createElement("td", {}, entry.refreshable ? "Yes" : "No"),
+      ]);
+    });
+
+    return createElement("div", { className: "ally-cr-table-wrapper" }, [
+      createElement("table", { className: "ally-cr-issue-table" }, [
+        createElement("caption", {}, "Generated statements"),
+        createElement("thead", {}, [headRow]),
+        createElement("tbody", {}, bodyRows),
+      ]),
+    ]);
+  }
+
+  function buildFailureList() {
+    const heading = createElement(
+      "h4",
+      {
+        className: "ally-cr-subsection-heading",
+        id: "ally-sp-batch-failures-heading",
+      },
+      "Not generated (" + batch.failures.length + ")",
+    );
+
+    const list = createElement(
+      "ul",
+      {
+        className: "ally-sp-batch-failures",
+        "aria-labelledby": "ally-sp-batch-failures-heading",
+      },
+      batch.failures.map(function (failure) {
+        return createElement("li", {}, [
+          createElement(
+            "strong",
+            {},
+            describeCourse(failure.course) || "Unknown module",
+          ),
+          ": " + failure.reason,
+        ]);
+      }),
+    );
+
+    const retryButton = createElement(
+      "button",
+      {
+        type: "button",
+        className: "ally-secondary-btn",
+        id: "ally-sp-batch-retry",
+      },
+      [
+        createElement("span", { "aria-hidden": "true", "data-icon": "refresh" }),
+        " Retry failed modules",
+      ],
+    );
+    retryButton.addEventListener("click", function () {
+      retryFailures();
+    });
+
+    return [
+      heading,
+      list,
+      createElement("div", { className: "ally-cr-export-actions" }, [
+        retryButton,
+      ]),
+    ];
+  }
+
+  /**
+   * Renders the batch summary: counts, the download button, the generated
+   * statements table and the failure list with its retry button
+   */
+  function renderResults() {
+    const container = elements.resultsContainer;
+    if (!container || !batch) return;
+
+    container.innerHTML = "";
+    const entries = Array.from(batch.results.values());
+    const made = entries.length;
+    const failed = batch.failures.length;
+
+    container.appendChild(
+      createElement(
+        "p",
+        { className: "ally-sp-batch-summary" },
+        made +
+          " statement" +
+          (made === 1 ? "" : "s") +
+          " generated" +
+          (batch.label ? " for " + batch.label : "") +
+          (failed ? "; " + failed + " could not be generated." : "."),
+      ),
+    );
+
+    if (made > 0) {
+      const downloadButton = createElement(
+        "button",
+        {
+          type: "button",
+          className: "ally-primary-btn",
+          id: "ally-sp-batch-download",
+        },
+        [
+          createElement("span", {
+            "aria-hidden": "true",
+            "data-icon": "download",
+          }),
+          " Download zip (" +
+            made +
+            " statement" +
+            (made === 1 ? "" : "s") +
+            ")",
+        ],
+      );
+      downloadButton.addEventListener("click", function () {
+        downloadZip(downloadButton);
+      });
+      container.appendChild(
+        createElement("div", { className: "ally-cr-export-actions" }, [
+          downloadButton,
+        ]),
+      );
+      container.appendChild(buildSummaryTable(entries));
+    }
+
+    if (failed > 0) {
+      buildFailureList().forEach(function (node) {
+        container.appendChild(node);
+      });
+    }
+
+    if (typeof IconLibrary !== "undefined" && IconLibrary.populateIcons) {
+      IconLibrary.populateIcons(container);
+    }
+
+    container.hidden = false;
+  }
+
+  // ========================================================================
+  // Initialisation
+  // ========================================================================
+
+  /**
+   * Checks required dependencies
+   * @returns {boolean}
+   */
+  function checkDependencies() {
+    const missing = [];
+    if (typeof ALLY_API_CLIENT === "undefined") missing.push("ALLY_API_CLIENT");
+    if (typeof ALLY_STATEMENT_PREVIEW === "undefined") {
+      missing.push("ALLY_STATEMENT_PREVIEW");
+    }
+    if (typeof ALLY_STATEMENT_PREVIEW_DOCX === "undefined") {
+      missing.push("ALLY_STATEMENT_PREVIEW_DOCX");
+    }
+    if (missing.length > 0) {
+      logError("Missing dependencies:", missing.join(", "));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Initialises the batch controls. Pass force to re-cache elements (the
+   * Statement Preview section is hidden until first shown, as for
+   * ALLY_STATEMENT_PREVIEW.initialise).
+   * @param {boolean} [force]
+   * @returns {boolean} True if initialisation successful
+   */
+  function initialise(force) {
+    if (initialised && !force) {
+      logWarn("Already initialised");
+      return true;
+    }
+
+    if (!cacheElements()) {
+      logWarn("Some elements not found, but continuing...");
+    }
+
+    populateSelects();
+    syncSourceFields();
+
+    // Assigned (not added) so a forced re-init cannot stack listeners
+    [elements.sourceScope, elements.sourceCodes].forEach(function (radio) {
+      if (radio) radio.onchange = syncSourceFields;
+    });
+    if (elements.executeButton) {
+      elements.executeButton.onclick = function () {
+        generateBatch();
+      };
+    }
+
+    initialised = true;
+    logInfo("ALLY_STATEMENT_BATCH initialised successfully");
+    return true;
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  return {
+    // Initialisation
+    initialise: initialise,
+    isInitialised: function () {
+      return initialised;
+    },
+
+    // Generation
+    generateBatch: generateBatch,
+    retryFailures: retryFailures,
+    downloadZip: downloadZip,
+    buildZip: buildZip,
+
+    // State access
+    isRunning: function () {
+      return isRunning;
+    },
+    getBatch: function () {
+      return batch;
+    },
+
+    // Helpers (exposed for testing)
+    parseCourseList: parseCourseList,
+    resolveListedCourses: resolveListedCourses,
+    assignFileNames: assignFileNames,
+    buildIndexHtml: buildIndexHtml,
+
+    getDebugInfo: function () {
+      return {
+        initialised: initialised,
+        isRunning: isRunning,
+        results: batch ? batch.results.size : 0,
+        failures: batch ? batch.failures.length : 0,
+        dependencies: {
+          ALLY_API_CLIENT: typeof ALLY_API_CLIENT !== "undefined",
+          ALLY_STATEMENT_PREVIEW: typeof ALLY_STATEMENT_PREVIEW !== "undefined",
+          ALLY_STATEMENT_PREVIEW_DOCX:
+            typeof ALLY_STATEMENT_PREVIEW_DOCX !== "undefined",
+          JSZip: typeof JSZip !== "undefined",
+        },
+      };
+    },
+  };
+})();
@@ -18,6 +18,8 @@
  * - Icon mappings for each theme
  * - Success/empty state messages
  * - Master-settings environment / token resolution (projection, never mutation)
+ * - Locale resolution over per-locale string tables with a fallback chain, plus
+ *   a completeness report of untranslated keys (getCompletenessReport)
  *
  * The derived locals are token-bearing projections of the content library —
  * literal `{token}` strings are preserved; resolution happens via the resolve
@@ -333,6 +335,357 @@ const ALLY_STATEMENT_PREVIEW_CONFIG = (function () {
     return override;
   }
 
+  // ========================================================================
+  // Locales (per-locale string tables over the default-locale content)
+  // ========================================================================
+
+  /**
+   * Locale string tables, keyed by locale id. The default locale's text is the
+   * content library itself; every other locale maps flat string keys
+   * ("ui.<name>", "environment:<envId>.tokens.<name>", "<contentId>.<path>") to
+   * translated text. See the LOCALES comment in the content library.
+   * @type {Object.<string, {label: string, lang: string, fallback?: string, status?: string, strings: Object.<string,string>}>}
+   */
+  const LOCALES = (CONTENT && CONTENT.locales) || {};
+
+  const DEFAULT_LOCALE = (CONTENT && CONTENT.defaultLocale) || "en";
+
+  /**
+   * Default-locale chrome templates ("ui.<name>" keys).
+   * @type {Object.<string,string>}
+   */
+  const UI_STRINGS = (CONTENT && CONTENT.uiStrings) || {};
+
+  /**
+   * Content keys that hold identifiers, field names, URLs or rules rather than
+   * student-facing text. They are never localised and never counted as
+   * translatable.
+   * @type {Object.<string,boolean>}
+   */
+  const NON_TEXT_KEYS = {
+    id: true,
+    kind: true,
+    legacyId: true,
+    fields: true,
+    icon: true,
+    disclosureId: true,
+    type: true,
+    category: true,
+    region: true,
+    showWhen: true,
+    graphic: true,
+    href: true,
+    youTubeId: true,
+    poster: true,
+    placement: true,
+    email: true,
+    mediaLayout: true,
+    contentLang: true,
+  };
+
+  /**
+   * True for a string made only of {token} placeholders (e.g. "{courseCode}"):
+   * there is nothing in it to translate.
+   * @param {string} str
+   * @returns {boolean}
+   */
+  function isTokenOnly(str) {
+    return /^\s*(\{\w+\}\s*)*$/.test(str);
+  }
+
+  /**
+   * The locale lookup chain for an id: the locale itself, then each `fallback`
+   * in turn, always ending at the default locale. An unknown id resolves to the
+   * default locale alone; a fallback cycle is cut at the first repeat.
+   * @param {string} [localeId]
+   * @returns {Array.<string>}
+   */
+  function getLocaleChain(localeId) {
+    const chain = [];
+    let id = LOCALES[localeId] ? localeId : DEFAULT_LOCALE;
+    while (id && LOCALES[id] && chain.indexOf(id) === -1) {
+      chain.push(id);
+      id = LOCALES[id].fallback;
+    }
+    if (chain.indexOf(DEFAULT_LOCALE) === -1) chain.push(DEFAULT_LOCALE);
+    return chain;
+  }
+
+  /**
+   * Looks a string key up along a locale chain. Returns the first translation
+   * found before the default locale, or null when the key falls through to the
+   * default-locale content.
+   * @param {string} key
+   * @param {Array.<string>} chain - From getLocaleChain
+   * @returns {{text: string, locale: string}|null}
+   */
+  function lookupString(key, chain) {
+    for (let i = 0; i < chain.length; i++) {
+      const id = chain[i];
+      if (id === DEFAULT_LOCALE) return null;
+      const strings = (LOCALES[id] && LOCALES[id].strings) || {};
+      if (
+        Object.prototype.hasOwnProperty.call(strings, key) &&
+        typeof strings[key] === "string"
+      ) {
+        return { text: strings[key], locale: id };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Visits every translatable string under a content value, calling
+   * `visit(key, text)` with its flat string key. Skips NON_TEXT_KEYS and
+   * token-only strings.
+   * @param {*} value
+   * @param {string} prefix - Key of `value` itself
+   * @param {function(string, string)} visit
+   */
+  function walkStrings(value, prefix, visit) {
+    if (typeof value === "string") {
+      if (!isTokenOnly(value)) visit(prefix, value);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(function (item, index) {
+        walkStrings(item, prefix + "." + index, visit);
+      });
+      return;
+    }
+    if (value && typeof value === "object") {
+      Object.keys(value).forEach(function (key) {
+        if (NON_TEXT_KEYS[key]) return;
+        walkStrings(value[key], prefix + "." + key, visit);
+      });
+    }
+  }
+
+  /**
+   * Returns a NEW structure with each translatable string replaced by its
+   * translation along `chain` (never mutates the source). `usage` tallies, per
+   * serving locale, how many strings were looked up, so the caller can tell a
+   * wholly untranslated section from a partly translated one.
+   * @param {*} value
+   * @param {string} prefix - Key of `value` itself
+   * @param {Array.<string>} chain
+   * @param {Object.<string,number>} usage - Mutated: locale id -> count
+   * @returns {*}
+   */
+  function localiseDeep(value, prefix, chain, usage) {
+    if (typeof value === "string") {
+      if (isTokenOnly(value)) return value;
+      const found = lookupString(prefix, chain);
+      const servedBy = found ? found.locale : DEFAULT_LOCALE;
+      usage[servedBy] = (usage[servedBy] || 0) + 1;
+      return found ? found.text : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(function (item, index) {
+        return localiseDeep(item, prefix + "." + index, chain, usage);
+      });
+    }
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const key in value) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+        out[key] = NON_TEXT_KEYS[key]
+          ? value[key]
+          : localiseDeep(value[key], prefix + "." + key, chain, usage);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  /**
+   * The token map for an environment in a locale: each token value the
+   * locale's chain translates ("environment:<envId>.tokens.<name>") replaces
+   * the default-locale value. Unknown environments use the default one.
+   * @param {string} envId
+   * @param {string} [localeId]
+   * @returns {Object.<string,string>}
+   */
+  function getLocalisedTokens(envId, localeId) {
+    const id = ENVIRONMENTS[envId] ? envId : DEFAULT_ENVIRONMENT;
+    const env = ENVIRONMENTS[id];
+    if (!env) return {};
+    const chain = getLocaleChain(localeId);
+    if (chain[0] === DEFAULT_LOCALE) return env.tokens;
+    const out = {};
+    Object.keys(env.tokens || {}).forEach(function (name) {
+      const found = lookupString("environment:" + id + ".tokens." + name, chain);
+      out[name] = found ? found.text : env.tokens[name];
+    });
+    return out;
+  }
+
+  /**
+   * Resolves one top-level content item (theme, intro, success or authored
+   * section): localises it, applies its environment override (localised under
+   * its own "environment:<envId>.overrides.<contentId>" keys), then resolves
+   * tokens. Order: base -> localise -> override -> tokens.
+   *
+   * When a non-default locale is requested but none of the item's strings came
+   * from it, the item renders wholly in a fallback language: it is marked with
+   * `contentLang` (that language's tag) so the renderer can stamp `lang`, and
+   * its environment tokens are taken from the same language so a fallback
+   * English section never carries Welsh token values mid-sentence.
+   * @param {Object} base - Token-bearing source item
+   * @param {string} contentId - Stable content id (key prefix)
+   * @param {Object} tokens
+   * @param {string} [envId]
+   * @param {string} [localeId]
+   * @returns {Object} New, resolved item
+   */
+  function resolveItem(base, contentId, tokens, envId, localeId) {
+    const override = getEnvOverride(envId, contentId);
+    const chain = getLocaleChain(localeId);
+    if (!contentId || chain[0] === DEFAULT_LOCALE) {
+      return applyTokensDeep(deepMerge(base, override), tokens);
+    }
+
+    const usage = {};
+    const localised = localiseDeep(base, contentId, chain, usage);
+    const localisedOverride =
+      override === undefined
+        ? undefined
+        : localiseDeep(
+            override,
+            "environment:" + envId + ".overrides." + contentId,
+            chain,
+            usage,
+          );
+    const merged = deepMerge(localised, localisedOverride);
+
+    const servedLocales = Object.keys(usage);
+    if (servedLocales.length === 0 || usage[chain[0]]) {
+      return applyTokensDeep(merged, tokens);
+    }
+
+    // Wholly in a fallback language: use the one that served most of it.
+    servedLocales.sort(function (a, b) {
+      return usage[b] - usage[a];
+    });
+    const fallbackId = servedLocales[0];
+    const resolved = applyTokensDeep(
+      merged,
+      Object.assign({}, tokens, getLocalisedTokens(envId, fallbackId)),
+    );
+    if (LOCALES[fallbackId] && LOCALES[fallbackId].lang) {
+      resolved.contentLang = LOCALES[fallbackId].lang;
+    }
+    return resolved;
+  }
+
+  /**
+   * Every translatable string key in the default-locale content, with its
+   * source text, in a stable order: chrome, environment tokens and overrides,
+   * content entries, then authored sections.
+   * @returns {Array.<{key: string, source: string}>}
+   */
+  function getStringKeys() {
+    const keys = [];
+    function visit(key, text) {
+      keys.push({ key: key, source: text });
+    }
+    Object.keys(UI_STRINGS).forEach(function (name) {
+      if (typeof UI_STRINGS[name] === "string") {
+        visit("ui." + name, UI_STRINGS[name]);
+      }
+    });
+    Object.keys(ENVIRONMENTS).forEach(function (envId) {
+      const env = ENVIRONMENTS[envId] || {};
+      walkStrings(env.tokens || {}, "environment:" + envId + ".tokens", visit);
+      Object.keys(env.overrides || {}).forEach(function (contentId) {
+        walkStrings(
+          env.overrides[contentId],
+          "environment:" + envId + ".overrides." + contentId,
+          visit,
+        );
+      });
+    });
+    Object.keys(CONTENT_ENTRIES).forEach(function (id) {
+      walkStrings(CONTENT_ENTRIES[id], id, visit);
+    });
+    AUTHORED_SECTIONS.forEach(function (spec) {
+      if (spec && typeof spec.id === "string") walkStrings(spec, spec.id, visit);
+    });
+    return keys;
+  }
+
+  /**
+   * Completeness of one locale's string table: how many of the translatable
+   * keys it (or a non-default fallback) translates, every key that still falls
+   * through to the default locale, and any table key that matches no source
+   * string (a stale or misspelt key, which is never used).
+   * @param {string} localeId
+   * @returns {{locale: string, label: string, lang: string, status: string, total: number, translated: number, percent: number, missing: Array.<{key: string, source: string}>, unknown: Array.<string>}|null}
+   *   null for an unknown locale id
+   */
+  function getLocaleCompleteness(localeId) {
+    const locale = LOCALES[localeId];
+    if (!locale) return null;
+
+    const chain = getLocaleChain(localeId);
+    const isDefault = localeId === DEFAULT_LOCALE;
+    const keys = getStringKeys();
+    const known = {};
+    const missing = [];
+    keys.forEach(function (entry) {
+      known[entry.key] = true;
+      if (!isDefault && !lookupString(entry.key, chain)) missing.push(entry);
+    });
+    const unknown = Object.keys(locale.strings || {}).filter(function (key) {
+      return !known[key];
+    });
+
+    const total = keys.length;
+    const translated = total - missing.length;
+    return {
+      locale: localeId,
+      label: locale.label || localeId,
+      lang: locale.lang || "",
+      status: locale.status || "",
+      total: total,
+      translated: translated,
+      percent: total ? Math.floor((translated / total) * 100) : 100,
+      missing: missing,
+      unknown: unknown,
+    };
+  }
+
+  /**
+   * Warns at load about locale tables that can never apply as written: a
+   * `fallback` naming an unknown locale, and keys that match no source string.
+   * Purely diagnostic, like validateOverrides.
+   */
+  (function validateLocales() {
+    if (!LOCALES[DEFAULT_LOCALE]) {
+      logWarn("Default locale '" + DEFAULT_LOCALE + "' has no locale entry.");
+    }
+    Object.keys(LOCALES).forEach(function (id) {
+      const fallback = LOCALES[id] && LOCALES[id].fallback;
+      if (fallback && !LOCALES[fallback]) {
+        logWarn(
+          "Locale '" + id + "' falls back to unknown locale '" + fallback + "'.",
+        );
+      }
+      if (id === DEFAULT_LOCALE) return;
+      const report = getLocaleCompleteness(id);
+      if (report && report.unknown.length > 0) {
+        logWarn(
+          "Locale '" +
+            id +
+            "' has " +
+            report.unknown.length +
+            " string(s) for unknown keys — they will be ignored:",
+          report.unknown,
+        );
+      }
+    });
+  })();
+
   // ========================================================================
   // Helper Functions
   // ========================================================================
@@ -420,14 +773,13 @@ const ALLY_STATEMENT_PREVIEW_CONFIG = (function () {
     },
 
     /**
-     * The token map for an environment id (falls back to the default).
+     * The token map for an environment id (falls back to the default), with
+     * any token values the locale translates swapped in.
      * @param {string} id
+     * @param {string} [localeId] - Omit for the default-locale wording
      * @returns {Object.<string,string>}
      */
-    getTokens: function (id) {
-      const env = ENVIRONMENTS[id] || ENVIRONMENTS[DEFAULT_ENVIRONMENT];
-      return env ? env.tokens : {};
-    },
+    getTokens: getLocalisedTokens,
 
     /**
      * The ordered layout for an environment id, or null when the environment
@@ -448,60 +800,152 @@ const ALLY_STATEMENT_PREVIEW_CONFIG = (function () {
      */
     applyTokens: applyTokens,
 
+    // --------------------------------------------------------------------
+    // Locale API (additive; every resolve* above takes an optional trailing
+    // `localeId`, and omitting it keeps the default-locale wording)
+    // --------------------------------------------------------------------
+
+    /**
+     * All locales as an array of { id, label, lang, status }.
+     * @returns {Array.<{id: string, label: string, lang: string, status: string}>}
+     */
+    getLocales: function () {
+      return Object.keys(LOCALES).map(function (id) {
+        return {
+          id: id,
+          label: LOCALES[id].label || id,
+          lang: LOCALES[id].lang || "",
+          status: LOCALES[id].status || "",
+        };
+      });
+    },
+
+    /**
+     * A single locale by id, or null.
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getLocale: function (id) {
+      return LOCALES[id] || null;
+    },
+
+    /**
+     * The default locale id (the language the content library is written in).
+     * @returns {string}
+     */
+    getDefaultLocale: function () {
+      return DEFAULT_LOCALE;
+    },
+
+    getLocaleChain: getLocaleChain,
+
+    /**
+     * The BCP 47 language tag for a locale (falls back to the default locale's).
+     * @param {string} [localeId]
+     * @returns {string}
+     */
+    getLang: function (localeId) {
+      const chain = getLocaleChain(localeId);
+      for (let i = 0; i < chain.length; i++) {
+        if (LOCALES[chain[i]] && LOCALES[chain[i]].lang) {
+          return LOCALES[chain[i]].lang;
+        }
+      }
+      return "";
+    },
+
+    /**
+     * A statement chrome string ("ui.<name>") in a locale, following the
+     * fallback chain, with its {placeholders} filled from `params`. Returns the
+     * name itself for an unknown string so a typo is visible, not blank.
+     * @param {string} name - UI_STRINGS key, e.g. "readMore"
+     * @param {string} [localeId]
+     * @param {Object.<string,(string|number)>} [params]
+     * @returns {string}
+     */
+    getUiString: function (name, localeId, params) {
+      const found = lookupString("ui." + name, getLocaleChain(localeId));
+      let text = found ? found.text : UI_STRINGS[name];
+      if (typeof text !== "string") {
+        logWarn("Unknown UI string: " + name);
+        text = name;
+      }
+      return params ? applyTokens(text, params) : text;
+    },
+
+    getStringKeys: getStringKeys,
+
+    getLocaleCompleteness: getLocaleCompleteness,
+
+    /**
+     * Completeness of every non-default locale (see getLocaleCompleteness), for
+     * the translation report.
+     * @returns {Array.<Object>}
+     */
+    getCompletenessReport: function () {
+      return Object.keys(LOCALES)
+        .filter(function (id) {
+          return id !== DEFAULT_LOCALE;
+        })
+        .map(getLocaleCompleteness);
+    },
+
     /**
      * Returns a deep copy of a theme with any environment override applied
      * (Stage 4), then tokens resolved. Raw THEMES are unchanged. Passing no
-     * `envId` skips overrides (identical to the pre-Stage-4 behaviour).
+     * `envId` skips overrides (identical to the pre-Stage-4 behaviour); passing
+     * no `localeId` keeps the default-locale wording. A theme left wholly
+     * untranslated in the locale carries `contentLang` (see resolveItem).
      * @param {Object} theme
      * @param {Object} tokens
      * @param {string} [envId]
+     * @param {string} [localeId]
      * @returns {Object}
      */
-    resolveTheme: function (theme, tokens, envId) {
+    resolveTheme: function (theme, tokens, envId, localeId) {
       const contentId = theme && themeContentIdByLegacy[theme.id];
-      const merged = deepMerge(theme, getEnvOverride(envId, contentId));
-      return applyTokensDeep(merged, tokens);
+      return resolveItem(theme, contentId, tokens, envId, localeId);
     },
 
     /**
-     * Returns a deep copy of the intro content with any override applied, then
-     * tokens resolved.
+     * Returns a deep copy of the intro content with any override applied, localised,
+     * then tokens resolved.
      * @param {Object} tokens
      * @param {string} [envId]
+     * @param {string} [localeId]
      * @returns {Object}
      */
-    resolveIntro: function (tokens, envId) {
-      const merged = deepMerge(INTRO_TEXT, getEnvOverride(envId, "intro"));
-      return applyTokensDeep(merged, tokens);
+    resolveIntro: function (tokens, envId, localeId) {
+      return resolveItem(INTRO_TEXT, "intro", tokens, envId, localeId);
     },
 
     /**
-     * Returns a deep copy of the success content with any override applied, then
-     * tokens resolved.
+     * Returns a deep copy of the success content with any override applied, localised,
+     * then tokens resolved.
      * @param {Object} tokens
      * @param {string} [envId]
+     * @param {string} [localeId]
      * @returns {Object}
      */
-    resolveSuccess: function (tokens, envId) {
-      const merged = deepMerge(SUCCESS_STATE, getEnvOverride(envId, "success"));
-      return applyTokensDeep(merged, tokens);
+    resolveSuccess: function (tokens, envId, localeId) {
+      return resolveItem(SUCCESS_STATE, "success", tokens, envId, localeId);
     },
 
     /**
      * Returns a deep copy of an array of section specs with any per-id override
-     * applied, then tokens resolved. Each spec's override is keyed by `spec.id`.
+     * applied, then tokens resolved. Each spec's override is keyed by `spec.id`,
+     * and its locale strings by "<spec.id>.<path>".
      * @param {Array} specs
      * @param {Object} tokens
      * @param {string} [envId]
+     * @param {string} [localeId]
      * @returns {Array}
      */
-    resolveSections: function (specs, tokens, envId) {
+    resolveSections: function (specs, tokens, envId, localeId) {
       return (specs || []).map(function (spec) {
-        const merged =
-          spec && typeof spec.id === "string"
-            ? deepMerge(spec, getEnvOverride(envId, spec.id))
-            : spec;
-        return applyTokensDeep(merged, tokens);
+        return spec && typeof spec.id === "string"
+          ? resolveItem(spec, spec.id, tokens, envId, localeId)
+          : applyTokensDeep(spec, tokens);
       });
     },
 
@@ -26,6 +26,11 @@
  *   unchanged. Theme entries otherwise keep today's exact theme shape.
  * - `environments` — the institution / VLE wording profiles (editable content).
  * - `defaultEnvironment` — the id selected on first load.
+ * - `uiStrings` — the statement's own chrome ("Read more about …", "What this
+ *   means", the data-freshness notice, export titles) as English templates.
+ * - `locales` / `defaultLocale` — per-locale string tables. The English content
+ *   above IS the default locale; every other locale is a flat key -> text table
+ *   over it, with a `fallback` locale for anything it leaves untranslated.
  *
  * @example
  * const entry = window.ALLY_SP_CONTENT.entries["theme:missing-alt"];
@@ -945,6 +950,192 @@
 
   const DEFAULT_ENVIRONMENT = "soton-blackboard";
 
+  // ========================================================================
+  // Statement chrome strings (default locale)
+  // ========================================================================
+  //
+  // The fixed wording the controller and section registry wrap around the
+  // content above: disclosure toggles, the "What this means" / "Suggestions"
+  // sub-headings, the data-freshness notice, the video play label and the
+  // export titles. {placeholders} here are filled by the caller (e.g. {topic},
+  // {date}), not by the environment tokens. Looked up per locale under the
+  // "ui.<name>" key.
+  const UI_STRINGS = {
+    readMore: "Read more about {topic}",
+    readLess: "Read less about {topic}",
+    whatThisMeans: "What this means",
+    suggestionsFor: "Suggestions for when you encounter {topic}",
+    freshnessLabel: "Data freshness notice",
+    freshnessHeading: "Data freshness: ",
+    freshnessMessage:
+      "This information was last updated {date}{age}. The actual accessibility status may have changed since then.",
+    freshnessUnknown:
+      "This information was last updated at an unknown time. The actual accessibility status may have changed since then.",
+    ageToday: "today",
+    ageYesterday: "yesterday",
+    ageDays: "{count} days ago",
+    ageWeek: "1 week ago",
+    ageWeeks: "{count} weeks ago",
+    ageMonth: "1 month ago",
+    ageMonths: "{count} months ago",
+    unknownTime: "an unknown time",
+    placeholderModuleLead: "[Add module lead]",
+    placeholderDate: "[add date]",
+    playVideo: "Play video: {title}",
+    videoFallbackTitle: "video",
+    youTubeTitle: "{title} (YouTube video)",
+    opensInNewTab: " (opens in a new tab)",
+    statementTitle: "Accessibility statement",
+    statementTitleFor: "{course} — Accessibility statement",
+    statementDescriptionFor: "Accessibility statement for {courseName}",
+    wordTitle: "Accessibility statement: {courseName}",
+  };
+
+  // ========================================================================
+  // Locales (per-locale string tables over the default-locale content)
+  // ========================================================================
+  //
+  // The default locale has an empty table: its text is the content above. Any
+  // other locale maps flat string keys to translated text:
+  //   - "ui.<name>"                          — a UI_STRINGS entry
+  //   - "environment:<envId>.tokens.<name>"  — an environment token value
+  //   - "<contentId>.<path>"                 — a content string, where the path
+  //     walks object keys and array indices from the entry or authored section
+  //     (e.g. "intro.paragraphs.0", "theme:broken-links.whatThisMeans.0.nested.2")
+  // A key the locale leaves out falls back along its `fallback` chain, ending
+  // at the default locale. Translated strings keep the source's {tokens} and
+  // markup (links stay links). `lang` is the BCP 47 tag stamped on the rendered
+  // and exported statement; `status: "draft"` flags a table awaiting review.
+  //
+  // The config module's getLocaleCompleteness() / getCompletenessReport() list
+  // every key a locale still leaves untranslated.
+  const LOCALES = {
+    en: {
+      label: "English",
+      lang: "en-GB",
+      strings: {},
+    },
+    // Welsh — DRAFT machine-assisted wording; have a Welsh-language translator
+    // review before publishing. Deliberately partial: the chrome, tokens, intro,
+    // success, statement header and two themes are translated; everything else
+    // falls back to English (and renders with lang="en-GB").
+    cy: {
+      label: "Cymraeg (Welsh)",
+      lang: "cy-GB",
+      fallback: "en",
+      status: "draft",
+      strings: {
+        "ui.readMore": "Darllen mwy am {topic}",
+        "ui.readLess": "Darllen llai am {topic}",
+        "ui.whatThisMeans": "Beth mae hyn yn ei olygu",
+        "ui.suggestionsFor":
+          "Awgrymiadau ar gyfer pan fyddwch yn dod ar draws {topic}",
+        "ui.freshnessLabel": "Hysbysiad am ba mor gyfredol yw'r data",
+        "ui.freshnessHeading": "Pa mor gyfredol yw'r data: ",
+        "ui.freshnessMessage":
+          "Cafodd yr wybodaeth hon ei diweddaru ddiwethaf ar {date}{age}. Efallai fod y statws hygyrchedd gwirioneddol wedi newid ers hynny.",
+        "ui.freshnessUnknown":
+          "Nid yw'n hysbys pryd y cafodd yr wybodaeth hon ei diweddaru ddiwethaf. Efallai fod y statws hygyrchedd gwirioneddol wedi newid ers hynny.",
+        "ui.ageToday": "heddiw",
+        "ui.ageYesterday": "ddoe",
+        "ui.ageDays": "{count} diwrnod yn ôl",
+        "ui.ageWeek": "wythnos yn ôl",
+        "ui.ageWeeks": "{count} wythnos yn ôl",
+        "ui.ageMonth": "mis yn ôl",
+        "ui.ageMonths": "{count} mis yn ôl",
+        "ui.unknownTime": "amser anhysbys",
+        "ui.placeholderModuleLead": "[Ychwanegu arweinydd y modiwl]",
+        "ui.placeholderDate": "[ychwanegu dyddiad]",
+        "ui.playVideo": "Chwarae fideo: {title}",
+        "ui.videoFallbackTitle": "fideo",
+        "ui.youTubeTitle": "{title} (fideo YouTube)",
+        "ui.opensInNewTab": " (yn agor mewn tab newydd)",
+        "ui.statementTitle": "Datganiad hygyrchedd",
+        "ui.statementTitleFor": "{course} — Datganiad hygyrchedd",
+        "ui.statementDescriptionFor": "Datganiad hygyrchedd ar gyfer {courseName}",
+        "ui.wordTitle": "Datganiad hygyrchedd: {courseName}",
+
+        "environment:soton-blackboard.tokens.vle": "Blackboard",
+        "environment:soton-blackboard.tokens.contentOwner": "arweinydd y modiwl",
+        "environment:soton-blackboard.tokens.institution":
+          "Prifysgol Southampton",
+        "environment:soton-blackboard.tokens.institutionShort": "y brifysgol",
+        "environment:soton-blackboard.tokens.library": "llyfrgell",
+        "environment:soton-blackboard.tokens.courseNoun": "modiwl",
+        "environment:cpd-hub.tokens.vle": "yr Hwb DPP",
+        "environment:cpd-hub.tokens.contentOwner": "tîm y cwrs",
+        "environment:cpd-hub.tokens.institution": "Prifysgol Southampton",
+        "environment:cpd-hub.tokens.institutionShort": "y brifysgol",
+        "environment:cpd-hub.tokens.library": "llyfrgell",
+        "environment:cpd-hub.tokens.courseNoun": "cwrs",
+
+        "intro.heading": "Data hygyrchedd",
+        "intro.subHeading": "Cyflwyniad",
+        "intro.paragraphs.0":
+          "Mae'r adran hon yn rhoi gwybodaeth am broblemau hygyrchedd posibl y gallech ddod ar eu traws yn y {courseNoun}.",
+        "intro.paragraphs.1": "Byddwn yn esbonio:",
+        "intro.bulletPoints.0": "beth mae hyn yn ei olygu",
+        "intro.bulletPoints.1": "yr effaith debygol",
+        "intro.bulletPoints.2": "beth allwch chi ei wneud amdano",
+
+        "success.title": "Dim problemau hygyrchedd hysbys",
+        "success.message":
+          "Yn ôl ein gwiriadau awtomataidd, nid oes gan y {courseNoun} hwn unrhyw broblemau hygyrchedd hysbys. Os byddwch yn dod ar draws unrhyw rwystrau, cysylltwch â'ch {contentOwner}.",
+
+        "theme:missing-alt.title": "Disgrifiadau delwedd ar goll",
+        "theme:missing-alt.summary":
+          "Mae'r {courseNoun} hwn yn cynnwys delweddau heb ddisgrifiadau delwedd, a elwir hefyd yn destun amgen. Rydym yn ysgrifennu disgrifiadau delwedd fel na fydd y rhai nad ydynt yn gweld y ddelwedd yn colli cynnwys pwysig.",
+        "theme:missing-alt.whatThisMeans.0":
+          "Gellir rhoi disgrifiadau i ddelweddau yng nghynnwys {vle}, neu eu marcio'n addurnol os oes ganddynt ddiben addysgol.",
+        "theme:missing-alt.whatThisMeans.1":
+          "Mae disgrifiadau delwedd coll yn atal y rhai sy'n defnyddio'r fformat amgen sain neu dechnoleg gynorthwyol - megis darllenwyr sgrin - rhag cael yr wybodaeth bwysig y mae'r ddelwedd yn ei chyflwyno.",
+        "theme:missing-alt.whatThisMeans.2":
+          "Pan nad yw delweddau addurnol wedi'u marcio'n addurnol, gall y rhai sy'n defnyddio fformatau amgen fel y fformat sain neu ddarllenwyr sgrin boeni eu bod wedi colli gwybodaeth bwysig.",
+        "theme:missing-alt.suggestions.0":
+          "Gofynnwch i'ch {contentOwner} ddarparu disgrifiadau ar gyfer delweddau nad oes ganddynt rai.",
+        "theme:missing-alt.suggestions.1.text":
+          "Rhowch gynnig ar wahanol offer a allai eich helpu i gael disgrifiad o'r ddelwedd:",
+        "theme:missing-alt.suggestions.1.nested.0":
+          'Mae disgrifiadau delwedd awtomatig ar gael yn <a href="https://support.google.com/chrome/answer/9311597?hl=en-GB&co=GENIE.Platform%3DDesktop">Chrome</a> ac <a href="https://www.microsoft.com/en-us/edge/learning-center/how-to-turn-on-automatic-image-descriptions?form=MA13I2">Edge</a> ond gall y disgrifiadau fod yn annibynadwy.',
+        "theme:missing-alt.suggestions.1.nested.1":
+          'Ap symudol yw <a href="https://www.seeingai.com/">Seeing AI</a> a fydd yn disgrifio delweddau gan ddefnyddio eich camera.',
+
+        "theme:broken-links.title": "Dolenni sydd wedi torri",
+        "theme:broken-links.summary":
+          "Mae'r {courseNoun} hwn yn cynnwys dolenni gwe nad ydynt efallai'n gweithio. Mae hyn yn golygu y gallech gael neges gwall pan fyddwch yn dewis dolen yn y {courseNoun}.",
+        "theme:broken-links.whatThisMeans.0.text": "Mae dolenni'n torri pan:",
+        "theme:broken-links.whatThisMeans.0.nested.0":
+          "Nid yw'r cynnwys rydych yn ceisio ei agor ar gael mwyach.",
+        "theme:broken-links.whatThisMeans.0.nested.1":
+          "Nid oes gennych ganiatâd i weld y cynnwys y mae'r ddolen yn mynd â chi iddo.",
+        "theme:broken-links.whatThisMeans.0.nested.2":
+          "Mae gwall teipio neu sillafu yn y ddolen.",
+        "theme:broken-links.suggestions.0":
+          "Cysylltwch â'ch {contentOwner} os byddwch yn dilyn dolen yn {vle} nad yw'n ymddangos ei bod yn gweithio. Gallant ddiweddaru'r ddolen fel ei bod yn gweithio i bawb.",
+
+        "statement-header.heading":
+          "Datganiad hygyrchedd {vle} ar gyfer {courseName}",
+        "statement-header.groups.0.heading": "Gwybodaeth am y Modiwl",
+        "statement-header.groups.0.items.0.label": "Cod y Modiwl",
+        "statement-header.groups.0.items.1.label": "Blwyddyn Academaidd",
+        "statement-header.groups.0.items.1.placeholder":
+          "[Ychwanegu blwyddyn academaidd]",
+        "statement-header.groups.0.notes.0":
+          "Golygwyd y datganiad hwn ddiwethaf gan {moduleLeadHtml} ar {statementLastEdited}.",
+        "statement-header.groups.0.notes.1":
+          "Adnewyddwyd y data hygyrchedd ddiwethaf ar {lastRefreshed}.",
+        "statement-header.groups.1.heading": "Arweinydd y Modiwl",
+        "statement-header.groups.1.items.0.label": "Arweinydd y Modiwl",
+        "statement-header.groups.1.items.0.placeholder":
+          "[Ychwanegu arweinydd y modiwl]",
+        "statement-header.groups.1.items.1.label": "E-bost",
+        "statement-header.groups.1.items.1.placeholder": "[Ychwanegu e-bost]",
+      },
+    },
+  };
+
+  const DEFAULT_LOCALE = "en";
+
   // ========================================================================
   // Publish the content library on window (plain object literal — no fetch)
   // ========================================================================
@@ -956,6 +1147,9 @@
     authoredSections: AUTHORED_SECTIONS,
     environments: ENVIRONMENTS,
     defaultEnvironment: DEFAULT_ENVIRONMENT,
+    uiStrings: UI_STRINGS,
+    locales: LOCALES,
+    defaultLocale: DEFAULT_LOCALE,
   };
 
   // Synchronous storage (a plain <script>), but publish a resolved readiness
@@ -967,6 +1161,8 @@
       Object.keys(ENTRIES).length +
       " entries, " +
       Object.keys(ENVIRONMENTS).length +
-      " environments",
+      " environments, " +
+      Object.keys(LOCALES).length +
+      " locales",
   );
 })();
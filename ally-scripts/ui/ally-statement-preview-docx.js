@@ -20,6 +20,8 @@
  *   ALLY_STATEMENT_PREVIEW_DOCX.isAvailable()          -> boolean
  *   ALLY_STATEMENT_PREVIEW_DOCX.ensureLibraryLoaded()  -> Promise<void>
  *   ALLY_STATEMENT_PREVIEW_DOCX.download(node, meta)    -> Promise<boolean>
+ *   ALLY_STATEMENT_PREVIEW_DOCX.DOCUMENT_STYLES         -> shared Word styles
+ *   ALLY_STATEMENT_PREVIEW_DOCX.triggerDownload(blob, filename)
  */
 
 const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
@@ -197,6 +199,20 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
     );
   }
 
+  /**
+   * The Word run language for a node: the `lang` of its closest tagged
+   * ancestor in the fragment (a section rendered in a fallback language), or
+   * undefined to inherit the document default set by buildBlob.
+   * @param {Node} node
+   * @returns {{value: string}|undefined}
+   */
+  function runLanguage(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const tagged = el && el.closest ? el.closest("[lang]") : null;
+    const lang = tagged && tagged.getAttribute("lang");
+    return lang ? { value: lang } : undefined;
+  }
+
   /**
    * Collects inline runs (TextRun / ExternalHyperlink) from an element's
    * inline content. Block children (ul/ol) are NOT descended - the list
@@ -230,6 +246,7 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
               text: text,
               bold: fmt.bold,
               italics: fmt.italics,
+              language: runLanguage(node),
             }),
           );
         }
@@ -258,6 +275,7 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
                   text: text,
                   style: "Hyperlink",
                   color: LINK_COLOUR,
+                  language: runLanguage(child),
                 }),
               ],
             }),
@@ -268,6 +286,7 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
               text: text,
               bold: fmt.bold,
               italics: fmt.italics,
+              language: runLanguage(child),
             }),
           );
         }
@@ -345,7 +364,11 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
           .trim();
         if (labelText) {
           runs.push(
-            new window.docx.TextRun({ text: labelText + ": ", bold: true }),
+            new window.docx.TextRun({
+              text: labelText + ": ",
+              bold: true,
+              language: runLanguage(currentLabel),
+            }),
           );
         }
       }
@@ -391,6 +414,7 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
                         text: exportText,
                         style: "Hyperlink",
                         color: LINK_COLOUR,
+                        language: runLanguage(child),
                       }),
                     ],
                   }),
@@ -400,7 +424,12 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
           } else {
             out.push(
               new window.docx.Paragraph({
-                children: [new window.docx.TextRun(exportText)],
+                children: [
+                  new window.docx.TextRun({
+                    text: exportText,
+                    language: runLanguage(child),
+                  }),
+                ],
               }),
             );
           }
@@ -508,12 +537,14 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
   }
 
   /**
-   * Generates and downloads a .docx from a rendered statement fragment.
+   * Generates a .docx Blob from a rendered statement fragment.
    * @param {Node} fragmentNode - The cloned/sanitised statement fragment
-   * @param {Object} [meta] - {courseName, courseCode} for title + filename
-   * @returns {Promise<boolean>} Resolves true on success
+   * @param {Object} [meta] - {courseName, title?, lang?}: `title` (already
+   *   localised by the caller) overrides the default English document title, and
+   *   `lang` becomes the document's default proofing language
+   * @returns {Promise<Blob>}
    */
-  async function download(fragmentNode, meta) {
+  async function buildBlob(fragmentNode, meta) {
     if (!fragmentNode) {
       throw new Error("No content to export");
     }
@@ -529,7 +560,7 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
       paragraphs.push(
         new docx.Paragraph({
           heading: docx.HeadingLevel.TITLE,
-          text: "Accessibility statement: " + meta.courseName,
+          text: meta.title || "Accessibility statement: " + meta.courseName,
         }),
       );
     }
@@ -542,12 +573,37 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
 
     logDebug("Building docx with " + paragraphs.length + " paragraphs");
 
+    // The statement language is the document default, so Word proofs and reads
+    // it correctly; runs from fallback-language sections carry their own.
+    const styles = meta.lang
+      ? Object.assign({}, DOCUMENT_STYLES, {
+          default: Object.assign({}, DOCUMENT_STYLES.default, {
+            document: Object.assign({}, DOCUMENT_STYLES.default.document, {
+              run: Object.assign({}, DOCUMENT_STYLES.default.document.run, {
+                language: { value: meta.lang },
+              }),
+            }),
+          }),
+        })
+      : DOCUMENT_STYLES;
+
     const doc = new docx.Document({
-      styles: DOCUMENT_STYLES,
+      styles: styles,
       sections: [{ children: paragraphs }],
     });
 
-    const blob = await docx.Packer.toBlob(doc);
+    return docx.Packer.toBlob(doc);
+  }
+
+  /**
+   * Generates and downloads a .docx from a rendered statement fragment.
+   * @param {Node} fragmentNode - The cloned/sanitised statement fragment
+   * @param {Object} [meta] - {courseName, courseCode, title?, lang?} for title,
+   *   filename and document language (see buildBlob)
+   * @returns {Promise<boolean>} Resolves true on success
+   */
+  async function download(fragmentNode, meta) {
+    const blob = await buildBlob(fragmentNode, meta);
     triggerDownload(blob, buildFilename(meta));
 
     logInfo("Word document generated and download triggered");
@@ -562,6 +618,12 @@ const ALLY_STATEMENT_PREVIEW_DOCX = (function () {
     isAvailable: isAvailable,
     ensureLibraryLoaded: ensureLibraryLoaded,
     download: download,
+    buildBlob: buildBlob,
+    buildFilename: buildFilename,
+
+    // Shared with other Word exports (e.g. the remediation plan)
+    DOCUMENT_STYLES: DOCUMENT_STYLES,
+    triggerDownload: triggerDownload,
   };
 })();
 
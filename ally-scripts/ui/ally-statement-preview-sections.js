@@ -194,6 +194,37 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
     return el;
   }
 
+  /**
+   * Default-locale chrome used when the render context supplies no `ui`
+   * accessor (tests, or a caller without locale support). Mirrors the matching
+   * `uiStrings` entries in the content library.
+   * @type {Object.<string,string>}
+   */
+  const DEFAULT_UI_STRINGS = {
+    playVideo: "Play video: {title}",
+    videoFallbackTitle: "video",
+  };
+
+  /**
+   * A statement chrome string via the context's `ui(name, params)` accessor
+   * (the controller binds it to the active locale), else the English default.
+   * @param {Object} [ctx] - Render context
+   * @param {string} name - uiStrings key
+   * @param {Object.<string,string>} [params] - {placeholder} values
+   * @returns {string}
+   */
+  function uiText(ctx, name, params) {
+    if (ctx && typeof ctx.ui === "function") return ctx.ui(name, params);
+    return (DEFAULT_UI_STRINGS[name] || name).replace(
+      /\{(\w+)\}/g,
+      function (match, key) {
+        return params && Object.prototype.hasOwnProperty.call(params, key)
+          ? params[key]
+          : match;
+      },
+    );
+  }
+
   // ========================================================================
   // Renderer registry
   // ========================================================================
@@ -201,8 +232,9 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
   /**
    * Section renderers keyed by spec.type. Each renderer has the signature
    * (spec, ctx) => HTMLElement, returning a single top-level <section>.
-   * `ctx` provides { createElement, tokens } (tokens is the resolved
-   * master-settings map; see the config module).
+   * `ctx` provides { createElement, tokens, ui } (tokens is the resolved
+   * master-settings map; see the config module; ui(name, params) returns a
+   * chrome string in the render locale).
    *
    * Populated incrementally: Phase 3 migrates intro/warning/success/error;
    * Phases 4–6 add info/linkButtons/courseInfo/group/video.
@@ -239,7 +271,7 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
    * callers can filter with .filter(Boolean).
    *
    * @param {Object} spec - Section spec ({ type, id, heading, ... })
-   * @param {Object} [ctx] - Render context ({ createElement, tokens })
+   * @param {Object} [ctx] - Render context ({ createElement, tokens, ui })
    * @returns {HTMLElement|null}
    */
   function render(spec, ctx) {
@@ -283,6 +315,10 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
       return null;
     }
 
+    // A section the locale left wholly untranslated renders in its fallback
+    // language; say so, so screen readers switch voice (WCAG 3.1.2).
+    if (spec.contentLang) el.setAttribute("lang", spec.contentLang);
+
     return markExportable(el, spec);
   }
 
@@ -302,22 +338,26 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
    * `video` section renderer and the info box's `{ video }` block so both embed
    * identically. Carries `data-export-text` / `data-export-href` so copy / text /
    * Word export degrade to a clean titled link (never a dead embed). The play
-   * control's accessible name is "Play video: <title>". Does NOT include a heading
-   * or caption — the caller supplies those.
+   * control's accessible name is "Play video: <title>" (in the render locale).
+   * `data-export-title` keeps the bare title for the export's iframe title. Does
+   * NOT include a heading or caption — the caller supplies those.
    * @param {Object} spec - { youTubeId, title, poster?, href? }
    * @param {function} ce - createElement
+   * @param {Object} [ctx] - Render context (for `ui`)
    * @returns {HTMLElement} the `.videoWrapper` div
    */
-  function buildVideoEmbed(spec, ce) {
+  function buildVideoEmbed(spec, ce, ctx) {
     const youTubeId = (spec && spec.youTubeId) || "";
     const title = (spec && spec.title) || "";
     const href =
       (spec && spec.href) || (youTubeId ? "https://youtu.be/" + youTubeId : "#");
-    const playLabel = "Play video: " + (title || "video");
+    const playLabel = uiText(ctx, "playVideo", {
+      title: title || uiText(ctx, "videoFallbackTitle"),
+    });
 
     const wrapper = ce("div", {
       className: "videoWrapper",
-      dataset: { exportText: playLabel, exportHref: href },
+      dataset: { exportText: playLabel, exportHref: href, exportTitle: title },
     });
 
     const liteAttrs = { videoid: youTubeId, playlabel: playLabel };
@@ -353,9 +393,10 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
    * @param {Object} block
    * @param {function} ce - createElement
    * @param {number} [subLevel=4] - heading level for an {h4} block (1..6)
+   * @param {Object} [ctx] - Render context (for a {video} block's play label)
    * @returns {HTMLElement|null}
    */
-  function renderInfoBlock(block, ce, subLevel) {
+  function renderInfoBlock(block, ce, subLevel, ctx) {
     if (!block || typeof block !== "object") return null;
 
     if (typeof block.h4 === "string") {
@@ -456,7 +497,7 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
     }
     if (block.video && typeof block.video === "object") {
       // Lazy YouTube embed inside an info column (shared with the `video` type).
-      return buildVideoEmbed(block.video, ce);
+      return buildVideoEmbed(block.video, ce, ctx);
     }
     return null;
   }
@@ -519,7 +560,7 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
         className: "ally-sp-info-body ally-sp-info-lead",
       });
       lead.forEach(function (block) {
-        const el = renderInfoBlock(block, ce, subLevel);
+        const el = renderInfoBlock(block, ce, subLevel, ctx);
         if (el) leadEl.appendChild(el);
       });
       section.appendChild(leadEl);
@@ -545,7 +586,7 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
       const colEl = ce("div", { className: "ally-sp-info-col" });
       const blocks = (col && col.blocks) || [];
       blocks.forEach(function (block) {
-        const el = renderInfoBlock(block, ce, subLevel);
+        const el = renderInfoBlock(block, ce, subLevel, ctx);
         if (el) colEl.appendChild(el);
       });
       body.appendChild(colEl);
@@ -926,7 +967,7 @@ const ALLY_STATEMENT_PREVIEW_SECTIONS = (function () {
     }
 
     // The embed itself is shared with the info box's {video} block.
-    section.appendChild(buildVideoEmbed(spec, ce));
+    section.appendChild(buildVideoEmbed(spec, ce, ctx));
 
     return section;
   }
@@ -21,6 +21,8 @@
  * - Data freshness warning
  * - Success state for zero issues
  * - Course metadata in collapsible details section
+ * - Off-screen render + in-memory HTML/Word export of any course, used by the
+ *   batch statements (ALLY_STATEMENT_BATCH)
  *
  * @example
  * ALLY_STATEMENT_PREVIEW.initialise();
@@ -91,6 +93,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
   let listenersAttached = false;
   let coreRenderersRegistered = false;
   let currentEnvironment = null;
+  let currentLocale = null;
   let selectedCourse = null;
   let lastPreviewData = null;
 
@@ -396,9 +399,14 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       button.focus();
     }
 
-    // Update button text (Read more ↔ Read less)
+    // Update button text (Read more ↔ Read less). The localised labels ride on
+    // the button (see renderWarningSection); the text swap is the fallback for
+    // a button rendered before they existed.
     const buttonTextSpan = button.querySelector(".ally-sp-disclosure-text");
-    if (buttonTextSpan) {
+    const labelKey = newState ? "spLabelLess" : "spLabelMore";
+    if (buttonTextSpan && button.dataset[labelKey]) {
+      buttonTextSpan.textContent = button.dataset[labelKey];
+    } else if (buttonTextSpan) {
       const currentText = buttonTextSpan.textContent;
       if (newState) {
         buttonTextSpan.textContent = currentText.replace(
@@ -424,7 +432,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
   // ========================================================================
 
   /**
-   * Formats a date string for display
+   * Formats a date string for display in the statement language
    * @param {string} dateString - ISO date string or date string from API
    * @returns {string} Formatted date string
    */
@@ -435,7 +443,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       const date = new Date(dateString);
       if (isNaN(date.getTime())) return dateString;
 
-      return date.toLocaleDateString("en-GB", {
+      return date.toLocaleDateString(currentLang() || "en-GB", {
         day: "numeric",
         month: "long",
         year: "numeric",
@@ -454,7 +462,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     var warning = createElement("div", {
       className: "ally-sp-freshness-warning",
       role: "note",
-      ariaLabel: "Data freshness notice",
+      ariaLabel: uiString("freshnessLabel"),
       // Export marker: the freshness notice is in-page only, dropped from copy
       // and Word export (replaces the old by-name .ally-sp-freshness-warning
       // removal in buildCopyFragment).
@@ -475,7 +483,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       className: "ally-sp-warning-content",
     });
 
-    var heading = createElement("strong", {}, "Data freshness: ");
+    var heading = createElement("strong", {}, uiString("freshnessHeading"));
     content.appendChild(heading);
 
     // Calculate age of data
@@ -487,22 +495,28 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       var diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
       if (diffDays === 0) {
-        ageText = "today";
+        ageText = uiString("ageToday");
       } else if (diffDays === 1) {
-        ageText = "yesterday";
+        ageText = uiString("ageYesterday");
       } else if (diffDays < 7) {
-        ageText = diffDays + " days ago";
+        ageText = uiString("ageDays", { count: diffDays });
       } else if (diffDays < 30) {
         var weeks = Math.floor(diffDays / 7);
-        ageText = weeks === 1 ? "1 week ago" : weeks + " weeks ago";
+        ageText =
+          weeks === 1
+            ? uiString("ageWeek")
+            : uiString("ageWeeks", { count: weeks });
       } else {
         var months = Math.floor(diffDays / 30);
-        ageText = months === 1 ? "1 month ago" : months + " months ago";
+        ageText =
+          months === 1
+            ? uiString("ageMonth")
+            : uiString("ageMonths", { count: months });
       }
     }
 
-    // Build message with semantic <time> element
-    var messageText = "This information was last updated ";
+    // Build message with semantic <time> element. The localised template keeps
+    // {date} as a marker so the <time> lands wherever the language puts it.
     if (lastCheckedOn) {
       var timeEl = createElement(
         "time",
@@ -512,24 +526,17 @@ const ALLY_STATEMENT_PREVIEW = (function () {
         formatDate(lastCheckedOn),
       );
 
+      var parts = uiString("freshnessMessage", {
+        age: ageText ? " (" + ageText + ")" : "",
+      }).split("{date}");
       var span = document.createElement("span");
-      span.appendChild(document.createTextNode(messageText));
+      span.appendChild(document.createTextNode(parts[0]));
       span.appendChild(timeEl);
-      if (ageText) {
-        span.appendChild(document.createTextNode(" (" + ageText + ")"));
-      }
-      span.appendChild(
-        document.createTextNode(
-          ". The actual accessibility status may have changed since then.",
-        ),
-      );
+      span.appendChild(document.createTextNode(parts.slice(1).join("")));
       content.appendChild(span);
     } else {
       content.appendChild(
-        document.createTextNode(
-          messageText +
-            "at an unknown time. The actual accessibility status may have changed since then.",
-        ),
+        document.createTextNode(uiString("freshnessUnknown")),
       );
     }
 
@@ -549,7 +556,11 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
     const config =
       typeof CFG.resolveIntro === "function"
-        ? CFG.resolveIntro(currentTokens(), currentEnvironmentId())
+        ? CFG.resolveIntro(
+            currentTokens(),
+            currentEnvironmentId(),
+            currentLocaleId(),
+          )
         : CFG.INTRO;
 
     // The intro renders as an .ally-sp-info-style box: the main "Accessibility
@@ -566,6 +577,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       // direct-dispatch fallback still carries it, mirroring spSection/spExport.
       dataset: { spSection: "intro", spExport: "include", spCategory: "data" },
     });
+    if (config.contentLang) section.setAttribute("lang", config.contentLang);
 
     // Header: icon in the gutter + the "Accessibility data" heading (carries the
     // section's accessible name).
@@ -659,6 +671,8 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       // direct-dispatch fallback, mirroring spSection/spExport.
       dataset: { spSection: "warning", spExport: "include", spCategory: "data" },
     });
+    if (theme.contentLang) section.setAttribute("lang", theme.contentLang);
+    const topic = { topic: theme.title.toLowerCase() };
 
     // Header with icon and title
     const header = createElement(
@@ -695,14 +709,20 @@ const ALLY_STATEMENT_PREVIEW = (function () {
         ariaControls: theme.disclosureId,
         className: "ally-sp-disclosure-button",
         // Export marker: the interactive control is dropped from copy/export
-        // (replaces the old by-name .ally-sp-disclosure-button removal).
-        dataset: { spExport: "omit" },
+        // (replaces the old by-name .ally-sp-disclosure-button removal). Both
+        // labels ride along so the in-app and exported toggles flip between
+        // them in the statement language.
+        dataset: {
+          spExport: "omit",
+          spLabelMore: uiString("readMore", topic),
+          spLabelLess: uiString("readLess", topic),
+        },
       },
       [
         createElement(
           "span",
           { className: "ally-sp-disclosure-text" },
-          "Read more about " + theme.title.toLowerCase(),
+          uiString("readMore", topic),
         ),
         createElement(
           "span",
@@ -731,7 +751,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
     // What this means
     expandableContent.appendChild(
-      createElement("h" + (hLevel + 1), null, "What this means"),
+      createElement("h" + (hLevel + 1), null, uiString("whatThisMeans")),
     );
     expandableContent.appendChild(renderListItems(theme.whatThisMeans));
 
@@ -740,7 +760,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       createElement(
         "h" + (hLevel + 1),
         null,
-        "Suggestions for when you encounter " + theme.title.toLowerCase(),
+        uiString("suggestionsFor", topic),
       ),
     );
     expandableContent.appendChild(renderListItems(theme.suggestions));
@@ -760,7 +780,11 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
     const config =
       typeof CFG.resolveSuccess === "function"
-        ? CFG.resolveSuccess(currentTokens(), currentEnvironmentId())
+        ? CFG.resolveSuccess(
+            currentTokens(),
+            currentEnvironmentId(),
+            currentLocaleId(),
+          )
         : CFG.SUCCESS;
 
     const section = createElement(
@@ -783,6 +807,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       ]),
       createElement("p", null, config.message),
     ]);
+    if (config.contentLang) section.setAttribute("lang", config.contentLang);
 
     return section;
   }
@@ -1139,7 +1164,6 @@ const ALLY_STATEMENT_PREVIEW = (function () {
   // EXTERNAL_ICON_NAME is a data-icon key resolved from icon-library.js by the
   // caller's IconLibrary pass, so no SVG is authored here.
   const EXTERNAL_ICON_NAME = "external";
-  const NEW_TAB_SUFFIX = " (opens in a new tab)";
   const REL_NEW_TAB = Object.freeze(["noopener", "noreferrer"]);
   // Only a link authored as ABSOLUTE http(s) is external. Matched against the RAW
   // href on purpose — see applyExportNewTabLinks.
@@ -1188,9 +1212,13 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
       let replacement;
       if (youTubeId) {
-        // Standard responsive YouTube embed. The iframe REQUIRES a title; derive
-        // it from the play label ("Play video: X" -> "X (YouTube video)").
-        const base = label.replace(/^\s*play video:\s*/i, "").trim() || "Video";
+        // Standard responsive YouTube embed. The iframe REQUIRES a title; use
+        // the bare video title ("X" -> "X (YouTube video)"), else derive it
+        // from an English play label ("Play video: X").
+        const base =
+          (node.getAttribute("data-export-title") || "").trim() ||
+          label.replace(/^\s*play video:\s*/i, "").trim() ||
+          "Video";
         replacement = document.createElement("div");
         replacement.className = "ally-sp-video-embed";
 
@@ -1199,7 +1227,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
           "src",
           "https://www.youtube-nocookie.com/embed/" + youTubeId,
         );
-        iframe.setAttribute("title", base + " (YouTube video)");
+        iframe.setAttribute("title", uiString("youTubeTitle", { title: base }));
         iframe.setAttribute("loading", "lazy");
         iframe.setAttribute(
           "allow",
@@ -1291,7 +1319,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
       const note = document.createElement("span");
       note.className = "visually-hidden";
-      note.textContent = NEW_TAB_SUFFIX;
+      note.textContent = uiString("opensInNewTab");
       link.appendChild(note);
     });
   }
@@ -1607,7 +1635,9 @@ const ALLY_STATEMENT_PREVIEW = (function () {
         (selectedCourse && selectedCourse.code) ||
         (lastPreviewData && lastPreviewData.courseCode) ||
         "",
+      lang: currentLang(),
     };
+    meta.title = uiString("wordTitle", { courseName: meta.courseName });
 
     // Toast only — it announces through the shared announcer. The trailing
     // U+2026 is kept deliberately: it does visual work (an operation is under
@@ -1722,6 +1752,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
    * "{code} {name} — Accessibility statement", collapsing to just the parts that
    * are present, with a plain "Accessibility statement" fallback when neither is.
    * Shared by the prepended <h1> and the facade `title` so the two always match.
+   * Worded in the statement language.
    * @param {{courseCode?: string, courseName?: string}} meta
    * @returns {string}
    */
@@ -1730,8 +1761,19 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     const name = (meta && meta.courseName) || "";
     const combined = (code + " " + name).replace(/\s+/g, " ").trim();
     return combined
-      ? combined + " — Accessibility statement"
-      : "Accessibility statement";
+      ? uiString("statementTitleFor", { course: combined })
+      : uiString("statementTitle");
+  }
+
+  /**
+   * The export metadata description, in the statement language.
+   * @param {{courseName?: string}} meta
+   * @returns {string}
+   */
+  function deriveExportDescription(meta) {
+    return meta && meta.courseName
+      ? uiString("statementDescriptionFor", { courseName: meta.courseName })
+      : uiString("statementTitle");
   }
 
   /**
@@ -2024,7 +2066,12 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       // literal {courseNoun}-style tokens and breaks export parity.
       const resolvedTheme =
         typeof CFG.resolveTheme === "function"
-          ? CFG.resolveTheme(theme, currentTokens(), currentEnvironmentId())
+          ? CFG.resolveTheme(
+              theme,
+              currentTokens(),
+              currentEnvironmentId(),
+              currentLocaleId(),
+            )
           : theme;
       const html = sectionToExportHtml(
         renderWarningSection(resolvedTheme, contentLevel),
@@ -2160,6 +2207,74 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     return wrapper.innerHTML;
   }
 
+  /**
+   * Builds the Phase 3 refresh data island as an inert JSON <script>, or "" for a
+   * static snapshot. Flag-gated at EXPORT time: empty when statement refresh is
+   * disabled, when the "Ally data" section is toggled off (nothing to refresh),
+   * or when the island cannot build. Reads the rendered statement, so call it
+   * while the statement being exported is the one in the results container.
+   * @param {boolean} newTabLinks - The value given to buildExportFragment
+   * @returns {string}
+   */
+  function buildRefreshIslandScript(newTabLinks) {
+    const refreshEnabled =
+      typeof ALLY_CONFIG !== "undefined" &&
+      typeof ALLY_CONFIG.isStatementRefreshEnabled === "function" &&
+      ALLY_CONFIG.isStatementRefreshEnabled() &&
+      // No data section in the export → nothing to refresh, so skip the island
+      // even when the flag is on ("Ally data" toggled off).
+      sectionVisibility.data !== false;
+    if (!refreshEnabled) return "";
+
+    const island = buildRefreshDataIsland({ newTabLinks: !!newTabLinks });
+    if (!island) {
+      logWarn(
+        "Statement refresh enabled but the island could not be built — exporting a static snapshot.",
+      );
+      return "";
+    }
+
+    // Escape "</" so the JSON can never close its own <script> tag.
+    const islandJson = JSON.stringify(island).replace(/<\//g, "<\\/");
+    logInfo("Statement refresh enabled — island + embed injected into export.");
+    return (
+      '<script type="application/json" id="ally-sp-refresh-island">' +
+      islandJson +
+      "</script>"
+    );
+  }
+
+  /**
+   * Composes the export's end-of-body markup. It always carries the interactive
+   * disclosure toggle script; with an island, the island + the refresh embed
+   * follow it (the disclosure script must run first so its collapse hook exists
+   * for the swap). No island → exactly the static snapshot (no embed, no refresh
+   * button, no worker calls).
+   * @param {Object} facade - The dynamic-imported export facade module
+   * @param {string} islandScript - From buildRefreshIslandScript ("" for none)
+   * @returns {string}
+   */
+  function composeExportBodyEnd(facade, islandScript) {
+    if (!islandScript) return facade.ALLY_STATEMENT_EXPORT_SCRIPT;
+    return (
+      facade.ALLY_STATEMENT_EXPORT_SCRIPT +
+      islandScript +
+      facade.ALLY_STATEMENT_REFRESH_EMBED
+    );
+  }
+
+  /**
+   * Focus mode is read LIVE from the Exports-group checkbox at export time (its
+   * checked state is the single source of truth). Absent element -> false, so
+   * the export is unchanged until the toggle is present and ticked. When on, the
+   * exported statement opens in focus mode (sidebar + TOC hidden).
+   * @returns {boolean}
+   */
+  function isExportFocusMode() {
+    const focusToggle = document.getElementById("ally-sp-focus-toggle");
+    return !!(focusToggle && focusToggle.checked);
+  }
+
   /**
    * Exports the rendered statement to a SCORM package or standalone HTML file via
    * the Phase 1 export facade (dynamic-imported from the parse-time URL). Derives
@@ -2202,9 +2317,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
     const title = deriveExportTitle(meta);
     const metadata = {
-      description:
-        "Accessibility statement" +
-        (meta.courseName ? " for " + meta.courseName : ""),
+      description: deriveExportDescription(meta),
     };
 
     // Toast only — it announces through the shared announcer. Trailing U+2026
@@ -2216,47 +2329,11 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     try {
       const facade = await import(EXPORT_FACADE_URL);
 
-      // bodyEnd always carries the interactive-disclosure toggle script. Phase 3
-      // (flag-gated at EXPORT time): when statement refresh is enabled AND the data
-      // island builds, append the island + the refresh embed AFTER the disclosure
-      // script (which must run first so its collapse hook exists for the swap).
-      // Flag off, or the island can't build → export exactly as today (static
-      // snapshot: no island, no embed, no refresh button, no worker calls).
-      let bodyEnd = facade.ALLY_STATEMENT_EXPORT_SCRIPT;
-      const refreshEnabled =
-        typeof ALLY_CONFIG !== "undefined" &&
-        typeof ALLY_CONFIG.isStatementRefreshEnabled === "function" &&
-        ALLY_CONFIG.isStatementRefreshEnabled() &&
-        // No data section in the export → nothing to refresh, so skip the island
-        // even when the flag is on ("Ally data" toggled off).
-        sectionVisibility.data !== false;
-      if (refreshEnabled) {
-        const island = buildRefreshDataIsland({ newTabLinks: newTabLinks });
-        if (island) {
-          // Escape "</" so the JSON can never close its own <script> tag.
-          const islandJson = JSON.stringify(island).replace(/<\//g, "<\\/");
-          const islandScript =
-            '<script type="application/json" id="ally-sp-refresh-island">' +
-            islandJson +
-            "</script>";
-          bodyEnd =
-            facade.ALLY_STATEMENT_EXPORT_SCRIPT +
-            islandScript +
-            facade.ALLY_STATEMENT_REFRESH_EMBED;
-          logInfo("Statement refresh enabled — island + embed injected into export.");
-        } else {
-          logWarn(
-            "Statement refresh enabled but the island could not be built — exporting a static snapshot.",
-          );
-        }
-      }
-
-      // Focus mode is read LIVE from the Exports-group checkbox at export time
-      // (its checked state is the single source of truth). Absent element -> false,
-      // so the export is unchanged until the toggle is present and ticked. When on,
-      // the exported statement opens in focus mode (sidebar + TOC hidden).
-      const focusToggle = document.getElementById("ally-sp-focus-toggle");
-      const focusMode = !!(focusToggle && focusToggle.checked);
+      // Disclosure script, plus the Phase 3 island + refresh embed when the
+      // refresh flag is on and the island builds (see buildRefreshIslandScript).
+      const islandScript = buildRefreshIslandScript(newTabLinks);
+      const bodyEnd = composeExportBodyEnd(facade, islandScript);
+      const focusMode = isExportFocusMode();
 
       // options.head injects the ally section styling into the exported <head>
       // (AFTER the library CSS, so author CSS wins); options.bodyEnd injects the
@@ -2274,6 +2351,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
         options: {
           head: facade.ALLY_STATEMENT_EXPORT_CSS,
           bodyEnd: bodyEnd,
+          lang: currentLang(),
         },
       });
       // "ready", not "downloaded" — see the note in downloadAsWord. The library's
@@ -2287,25 +2365,174 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     }
   }
 
+  /**
+   * Renders the statement for ANY course into a detached container and builds
+   * the export pieces from it, leaving the on-screen preview untouched. The
+   * selected course, preview data and results container are swapped for the
+   * duration of this synchronous call, so the render reads that course's stored
+   * ALLY_INCLUSION_ANSWERS and the export helpers see exactly what a live
+   * export would; the current environment and "Show" toggles apply as usual.
+   * @param {{id: string, name?: string, code?: string, termName?: string}} course
+   * @param {Object} issueData - Issues row for the course (see fetchPreviewData)
+   * @returns {{meta: Object, title: string, themeCount: number, content: (string|null), islandScript: string, copyFragment: (HTMLElement|null)}}
+   */
+  function prepareStatementExport(course, issueData) {
+    const saved = {
+      course: selectedCourse,
+      data: lastPreviewData,
+      container: elements.resultsContainer,
+    };
+    const container = document.createElement("div");
+
+    selectedCourse = course;
+    lastPreviewData = issueData;
+    elements.resultsContainer = container;
+
+    try {
+      const activeThemes = renderStatementBody(container, issueData || {});
+      if (typeof IconLibrary !== "undefined" && IconLibrary.populateIcons) {
+        IconLibrary.populateIcons(container);
+      }
+      applySectionVisibility();
+
+      const meta = {
+        courseName: course.name || (issueData && issueData.courseName) || "",
+        courseCode: course.code || (issueData && issueData.courseCode) || "",
+        lang: currentLang(),
+      };
+      meta.title = uiString("wordTitle", { courseName: meta.courseName });
+
+      return {
+        meta: meta,
+        title: deriveExportTitle(meta),
+        themeCount: activeThemes.length,
+        content: buildExportFragment(meta),
+        islandScript: buildRefreshIslandScript(false),
+        copyFragment: buildCopyFragment(),
+      };
+    } finally {
+      selectedCourse = saved.course;
+      lastPreviewData = saved.data;
+      elements.resultsContainer = saved.container;
+    }
+  }
+
+  /**
+   * Builds a course's standalone HTML statement (with the refresh embed when
+   * enabled) and its Word document in memory, for the batch export. Nothing is
+   * downloaded. The Word document is null when the docx module is unavailable.
+   * @param {Object} course - {id, name, code, termName}
+   * @param {Object} issueData - Issues row for the course
+   * @returns {Promise<{meta: Object, title: string, themeCount: number, html: string, docx: (Blob|null), refreshable: boolean}>}
+   * @throws {Error} When there is nothing to export or the export facade fails
+   */
+  async function buildStatementFiles(course, issueData) {
+    if (!EXPORT_FACADE_URL) {
+      throw new Error("Export is not available");
+    }
+
+    const prepared = prepareStatementExport(course, issueData);
+    if (!prepared.content) {
+      throw new Error("No content to export");
+    }
+
+    const facade = await import(EXPORT_FACADE_URL);
+    const result = await facade.exportContent({
+      content: prepared.content,
+      format: "html",
+      target: "html",
+      title: prepared.title,
+      metadata: {
+        description: deriveExportDescription(prepared.meta),
+      },
+      focusMode: isExportFocusMode(),
+      download: false,
+      options: {
+        head: facade.ALLY_STATEMENT_EXPORT_CSS,
+        bodyEnd: composeExportBodyEnd(facade, prepared.islandScript),
+        lang: prepared.meta.lang,
+      },
+    });
+
+    let docx = null;
+    if (
+      typeof ALLY_STATEMENT_PREVIEW_DOCX !== "undefined" &&
+      prepared.copyFragment
+    ) {
+      docx = await ALLY_STATEMENT_PREVIEW_DOCX.buildBlob(
+        prepared.copyFragment,
+        prepared.meta,
+      );
+    }
+
+    return {
+      meta: prepared.meta,
+      title: prepared.title,
+      themeCount: prepared.themeCount,
+      html: result.html,
+      docx: docx,
+      refreshable: prepared.islandScript !== "",
+    };
+  }
+
   // ========================================================================
   // Section dispatch (registry-first, direct fallback)
   // ========================================================================
 
   /**
-   * Returns the resolved master-settings token map for the current environment.
-   * Falls back to the config default when no environment has been selected or
-   * the config API is unavailable. Single seam so renderers receive tokens
-   * without every call site knowing about them.
+   * Returns the resolved master-settings token map for the current environment
+   * in the current locale. Falls back to the config default when no environment
+   * has been selected or the config API is unavailable. Single seam so
+   * renderers receive tokens without every call site knowing about them.
    * @returns {Object|null}
    */
   function currentTokens() {
     const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
     if (CFG && typeof CFG.getTokens === "function") {
-      return CFG.getTokens(currentEnvironmentId());
+      return CFG.getTokens(currentEnvironmentId(), currentLocaleId());
     }
     return null;
   }
 
+  /**
+   * The active statement locale id (the persisted selection, or the config
+   * default). Passed to the config resolve* helpers alongside the environment.
+   * @returns {string|null}
+   */
+  function currentLocaleId() {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    return (
+      currentLocale ||
+      (CFG && typeof CFG.getDefaultLocale === "function"
+        ? CFG.getDefaultLocale()
+        : null)
+    );
+  }
+
+  /**
+   * The BCP 47 tag for the active locale, stamped as `lang` on the statement
+   * and its exports. Empty when the config has no locale support.
+   * @returns {string}
+   */
+  function currentLang() {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    return CFG && typeof CFG.getLang === "function"
+      ? CFG.getLang(currentLocaleId())
+      : "";
+  }
+
+  /**
+   * A statement chrome string in the active locale (see the content library's
+   * uiStrings), with {placeholders} filled from `params`.
+   * @param {string} name
+   * @param {Object.<string,(string|number)>} [params]
+   * @returns {string}
+   */
+  function uiString(name, params) {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    return CFG.getUiString(name, currentLocaleId(), params);
+  }
+
   /**
    * The active environment id (the persisted selection, or the config default).
    * Passed to the config resolve* helpers so per-environment wording overrides
@@ -2346,7 +2573,12 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
       const theme =
         CFG && typeof CFG.resolveTheme === "function"
-          ? CFG.resolveTheme(spec.theme, currentTokens(), currentEnvironmentId())
+          ? CFG.resolveTheme(
+              spec.theme,
+              currentTokens(),
+              currentEnvironmentId(),
+              currentLocaleId(),
+            )
           : spec.theme;
       return renderWarningSection(theme, spec.headingLevel);
     });
@@ -2380,6 +2612,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       const el = ALLY_STATEMENT_PREVIEW_SECTIONS.render(spec, {
         createElement: createElement,
         tokens: currentTokens(),
+        ui: uiString,
         // Per-child visibility hook honoured by renderGroup: a group child with
         // a `showWhen` is skipped when its rule fails, and a group left with no
         // visible children self-collapses (heading included). Reads the render
@@ -2434,7 +2667,12 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     );
     const list =
       typeof CFG.resolveSections === "function"
-        ? CFG.resolveSections(rawList, mergedTokens, currentEnvironmentId())
+        ? CFG.resolveSections(
+            rawList,
+            mergedTokens,
+            currentEnvironmentId(),
+            currentLocaleId(),
+          )
         : rawList;
 
     (list || []).forEach(function (spec) {
@@ -2506,7 +2744,12 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     const mergedTokens = Object.assign({}, currentTokens(), extraTokens || {});
     const list =
       typeof CFG.resolveSections === "function"
-        ? CFG.resolveSections(rawList, mergedTokens, currentEnvironmentId())
+        ? CFG.resolveSections(
+            rawList,
+            mergedTokens,
+            currentEnvironmentId(),
+            currentLocaleId(),
+          )
         : rawList;
     (list || []).forEach(function (spec) {
       if (spec && typeof spec.id === "string") map[spec.id] = spec;
@@ -2694,7 +2937,7 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     const yearMatch = /\b\d{4}-\d{2}\b/.exec(termName);
     const lastCheckedOn = data.lastCheckedOn || data.timestamp || null;
 
-    let lastRefreshed = "an unknown time";
+    let lastRefreshed = escapeHtmlValue(uiString("unknownTime"));
     if (lastCheckedOn) {
       const d = new Date(lastCheckedOn);
       if (!isNaN(d.getTime())) {
@@ -2715,9 +2958,13 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     // they must match the authored placeholder wording so an unanswered wizard
     // renders exactly what the static content used to show.
     const MODULE_LEAD_PLACEHOLDER =
-      '<span class="ally-sp-placeholder">[Add module lead]</span>';
+      '<span class="ally-sp-placeholder">' +
+      escapeHtmlValue(uiString("placeholderModuleLead")) +
+      "</span>";
     const EDITED_DATE_PLACEHOLDER =
-      '<span class="ally-sp-placeholder">[add date]</span>';
+      '<span class="ally-sp-placeholder">' +
+      escapeHtmlValue(uiString("placeholderDate")) +
+      "</span>";
 
     let inclusionMessage = "";
     let moduleLead = "";
@@ -2949,18 +3196,26 @@ const ALLY_STATEMENT_PREVIEW = (function () {
   // ========================================================================
 
   /**
-   * Renders the complete statement preview
+   * Renders the statement sections (layout-driven or legacy) into a container,
+   * replacing its contents. No page side effects — the caller owns icons,
+   * metadata, copy buttons and announcements — so the batch export can render
+   * into a detached container.
+   * @param {HTMLElement} container - Element to render into
    * @param {Object} issueData - API response from Issues endpoint
+   * @returns {Array} The active themes (issues > 0)
    */
-  function renderPreview(issueData) {
-    const container = elements.resultsContainer;
-    if (!container) {
-      logError("Results container not found");
-      return;
-    }
-
+  function renderStatementBody(container, issueData) {
     container.innerHTML = "";
 
+    // The statement's language; sections left in a fallback language carry
+    // their own lang (see the config's resolveItem).
+    const lang = currentLang();
+    if (lang) {
+      container.setAttribute("lang", lang);
+    } else {
+      container.removeAttribute("lang");
+    }
+
     // Get active themes (issues > 0)
     const activeThemes =
       ALLY_STATEMENT_PREVIEW_CONFIG.getActiveThemes(issueData);
@@ -2992,6 +3247,22 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       renderAuthoredSections(container, "after-issues", issueData);
     }
 
+    return activeThemes;
+  }
+
+  /**
+   * Renders the complete statement preview
+   * @param {Object} issueData - API response from Issues endpoint
+   */
+  function renderPreview(issueData) {
+    const container = elements.resultsContainer;
+    if (!container) {
+      logError("Results container not found");
+      return;
+    }
+
+    const activeThemes = renderStatementBody(container, issueData);
+
     // Populate icons if IconLibrary is available
     if (typeof IconLibrary !== "undefined" && IconLibrary.populateIcons) {
       IconLibrary.populateIcons();
@@ -3189,14 +3460,18 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
   /**
    * Fetches fresh data from API (extracted for reuse in background refresh)
+   * @param {Object} [course] - {id, name, code, termName}; defaults to the
+   *   selected course (the batch export passes its own)
    * @returns {Promise<Object>} Issue data from API
    */
-  async function fetchPreviewData() {
+  async function fetchPreviewData(course) {
+    const target = course || selectedCourse;
+
     // Filter by the unique courseId so name-duplicate courses cannot return the
     // wrong record. Fall back to courseName only if the id is somehow absent.
-    const filters = selectedCourse.id
-      ? { allyEnabled: "true", courseId: selectedCourse.id }
-      : { allyEnabled: "true", courseName: "eq:" + selectedCourse.name };
+    const filters = target.id
+      ? { allyEnabled: "true", courseId: target.id }
+      : { allyEnabled: "true", courseName: "eq:" + target.name };
 
     const response = await ALLY_API_CLIENT.fetchIssues({
       limit: 1,
@@ -3210,14 +3485,14 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       const data = response.data[0];
 
       // Enrich with course info if not present
-      if (!data.courseName && selectedCourse.name) {
-        data.courseName = selectedCourse.name;
+      if (!data.courseName && target.name) {
+        data.courseName = target.name;
       }
-      if (!data.courseCode && selectedCourse.code) {
-        data.courseCode = selectedCourse.code;
+      if (!data.courseCode && target.code) {
+        data.courseCode = target.code;
       }
-      if (!data.termName && selectedCourse.termName) {
-        data.termName = selectedCourse.termName;
+      if (!data.termName && target.termName) {
+        data.termName = target.termName;
       }
 
       return data;
@@ -3225,9 +3500,9 @@ const ALLY_STATEMENT_PREVIEW = (function () {
 
     // Return empty data structure
     return {
-      courseName: selectedCourse.name,
-      courseCode: selectedCourse.code,
-      termName: selectedCourse.termName,
+      courseName: target.name,
+      courseCode: target.code,
+      termName: target.termName,
     };
   }
 
@@ -3837,6 +4112,221 @@ const ALLY_STATEMENT_PREVIEW = (function () {
     logDebug("Environment switch initialised: " + currentEnvironment);
   }
 
+  // ========================================================================
+  // Statement language switch
+  // ========================================================================
+
+  /**
+   * localStorage key for the persisted statement locale id.
+   * @returns {string}
+   */
+  function getLocaleStorageKey() {
+    return (
+      (typeof ALLY_CONFIG !== "undefined" &&
+        ALLY_CONFIG.STORAGE_KEYS &&
+        ALLY_CONFIG.STORAGE_KEYS.STATEMENT_LOCALE) ||
+      "ally-statement-locale"
+    );
+  }
+
+  /**
+   * Reads the persisted locale id, validated against the config; null if
+   * absent/invalid/unreadable.
+   * @returns {string|null}
+   */
+  function loadPersistedLocale() {
+    try {
+      const value = window.localStorage.getItem(getLocaleStorageKey());
+      if (
+        value &&
+        typeof ALLY_STATEMENT_PREVIEW_CONFIG.getLocale === "function" &&
+        ALLY_STATEMENT_PREVIEW_CONFIG.getLocale(value)
+      ) {
+        return value;
+      }
+    } catch (e) {
+      logWarn("Could not read persisted locale:", e.message);
+    }
+    return null;
+  }
+
+  /**
+   * Persists the locale id (best-effort).
+   * @param {string} id
+   */
+  function persistLocale(id) {
+    try {
+      window.localStorage.setItem(getLocaleStorageKey(), id);
+    } catch (e) {
+      logWarn("Could not persist locale:", e.message);
+    }
+  }
+
+  /**
+   * Applies a new statement locale: updates state, persists, re-renders any
+   * showing statement (so wording, lang attributes and every export follow),
+   * and announces the change outside the aria-live results container.
+   * @param {string} id
+   */
+  function handleLocaleChange(id) {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    const locale = CFG.getLocale(id);
+    if (!locale) {
+      logWarn("Unknown locale: " + id);
+      return;
+    }
+
+    currentLocale = id;
+    persistLocale(id);
+    logInfo("Statement locale changed to: " + id);
+
+    if (lastPreviewData) {
+      renderPreviewFromData(lastPreviewData);
+    }
+
+    if (typeof ALLY_UI_MANAGER !== "undefined") {
+      ALLY_UI_MANAGER.announce(
+        "Statement language set to " +
+          (locale.label || id) +
+          ". The statement wording has been updated.",
+      );
+    }
+  }
+
+  /**
+   * Fills the translation completeness report: per non-default locale, how
+   * many strings are translated, then a collapsible list of every key still
+   * falling back (with its source text) and any table key matching no source
+   * string. Built from CFG.getCompletenessReport().
+   */
+  function renderLocaleReport() {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    const body = document.getElementById("ally-sp-locale-report-body");
+    if (!body || typeof CFG.getCompletenessReport !== "function") return;
+
+    body.innerHTML = "";
+    const reports = CFG.getCompletenessReport();
+    if (reports.length === 0) {
+      body.appendChild(
+        createElement("p", null, "No translations are configured."),
+      );
+      return;
+    }
+
+    reports.forEach(function (report) {
+      body.appendChild(
+        createElement(
+          "p",
+          null,
+          report.label +
+            (report.status ? " — " + report.status : "") +
+            ": " +
+            report.translated +
+            " of " +
+            report.total +
+            " strings translated (" +
+            report.percent +
+            "%).",
+        ),
+      );
+
+      if (report.missing.length > 0) {
+        const list = createElement("ul", {
+          className: "ally-sp-locale-report-keys",
+        });
+        report.missing.forEach(function (entry) {
+          list.appendChild(
+            createElement("li", null, [
+              createElement("code", null, entry.key),
+              " — " + entry.source,
+            ]),
+          );
+        });
+        body.appendChild(
+          createElement("details", null, [
+            createElement(
+              "summary",
+              null,
+              report.missing.length + " untranslated in " + report.label,
+            ),
+            list,
+          ]),
+        );
+      }
+
+      if (report.unknown.length > 0) {
+        body.appendChild(
+          createElement(
+            "p",
+            null,
+            report.unknown.length +
+              " " +
+              report.label +
+              " string(s) match no source text and are ignored: " +
+              report.unknown.join(", "),
+          ),
+        );
+      }
+    });
+  }
+
+  /**
+   * Populates the statement-language radio group from the config and wires
+   * selection, then fills the completeness report. Hydrates the active locale
+   * from persistence (falling back to the current value, then the config
+   * default). Idempotent — rebuilds the radios on each call.
+   */
+  function initLocaleSwitch() {
+    const CFG = ALLY_STATEMENT_PREVIEW_CONFIG;
+    if (typeof CFG === "undefined" || typeof CFG.getLocales !== "function") {
+      return;
+    }
+
+    const container = document.getElementById("ally-sp-locale-options");
+    if (!container) {
+      logDebug("Locale options container not found");
+      return;
+    }
+
+    // Active locale: persisted > current > default
+    currentLocale =
+      loadPersistedLocale() || currentLocale || CFG.getDefaultLocale();
+
+    container.innerHTML = "";
+
+    CFG.getLocales().forEach(function (locale) {
+      const label = document.createElement("label");
+      label.className = "ally-sp-settings-option";
+
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = "ally-sp-locale";
+      input.id = "ally-sp-locale-" + locale.id;
+      input.value = locale.id;
+      if (locale.id === currentLocale) {
+        input.checked = true;
+      }
+      input.addEventListener("change", function () {
+        if (this.checked) {
+          handleLocaleChange(this.value);
+        }
+      });
+
+      const span = document.createElement("span");
+      span.className = "ally-sp-settings-option-label";
+      span.textContent =
+        locale.label + (locale.status ? " — " + locale.status : "");
+
+      label.appendChild(input);
+      label.appendChild(span);
+      container.appendChild(label);
+    });
+
+    renderLocaleReport();
+
+    logDebug("Locale switch initialised: " + currentLocale);
+  }
+
   // ========================================================================
   // Statement-refresh feature flag toggle (Phase 3, Stage 0b)
   // ========================================================================
@@ -4068,6 +4558,9 @@ const ALLY_STATEMENT_PREVIEW = (function () {
       // Populate + wire the institution/environment switch
       initEnvironmentSwitch();
 
+      // Populate + wire the statement language switch and its report
+      initLocaleSwitch();
+
       // Hydrate + wire the statement-refresh feature-flag toggle (Phase 3)
       initRefreshToggle();
 
@@ -4228,6 +4721,25 @@ const ALLY_STATEMENT_PREVIEW = (function () {
      */
     downloadAsExport: downloadAsExport,
 
+    /**
+     * Fetches the Issues row for any course (batch export)
+     * @param {Object} course - {id, name, code, termName}
+     * @returns {Promise<Object>}
+     */
+    fetchCourseData: fetchPreviewData,
+
+    /**
+     * Renders a course's statement off-screen and returns its export pieces
+     * without touching the on-screen preview (batch export)
+     */
+    prepareStatementExport: prepareStatementExport,
+
+    /**
+     * Builds a course's standalone HTML and Word statement in memory
+     * (batch export)
+     */
+    buildStatementFiles: buildStatementFiles,
+
     /**
      * Expands all disclosure widgets
      */
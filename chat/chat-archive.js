@@ -0,0 +1,1206 @@
+/**
+ * Unified Chat Tool — conversation archive, search and import
+ *
+ * Gives Chat a History, like Local Chat's. When a conversation is cleared, or
+ * another one is opened over it, it is kept in this browser (localStorage,
+ * under the state's ARCHIVE_KEY and within its ARCHIVE_MAX_* caps) as the
+ * whole conversation tree — every version on every branch, in the
+ * chat-branches.js serialised form and byte-free like the session — with its
+ * chosen comparisons and the models that answered in it.
+ *
+ * The History panel replaces the message list while open. It searches the text
+ * of every turn in every saved conversation (all words must appear, in any
+ * case), and filters by the model or provider that answered. Opening a saved
+ * conversation makes it the live one again, ready to continue; it leaves the
+ * archive until it is next cleared.
+ *
+ * The panel also imports a JSON file written by the Chat export
+ * (ChatExport.buildJSON). The file's format version is checked first: a file
+ * from a newer format is refused rather than misread. Each turn is then
+ * checked on its own, keeping its model attribution; a turn that cannot be
+ * restored is left out with the turns that followed it on its branch (they
+ * answer or continue it), and a report at the top of the conversation lists
+ * exactly what was left out and why.
+ *
+ * The pure helpers (entry building, search, filtering, import parsing) read no
+ * window.ChatState, DOM or storage, so chat/tests-chat-archive.js drives them
+ * from fixtures.
+ *
+ * Loads AFTER chat/chat-core.js, chat/chat-messages.js, chat/chat-persistence.js
+ * and chat/chat-export.js.
+ *
+ * @version 0.1.0 — archive on clear, History panel with full-text search and
+ *                   model/provider filters, resume, and JSON export import with
+ *                   a format check and a restoration report
+ */
+(function () {
+  "use strict";
+
+  // ── Logging configuration ───────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatArchive]");
+      console.error.apply(console, args);
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatArchive]");
+      console.warn.apply(console, args);
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatArchive]");
+      console.log.apply(console, args);
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatArchive]");
+      console.log.apply(console, args);
+    }
+  }
+
+  const S = window.ChatState;
+  if (!S) {
+    logError(
+      "window.ChatState is missing — chat/chat.js must load before chat/chat-archive.js",
+    );
+    return;
+  }
+
+  // ── Wording and limits ──────────────────────────────────────────────────
+  // CHANGE-HERE for the spoken/visible wording.
+  const UNTITLED = "Untitled conversation";
+  const TITLE_MAX_CHARS = 60;
+  const ALL_MODELS = "All models";
+  const ALL_PROVIDERS = "All providers";
+  const UNKNOWN_MODEL = "Unknown model";
+  const EMPTY_TEXT =
+    "No saved conversations yet. Conversations are saved here when you clear them or open another one.";
+  const NO_MATCH_TEXT = "No saved conversations match your search.";
+  const BUSY_TEXT = "Wait for the reply to finish before opening another conversation.";
+  const OPEN_FAILED = "This saved conversation could not be opened.";
+  const NOT_SAVED_CONFIRM =
+    "The current conversation could not be saved to History. Open the other one anyway? The current conversation will be lost.";
+  const DELETE_CONFIRM = "Delete this saved conversation? This cannot be undone.";
+
+  // Import refusals — each says what the file is and what would work instead.
+  const IMPORT_NOT_JSON = "This file is not valid JSON, so it cannot be imported.";
+  const IMPORT_NOT_CHAT =
+    "This file is not a Chat conversation export. Choose a JSON file saved from Chat's Export menu.";
+  const IMPORT_COMPARISON =
+    "This file is a single model comparison, not a conversation, so it cannot be opened as one.";
+  const IMPORT_NO_TURNS = "This file has no messages to import.";
+  const IMPORT_NONE_RESTORED = "None of the messages in this file could be restored.";
+
+  // Most characters of context shown either side of a search hit.
+  const SNIPPET_CONTEXT = 60;
+  // Pause after the last keystroke before the list re-filters (and the count
+  // announces), so typing a word is not read out letter by letter.
+  const SEARCH_DELAY_MS = 250;
+
+  // ── Module state ────────────────────────────────────────────────────────
+  let wired = false;
+  let searchTimer = null;
+
+  // ── Pure helpers ────────────────────────────────────────────────────────
+
+  /**
+   * The visible text of a turn: string content as-is, or the text parts of an
+   * array (attachment) turn joined. Pure.
+   * @param {Object} turn
+   * @returns {string}
+   */
+  function turnText(turn) {
+    if (!turn) return "";
+    if (typeof turn.content === "string") return turn.content;
+    if (!Array.isArray(turn.content)) return "";
+    return turn.content
+      .map(function (p) {
+        if (typeof p === "string") return p;
+        return p && p.type === "text" && typeof p.text === "string" ? p.text : "";
+      })
+      .join("");
+  }
+
+  /**
+   * A conversation's title: its first message, cut to TITLE_MAX_CHARS (the
+   * same rule as Local Chat's History). Pure.
+   * @param {Array<Object>} messages the active path
+   * @returns {string}
+   */
+  function titleFor(messages) {
+    const first = (messages || []).find(function (m) {
+      return m && m.role === "user" && turnText(m).trim();
+    });
+    const text = first ? turnText(first).trim().replace(/\s+/g, " ") : "";
+    if (!text) return UNTITLED;
+    return text.length > TITLE_MAX_CHARS
+      ? text.substring(0, TITLE_MAX_CHARS - 3) + "..."
+      : text;
+  }
+
+  /**
+   * Every model that answered in a list of turns, once each, in first-seen
+   * order, as { model, providerId }. Pure.
+   * @param {Array<Object>} turns
+   * @returns {Array<{model: string, providerId: string}>}
+   */
+  function modelsIn(turns) {
+    const seen = {};
+    const out = [];
+    (turns || []).forEach(function (t) {
+      if (!t || t.role !== "assistant" || typeof t.model !== "string" || !t.model) return;
+      if (seen[t.model]) return;
+      seen[t.model] = true;
+      out.push({ model: t.model, providerId: t.providerId || "" });
+    });
+    return out;
+  }
+
+  /**
+   * Build the archive entry for a live conversation tree. The tree is stored in
+   * its serialised form, each turn passed through `opts.mapTurns` (the
+   * session's byte-free mapper), so attachments are kept by name only.
+   * @param {Object} tree a live ChatBranches tree
+   * @param {{id: string, now: string, mapTurns: function, comparisons: Array,
+   *   systemPrompt: string}} opts
+   * @returns {Object} entry
+   */
+  function buildEntry(tree, opts) {
+    const CB = window.ChatBranches;
+    const serialised = CB.serialise(tree, opts.mapTurns);
+    const entry = {
+      id: opts.id,
+      title: titleFor(CB.getActiveMessages(tree)),
+      messageCount: CB.getActivePath(tree).length,
+      created: opts.now,
+      lastActive: opts.now,
+      models: modelsIn(
+        serialised.nodes.map(function (n) {
+          return n.turn;
+        }),
+      ),
+      systemPrompt: opts.systemPrompt || "",
+      tree: serialised,
+    };
+    if (Array.isArray(opts.comparisons) && opts.comparisons.length > 0) {
+      entry.comparisons = opts.comparisons;
+    }
+    return entry;
+  }
+
+  /** A search box value as lower-case words. Pure. */
+  function searchTerms(query) {
+    return String(query || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /** The text of every turn in a stored entry, on every branch. Pure. */
+  function entryTexts(entry) {
+    const nodes = entry && entry.tree && Array.isArray(entry.tree.nodes) ? entry.tree.nodes : [];
+    return nodes.map(function (n) {
+      return turnText(n && n.turn);
+    });
+  }
+
+  /**
+   * Does a stored entry match the filters? Every search word must appear
+   * somewhere in its title or turns (any branch, any case); `model` and
+   * `providerId`, when set, must have answered in it. Pure.
+   * @param {Object} entry
+   * @param {{terms: Array<string>, model: string, providerId: string}} f
+   * @returns {boolean}
+   */
+  function entryMatches(entry, f) {
+    const models = Array.isArray(entry.models) ? entry.models : [];
+    if (
+      f.model &&
+      !models.some(function (m) {
+        return m.model === f.model;
+      })
+    ) {
+      return false;
+    }
+    if (
+      f.providerId &&
+      !models.some(function (m) {
+        return m.providerId === f.providerId;
+      })
+    ) {
+      return false;
+    }
+    if (!f.terms || f.terms.length === 0) return true;
+    const haystack = [entry.title || ""].concat(entryTexts(entry)).join("\n").toLowerCase();
+    return f.terms.every(function (term) {
+      return haystack.indexOf(term) !== -1;
+    });
+  }
+
+  /**
+   * The entries that match, in archive order (newest first). Pure.
+   * @param {Array<Object>} entries
+   * @param {{query: string, model: string, providerId: string}} filters
+   * @returns {Array<Object>}
+   */
+  function filterEntries(entries, filters) {
+    const f = {
+      terms: searchTerms(filters && filters.query),
+      model: (filters && filters.model) || "",
+      providerId: (filters && filters.providerId) || "",
+    };
+    return (entries || []).filter(function (entry) {
+      return entry && entryMatches(entry, f);
+    });
+  }
+
+  /**
+   * The first search hit in an entry's turns, with up to SNIPPET_CONTEXT
+   * characters either side, or "" when only the title matched. Pure.
+   * @param {Object} entry
+   * @param {Array<string>} terms
+   * @returns {string}
+   */
+  function matchSnippet(entry, terms) {
+    if (!terms || terms.length === 0) return "";
+    const texts = entryTexts(entry);
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i].replace(/\s+/g, " ");
+      const lower = text.toLowerCase();
+      for (let j = 0; j < terms.length; j++) {
+        const at = lower.indexOf(terms[j]);
+        if (at === -1) continue;
+        const start = Math.max(0, at - SNIPPET_CONTEXT);
+        const end = Math.min(text.length, at + terms[j].length + SNIPPET_CONTEXT);
+        return (
+          (start > 0 ? "…" : "") +
+          text.slice(start, end).trim() +
+          (end < text.length ? "…" : "")
+        );
+      }
+    }
+    return "";
+  }
+
+  /**
+   * The models and providers that answered across the archive, for the filter
+   * lists: { models: [ids], providers: [ids] }, each once, sorted. Pure.
+   * @param {Array<Object>} entries
+   * @returns {{models: Array<string>, providers: Array<string>}}
+   */
+  function facetsOf(entries) {
+    const models = {};
+    const providers = {};
+    (entries || []).forEach(function (entry) {
+      (entry && Array.isArray(entry.models) ? entry.models : []).forEach(function (m) {
+        if (m.model) models[m.model] = true;
+        if (m.providerId) providers[m.providerId] = true;
+      });
+    });
+    return { models: Object.keys(models).sort(), providers: Object.keys(providers).sort() };
+  }
+
+  // ── Import (pure) ───────────────────────────────────────────────────────
+
+  /**
+   * Turn one exported turn (ChatExport.jsonTurn shape) back into a live turn.
+   * An assistant turn keeps its model and provider. A user turn's attachment
+   * comes back live when the file embedded its bytes, and by name only (the
+   * byte-free reference the session restores) when it did not. Pure.
+   * @param {*} turn
+   * @returns {{turn: Object, referenceOnly: boolean, attachmentDropped: boolean}
+   *   |{reason: string}}
+   */
+  function importTurn(turn) {
+    if (!turn || typeof turn !== "object") return { reason: "it is not a message" };
+    if (turn.role !== "user" && turn.role !== "assistant") {
+      return { reason: "its role is not “user” or “assistant”" };
+    }
+    if (typeof turn.content !== "string") return { reason: "its text is missing" };
+
+    if (turn.role === "assistant") {
+      const reply = { role: "assistant", content: turn.content };
+      if (typeof turn.model === "string" && turn.model) reply.model = turn.model;
+      if (typeof turn.providerId === "string" && turn.providerId) {
+        reply.providerId = turn.providerId;
+      }
+      return { turn: reply, referenceOnly: false, attachmentDropped: false };
+    }
+
+    const att = Array.isArray(turn.attachments) ? turn.attachments[0] : null;
+    if (!att) {
+      return {
+        turn: { role: "user", content: turn.content },
+        referenceOnly: false,
+        attachmentDropped: false,
+      };
+    }
+    if (att.kind !== "image" && att.kind !== "pdf") {
+      return {
+        turn: { role: "user", content: turn.content },
+        referenceOnly: false,
+        attachmentDropped: true,
+      };
+    }
+    const isPdf = att.kind === "pdf";
+    const ref = {
+      kind: att.kind,
+      filename:
+        typeof att.filename === "string" && att.filename
+          ? att.filename
+          : isPdf
+            ? "Attached document"
+            : "Attached image",
+      mimeType:
+        typeof att.mimeType === "string" && att.mimeType
+          ? att.mimeType
+          : isPdf
+            ? "application/pdf"
+            : "image/*",
+      size: typeof att.size === "number" && att.size >= 0 ? att.size : 0,
+    };
+    const text = { type: "text", text: turn.content };
+    const data =
+      att.bytesIncluded && typeof att.data === "string" && /^data:[^;,]+;base64,/.test(att.data)
+        ? att.data
+        : null;
+    if (data) {
+      const part = isPdf
+        ? { type: "file", file: { filename: ref.filename, file_data: data } }
+        : { type: "image_url", image_url: { url: data } };
+      return {
+        turn: { role: "user", content: [part, text], attachment: ref },
+        referenceOnly: false,
+        attachmentDropped: false,
+      };
+    }
+    return {
+      turn: { role: "user", content: [ref, text] },
+      referenceOnly: true,
+      attachmentDropped: false,
+    };
+  }
+
+  /**
+   * A stored comparison brought back from the file. The export keeps each
+   * column's raw metrics, not their display text, so the text is re-made with
+   * chat-compare.js's own formatters. Null when it is not a comparison.
+   */
+  function importComparison(c) {
+    if (!c || typeof c !== "object" || !Array.isArray(c.columns)) return null;
+    const CC = window.ChatCompare;
+    const record = Object.assign({}, c);
+    record.columns = c.columns.map(function (col) {
+      const out = Object.assign({}, col);
+      if (CC) {
+        if (typeof out.latencyText !== "string") out.latencyText = CC.formatLatency(out.latencyMs);
+        if (typeof out.tokensText !== "string") out.tokensText = CC.formatTokens(out.usage);
+        if (typeof out.costText !== "string") out.costText = CC.formatCost(out.cost);
+      }
+      return out;
+    });
+    return record;
+  }
+
+  function importFailure(error, report) {
+    return { ok: false, error: error, report: report || null };
+  }
+
+  /**
+   * Read a parsed Chat JSON export back into a live conversation.
+   *
+   * Refused outright: anything that is not a Chat export, a comparison file,
+   * a `formatVersion` newer than this page reads, and a `tree` in an unknown
+   * branch format. A file without `formatVersion` predates it and is read as
+   * format 1; a file without `tree` predates branching and its `messages` come
+   * back as a single path.
+   *
+   * Otherwise every turn is checked on its own. A turn that cannot be restored
+   * is left out together with the turns under it on its branch — they answer
+   * or continue it, so keeping them would invent a conversation that never
+   * happened — and the report records it by its position in the file.
+   * Pure apart from reading window.ChatBranches, window.ChatExport and
+   * window.ChatCompare.
+   *
+   * @param {*} data the parsed file
+   * @returns {{ok: true, tree: Object, comparisons: Array, systemPrompt: string,
+   *   report: Object}|{ok: false, error: string, report: Object|null}}
+   *   report: { total, restored, skipped: [{position, role, reason, dependents}],
+   *   referenceOnly, attachmentsDropped }
+   */
+  function parseImport(data) {
+    const CB = window.ChatBranches;
+    const readable =
+      (window.ChatExport && window.ChatExport.JSON_FORMAT_VERSION) || 1;
+
+    if (!data || typeof data !== "object" || Array.isArray(data) || data.tool !== "chat") {
+      return importFailure(IMPORT_NOT_CHAT);
+    }
+    if (data.kind === "comparison") return importFailure(IMPORT_COMPARISON);
+    const version = data.formatVersion === undefined ? 1 : data.formatVersion;
+    if (typeof version !== "number" || version < 1 || Math.floor(version) !== version) {
+      return importFailure(IMPORT_NOT_CHAT);
+    }
+    if (version > readable) {
+      return importFailure(
+        "This file uses export format " +
+          version +
+          ", which is newer than this page can read (format " +
+          readable +
+          "). Reload the page to get the latest version, then try again.",
+      );
+    }
+
+    let nodes;
+    let active;
+    if (data.tree !== undefined) {
+      if (!data.tree || typeof data.tree !== "object" || data.tree.version !== CB.FORMAT_VERSION) {
+        return importFailure(
+          "This file's conversation tree uses a format this page cannot read (version " +
+            (data.tree && data.tree.version !== undefined ? data.tree.version : "missing") +
+            ").",
+        );
+      }
+      if (!Array.isArray(data.tree.nodes)) return importFailure(IMPORT_NOT_CHAT);
+      nodes = data.tree.nodes;
+      active = data.tree.active && typeof data.tree.active === "object" ? data.tree.active : {};
+    } else if (Array.isArray(data.messages)) {
+      // Before branching the file held one path: chain it.
+      nodes = data.messages.map(function (turn, i) {
+        return { id: "t" + (i + 1), parentId: i === 0 ? CB.ROOT_ID : "t" + i, turn: turn };
+      });
+      active = {};
+      nodes.forEach(function (n) {
+        active[n.parentId] = n.id;
+      });
+    } else {
+      return importFailure(IMPORT_NOT_CHAT);
+    }
+    if (nodes.length === 0) return importFailure(IMPORT_NO_TURNS);
+
+    const report = {
+      total: nodes.length,
+      restored: 0,
+      skipped: [],
+      referenceOnly: 0,
+      attachmentsDropped: 0,
+    };
+    const kept = [];
+    const keptIds = {};
+    keptIds[CB.ROOT_ID] = true;
+    // id of a left-out node → the report row it counts against.
+    const leftOut = {};
+
+    nodes.forEach(function (n, i) {
+      const position = i + 1;
+      const role = n && n.turn && typeof n.turn.role === "string" ? n.turn.role : "";
+      const damaged =
+        !n ||
+        typeof n !== "object" ||
+        typeof n.id !== "string" ||
+        !n.id ||
+        n.id === CB.ROOT_ID ||
+        keptIds[n.id] ||
+        leftOut[n.id];
+      if (damaged) {
+        report.skipped.push({
+          position: position,
+          role: role,
+          reason: "its entry in the file is damaged",
+          dependents: 0,
+        });
+        return;
+      }
+      if (leftOut[n.parentId]) {
+        leftOut[n.parentId].dependents++;
+        leftOut[n.id] = leftOut[n.parentId];
+        return;
+      }
+      if (!keptIds[n.parentId]) {
+        const row = {
+          position: position,
+          role: role,
+          reason: "the message it follows is not in the file",
+          dependents: 0,
+        };
+        report.skipped.push(row);
+        leftOut[n.id] = row;
+        return;
+      }
+      const result = importTurn(n.turn);
+      if (result.reason) {
+        const row = { position: position, role: role, reason: result.reason, dependents: 0 };
+        report.skipped.push(row);
+        leftOut[n.id] = row;
+        return;
+      }
+      if (result.referenceOnly) report.referenceOnly++;
+      if (result.attachmentDropped) report.attachmentsDropped++;
+      kept.push({ id: n.id, parentId: n.parentId, turn: result.turn });
+      keptIds[n.id] = true;
+      report.restored++;
+    });
+
+    if (kept.length === 0) return importFailure(IMPORT_NONE_RESTORED, report);
+    const tree = CB.deserialise({ version: CB.FORMAT_VERSION, nodes: kept, active: active });
+    if (!tree || CB.getActivePath(tree).length === 0) {
+      return importFailure(IMPORT_NONE_RESTORED, report);
+    }
+
+    const comparisons = Array.isArray(data.comparisons)
+      ? data.comparisons.map(importComparison).filter(Boolean)
+      : [];
+    return {
+      ok: true,
+      tree: tree,
+      comparisons: comparisons,
+      systemPrompt: typeof data.systemPrompt === "string" ? data.systemPrompt : "",
+      report: report,
+    };
+  }
+
+  /**
+   * The report's lines for people: one per left-out turn, then one each for
+   * attachments kept by name only and attachments left out. Pure.
+   * @param {Object} report parseImport's report
+   * @returns {Array<string>}
+   */
+  function reportLines(report) {
+    const lines = report.skipped.map(function (row) {
+      const what =
+        row.role === "user" ? "your message" : row.role === "assistant" ? "a reply" : "a message";
+      let line = "Message " + row.position + " (" + what + "): " + row.reason + ".";
+      if (row.dependents > 0) {
+        line +=
+          " The " +
+          (row.dependents === 1 ? "message" : row.dependents + " messages") +
+          " after it on that branch " +
+          (row.dependents === 1 ? "was" : "were") +
+          " left out too.";
+      }
+      return line;
+    });
+    if (report.referenceOnly > 0) {
+      lines.push(
+        (report.referenceOnly === 1 ? "One attachment was" : report.referenceOnly + " attachments were") +
+          " saved without its file, so it shows by name only and is not sent to the model again.",
+      );
+    }
+    if (report.attachmentsDropped > 0) {
+      lines.push(
+        (report.attachmentsDropped === 1
+          ? "One attachment was"
+          : report.attachmentsDropped + " attachments were") +
+          " of a kind Chat does not support and " +
+          (report.attachmentsDropped === 1 ? "was" : "were") +
+          " left out; the message text was kept.",
+      );
+    }
+    return lines;
+  }
+
+  // ── Archive storage ─────────────────────────────────────────────────────
+
+  function loadArchive() {
+    try {
+      const json = localStorage.getItem(S.ARCHIVE_KEY);
+      if (!json) return [];
+      const archive = JSON.parse(json);
+      return Array.isArray(archive) ? archive : [];
+    } catch (e) {
+      logWarn("Failed to load archive:", e.message);
+      return [];
+    }
+  }
+
+  function storeArchive(archive) {
+    try {
+      localStorage.setItem(S.ARCHIVE_KEY, JSON.stringify(archive));
+      return true;
+    } catch (e) {
+      logWarn("Failed to save archive:", e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Keep the live conversation in History. Newest first; over
+   * ARCHIVE_MAX_CONVERSATIONS the oldest goes, and a conversation that would
+   * take the archive past ARCHIVE_MAX_BYTES is not saved (Local Chat's rules).
+   * @returns {boolean} true when it was saved
+   */
+  function archiveConversation() {
+    if (!S.branchTree || S.messages.length === 0) return false;
+    const mapTurns =
+      window.ChatPersistence && window.ChatPersistence._toByteFreeMessages;
+    const entry = buildEntry(S.branchTree, {
+      id: "chat-" + Date.now(),
+      now: new Date().toISOString(),
+      mapTurns: mapTurns,
+      comparisons: S.comparisons,
+      systemPrompt: S.els.systemInput ? S.els.systemInput.value : "",
+    });
+
+    let archive = [entry].concat(loadArchive());
+    if (JSON.stringify(archive).length > S.ARCHIVE_MAX_BYTES) {
+      logWarn("Archive would exceed its size cap — conversation not archived.");
+      return false;
+    }
+    if (archive.length > S.ARCHIVE_MAX_CONVERSATIONS) {
+      archive = archive.slice(0, S.ARCHIVE_MAX_CONVERSATIONS);
+    }
+    if (!storeArchive(archive)) return false;
+    logInfo("Conversation archived:", entry.title, "(" + entry.messageCount + " messages)");
+    if (isPanelOpen()) renderPanel();
+    return true;
+  }
+
+  function deleteArchived(id) {
+    const archive = loadArchive().filter(function (entry) {
+      return entry.id !== id;
+    });
+    storeArchive(archive);
+    logInfo("Archived conversation deleted:", id);
+  }
+
+  // ── Opening a conversation (resume or import) ───────────────────────────
+
+  function confirmAction(message, title) {
+    return typeof window.safeConfirm === "function"
+      ? window.safeConfirm(message, title)
+      : Promise.resolve(window.confirm(message));
+  }
+
+  /**
+   * Make `tree` the live conversation. The one it replaces goes to History
+   * first; if it cannot be saved, the person is asked before it is lost. The
+   * chosen model stays as it is — each reply keeps its own attribution.
+   * @param {Object} tree a live ChatBranches tree
+   * @param {{comparisons: Array, systemPrompt: string}} opts
+   * @returns {Promise<boolean>} false when the person kept the current one
+   */
+  async function openConversation(tree, opts) {
+    const els = S.els;
+    if (S.messages.length > 0 && !archiveConversation()) {
+      const ok = await confirmAction(NOT_SAVED_CONFIRM, "Open Conversation");
+      if (!ok) return false;
+    }
+    if (window.ChatMessages && typeof window.ChatMessages.stopReadAloudIfActive === "function") {
+      window.ChatMessages.stopReadAloudIfActive();
+    }
+    window.ChatPersistence.dismissRestoreBanner();
+    if (window.ChatCompare) window.ChatCompare.reset();
+    // The list must be showing before the rebuild, so the mermaid
+    // accessibility observers see the bubbles in the visible DOM.
+    closePanel(false);
+
+    window.ChatCore._setBranchTree(tree);
+    S.comparisons = Array.isArray(opts.comparisons) ? opts.comparisons : [];
+    if (opts.systemPrompt && els.systemInput) {
+      els.systemInput.value = opts.systemPrompt;
+      if (els.presetSelect) {
+        const preset = Object.keys(S.SYSTEM_PRESETS || {}).find(function (key) {
+          return S.SYSTEM_PRESETS[key] === opts.systemPrompt;
+        });
+        els.presetSelect.value = preset || "";
+      }
+    }
+    await window.ChatPersistence.rebuildMessageList();
+    window.ChatPersistence.saveSession();
+    window.ChatCore._updateConversationUI();
+    return true;
+  }
+
+  /**
+   * Open a saved conversation. It leaves the archive — it is the live one now
+   * — and is saved again when it is next cleared.
+   * @param {string} id
+   */
+  async function resumeArchived(id) {
+    if (S.isGenerating) {
+      S.announceToScreenReader(BUSY_TEXT);
+      return;
+    }
+    const entry = loadArchive().find(function (e) {
+      return e.id === id;
+    });
+    if (!entry) {
+      logWarn("Archive entry not found:", id);
+      return;
+    }
+    const tree = window.ChatBranches.deserialise(entry.tree);
+    if (!tree || window.ChatBranches.getActivePath(tree).length === 0) {
+      S.announceToScreenReader(OPEN_FAILED);
+      return;
+    }
+    const comparisons = Array.isArray(entry.comparisons) ? entry.comparisons : [];
+    const opened = await openConversation(tree, {
+      comparisons: comparisons,
+      systemPrompt: entry.systemPrompt,
+    });
+    if (!opened) return;
+    deleteArchived(id);
+    if (S.els.input) S.els.input.focus();
+    S.announceToScreenReader(
+      "Conversation opened: " + entry.title + ". " + countPhrase(S.messages.length) + ".",
+    );
+    logInfo("Resumed archived conversation:", entry.title);
+  }
+
+  /**
+   * Import a Chat JSON export as the live conversation, then show what could
+   * not be restored. A refused file leaves everything as it was and says why.
+   * @param {File} file
+   */
+  async function importFile(file) {
+    const status = el("history-import-status");
+    function refuse(message) {
+      if (status) status.textContent = message;
+      S.announceToScreenReader(message);
+    }
+    if (status) status.textContent = "";
+    if (S.isGenerating) {
+      refuse(BUSY_TEXT);
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      refuse(IMPORT_NOT_JSON);
+      return;
+    }
+    const result = parseImport(data);
+    if (!result.ok) {
+      refuse(result.error);
+      logWarn("Import refused:", result.error);
+      return;
+    }
+    const opened = await openConversation(result.tree, {
+      comparisons: result.comparisons,
+      systemPrompt: result.systemPrompt,
+    });
+    if (!opened) return;
+
+    const lines = reportLines(result.report);
+    showImportReport(file.name, result.report, lines);
+    if (S.els.input) S.els.input.focus();
+    S.announceToScreenReader(
+      "Conversation imported. " +
+        result.report.restored +
+        " of " +
+        countPhrase(result.report.total) +
+        " restored." +
+        (lines.length > 0 ? " Details are at the top of the conversation." : ""),
+    );
+    logInfo("Imported", file.name, result.report);
+  }
+
+  // ── Import report ───────────────────────────────────────────────────────
+
+  /**
+   * The report above the imported conversation: how much came back and, when
+   * anything did not, each item. Reuses the restore banner's classes, like
+   * chat-persistence.js's banner; gone with the next full re-render.
+   */
+  function showImportReport(filename, report, lines) {
+    const list = S.els.messageList;
+    if (!list) return;
+    dismissImportReport();
+
+    const banner = document.createElement("div");
+    banner.className = "local-chat-restore-banner chat-archive-report";
+    banner.id = S.elId("import-report");
+
+    const body = document.createElement("div");
+    body.className = "local-chat-restore-banner-text";
+    const summary = document.createElement("p");
+    summary.textContent =
+      "Imported “" +
+      filename +
+      "”: " +
+      report.restored +
+      " of " +
+      countPhrase(report.total) +
+      " restored.";
+    body.appendChild(summary);
+    if (lines.length > 0) {
+      const ul = document.createElement("ul");
+      ul.className = "chat-archive-report-list";
+      lines.forEach(function (line) {
+        const li = document.createElement("li");
+        li.textContent = line;
+        ul.appendChild(li);
+      });
+      body.appendChild(ul);
+    }
+    banner.appendChild(body);
+
+    const actions = document.createElement("div");
+    actions.className = "local-chat-restore-banner-actions";
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.className = "local-chat-restore-banner-btn";
+    dismiss.innerHTML = '<span aria-hidden="true" data-icon="close"></span> Dismiss';
+    dismiss.addEventListener("click", function () {
+      dismissImportReport();
+      if (S.els.input) S.els.input.focus();
+    });
+    actions.appendChild(dismiss);
+    banner.appendChild(actions);
+
+    list.insertBefore(banner, list.firstChild);
+    if (typeof window.refreshIcons === "function") window.refreshIcons(banner);
+  }
+
+  function dismissImportReport() {
+    const banner = document.getElementById(S.elId("import-report"));
+    if (banner) banner.remove();
+  }
+
+  // ── History panel ───────────────────────────────────────────────────────
+
+  function el(suffix) {
+    return document.getElementById(S.elId(suffix));
+  }
+
+  function modelName(modelId) {
+    return window.ChatMessages
+      ? window.ChatMessages._modelDisplayName(modelId)
+      : modelId;
+  }
+
+  function providerName(providerId) {
+    return window.ChatMessages
+      ? window.ChatMessages._providerLabel(providerId)
+      : providerId;
+  }
+
+  function countPhrase(n) {
+    return n + (n === 1 ? " message" : " messages");
+  }
+
+  function isPanelOpen() {
+    const panel = el("history-panel");
+    return !!panel && !panel.hidden;
+  }
+
+  /**
+   * Refill a filter list with `ids`, keeping the current choice when it is
+   * still there.
+   */
+  function fillFilter(select, ids, allLabel, labelFor) {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = allLabel;
+    select.appendChild(all);
+    ids.forEach(function (id) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = labelFor(id);
+      select.appendChild(option);
+    });
+    select.value = ids.indexOf(current) !== -1 ? current : "";
+  }
+
+  /** Append `text` to `parent`, marking each search hit. */
+  function appendMarked(parent, text, terms) {
+    const lower = text.toLowerCase();
+    let i = 0;
+    while (i < text.length) {
+      let next = -1;
+      let term = "";
+      terms.forEach(function (t) {
+        const at = lower.indexOf(t, i);
+        if (at !== -1 && (next === -1 || at < next)) {
+          next = at;
+          term = t;
+        }
+      });
+      if (next === -1) {
+        parent.appendChild(document.createTextNode(text.slice(i)));
+        return;
+      }
+      if (next > i) parent.appendChild(document.createTextNode(text.slice(i, next)));
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(next, next + term.length);
+      parent.appendChild(mark);
+      i = next + term.length;
+    }
+  }
+
+  function createEntry(entry, terms) {
+    const li = document.createElement("li");
+    li.className = "local-chat-history-entry";
+    li.dataset.archiveId = entry.id;
+
+    const title = document.createElement("span");
+    title.className = "local-chat-history-title";
+    title.textContent = entry.title;
+    li.appendChild(title);
+
+    const date = new Date(entry.lastActive);
+    const dateStr =
+      date.toLocaleDateString([], { day: "numeric", month: "short" }) +
+      " " +
+      date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const models = Array.isArray(entry.models) ? entry.models : [];
+    const meta = document.createElement("span");
+    meta.className = "local-chat-history-meta";
+    meta.textContent =
+      (models.length > 0
+        ? models
+            .map(function (m) {
+              return modelName(m.model);
+            })
+            .join(", ")
+        : UNKNOWN_MODEL) +
+      " · " +
+      countPhrase(entry.messageCount) +
+      " · " +
+      dateStr;
+    li.appendChild(meta);
+
+    const snippet = matchSnippet(entry, terms);
+    if (snippet) {
+      const p = document.createElement("p");
+      p.className = "chat-archive-snippet";
+      appendMarked(p, snippet, terms);
+      li.appendChild(p);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "local-chat-history-actions";
+
+    const openBtn = document.createElement("button");
+    openBtn.type = "button";
+    openBtn.className = "local-chat-history-btn";
+    openBtn.innerHTML = '<span aria-hidden="true" data-icon="refresh"></span> Resume';
+    openBtn.setAttribute(
+      "aria-label",
+      "Resume conversation from " + dateStr + " about " + entry.title,
+    );
+    openBtn.addEventListener("click", function () {
+      resumeArchived(entry.id);
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "local-chat-history-btn local-chat-history-btn-delete";
+    deleteBtn.innerHTML = '<span aria-hidden="true" data-icon="trash"></span> Delete';
+    deleteBtn.setAttribute(
+      "aria-label",
+      "Delete conversation from " + dateStr + " about " + entry.title,
+    );
+    deleteBtn.addEventListener("click", function () {
+      confirmAction(DELETE_CONFIRM, "Delete Conversation").then(function (confirmed) {
+        if (!confirmed) return;
+        deleteArchived(entry.id);
+        renderPanel();
+        const search = el("history-search");
+        if (search) search.focus();
+        S.announceToScreenReader("Conversation deleted.");
+      });
+    });
+
+    actions.appendChild(openBtn);
+    actions.appendChild(deleteBtn);
+    li.appendChild(actions);
+    return li;
+  }
+
+  /** Re-draw the filter lists, the count and the matching entries. */
+  function renderPanel() {
+    const list = el("history-list");
+    if (!list) return;
+    const archive = loadArchive();
+    const facets = facetsOf(archive);
+    const modelSelect = el("history-model");
+    const providerSelect = el("history-provider");
+    fillFilter(modelSelect, facets.models, ALL_MODELS, modelName);
+    fillFilter(providerSelect, facets.providers, ALL_PROVIDERS, providerName);
+
+    const search = el("history-search");
+    const query = search ? search.value : "";
+    const shown = filterEntries(archive, {
+      query: query,
+      model: modelSelect ? modelSelect.value : "",
+      providerId: providerSelect ? providerSelect.value : "",
+    });
+    const terms = searchTerms(query);
+
+    list.innerHTML = "";
+    shown.forEach(function (entry) {
+      list.appendChild(createEntry(entry, terms));
+    });
+    list.hidden = shown.length === 0;
+    if (typeof window.refreshIcons === "function") window.refreshIcons(list);
+
+    const empty = el("history-empty");
+    if (empty) {
+      empty.textContent = archive.length === 0 ? EMPTY_TEXT : NO_MATCH_TEXT;
+      empty.hidden = shown.length > 0;
+    }
+    const count = el("history-count");
+    if (count) {
+      const n = archive.length;
+      count.textContent =
+        n === 0
+          ? ""
+          : shown.length === n
+            ? n + (n === 1 ? " saved conversation" : " saved conversations")
+            : "Showing " + shown.length + " of " + n + " saved conversations";
+    }
+  }
+
+  function openPanel() {
+    const panel = el("history-panel");
+    if (!panel) return;
+    const status = el("history-import-status");
+    if (status) status.textContent = "";
+    renderPanel();
+    panel.hidden = false;
+    if (S.els.messageList) S.els.messageList.hidden = true;
+    const button = el("history");
+    if (button) button.setAttribute("aria-expanded", "true");
+    const search = el("history-search");
+    if (search) search.focus();
+    S.announceToScreenReader("Conversation history opened.");
+  }
+
+  /**
+   * Hide the panel and show the message list again.
+   * @param {boolean} [returnFocus=true] move focus back to the History button
+   *   and announce — false when a conversation is opening and takes focus
+   */
+  function closePanel(returnFocus) {
+    const panel = el("history-panel");
+    if (!panel || panel.hidden) return;
+    clearTimeout(searchTimer);
+    panel.hidden = true;
+    if (S.els.messageList) S.els.messageList.hidden = false;
+    const button = el("history");
+    if (button) button.setAttribute("aria-expanded", "false");
+    if (returnFocus !== false) {
+      if (button) button.focus();
+      S.announceToScreenReader("Conversation history closed.");
+    }
+  }
+
+  function togglePanel() {
+    if (isPanelOpen()) closePanel();
+    else openPanel();
+  }
+
+  // ── Wiring ──────────────────────────────────────────────────────────────
+
+  function wire() {
+    if (wired) return;
+    const button = el("history");
+    const panel = el("history-panel");
+    if (!button || !panel) {
+      logWarn("wire: History button or panel missing — archive UI not wired");
+      return;
+    }
+    button.addEventListener("click", togglePanel);
+    const closeBtn = el("history-close");
+    if (closeBtn) {
+      closeBtn.addEventListener("click", function () {
+        closePanel();
+      });
+    }
+    panel.addEventListener("keydown", function (e) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closePanel();
+      }
+    });
+    const search = el("history-search");
+    if (search) {
+      search.addEventListener("input", function () {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderPanel, SEARCH_DELAY_MS);
+      });
+    }
+    ["history-model", "history-provider"].forEach(function (suffix) {
+      const select = el(suffix);
+      if (select) select.addEventListener("change", renderPanel);
+    });
+    const fileInput = el("history-import");
+    if (fileInput) {
+      fileInput.addEventListener("change", function () {
+        const file = fileInput.files && fileInput.files[0];
+        // Cleared first, so choosing the same file again still fires.
+        fileInput.value = "";
+        if (file) importFile(file);
+      });
+    }
+    wired = true;
+  }
+
+  function init() {
+    wire();
+    logInfo("Archive wired");
+  }
+
+  // Self-run on DOM-ready, matching chat/chat-core.js's guard.
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  // ── Expose module ────────────────────────────────────────────────────────
+  window.ChatArchive = {
+    init: init,
+    archiveConversation: archiveConversation,
+    loadArchive: loadArchive,
+    deleteArchived: deleteArchived,
+    resumeArchived: resumeArchived,
+    importFile: importFile,
+    openPanel: openPanel,
+    closePanel: closePanel,
+    renderPanel: renderPanel,
+    dismissImportReport: dismissImportReport,
+    // Pure helpers — driven directly by the test suite.
+    turnText: turnText,
+    titleFor: titleFor,
+    modelsIn: modelsIn,
+    buildEntry: buildEntry,
+    searchTerms: searchTerms,
+    filterEntries: filterEntries,
+    matchSnippet: matchSnippet,
+    facetsOf: facetsOf,
+    importTurn: importTurn,
+    parseImport: parseImport,
+    reportLines: reportLines,
+  };
+
+  logInfo("Archive module loaded");
+})();
@@ -0,0 +1,379 @@
+/**
+ * Unified Chat Tool — conversation branching (pure tree model)
+ *
+ * Turns the Chat thread from a single line into a tree. Editing an earlier user
+ * turn or regenerating an assistant turn no longer throws the later turns away:
+ * the new turn is added as a SIBLING of the old one, and each fork remembers
+ * which of its children is showing. Following those choices from the root gives
+ * the ACTIVE PATH — the linear thread the person sees and the model is sent.
+ *
+ * S.messages stays exactly what it always was: the active path, as an array of
+ * turns. Every existing reader of S.messages (the token window, export, the
+ * developer panel, the copy buttons, the starter-prompt chips) therefore keeps
+ * working unchanged. chat-core.js owns the tree on S.branchTree and re-derives
+ * S.messages from it after every change; nothing else assigns S.messages.
+ *
+ * This file is PURE: it references no window.ChatState, DOM or storage, so the
+ * tree operations are directly unit-testable (chat/tests-chat-branches.js). The
+ * turn objects themselves are opaque here — the tree never reads or rewrites
+ * their content, and S.messages holds the very same references.
+ *
+ * The tree (live form):
+ *   {
+ *     nextId: 4,
+ *     nodes: {
+ *       root: { id: "root", parentId: null, turn: null, children: ["t1"], active: 0 },
+ *       t1:   { id: "t1", parentId: "root", turn: {role:"user",…}, children: ["t2","t3"], active: 1 },
+ *       …
+ *     }
+ *   }
+ * `active` is the index into `children` of the child that is showing, or -1
+ * when the path stops at this node (a fresh leaf, or a user turn waiting for a
+ * regenerated reply).
+ *
+ * The serialised form (session storage and the JSON export share it, so either
+ * can round-trip the whole tree):
+ *   {
+ *     version: 1,
+ *     nodes:  [ { id, parentId, turn }, … ]   // parents before children, in
+ *                                             // creation order within a fork
+ *     active: { "<parentId>": "<childId>", … } // omitted where the path stops
+ *   }
+ *
+ * Loads AFTER chat/chat.js and BEFORE chat/chat-core.js, which creates the tree
+ * at load.
+ *
+ * @version 0.1.0 — tree model, active path, sibling versions, serialisation
+ */
+(function () {
+  "use strict";
+
+  // ── Logging configuration ───────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatBranches]");
+      console.warn.apply(console, args);
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatBranches]");
+      console.log.apply(console, args);
+    }
+  }
+
+  // Serialised-form version. Bump when the shape changes; deserialise refuses
+  // any other number rather than guessing at a shape it does not know.
+  const FORMAT_VERSION = 1;
+  const ROOT_ID = "root";
+
+  // ── Construction ─────────────────────────────────────────────────────────
+
+  function makeNode(id, parentId, turn) {
+    return { id: id, parentId: parentId, turn: turn, children: [], active: -1 };
+  }
+
+  /**
+   * A new, empty tree (the path stops at the root).
+   * @returns {Object} tree
+   */
+  function createTree() {
+    const nodes = {};
+    nodes[ROOT_ID] = makeNode(ROOT_ID, null, null);
+    return { nextId: 1, nodes: nodes };
+  }
+
+  /**
+   * A single-path tree from a flat thread — how a pre-branching session is
+   * brought forward, and how a plain message list becomes a tree.
+   * @param {Array<Object>} messages turns, oldest first
+   * @returns {Object} tree whose active path is exactly `messages`
+   */
+  function fromMessages(messages) {
+    const tree = createTree();
+    (messages || []).forEach(function (turn) {
+      appendTurn(tree, turn);
+    });
+    return tree;
+  }
+
+  // ── Reading the active path ──────────────────────────────────────────────
+
+  /**
+   * The node ids along the active path, root excluded, oldest first.
+   * @param {Object} tree
+   * @returns {Array<string>}
+   */
+  function getActivePath(tree) {
+    const path = [];
+    let node = tree.nodes[ROOT_ID];
+    while (node && node.active >= 0 && node.active < node.children.length) {
+      node = tree.nodes[node.children[node.active]];
+      if (!node) break;
+      path.push(node.id);
+    }
+    return path;
+  }
+
+  /**
+   * The turns along the active path — the value S.messages holds. The turn
+   * objects are the tree's own (not copies).
+   * @param {Object} tree
+   * @returns {Array<Object>}
+   */
+  function getActiveMessages(tree) {
+    return getActivePath(tree).map(function (id) {
+      return tree.nodes[id].turn;
+    });
+  }
+
+  /**
+   * The id of the last node on the active path (the root for an empty thread).
+   * @param {Object} tree
+   * @returns {string}
+   */
+  function getActiveLeaf(tree) {
+    const path = getActivePath(tree);
+    return path.length ? path[path.length - 1] : ROOT_ID;
+  }
+
+  /**
+   * Where a node sits among its siblings — the "version 2 of 3" a bubble shows.
+   * @param {Object} tree
+   * @param {string} nodeId
+   * @returns {{index: number, count: number}|null} index is 0-based; null for
+   *   an unknown id or the root
+   */
+  function getVersionInfo(tree, nodeId) {
+    const node = tree.nodes[nodeId];
+    if (!node || node.parentId === null) return null;
+    const parent = tree.nodes[node.parentId];
+    return {
+      index: parent.children.indexOf(nodeId),
+      count: parent.children.length,
+    };
+  }
+
+  /**
+   * Total turns held in the tree, across every branch.
+   * @param {Object} tree
+   * @returns {number}
+   */
+  function countTurns(tree) {
+    return Object.keys(tree.nodes).length - 1;
+  }
+
+  // ── Changing the tree ────────────────────────────────────────────────────
+
+  function addChild(tree, parentId, turn) {
+    const parent = tree.nodes[parentId];
+    const id = "t" + tree.nextId++;
+    tree.nodes[id] = makeNode(id, parentId, turn);
+    parent.children.push(id);
+    parent.active = parent.children.length - 1;
+    return id;
+  }
+
+  /**
+   * Append a turn to the end of the active path; it becomes the new leaf. If
+   * the leaf already has children that are not showing (a regenerate in
+   * flight), the new turn joins them as their newest sibling.
+   * @param {Object} tree
+   * @param {Object} turn
+   * @returns {string} the new node id
+   */
+  function appendTurn(tree, turn) {
+    return addChild(tree, getActiveLeaf(tree), turn);
+  }
+
+  /**
+   * Add `turn` as a new sibling of `nodeId` and switch to it. The new node has
+   * no children, so the active path now stops there — the caller sends for the
+   * reply. Used by edit: the edited text becomes a new version of the user turn
+   * and the old version, with everything after it, stays in the tree.
+   * @param {Object} tree
+   * @param {string} nodeId an existing non-root node
+   * @param {Object} turn
+   * @returns {string|null} the new node id, or null for an unknown id
+   */
+  function addSibling(tree, nodeId, turn) {
+    const node = tree.nodes[nodeId];
+    if (!node || node.parentId === null) return null;
+    return addChild(tree, node.parentId, turn);
+  }
+
+  /**
+   * Stop the active path just before `nodeId`, leaving it and its siblings in
+   * the tree. The next appendTurn then lands as a new sibling of `nodeId` — the
+   * regenerate path. Returns what is needed to undo it if the new reply fails.
+   * @param {Object} tree
+   * @param {string} nodeId an existing non-root node
+   * @returns {{parentId: string, active: number}|null} the prior selection
+   */
+  function detachFrom(tree, nodeId) {
+    const node = tree.nodes[nodeId];
+    if (!node || node.parentId === null) return null;
+    const parent = tree.nodes[node.parentId];
+    const prior = { parentId: parent.id, active: parent.active };
+    parent.active = -1;
+    return prior;
+  }
+
+  /**
+   * Put back a selection taken by detachFrom — only if nothing has been added
+   * to that fork since, so a reply that did land is never hidden again.
+   * @param {Object} tree
+   * @param {{parentId: string, active: number}} prior
+   * @returns {boolean} true when restored
+   */
+  function restoreSelection(tree, prior) {
+    if (!prior) return false;
+    const parent = tree.nodes[prior.parentId];
+    if (!parent || parent.active !== -1) return false;
+    if (prior.active < 0 || prior.active >= parent.children.length) return false;
+    parent.active = prior.active;
+    return true;
+  }
+
+  /**
+   * Show a different version of a turn: switch its fork to sibling `index`.
+   * Each version remembers its own continuation, so the turns after it follow.
+   * @param {Object} tree
+   * @param {string} nodeId any version at the fork
+   * @param {number} index 0-based sibling index
+   * @returns {string|null} the now-active sibling id, or null when out of range
+   */
+  function selectVersion(tree, nodeId, index) {
+    const node = tree.nodes[nodeId];
+    if (!node || node.parentId === null) return null;
+    const parent = tree.nodes[node.parentId];
+    if (!(index >= 0 && index < parent.children.length)) return null;
+    parent.active = index;
+    return parent.children[index];
+  }
+
+  // ── Serialisation ────────────────────────────────────────────────────────
+
+  /**
+   * Flatten the tree to its storable form. `mapTurns` receives EVERY turn in
+   * node order as one array and returns the array to store — so persistence
+   * can pass its byte-free mapper and export its resolver unchanged.
+   * @param {Object} tree
+   * @param {function(Array<Object>): Array<Object>} [mapTurns]
+   * @returns {{version: number, nodes: Array<Object>, active: Object}}
+   */
+  function serialise(tree, mapTurns) {
+    const order = [];
+    (function walk(id) {
+      tree.nodes[id].children.forEach(function (childId) {
+        order.push(childId);
+        walk(childId);
+      });
+    })(ROOT_ID);
+
+    const turns = order.map(function (id) {
+      return tree.nodes[id].turn;
+    });
+    const mapped = typeof mapTurns === "function" ? mapTurns(turns) : turns;
+
+    const active = {};
+    Object.keys(tree.nodes).forEach(function (id) {
+      const node = tree.nodes[id];
+      if (node.active >= 0 && node.active < node.children.length) {
+        active[id] = node.children[node.active];
+      }
+    });
+
+    return {
+      version: FORMAT_VERSION,
+      nodes: order.map(function (id, i) {
+        return { id: id, parentId: tree.nodes[id].parentId, turn: mapped[i] };
+      }),
+      active: active,
+    };
+  }
+
+  /**
+   * Rebuild a live tree from its serialised form. Strict: an unknown version, a
+   * node whose parent has not appeared before it (which also rules out
+   * cycles), a duplicate id or a turn without a role rejects the whole value —
+   * a half-built tree would show a thread that never existed. An `active`
+   * entry naming something other than a child is ignored (the path stops
+   * there) rather than rejected.
+   * @param {*} data
+   * @returns {Object|null} tree, or null when `data` is not a valid tree
+   */
+  function deserialise(data) {
+    if (!data || typeof data !== "object") return null;
+    if (data.version !== FORMAT_VERSION) {
+      logWarn("unsupported branch format version:", data.version);
+      return null;
+    }
+    if (!Array.isArray(data.nodes)) return null;
+
+    const tree = createTree();
+    let maxId = 0;
+    for (let i = 0; i < data.nodes.length; i++) {
+      const n = data.nodes[i];
+      if (!n || typeof n.id !== "string" || n.id === ROOT_ID) return null;
+      if (tree.nodes[n.id]) return null;
+      const parentId = typeof n.parentId === "string" ? n.parentId : null;
+      if (!parentId || !tree.nodes[parentId]) return null;
+      if (!n.turn || typeof n.turn !== "object" || typeof n.turn.role !== "string") {
+        return null;
+      }
+      tree.nodes[n.id] = makeNode(n.id, parentId, n.turn);
+      tree.nodes[parentId].children.push(n.id);
+      const m = /^t(\d+)$/.exec(n.id);
+      if (m) maxId = Math.max(maxId, parseInt(m[1], 10));
+    }
+    // New ids continue past every stored one, so they can never collide.
+    tree.nextId = maxId + 1;
+
+    const active = data.active && typeof data.active === "object" ? data.active : {};
+    Object.keys(tree.nodes).forEach(function (id) {
+      const node = tree.nodes[id];
+      node.active = node.children.indexOf(active[id]);
+    });
+
+    logInfo("tree restored —", countTurns(tree), "turn(s)");
+    return tree;
+  }
+
+  // ── Expose module ────────────────────────────────────────────────────────
+
+  window.ChatBranches = {
+    FORMAT_VERSION: FORMAT_VERSION,
+    ROOT_ID: ROOT_ID,
+    createTree: createTree,
+    fromMessages: fromMessages,
+    getActivePath: getActivePath,
+    getActiveMessages: getActiveMessages,
+    getActiveLeaf: getActiveLeaf,
+    getVersionInfo: getVersionInfo,
+    countTurns: countTurns,
+    appendTurn: appendTurn,
+    addSibling: addSibling,
+    detachFrom: detachFrom,
+    restoreSelection: restoreSelection,
+    selectVersion: selectVersion,
+    serialise: serialise,
+    deserialise: deserialise,
+  };
+
+  logInfo("Branches module loaded");
+})();
@@ -0,0 +1,1031 @@
+/**
+ * Unified Chat Tool — side-by-side model comparison
+ *
+ * Sends one message to two to four models chosen from the grouped picker and
+ * shows their answers in parallel columns, each with its latency, token count
+ * and cost. The person then picks the answer to continue with: the message and
+ * EVERY answer join the conversation tree (S.branchTree, chat/chat-branches.js)
+ * — the answers as sibling versions of one reply, the winner showing — so the
+ * other answers stay one "Previous" press away, exactly like a regenerated
+ * reply. The winner's model becomes the picker's model for the next message.
+ *
+ * Each column sends through its OWN engine handle (window.Chat.createEngineHandle,
+ * configured exactly like S.embed), because a handle holds one model and
+ * refuses a second request while one is in flight. Cloud columns run
+ * concurrently. On-device columns run one after another: the device holds a
+ * single local model in memory, so starting a second would unload the first
+ * mid-answer.
+ *
+ * A comparison is NOT part of the thread until a winner is picked. Its message
+ * shows inside the comparison block, nothing is saved, and Discard puts the
+ * message back in the input. While one is open, S.isGenerating stays true, so
+ * Chat's own send, edit, regenerate and version switching all stand still.
+ *
+ * Chosen comparisons are kept on S.comparisons (saved with the session and
+ * carried by the JSON conversation export). An open comparison can be exported
+ * on its own — Markdown, HTML or JSON — through chat/chat-export.js.
+ *
+ * Loads AFTER chat/chat-core.js, chat/chat-messages.js, chat/chat-persistence.js
+ * and chat/chat-export.js.
+ *
+ * @version 0.1.0 — comparison setup list, parallel columns with per-model
+ *                   metrics, winner hand-off into the conversation tree, and
+ *                   per-comparison export
+ */
+(function () {
+  "use strict";
+
+  // ── Logging configuration ───────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatCompare]");
+      console.error.apply(console, args);
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatCompare]");
+      console.warn.apply(console, args);
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatCompare]");
+      console.log.apply(console, args);
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatCompare]");
+      console.log.apply(console, args);
+    }
+  }
+
+  const S = window.ChatState;
+  if (!S) {
+    logError(
+      "window.ChatState is missing — chat/chat.js must load before chat/chat-compare.js",
+    );
+    return;
+  }
+
+  // Chosen comparisons, oldest first. Saved with the session and exported.
+  if (!Array.isArray(S.comparisons)) S.comparisons = [];
+
+  // ── Wording and limits ──────────────────────────────────────────────────
+  // CHANGE-HERE for the comparison size and the spoken/visible wording.
+  const MIN_MODELS = 2;
+  const MAX_MODELS = 4;
+
+  const NEED_MODEL_TEXT = "Choose a model in the Model list first.";
+  const DUPLICATE_TEXT = "That model is already in the comparison.";
+  const FULL_TEXT =
+    "A comparison holds up to " +
+    MAX_MODELS +
+    " models. Remove one to add another.";
+  const NEED_PROMPT_TEXT = "Type a message to compare.";
+  const ATTACHMENT_TEXT =
+    "Comparisons send text only. Remove the attachment, or send it to one model with Send.";
+  const WAITING_LOCAL_TEXT =
+    "Waiting. On-device models answer one at a time.";
+  const GENERATING_TEXT = "Generating…";
+  const ANSWERED_TEXT = "Answered";
+  const FAILED_TEXT = "No answer";
+  const CHOOSE_LABEL = "Continue with this answer";
+  const DISCARD_LABEL = "Discard comparison";
+  const EXPORT_GROUP_LABEL = "Export this comparison";
+  const NOT_READY_MESSAGE =
+    "Chat engine is not ready yet. Open the Chat tool and pick a model first.";
+
+  // Picker prices (model.costs) are US dollars per million tokens.
+  const USD_PER_MILLION = 1000000;
+
+  // ── Module state ────────────────────────────────────────────────────────
+  // Model ids chosen for the next comparison, in the order they were added.
+  let selected = [];
+  // The open comparison, or null: { record, block, columns: [ui], settled }.
+  let open = null;
+  // Per-column engine handles, built lazily and reused between comparisons.
+  const handles = [];
+  let wired = false;
+
+  // ── Pure helpers ────────────────────────────────────────────────────────
+
+  /**
+   * Why `modelId` cannot join the selection `list`, or null when it can.
+   * @param {Array<string>} list model ids already chosen
+   * @param {string} modelId the model to add
+   * @returns {string|null}
+   */
+  function selectionProblem(list, modelId) {
+    if (!modelId) return NEED_MODEL_TEXT;
+    if (list.indexOf(modelId) !== -1) return DUPLICATE_TEXT;
+    if (list.length >= MAX_MODELS) return FULL_TEXT;
+    return null;
+  }
+
+  /**
+   * One column's token usage in a single shape, whatever the provider said.
+   * Mirrors chat-core's composeTokenReadout rule: only integer usage with a
+   * real prompt count is taken as reported. Anything else — the OpenRouter
+   * streaming path's fractional chars/4 completion with prompt 0, or a local
+   * model's completion count with no prompt count — keeps the completion
+   * figure (rounded), takes the prompt from `promptEstimate`, and is marked
+   * estimated.
+   * @param {Object|null} usage the response's raw usage object
+   * @param {number} [promptEstimate] estimated prompt tokens for this column
+   * @returns {{prompt: number, completion: number, total: number, estimated: boolean}|null}
+   */
+  function normaliseUsage(usage, promptEstimate) {
+    if (!usage || typeof usage !== "object") return null;
+    function num(v) {
+      return typeof v === "number" && isFinite(v) ? v : null;
+    }
+    const p = num(usage.prompt_tokens);
+    const c = num(usage.completion_tokens);
+    const t = num(usage.total_tokens);
+    if (p === null && c === null && t === null) return null;
+    if (
+      p !== null &&
+      c !== null &&
+      Number.isInteger(p) &&
+      Number.isInteger(c) &&
+      p > 0
+    ) {
+      return {
+        prompt: p,
+        completion: c,
+        total: Number.isInteger(t) ? t : p + c,
+        estimated: false,
+      };
+    }
+    const completion = Math.max(
+      0,
+      Math.round(c !== null ? c : (t || 0) - (p || 0)),
+    );
+    const prompt =
+      typeof promptEstimate === "number" && promptEstimate > 0
+        ? Math.round(promptEstimate)
+        : 0;
+    if (completion === 0 && prompt === 0) return null;
+    return {
+      prompt: prompt,
+      completion: completion,
+      total: prompt + completion,
+      estimated: true,
+    };
+  }
+
+  /**
+   * What one column's answer cost. On-device models, and models on the
+   * person's own local server, are free; Foundry is billed to the institution
+   * (its picker prices are placeholders, so no figure is invented); OpenRouter
+   * is priced from the model's per-million input/output rates and the column's
+   * usage, "estimated" whenever the usage was.
+   * @param {string} providerId "local" | "local-server" | "openrouter" | "azure-openai"
+   * @param {{input: number, output: number}|null} costs USD per million tokens
+   * @param {Object|null} usage a normaliseUsage result
+   * @returns {{kind: string, usd?: number, estimated?: boolean}}
+   */
+  function estimateCost(providerId, costs, usage) {
+    if (providerId === "local" || providerId === "local-server") {
+      return { kind: "free" };
+    }
+    if (providerId === "azure-openai") return { kind: "institution" };
+    if (
+      !usage ||
+      !costs ||
+      typeof costs.input !== "number" ||
+      typeof costs.output !== "number"
+    ) {
+      return { kind: "unknown" };
+    }
+    return {
+      kind: "usd",
+      usd:
+        (usage.prompt * costs.input + usage.completion * costs.output) /
+        USD_PER_MILLION,
+      estimated: !!usage.estimated,
+    };
+  }
+
+  /** "850 ms" under a second, else "2.4 s". */
+  function formatLatency(ms) {
+    if (typeof ms !== "number" || !isFinite(ms) || ms < 0) return "Not measured";
+    if (ms < 1000) return Math.round(ms) + " ms";
+    return (ms / 1000).toFixed(1) + " s";
+  }
+
+  /** "1,234 tokens (1,000 in, 234 out)", prefixed "about" when estimated. */
+  function formatTokens(usage) {
+    if (!usage) return "Not reported";
+    const text =
+      usage.total.toLocaleString() +
+      " tokens (" +
+      usage.prompt.toLocaleString() +
+      " in, " +
+      usage.completion.toLocaleString() +
+      " out)";
+    return usage.estimated ? "about " + text : text;
+  }
+
+  /** The visible cost line for an estimateCost result. */
+  function formatCost(cost) {
+    if (!cost) return "Not available";
+    if (cost.kind === "free") return "Free (runs on your device)";
+    if (cost.kind === "institution") return "Billed via your institution";
+    if (cost.kind !== "usd") return "Not available";
+    if (cost.usd > 0 && cost.usd < 0.0001) return "under $0.0001";
+    const text =
+      "$" + (cost.usd >= 0.01 ? cost.usd.toFixed(2) : cost.usd.toFixed(4));
+    return cost.estimated ? "about " + text : text;
+  }
+
+  /**
+   * Add a finished comparison to a conversation tree: `userTurn` as the next
+   * turn on the active path, then every ANSWERED column as a version of its
+   * reply, in column order, with the winner showing. Failed columns are left
+   * out — there is nothing to continue from. Pure over the tree it is given.
+   * @param {Object} tree a live ChatBranches tree (mutated)
+   * @param {Object} userTurn the compared message as a user turn
+   * @param {Object} record the comparison record
+   * @param {number} winnerIndex the chosen column
+   * @returns {{userNodeId: string, winnerNodeId: string, versions: number}|null}
+   *   null (tree untouched) when the winner has no answer
+   */
+  function applyToTree(tree, userTurn, record, winnerIndex) {
+    const CB = window.ChatBranches;
+    const winner = record.columns[winnerIndex];
+    if (!winner || winner.status !== "done") return null;
+    const userNodeId = CB.appendTurn(tree, userTurn);
+    let firstId = null;
+    let winnerNodeId = null;
+    let winnerVersion = 0;
+    let versions = 0;
+    record.columns.forEach(function (col, i) {
+      if (col.status !== "done") return;
+      const turn = {
+        role: "assistant",
+        content: col.content,
+        model: col.model,
+        providerId: col.providerId,
+      };
+      const id = firstId ? CB.addSibling(tree, firstId, turn) : CB.appendTurn(tree, turn);
+      if (!firstId) firstId = id;
+      if (i === winnerIndex) {
+        winnerNodeId = id;
+        winnerVersion = versions;
+      }
+      versions++;
+    });
+    CB.selectVersion(tree, firstId, winnerVersion);
+    return { userNodeId: userNodeId, winnerNodeId: winnerNodeId, versions: versions };
+  }
+
+  // ── Element access ──────────────────────────────────────────────────────
+
+  function el(suffix) {
+    return document.getElementById(S.elId(suffix));
+  }
+
+  // ── Setup list (the models chosen for the next comparison) ─────────────
+
+  function modelName(modelId) {
+    return window.ChatMessages
+      ? window.ChatMessages._modelDisplayName(modelId)
+      : modelId;
+  }
+
+  function providerName(providerId) {
+    return window.ChatMessages
+      ? window.ChatMessages._providerLabel(providerId)
+      : providerId;
+  }
+
+  function providerOf(modelId) {
+    return window.ChatCore
+      ? window.ChatCore._providerIdFromModel(modelId)
+      : "openrouter";
+  }
+
+  function countPhrase(n) {
+    return n + (n === 1 ? " model" : " models");
+  }
+
+  /**
+   * Re-render the chosen-models list, the summary line and the Compare button
+   * from `selected`. The Compare button sits beside Send and only shows once
+   * there are enough models to compare.
+   */
+  function renderSelection() {
+    const list = el("compare-list");
+    const summary = el("compare-summary");
+    const sendBtn = el("compare-send");
+    if (list) {
+      list.innerHTML = "";
+      selected.forEach(function (modelId) {
+        const name = modelName(modelId);
+        const li = document.createElement("li");
+        li.className = "chat-compare-item";
+        const label = document.createElement("span");
+        label.className = "chat-compare-item-name";
+        label.textContent =
+          name + " (" + providerName(providerOf(modelId)) + ")";
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "chat-compare-remove";
+        remove.dataset.model = modelId;
+        remove.textContent = "Remove";
+        // Starts with the visible word, so voice control still matches it.
+        remove.setAttribute("aria-label", "Remove " + name + " from the comparison");
+        remove.addEventListener("click", function () {
+          removeModel(modelId);
+        });
+        li.appendChild(label);
+        li.appendChild(remove);
+        list.appendChild(li);
+      });
+      list.hidden = selected.length === 0;
+    }
+    if (summary) {
+      summary.textContent =
+        selected.length < MIN_MODELS
+          ? "Add at least " +
+            MIN_MODELS +
+            " models, up to " +
+            MAX_MODELS +
+            ". " +
+            countPhrase(selected.length) +
+            " added."
+          : countPhrase(selected.length) +
+            " added. Type your message, then select Compare " +
+            countPhrase(selected.length) +
+            ".";
+    }
+    if (sendBtn) {
+      sendBtn.hidden = selected.length < MIN_MODELS;
+      sendBtn.textContent = "Compare " + countPhrase(selected.length);
+      sendBtn.disabled = !!open || S.isGenerating;
+    }
+  }
+
+  /** Add the model the picker is showing to the selection. */
+  function addSelectedModel() {
+    const modelId = S.els.select ? S.els.select.value : null;
+    const problem = selectionProblem(selected, modelId);
+    if (problem) {
+      S.announceToScreenReader(problem);
+      return;
+    }
+    selected.push(modelId);
+    renderSelection();
+    S.announceToScreenReader(
+      "Added " +
+        modelName(modelId) +
+        " to the comparison. " +
+        countPhrase(selected.length) +
+        " of " +
+        MAX_MODELS +
+        ".",
+    );
+  }
+
+  /**
+   * Remove a model from the selection. Focus moves to the Remove button now
+   * in the same position (or the last one), else back to Add, so it is never
+   * left on a button that has gone.
+   * @param {string} modelId
+   */
+  function removeModel(modelId) {
+    const at = selected.indexOf(modelId);
+    if (at === -1) return;
+    selected.splice(at, 1);
+    renderSelection();
+    const buttons = document.querySelectorAll(
+      "#" + S.elId("compare-list") + " .chat-compare-remove",
+    );
+    const next = buttons[Math.min(at, buttons.length - 1)] || el("compare-add");
+    if (next) next.focus();
+    S.announceToScreenReader(
+      "Removed " +
+        modelName(modelId) +
+        ". " +
+        countPhrase(selected.length) +
+        " in the comparison.",
+    );
+  }
+
+  // ── Input lock ──────────────────────────────────────────────────────────
+  // While a comparison is open the conversation is paused: S.isGenerating
+  // blocks Chat's own send, edit, regenerate and version switching, and the
+  // input bar is disabled so nothing can be typed that would have nowhere to
+  // go. Not chat-core's disableSend — that also shows Cancel, and a comparison
+  // is ended with Discard instead.
+
+  function lockConversation(locked) {
+    S.isGenerating = locked;
+    const els = S.els;
+    if (els.sendBtn) els.sendBtn.disabled = locked;
+    if (els.input) els.input.disabled = locked;
+    renderSelection();
+  }
+
+  // ── Comparison block ────────────────────────────────────────────────────
+
+  function makeMetric(dl, term) {
+    const dt = document.createElement("dt");
+    dt.textContent = term;
+    const dd = document.createElement("dd");
+    dd.textContent = "…";
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+    return dd;
+  }
+
+  /**
+   * Build the comparison block for a record: a labelled region with the
+   * compared message, one column per model (heading, answer, metrics, status
+   * and a Continue button) and the Discard/export actions. The columns are a
+   * list, so a screen reader hears how many there are.
+   * @param {Object} record
+   * @returns {{block: HTMLElement, heading: HTMLElement, columns: Array<Object>, actions: HTMLElement}}
+   */
+  function renderBlock(record) {
+    const block = document.createElement("section");
+    block.className = "chat-compare";
+    block.dataset.comparisonId = record.id;
+    const headingId = S.elId(record.id + "-heading");
+    block.setAttribute("aria-labelledby", headingId);
+
+    const heading = document.createElement("h2");
+    heading.className = "chat-compare-heading";
+    heading.id = headingId;
+    heading.tabIndex = -1;
+    heading.textContent = "Comparing " + countPhrase(record.columns.length);
+    block.appendChild(heading);
+
+    const prompt = document.createElement("div");
+    prompt.className = "chat-compare-prompt";
+    const promptLabel = document.createElement("p");
+    promptLabel.className = "chat-compare-prompt-label";
+    promptLabel.textContent = "Your message";
+    const promptText = document.createElement("p");
+    promptText.className = "chat-compare-prompt-text";
+    promptText.textContent = record.prompt;
+    prompt.appendChild(promptLabel);
+    prompt.appendChild(promptText);
+    block.appendChild(prompt);
+
+    const grid = document.createElement("ul");
+    grid.className = "chat-compare-columns";
+    grid.setAttribute("aria-label", "Answers");
+    const columns = record.columns.map(function (col, i) {
+      const li = document.createElement("li");
+      li.className = "chat-compare-column";
+      const colHeadingId = S.elId(record.id + "-model-" + i);
+      const h3 = document.createElement("h3");
+      h3.className = "chat-compare-model";
+      h3.id = colHeadingId;
+      h3.textContent = col.modelName;
+      const provider = document.createElement("p");
+      provider.className = "chat-compare-provider";
+      provider.textContent = col.providerLabel;
+      const status = document.createElement("p");
+      status.className = "chat-compare-status";
+      status.textContent =
+        col.providerId === "local" ? WAITING_LOCAL_TEXT : GENERATING_TEXT;
+      const body = document.createElement("div");
+      body.className = "chat-compare-body tex2jax_ignore";
+      const dl = document.createElement("dl");
+      dl.className = "chat-compare-metrics";
+      const latency = makeMetric(dl, "Latency");
+      const tokens = makeMetric(dl, "Tokens");
+      const cost = makeMetric(dl, "Cost");
+      const choose = document.createElement("button");
+      choose.type = "button";
+      choose.className = "chat-compare-choose";
+      choose.textContent = CHOOSE_LABEL;
+      // "Continue with this answer, GPT-5.2" — the visible text names the
+      // action, the heading says which column it belongs to.
+      choose.setAttribute("aria-describedby", colHeadingId);
+      choose.disabled = true;
+      choose.addEventListener("click", function () {
+        chooseWinner(i);
+      });
+      li.appendChild(h3);
+      li.appendChild(provider);
+      li.appendChild(status);
+      li.appendChild(body);
+      li.appendChild(dl);
+      li.appendChild(choose);
+      grid.appendChild(li);
+      return {
+        status: status,
+        body: body,
+        latency: latency,
+        tokens: tokens,
+        cost: cost,
+        choose: choose,
+      };
+    });
+    block.appendChild(grid);
+
+    const actions = document.createElement("div");
+    actions.className = "chat-compare-actions";
+    actions.hidden = true;
+    const discard = document.createElement("button");
+    discard.type = "button";
+    discard.className = "chat-compare-discard";
+    discard.textContent = DISCARD_LABEL;
+    discard.addEventListener("click", discardComparison);
+    actions.appendChild(discard);
+
+    const exportGroup = document.createElement("div");
+    exportGroup.className = "chat-compare-export";
+    exportGroup.setAttribute("role", "group");
+    exportGroup.setAttribute("aria-label", EXPORT_GROUP_LABEL);
+    [
+      { format: "markdown", label: "Markdown" },
+      { format: "html", label: "HTML" },
+      { format: "json", label: "JSON" },
+    ].forEach(function (f) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chat-compare-export-btn";
+      btn.innerHTML =
+        '<span aria-hidden="true" data-icon="download"></span> Export ' +
+        f.label;
+      btn.addEventListener("click", function () {
+        window.ChatExport.exportComparison(record, f.format);
+      });
+      exportGroup.appendChild(btn);
+    });
+    actions.appendChild(exportGroup);
+    block.appendChild(actions);
+
+    return { block: block, heading: heading, columns: columns, actions: actions };
+  }
+
+  function writeMetrics(ui, col) {
+    ui.latency.textContent = col.latencyText;
+    ui.tokens.textContent = col.tokensText;
+    ui.cost.textContent = col.costText;
+  }
+
+  // ── Running the columns ─────────────────────────────────────────────────
+
+  /** This column's engine handle — a pooled one, or a fresh one if it is busy. */
+  function handleFor(index) {
+    const pooled = handles[index];
+    if (pooled && !pooled.processing && !pooled.isStreaming) return pooled;
+    const fresh = window.Chat.createEngineHandle();
+    if (fresh) handles[index] = fresh;
+    return fresh;
+  }
+
+  function estimatePrompt(messages, systemPrompt) {
+    if (
+      !window.TokenEstimator ||
+      typeof window.TokenEstimator.estimateTokens !== "function"
+    ) {
+      return 0;
+    }
+    const sys = systemPrompt ? [{ role: "system", content: systemPrompt }] : [];
+    return window.TokenEstimator.estimateTokens(sys.concat(messages));
+  }
+
+  async function completeColumn(view, index, response, elapsed, promptEstimate) {
+    const col = view.record.columns[index];
+    const ui = view.columns[index];
+    const entry = window.Chat.getModelEntry(col.model);
+    col.status = "done";
+    col.content = (response && response.text) || "";
+    col.latencyMs = Math.round(elapsed);
+    col.usage = normaliseUsage(
+      response && response.raw ? response.raw.usage : null,
+      promptEstimate,
+    );
+    col.cost = estimateCost(col.providerId, entry && entry.costs, col.usage);
+    col.latencyText = formatLatency(col.latencyMs);
+    col.tokensText = formatTokens(col.usage);
+    col.costText = formatCost(col.cost);
+    if (view !== open) return; // discarded or cleared meanwhile
+    ui.status.textContent = ANSWERED_TEXT;
+    await window.ChatMessages.renderRichContent(ui.body, col.content);
+    writeMetrics(ui, col);
+  }
+
+  function failColumn(view, index, error, elapsed) {
+    const col = view.record.columns[index];
+    const ui = view.columns[index];
+    const text = window.ChatCore._composeErrorText(error);
+    col.status = "error";
+    col.error = text.bubble;
+    col.latencyMs = Math.round(elapsed);
+    col.latencyText = formatLatency(col.latencyMs);
+    col.tokensText = formatTokens(null);
+    col.costText = formatCost(null);
+    if (view !== open) return;
+    ui.status.textContent = FAILED_TEXT;
+    ui.body.textContent = text.bubble;
+    writeMetrics(ui, col);
+    logWarn("comparison column failed:", col.model, (error && error.message) || error);
+  }
+
+  /**
+   * Send the comparison's message to one column's model. Never rejects: a
+   * failure becomes that column's error, and the other columns carry on. The
+   * embed reports one failure through BOTH onError and the promise rejection
+   * (see chat-core's sendErrorHandled), so `finished` treats it once.
+   * @returns {Promise<void>}
+   */
+  function runColumn(view, index, thread, systemPrompt) {
+    const col = view.record.columns[index];
+    const ui = view.columns[index];
+    let finished = false;
+    let started = performance.now();
+
+    return new Promise(function (resolve) {
+      function finish(step) {
+        if (finished) return;
+        finished = true;
+        Promise.resolve()
+          .then(step)
+          .catch(function (err) {
+            logError("comparison column could not be shown:", err);
+          })
+          .then(resolve);
+      }
+
+      const embed = handleFor(index);
+      if (!embed) {
+        finish(function () {
+          failColumn(view, index, { message: NOT_READY_MESSAGE }, 0);
+        });
+        return;
+      }
+      if (view === open) ui.status.textContent = GENERATING_TEXT;
+
+      // The same per-send properties chat-core's dispatchSend sets, from the
+      // same Parameters panel, so only the model differs between columns.
+      embed.model = col.model;
+      embed.systemPrompt = systemPrompt || undefined;
+      embed.container = ui.body;
+      embed.temperature = S.getTemperature();
+      embed.top_p = S.getTopP();
+      embed.frequency_penalty = S.getFrequencyPenalty();
+      embed.presence_penalty = S.getPresencePenalty();
+      embed.max_tokens = S.getMaxTokens();
+
+      const windowed = window.ChatCore._windowForModel(
+        thread,
+        col.model,
+        systemPrompt,
+        embed.max_tokens,
+      );
+      col.droppedTurns = windowed.dropped;
+      const promptEstimate = estimatePrompt(windowed.messages, systemPrompt);
+
+      window.ChatCore._refreshFoundryTokenIfNeeded(col.model)
+        .then(function () {
+          // Timed from the request, not from the queue: an on-device column
+          // that waited for the one before it is not charged for the wait.
+          started = performance.now();
+          return embed.sendStreamingRequest({
+            userPrompt: view.record.prompt,
+            messages: windowed.messages,
+            onComplete: function (response) {
+              const elapsed = performance.now() - started;
+              finish(function () {
+                return completeColumn(view, index, response, elapsed, promptEstimate);
+              });
+            },
+            onError: function (error) {
+              const elapsed = performance.now() - started;
+              finish(function () {
+                failColumn(view, index, error, elapsed);
+              });
+            },
+          });
+        })
+        .then(function (response) {
+          // Belt and braces for a path that resolves without onComplete.
+          if (finished || !response) return;
+          const elapsed = performance.now() - started;
+          finish(function () {
+            return completeColumn(view, index, response, elapsed, promptEstimate);
+          });
+        })
+        .catch(function (error) {
+          const elapsed = performance.now() - started;
+          finish(function () {
+            failColumn(view, index, error, elapsed);
+          });
+        });
+    });
+  }
+
+  /**
+   * Compare the typed message across the chosen models. Cloud columns start
+   * together; on-device columns are chained so only one local model is ever
+   * loaded at a time. The message list is silenced for the whole run — four
+   * streams into a live log would be unlistenable — and one announcement says
+   * when every column has finished.
+   */
+  async function startComparison() {
+    if (open || S.isGenerating) return;
+    const els = S.els;
+    if (selected.length < MIN_MODELS) {
+      S.announceToScreenReader(
+        "Add at least " + MIN_MODELS + " models to compare.",
+      );
+      return;
+    }
+    const text = els.input ? els.input.value.trim() : "";
+    if (!text) {
+      S.announceToScreenReader(NEED_PROMPT_TEXT);
+      if (els.input) els.input.focus();
+      return;
+    }
+    if (
+      window.ChatAttach &&
+      typeof window.ChatAttach.hasAttachment === "function" &&
+      window.ChatAttach.hasAttachment()
+    ) {
+      S.announceToScreenReader(ATTACHMENT_TEXT);
+      return;
+    }
+
+    const systemPrompt = els.systemInput ? els.systemInput.value.trim() : "";
+    const record = {
+      id: "comparison-" + Date.now(),
+      createdAt: new Date().toISOString(),
+      prompt: text,
+      systemPrompt: systemPrompt,
+      winner: null,
+      columns: selected.map(function (modelId) {
+        const providerId = providerOf(modelId);
+        return {
+          model: modelId,
+          providerId: providerId,
+          modelName: modelName(modelId),
+          providerLabel: providerName(providerId),
+          status: "pending",
+          content: "",
+          error: null,
+          latencyMs: null,
+          usage: null,
+          cost: null,
+          latencyText: "",
+          tokensText: "",
+          costText: "",
+        };
+      }),
+    };
+
+    S.setMessageListLive("off");
+    const view = renderBlock(record);
+    view.record = record;
+    view.settled = false;
+    open = view;
+    lockConversation(true);
+    if (els.input) {
+      els.input.value = "";
+      if (window.ChatCore) window.ChatCore._updateInputCounter();
+    }
+    if (els.messageList) els.messageList.appendChild(view.block);
+    if (typeof window.refreshIcons === "function") window.refreshIcons(view.block);
+    window.ChatMessages.scrollMessagesToBottom();
+    S.announceToScreenReader(
+      "Comparing " + countPhrase(record.columns.length) + ". Generating answers.",
+    );
+
+    // The active path plus the compared message, wire-normalised as a
+    // conversation send would be. Each column windows it for its own model.
+    const thread = window.ChatBranches.getActiveMessages(S.branchTree)
+      .map(function (m) {
+        return {
+          role: m.role,
+          content: window.ChatCore._normaliseTurnForWire(m.content),
+        };
+      })
+      .concat([{ role: "user", content: text }]);
+
+    const runs = [];
+    let localChain = Promise.resolve();
+    record.columns.forEach(function (col, i) {
+      if (col.providerId === "local") {
+        localChain = localChain.then(function () {
+          return runColumn(view, i, thread, systemPrompt);
+        });
+      } else {
+        runs.push(runColumn(view, i, thread, systemPrompt));
+      }
+    });
+    runs.push(localChain);
+    await Promise.all(runs);
+    settleComparison(view);
+  }
+
+  /**
+   * Every column has finished: offer the choice. The conversation stays locked
+   * until an answer is chosen or the comparison is discarded.
+   */
+  function settleComparison(view) {
+    if (view !== open) return;
+    view.settled = true;
+    const record = view.record;
+    let answered = 0;
+    record.columns.forEach(function (col, i) {
+      const ok = col.status === "done";
+      if (ok) answered++;
+      view.columns[i].choose.disabled = !ok;
+    });
+    view.heading.textContent =
+      "Comparison of " + countPhrase(record.columns.length);
+    view.actions.hidden = false;
+    // A later task, for the reason chat-core's postError gives.
+    setTimeout(function () {
+      S.setMessageListLive("polite");
+    }, 0);
+    view.heading.focus();
+    S.announceToScreenReader(
+      answered === 0
+        ? "Comparison finished, but no model answered. Discard the comparison to try again."
+        : "Comparison ready. " +
+            answered +
+            " of " +
+            record.columns.length +
+            " models answered. Choose an answer to continue the conversation.",
+    );
+    logInfo("comparison settled —", answered, "of", record.columns.length, "answered");
+  }
+
+  /**
+   * Continue the conversation with column `index`: the message and every
+   * answer go into the tree (applyToTree), the block is replaced by the
+   * ordinary bubbles for the message and the winning reply — whose version
+   * controls reach the other answers — and the winner's model is selected in
+   * the picker for the next message.
+   * @param {number} index the chosen column
+   * @returns {Promise<void>}
+   */
+  async function chooseWinner(index) {
+    const view = open;
+    if (!view || !view.settled) return;
+    const record = view.record;
+    const userIndex = S.messages.length;
+    const result = applyToTree(
+      S.branchTree,
+      { role: "user", content: record.prompt },
+      record,
+      index,
+    );
+    if (!result) return;
+    record.winner = index;
+    S.comparisons.push(record);
+    window.ChatCore._syncActivePath();
+
+    S.setMessageListLive("off");
+    view.block.remove();
+    open = null;
+    await window.ChatPersistence.rebuildMessageList(userIndex);
+    lockConversation(false);
+    window.ChatPersistence.saveSession();
+    window.ChatCore._updateConversationUI();
+    window.ChatMessages.scrollMessagesToBottom();
+    setTimeout(function () {
+      S.setMessageListLive("polite");
+    }, 0);
+
+    const winner = record.columns[index];
+    const switched = window.Chat.selectModel(winner.model);
+    const others = result.versions - 1;
+    let message = "Continuing with " + winner.modelName + ".";
+    if (others > 0) {
+      message +=
+        others === 1
+          ? " The other answer is kept as a version of this reply."
+          : " The other " + others + " answers are kept as versions of this reply.";
+    }
+    message += switched
+      ? " Your next message goes to " + winner.modelName + "."
+      : " Choose " + winner.modelName + " in the Model list to keep talking to it.";
+    if (S.els.input) S.els.input.focus();
+    S.announceToScreenReader(message);
+    logDebug("comparison winner chosen:", winner.model);
+  }
+
+  /** Close the comparison without changing the thread; the message goes back. */
+  function discardComparison() {
+    const view = open;
+    if (!view || !view.settled) return;
+    view.block.remove();
+    open = null;
+    lockConversation(false);
+    const input = S.els.input;
+    if (input) {
+      if (!input.value.trim()) {
+        input.value = view.record.prompt;
+        if (window.ChatCore) window.ChatCore._updateInputCounter();
+      }
+      input.focus();
+    }
+    S.announceToScreenReader(
+      "Comparison discarded. Your message is back in the input.",
+    );
+  }
+
+  /**
+   * Drop any open comparison silently — the conversation is being cleared, so
+   * its block has already gone with the message list. Columns still running
+   * finish into a detached view and are ignored.
+   */
+  function reset() {
+    if (!open) return;
+    if (open.block.parentNode) open.block.remove();
+    open = null;
+    lockConversation(false);
+  }
+
+  /** True while a comparison is open (running or waiting for a choice). */
+  function isOpen() {
+    return !!open;
+  }
+
+  // ── Wiring ──────────────────────────────────────────────────────────────
+
+  function wire() {
+    if (wired) return;
+    const add = el("compare-add");
+    const send = el("compare-send");
+    if (!add || !send) {
+      logWarn("wire: comparison controls missing — comparison not wired");
+      return;
+    }
+    add.addEventListener("click", addSelectedModel);
+    send.addEventListener("click", function () {
+      startComparison();
+    });
+    wired = true;
+  }
+
+  function init() {
+    wire();
+    renderSelection();
+    logInfo("Comparison controls wired");
+  }
+
+  // Self-run on DOM-ready, matching chat/chat-core.js's guard.
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  // ── Expose module ────────────────────────────────────────────────────────
+  window.ChatCompare = {
+    MIN_MODELS: MIN_MODELS,
+    MAX_MODELS: MAX_MODELS,
+    init: init,
+    addSelectedModel: addSelectedModel,
+    removeModel: removeModel,
+    startComparison: startComparison,
+    chooseWinner: chooseWinner,
+    discardComparison: discardComparison,
+    reset: reset,
+    isOpen: isOpen,
+    // Read-only copy of the chosen model ids, for inspection.
+    getSelection: function () {
+      return selected.slice();
+    },
+    // Pure helpers — driven directly by the test suite.
+    selectionProblem: selectionProblem,
+    normaliseUsage: normaliseUsage,
+    estimateCost: estimateCost,
+    formatLatency: formatLatency,
+    formatTokens: formatTokens,
+    formatCost: formatCost,
+    applyToTree: applyToTree,
+  };
+
+  logInfo("Comparison module loaded");
+})();
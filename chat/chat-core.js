@@ -18,7 +18,32 @@
  *
  * Loads AFTER chat/chat.js so window.ChatState and the engine handle exist.
  *
- * @version 0.4.0 — step 5b-iii: standing Clear-conversation button + the
+ * @version 0.7.2 — prompt library: init attaches the "Saved prompts" picker
+ *                   (openrouter-embed/prompt-library-ui.js) to the system box and
+ *                   the message input.
+ *          0.7.1 — conversation archive: the Clear confirmation says the
+ *                   conversation will be saved to History (chat/chat-archive.js).
+ *          0.7.0 — document retrieval: when the "My documents" panel is on,
+ *                   dispatchSend asks openrouter-embed/document-library-ui.js for
+ *                   the passages that best match the message and prefixes them
+ *                   to the last user turn BEFORE the token window, so they are
+ *                   counted; postGeneration stores the reply's sources on its
+ *                   turn (sources).
+ *          0.6.0 — tool calling: when chat/chat-tools.js has tools on for the
+ *                   chosen model, dispatchSend sends through embed.sendWithTools
+ *                   with live tool-log hooks, and postGeneration stores the
+ *                   reply's tool runs on its turn (toolRuns).
+ *          0.5.1 — model comparison: the per-model token window is factored
+ *                   into windowForModel, and it, providerIdFromModel,
+ *                   composeErrorText and the (now per-model) send-boundary
+ *                   token refresh are exposed for chat/chat-compare.js.
+ *          0.5.0 — conversation branching: turns live in a tree
+ *                   (S.branchTree, chat/chat-branches.js) and S.messages is its
+ *                   active path, re-derived by syncActivePath. The send path
+ *                   appends to the active leaf, the token window reads only the
+ *                   active path, and dispatchSend takes an onFailure hook so a
+ *                   failed regenerate can restore the branch it detached.
+ *          0.4.0 — step 5b-iii: standing Clear-conversation button + the
  *                   conversation-state UI seam (updateConversationUI) — the one
  *                   place conversation-dependent controls are enabled/disabled.
  *                   Today the seam owns exactly one control (the clear button);
@@ -141,10 +166,23 @@
     return;
   }
 
+  // The conversation tree (chat/chat-branches.js). S.messages is always the
+  // tree's ACTIVE PATH, re-derived by syncActivePath after every change — so
+  // the token window, export and every other S.messages reader see exactly the
+  // branch on screen. Created here, once, because core owns the send path that
+  // grows it.
+  if (!S.branchTree && window.ChatBranches) {
+    S.branchTree = window.ChatBranches.createTree();
+  }
+
   // Wire-once guard so init() stays idempotent (the static buttons persist; we
   // must not stack a second click/keydown listener on re-entry).
   let wired = false;
 
+  // This chat's "My documents" controller (document-library-ui.js), or null
+  // when the library scripts are not on the page. Set in init().
+  let documents = null;
+
   // ── Draft stash (F2-13b) ───────────────────────────────────────────────────
   //
   // sendMessage clears the input twenty-odd lines before the request is issued,
@@ -412,10 +450,12 @@
   // turn now; the visible per-turn badge consumes it. Both Foundry surfaces
   // (azure-openai/ and azure-responses/) resolve to the single providerId
   // "azure-openai", matching the selector's group key (chat.js GROUP_ORDER),
-  // so the badge reads "Microsoft Foundry" for either surface.
+  // so the badge reads "Microsoft Foundry" for either surface. The local model
+  // server keeps its own id so its turns are badged "Local server".
   function providerIdFromModel(id) {
     if (typeof id !== "string") return "openrouter";
     if (id.indexOf("local/") === 0) return "local";
+    if (id.indexOf("local-server/") === 0) return "local-server";
     if (id.indexOf("azure-openai/") === 0) return "azure-openai";
     if (id.indexOf("azure-responses/") === 0) return "azure-openai";
     return "openrouter";
@@ -581,9 +621,12 @@
    * A failed refresh WARNS AND PROCEEDS. It never blocks the send: the cached
    * token may still be valid, so the request may well succeed — and if it does
    * not, postError now says exactly what went wrong rather than swallowing it.
+   *
+   * @param {string} [modelId] the model about to be sent to (default: the
+   *   picker's S.currentModel; a comparison passes each column's model)
    */
-  async function refreshFoundryTokenIfNeeded() {
-    if (providerIdFromModel(S.currentModel) !== "azure-openai") return;
+  async function refreshFoundryTokenIfNeeded(modelId) {
+    if (providerIdFromModel(modelId || S.currentModel) !== "azure-openai") return;
 
     const auth = window.EntraAuth;
     if (!auth || typeof auth.ensureFresh !== "function") return;
@@ -608,6 +651,36 @@
     }
   }
 
+  // ── Conversation tree (branching) ──────────────────────────────────────────
+
+  /**
+   * Re-derive S.messages from the tree's active path. The single place
+   * S.messages is assigned from the tree; call it after every tree change.
+   */
+  function syncActivePath() {
+    S.messages = window.ChatBranches.getActiveMessages(S.branchTree);
+  }
+
+  /**
+   * Append a completed turn to the end of the active path.
+   * @param {Object} turn
+   * @returns {string} the new node id
+   */
+  function appendTurn(turn) {
+    const id = window.ChatBranches.appendTurn(S.branchTree, turn);
+    syncActivePath();
+    return id;
+  }
+
+  /**
+   * Replace the whole tree — a restored session, or a cleared thread.
+   * @param {Object} tree a live tree (ChatBranches.createTree / deserialise)
+   */
+  function setBranchTree(tree) {
+    S.branchTree = tree;
+    syncActivePath();
+  }
+
   // ── Embed handle ───────────────────────────────────────────────────────────
 
   /**
@@ -692,12 +765,28 @@
     removeTypingIndicator(assistantBubble);
     // Derive the provider id ONCE — reused for the stored turn and the badge.
     const providerId = providerIdFromModel(S.currentModel);
-    S.messages.push({
+    // Appended to the active path's leaf. After a regenerate that leaf is the
+    // user turn whose old reply was detached, so this lands as a new version
+    // (sibling) of that reply rather than after it.
+    // The live tool log (if the model called any tools) comes down here; the
+    // runs are stored on the turn and renderAssistantTurn draws them back into
+    // the bubble, so live and restored replies show the same log.
+    if (window.ChatTools) window.ChatTools.finishLive();
+    const turn = {
       role: "assistant",
       content: response.text,
       model: S.currentModel,
       providerId: providerId,
-    });
+    };
+    if (Array.isArray(response.toolRuns) && response.toolRuns.length > 0) {
+      turn.toolRuns = response.toolRuns;
+    }
+    // Passages from the user's documents that this turn was sent with — drawn
+    // by renderAssistantTurn as the reply's cited sources.
+    if (Array.isArray(response.sources) && response.sources.length > 0) {
+      turn.sources = response.sources;
+    }
+    appendTurn(turn);
     const assistantIndex = S.messages.length - 1;
 
     // Build the assistant bubble through the shared helper so the live path and
@@ -755,7 +844,7 @@
     updateConversationUI();
   }
 
-  function postError(assistantBubble, error) {
+  function postError(assistantBubble, error, opts) {
     // The second arrival of the same failure stops here, before ANY side effect:
     // no bubble write, no developer-panel update, no S.isGenerating flip, no
     // enableSend, no announcement. See sendErrorHandled above for why a single
@@ -770,6 +859,8 @@
     sendErrorHandled = true;
 
     removeTypingIndicator(assistantBubble);
+    // A failed send keeps no tool runs; take down the live log with it.
+    if (window.ChatTools) window.ChatTools.finishLive();
     // Status-aware where we recognise the status, today's exact wording where we
     // do not — see composeErrorText.
     const text = composeErrorText(error);
@@ -826,6 +917,10 @@
     // strings on one failure — audibly, since they would not be equal and the
     // announcer's repeat suppression would not apply.
     S.announceToScreenReader(text.announcement);
+
+    // A send that began by detaching a branch (regenerate) puts it back, so a
+    // failed regenerate leaves the thread as it was plus this error bubble.
+    if (opts && typeof opts.onFailure === "function") opts.onFailure(assistantBubble);
   }
 
   // ── Token-budget sliding window ────────────────────────────────────────────
@@ -922,6 +1017,31 @@
     return { messages: kept, dropped: o.messages.length - kept.length };
   }
 
+  /**
+   * The sliding window for one model: its own context limit, the answer
+   * reservation (the embed's max_tokens, else the embed default) and the safety
+   * margin. dispatchSend uses it for the picker's model; a comparison calls it
+   * once per column, so each model gets the slice that fits ITS window.
+   * @param {Array<Object>} thread wire-normalised turns, oldest first
+   * @param {string} modelId the full model id
+   * @param {string} systemPrompt the trimmed system prompt ("" for none)
+   * @param {number} [maxTokens] the answer reservation
+   * @returns {{messages: Array, dropped: number, limit: number}}
+   */
+  function windowForModel(thread, modelId, systemPrompt, maxTokens) {
+    const limit = window.Chat.getContextLimit(modelId);
+    const windowed = applyTokenWindow({
+      messages: thread,
+      limit: limit,
+      answerReservation:
+        typeof maxTokens === "number" ? maxTokens : DEFAULT_ANSWER_RESERVATION,
+      safetyMargin: BUDGET_SAFETY_MARGIN,
+      systemPrompt: systemPrompt,
+    });
+    windowed.limit = limit;
+    return windowed;
+  }
+
   // ── Send flow ──────────────────────────────────────────────────────────────
 
   function sendMessage() {
@@ -994,7 +1114,7 @@
     // this session and are dropped on save.
     const turn = { role: "user", content: content };
     if (attachmentRef) turn.attachment = attachmentRef;
-    S.messages.push(turn);
+    appendTurn(turn);
     createUserBubble(content, S.messages.length - 1);
     if (useAttachment) attach.clearAttachment();
     scrollMessagesToBottom();
@@ -1011,7 +1131,10 @@
    * Owns the disableSend() side (moved here from sendMessage's front half); the
    * enable side stays with postGeneration/postError, which the callbacks below
    * call. assistantBubble is closed over by the callbacks.
-   * @param {{userPrompt: string}} opts
+   *
+   * `onFailure` (optional) runs once after postError has treated a failure —
+   * the regenerate path uses it to put back the branch it detached.
+   * @param {{userPrompt: string, onFailure?: function(HTMLElement)}} opts
    */
   async function dispatchSend(opts) {
     disableSend();
@@ -1033,9 +1156,13 @@
     // Reuse the shared handle.
     const embed = getOrCreateEmbed();
     if (!embed) {
-      postError(assistantBubble, {
-        message: "Chat engine is not ready yet. Open the Chat tool and pick a model first.",
-      });
+      postError(
+        assistantBubble,
+        {
+          message: "Chat engine is not ready yet. Open the Chat tool and pick a model first.",
+        },
+        opts,
+      );
       return;
     }
 
@@ -1058,75 +1185,113 @@
     // Normalise the full thread to role/content. Array (multimodal) content is
     // PRESERVED for live image turns so the image reaches the wire; a restored
     // byte-free reference turn collapses to its text (it cannot be re-sent).
-    const fullThread = S.messages.map(function (m) {
+    // The thread is the tree's ACTIVE PATH only: turns on other branches (older
+    // versions of an edited message or a regenerated reply) are never sent and
+    // never count against the window.
+    let fullThread = window.ChatBranches.getActiveMessages(S.branchTree).map(function (m) {
       return { role: m.role, content: normaliseTurnForWire(m.content) };
     });
+
+    // Passages from the user's own documents (document-library-ui.js). The
+    // FIRST await in this function: everything a person sees or hears at the
+    // start of a send (bubble, typing indicator, "Generating response.") has
+    // already happened. It comes BEFORE the token window so the passages are
+    // counted against the model's context like any other text. retrieve()
+    // never rejects — a failed search is announced there and sends without.
+    let sources = null;
+    if (documents) {
+      const passages = await documents.retrieve(opts.userPrompt);
+      if (passages.length > 0) {
+        fullThread = window.DocumentLibrary.augmentMessages(fullThread, passages);
+        sources = window.DocumentLibrary.toSources(passages);
+        logInfo("documents: sending", passages.length, "passage(s)");
+      }
+    }
+
     // Limit-aware sliding window: keep a recent slice that fits the chosen
     // model's context window, reserving room for the answer. Trims the PAYLOAD
     // only — S.messages and the on-screen thread are untouched. The reservation
     // reads the embed's live max_tokens, so when the max-tokens slider lands it
     // tracks the slider with no change here.
-    const contextLimit = window.Chat.getContextLimit(S.currentModel);
-    const answerReservation =
-      embed && typeof embed.max_tokens === "number"
-        ? embed.max_tokens
-        : DEFAULT_ANSWER_RESERVATION;
-    const windowed = applyTokenWindow({
-      messages: fullThread,
-      limit: contextLimit,
-      answerReservation: answerReservation,
-      safetyMargin: BUDGET_SAFETY_MARGIN,
-      systemPrompt: systemPrompt,
-    });
+    const windowed = windowForModel(
+      fullThread,
+      S.currentModel,
+      systemPrompt,
+      embed.max_tokens,
+    );
     announceTrim(windowed.dropped);
     if (windowed.dropped > 0) {
-      logInfo("token budget: dropped", windowed.dropped, "oldest turn(s) to fit", contextLimit, "tokens for", S.currentModel);
+      logInfo("token budget: dropped", windowed.dropped, "oldest turn(s) to fit", windowed.limit, "tokens for", S.currentModel);
     }
     const messagesForApi = windowed.messages;
 
-    // THE FIRST AND ONLY AWAIT IN THIS FUNCTION, and it is placed here on
-    // purpose: every synchronous step above — the assistant bubble, the typing
-    // indicator, the "Generating response." cue, the embed properties and the
-    // token window — has already run, so nothing a person sees or hears is
-    // delayed by it. It is a no-op for any non-Foundry model. Making this
-    // function async changes its return type to a Promise, which is safe for
-    // both callers: sendMessage ignores the return, and chat-messages.js's
-    // edit-resend (commitEdit) also ignores it and continues synchronously —
-    // its own announcement still lands after the cue above, as its comment
-    // there requires.
+    // Placed here on purpose, like the document retrieval above: the assistant
+    // bubble, the typing indicator, the "Generating response." cue, the embed
+    // properties and the token window have already run, so nothing a person
+    // sees or hears is delayed by it. It is a no-op for any non-Foundry model.
+    // Making this function async changes its return type to a Promise, which
+    // is safe for both callers: sendMessage ignores the return, and
+    // chat-messages.js's edit-resend (commitEdit) also ignores it and continues
+    // synchronously — its own announcement still lands after the cue above, as
+    // its comment there requires.
     await refreshFoundryTokenIfNeeded();
 
-    embed
-      .sendStreamingRequest({
-        userPrompt: opts.userPrompt, // required by the embed core's validation
-        messages: messagesForApi,
-        onChunk: function () {
-          // The embed writes the text into embed.container itself; we only clear
-          // the typing indicator and keep the view pinned to the bottom.
-          removeTypingIndicator(assistantBubble);
-          scrollMessagesToBottom();
-        },
-        onComplete: async function (response) {
-          // postGeneration owns the "Response ready." announcement (after the
-          // badge is in place), so we do not announce again here.
-          await postGeneration(assistantBubble, response);
-          logInfo("response complete —", (response.text || "").length, "chars");
-        },
-        onError: function (error) {
-          // postError owns the announcement now — it is the only place that
-          // knows the status, and announcing here as well would speak twice.
-          postError(assistantBubble, error);
-          logError("send error:", (error && error.message) || error);
-        },
-      })
-      .catch(function (error) {
-        // The second of the two arrivals in the common case — postError's guard
-        // makes it a no-op then. It is NOT redundant: when the failure bypasses
-        // the embed core's onError this is the only path that treats it, which
-        // is why it stays and why it, too, no longer announces.
-        postError(assistantBubble, error);
-        logError("send error (catch):", (error && error.message) || error);
-      });
+    const request = {
+      userPrompt: opts.userPrompt, // required by the embed core's validation
+      messages: messagesForApi,
+      onChunk: function () {
+        // The embed writes the text into embed.container itself; we only clear
+        // the typing indicator and keep the view pinned to the bottom.
+        removeTypingIndicator(assistantBubble);
+        scrollMessagesToBottom();
+      },
+      onComplete: async function (response) {
+        if (sources && response) response.sources = sources;
+        // postGeneration owns the "Response ready." announcement (after the
+        // badge is in place), so we do not announce again here.
+        await postGeneration(assistantBubble, response);
+        logInfo("response complete —", (response.text || "").length, "chars");
+      },
+      onError: function (error) {
+        // postError owns the announcement now — it is the only place that
+        // knows the status, and announcing here as well would speak twice.
+        postError(assistantBubble, error, opts);
+        logError("send error:", (error && error.message) || error);
+      },
+    };
+
+    // Tool calling (chat/chat-tools.js): when tools are on and this model can
+    // call them, the same request goes through the embed's tool loop. The tool
+    // hooks fill the live log above the bubble; after each tool the typing
+    // indicator comes back while the model reads the result (the round that
+    // called the tool left the bubble empty).
+    const useTools =
+      !!window.ChatTools &&
+      window.ChatTools.isActiveFor(S.currentModel) &&
+      typeof embed.sendWithTools === "function";
+    let sending;
+    if (useTools) {
+      const toolHooks = window.ChatTools.startLive(assistantBubble);
+      request.onToolStart = toolHooks.onToolStart;
+      request.onToolResult = function (call, outcome) {
+        toolHooks.onToolResult(call, outcome);
+        removeTypingIndicator(assistantBubble);
+        addTypingIndicator(assistantBubble);
+        scrollMessagesToBottom();
+      };
+      sending = embed.sendWithTools(request);
+    } else {
+      sending = embed.sendStreamingRequest(request);
+    }
+
+    sending.catch(function (error) {
+      // The second of the two arrivals in the common case — postError's guard
+      // makes it a no-op then. It is NOT redundant: when the failure bypasses
+      // the embed core's onError this is the only path that treats it, which
+      // is why it stays and why it, too, no longer announces.
+      postError(assistantBubble, error, opts);
+      logError("send error (catch):", (error && error.message) || error);
+    });
   }
 
   /**
@@ -1190,18 +1355,22 @@
 
   // ── Clear conversation ─────────────────────────────────────────────────────
 
-  // Confirm-then-clear, no archive (Chat has no history). Local Chat consumes
-  // window.safeConfirm asynchronously (it returns a Promise), so we await it here
-  // and match that contract. performClear() (confirmed in 5b) already clears the
-  // session, empties S.messages and the message list, focuses the input, and
-  // announces "Conversation cleared." — we do not duplicate any of that; we only
-  // confirm, call performClear, then refresh the UI seam.
+  // Confirm-then-clear. Local Chat consumes window.safeConfirm asynchronously (it
+  // returns a Promise), so we await it here and match that contract.
+  // performClear() (confirmed in 5b) already keeps the conversation in History
+  // (chat/chat-archive.js), clears the session, empties S.messages and the
+  // message list, focuses the input, and announces the outcome — we do not
+  // duplicate any of that; we only confirm, call performClear, then refresh the
+  // UI seam. The question says where the conversation goes when it has somewhere.
   async function handleClear() {
     if (S.messages.length === 0) return; // nothing to clear
+    const question = window.ChatArchive
+      ? "Clear this conversation? It will be saved to History, where you can search for it and resume it."
+      : "Clear this conversation? This cannot be undone.";
     const ok =
       typeof window.safeConfirm === "function"
-        ? await window.safeConfirm("Clear this conversation? This cannot be undone.")
-        : window.confirm("Clear this conversation? This cannot be undone.");
+        ? await window.safeConfirm(question)
+        : window.confirm(question);
     if (!ok) return;
     window.ChatPersistence.performClear();
     updateConversationUI();
@@ -1355,6 +1524,22 @@
   function init() {
     cacheElements();
     wire();
+    // "My documents" panel (openrouter-embed/document-library-ui.js). Five
+    // passages: cloud models have the room, and the window trims if not.
+    if (window.DocumentLibraryUI) {
+      documents = window.DocumentLibraryUI.attach(S, { topK: 5 });
+    }
+    // "Saved prompts" picker (openrouter-embed/prompt-library-ui.js). A saved
+    // system prompt is none of the presets, so the preset select goes back to
+    // "None (custom)".
+    if (window.PromptLibraryUI) {
+      window.PromptLibraryUI.attach(document.getElementById(S.elId("prompts")), {
+        targets: { system: S.els.systemInput, user: S.els.input },
+        onApply: function (prompt) {
+          if (prompt.kind === "system" && S.els.presetSelect) S.els.presetSelect.value = "";
+        },
+      });
+    }
     // Restore any saved session once on load (cacheElements() above has populated
     // S.els.messageList, which the restore path rebuilds into). Persistence binds
     // its own state via its default window.ChatState capture — core does not call
@@ -1391,6 +1576,10 @@
     _getOrCreateEmbed: getOrCreateEmbed,
     _postGeneration: postGeneration,
     _updateConversationUI: updateConversationUI,
+    // Conversation tree seams (chat-branches.js) — edit, regenerate, version
+    // switching and restore change the tree and then re-derive S.messages here.
+    _syncActivePath: syncActivePath,
+    _setBranchTree: setBranchTree,
     // Refresh the visible draft token counter — called by chat.js on model change
     // (Stage B) so the >50% warning re-computes against the new context window.
     _updateInputCounter: updateInputTokenCount,
@@ -1402,5 +1591,12 @@
     // exposed for inspection: preserves live arrays, collapses byte-free refs.
     _normaliseTurnForWire: normaliseTurnForWire,
     _contentImageCount: contentImageCount,
+    // Shared with model comparison (chat-compare.js), so a comparison column
+    // labels, words its errors and refreshes a Foundry token exactly as a
+    // conversation send does.
+    _providerIdFromModel: providerIdFromModel,
+    _composeErrorText: composeErrorText,
+    _refreshFoundryTokenIfNeeded: refreshFoundryTokenIfNeeded,
+    _windowForModel: windowForModel,
   };
 })();
@@ -20,7 +20,19 @@
  * (window.ChatMessages._modelDisplayName / ._providerLabel). Slice 1 only mounts
  * the layer; the export-menu UI that calls the wrappers lands in a later slice.
  *
- * @version 0.1.0 — step 7 slice 1 (pure builders + impure wrappers, no UI)
+ * @version 0.4.0 — conversation archive: the JSON conversation export states its
+ *                   format (`formatVersion`), so chat/chat-archive.js can refuse
+ *                   a file written by a newer format instead of misreading it.
+ *          0.3.0 — model comparison: pure Markdown, HTML and JSON builders for
+ *                   one comparison record (chat/chat-compare.js) with an
+ *                   exportComparison wrapper, and the JSON conversation export
+ *                   carries the chosen comparisons as `comparisons`.
+ *          0.2.0 — conversation branching: the JSON export carries the whole
+ *                   conversation tree (`tree`, the chat-branches.js serialised
+ *                   form with each turn in the export's own turn shape) beside
+ *                   the active-path `messages`, so a re-import can rebuild every
+ *                   version. The other formats export the active path.
+ *          0.1.0 — step 7 slice 1 (pure builders + impure wrappers, no UI)
  */
 (function () {
   "use strict";
@@ -86,6 +98,41 @@
   // Text/markdown never embed bytes, so they carry no note.
   const PRIVACY_NOTE =
     "Embedded attachment bytes include the document and its filename; anyone you share this file with receives them.";
+  // Format of the JSON conversation export. Bump it when a change would make an
+  // older reader (chat/chat-archive.js's import) misread the file; adding an
+  // optional field does not need a bump. A file without it predates the field
+  // and is format 1.
+  const JSON_FORMAT_VERSION = 1;
+
+  // Stylesheet shared by the HTML conversation and comparison exports.
+  const HTML_CSS = [
+    ":root{color-scheme:light}",
+    "body{font-family:system-ui,-apple-system,'Segoe UI',sans-serif;line-height:1.5;max-width:48rem;margin:2rem auto;padding:0 1rem;color:#1a1a1a;background:#ffffff;}",
+    "h1{font-size:1.5rem;margin-bottom:0.25rem;}",
+    ".meta{color:#595959;font-size:0.9rem;margin-top:0;margin-bottom:2rem;}",
+    ".msg{margin:1.5rem 0;padding:1rem 1.25rem;border:1px solid #767676;border-radius:0.5rem;}",
+    ".msg-user{background:#eef4fb;border-left:4px solid #1f5fae;}",
+    ".msg-assistant{background:#f5f5f5;border-left:4px solid #2e7d32;}",
+    ".msg h2{font-size:1rem;margin:0 0 0.5rem;color:#1a1a1a;}",
+    "pre{background:#1e1e1e;color:#f5f5f5;padding:0.75rem 1rem;border-radius:0.4rem;overflow-x:auto;}",
+    "pre code{background:transparent;color:inherit;padding:0;}",
+    "code{background:#e6e6e6;color:#1a1a1a;padding:0.1rem 0.3rem;border-radius:0.25rem;font-size:0.95em;}",
+    "a{color:#0b4fa0;}",
+    ".privacy-note{color:#8a4b00;background:#fff4e5;border:1px solid #b35900;border-radius:0.4rem;padding:0.5rem 0.75rem;font-size:0.9rem;margin:0 0 2rem;}",
+    ".attachment-caption{color:#595959;font-size:0.9rem;margin-top:0.25rem;}",
+    ".attachment-ref{color:#595959;font-style:italic;}",
+  ];
+
+  // Model comparison exports (records from chat/chat-compare.js).
+  const COMPARISON_TITLE = "Chat model comparison";
+  const COMPARISON_CHOSEN = "Chosen";
+  const COMPARISON_FAILED = "No answer";
+  const COMPARISON_CSS = [
+    "table{border-collapse:collapse;width:100%;margin:0 0 2rem;}",
+    "caption{text-align:left;font-weight:bold;margin-bottom:0.5rem;}",
+    "th,td{border:1px solid #767676;padding:0.4rem 0.6rem;text-align:left;vertical-align:top;}",
+    "thead th{background:#e6e6e6;}",
+  ];
 
   // ── State handle ─────────────────────────────────────────────────────────
   // Captured once at load; chat/chat.js creates window.ChatState synchronously
@@ -513,23 +560,7 @@
     const anyBytes = exportMsgs.some(function (m) {
       return m.attachment && m.attachment.bytesIncluded;
     });
-    const css = [
-      ":root{color-scheme:light}",
-      "body{font-family:system-ui,-apple-system,'Segoe UI',sans-serif;line-height:1.5;max-width:48rem;margin:2rem auto;padding:0 1rem;color:#1a1a1a;background:#ffffff;}",
-      "h1{font-size:1.5rem;margin-bottom:0.25rem;}",
-      ".meta{color:#595959;font-size:0.9rem;margin-top:0;margin-bottom:2rem;}",
-      ".msg{margin:1.5rem 0;padding:1rem 1.25rem;border:1px solid #767676;border-radius:0.5rem;}",
-      ".msg-user{background:#eef4fb;border-left:4px solid #1f5fae;}",
-      ".msg-assistant{background:#f5f5f5;border-left:4px solid #2e7d32;}",
-      ".msg h2{font-size:1rem;margin:0 0 0.5rem;color:#1a1a1a;}",
-      "pre{background:#1e1e1e;color:#f5f5f5;padding:0.75rem 1rem;border-radius:0.4rem;overflow-x:auto;}",
-      "pre code{background:transparent;color:inherit;padding:0;}",
-      "code{background:#e6e6e6;color:#1a1a1a;padding:0.1rem 0.3rem;border-radius:0.25rem;font-size:0.95em;}",
-      "a{color:#0b4fa0;}",
-      ".privacy-note{color:#8a4b00;background:#fff4e5;border:1px solid #b35900;border-radius:0.4rem;padding:0.5rem 0.75rem;font-size:0.9rem;margin:0 0 2rem;}",
-      ".attachment-caption{color:#595959;font-size:0.9rem;margin-top:0.25rem;}",
-      ".attachment-ref{color:#595959;font-style:italic;}",
-    ].join("\n");
+    const css = HTML_CSS.join("\n");
 
     const parts = [
       "<!DOCTYPE html>",
@@ -570,61 +601,315 @@
   }
 
   /**
-   * JSON serialiser. An assistant message emits its full per-turn attribution;
-   * a plain user message emits only role/content. A user turn carrying an
-   * attachment additionally emits `attachments: [ { kind, filename, mimeType,
-   * size, bytesIncluded } ]`, with `data` (the base64 data URI) present ONLY
-   * when bytesIncluded is true (a live turn). A top-level `privacyNote` appears
-   * only when at least one turn embeds bytes.
-   * @param {Array<Object>} exportMsgs resolved turns
-   * @param {Object} meta export meta (systemPrompt read by the wrapper)
+   * One resolved turn in the JSON shape. An assistant message emits its full
+   * per-turn attribution; a plain user message emits only role/content. A user
+   * turn carrying an attachment additionally emits `attachments: [ { kind,
+   * filename, mimeType, size, bytesIncluded } ]`, with `data` (the base64 data
+   * URI) present ONLY when bytesIncluded is true (a live turn). Pure.
+   * @param {Object} m a resolved export turn
+   * @returns {Object}
+   */
+  function jsonTurn(m) {
+    if (m.role === "assistant") {
+      // Assistant turns never carry an attachment — shallow by design.
+      return {
+        role: m.role,
+        content: m.content,
+        model: m.model,
+        providerId: m.providerId,
+        modelName: m.modelName,
+        providerLabel: m.providerLabel,
+      };
+    }
+    // A plain (string-content) user turn stays exactly { role, content }.
+    const obj = { role: m.role, content: m.content };
+    if (m.attachment) {
+      const a = m.attachment;
+      const att = {
+        kind: a.kind,
+        filename: a.filename,
+        mimeType: a.mimeType,
+        size: a.size,
+        bytesIncluded: a.bytesIncluded,
+      };
+      // Emit the base64 `data` ONLY when bytes are actually embedded.
+      if (a.bytesIncluded) att.data = a.data;
+      obj.attachments = [att];
+    }
+    return obj;
+  }
+
+  /**
+   * JSON serialiser. `messages` is the active path, each turn in the jsonTurn
+   * shape. When the wrapper supplies `meta.tree` — the conversation tree
+   * serialised by ChatBranches.serialise with its turns already resolved — it
+   * is emitted as `tree` with every version's turn in the same shape, so
+   * ChatBranches.deserialise can rebuild the whole tree from the file. A
+   * top-level `privacyNote` appears only when at least one turn, on any
+   * branch, embeds bytes.
+   * @param {Array<Object>} exportMsgs resolved turns (the active path)
+   * @param {Object} meta export meta (systemPrompt and tree read by the wrapper)
    * @returns {string}
    */
   function buildJSON(exportMsgs, meta) {
+    const treeNodes = meta.tree && Array.isArray(meta.tree.nodes) ? meta.tree.nodes : [];
     // Privacy note appears only when at least one turn embeds attachment bytes.
-    const anyBytes = exportMsgs.some(function (m) {
-      return m.attachment && m.attachment.bytesIncluded;
-    });
+    const anyBytes = exportMsgs
+      .concat(
+        treeNodes.map(function (n) {
+          return n.turn;
+        }),
+      )
+      .some(function (m) {
+        return m && m.attachment && m.attachment.bytesIncluded;
+      });
     const data = {
       tool: "chat",
+      formatVersion: JSON_FORMAT_VERSION,
       exportedAt: meta.exportedAtISO,
       messageCount: meta.count,
       systemPrompt: meta.systemPrompt || "",
-      messages: exportMsgs.map(function (m) {
-        if (m.role === "assistant") {
-          // Assistant turns never carry an attachment — shallow by design.
-          return {
-            role: m.role,
-            content: m.content,
-            model: m.model,
-            providerId: m.providerId,
-            modelName: m.modelName,
-            providerLabel: m.providerLabel,
-          };
-        }
-        // A plain (string-content) user turn stays exactly { role, content }.
-        const obj = { role: m.role, content: m.content };
-        if (m.attachment) {
-          const a = m.attachment;
-          const att = {
-            kind: a.kind,
-            filename: a.filename,
-            mimeType: a.mimeType,
-            size: a.size,
-            bytesIncluded: a.bytesIncluded,
-          };
-          // Emit the base64 `data` ONLY when bytes are actually embedded.
-          if (a.bytesIncluded) att.data = a.data;
-          obj.attachments = [att];
-        }
-        return obj;
-      }),
+      messages: exportMsgs.map(jsonTurn),
     };
+    if (meta.tree) {
+      data.tree = {
+        version: meta.tree.version,
+        nodes: treeNodes.map(function (n) {
+          return { id: n.id, parentId: n.parentId, turn: jsonTurn(n.turn) };
+        }),
+        active: meta.tree.active,
+      };
+    }
+    if (Array.isArray(meta.comparisons) && meta.comparisons.length > 0) {
+      data.comparisons = meta.comparisons.map(comparisonJSON);
+    }
     // Privacy note: embedded bytes include the document + filename; recipients get them.
     if (anyBytes) data.privacyNote = PRIVACY_NOTE;
     return JSON.stringify(data, null, 2);
   }
 
+  // ── Pure comparison builders ((record, meta) → string) ──────────────────
+  // A comparison record (chat/chat-compare.js) already carries each column's
+  // display names and formatted metrics, so these need nothing from the page:
+  //   { id, createdAt, prompt, systemPrompt, winner,
+  //     columns: [ { model, providerId, modelName, providerLabel, status,
+  //                  content, error, latencyMs, usage, cost,
+  //                  latencyText, tokensText, costText } ] }
+
+  /**
+   * One summary row per column: model, provider, latency, tokens, cost and
+   * result ("Chosen", "No answer", or empty). Pure.
+   * @param {Object} record
+   * @returns {Array<Array<string>>}
+   */
+  function comparisonRows(record) {
+    return record.columns.map(function (col, i) {
+      const result =
+        col.status !== "done"
+          ? COMPARISON_FAILED
+          : record.winner === i
+            ? COMPARISON_CHOSEN
+            : "";
+      return [
+        col.modelName,
+        col.providerLabel,
+        col.latencyText,
+        col.tokensText,
+        col.costText,
+        result,
+      ];
+    });
+  }
+
+  const COMPARISON_HEADERS = ["Model", "Provider", "Latency", "Tokens", "Cost", "Result"];
+
+  /** A column's section heading, e.g. "GPT-5.2 · Microsoft Foundry (chosen)". */
+  function comparisonColumnTitle(record, i) {
+    const col = record.columns[i];
+    return (
+      col.modelName +
+      ATTRIB_SEP +
+      col.providerLabel +
+      (record.winner === i ? " (chosen)" : "")
+    );
+  }
+
+  /**
+   * A column's answer, or its error when it has none.
+   * @returns {{text: string, failed: boolean}}
+   */
+  function comparisonAnswer(col) {
+    if (col.status === "done") return { text: col.content, failed: false };
+    return { text: COMPARISON_FAILED + ": " + (col.error || "not reported"), failed: true };
+  }
+
+  /**
+   * Markdown comparison: the message, a summary table, then each answer under
+   * its own heading. Table cells have pipes escaped and newlines flattened.
+   * @param {Object} record a comparison record
+   * @param {Object} meta export meta
+   * @returns {string}
+   */
+  function buildComparisonMarkdown(record, meta) {
+    function cell(v) {
+      return String(v || "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+    }
+    const lines = [
+      "# " + COMPARISON_TITLE,
+      "*Exported " + meta.exportedAtLocal + " · " + meta.count + " models*",
+      "",
+      "**" + USER_LABEL + ":**",
+      record.prompt,
+      "",
+    ];
+    if (record.systemPrompt) {
+      lines.push("**System prompt:**", record.systemPrompt, "");
+    }
+    lines.push("| " + COMPARISON_HEADERS.join(" | ") + " |");
+    lines.push(
+      "|" +
+        COMPARISON_HEADERS.map(function () {
+          return " --- ";
+        }).join("|") +
+        "|",
+    );
+    comparisonRows(record).forEach(function (row) {
+      lines.push("| " + row.map(cell).join(" | ") + " |");
+    });
+    lines.push("");
+    record.columns.forEach(function (col, i) {
+      const answer = comparisonAnswer(col);
+      lines.push("---", "", "## " + comparisonColumnTitle(record, i), "");
+      lines.push(answer.failed ? "*" + answer.text + "*" : answer.text, "");
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * HTML comparison: a standalone accessible document with the message, a
+   * summary table (caption, column headers, the model as each row's header)
+   * and one <h2> section per answer, styled like the conversation export.
+   * @param {Object} record a comparison record
+   * @param {Object} meta export meta
+   * @returns {string}
+   */
+  function buildComparisonHTML(record, meta) {
+    const parts = [
+      "<!DOCTYPE html>",
+      '<html lang="en-GB">',
+      "<head>",
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      "<title>" + COMPARISON_TITLE + "</title>",
+      "<style>" + HTML_CSS.concat(COMPARISON_CSS).join("\n") + "</style>",
+      "</head>",
+      "<body>",
+      "<h1>" + COMPARISON_TITLE + "</h1>",
+      '<p class="meta">Exported ' +
+        escapeHTML(meta.exportedAtLocal) +
+        " · " +
+        meta.count +
+        " models</p>",
+      '<section class="msg msg-user">',
+      "<h2>" + USER_LABEL + "</h2>",
+      renderContentHTML(record.prompt),
+    ];
+    if (record.systemPrompt) {
+      parts.push(
+        '<p class="attachment-caption">System prompt: ' +
+          escapeHTML(record.systemPrompt) +
+          "</p>",
+      );
+    }
+    parts.push("</section>");
+
+    parts.push("<table>", "<caption>Summary</caption>", "<thead>", "<tr>");
+    COMPARISON_HEADERS.forEach(function (h) {
+      parts.push('<th scope="col">' + h + "</th>");
+    });
+    parts.push("</tr>", "</thead>", "<tbody>");
+    comparisonRows(record).forEach(function (row) {
+      parts.push(
+        "<tr>" +
+          row
+            .map(function (v, i) {
+              return i === 0
+                ? '<th scope="row">' + escapeHTML(v) + "</th>"
+                : "<td>" + escapeHTML(v) + "</td>";
+            })
+            .join("") +
+          "</tr>",
+      );
+    });
+    parts.push("</tbody>", "</table>");
+
+    record.columns.forEach(function (col, i) {
+      const answer = comparisonAnswer(col);
+      parts.push('<section class="msg msg-assistant">');
+      parts.push("<h2>" + escapeHTML(comparisonColumnTitle(record, i)) + "</h2>");
+      parts.push(
+        answer.failed
+          ? '<p class="attachment-ref">' + escapeHTML(answer.text) + "</p>"
+          : renderContentHTML(answer.text),
+      );
+      parts.push("</section>");
+    });
+
+    parts.push("</body>", "</html>");
+    return parts.join("\n");
+  }
+
+  /**
+   * A comparison record in the JSON shape: the raw figures (latency in ms,
+   * normalised usage, cost object) rather than their display strings. Shared
+   * by the single-comparison file and the conversation export's `comparisons`.
+   * Pure.
+   * @param {Object} record
+   * @returns {Object}
+   */
+  function comparisonJSON(record) {
+    return {
+      id: record.id,
+      createdAt: record.createdAt,
+      prompt: record.prompt,
+      systemPrompt: record.systemPrompt || "",
+      winner: typeof record.winner === "number" ? record.winner : null,
+      columns: record.columns.map(function (col) {
+        return {
+          model: col.model,
+          providerId: col.providerId,
+          modelName: col.modelName,
+          providerLabel: col.providerLabel,
+          status: col.status,
+          content: col.content,
+          error: col.error || null,
+          latencyMs: col.latencyMs,
+          usage: col.usage || null,
+          cost: col.cost || null,
+        };
+      }),
+    };
+  }
+
+  /**
+   * JSON comparison file.
+   * @param {Object} record a comparison record
+   * @param {Object} meta export meta
+   * @returns {string}
+   */
+  function buildComparisonJSON(record, meta) {
+    return JSON.stringify(
+      {
+        tool: "chat",
+        kind: "comparison",
+        exportedAt: meta.exportedAtISO,
+        comparison: comparisonJSON(record),
+      },
+      null,
+      2,
+    );
+  }
+
   // ── Download primitive (ported from Local Chat; generic) ────────────────
 
   /**
@@ -633,8 +918,9 @@
    * @param {Blob} blob
    * @param {string} filename
    * @param {string} formatLabel human label spoken in the announcement
+   * @param {string} [subject] what was exported (default "Conversation")
    */
-  function triggerDownload(blob, filename, formatLabel) {
+  function triggerDownload(blob, filename, formatLabel, subject) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -643,8 +929,9 @@
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    S.announceToScreenReader("Conversation exported as " + formatLabel + ".");
-    logInfo("Conversation exported as " + formatLabel);
+    const what = subject || "Conversation";
+    S.announceToScreenReader(what + " exported as " + formatLabel + ".");
+    logInfo(what + " exported as " + formatLabel);
   }
 
   // ── Impure export wrappers (resolve → build → download) ─────────────────
@@ -691,6 +978,13 @@
     const systemPrompt = S.els.systemInput ? S.els.systemInput.value : "";
     const meta = getExportMeta();
     meta.systemPrompt = systemPrompt;
+    // Every version on every branch, resolved through the same per-turn
+    // labelling as the active path.
+    if (window.ChatBranches && S.branchTree) {
+      meta.tree = window.ChatBranches.serialise(S.branchTree, resolveExportMessages);
+    }
+    // Chosen model comparisons, each with every model's answer and metrics.
+    meta.comparisons = S.comparisons || [];
     const msgs = resolveExportMessages(S.messages);
     triggerDownload(
       new Blob([buildJSON(msgs, meta)], { type: "application/json" }),
@@ -699,6 +993,48 @@
     );
   }
 
+  /**
+   * Download one comparison record (chat/chat-compare.js's export buttons).
+   * @param {Object} record a comparison record
+   * @param {string} format "markdown" | "html" | "json"
+   */
+  function exportComparison(record, format) {
+    if (!record || !Array.isArray(record.columns)) return;
+    const now = new Date();
+    const dateStr = now.toISOString().slice(0, 10);
+    const meta = {
+      dateStr: dateStr,
+      exportedAtISO: now.toISOString(),
+      exportedAtLocal: now.toLocaleString(),
+      count: record.columns.length,
+      safeName: "chat-comparison-" + dateStr,
+    };
+    if (format === "markdown") {
+      triggerDownload(
+        new Blob([buildComparisonMarkdown(record, meta)], { type: "text/markdown" }),
+        meta.safeName + ".md",
+        "Markdown",
+        "Comparison",
+      );
+    } else if (format === "html") {
+      triggerDownload(
+        new Blob([buildComparisonHTML(record, meta)], { type: "text/html" }),
+        meta.safeName + ".html",
+        "HTML",
+        "Comparison",
+      );
+    } else if (format === "json") {
+      triggerDownload(
+        new Blob([buildComparisonJSON(record, meta)], { type: "application/json" }),
+        meta.safeName + ".json",
+        "JSON",
+        "Comparison",
+      );
+    } else {
+      logWarn("unknown comparison export format:", format);
+    }
+  }
+
   // ── Export-menu behaviour (ported from Local Chat, scoped to chat ids) ──
   // A faithful port of local-chat.js's export disclosure-menu behaviour: a
   // toggle trigger, a role="menu" with roving arrow-key focus, Escape/Tab close,
@@ -878,16 +1214,23 @@
 
   // ── Expose module ────────────────────────────────────────────────────────
   window.ChatExport = {
+    JSON_FORMAT_VERSION: JSON_FORMAT_VERSION,
     // Pure builders — driven directly by the test suite.
     buildMarkdown: buildMarkdown,
     buildText: buildText,
     buildHTML: buildHTML,
     buildJSON: buildJSON,
+    jsonTurn: jsonTurn,
+    buildComparisonMarkdown: buildComparisonMarkdown,
+    buildComparisonHTML: buildComparisonHTML,
+    buildComparisonJSON: buildComparisonJSON,
+    comparisonJSON: comparisonJSON,
     // Impure wrappers — called by the export-menu UI (later slice).
     exportMarkdown: exportMarkdown,
     exportText: exportText,
     exportHTML: exportHTML,
     exportJSON: exportJSON,
+    exportComparison: exportComparison,
     // Resolution + primitives, exposed for the suite.
     resolveExportMessages: resolveExportMessages,
     getExportMeta: getExportMeta,
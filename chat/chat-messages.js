@@ -16,7 +16,19 @@
  *
  * Loads AFTER chat/chat-core.js so window.ChatState (and core's globals) exist.
  *
- * @version 0.3.2 — step 5b-ii-fix-2: renderRichContent now wraps mermaid diagrams
+ * @version 0.6.0 — document retrieval: renderAssistantTurn draws a reply's stored
+ *                   sources (turn.sources, via document-library-ui.js) and links
+ *                   its [n] citations to them; copy-formatted and read-aloud
+ *                   skip the sources list.
+ *          0.5.0 — tool calling: renderAssistantTurn draws a reply's stored tool
+ *                   log (turn.toolRuns, via chat/chat-tools.js) into its bubble,
+ *                   and copy-formatted and read-aloud skip that log.
+ *          0.4.0 — conversation branching: edit and Regenerate add a new version
+ *                   of a turn (a sibling in S.branchTree) instead of deleting what
+ *                   followed it; a turn with several versions shows a "Version 2
+ *                   of 3" group with Previous / Next, and switching re-renders the
+ *                   turns after it to that version's own continuation.
+ *          0.3.2 — step 5b-ii-fix-2: renderRichContent now wraps mermaid diagrams
  *                   for accessibility deterministically (initAccessibilityFeatures
  *                   per .mermaid-container) instead of relying on the visibility-gated
  *                   observer, which never fires for diagrams restored into the hidden
@@ -326,6 +338,10 @@
     // rebuildMessageList() funnel user turns through here, live AND restored user
     // bubbles get the button from this one code path — never at the call sites.
     if (typeof index === "number") addEditButton(bubble, index);
+    // Version controls (branching) ride the same one-path rule: live, restored
+    // and re-rendered user bubbles all get them here. A no-op for a turn with
+    // a single version.
+    if (typeof index === "number") addVersionControls(bubble, index);
     return bubble;
   }
 
@@ -494,7 +510,7 @@
       // Get rendered HTML from the bubble (excluding action buttons, timestamp, badge)
       var clone = bubble.cloneNode(true);
       var toRemove = clone.querySelectorAll(
-        ".local-chat-bubble-actions, .local-chat-timestamp, .chat-model-provider-badge, .chat-response-clamp-controls",
+        ".local-chat-bubble-actions, .local-chat-timestamp, .chat-model-provider-badge, .chat-response-clamp-controls, .chat-tool-log, .doc-sources",
       );
       toRemove.forEach(function (el) { el.remove(); });
       // Strip mathpix/local-chat internal attrs from cloned math elements
@@ -759,7 +775,7 @@
       const result = window.TTSSemantic.linearise(bubble, {
         verbosity: window.TTSSemantic.getVerbosity(),
         skipSelectors:
-          ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls",
+          ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls, .chat-tool-log, .doc-sources",
       });
       if (result && result.text) return result;
     }
@@ -767,7 +783,7 @@
     // Fallback: clone-and-strip approach (no sections — controller uses legacy chunking)
     const clone = bubble.cloneNode(true);
     const remove = clone.querySelectorAll(
-      ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls",
+      ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls, .chat-tool-log, .doc-sources",
     );
     for (let i = 0; i < remove.length; i++) remove[i].remove();
     const plainText = (clone.innerText || clone.textContent || "").trim();
@@ -827,7 +843,7 @@
           // reassurance note aloud. Plus belt-and-braces math source-format
           // guards in case any leaked past the math pass.
           skipSelectors:
-            ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls, mathml, asciimath, latex",
+            ".local-chat-bubble-actions, .chat-model-provider-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .chat-response-clamp-controls, .chat-tool-log, .doc-sources, mathml, asciimath, latex",
         });
         if (result && result.text) return result;
       }
@@ -1728,6 +1744,9 @@
    */
   async function renderAssistantTurn(bubble, content, model, providerId, index) {
     if (!bubble) return;
+    // Stamped like user bubbles, so regenerate, version switching and a partial
+    // rebuild can find the turn a bubble shows.
+    bubble.dataset.messageIndex = index;
     // Rich accessible body first (replaces any plain render); badge and controls
     // are added AFTER, because addModelProviderBadge inserts before the bubble's
     // first child and must land on the rich content.
@@ -1740,12 +1759,28 @@
     window.ChatMessages.addModelProviderBadge(bubble, model, providerId);
     window.ChatMessages.addCopyButton(bubble, index);
     window.ChatMessages.addFormattedCopyButton(bubble, index);
+    window.ChatMessages.addRegenerateButton(bubble);
     // Read Aloud goes through getOrCreateActions, so live and restored bubbles
     // share it from this one path — renderAssistantTurn runs on both.
     window.ChatMessages.addReadAloudButton(bubble);
     // Save-as-Audio joins the same shared path (one attach covers live + restored).
     window.ChatMessages.addSaveAudioButton(bubble);
     window.ChatMessages.addTimestamp(bubble);
+    window.ChatMessages.addVersionControls(bubble, index);
+    // Tools the model ran for this reply (chat/chat-tools.js), read from the
+    // stored turn so live and restored replies show the same log. Goes in after
+    // the badge, so it stays outside the response clamp.
+    if (window.ChatTools) {
+      const turn = S.messages[index];
+      window.ChatTools.attachLog(bubble, turn && turn.toolRuns);
+    }
+    // Passages from the user's documents that the reply was sent with, as a
+    // sources list above the actions; its [n] citations become links to them.
+    // Outside the response clamp for the same reason as the tool log.
+    if (window.DocumentLibraryUI) {
+      const turn = S.messages[index];
+      window.DocumentLibraryUI.attachSources(bubble, turn && turn.sources);
+    }
     if (typeof window.refreshIcons === "function") {
       window.refreshIcons(bubble);
     }
@@ -1763,8 +1798,10 @@
   const EDIT_TEXTAREA_LABEL = "Edit your message";
   const EDIT_ANNOUNCE_ENTER = "Editing your message.";
   const EDIT_ANNOUNCE_CANCEL = "Edit cancelled.";
-  const EDIT_ANNOUNCE_COMMIT =
-    "Message updated. Later messages removed. Generating a new response.";
+  // Completed with the new version's position, e.g. "… version 2 of 2. …".
+  const EDIT_ANNOUNCE_COMMIT_PREFIX = "Message saved as version ";
+  const EDIT_ANNOUNCE_COMMIT_SUFFIX =
+    ". The earlier version is kept. Generating a new response.";
   // Visually-hidden utility class (main.css) — used to name the edit textarea.
   const HIDE_CLASS = "visually-hidden";
 
@@ -1878,6 +1915,7 @@
       renderUserContent(bubble, S.messages[msgIndex].content);
     }
     addEditButton(bubble, msgIndex); // fresh, live button
+    addVersionControls(bubble, msgIndex);
     S.editingBubble = null;
 
     S.announceToScreenReader(EDIT_ANNOUNCE_CANCEL);
@@ -1888,10 +1926,11 @@
   }
 
   /**
-   * Commit an edited user turn: rewrite the turn, drop the old reply and every
-   * later turn, re-render the bubble to rest, persist the truncated thread, and
-   * regenerate through the shared send back half. An empty edit discards (like
-   * Cancel) and sends nothing.
+   * Commit an edited user turn: add the edited text as a NEW VERSION of the turn
+   * (a sibling in the conversation tree) and switch to it, re-render the bubble
+   * to rest, persist, and generate a reply through the shared send back half.
+   * The old version and every turn after it stay in the tree, reachable through
+   * the version controls. An empty edit discards (like Cancel) and sends nothing.
    * @param {HTMLElement} bubble the user bubble being committed
    * @param {number} msgIndex the turn's index in S.messages
    * @param {string} newText the trimmed edited text
@@ -1915,16 +1954,28 @@
     // interrupts another tool's speech.
     stopReadAloudIfActive();
 
-    // Rewrite the edited turn, then truncate: the slice drops the edited turn's
-    // old reply and every later turn. dispatchSend reads this truncated S.messages
-    // live at send time, so the token window re-applies to the new payload.
-    // For an image-bearing turn, rewrite ONLY the text and keep the image part
-    // (v1 leaves the image untouched on edit).
-    const existingContent = S.messages[msgIndex].content;
-    S.messages[msgIndex].content = isMultimodalContent(existingContent)
-      ? setTextOfArrayContent(existingContent, newText)
+    // Add the edit as a new version of the turn. The old turn object is left
+    // exactly as it was (it still heads its own branch), so the new version is a
+    // copy carrying every other field — a byte-free `attachment` reference
+    // included. For an image-bearing turn, rewrite ONLY the text and keep the
+    // image part (v1 leaves the image untouched on edit). The new version has no
+    // reply yet, so the active path now ends at it; dispatchSend reads that path
+    // at send time, so the token window re-applies to the new payload.
+    const existing = S.messages[msgIndex];
+    const edited = {};
+    for (const k in existing) {
+      if (k !== "content") edited[k] = existing[k];
+    }
+    edited.content = isMultimodalContent(existing.content)
+      ? setTextOfArrayContent(existing.content, newText)
       : newText;
-    S.messages = S.messages.slice(0, msgIndex + 1);
+    const newId = window.ChatBranches.addSibling(
+      S.branchTree,
+      nodeIdAt(msgIndex),
+      edited,
+    );
+    window.ChatCore._syncActivePath();
+    const version = window.ChatBranches.getVersionInfo(S.branchTree, newId);
 
     // Remove the on-screen bubbles after the edited one. Capture the next
     // reference BEFORE removing, and only remove siblings carrying the bubble
@@ -1945,11 +1996,12 @@
     bubble.innerHTML = "";
     renderUserContent(bubble, S.messages[msgIndex].content);
     addEditButton(bubble, msgIndex);
+    addVersionControls(bubble, msgIndex);
 
     S.editingBubble = null;
 
-    // Persist the truncated thread now, so a failed re-send still leaves the
-    // correct saved state.
+    // Persist the new branch now, so a failed re-send still leaves the correct
+    // saved state.
     window.ChatPersistence.saveSession();
 
     // Refresh conversation-state UI through the single seam.
@@ -1963,7 +2015,11 @@
 
     // Placed AFTER _dispatchSend deliberately: the last write to the shared
     // announcer region wins, so this supersedes dispatchSend's generic cue.
-    S.announceToScreenReader(EDIT_ANNOUNCE_COMMIT);
+    S.announceToScreenReader(
+      EDIT_ANNOUNCE_COMMIT_PREFIX +
+        versionPhrase(version) +
+        EDIT_ANNOUNCE_COMMIT_SUFFIX,
+    );
 
     // Commit focus target (easy to change): the edited bubble's fresh Edit button.
     // The input is refocused on completion by enableSend.
@@ -1973,6 +2029,275 @@
     logDebug("edit committed for turn", msgIndex);
   }
 
+  // ── Conversation branches: version controls + regenerate ────────────────────
+  // Edit and Regenerate add a new VERSION of a turn — a sibling in the tree on
+  // S.branchTree (chat/chat-branches.js) — instead of deleting what came after
+  // it. A turn with more than one version shows a "Version 2 of 3" group with
+  // Previous / Next buttons; switching re-renders the turns after it to that
+  // version's own continuation. S.messages is the tree's active path, so once
+  // the tree changes core's _syncActivePath brings every other reader along.
+  //
+  // Wording isolated like the edit constants above.
+  const VERSION_GROUP_LABEL = "Message versions";
+  const VERSION_PREV_LABEL = "Previous";
+  const VERSION_NEXT_LABEL = "Next";
+  const VERSION_ANNOUNCE_LATER = " The messages after it now follow this version.";
+  const REGENERATE_LABEL = "Regenerate";
+  const REGENERATE_ANNOUNCE =
+    "Generating a new version of this response. The current version is kept.";
+  const REGENERATE_ANNOUNCE_RESTORED =
+    "The previous version of the response is shown again.";
+
+  // Guards a version switch while its (async) re-render is still running, so a
+  // quick double press cannot interleave two rebuilds of the same bubbles.
+  let switchingVersion = false;
+
+  /** "2 of 3" for a 0-based ChatBranches.getVersionInfo result. */
+  function versionPhrase(info) {
+    return info.index + 1 + " of " + info.count;
+  }
+
+  /** The tree node id of the turn at S.messages[index], or null. */
+  function nodeIdAt(index) {
+    if (!window.ChatBranches || !S.branchTree) return null;
+    return window.ChatBranches.getActivePath(S.branchTree)[index] || null;
+  }
+
+  /** The bubble currently showing turn `index`, or null. */
+  function bubbleAt(index) {
+    if (!S.els.messageList) return null;
+    return S.els.messageList.querySelector(
+      '.local-chat-bubble[data-message-index="' + index + '"]',
+    );
+  }
+
+  /**
+   * Append the version controls to a bubble when its turn has more than one
+   * version; otherwise remove any stale ones. The status text is real text (not
+   * a live region — switching announces through the shared announcer) and
+   * describes both buttons, so each is heard as e.g. "Next, Version 2 of 3".
+   * The end buttons are disabled rather than wrapping round.
+   * @param {HTMLElement} bubble a user or assistant bubble
+   * @param {number} index the turn's index in S.messages
+   */
+  function addVersionControls(bubble, index) {
+    if (!bubble) return;
+    const stale = bubble.querySelector(".chat-branch-nav");
+    if (stale) stale.remove();
+    const nodeId = nodeIdAt(index);
+    const info = nodeId
+      ? window.ChatBranches.getVersionInfo(S.branchTree, nodeId)
+      : null;
+    if (!info || info.count < 2) return;
+
+    const nav = document.createElement("div");
+    nav.className = "chat-branch-nav";
+    nav.setAttribute("role", "group");
+    nav.setAttribute("aria-label", VERSION_GROUP_LABEL);
+
+    const status = document.createElement("span");
+    status.className = "chat-branch-status";
+    status.id = S.elId("version-status-" + index);
+    status.textContent = "Version " + versionPhrase(info);
+
+    function makeButton(className, icon, label, delta, disabled) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = className;
+      btn.innerHTML =
+        '<span aria-hidden="true" data-icon="' + icon + '"></span> ' + label;
+      btn.setAttribute("aria-describedby", status.id);
+      btn.disabled = disabled;
+      btn.addEventListener("click", function (e) {
+        e.stopPropagation();
+        switchVersion(index, delta);
+      });
+      return btn;
+    }
+
+    nav.appendChild(
+      makeButton("chat-branch-prev", "arrowLeft", VERSION_PREV_LABEL, -1, info.index === 0),
+    );
+    nav.appendChild(status);
+    nav.appendChild(
+      makeButton(
+        "chat-branch-next",
+        "arrowRight",
+        VERSION_NEXT_LABEL,
+        1,
+        info.index === info.count - 1,
+      ),
+    );
+    bubble.appendChild(nav);
+    if (typeof window.refreshIcons === "function") {
+      window.refreshIcons(nav);
+    }
+  }
+
+  /**
+   * Show the previous (delta -1) or next (delta 1) version of turn `index`, and
+   * the turns that follow that version. Only the bubbles from `index` on are
+   * rebuilt. Focus returns to the same button on the re-rendered bubble — or
+   * its partner when that end of the range is now disabled — so a keyboard user
+   * can keep stepping through versions.
+   * @param {number} index the turn's index in S.messages
+   * @param {number} delta -1 or 1
+   * @returns {Promise<void>}
+   */
+  async function switchVersion(index, delta) {
+    if (S.isGenerating || S.editingBubble || switchingVersion) return;
+    const nodeId = nodeIdAt(index);
+    const info = nodeId
+      ? window.ChatBranches.getVersionInfo(S.branchTree, nodeId)
+      : null;
+    if (!info) return;
+    const target = info.index + delta;
+    if (target < 0 || target >= info.count) return;
+
+    switchingVersion = true;
+    // The old continuation's bubbles are about to go; stop any of them reading.
+    stopReadAloudIfActive();
+    // Silence the log for the re-render, as commitEdit does — the announcement
+    // below says what changed, and the log must not read the rebuilt turns too.
+    S.setMessageListLive("off");
+    try {
+      window.ChatBranches.selectVersion(S.branchTree, nodeId, target);
+      window.ChatCore._syncActivePath();
+      await window.ChatPersistence.rebuildMessageList(index);
+      window.ChatPersistence.saveSession();
+      window.ChatCore._updateConversationUI();
+    } finally {
+      switchingVersion = false;
+      // A later task, for the reason postError gives: the tree diff for the
+      // rebuilt bubbles must be computed while the region is still "off".
+      setTimeout(function () {
+        S.setMessageListLive("polite");
+      }, 0);
+    }
+
+    const bubble = bubbleAt(index);
+    if (bubble) {
+      const same = bubble.querySelector(
+        delta < 0 ? ".chat-branch-prev" : ".chat-branch-next",
+      );
+      const other = bubble.querySelector(
+        delta < 0 ? ".chat-branch-next" : ".chat-branch-prev",
+      );
+      const focusTarget = same && !same.disabled ? same : other;
+      if (focusTarget) focusTarget.focus();
+    }
+
+    const shown = window.ChatBranches.getVersionInfo(
+      S.branchTree,
+      nodeIdAt(index),
+    );
+    S.announceToScreenReader(
+      "Showing version " +
+        versionPhrase(shown) +
+        "." +
+        (S.messages.length > index + 1 ? VERSION_ANNOUNCE_LATER : ""),
+    );
+    logDebug("version switched for turn", index, "to", target);
+  }
+
+  /**
+   * Append a Regenerate button to an assistant bubble's actions row. Unlike
+   * Local Chat's (last reply only, and the old reply is discarded), every reply
+   * gets one: the new reply becomes another version and the old one is kept.
+   * The index is read from the bubble at click time, like the Edit button.
+   * @param {HTMLElement} bubble the assistant bubble
+   */
+  function addRegenerateButton(bubble) {
+    const actions = getOrCreateActions(bubble);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "local-chat-regenerate";
+    btn.innerHTML =
+      '<span aria-hidden="true" data-icon="refresh"></span> ' + REGENERATE_LABEL;
+    btn.addEventListener("click", function () {
+      regenerateTurn(parseInt(bubble.dataset.messageIndex, 10));
+    });
+    actions.appendChild(btn);
+  }
+
+  /**
+   * Generate a new version of the reply at `index`. The old reply is detached
+   * from the active path (ChatBranches.detachFrom) but stays in the tree, so
+   * postGeneration's append lands as its sibling; the turns after it go with
+   * it and remain reachable through the version controls.
+   *
+   * If the request fails, the detached reply is put back and its bubbles are
+   * rebuilt, with the error bubble kept after them — the thread is as it was,
+   * plus the error, exactly as for any failed send.
+   * @param {number} index the reply's index in S.messages
+   */
+  function regenerateTurn(index) {
+    if (S.isGenerating || S.editingBubble || switchingVersion) return;
+    const reply = S.messages[index];
+    const prompt = S.messages[index - 1];
+    if (!reply || reply.role !== "assistant") return;
+    // The embed core needs the user prompt the reply answered.
+    if (!prompt || prompt.role !== "user") return;
+
+    // Mirrors commitEdit's front half: silence the log for the DOM surgery and
+    // the streamed reply, and stop any of Chat's speech before bubbles go.
+    S.setMessageListLive("off");
+    S.isGenerating = true;
+    stopReadAloudIfActive();
+
+    const prior = window.ChatBranches.detachFrom(S.branchTree, nodeIdAt(index));
+    window.ChatCore._syncActivePath();
+
+    // Remove the reply's bubble and every later one (bubble class only, so any
+    // non-bubble control stays put). Not saved yet: the session keeps showing
+    // the old reply until the new one lands (postGeneration saves).
+    let node = bubbleAt(index);
+    while (node) {
+      const next = node.nextElementSibling;
+      if (node.classList.contains("local-chat-bubble")) node.remove();
+      node = next;
+    }
+    window.ChatCore._updateConversationUI();
+
+    window.ChatCore._dispatchSend({
+      userPrompt: extractUserText(prompt.content),
+      onFailure: function (errorBubble) {
+        // Deferred past postError's own setTimeout that turns the log back to
+        // polite, so the whole restore below runs with the log silenced.
+        setTimeout(function () {
+          if (!window.ChatBranches.restoreSelection(S.branchTree, prior)) return;
+          window.ChatCore._syncActivePath();
+          S.setMessageListLive("off");
+          errorBubble.remove();
+          window.ChatPersistence.rebuildMessageList(index).then(function () {
+            if (S.els.messageList) S.els.messageList.appendChild(errorBubble);
+            window.ChatPersistence.saveSession();
+            window.ChatCore._updateConversationUI();
+            scrollMessagesToBottom();
+            setTimeout(function () {
+              S.setMessageListLive("polite");
+            }, 0);
+            S.announceToScreenReader(REGENERATE_ANNOUNCE_RESTORED);
+          });
+        }, 0);
+      },
+    });
+
+    // After _dispatchSend, so it supersedes the generic "Generating response."
+    // cue (the same ordering commitEdit relies on).
+    S.announceToScreenReader(REGENERATE_ANNOUNCE);
+
+    // Focus target: the prompt's Edit button — the Regenerate button that was
+    // pressed has gone with its bubble. The input is refocused on completion.
+    const promptBubble = bubbleAt(index - 1);
+    const editBtn = promptBubble
+      ? promptBubble.querySelector(".local-chat-edit-btn")
+      : null;
+    if (editBtn) editBtn.focus();
+
+    logDebug("regenerate started for turn", index);
+  }
+
   // ── Expose module ──────────────────────────────────────────────────────────
 
   window.ChatMessages = {
@@ -2000,6 +2325,11 @@
     enterEditMode: enterEditMode,
     cancelEdit: cancelEdit,
     commitEdit: commitEdit,
+    // Conversation branches (version controls + regenerate).
+    addVersionControls: addVersionControls,
+    switchVersion: switchVersion,
+    addRegenerateButton: addRegenerateButton,
+    regenerateTurn: regenerateTurn,
     // Exposed for inspection/testing.
     _modelDisplayName: modelDisplayName,
     _providerLabel: providerLabel,
@@ -8,15 +8,26 @@
  * shared window.ChatMessages.renderAssistantTurn helper, so the restore path and
  * the live send path build identical assistant bubbles from one code path.
  *
- * Decision 1: clear-and-discard (no conversation archive). Decision 3: reuse the
- * local-chat-restore-banner-* classes (styled in local-chat.css, loaded on the
- * page) for styling parity, with Chat-scoped ids via S.elId().
+ * Decision 1 (revised in 0.4.0): clearing discards the session, but the
+ * conversation is first kept in History by chat/chat-archive.js. Decision 3:
+ * reuse the local-chat-restore-banner-* classes (styled in local-chat.css,
+ * loaded on the page) for styling parity, with Chat-scoped ids via S.elId().
  *
  * Loads AFTER chat/chat.js (window.ChatState) and chat/chat-messages.js
  * (window.ChatMessages). Wiring into chat-core's init/postGeneration is step
  * 5b-ii; this file just loads and exposes window.ChatPersistence.
  *
- * @version 0.1.0 — step 5b-i (reload-only session save/restore + restore banner)
+ * @version 0.4.0 — conversation archive: performClear keeps the conversation in
+ *                   History (chat/chat-archive.js) before discarding it, and
+ *                   says whether that worked.
+ *          0.3.0 — model comparison: chosen comparisons (S.comparisons,
+ *                   chat/chat-compare.js) are saved and restored with the
+ *                   session, and clearing drops them and any open comparison.
+ *          0.2.0 — conversation branching: the session stores the whole tree
+ *                   (chat/chat-branches.js serialised form, byte-free), a
+ *                   pre-branching session is brought forward as a single path,
+ *                   and rebuildMessageList can re-render from one turn onward.
+ *          0.1.0 — step 5b-i (reload-only session save/restore + restore banner)
  */
 (function () {
   "use strict";
@@ -190,21 +201,30 @@
 
   /**
    * Persist the live thread to sessionStorage. Chat stores only what Chat has —
-   * the messages array (each turn already carries role/content and, for
-   * assistant turns, model/providerId) and the current model id. No
+   * the conversation tree (every branch, in the chat-branches.js serialised
+   * form; each turn already carries role/content and, for assistant turns,
+   * model/providerId) and the current model id. No
    * systemPrompt/temperature/maxTokens: Chat caches no such elements, so writing
    * them would only add inert fields.
    *
    * Image turns are serialised BYTE-FREE via toByteFreeMessages — the base64 never
    * reaches sessionStorage, so a normal image thread no longer trips the size cap.
+   * Every branch's turns go through the same mapper, not only the active path's.
+   *
+   * Chosen model comparisons ride along under `comparisons` (text and metrics
+   * only — a comparison never carries an attachment), so a reload keeps them for
+   * the JSON export.
    */
   function saveSession() {
-    const messages = toByteFreeMessages(S.messages);
+    const tree = window.ChatBranches.serialise(S.branchTree, toByteFreeMessages);
     try {
       const data = {
-        messages: messages,
+        tree: tree,
         currentModel: S.currentModel,
       };
+      if (Array.isArray(S.comparisons) && S.comparisons.length > 0) {
+        data.comparisons = S.comparisons;
+      }
       const json = JSON.stringify(data);
       if (json.length > S.SESSION_MAX_BYTES) {
         S.logWarn(
@@ -240,6 +260,11 @@
    * The thread is restored regardless of provider, keeping each turn's stored
    * model + providerId. Async because rebuildMessageList awaits the shared
    * renderAssistantTurn helper per turn.
+   *
+   * The saved tree restores with every branch and the version that was showing
+   * at each fork. A session saved before branching (a flat `messages` array)
+   * comes back as a single-path tree; a tree that fails validation is discarded
+   * rather than half-restored.
    * @returns {Promise<boolean>} true on a successful restore, else false
    */
   async function restoreSession() {
@@ -249,7 +274,19 @@
       if (!json) return false;
 
       const data = JSON.parse(json);
-      if (!data || !Array.isArray(data.messages) || data.messages.length === 0)
+      if (!data) return false;
+      let tree = null;
+      if (data.tree) {
+        tree = window.ChatBranches.deserialise(data.tree);
+        if (!tree) {
+          S.logWarn("Saved conversation tree is not valid — discarding it");
+          clearSession();
+          return false;
+        }
+      } else if (Array.isArray(data.messages)) {
+        tree = window.ChatBranches.fromMessages(data.messages);
+      }
+      if (!tree || window.ChatBranches.getActivePath(tree).length === 0)
         return false;
 
       // Restore the model verbatim (full id, any provider) — no registry gate.
@@ -258,8 +295,15 @@
       S.currentModel = data.currentModel;
       if (els.select && S.currentModel) els.select.value = S.currentModel;
 
-      // Restore messages and rebuild the DOM through the shared render helper.
-      S.messages = data.messages;
+      // Restore the tree (S.messages follows as its active path) and rebuild the
+      // DOM through the shared render helper.
+      window.ChatCore._setBranchTree(tree);
+      // Comparisons are extra: a malformed entry is dropped, never fatal.
+      S.comparisons = Array.isArray(data.comparisons)
+        ? data.comparisons.filter(function (c) {
+            return c && Array.isArray(c.columns);
+          })
+        : [];
       await rebuildMessageList();
 
       return true;
@@ -279,14 +323,34 @@
    * assistant turn can be awaited; the assistant bubble is attached to the live
    * list before renderAssistantTurn runs, so the mermaid accessibility observers
    * see it in the visible DOM.
+   *
+   * With `fromIndex`, only the turns from that index on are rebuilt: every
+   * bubble from the first one at or after that turn is removed (the same
+   * bubble-class-only sweep commitEdit uses, so non-bubble controls stay) and
+   * the active path is rendered from there. Switching versions uses this so the
+   * turns above the fork keep their DOM, focus and read-aloud state.
+   * @param {number} [fromIndex] first turn to rebuild (default: all)
    */
-  async function rebuildMessageList() {
+  async function rebuildMessageList(fromIndex) {
     const els = S.els;
     if (!els.messageList) return;
-    els.messageList.innerHTML = "";
+    const start = typeof fromIndex === "number" && fromIndex > 0 ? fromIndex : 0;
+    if (start === 0) {
+      els.messageList.innerHTML = "";
+    } else {
+      let removing = false;
+      Array.prototype.slice
+        .call(els.messageList.children)
+        .forEach(function (child) {
+          if (!child.classList.contains("local-chat-bubble")) return;
+          const index = parseInt(child.dataset.messageIndex, 10);
+          if (!isNaN(index) && index >= start) removing = true;
+          if (removing) child.remove();
+        });
+    }
 
     const msgs = S.messages;
-    for (let i = 0; i < msgs.length; i++) {
+    for (let i = start; i < msgs.length; i++) {
       const msg = msgs[i];
       if (msg.role === "user") {
         // createUserBubble appends itself to els.messageList and returns it.
@@ -307,15 +371,15 @@
       }
     }
 
-    window.ChatMessages.scrollMessagesToBottom();
+    if (start === 0) window.ChatMessages.scrollMessagesToBottom();
   }
 
-  // ── Clear helper (clear-and-discard, no archive) ────────────────────────
+  // ── Clear helper (archive, then discard) ────────────────────────────────
 
   /**
-   * Clear the live thread and discard its saved session. Chat does not archive
-   * (Decision 1), so there is no archiveConversation / welcome-card / _updateAllUI
-   * call here. Mirrors the fresh-load UI state: empty list, focus the input.
+   * Clear the live thread and discard its saved session, keeping the
+   * conversation in History first when chat/chat-archive.js is on the page.
+   * Mirrors the fresh-load UI state: empty list, focus the input.
    */
   function performClear() {
     const els = S.els;
@@ -330,11 +394,24 @@
     ) {
       window.ChatMessages.stopReadAloudIfActive();
     }
+    // History (chat-archive.js) keeps the whole tree before it goes.
+    const archiving = !!window.ChatArchive && S.messages.length > 0;
+    const archived = archiving && window.ChatArchive.archiveConversation();
     clearSession();
-    S.messages = [];
+    window.ChatCore._setBranchTree(window.ChatBranches.createTree());
+    S.comparisons = [];
+    // An open comparison's block goes with the message list below; release the
+    // conversation it was holding.
+    if (window.ChatCompare) window.ChatCompare.reset();
     if (els.messageList) els.messageList.innerHTML = "";
     if (els.input) els.input.focus();
-    S.announceToScreenReader("Conversation cleared.");
+    S.announceToScreenReader(
+      !archiving
+        ? "Conversation cleared."
+        : archived
+          ? "Conversation cleared and saved to History."
+          : "Conversation cleared. It could not be saved to History.",
+    );
   }
 
   // ── Restore banner ──────────────────────────────────────────────────────
@@ -425,6 +502,9 @@
     performClear: performClear,
     showRestoreBanner: showRestoreBanner,
     dismissRestoreBanner: dismissRestoreBanner,
+    // Re-render the thread (or, with an index, the turns from there on) from
+    // S.messages — used by version switching and a failed regenerate.
+    rebuildMessageList: rebuildMessageList,
     attach: attach,
     // Testability seams (no behaviour change) — used by the structural probe.
     _toByteFreeMessages: toByteFreeMessages,
@@ -0,0 +1,502 @@
+/**
+ * Unified Chat Tool — tool calling
+ *
+ * Lets the model call the site's in-browser tools while it answers: the colour
+ * contrast checker, the Mermaid diagram describer and MathML-to-speech (see
+ * openrouter-embed/openrouter-embed-tools.js). Off by default; the person turns
+ * it on under "Tools" in the settings, and the choice is remembered.
+ *
+ * A send uses tools only when they are on AND the chosen model can call them —
+ * its catalogue entry lists tool calling and its provider carries tools
+ * (local models never do). Otherwise the send is exactly the ordinary one, and
+ * the Tools panel says why.
+ *
+ * Every tool run is shown, never hidden. While the answer is generating, a
+ * "Tools used" log sits above the reply and fills in as each tool starts and
+ * settles (each start and result is also announced). Once the reply lands the
+ * log moves INTO the reply's bubble, collapsed, and the runs are stored on the
+ * turn (`toolRuns`), so a restored or re-rendered reply shows the same log from
+ * the same code path (attachLog, called by ChatMessages.renderAssistantTurn).
+ *
+ * Loads AFTER chat/chat-core.js and chat/chat-messages.js, and after the embed's
+ * openrouter-embed-tools.js.
+ *
+ * @version 0.1.0 — opt-in tools setting, per-model availability notice, live
+ *                   tool log with announcements, and the stored log on replies
+ */
+(function () {
+  "use strict";
+
+  // ── Logging configuration ───────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    if (shouldLog(LOG_LEVELS.ERROR)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatTools]");
+      console.error.apply(console, args);
+    }
+  }
+
+  function logWarn(message) {
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatTools]");
+      console.warn.apply(console, args);
+    }
+  }
+
+  function logInfo(message) {
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatTools]");
+      console.log.apply(console, args);
+    }
+  }
+
+  function logDebug(message) {
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      const args = Array.prototype.slice.call(arguments);
+      args.unshift("[ChatTools]");
+      console.log.apply(console, args);
+    }
+  }
+
+  const S = window.ChatState;
+  if (!S) {
+    logError(
+      "window.ChatState is missing — chat/chat.js must load before chat/chat-tools.js",
+    );
+    return;
+  }
+
+  // ── Wording and limits ──────────────────────────────────────────────────
+  // CHANGE-HERE for the spoken/visible wording.
+  // Chat-scoped key, like chat-tts-export-format in chat/chat-messages.js.
+  const ENABLED_KEY = "chat-tools-enabled";
+
+  const LOG_SUMMARY_LIVE = "Using tools…";
+  const LOG_SUMMARY_PREFIX = "Tools used";
+  const RUNNING_TEXT = "Running…";
+  const DONE_TEXT = "Done";
+  const FAILED_TEXT = "Failed";
+  const INPUT_LABEL = "Input";
+  const RESULT_LABEL = "Result";
+  const ERROR_LABEL = "Error";
+  const ANNOUNCE_START = "Running tool: ";
+  const ANNOUNCE_DONE = "Tool finished: ";
+  const ANNOUNCE_FAILED = "Tool failed: ";
+  const ENABLED_ANNOUNCE = "Tools on. Models that can call tools will use them.";
+  const DISABLED_ANNOUNCE = "Tools off.";
+  const NO_MODEL_TEXT = "Choose a model to see whether it can use tools.";
+  const CANNOT_SUFFIX =
+    " cannot call tools, so messages to it are sent without them.";
+  const CAN_SUFFIX = " can call the tools above.";
+  const OFF_TEXT = "Tools are off. Messages are sent without them.";
+
+  // Longest result text shown in a log entry before it is cut (the full result
+  // still went to the model). Long enough for a contrast report or a typical
+  // diagram description; a runaway result stays readable.
+  const MAX_RESULT_CHARS = 600;
+
+  // ── Module state ────────────────────────────────────────────────────────
+  // The log shown above the reply while a send is generating, or null:
+  // { element, list, items: { [callId]: li } }.
+  let live = null;
+  let wired = false;
+
+  // ── Pure helpers ────────────────────────────────────────────────────────
+
+  /**
+   * A tool call's JSON arguments as "name: value" pairs for display. Falls
+   * back to the raw text when it is not a JSON object.
+   * @param {string} argumentsJson the call's arguments text
+   * @returns {string}
+   */
+  function formatArguments(argumentsJson) {
+    let args;
+    try {
+      args = JSON.parse(argumentsJson || "{}");
+    } catch (e) {
+      return String(argumentsJson || "");
+    }
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+      return String(argumentsJson || "");
+    }
+    return Object.keys(args)
+      .map(function (key) {
+        const value = args[key];
+        return (
+          key + ": " + (typeof value === "string" ? value : JSON.stringify(value))
+        );
+      })
+      .join(", ");
+  }
+
+  /**
+   * A settled run's result (or error) as display text, cut to MAX_RESULT_CHARS.
+   * @param {{ok: boolean, content?: *, error?: string}} run
+   * @returns {string}
+   */
+  function formatResult(run) {
+    if (!run) return "";
+    let text;
+    if (!run.ok) {
+      text = run.error || FAILED_TEXT;
+    } else if (typeof run.content === "string") {
+      text = run.content;
+    } else {
+      text = JSON.stringify(run.content, null, 2) || "";
+    }
+    return text.length > MAX_RESULT_CHARS
+      ? text.slice(0, MAX_RESULT_CHARS) + "…"
+      : text;
+  }
+
+  /**
+   * The closed log's summary line, e.g. "Tools used (2)".
+   * @param {number} count
+   * @returns {string}
+   */
+  function summaryText(count) {
+    return LOG_SUMMARY_PREFIX + " (" + count + ")";
+  }
+
+  /**
+   * The human label for a tool name, from the registry (the name otherwise).
+   * @param {string} name
+   * @returns {string}
+   */
+  function toolLabel(name) {
+    const registry = window.EmbedToolRegistry;
+    const tool = registry ? registry.get(name) : null;
+    return (tool && tool.label) || name;
+  }
+
+  // ── Setting ─────────────────────────────────────────────────────────────
+
+  /** @returns {boolean} true when the person has turned tools on */
+  function isEnabled() {
+    try {
+      return localStorage.getItem(ENABLED_KEY) === "true";
+    } catch (e) {
+      /* localStorage unavailable */
+    }
+    return false;
+  }
+
+  /** @param {boolean} enabled */
+  function setEnabled(enabled) {
+    try {
+      localStorage.setItem(ENABLED_KEY, enabled ? "true" : "false");
+    } catch (e) {
+      /* localStorage unavailable */
+    }
+    refresh();
+  }
+
+  /**
+   * True when `modelId` can be offered tools: its catalogue entry lists tool
+   * calling (the embed model selector's function_calling check) and its
+   * provider declares capabilities.toolCalls. Local models never can.
+   * @param {string} modelId the full model id
+   * @returns {boolean}
+   */
+  function modelCanCallTools(modelId) {
+    if (!modelId || modelId.indexOf("local/") === 0) return false;
+    const entry = window.Chat ? window.Chat.getModelEntry(modelId) : null;
+    const selector = window.EmbedModelSelector;
+    if (
+      !entry ||
+      !selector ||
+      !selector._modelHasCapabilities(entry, ["function_calling"])
+    ) {
+      return false;
+    }
+    const lookup = window.EmbedProviderLookup;
+    const provider = lookup ? lookup.resolve(modelId) : null;
+    return !!(provider && provider.capabilities && provider.capabilities.toolCalls);
+  }
+
+  /**
+   * True when a send to `modelId` should offer tools.
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  function isActiveFor(modelId) {
+    return isEnabled() && !!window.EmbedToolRegistry && modelCanCallTools(modelId);
+  }
+
+  // ── Settings panel ──────────────────────────────────────────────────────
+
+  function el(suffix) {
+    return document.getElementById(S.elId(suffix));
+  }
+
+  /** List the registered tools under the setting (label and description). */
+  function renderToolList() {
+    const list = el("tools-list");
+    const registry = window.EmbedToolRegistry;
+    if (!list) return;
+    list.innerHTML = "";
+    if (!registry) return;
+    registry.list().forEach(function (name) {
+      const tool = registry.get(name);
+      const item = document.createElement("li");
+      item.className = "chat-tools-item";
+      const label = document.createElement("span");
+      label.className = "chat-tools-item-name";
+      label.textContent = tool.label;
+      item.appendChild(label);
+      item.appendChild(document.createTextNode(" — " + tool.description));
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Re-sync the setting and the availability line with the current model.
+   * Called on init, on toggle and by chat/chat.js whenever the model changes.
+   * Silent: the line is not a live region (the toggle announces itself).
+   */
+  function refresh() {
+    const checkbox = el("tools-enabled");
+    const status = el("tools-status");
+    const enabled = isEnabled();
+    if (checkbox) checkbox.checked = enabled;
+    if (!status) return;
+    if (!enabled) {
+      status.textContent = OFF_TEXT;
+      return;
+    }
+    const modelId = S.currentModel;
+    if (!modelId) {
+      status.textContent = NO_MODEL_TEXT;
+      return;
+    }
+    const entry = window.Chat ? window.Chat.getModelEntry(modelId) : null;
+    const name = (entry && entry.name) || modelId;
+    status.textContent =
+      name + (modelCanCallTools(modelId) ? CAN_SUFFIX : CANNOT_SUFFIX);
+  }
+
+  // ── Log rendering ───────────────────────────────────────────────────────
+
+  /**
+   * One log entry: the tool's label and state, its input, and (once settled)
+   * its result or error.
+   * @param {{name: string, label?: string, arguments: string, ok?: boolean, content?: *, error?: string}} run
+   *        a settled run, or a call in progress (no `ok`)
+   * @returns {HTMLLIElement}
+   */
+  function buildItem(run) {
+    const item = document.createElement("li");
+    item.className = "chat-tool-log-item";
+    fillItem(item, run);
+    return item;
+  }
+
+  function fillItem(item, run) {
+    const settled = typeof run.ok === "boolean";
+    item.innerHTML = "";
+    item.classList.toggle("chat-tool-log-item-failed", settled && !run.ok);
+
+    const heading = document.createElement("p");
+    heading.className = "chat-tool-log-heading";
+    const name = document.createElement("span");
+    name.className = "chat-tool-log-name";
+    name.textContent = run.label || toolLabel(run.name);
+    const state = document.createElement("span");
+    state.className = "chat-tool-log-state";
+    state.textContent =
+      " — " + (!settled ? RUNNING_TEXT : run.ok ? DONE_TEXT : FAILED_TEXT);
+    heading.appendChild(name);
+    heading.appendChild(state);
+    item.appendChild(heading);
+
+    const details = document.createElement("dl");
+    details.className = "chat-tool-log-details";
+    appendPair(details, INPUT_LABEL, formatArguments(run.arguments));
+    if (settled) {
+      appendPair(details, run.ok ? RESULT_LABEL : ERROR_LABEL, formatResult(run));
+    }
+    item.appendChild(details);
+  }
+
+  function appendPair(list, label, value) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    const pre = document.createElement("pre");
+    pre.textContent = value;
+    dd.appendChild(pre);
+    list.appendChild(dt);
+    list.appendChild(dd);
+  }
+
+  /**
+   * The log element: a disclosure whose summary counts the runs.
+   * @param {Array<Object>} runs settled runs, or none yet (live)
+   * @param {boolean} isLive true while the send is generating
+   * @returns {HTMLDetailsElement}
+   */
+  function buildLog(runs, isLive) {
+    const log = document.createElement("details");
+    log.className = "chat-tool-log" + (isLive ? " chat-tool-log-live" : "");
+    if (isLive) log.open = true;
+    const summary = document.createElement("summary");
+    summary.textContent = isLive ? LOG_SUMMARY_LIVE : summaryText(runs.length);
+    log.appendChild(summary);
+    const list = document.createElement("ol");
+    list.className = "chat-tool-log-list";
+    runs.forEach(function (run) {
+      list.appendChild(buildItem(run));
+    });
+    log.appendChild(list);
+    return log;
+  }
+
+  /**
+   * Put a reply's stored tool log into its bubble — after the model badge,
+   * before the answer — replacing any log already there. A turn with no runs
+   * gets none. Called from ChatMessages.renderAssistantTurn, so the live and
+   * restored paths build it the same way.
+   * @param {HTMLElement} bubble the assistant bubble
+   * @param {Array<Object>} [toolRuns] the turn's stored runs
+   */
+  function attachLog(bubble, toolRuns) {
+    if (!bubble) return;
+    const old = bubble.querySelector(".chat-tool-log");
+    if (old) old.remove();
+    if (!Array.isArray(toolRuns) || toolRuns.length === 0) return;
+    const log = buildLog(toolRuns, false);
+    const badge = bubble.querySelector(".chat-model-provider-badge");
+    const anchor = badge ? badge.nextSibling : bubble.firstChild;
+    bubble.insertBefore(log, anchor);
+  }
+
+  // ── Live log (during a send) ────────────────────────────────────────────
+
+  /**
+   * Callbacks for embed.sendWithTools that keep the live log above
+   * `assistantBubble`. The log is only created when the first tool starts, so
+   * a reply that calls nothing shows nothing.
+   * @param {HTMLElement} assistantBubble
+   * @returns {{onToolStart: function(Object), onToolResult: function(Object, Object)}}
+   */
+  function startLive(assistantBubble) {
+    finishLive();
+    const view = { element: null, list: null, items: {} };
+    live = view;
+
+    function ensureLog() {
+      if (view.element) return;
+      view.element = buildLog([], true);
+      view.list = view.element.querySelector(".chat-tool-log-list");
+      const parent = assistantBubble && assistantBubble.parentNode;
+      if (parent) parent.insertBefore(view.element, assistantBubble);
+    }
+
+    return {
+      onToolStart: function (call) {
+        if (live !== view) return;
+        ensureLog();
+        const run = { name: call.function.name, arguments: call.function.arguments };
+        const item = buildItem(run);
+        view.items[call.id] = item;
+        view.list.appendChild(item);
+        S.announceToScreenReader(ANNOUNCE_START + toolLabel(run.name) + ".");
+      },
+      onToolResult: function (call, outcome) {
+        if (live !== view) return;
+        const item = view.items[call.id];
+        const run = {
+          name: call.function.name,
+          arguments: call.function.arguments,
+          ok: outcome.ok,
+          content: outcome.content,
+          error: outcome.error,
+        };
+        if (item) fillItem(item, run);
+        const label = toolLabel(run.name);
+        S.announceToScreenReader(
+          outcome.ok
+            ? ANNOUNCE_DONE + label + "."
+            : ANNOUNCE_FAILED + label + ". " + (outcome.error || ""),
+        );
+      },
+    };
+  }
+
+  /**
+   * Take the live log down — the reply (with its stored log) or an error is
+   * about to replace it. Safe to call when there is none.
+   */
+  function finishLive() {
+    if (live && live.element && live.element.parentNode) {
+      live.element.remove();
+    }
+    live = null;
+  }
+
+  // ── Wiring ──────────────────────────────────────────────────────────────
+
+  function wire() {
+    if (wired) return;
+    const checkbox = el("tools-enabled");
+    if (!checkbox) {
+      logWarn("wire: tools setting missing — tools not wired");
+      return;
+    }
+    checkbox.addEventListener("change", function () {
+      setEnabled(checkbox.checked);
+      S.announceToScreenReader(
+        checkbox.checked ? ENABLED_ANNOUNCE : DISABLED_ANNOUNCE,
+      );
+      logDebug("tools", checkbox.checked ? "enabled" : "disabled");
+    });
+    wired = true;
+  }
+
+  function init() {
+    wire();
+    renderToolList();
+    refresh();
+    logInfo("Tools setting wired");
+  }
+
+  // Self-run on DOM-ready, matching chat/chat-core.js's guard.
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  // ── Expose module ────────────────────────────────────────────────────────
+  window.ChatTools = {
+    init: init,
+    refresh: refresh,
+    isEnabled: isEnabled,
+    setEnabled: setEnabled,
+    modelCanCallTools: modelCanCallTools,
+    isActiveFor: isActiveFor,
+    startLive: startLive,
+    finishLive: finishLive,
+    attachLog: attachLog,
+    // Pure helpers — driven directly by the test suite.
+    formatArguments: formatArguments,
+    formatResult: formatResult,
+    summaryText: summaryText,
+    buildLog: buildLog,
+  };
+
+  logInfo("Tools module loaded");
+})();
@@ -16,7 +16,16 @@
  * Loads AFTER local-chat/* because it depends on window.createChatState being
  * defined by local-chat/local-chat-state.js.
  *
- * @version 0.4.0 — Stage 2 step 2b-iii (model-driven download/readiness status)
+ * @version 0.6.0 — local model server: a "Local server" group beside the
+ *                   on-device models, fed by the provider's discovered list
+ *                   and refreshed when discovery finishes.
+ *          0.5.1 — tool calling: reflectSelection refreshes the Tools panel's
+ *                   availability line for the newly selected model.
+ *          0.5.0 — model comparison support: createEngineHandle builds extra
+ *                   handles with the shared handle's configuration (one per
+ *                   comparison column), and selectModel hands the winning model
+ *                   back to the picker.
+ *          0.4.0 — Stage 2 step 2b-iii (model-driven download/readiness status)
  */
 (function () {
   "use strict";
@@ -108,6 +117,9 @@
   // The full unified model list, cached ONCE at build time so filtering runs in
   // memory without re-gating (re-running getAllEligibleModels) on each keystroke.
   let allModels = [];
+  // The background local-server discovery runs at most once per page load (see
+  // discoverLocalServerModels); Set Up's card re-runs it on demand.
+  let localServerDiscoveryStarted = false;
 
   // Pending timer for the debounced count announcement (see applyFilter).
   let announceTimer = null;
@@ -158,6 +170,7 @@
   // are unified by the selector under the single providerId "azure-openai".
   const GROUP_ORDER = [
     { providerId: "local", label: "On your device" },
+    { providerId: "local-server", label: "Local server" },
     { providerId: "openrouter", label: "OpenRouter" },
     { providerId: "azure-openai", label: "Microsoft Foundry" },
   ];
@@ -170,13 +183,18 @@
   // modelMatchesAllFilters and renderPickerOptions.
   //
   // "local" is unconditional; it is not a cloud provider and Set Up's radio does
-  // not speak for it. The comparison is a single providerId test because the
+  // not speak for it. The same holds for the on-device providers ProviderSwitcher
+  // lists (the local model server), which run on the person's own machine. The comparison is a single providerId test because the
   // selector already folds azure-responses into azure-openai (PROVIDER_GROUPS),
   // so both Foundry surfaces are covered. Deliberately NOT
   // ProviderSwitcher.filterToActiveProvider(), which compares resolved ids
   // without expanding that group and would drop azure-responses models.
   function isProviderInScope(providerId) {
-    return providerId === "local" || providerId === activeProvider();
+    return (
+      providerId === "local" ||
+      window.ProviderSwitcher?.isOnDevice?.(providerId) === true ||
+      providerId === activeProvider()
+    );
   }
 
   // Heading for the exempt in-use model when its own group is out of scope. It
@@ -306,12 +324,13 @@
   }
 
   // Whether a model is free to run. Local models run in-browser and are always
-  // free; OpenRouter entries carry an accurate isFree boolean; every Foundry
+  // free, as are models on the person's own local server; OpenRouter entries carry an accurate isFree boolean; every Foundry
   // surface (azure-openai) is treated as never free — there are no free Foundry
   // models and its cost/free data is a mirrored placeholder, so the checkbox must
   // not surface a Foundry model as free.
   function isFreeModel(model) {
     if (model.providerId === "local") return true; // local runs in-browser, free
+    if (model.providerId === "local-server") return true; // own machine, free
     if (model.providerId === "openrouter") return model.isFree === true;
     return false; // all Foundry surfaces: never free (mirrored placeholder data)
   }
@@ -492,12 +511,62 @@
     return host;
   }
 
+  /**
+   * Construction options for an engine handle. Mirrors the Image Describer's
+   * canonical Foundry configuration: BOTH surfaces configured from the shared
+   * `foundryProxyUrl` credential. Shared by the one conversation handle and the
+   * per-column comparison handles, so they can never drift apart.
+   * @returns {Object} OpenRouterEmbed constructor options
+   */
+  function engineHandleOptions() {
+    const proxyUrl =
+      localStorage.getItem("foundryProxyUrl") || FOUNDRY_PROXY_FALLBACK;
+    return {
+      containerId: HOST_ID,
+      // A model id is irrelevant at construction — the sender sets embed.model
+      // per turn. A cheap OpenRouter id keeps construction valid.
+      model: "anthropic/claude-haiku-4.5",
+      showNotifications: false,
+      // Honours a reduced-motion preference by delivering the whole reply at
+      // once rather than streaming token-by-token (the accessibility decision
+      // recorded in the plan).
+      respectReducedMotion: true,
+      // The embed's built-in streaming progress indicator carries its own role="status"/aria-live, which a screen reader voices over the reply; Chat suppresses it and uses its own "Generating response." / "Response ready." cues instead.
+      showStreamingProgress: false,
+      // Canonical Foundry wiring: configure both surfaces from the shared
+      // credential. The library ignores these for OpenRouter-routed models.
+      providers: providersConfig(proxyUrl),
+    };
+  }
+
+  /**
+   * The `providers` map for an engine handle: both Foundry surfaces, plus the
+   * local model server when Set Up holds a valid address for it. Without that
+   * entry the selector gates its models out, which is the right answer when
+   * nothing is set.
+   * @param {string} foundryProxyUrl
+   * @returns {Object}
+   */
+  function providersConfig(foundryProxyUrl) {
+    const providers = {
+      "azure-openai": { proxyUrl: foundryProxyUrl },
+      "azure-responses": { proxyUrl: foundryProxyUrl },
+    };
+    const localServerUrl = localServerBaseUrl();
+    if (localServerUrl) providers["local-server"] = { proxyUrl: localServerUrl };
+    return providers;
+  }
+
+  // The local model server's configured address (normalised by the provider),
+  // or null when none is set or the provider is not loaded.
+  function localServerBaseUrl() {
+    return window.EmbedProviderRegistry?.get?.("local-server")?.getBaseUrl?.() || null;
+  }
+
   /**
    * Build the Foundry-aware engine handle ONCE. Idempotent — returns the cached
-   * instance on subsequent calls. The handle is built only to gate the picker
-   * (via the selector's `embed` argument); it is never used to send in 2b-i.
-   * Mirrors the Image Describer's canonical Foundry configuration: BOTH surfaces
-   * configured from the shared `foundryProxyUrl` credential.
+   * instance on subsequent calls. The picker gates on it (via the selector's
+   * `embed` argument) and chat-core.js sends every conversation turn through it.
    * @returns {Object|null} the OpenRouterEmbed instance, or null if unavailable
    */
   function buildEngineHandle() {
@@ -510,30 +579,9 @@
       return null;
     }
 
-    const proxyUrl =
-      localStorage.getItem("foundryProxyUrl") || FOUNDRY_PROXY_FALLBACK;
-
     try {
       ensureEmbedHost();
-      embed = new window.OpenRouterEmbed({
-        containerId: HOST_ID,
-        // A model id is irrelevant to gating — this handle never sends in 2b-i.
-        // A cheap OpenRouter id keeps construction valid.
-        model: "anthropic/claude-haiku-4.5",
-        showNotifications: false,
-        // Honours a reduced-motion preference by delivering the whole reply at
-        // once rather than streaming token-by-token (the accessibility decision
-        // recorded in the plan).
-        respectReducedMotion: true,
-        // The embed's built-in streaming progress indicator carries its own role="status"/aria-live, which a screen reader voices over the reply; Chat suppresses it and uses its own "Generating response." / "Response ready." cues instead.
-        showStreamingProgress: false,
-        // Canonical Foundry wiring: configure both surfaces from the shared
-        // credential. The library ignores these for OpenRouter-routed models.
-        providers: {
-          "azure-openai": { proxyUrl: proxyUrl },
-          "azure-responses": { proxyUrl: proxyUrl },
-        },
-      });
+      embed = new window.OpenRouterEmbed(engineHandleOptions());
       S.embed = embed;
       Chat._embed = embed;
       logInfo(
@@ -549,6 +597,28 @@
     return embed;
   }
 
+  /**
+   * Build an ADDITIONAL engine handle, configured exactly like the shared one.
+   * A handle holds one model and refuses a second request while one is in
+   * flight, so model comparison (chat-compare.js) gives each column its own
+   * rather than taking turns on S.embed. Never cached here — the caller owns
+   * the handles it creates.
+   * @returns {Object|null} a new OpenRouterEmbed instance, or null if unavailable
+   */
+  function createEngineHandle() {
+    if (typeof window.OpenRouterEmbed !== "function") {
+      logWarn("OpenRouterEmbed not available — no extra engine handle built");
+      return null;
+    }
+    try {
+      ensureEmbedHost();
+      return new window.OpenRouterEmbed(engineHandleOptions());
+    } catch (err) {
+      logError("failed to build an extra engine handle:", err);
+      return null;
+    }
+  }
+
   // ── Model picker ───────────────────────────────────────────────────────────
 
   /**
@@ -596,11 +666,17 @@
   // Which sampling params the model supports. Cloud models read the registry, which
   // the OpenRouter wire path also reads, so notice and wire agree. Local models miss
   // the registry, but the local text gateway accepts only temperature and top_p, so
-  // state that directly.
+  // state that directly. Local-server models miss it too; the provider passes all
+  // four through and llama.cpp, Ollama and LM Studio each accept them.
   function supportedSamplingParams(modelId, providerId) {
     if (providerId === "local") {
       return ["temperature", "top_p"];
     }
+    if (providerId === "local-server") {
+      return SAMPLING_CONTROLS.map(function (c) {
+        return c.param;
+      });
+    }
     return (
       (window.modelRegistry &&
         window.modelRegistry.getSupportedParameters(modelId)) ||
@@ -784,6 +860,10 @@
     if (window.ChatChips && typeof window.ChatChips.refresh === "function") {
       window.ChatChips.refresh();
     }
+    // Tools: say whether the newly selected model can call them (silent).
+    if (window.ChatTools && typeof window.ChatTools.refresh === "function") {
+      window.ChatTools.refresh();
+    }
   }
 
   /**
@@ -894,7 +974,8 @@
    *      that named id is absent from the list, the active provider's first
    *      model; else fall through;
    *   2. a downloaded-and-ready local text model present in the list → its id;
-   *   3. otherwise → { kind: "none" } (caller shows the configure notice).
+   *   3. the first discovered local-server model in the list → its id;
+   *   4. otherwise → { kind: "none" } (caller shows the configure notice).
    * Reads the module-local `allModels`, so it must be called after the list is
    * built in populateModelPicker.
    * @returns {{kind:string, id?:string}}
@@ -924,6 +1005,11 @@
       }
     }
 
+    const serverModel = allModels.find((m) => m.providerId === "local-server");
+    if (serverModel) {
+      return { kind: "local-server", id: serverModel.id };
+    }
+
     return { kind: "none" };
   }
 
@@ -1525,9 +1611,53 @@
     // active provider alone — so this one still only re-resolves the opening
     // model, exactly as before.
     window.addEventListener("credentials:changed", maybeReResolveOpening);
+    // A finished local-server discovery (here, or from Set Up's card) changes
+    // the model LIST, so the picker is rebuilt rather than just re-resolved.
+    const localServer = window.EmbedProviderRegistry?.get?.("local-server");
+    if (localServer && localServer.MODELS_EVENT) {
+      window.addEventListener(localServer.MODELS_EVENT, handleLocalServerModels);
+    }
     eventsWired = true;
   }
 
+  /**
+   * Rebuild the picker for a changed local-server model list. Configures the
+   * shared handle first when the address was saved after it was built, so the
+   * selector's configured-provider gate lets the new models through. Silent,
+   * like handleProviderChange: Set Up's card announces the discovery itself.
+   */
+  function handleLocalServerModels() {
+    // A list this fresh makes the once-per-page background look redundant.
+    localServerDiscoveryStarted = true;
+    const localServerUrl = localServerBaseUrl();
+    if (embed && localServerUrl) {
+      try {
+        embed.configureProvider("local-server", { proxyUrl: localServerUrl });
+      } catch (err) {
+        logWarn("could not configure the local server on the engine handle:", err);
+      }
+    }
+    if (S.els.select) populateModelPicker();
+    logDebug("picker rebuilt for local server models — address " + localServerUrl);
+  }
+
+  /**
+   * Ask the local model server for its models once per page, in the
+   * background, so a server started since the last visit (or a model pulled
+   * since) shows up without a trip to Set Up. The cached list is shown
+   * meanwhile; a server that is not running is the ordinary case and only
+   * logged. Success arrives through handleLocalServerModels.
+   */
+  function discoverLocalServerModels() {
+    if (localServerDiscoveryStarted) return;
+    const localServer = window.EmbedProviderRegistry?.get?.("local-server");
+    if (!localServer || !localServer.getBaseUrl()) return;
+    localServerDiscoveryStarted = true;
+    localServer.discoverModels().catch(function (err) {
+      logInfo("local server discovery skipped:", err && err.message);
+    });
+  }
+
   /**
    * Re-render the picker for a change of active provider, then re-resolve the
    * opening model. Both halves are needed: the rendered option set is a function
@@ -1628,6 +1758,27 @@
     return allModels.find(function (m) { return m.id === modelId; }) || null;
   }
 
+  /**
+   * Select `modelId` in the picker as a user pick (it clears the opening-auto
+   * mark) but WITHOUT the "Switched to …" announcement — the caller says what
+   * happened. Only a model the menu is currently showing can be selected; a
+   * filtered-out or out-of-scope one is left for the user to pick.
+   * @param {string} modelId the full model id
+   * @returns {boolean} true when the picker now has modelId selected
+   */
+  function selectModel(modelId) {
+    const select = S.els.select;
+    if (!select || !modelId) return false;
+    const shown = Array.prototype.some.call(select.options, function (o) {
+      return o.value === modelId;
+    });
+    if (!shown) return false;
+    select.value = modelId;
+    reflectSelection();
+    S.openingAuto = false;
+    return true;
+  }
+
   // ── Lifecycle ───────────────────────────────────────────────────────────
 
   /**
@@ -1642,6 +1793,7 @@
     wireFilter();
     wireProviderEvents();
     populateModelPicker();
+    discoverLocalServerModels();
     logInfo("init complete (engine handle + grouped picker populated)");
   }
 
@@ -1657,6 +1809,7 @@
     wireFilter();
     wireProviderEvents();
     populateModelPicker();
+    discoverLocalServerModels();
     logDebug("refresh complete (picker re-populated)");
   }
 
@@ -1681,6 +1834,10 @@
     // Full unified entry by id, over the same cached/gated list — so the Model
     // information populator (chat-model-info.js) reads exactly what the picker shows.
     getModelEntry: getModelEntry,
+    // Per-column engine handles and the winner hand-back for model comparison
+    // (chat-compare.js).
+    createEngineHandle: createEngineHandle,
+    selectModel: selectModel,
     // Re-evaluate the blocked-attachment notice + send gate. Called by chat-attach.js
     // when the attachment changes, so the gate tracks attach/remove as well as model
     // switches (which route through reflectSelection).
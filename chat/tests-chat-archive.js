@@ -0,0 +1,424 @@
+// Unified Chat — conversation archive suite
+//
+// Proves the PURE parts of Chat's History (window.ChatArchive, chat/
+// chat-archive.js): the entry a cleared conversation is saved as, full-text
+// search and the model/provider filters, the search excerpt, and reading a
+// Chat JSON export back into a conversation — the format check, per-turn
+// restoration with model attribution, attachments, and the report of what
+// could not be restored. The round trip goes through the REAL
+// ChatExport.buildJSON and ChatBranches, so the suite never touches
+// S.branchTree, localStorage or the live DOM.
+//
+// STATIC SUITE — no network, no DOM mutation, no model load.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatArchiveTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatArchiveTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatArchiveTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If any module is absent it has not loaded — do not register a misleading
+  // green.
+  const CA = window.ChatArchive;
+  const CB = window.ChatBranches;
+  const XE = window.ChatExport;
+  if (!CA || typeof CA.parseImport !== "function" || !CB || !XE) {
+    logWarn(
+      "window.ChatArchive / ChatBranches / ChatExport not available — Chat archive suite not registered."
+    );
+    return;
+  }
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  function user(text) {
+    return { role: "user", content: text };
+  }
+  function reply(text, model, providerId) {
+    return {
+      role: "assistant",
+      content: text,
+      model: model || "azure-openai/gpt-5.2",
+      providerId: providerId || "azure-openai",
+    };
+  }
+  // u1 → a1 → u2 → [a2 (first version), a2b (showing, another model)]
+  function branched() {
+    const tree = CB.createTree();
+    CB.appendTurn(tree, user("What is the capital of France?"));
+    CB.appendTurn(tree, reply("Paris is the capital."));
+    const u2 = CB.appendTurn(tree, user("And of Wales?"));
+    const a2 = CB.appendTurn(tree, reply("Cardiff, on the River Taff."));
+    CB.addSibling(tree, a2, reply("Caerdydd (Cardiff).", "openrouter/mistral-large", "openrouter"));
+    return { tree: tree, u2: u2, a2: a2 };
+  }
+  function contents(tree) {
+    return CB.getActiveMessages(tree)
+      .map(function (m) {
+        return typeof m.content === "string" ? m.content : CA.turnText(m);
+      })
+      .join("|");
+  }
+  function entry(title, texts, models) {
+    return {
+      id: "chat-" + title,
+      title: title,
+      messageCount: texts.length,
+      models: models || [],
+      tree: {
+        version: 1,
+        nodes: texts.map(function (text, i) {
+          return {
+            id: "t" + (i + 1),
+            parentId: i === 0 ? "root" : "t" + i,
+            turn: { role: i % 2 === 0 ? "user" : "assistant", content: text },
+          };
+        }),
+        active: {},
+      },
+    };
+  }
+  function archive() {
+    return [
+      entry("Essay feedback", ["Can you review my essay on Brexit?", "The argument is clear."], [
+        { model: "azure-openai/gpt-5.2", providerId: "azure-openai" },
+      ]),
+      entry("Maths help", ["Integrate x squared", "The integral is x cubed over three."], [
+        { model: "openrouter/mistral-large", providerId: "openrouter" },
+      ]),
+      entry("Brexit timeline", ["When did the UK leave the EU?", "On 31 January 2020."], [
+        { model: "openrouter/mistral-large", providerId: "openrouter" },
+        { model: "azure-openai/gpt-5.2", providerId: "azure-openai" },
+      ]),
+    ];
+  }
+  function titles(entries) {
+    return entries
+      .map(function (e) {
+        return e.title;
+      })
+      .join(",");
+  }
+  // A Chat export of the branched fixture, through the real builder. The turns
+  // are given in the export's resolved shape, as the export wrapper does.
+  function exported() {
+    const resolve = function (turns) {
+      return turns.map(function (m) {
+        return m.role === "assistant"
+          ? Object.assign({ modelName: m.model, providerLabel: m.providerId }, m)
+          : m;
+      });
+    };
+    const b = branched();
+    const meta = {
+      exportedAtISO: "2026-07-01T09:21:00.000Z",
+      count: 4,
+      systemPrompt: "Be brief.",
+      tree: CB.serialise(b.tree, resolve),
+    };
+    return JSON.parse(XE.buildJSON(resolve(CB.getActiveMessages(b.tree)), meta));
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+  function assertIncludes(haystack, needle, message) {
+    if (String(haystack).indexOf(needle) === -1) {
+      throw new Error(
+        (message || "assertIncludes") +
+          " — expected to find " +
+          JSON.stringify(needle) +
+          " in " +
+          JSON.stringify(haystack)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "titleFor: first message, whitespace folded, long titles cut": function () {
+      assertEqual(CA.titleFor([user("  Hello\n  there ")]), "Hello there", "folded");
+      const long = "x".repeat(80);
+      assertEqual(CA.titleFor([user(long)]), "x".repeat(57) + "...", "cut to 60");
+      assertEqual(
+        CA.titleFor([{ role: "user", content: [{ kind: "image" }, { type: "text", text: "What is this?" }] }]),
+        "What is this?",
+        "attachment turn's text"
+      );
+      assertEqual(CA.titleFor([]), "Untitled conversation", "untitled");
+      return "titles";
+    },
+
+    "buildEntry: whole tree through the mapper, models from every branch": function () {
+      const b = branched();
+      let mapped = 0;
+      const e = CA.buildEntry(b.tree, {
+        id: "chat-1",
+        now: "2026-07-01T09:21:00.000Z",
+        mapTurns: function (turns) {
+          mapped = turns.length;
+          return turns;
+        },
+        comparisons: [],
+        systemPrompt: "Be brief.",
+      });
+      assertEqual(mapped, 5, "every turn on every branch mapped");
+      assertEqual(e.tree.nodes.length, 5, "all versions stored");
+      assertEqual(e.messageCount, 4, "count is the active path");
+      assertEqual(e.title, "What is the capital of France?", "title");
+      assertEqual(
+        e.models
+          .map(function (m) {
+            return m.model + "@" + m.providerId;
+          })
+          .join(","),
+        "azure-openai/gpt-5.2@azure-openai,openrouter/mistral-large@openrouter",
+        "each model once, including the other version's"
+      );
+      assertEqual(e.comparisons, undefined, "no comparisons field when there are none");
+      assertEqual(contents(CB.deserialise(e.tree)), contents(b.tree), "stored tree round-trips");
+      return "entry";
+    },
+
+    "filterEntries: every word, any case, any branch": function () {
+      assertEqual(titles(CA.filterEntries(archive(), { query: "" })), "Essay feedback,Maths help,Brexit timeline", "no query keeps all, in order");
+      assertEqual(titles(CA.filterEntries(archive(), { query: "BREXIT" })), "Essay feedback,Brexit timeline", "case-insensitive, title or turn");
+      assertEqual(titles(CA.filterEntries(archive(), { query: "brexit essay" })), "Essay feedback", "all words must appear");
+      assertEqual(titles(CA.filterEntries(archive(), { query: "cubed" })), "Maths help", "reply text searched");
+      const b = branched();
+      const e = CA.buildEntry(b.tree, { id: "x", now: "", mapTurns: null });
+      assertEqual(CA.filterEntries([e], { query: "taff" }).length, 1, "an older version is searched");
+      return "search";
+    },
+
+    "filterEntries: model and provider filters": function () {
+      assertEqual(titles(CA.filterEntries(archive(), { model: "openrouter/mistral-large" })), "Maths help,Brexit timeline", "by model");
+      assertEqual(titles(CA.filterEntries(archive(), { providerId: "azure-openai" })), "Essay feedback,Brexit timeline", "by provider");
+      assertEqual(titles(CA.filterEntries(archive(), { providerId: "openrouter", query: "uk" })), "Brexit timeline", "combined with search");
+      const facets = CA.facetsOf(archive());
+      assertEqual(facets.models.join(","), "azure-openai/gpt-5.2,openrouter/mistral-large", "model facets");
+      assertEqual(facets.providers.join(","), "azure-openai,openrouter", "provider facets");
+      return "filters";
+    },
+
+    "matchSnippet: context around the first hit": function () {
+      const long = entry("Long", ["a".repeat(100) + " needle " + "b".repeat(100)]);
+      const snippet = CA.matchSnippet(long, ["needle"]);
+      assertIncludes(snippet, "needle", "hit kept");
+      assertEqual(snippet.charAt(0), "…", "cut at the start");
+      assertEqual(snippet.charAt(snippet.length - 1), "…", "cut at the end");
+      assertEqual(CA.matchSnippet(long, []), "", "no words, no excerpt");
+      assertEqual(CA.matchSnippet(entry("Title only", ["other"]), ["title"]), "", "title-only hit has no excerpt");
+      return "snippet";
+    },
+
+    "parseImport: an export round-trips with every version and its models": function () {
+      const result = CA.parseImport(exported());
+      assertTrue(result.ok, "accepted");
+      assertEqual(contents(result.tree), contents(branched().tree), "active path as exported");
+      assertEqual(CB.countTurns(result.tree), 5, "both versions of the last reply");
+      const last = CB.getActiveMessages(result.tree)[3];
+      assertEqual(last.model, "openrouter/mistral-large", "model kept");
+      assertEqual(last.providerId, "openrouter", "provider kept");
+      assertEqual(last.modelName, undefined, "display labels not stored on the turn");
+      assertEqual(result.systemPrompt, "Be brief.", "system prompt");
+      assertEqual(result.report.restored, 5, "all restored");
+      assertEqual(result.report.skipped.length, 0, "nothing skipped");
+      assertEqual(CA.reportLines(result.report).length, 0, "nothing to report");
+      return "round trip";
+    },
+
+    "parseImport: format version checked before anything else": function () {
+      const file = exported();
+      assertEqual(file.formatVersion, XE.JSON_FORMAT_VERSION, "export states its format");
+      delete file.formatVersion;
+      assertTrue(CA.parseImport(file).ok, "no formatVersion is read as format 1");
+      file.formatVersion = XE.JSON_FORMAT_VERSION + 1;
+      const newer = CA.parseImport(file);
+      assertEqual(newer.ok, false, "newer format refused");
+      assertIncludes(newer.error, "format " + (XE.JSON_FORMAT_VERSION + 1), "names the file's format");
+      const badTree = exported();
+      badTree.tree.version = 99;
+      assertIncludes(CA.parseImport(badTree).error, "version 99", "unknown tree format refused");
+      assertIncludes(CA.parseImport({ model: "x", messages: [] }).error, "not a Chat conversation", "other exports refused");
+      assertIncludes(
+        CA.parseImport({ tool: "chat", kind: "comparison", comparison: {} }).error,
+        "comparison",
+        "comparison file refused"
+      );
+      assertEqual(CA.parseImport(null).ok, false, "null refused");
+      return "versions";
+    },
+
+    "parseImport: a file without a tree comes back as one path": function () {
+      const file = exported();
+      delete file.tree;
+      const result = CA.parseImport(file);
+      assertTrue(result.ok, "accepted");
+      assertEqual(
+        contents(result.tree),
+        "What is the capital of France?|Paris is the capital.|And of Wales?|Caerdydd (Cardiff).",
+        "messages chained"
+      );
+      assertEqual(result.report.total, 4, "four messages read");
+      return "flat";
+    },
+
+    "parseImport: a bad turn is left out with the turns after it, and reported": function () {
+      const file = exported();
+      // Node 2 (a1) loses its text: u2 and both versions of its reply hang off it.
+      file.tree.nodes[1].turn.content = null;
+      const result = CA.parseImport(file);
+      assertTrue(result.ok, "still imported");
+      assertEqual(contents(result.tree), "What is the capital of France?", "path stops before the bad turn");
+      assertEqual(result.report.restored, 1, "one restored");
+      assertEqual(result.report.skipped.length, 1, "one report row");
+      const row = result.report.skipped[0];
+      assertEqual(row.position, 2, "position in the file");
+      assertEqual(row.dependents, 3, "its three followers counted");
+      const lines = CA.reportLines(result.report);
+      assertIncludes(lines[0], "Message 2 (a reply): its text is missing.", "reason in words");
+      assertIncludes(lines[0], "3 messages after it", "followers in words");
+
+      const sibling = exported();
+      sibling.tree.nodes[3].turn.role = "tool";
+      const kept = CA.parseImport(sibling);
+      assertEqual(CB.countTurns(kept.tree), 4, "the other version survives");
+      assertEqual(kept.report.skipped[0].dependents, 0, "a leaf has no followers");
+      return "partial";
+    },
+
+    "parseImport: nothing restorable is refused with its report": function () {
+      const file = exported();
+      file.tree.nodes[0].turn = "not a turn";
+      const result = CA.parseImport(file);
+      assertEqual(result.ok, false, "refused");
+      assertIncludes(result.error, "None of the messages", "says so");
+      assertEqual(result.report.skipped[0].dependents, 4, "everything hung off the first turn");
+      return "none";
+    },
+
+    "importTurn: attachments come back live with bytes, by name without": function () {
+      const data = "data:image/png;base64,iVBORw0KGgo=";
+      const live = CA.importTurn({
+        role: "user",
+        content: "Describe this",
+        attachments: [
+          { kind: "image", filename: "cat.png", mimeType: "image/png", size: 8, bytesIncluded: true, data: data },
+        ],
+      });
+      assertEqual(live.turn.content[0].image_url.url, data, "image part rebuilt");
+      assertEqual(live.turn.content[1].text, "Describe this", "text part");
+      assertEqual(live.turn.attachment.filename, "cat.png", "reference kept for the session");
+      assertEqual(live.referenceOnly, false, "sendable");
+
+      const pdf = CA.importTurn({
+        role: "user",
+        content: "Summarise",
+        attachments: [{ kind: "pdf", filename: "a.pdf", mimeType: "application/pdf", size: 10, bytesIncluded: false }],
+      });
+      assertEqual(pdf.turn.content[0].kind, "pdf", "byte-free reference part");
+      assertEqual(pdf.turn.content[0].filename, "a.pdf", "by name");
+      assertEqual(pdf.referenceOnly, true, "reported as name only");
+
+      const odd = CA.importTurn({ role: "user", content: "Hi", attachments: [{ kind: "audio" }] });
+      assertEqual(odd.turn.content, "Hi", "text kept");
+      assertEqual(odd.attachmentDropped, true, "unknown kind dropped");
+      assertIncludes(
+        CA.reportLines({ skipped: [], referenceOnly: 1, attachmentsDropped: 1 }).join(" "),
+        "shows by name only",
+        "name-only attachments reported"
+      );
+      return "attachments";
+    },
+  };
+
+  // ── Shape 1 runner ──────────────────────────────────────────────────────
+  function runStructural() {
+    console.log("%c══ Chat conversation archive (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatArchiveResults = out;
+    return out;
+  }
+
+  const ChatArchiveTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatArchiveTests = ChatArchiveTests;
+
+  logInfo("Chat archive suite registered (static) — run ChatArchiveTests.runStructural()");
+})();
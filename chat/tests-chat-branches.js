@@ -0,0 +1,295 @@
+// Unified Chat — conversation branching suite
+//
+// Proves the PURE conversation-tree model (window.ChatBranches, chat/
+// chat-branches.js): the active path, edit-style and regenerate-style
+// versions, version switching, and the serialised form that session storage
+// and the JSON export share. Calls the REAL tree functions from fixed fixture
+// turns, so the suite never touches S.branchTree, the DOM, storage or a model.
+//
+// STATIC SUITE — no network, no DOM mutation, no model load.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatBranchesTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatBranchesTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatBranchesTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If ChatBranches is absent the branching model has not loaded — do not
+  // register a misleading green.
+  const CB = window.ChatBranches;
+  if (!CB || typeof CB.createTree !== "function") {
+    logWarn(
+      "window.ChatBranches.createTree not available — Chat branching suite not registered."
+    );
+    return;
+  }
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  function user(text) {
+    return { role: "user", content: text };
+  }
+  function reply(text) {
+    return {
+      role: "assistant",
+      content: text,
+      model: "azure-openai/gpt-5.2",
+      providerId: "azure-openai",
+    };
+  }
+  function contents(tree) {
+    return CB.getActiveMessages(tree)
+      .map(function (m) {
+        return m.content;
+      })
+      .join(",");
+  }
+  // u1 a1 u2 a2 — a plain four-turn thread.
+  function linear() {
+    return CB.fromMessages([user("u1"), reply("a1"), user("u2"), reply("a2")]);
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "empty tree: no active path, leaf is the root": function () {
+      const tree = CB.createTree();
+      assertEqual(CB.getActivePath(tree).length, 0, "empty path");
+      assertEqual(CB.getActiveLeaf(tree), CB.ROOT_ID, "leaf is root");
+      assertEqual(CB.countTurns(tree), 0, "no turns");
+      return "empty: path [], leaf root";
+    },
+
+    "fromMessages: a flat thread becomes one path of the same turn objects":
+      function () {
+        const turns = [user("u1"), reply("a1")];
+        const tree = CB.fromMessages(turns);
+        const active = CB.getActiveMessages(tree);
+        assertEqual(active.length, 2, "two turns");
+        assertTrue(active[0] === turns[0], "turn objects are shared, not copied");
+        assertEqual(
+          CB.getVersionInfo(tree, CB.getActivePath(tree)[1]).count,
+          1,
+          "single version"
+        );
+        return "fromMessages: path of 2, shared references";
+      },
+
+    "edit: addSibling keeps the old branch and ends the path at the new version":
+      function () {
+        const tree = linear();
+        const u2 = CB.getActivePath(tree)[2];
+        const edited = CB.addSibling(tree, u2, user("u2-edited"));
+        assertEqual(contents(tree), "u1,a1,u2-edited", "path ends at the edit");
+        const info = CB.getVersionInfo(tree, edited);
+        assertEqual(info.index, 1, "edit is version 2");
+        assertEqual(info.count, 2, "two versions");
+        assertEqual(CB.countTurns(tree), 5, "old u2 + a2 still held");
+        CB.appendTurn(tree, reply("a2-new"));
+        assertEqual(contents(tree), "u1,a1,u2-edited,a2-new", "reply follows the edit");
+        return "edit: " + contents(tree);
+      },
+
+    "select version: each version keeps its own continuation": function () {
+      const tree = linear();
+      const u2 = CB.getActivePath(tree)[2];
+      const edited = CB.addSibling(tree, u2, user("u2-edited"));
+      CB.appendTurn(tree, reply("a2-new"));
+      assertEqual(CB.selectVersion(tree, edited, 0), u2, "returns the chosen id");
+      assertEqual(contents(tree), "u1,a1,u2,a2", "version 1 brings a2 back");
+      CB.selectVersion(tree, u2, 1);
+      assertEqual(contents(tree), "u1,a1,u2-edited,a2-new", "version 2 brings a2-new back");
+      assertEqual(CB.selectVersion(tree, u2, 2), null, "out of range refused");
+      assertEqual(contents(tree), "u1,a1,u2-edited,a2-new", "refusal changes nothing");
+      return "select: continuations preserved per version";
+    },
+
+    "regenerate: detachFrom + appendTurn adds a sibling reply": function () {
+      const tree = linear();
+      const a2 = CB.getActivePath(tree)[3];
+      const prior = CB.detachFrom(tree, a2);
+      assertEqual(contents(tree), "u1,a1,u2", "path stops at the prompt");
+      const fresh = CB.appendTurn(tree, reply("a2-regen"));
+      assertEqual(contents(tree), "u1,a1,u2,a2-regen", "new reply on the path");
+      const info = CB.getVersionInfo(tree, fresh);
+      assertEqual(info.index + 1 + " of " + info.count, "2 of 2", "sibling of a2");
+      assertEqual(CB.restoreSelection(tree, prior), false, "no restore once a reply landed");
+      return "regenerate: " + contents(tree);
+    },
+
+    "regenerate failure: restoreSelection puts the old reply back": function () {
+      const tree = linear();
+      const a1 = CB.getActivePath(tree)[1];
+      const prior = CB.detachFrom(tree, a1);
+      assertEqual(contents(tree), "u1", "later turns leave the path with a1");
+      assertEqual(CB.restoreSelection(tree, prior), true, "restored");
+      assertEqual(contents(tree), "u1,a1,u2,a2", "whole continuation is back");
+      return "restore: " + contents(tree);
+    },
+
+    "root fork: editing the first message branches at the root": function () {
+      const tree = linear();
+      const u1 = CB.getActivePath(tree)[0];
+      CB.addSibling(tree, u1, user("u1-edited"));
+      assertEqual(contents(tree), "u1-edited", "fresh path from the root");
+      CB.selectVersion(tree, u1, 0);
+      assertEqual(contents(tree), "u1,a1,u2,a2", "original thread intact");
+      assertEqual(CB.addSibling(tree, CB.ROOT_ID, user("x")), null, "root has no siblings");
+      return "root fork: both threads held";
+    },
+
+    "serialise → deserialise: whole tree, active choices and ids round-trip":
+      function () {
+        const tree = linear();
+        const u2 = CB.getActivePath(tree)[2];
+        CB.addSibling(tree, u2, user("u2-edited"));
+        CB.appendTurn(tree, reply("a2-new"));
+        CB.selectVersion(tree, u2, 0);
+
+        const data = JSON.parse(JSON.stringify(CB.serialise(tree)));
+        assertEqual(data.version, CB.FORMAT_VERSION, "format version");
+        assertEqual(data.nodes.length, 6, "every turn on every branch");
+        const back = CB.deserialise(data);
+        assertTrue(back !== null, "valid");
+        assertEqual(contents(back), "u1,a1,u2,a2", "active choice restored");
+        CB.selectVersion(back, CB.getActivePath(back)[2], 1);
+        assertEqual(contents(back), "u1,a1,u2-edited,a2-new", "other branch restored");
+        const next = CB.appendTurn(back, user("u3"));
+        assertTrue(!data.nodes.some(function (n) { return n.id === next; }), "new ids never collide");
+        return "round-trip: 6 nodes, both branches, fresh id " + next;
+      },
+
+    "serialise: mapTurns sees every turn once, in node order": function () {
+      const tree = linear();
+      CB.addSibling(tree, CB.getActivePath(tree)[3], reply("a2-b"));
+      let seen = 0;
+      const data = CB.serialise(tree, function (turns) {
+        seen = turns.length;
+        return turns.map(function (t) {
+          return { role: t.role, content: String(t.content).toUpperCase() };
+        });
+      });
+      assertEqual(seen, 5, "mapper saw all five turns");
+      assertEqual(data.nodes[4].turn.content, "A2-B", "mapped turn stored");
+      assertEqual(CB.countTurns(tree), 5, "live tree unchanged");
+      assertEqual(contents(tree), "u1,a1,u2,a2-b", "live turns unchanged");
+      return "mapTurns: 5 turns mapped";
+    },
+
+    "deserialise: rejects unknown versions, orphans, duplicates and role-less turns":
+      function () {
+        const good = CB.serialise(linear());
+        assertEqual(CB.deserialise(null), null, "null");
+        assertEqual(
+          CB.deserialise(Object.assign({}, good, { version: 99 })),
+          null,
+          "unknown version"
+        );
+        const orphan = JSON.parse(JSON.stringify(good));
+        orphan.nodes[1].parentId = "t99";
+        assertEqual(CB.deserialise(orphan), null, "parent not seen first");
+        const dup = JSON.parse(JSON.stringify(good));
+        dup.nodes[2].id = dup.nodes[1].id;
+        assertEqual(CB.deserialise(dup), null, "duplicate id");
+        const roleless = JSON.parse(JSON.stringify(good));
+        delete roleless.nodes[0].turn.role;
+        assertEqual(CB.deserialise(roleless), null, "turn without a role");
+        const badActive = JSON.parse(JSON.stringify(good));
+        badActive.active.t2 = "t1";
+        assertEqual(contents(CB.deserialise(badActive)), "u1,a1", "stray active stops the path");
+        return "deserialise: 5 invalid shapes rejected, stray active tolerated";
+      },
+  };
+
+  // ── Shape 1 runner ──────────────────────────────────────────────────────
+  function runStructural() {
+    console.log("%c══ Chat conversation branching (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatBranchesResults = out;
+    return out;
+  }
+
+  const ChatBranchesTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatBranchesTests = ChatBranchesTests;
+
+  logInfo("Chat branching suite registered (static) — run ChatBranchesTests.runStructural()");
+})();
@@ -215,8 +215,8 @@
     "edit-plus-window: truncation removes post-edit turns; window sees only the truncated payload":
       function () {
         const full = ten(10);
-        // mirrors commitEdit — S.messages[4].content = newText;
-        // S.messages = S.messages.slice(0, 5)
+        // models commitEdit as data — the edited version becomes the end of
+        // the active path, so the payload is the first five turns with the edit
         full[4].content = "EDITED";
         const truncated = full.slice(0, 5);
         const r = applyTokenWindow({
@@ -264,6 +264,54 @@
         );
         return "truncated 7 → kept 3 (front-dropped), last = " + r.messages[r.messages.length - 1].content;
       },
+
+    // ── Branch-plus-window (conversation branching) ───────────────────────
+    // dispatchSend windows the tree's ACTIVE PATH. Build a real tree with a
+    // long inactive branch and assert the window never sees it.
+    "branch-plus-window: only the active branch is windowed": function () {
+      const CB = window.ChatBranches;
+      if (!CB) throw new Error("window.ChatBranches not loaded");
+      const tree = CB.fromMessages(ten(10));
+      // Edit m2: the old m2..m9 become an inactive branch.
+      CB.addSibling(tree, CB.getActivePath(tree)[2], { role: "user", content: "EDITED" });
+      const active = CB.getActiveMessages(tree);
+      const r = applyTokenWindow({
+        messages: active,
+        limit: 200,
+        answerReservation: 20,
+        safetyMargin: 0,
+        systemPrompt: "",
+        estimate: est,
+      });
+      assertEqual(r.messages.length, 3, "payload is m0, m1, EDITED");
+      assertEqual(r.dropped, 0, "nothing dropped");
+      assertEqual(
+        r.messages[r.messages.length - 1].content,
+        "EDITED",
+        "edited version is the latest turn"
+      );
+      return "active 3 of " + CB.countTurns(tree) + " held, dropped 0";
+    },
+
+    "branch-plus-window: switching version changes the windowed payload": function () {
+      const CB = window.ChatBranches;
+      if (!CB) throw new Error("window.ChatBranches not loaded");
+      const tree = CB.fromMessages(ten(10));
+      const m2 = CB.getActivePath(tree)[2];
+      CB.addSibling(tree, m2, { role: "user", content: "EDITED" });
+      CB.selectVersion(tree, m2, 0); // back to the original ten
+      const r = applyTokenWindow({
+        messages: CB.getActiveMessages(tree),
+        limit: 100,
+        answerReservation: 20,
+        safetyMargin: 0,
+        systemPrompt: "",
+        estimate: est,
+      });
+      assertEqual(r.dropped, 3, "original branch trims like the flat thread");
+      assertEqual(r.messages[0].content, "m3", "oldest surviving is m3");
+      return "original branch: kept " + r.messages.length + ", dropped " + r.dropped;
+    },
   };
 
   // ── Shape 1 runner ──────────────────────────────────────────────────────
@@ -0,0 +1,394 @@
+// Unified Chat — model comparison suite
+//
+// Proves the PURE parts of side-by-side comparison (window.ChatCompare,
+// chat/chat-compare.js, and the comparison builders in chat/chat-export.js):
+// the selection rules, usage normalisation, cost estimation, the metric
+// wording, how a chosen comparison lands in the conversation tree, and the
+// Markdown, HTML and JSON comparison exports. Calls the REAL functions from
+// fixed fixture records, so the suite never sends to a model, opens a
+// comparison or touches S.branchTree.
+//
+// STATIC SUITE — no network, no DOM mutation, no model load.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatCompareTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatCompareTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatCompareTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If ChatCompare, ChatBranches or the comparison export builders are absent
+  // the module has not loaded — do not register a misleading green.
+  const CC = window.ChatCompare;
+  const CB = window.ChatBranches;
+  const CE = window.ChatExport;
+  if (
+    !CC ||
+    typeof CC.applyToTree !== "function" ||
+    !CB ||
+    !CE ||
+    typeof CE.buildComparisonMarkdown !== "function"
+  ) {
+    logWarn(
+      "window.ChatCompare / ChatBranches / ChatExport comparison builders not available — Chat comparison suite not registered."
+    );
+    return;
+  }
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  function column(model, providerId, overrides) {
+    const col = {
+      model: model,
+      providerId: providerId,
+      modelName: model.split("/").pop(),
+      providerLabel: providerId,
+      status: "done",
+      content: "Answer from " + model,
+      error: null,
+      latencyMs: 1200,
+      usage: { prompt: 10, completion: 5, total: 15, estimated: false },
+      cost: { kind: "free" },
+      latencyText: "1.2 s",
+      tokensText: "15 tokens (10 in, 5 out)",
+      costText: "Free (runs on your device)",
+    };
+    Object.keys(overrides || {}).forEach(function (key) {
+      col[key] = overrides[key];
+    });
+    return col;
+  }
+  // Three columns: two answered, the middle one failed.
+  function record(winner) {
+    return {
+      id: "comparison-1",
+      createdAt: "2026-10-19T10:00:00.000Z",
+      prompt: "Compare these",
+      systemPrompt: "Be brief",
+      winner: winner === undefined ? null : winner,
+      columns: [
+        column("openrouter/alpha", "openrouter"),
+        column("azure-openai/beta", "azure-openai", {
+          status: "error",
+          content: "",
+          error: "Rate limited",
+          usage: null,
+        }),
+        column("local/gamma", "local"),
+      ],
+    };
+  }
+  const META = {
+    dateStr: "2026-10-19",
+    exportedAtISO: "2026-10-19T10:05:00.000Z",
+    exportedAtLocal: "19/10/2026, 10:05:00",
+    count: 3,
+    safeName: "chat-comparison-2026-10-19",
+  };
+  function contents(tree) {
+    return CB.getActiveMessages(tree)
+      .map(function (m) {
+        return m.content;
+      })
+      .join(",");
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "selectionProblem: no model, duplicate and full are refused": function () {
+      assertTrue(CC.selectionProblem([], "") !== null, "no model");
+      assertTrue(CC.selectionProblem(["a"], "a") !== null, "duplicate");
+      const full = [];
+      for (let i = 0; i < CC.MAX_MODELS; i++) full.push("m" + i);
+      assertTrue(CC.selectionProblem(full, "new") !== null, "full");
+      assertEqual(CC.selectionProblem(["a"], "b"), null, "room for another");
+      return "refuses empty, duplicate and a " + (CC.MAX_MODELS + 1) + "th model";
+    },
+
+    "normaliseUsage: integer usage with a prompt count is reported as-is":
+      function () {
+        const u = CC.normaliseUsage(
+          { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+          999
+        );
+        assertEqual(u.prompt, 100, "prompt");
+        assertEqual(u.completion, 20, "completion");
+        assertEqual(u.total, 120, "total");
+        assertEqual(u.estimated, false, "not estimated");
+        return "100 + 20 = 120, reported";
+      },
+
+    "normaliseUsage: fractional or prompt-less usage uses the prompt estimate":
+      function () {
+        const streamed = CC.normaliseUsage(
+          { prompt_tokens: 0, completion_tokens: 12.5, total_tokens: 12.5 },
+          40
+        );
+        assertEqual(streamed.prompt, 40, "prompt from estimate");
+        assertEqual(streamed.completion, 13, "completion rounded");
+        assertEqual(streamed.total, 53, "total");
+        assertEqual(streamed.estimated, true, "estimated");
+        const local = CC.normaliseUsage({ prompt_tokens: 0, completion_tokens: 7 }, 0);
+        assertEqual(local.completion, 7, "local completion kept");
+        assertEqual(local.estimated, true, "local estimated");
+        return "streamed 40 + 13 ≈ 53; local 0 + 7 estimated";
+      },
+
+    "normaliseUsage: missing or empty usage is null": function () {
+      assertEqual(CC.normaliseUsage(null, 10), null, "null usage");
+      assertEqual(CC.normaliseUsage({}, 10), null, "no counts");
+      assertEqual(
+        CC.normaliseUsage({ prompt_tokens: 0, completion_tokens: 0 }, 0),
+        null,
+        "all zero"
+      );
+      return "null, {} and all-zero → null";
+    },
+
+    "estimateCost: local is free, Foundry institutional, OpenRouter priced":
+      function () {
+        const usage = { prompt: 1000, completion: 500, total: 1500, estimated: false };
+        assertEqual(CC.estimateCost("local", null, usage).kind, "free", "local");
+        assertEqual(
+          CC.estimateCost("azure-openai", { input: 1, output: 2 }, usage).kind,
+          "institution",
+          "foundry"
+        );
+        const priced = CC.estimateCost("openrouter", { input: 3, output: 15 }, usage);
+        assertEqual(priced.kind, "usd", "openrouter kind");
+        // 1000 × $3/M + 500 × $15/M = $0.003 + $0.0075
+        assertEqual(Math.round(priced.usd * 1e6), 10500, "usd maths");
+        assertEqual(priced.estimated, false, "not estimated");
+        assertEqual(CC.estimateCost("openrouter", null, usage).kind, "unknown", "no prices");
+        assertEqual(
+          CC.estimateCost("openrouter", { input: 3, output: 15 }, null).kind,
+          "unknown",
+          "no usage"
+        );
+        return "free / institution / $0.0105 / unknown";
+      },
+
+    "formatters: latency, tokens and cost wording": function () {
+      assertEqual(CC.formatLatency(850), "850 ms", "ms");
+      assertEqual(CC.formatLatency(2400), "2.4 s", "seconds");
+      assertEqual(CC.formatLatency(null), "Not measured", "unmeasured");
+      assertEqual(
+        CC.formatTokens({ prompt: 1000, completion: 234, total: 1234, estimated: false }),
+        (1234).toLocaleString() + " tokens (" + (1000).toLocaleString() + " in, 234 out)",
+        "tokens"
+      );
+      assertTrue(
+        CC.formatTokens({ prompt: 1, completion: 1, total: 2, estimated: true }).indexOf(
+          "about "
+        ) === 0,
+        "estimated tokens prefixed"
+      );
+      assertEqual(CC.formatTokens(null), "Not reported", "no usage");
+      assertEqual(CC.formatCost({ kind: "free" }), "Free (runs on your device)", "free");
+      assertEqual(
+        CC.formatCost({ kind: "institution" }),
+        "Billed via your institution",
+        "institution"
+      );
+      assertEqual(CC.formatCost({ kind: "usd", usd: 0.1234 }), "$0.12", "cents");
+      assertEqual(
+        CC.formatCost({ kind: "usd", usd: 0.0012, estimated: true }),
+        "about $0.0012",
+        "estimated fraction"
+      );
+      assertEqual(CC.formatCost({ kind: "usd", usd: 0.00001 }), "under $0.0001", "tiny");
+      assertEqual(CC.formatCost({ kind: "unknown" }), "Not available", "unknown");
+      return "850 ms · 2.4 s · $0.12 · about $0.0012 · under $0.0001";
+    },
+
+    "applyToTree: answered columns become versions with the winner showing":
+      function () {
+        const tree = CB.createTree();
+        const out = CC.applyToTree(tree, { role: "user", content: "Compare these" }, record(2), 2);
+        assertEqual(out.versions, 2, "failed column left out");
+        assertEqual(contents(tree), "Compare these,Answer from local/gamma", "winner active");
+        const info = CB.getVersionInfo(tree, out.winnerNodeId);
+        assertEqual(info.index, 1, "winner is the second version");
+        assertEqual(info.count, 2, "two versions");
+        const first = CB.selectVersion(tree, out.winnerNodeId, 0);
+        assertEqual(tree.nodes[first].turn.model, "openrouter/alpha", "other kept");
+        return "2 versions, winner 2 of 2";
+      },
+
+    "applyToTree: lands after the existing thread": function () {
+      const tree = CB.fromMessages([
+        { role: "user", content: "u1" },
+        { role: "assistant", content: "a1" },
+      ]);
+      CC.applyToTree(tree, { role: "user", content: "Compare these" }, record(0), 0);
+      assertEqual(
+        contents(tree),
+        "u1,a1,Compare these,Answer from openrouter/alpha",
+        "appended to the active path"
+      );
+      return "u1,a1 kept; comparison appended";
+    },
+
+    "applyToTree: a winner with no answer leaves the tree alone": function () {
+      const tree = CB.createTree();
+      assertEqual(
+        CC.applyToTree(tree, { role: "user", content: "x" }, record(1), 1),
+        null,
+        "null"
+      );
+      assertEqual(CB.countTurns(tree), 0, "tree untouched");
+      return "failed winner → null, no turns";
+    },
+
+    "buildComparisonMarkdown: summary table, escaped cells, one section per model":
+      function () {
+        const rec = record(0);
+        rec.columns[0].modelName = "Alpha | Pro";
+        const md = CE.buildComparisonMarkdown(rec, META);
+        assertTrue(md.indexOf("# Chat model comparison") === 0, "title");
+        assertTrue(md.indexOf("| Model | Provider | Latency | Tokens | Cost | Result |") !== -1, "header row");
+        assertTrue(md.indexOf("| Alpha \\| Pro | openrouter | 1.2 s |") !== -1, "pipe escaped");
+        assertTrue(md.indexOf("| Chosen |") !== -1, "winner marked");
+        assertTrue(md.indexOf("## Alpha | Pro · openrouter (chosen)") !== -1, "winner section");
+        assertTrue(md.indexOf("*No answer: Rate limited*") !== -1, "failed column");
+        assertTrue(md.indexOf("Be brief") !== -1, "system prompt");
+        return "table + 3 sections, pipe escaped";
+      },
+
+    "buildComparisonHTML: captioned table with row headers, text escaped":
+      function () {
+        const rec = record(0);
+        rec.prompt = "<b>bold?</b>";
+        rec.columns[2].modelName = "<gamma>";
+        const html = CE.buildComparisonHTML(rec, META);
+        assertTrue(html.indexOf("<caption>Summary</caption>") !== -1, "caption");
+        assertTrue(html.indexOf('<th scope="col">Latency</th>') !== -1, "column header");
+        assertTrue(html.indexOf('<th scope="row">&lt;gamma&gt;</th>') !== -1, "row header escaped");
+        assertTrue(html.indexOf("<b>bold?</b>") === -1, "prompt escaped");
+        assertTrue(html.indexOf("No answer: Rate limited") !== -1, "failed column");
+        assertTrue(html.indexOf('lang="en-GB"') !== -1, "document language");
+        return "caption, scope=col/row, escaped";
+      },
+
+    "buildComparisonJSON: tool/kind envelope with raw figures": function () {
+      const data = JSON.parse(CE.buildComparisonJSON(record(2), META));
+      assertEqual(data.tool, "chat", "tool");
+      assertEqual(data.kind, "comparison", "kind");
+      assertEqual(data.exportedAt, META.exportedAtISO, "exportedAt");
+      assertEqual(data.comparison.winner, 2, "winner");
+      assertEqual(data.comparison.columns.length, 3, "all columns");
+      assertEqual(data.comparison.columns[0].latencyMs, 1200, "latency in ms");
+      assertEqual(data.comparison.columns[1].error, "Rate limited", "error kept");
+      assertEqual(data.comparison.columns[0].latencyText, undefined, "no display strings");
+      return "chat/comparison, winner 2, 3 columns";
+    },
+
+    "buildJSON: chosen comparisons ride along as `comparisons`": function () {
+      const meta = {
+        dateStr: "2026-10-19",
+        exportedAtISO: "2026-10-19T10:05:00.000Z",
+        exportedAtLocal: "19/10/2026",
+        count: 0,
+        comparisons: [record(0)],
+      };
+      const withOne = JSON.parse(CE.buildJSON([], meta));
+      assertEqual(withOne.comparisons.length, 1, "one comparison");
+      assertEqual(withOne.comparisons[0].id, "comparison-1", "record id");
+      meta.comparisons = [];
+      const without = JSON.parse(CE.buildJSON([], meta));
+      assertEqual(without.comparisons, undefined, "omitted when none");
+      return "comparisons present only when chosen";
+    },
+  };
+
+  function runStructural() {
+    console.log("%c══ Chat model comparison (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatCompareResults = out;
+    return out;
+  }
+
+  const ChatCompareTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatCompareTests = ChatCompareTests;
+
+  logInfo("Chat comparison suite registered (static) — run ChatCompareTests.runStructural()");
+})();
@@ -0,0 +1,327 @@
+// Unified Chat — document retrieval suite
+//
+// Proves the PURE parts of "My documents" retrieval shared by Chat and Local
+// Chat (window.DocumentLibrary, openrouter-embed/document-library.js, and
+// window.DocumentLibraryUI, openrouter-embed/document-library-ui.js): how
+// text is cut into passages, how Markdown and HTML are split into cited
+// sections, how passages are ranked, how they are added to the outgoing
+// messages without touching the stored thread, the sources stored on a turn,
+// and the sources list and [n] citation links drawn into a bubble. Calls the
+// REAL functions on fixture text, hand-made vectors and DETACHED elements, so
+// the suite never loads the embedding model, opens IndexedDB or sends.
+//
+// STATIC SUITE — no network, no live-DOM mutation, no model load.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatDocumentsTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatDocumentsTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatDocumentsTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If either module is absent it has not loaded — do not register a
+  // misleading green.
+  const DL = window.DocumentLibrary;
+  const DUI = window.DocumentLibraryUI;
+  if (!DL || typeof DL.chunkText !== "function" || !DUI || typeof DUI.attachSources !== "function") {
+    logWarn(
+      "window.DocumentLibrary / DocumentLibraryUI not available — document retrieval suite not registered."
+    );
+    return;
+  }
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  function passages() {
+    return [
+      {
+        documentId: "doc-a",
+        title: "Assessment policy.pdf",
+        location: "page 3",
+        text: "Extensions of up to seven days may be granted by the module leader.",
+        score: 0.71234,
+      },
+      {
+        documentId: "doc-b",
+        title: "Handbook.md",
+        location: null,
+        text: "Late work without an extension is capped at the pass mark.",
+        score: 0.5,
+      },
+    ];
+  }
+  // A detached assistant bubble shaped like a rendered reply: badge, body,
+  // then the action bar.
+  function bubble(bodyHtml) {
+    const b = document.createElement("div");
+    b.className = "local-chat-bubble local-chat-bubble-assistant";
+    const badge = document.createElement("span");
+    badge.className = "local-chat-model-badge";
+    badge.textContent = "Model [1]";
+    const body = document.createElement("div");
+    body.className = "fixture-answer";
+    body.innerHTML = bodyHtml;
+    const actions = document.createElement("div");
+    actions.className = "local-chat-bubble-actions";
+    b.appendChild(badge);
+    b.appendChild(body);
+    b.appendChild(actions);
+    return b;
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "chunkText: short paragraphs packed into one passage": function () {
+      const chunks = DL.chunkText("First paragraph.\n\nSecond paragraph.", { size: 100, overlap: 0 });
+      assertEqual(chunks.length, 1, "one passage");
+      assertEqual(chunks[0], "First paragraph.\n\nSecond paragraph.", "paragraph break kept");
+      assertEqual(DL.chunkText("   \n\n  ").length, 0, "blank text has no passages");
+      return "packed";
+    },
+
+    "chunkText: passages stay within size and overlap": function () {
+      const sentence = "The quick brown fox jumps over the lazy dog. ";
+      const text = [sentence.repeat(3), sentence.repeat(3), sentence.repeat(3)].join("\n\n");
+      const chunks = DL.chunkText(text, { size: 200, overlap: 40 });
+      assertTrue(chunks.length > 1, "split into several passages");
+      chunks.forEach(function (chunk, i) {
+        assertTrue(chunk.length <= 200, "passage " + i + " within size");
+      });
+      const tail = chunks[0].slice(-20).trim();
+      assertTrue(chunks[1].indexOf(tail) !== -1, "second passage starts with the first's tail");
+      return chunks.length + " passages";
+    },
+
+    "chunkText: one long paragraph split at sentence ends": function () {
+      const text = "Alpha is first. ".repeat(20).trim();
+      const chunks = DL.chunkText(text, { size: 100, overlap: 0 });
+      assertTrue(chunks.length > 1, "split");
+      chunks.forEach(function (chunk) {
+        assertTrue(chunk.length <= 100, "within size");
+        assertTrue(/\.$/.test(chunk), "ends on a sentence: " + chunk.slice(-10));
+      });
+      return "sentence boundaries";
+    },
+
+    "sectionsFromMarkdown: headings become locations, code fences ignored": function () {
+      const sections = DL.sectionsFromMarkdown(
+        "Intro line.\n\n# Extensions\n\nUp to seven days.\n\n```\n# not a heading\n```\n\n## Appeals ##\n\nWithin ten days."
+      );
+      assertEqual(sections.length, 3, "three sections");
+      assertEqual(sections[0].location, null, "text before the first heading");
+      assertEqual(sections[1].location, "Extensions", "first heading");
+      assertTrue(sections[1].text.indexOf("# not a heading") !== -1, "fenced line stays in its section");
+      assertEqual(sections[2].location, "Appeals", "closing hashes trimmed");
+      return "3 sections";
+    },
+
+    "sectionsFromHtml: block text under headings, scripts dropped": function () {
+      const sections = DL.sectionsFromHtml(
+        "<html><body><p>Preface.</p><h2>Marking</h2><ul><li><p>Anonymous</p></li><li>Moderated</li></ul>" +
+          "<script>var x = 1;</script></body></html>"
+      );
+      assertEqual(sections.length, 2, "two sections");
+      assertEqual(sections[0].text, "Preface.", "text before the first heading");
+      assertEqual(sections[1].location, "Marking", "heading as location");
+      assertEqual(sections[1].text, "Marking\n\nAnonymous\n\nModerated", "nested block read once");
+      assertEqual(DL.sectionsFromHtml("<body></body>").length, 0, "empty body");
+      return "2 sections";
+    },
+
+    "cosineSimilarity: identical, opposite, orthogonal, degenerate": function () {
+      assertEqual(DL.cosineSimilarity([1, 0], [2, 0]), 1, "same direction");
+      assertEqual(DL.cosineSimilarity([1, 0], [-1, 0]), -1, "opposite");
+      assertEqual(DL.cosineSimilarity([1, 0], [0, 1]), 0, "orthogonal");
+      assertEqual(DL.cosineSimilarity([0, 0], [1, 0]), 0, "zero vector");
+      assertEqual(DL.cosineSimilarity([1, 0], [1, 0, 0]), 0, "length mismatch");
+      return "bounded";
+    },
+
+    "rankChunks: best first, below minScore dropped, topK kept": function () {
+      const chunks = [
+        { id: "weak", vector: new Float32Array([0.1, 1]) },
+        { id: "best", vector: new Float32Array([1, 0]) },
+        { id: "good", vector: new Float32Array([1, 0.5]) },
+        { id: "off", vector: new Float32Array([0, 1]) },
+      ];
+      const ranked = DL.rankChunks([1, 0], chunks, { topK: 2, minScore: 0.3 });
+      assertEqual(ranked.map(function (c) { return c.id; }).join(","), "best,good", "order and cut");
+      assertEqual(ranked[0].score, 1, "score attached");
+      assertEqual(chunks[1].score, undefined, "inputs untouched");
+      return "best,good";
+    },
+
+    "augmentMessages: passages prefix the LAST user turn only": function () {
+      const messages = [
+        { role: "user", content: "Earlier question" },
+        { role: "assistant", content: "Earlier answer" },
+        { role: "user", content: "Can I get an extension?" },
+      ];
+      const out = DL.augmentMessages(messages, passages());
+      assertEqual(out.length, 3, "same number of turns");
+      assertEqual(out[0].content, "Earlier question", "earlier user turn untouched");
+      assertTrue(out[2].content.indexOf("[1] Assessment policy.pdf — page 3") !== -1, "numbered, located");
+      assertTrue(out[2].content.indexOf("[2] Handbook.md\n") !== -1, "no location → title only");
+      assertTrue(/Can I get an extension\?$/.test(out[2].content), "question last");
+      assertEqual(messages[2].content, "Can I get an extension?", "caller's thread untouched");
+      return "last user turn";
+    },
+
+    "augmentMessages: multimodal content gets a leading text part": function () {
+      const image = { type: "image_url", image_url: { url: "data:," } };
+      const out = DL.augmentMessages(
+        [{ role: "user", content: [image, { type: "text", text: "What is this?" }] }],
+        passages()
+      );
+      assertEqual(out[0].content.length, 3, "one part added");
+      assertEqual(out[0].content[0].type, "text", "passages first");
+      assertTrue(out[0].content[1] === image, "image part kept");
+      assertTrue(DL.augmentMessages([{ role: "user", content: "x" }], []).length === 1, "no passages → unchanged");
+      return "array content";
+    },
+
+    "toSources: numbered, vector-free, excerpted": function () {
+      const long = passages();
+      long[1].text = "word ".repeat(200);
+      const sources = DL.toSources(long);
+      assertEqual(sources.length, 2, "one per passage");
+      assertEqual(sources[0].number, 1, "numbered from 1");
+      assertEqual(sources[0].score, 0.712, "score rounded");
+      assertEqual(sources[0].location, "page 3", "location kept");
+      assertTrue(sources[1].excerpt.length <= 401, "excerpt capped");
+      assertTrue(/…$/.test(sources[1].excerpt), "cut marked");
+      assertEqual(sources[0].vector, undefined, "no vector stored");
+      return "2 sources";
+    },
+
+    "attachSources: list sits above the actions, citations linked": function () {
+      const b = bubble("<p>Yes, up to seven days [1]. See also [2] and [9].</p><pre><code>[1]</code></pre>");
+      DUI.attachSources(b, DL.toSources(passages()));
+      const list = b.querySelector(".doc-sources");
+      assertTrue(!!list, "sources list added");
+      assertTrue(list.nextElementSibling.classList.contains("local-chat-bubble-actions"), "before the actions");
+      assertEqual(list.querySelectorAll("li").length, 2, "one item per source");
+      const links = b.querySelectorAll(".fixture-answer a.doc-cite");
+      assertEqual(links.length, 2, "[1] and [2] linked, [9] left alone");
+      assertEqual(links[0].getAttribute("href"), "#" + list.querySelector("li").id, "link targets its source");
+      assertTrue(links[0].getAttribute("aria-label").indexOf("Assessment policy.pdf, page 3") !== -1, "named link");
+      assertEqual(b.querySelector("pre code").textContent, "[1]", "code untouched");
+      assertEqual(b.querySelector(".local-chat-model-badge").textContent, "Model [1]", "badge untouched");
+      return "2 citations";
+    },
+
+    "attachSources: replaces a list; none for a turn without sources": function () {
+      const b = bubble("<p>Answer [1].</p>");
+      DUI.attachSources(b, DL.toSources(passages()));
+      DUI.attachSources(b, DL.toSources(passages().slice(0, 1)));
+      assertEqual(b.querySelectorAll(".doc-sources").length, 1, "one list only");
+      assertEqual(b.querySelectorAll(".doc-sources li").length, 1, "the newer list");
+      DUI.attachSources(b, undefined);
+      assertEqual(b.querySelectorAll(".doc-sources").length, 0, "removed for a turn without sources");
+      return "replace, then remove";
+    },
+
+    "attachSources: two bubbles never share source ids": function () {
+      const first = bubble("<p>[1]</p>");
+      const second = bubble("<p>[1]</p>");
+      DUI.attachSources(first, DL.toSources(passages()));
+      DUI.attachSources(second, DL.toSources(passages()));
+      assertTrue(
+        first.querySelector(".doc-sources li").id !== second.querySelector(".doc-sources li").id,
+        "unique ids"
+      );
+      return "unique";
+    },
+  };
+
+  function runStructural() {
+    console.log("%c══ Chat document retrieval (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatDocumentsResults = out;
+    return out;
+  }
+
+  const ChatDocumentsTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatDocumentsTests = ChatDocumentsTests;
+
+  logInfo("Chat document retrieval suite registered (static) — run ChatDocumentsTests.runStructural()");
+})();
@@ -261,6 +261,33 @@
       return "json: valid, file-level meta + per-message provenance";
     },
 
+    "json: a supplied tree is emitted in the export turn shape and round-trips":
+      function () {
+        const CB = window.ChatBranches;
+        if (!CB) throw new Error("window.ChatBranches not loaded");
+        // Two versions of the reply; the second is showing.
+        const tree = CB.fromMessages([msgs[0], msgs[1]]);
+        CB.addSibling(tree, CB.getActivePath(tree)[1], msgs[2]);
+        const treeMeta = Object.assign({}, meta, { tree: CB.serialise(tree) });
+        const parsed = JSON.parse(XE.buildJSON([msgs[0], msgs[2]], treeMeta));
+        assertEqual(parsed.messages.length, 2, "messages is the active path");
+        assertEqual(parsed.tree.version, CB.FORMAT_VERSION, "tree format version");
+        assertEqual(parsed.tree.nodes.length, 3, "every version exported");
+        assertEqual(
+          parsed.tree.nodes[1].turn.providerLabel,
+          "Microsoft Foundry",
+          "tree turns carry per-turn attribution"
+        );
+        const back = CB.deserialise(parsed.tree);
+        assertTrue(back !== null, "export tree deserialises");
+        const path = CB.getActivePath(back);
+        assertEqual(CB.getActiveMessages(back)[1].content, "Also Paris.", "active version kept");
+        assertEqual(CB.getVersionInfo(back, path[1]).count, 2, "both versions kept");
+        const noTree = JSON.parse(XE.buildJSON(msgs, meta));
+        assertTrue(!("tree" in noTree), "no tree key without meta.tree");
+        return "json tree: 3 nodes, active version + attribution round-trip";
+      },
+
     "empty input: builders return valid output without throwing": function () {
       const md0 = XE.buildMarkdown([], emptyMeta);
       assertTrue(
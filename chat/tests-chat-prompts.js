@@ -0,0 +1,359 @@
+// Unified Chat — prompt library suite
+//
+// Proves the PURE parts of the prompt library shared by Chat, Local Chat,
+// Image Describer and the MathPix AI enhancer (window.PromptLibrary,
+// openrouter-embed/prompt-library.js, whose {{variable}} templates come from
+// window.EmbedPromptLoader, openrouter-embed/openrouter-embed-prompt-loader.js):
+// how variables are found and filled, how tags are tidied, how edits become
+// versions, how prompts are filtered, and how a collection is exported,
+// merged back in, or refused. Calls the REAL functions on fixture prompts,
+// so the suite never reads or writes localStorage and never fetches the
+// built-in presets.
+//
+// STATIC SUITE — no network, no live-DOM mutation, no storage.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatPromptsTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatPromptsTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatPromptsTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If any module is absent it has not loaded — do not register a
+  // misleading green.
+  const PL = window.PromptLibrary;
+  const PUI = window.PromptLibraryUI;
+  if (
+    !PL ||
+    typeof PL.mergeCollection !== "function" ||
+    !PUI ||
+    typeof window.EmbedPromptLoader !== "function"
+  ) {
+    logWarn(
+      "window.PromptLibrary / PromptLibraryUI / EmbedPromptLoader not available — prompt library suite not registered."
+    );
+    return;
+  }
+  const loader = new window.EmbedPromptLoader();
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  const NOW = "2026-10-19T12:00:00.000Z";
+  const LATER = "2026-10-20T09:30:00.000Z";
+
+  function prompt(id, title, kind, tags, texts) {
+    return {
+      id: id,
+      title: title,
+      kind: kind,
+      tags: tags,
+      created: NOW,
+      updated: NOW,
+      versions: texts.map(function (text, i) {
+        return { version: i + 1, text: text, note: "", savedAt: NOW };
+      }),
+    };
+  }
+  function library() {
+    return [
+      prompt("p-feedback", "Feedback on a draft", "user", ["feedback", "marking"], [
+        "Give feedback on this {{assignment}} draft.",
+        "Give feedback on this {{assignment}} draft for {{level|first-year students}}.",
+      ]),
+      prompt("p-tutor", "Patient tutor", "system", ["teaching"], [
+        "You are a patient tutor in {{subject}}.",
+      ]),
+      prompt("p-alt", "Alt text reviewer", "user", ["accessibility"], [
+        "Check this alt text against WCAG.",
+      ]),
+    ];
+  }
+  let idSeq = 0;
+  function makeId() {
+    idSeq++;
+    return "new-" + idSeq;
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "extractVariables: order of first use, one entry per name, defaults kept": function () {
+      const vars = loader.extractVariables(
+        "Explain {{ topic }} to {{reading_level|first-year students}}, then quiz on {{topic}}. {{tone|}}"
+      );
+      assertEqual(vars.length, 3, "three distinct variables");
+      assertEqual(vars[0].name, "topic", "first used first");
+      assertEqual(vars[0].defaultValue, null, "no default means required");
+      assertEqual(vars[1].label, "Reading level", "label from the name");
+      assertEqual(vars[1].defaultValue, "first-year students", "default after |");
+      assertEqual(vars[2].defaultValue, "", "empty default means optional");
+      return vars.map(function (v) { return v.name; }).join(", ");
+    },
+
+    "extractVariables: ignores braces that are not variables": function () {
+      const vars = loader.extractVariables("Keep {x}, {{1st}}, {{ }} and LaTeX \\frac{a}{b} as they are.");
+      assertEqual(vars.length, 0, "nothing to fill");
+      assertEqual(loader.extractVariables(null).length, 0, "non-text is empty");
+      return "none found";
+    },
+
+    "fill: values, then defaults, then blank or kept": function () {
+      const template = "Explain {{topic}} to {{level|beginners}}. {{extra}}";
+      assertEqual(
+        loader.fill(template, { topic: "entropy", level: "experts" }),
+        "Explain entropy to experts. ",
+        "values used, missing becomes blank"
+      );
+      assertEqual(
+        loader.fill(template, { topic: "entropy", level: "   " }),
+        "Explain entropy to beginners. ",
+        "whitespace-only value takes the default"
+      );
+      assertEqual(
+        loader.fill(template, {}, { keepMissing: true }),
+        "Explain {{topic}} to beginners. {{extra}}",
+        "keepMissing leaves unfilled variables"
+      );
+      assertEqual(loader.render("NOT_LOADED", {}), null, "render of an unloaded prompt is null");
+      return "filled";
+    },
+
+    "normaliseTags: trimmed, lower-case, unique, sorted": function () {
+      assertEqual(
+        PL.normaliseTags("Marking, feedback ,marking,,  Year   One ").join("|"),
+        "feedback|marking|year one",
+        "from typed text"
+      );
+      assertEqual(PL.normaliseTags(["B", "a", "b"]).join("|"), "a|b", "from an array");
+      assertEqual(PL.normaliseTags(undefined).length, 0, "none");
+      return "tidy";
+    },
+
+    "addVersion: new text is a new version, same text is not": function () {
+      const base = library()[1];
+      const same = PL.addVersion(base, PL.currentText(base), { now: LATER });
+      assertTrue(same === base, "unchanged text returns the same prompt");
+      const next = PL.addVersion(base, "You are a kind tutor in {{subject}}.", {
+        note: " Softer ",
+        now: LATER,
+      });
+      assertEqual(next.versions.length, 2, "version added");
+      assertEqual(next.versions[1].version, 2, "numbered on");
+      assertEqual(next.versions[1].note, "Softer", "note trimmed");
+      assertEqual(next.updated, LATER, "updated stamped");
+      assertEqual(base.versions.length, 1, "input untouched");
+      return "versioned";
+    },
+
+    "addVersion: oldest versions dropped, numbers keep counting": function () {
+      let p = prompt("p", "Many", "user", [], ["v1"]);
+      for (let i = 2; i <= 25; i++) p = PL.addVersion(p, "v" + i, { now: NOW });
+      assertEqual(p.versions.length, 20, "capped at 20");
+      assertEqual(p.versions[0].version, 6, "oldest kept is 6");
+      assertEqual(PL.currentText(p), "v25", "newest is current");
+      p = PL.addVersion(p, "v26", { now: NOW });
+      assertEqual(p.versions[19].version, 26, "numbering continues after the cap");
+      return "capped";
+    },
+
+    "filterPrompts: kind, tag and every query word": function () {
+      const all = library();
+      assertEqual(PL.filterPrompts(all, { kind: "user" }).length, 2, "by kind");
+      assertEqual(PL.filterPrompts(all, { tag: "marking" })[0].id, "p-feedback", "by tag");
+      assertEqual(PL.filterPrompts(all, { query: "FEEDBACK draft" }).length, 1, "words in title/text");
+      assertEqual(PL.filterPrompts(all, { query: "feedback tutor" }).length, 0, "every word must match");
+      assertEqual(PL.filterPrompts(all, { query: "wcag" })[0].id, "p-alt", "current text searched");
+      const titles = PL.filterPrompts(all).map(function (p) { return p.title; });
+      assertEqual(titles.join("|"), "Alt text reviewer|Feedback on a draft|Patient tutor", "sorted by title");
+      return "filtered";
+    },
+
+    "buildCollection → mergeCollection: round trip into an empty library": function () {
+      const collection = PL.buildCollection(library(), NOW);
+      assertEqual(collection.tool, "prompt-library", "tool marker");
+      assertEqual(collection.formatVersion, PL.FORMAT_VERSION, "format version");
+      const json = JSON.parse(JSON.stringify(collection));
+      const result = PL.mergeCollection([], json, { now: LATER, makeId: makeId });
+      assertTrue(result.ok, "accepted");
+      assertEqual(result.added, 3, "all added");
+      assertEqual(result.prompts[0].id, "p-feedback", "ids kept");
+      assertEqual(result.prompts[0].versions.length, 2, "history kept");
+      assertEqual(result.prompts[0].tags.join("|"), "feedback|marking", "tags kept");
+      return "3 added";
+    },
+
+    "mergeCollection: known prompts gain new versions only": function () {
+      const existing = library();
+      const incoming = PL.buildCollection(library(), NOW);
+      incoming.prompts[1].versions.push({
+        version: 2,
+        text: "You are a strict tutor in {{subject}}.",
+        note: "Stricter",
+        savedAt: NOW,
+      });
+      incoming.prompts[2].tags.push("Images");
+      const result = PL.mergeCollection(existing, incoming, { now: LATER, makeId: makeId });
+      assertEqual(result.added, 0, "nothing new");
+      assertEqual(result.updated, 2, "new version and new tag");
+      assertEqual(result.unchanged, 1, "identical prompt unchanged");
+      const tutor = result.prompts[1];
+      assertEqual(tutor.versions.length, 2, "version appended");
+      assertEqual(tutor.versions[1].note, "Stricter", "note carried");
+      assertEqual(result.prompts[2].tags.join("|"), "accessibility|images", "tags merged");
+      assertEqual(existing[1].versions.length, 1, "input untouched");
+      return "merged";
+    },
+
+    "mergeCollection: refuses other files and newer formats": function () {
+      const opts = { now: NOW, makeId: makeId };
+      assertEqual(PL.mergeCollection([], null, opts).ok, false, "not an object");
+      assertEqual(PL.mergeCollection([], { tool: "prompt-library" }, opts).ok, false, "no prompts list");
+      const other = PL.mergeCollection([], { tool: "chat", prompts: [] }, opts);
+      assertEqual(other.ok, false, "another tool's export");
+      assertTrue(/another tool/.test(other.error), "says why");
+      const newer = PL.mergeCollection(
+        [],
+        { tool: "prompt-library", formatVersion: PL.FORMAT_VERSION + 1, prompts: [] },
+        opts
+      );
+      assertEqual(newer.ok, false, "newer format");
+      assertTrue(/newer version/.test(newer.error), "says why");
+      return "refused";
+    },
+
+    "mergeCollection: skips damaged entries, reads the presets file shape": function () {
+      const data = {
+        prompts: [
+          { label: "Academic Mentor", text: "You are an academic mentor." },
+          { title: "", kind: "user", versions: [{ text: "x" }] },
+          { title: "Odd", kind: "assistant", versions: [{ text: "x" }] },
+          { title: "Empty", kind: "user", versions: [{ text: "   " }] },
+          { id: "builtin-academic-mentor", title: "Mentor copy", kind: "system", versions: [{ text: "Hi" }] },
+        ],
+      };
+      const result = PL.mergeCollection([], data, { now: NOW, makeId: makeId });
+      assertTrue(result.ok, "accepted without tool or formatVersion");
+      assertEqual(result.added, 2, "two usable entries");
+      assertEqual(result.prompts[0].kind, "system", "presets entries are system prompts");
+      assertEqual(result.prompts[0].title, "Academic Mentor", "label becomes title");
+      assertTrue(/^new-/.test(result.prompts[1].id), "built-in id replaced");
+      assertEqual(result.skipped.length, 3, "three skipped");
+      assertEqual(result.skipped[0].position, 2, "position is 1-based");
+      assertEqual(result.skipped[0].reason, "no title", "missing title");
+      assertEqual(result.skipped[1].reason, "unknown kind", "bad kind");
+      assertEqual(result.skipped[2].reason, "no text", "blank text");
+      return "2 added, 3 skipped";
+    },
+
+    "importReport: counts and skipped entries in one sentence": function () {
+      const text = PUI.importReport({
+        added: 2,
+        updated: 1,
+        unchanged: 1,
+        skipped: [{ position: 3, title: "Odd", reason: "unknown kind" }],
+      });
+      assertEqual(
+        text,
+        "Import finished: added 2 prompts, updated 1 prompt, 1 prompt was already in your library. " +
+          "Skipped prompt 3 (Odd): unknown kind.",
+        "report wording"
+      );
+      assertEqual(
+        PUI.importReport({ added: 0, updated: 0, unchanged: 0, skipped: [] }),
+        "Nothing was imported.",
+        "empty import"
+      );
+      return "reported";
+    },
+  };
+
+  function runStructural() {
+    console.log("%c══ Chat prompt library (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatPromptsResults = out;
+    return out;
+  }
+
+  const ChatPromptsTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatPromptsTests = ChatPromptsTests;
+
+  logInfo("Chat prompt library suite registered (static) — run ChatPromptsTests.runStructural()");
+})();
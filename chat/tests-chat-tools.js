@@ -0,0 +1,240 @@
+// Unified Chat — tool calling suite
+//
+// Proves the PURE parts of Chat's tool calling (window.ChatTools,
+// chat/chat-tools.js): how a tool call's arguments and result are worded in
+// the log, the log's summary, the log element built from stored runs (live and
+// settled), where attachLog puts a reply's log in its bubble, and that on-device
+// models are never offered tools. Calls the REAL functions on fixture runs and
+// DETACHED elements, so the suite never sends to a model, runs a tool or
+// touches the message list.
+//
+// STATIC SUITE — no network, no live-DOM mutation, no model load.
+//
+// Shape 1 runner (the gate Playwright reads back via browser_evaluate):
+//     window.ChatToolsTests.runStructural()  →  { passed, total, results }
+//
+// The returned `results` is an array of { name, passed, detail } rows; the
+// return object's shape ({ passed, total, results }) matches the canonical
+// Shape 1 runner in tests-local-chat-isolation.js.
+
+(function () {
+  "use strict";
+
+  // ── Logging configuration ──────────────────────────────────────────────
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+  function logWarn(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn.apply(console, ["[ChatToolsTests]", message].concat(args));
+  }
+  function logInfo(message) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log.apply(console, ["[ChatToolsTests]", message].concat(args));
+  }
+
+  // ── Console styles (match tests-local-chat-isolation.js) ────────────────
+  const STYLES = {
+    pass: "color: #2e7d32; font-weight: bold",
+    fail: "color: #c62828; font-weight: bold",
+    heading: "color: #1565c0; font-weight: bold; font-size: 1.1em",
+    dim: "color: #757575",
+  };
+
+  // ── Functions under test ────────────────────────────────────────────────
+  // If ChatTools is absent the module has not loaded — do not register a
+  // misleading green.
+  const CT = window.ChatTools;
+  if (!CT || typeof CT.buildLog !== "function") {
+    logWarn(
+      "window.ChatTools not available — Chat tool calling suite not registered."
+    );
+    return;
+  }
+
+  // ── Fixtures ────────────────────────────────────────────────────────────
+  function runs() {
+    return [
+      {
+        id: "call_1",
+        name: "check_colour_contrast",
+        label: "Colour contrast check",
+        arguments: '{"foreground":"#767676","background":"#ffffff"}',
+        ok: true,
+        content: { wcag: { ratio: 4.54, rating: "AA" } },
+      },
+      {
+        id: "call_2",
+        name: "mathml_to_speech",
+        label: "MathML to speech",
+        arguments: '{"mathml":"<math></math>"}',
+        ok: false,
+        error: "The speech engine is not available on this page",
+      },
+    ];
+  }
+  // A detached assistant bubble shaped like renderAssistantTurn's: badge
+  // first, then the answer.
+  function bubble() {
+    const b = document.createElement("div");
+    b.className = "local-chat-bubble local-chat-bubble-assistant";
+    const badge = document.createElement("div");
+    badge.className = "chat-model-provider-badge";
+    const body = document.createElement("p");
+    body.className = "fixture-answer";
+    body.textContent = "The contrast is 4.54:1.";
+    b.appendChild(badge);
+    b.appendChild(body);
+    return b;
+  }
+
+  // ── Assertions ──────────────────────────────────────────────────────────
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        (message || "assertEqual") +
+          " — expected " +
+          JSON.stringify(expected) +
+          ", got " +
+          JSON.stringify(actual)
+      );
+    }
+  }
+  function assertTrue(value, message) {
+    if (value !== true) {
+      throw new Error(
+        (message || "assertTrue") + " — expected true, got " + JSON.stringify(value)
+      );
+    }
+  }
+
+  // ── Cases (each a named result row) ─────────────────────────────────────
+  const cases = {
+    "formatArguments: JSON object → name: value pairs": function () {
+      assertEqual(
+        CT.formatArguments('{"foreground":"#767676","background":"#fff"}'),
+        "foreground: #767676, background: #fff",
+        "string values"
+      );
+      assertEqual(CT.formatArguments('{"n":2,"on":true}'), "n: 2, on: true", "non-strings as JSON");
+      assertEqual(CT.formatArguments(""), "", "empty arguments");
+      return "pairs in argument order";
+    },
+
+    "formatArguments: malformed JSON shown as given": function () {
+      assertEqual(CT.formatArguments('{"code": "graph'), '{"code": "graph', "raw text kept");
+      assertEqual(CT.formatArguments("[1,2]"), "[1,2]", "non-object kept");
+      return "raw fallback";
+    },
+
+    "formatResult: object, string, error and cut": function () {
+      assertEqual(CT.formatResult({ ok: true, content: "said aloud" }), "said aloud", "string as is");
+      assertEqual(CT.formatResult({ ok: true, content: { a: 1 } }), '{\n  "a": 1\n}', "object as JSON");
+      assertEqual(CT.formatResult({ ok: false, error: "Bad colour" }), "Bad colour", "error text");
+      const long = CT.formatResult({ ok: true, content: "x".repeat(2000) });
+      assertTrue(long.length < 2000 && long.slice(-1) === "…", "long result cut with an ellipsis");
+      return "four shapes";
+    },
+
+    "summaryText: counts the runs": function () {
+      assertEqual(CT.summaryText(2), "Tools used (2)", "two runs");
+      return CT.summaryText(1);
+    },
+
+    "buildLog: settled log is a closed disclosure, one item per run": function () {
+      const log = CT.buildLog(runs(), false);
+      assertEqual(log.tagName, "DETAILS", "disclosure element");
+      assertTrue(log.classList.contains("chat-tool-log"), "log class");
+      assertEqual(log.open, false, "closed once stored");
+      assertEqual(log.querySelector("summary").textContent, "Tools used (2)", "summary");
+      const items = log.querySelectorAll(".chat-tool-log-item");
+      assertEqual(items.length, 2, "two items");
+      assertEqual(items[0].querySelector(".chat-tool-log-name").textContent, "Colour contrast check", "label shown");
+      assertEqual(items[0].querySelectorAll("dt").length, 2, "input and result");
+      assertTrue(items[1].classList.contains("chat-tool-log-item-failed"), "failed run marked");
+      assertEqual(items[1].querySelectorAll("dt")[1].textContent, "Error", "error labelled");
+      return "2 items, 1 failed";
+    },
+
+    "buildLog: live log is open and starts empty": function () {
+      const log = CT.buildLog([], true);
+      assertEqual(log.open, true, "open while generating");
+      assertTrue(log.classList.contains("chat-tool-log-live"), "live class");
+      assertEqual(log.querySelectorAll(".chat-tool-log-item").length, 0, "no items yet");
+      return "open, empty";
+    },
+
+    "attachLog: goes in after the badge, before the answer": function () {
+      const b = bubble();
+      CT.attachLog(b, runs());
+      assertEqual(b.children.length, 3, "badge, log, answer");
+      assertTrue(b.children[1].classList.contains("chat-tool-log"), "log second");
+      assertTrue(b.children[2].classList.contains("fixture-answer"), "answer after it");
+      return "badge → log → answer";
+    },
+
+    "attachLog: replaces an existing log; none for no runs": function () {
+      const b = bubble();
+      CT.attachLog(b, runs());
+      CT.attachLog(b, runs().slice(0, 1));
+      assertEqual(b.querySelectorAll(".chat-tool-log").length, 1, "one log only");
+      assertEqual(b.querySelector(".chat-tool-log summary").textContent, "Tools used (1)", "the newer log");
+      CT.attachLog(b, undefined);
+      assertEqual(b.querySelectorAll(".chat-tool-log").length, 0, "removed for a turn without runs");
+      return "replace, then remove";
+    },
+
+    "modelCanCallTools: on-device models never can": function () {
+      assertEqual(CT.modelCanCallTools("local/any-model"), false, "local model");
+      assertEqual(CT.modelCanCallTools(""), false, "no model");
+      return "local/ refused";
+    },
+  };
+
+  function runStructural() {
+    console.log("%c══ Chat tool calling (static) ══", STYLES.heading);
+    const results = [];
+    let passed = 0;
+    const names = Object.keys(cases);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      try {
+        const detail = cases[name]();
+        results.push({ name: name, passed: true, detail: detail || "ok" });
+        passed++;
+        console.log("%c  PASS %c " + name, STYLES.pass, STYLES.dim);
+      } catch (err) {
+        const detail = err && err.message ? err.message : String(err);
+        results.push({ name: name, passed: false, detail: detail });
+        console.log("%c  FAIL %c " + name, STYLES.fail, STYLES.dim);
+        console.log("       " + detail);
+      }
+    }
+    const total = results.length;
+    const style = passed === total ? STYLES.pass : STYLES.fail;
+    const icon = passed === total ? "ALL PASSED" : "FAILURES DETECTED";
+    console.log("%c " + icon + " %c — " + passed + " / " + total + " passed", style, "");
+    const out = { passed: passed, total: total, results: results };
+    window._chatToolsResults = out;
+    return out;
+  }
+
+  const ChatToolsTests = {
+    static: true,
+    runStructural: runStructural,
+    runAll: runStructural,
+  };
+
+  window.ChatToolsTests = ChatToolsTests;
+
+  logInfo("Chat tool calling suite registered (static) — run ChatToolsTests.runStructural()");
+})();
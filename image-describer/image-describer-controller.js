@@ -7,9 +7,9 @@
  * status display, and utilities. Analysis, camera, UI, generation, model,
  * and debug methods are in dedicated sub-modules mixed in via Object.assign.
  *
- * VERSION: 1.3.0
- * DATE: 31 March 2026
- * PHASE: Refactor — analysis and camera sections extracted
+ * VERSION: 1.4.0
+ * DATE: 19 October 2026
+ * PHASE: Prompt library — "Saved prompts" picker for Extra Information
  * ═══════════════════════════════════════════════════════════════
  */
 
@@ -223,6 +223,15 @@
         // Bind clipboard paste (Phase 2E)
         this.bindClipboardPaste();
 
+        // Saved user prompts go into Extra Information
+        // (openrouter-embed/prompt-library-ui.js)
+        if (window.PromptLibraryUI) {
+          window.PromptLibraryUI.attach(
+            document.getElementById("imgdesc-prompts"),
+            { targets: { user: this.elements.context } },
+          );
+        }
+
         // Bind verification events and populate selector (Two-Pass)
         this.bindVerificationEvents();
         this.populateVerificationModelSelector();
@@ -388,6 +388,21 @@ export class OpenRouterValidator {
         });
       }
 
+      // Add tools (chat-completions function tools, already in wire shape from
+      // the embed provider) and tool_choice. Like plugins, these are forwarded
+      // as given rather than gated on the model's parameterSupport list — the
+      // caller decides tool support from the model's capabilities.
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        requestBody.tools = options.tools;
+        if (options.tool_choice !== undefined) {
+          requestBody.tool_choice = options.tool_choice;
+        }
+        openRouterUtils.debug("Added tools parameter to request body", {
+          toolCount: options.tools.length,
+          toolChoice: options.tool_choice,
+        });
+      }
+
       return {
         requestBody,
         validatedOptions,
@@ -14,7 +14,8 @@
  * ally-statement-preview.js) that native `<details>` cannot: on expand the
  * "Read more" toggle **relocates to the end** of the wrapper (so it sits below
  * the revealed content — DOM order = visual order = focus order, WCAG 2.4.3 /
- * 1.3.2), its label flips **Read more ↔ Read less**, the chevron rotates via
+ * 1.3.2), its label flips **Read more ↔ Read less** (in the statement's
+ * language, from the button's data-sp-label-* attributes), the chevron rotates via
  * `aria-expanded`, and focus is kept on the toggle across the DOM move.
  *
  * PROGRESSIVE ENHANCEMENT: the export ships the disclosure content VISIBLE in the
@@ -48,8 +49,18 @@ export const ALLY_STATEMENT_EXPORT_SCRIPT = `<script>
     // avoids a jarring jump to the relocated toggle.
     button.focus({ preventScroll: true });
     var label = button.querySelector(".ally-sp-disclosure-text");
-    if (label) {
-      label.textContent = next
+    if (label) setLabel(button, label, next);
+  }
+  // The statement stamps both labels on the button in its own language
+  // (data-sp-label-more / -less); the English text swap covers older exports.
+  function setLabel(button, label, expanded) {
+    var localised = button.getAttribute(
+      expanded ? "data-sp-label-less" : "data-sp-label-more"
+    );
+    if (localised) {
+      label.textContent = localised;
+    } else {
+      label.textContent = expanded
         ? label.textContent.replace("Read more about", "Read less about")
         : label.textContent.replace("Read less about", "Read more about");
     }
@@ -70,12 +81,7 @@ export const ALLY_STATEMENT_EXPORT_SCRIPT = `<script>
       button.setAttribute("aria-expanded", "false");
       wrappers[i].insertBefore(button, content);
       var label = button.querySelector(".ally-sp-disclosure-text");
-      if (label) {
-        label.textContent = label.textContent.replace(
-          "Read less about",
-          "Read more about"
-        );
-      }
+      if (label) setLabel(button, label, false);
     }
   }
   // ONE delegated click listener handles every disclosure button — including any
@@ -35,6 +35,7 @@ import { exportDocument, setDefaults, download } from "../../scorm-builder/index
 import {
   parseQuizJson,
   quizContentFromQuestions,
+  quizSettingsFromModel,
 } from "../../scorm-builder/render/quiz-from-json.js";
 
 // --- logging (mirrors mp-73's module-scope logging convention) ----------------
@@ -91,15 +92,11 @@ function collectRuntimeDeps() {
 }
 
 // Turn quiz JSON (a bare questions array, or an object with title/intro/
-// reportScore/masteryScore) into the content HTML + the SCORM reporting config
+// reportScore/masteryScore/pools/attempts) into the content HTML + the SCORM reporting config
 // the builder expects. Mirrors tools/build-sample-quiz.mjs in the library.
 function buildQuizExport(content, { title, features, scorm }) {
   const model = parseQuizJson(content);
   const heading = title || model.title;
-  const html = quizContentFromQuestions(model.questions, {
-    heading,
-    intro: model.intro,
-  });
   const scormConfig = { ...scorm };
   if (typeof model.reportScore === "boolean" && scormConfig.reportScore === undefined) {
     scormConfig.reportScore = model.reportScore;
@@ -107,6 +104,13 @@ function buildQuizExport(content, { title, features, scorm }) {
   if (typeof model.masteryScore === "number" && scormConfig.masteryScore === undefined) {
     scormConfig.masteryScore = model.masteryScore;
   }
+  // The runtime's pass mark follows the one the package reports with.
+  const settings = quizSettingsFromModel({ ...model, masteryScore: scormConfig.masteryScore });
+  const html = quizContentFromQuestions(model.questions, {
+    heading,
+    intro: model.intro,
+    settings,
+  });
   return {
     html,
     title: title || model.title,
@@ -3,7 +3,10 @@
  * Bubble CRUD, editing, regeneration, copy, code highlighting, typing indicators,
  * and related helpers.
  *
- * @version 1.1.0 — Stage 5e (error retry + formatted copy)
+ * @version 1.2.0 — retry, regenerate and edit send through
+ *                   LocalChat._sendStreaming, so they carry document passages
+ *                   too; read-aloud and formatted copy skip the sources list.
+ *          1.1.0 — Stage 5e (error retry + formatted copy)
  */
 (function () {
   "use strict";
@@ -159,8 +162,8 @@
       return { role: m.role, content: m.content };
     });
 
-    embed
-      .sendStreamingRequest({
+    window.LocalChat
+      ._sendStreaming(embed, {
         userPrompt: lastUserMsg.content,
         messages: messagesForApi,
         onChunk: function () {
@@ -425,7 +428,7 @@
       // Get rendered HTML from the bubble (excluding action buttons, timestamp, badge)
       var clone = bubble.cloneNode(true);
       var toRemove = clone.querySelectorAll(
-        ".local-chat-bubble-actions, .local-chat-timestamp, .local-chat-model-badge",
+        ".local-chat-bubble-actions, .local-chat-timestamp, .local-chat-model-badge, .doc-sources",
       );
       toRemove.forEach(function (el) {
         el.remove();
@@ -575,8 +578,8 @@
       return { role: m.role, content: m.content };
     });
 
-    embed
-      .sendStreamingRequest({
+    window.LocalChat
+      ._sendStreaming(embed, {
         userPrompt: lastUserMsg.content,
         messages: messagesForApi,
         onChunk: function () {
@@ -789,8 +792,8 @@
       return { role: m.role, content: m.content };
     });
 
-    embed
-      .sendStreamingRequest({
+    window.LocalChat
+      ._sendStreaming(embed, {
         userPrompt: newText,
         messages: messagesForApi,
         onChunk: function () {
@@ -849,7 +852,7 @@
       var result = window.TTSSemantic.linearise(bubble, {
         verbosity: window.TTSSemantic.getVerbosity(),
         skipSelectors:
-          ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note",
+          ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .doc-sources",
       });
       if (result && result.text) return result;
     }
@@ -857,7 +860,7 @@
     // Fallback: clone-and-strip approach (no sections — controller uses legacy chunking)
     var clone = bubble.cloneNode(true);
     var remove = clone.querySelectorAll(
-      ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note",
+      ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .doc-sources",
     );
     for (var i = 0; i < remove.length; i++) remove[i].remove();
     var plainText = (clone.innerText || clone.textContent || "").trim();
@@ -917,7 +920,7 @@
           // device" reassurance note aloud. Plus belt-and-braces math
           // source-format guards in case any leaked past the math pass.
           skipSelectors:
-            ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note, mathml, asciimath, latex",
+            ".local-chat-bubble-actions, .local-chat-model-badge, .local-chat-timestamp, .imgdesc-save-audio-note, .doc-sources, mathml, asciimath, latex",
         });
         if (result && result.text) return result;
       }
@@ -3,7 +3,8 @@
  * Session save/restore, conversation archive, history panel, download,
  * restore banner, clear helper, and related functions.
  *
- * @version 1.0.0 — Stage R4 of Local Chat refactor
+ * @version 1.1.0 — restored replies show their stored document sources
+ *          1.0.0 — Stage R4 of Local Chat refactor
  */
 (function () {
   "use strict";
@@ -326,6 +327,10 @@
         }
         M.highlightCodeBlocks(bubble);
         M.typesetMath(bubble);
+        // Same sources list (and citation links) the live reply showed
+        if (window.DocumentLibraryUI) {
+          window.DocumentLibraryUI.attachSources(bubble, msg.sources);
+        }
         if (msg.model) {
           M.addModelBadge(bubble, msg.model);
         }
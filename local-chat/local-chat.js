@@ -3,7 +3,14 @@
  * Core orchestrator: init, send, embed management, model selector, UI state,
  * and window global handlers.
  *
- * @version 2.0.0 — Stage R5: slimmed core orchestrator
+ * @version 2.2.0 — prompt library: init attaches the "Saved prompts" picker
+ *                   (openrouter-embed/prompt-library-ui.js) to the system box and
+ *                   the message input.
+ *          2.1.0 — document retrieval: every send path goes through
+ *                   sendStreaming(), which adds the best passages from the
+ *                   "My documents" panel (openrouter-embed/document-library-ui.js);
+ *                   postGeneration stores and shows the reply's sources.
+ *          2.0.0 — Stage R5: slimmed core orchestrator
  */
 (function () {
   "use strict";
@@ -31,6 +38,10 @@
   // ── Persistence module reference (from local-chat-persistence.js) ──────
   var P = window.LocalChatPersistence;
 
+  // ── "My documents" controller (from document-library-ui.js) ─────────────
+  // Null until init(), and stays null when the library scripts are absent.
+  var documents = null;
+
   function navigateToSetupModel(modelKey) {
     var radio = document.getElementById("SetUp");
     if (radio) radio.checked = true;
@@ -332,9 +343,16 @@
 
   function postGeneration(assistantBubble, response) {
     M.removeTypingIndicator(assistantBubble);
-    S.messages.push({ role: "assistant", content: response.text, model: S.currentModel });
+    var message = { role: "assistant", content: response.text, model: S.currentModel };
+    if (Array.isArray(response.sources) && response.sources.length > 0) {
+      message.sources = response.sources;
+    }
+    S.messages.push(message);
     M.highlightCodeBlocks(assistantBubble);
     M.typesetMath(assistantBubble);
+    if (window.DocumentLibraryUI) {
+      window.DocumentLibraryUI.attachSources(assistantBubble, message.sources);
+    }
     M.addModelBadge(assistantBubble, S.currentModel);
     M.addCopyButton(assistantBubble, S.messages.length - 1);
     M.addFormattedCopyButton(assistantBubble, S.messages.length - 1);
@@ -361,6 +379,23 @@
 
   // ── Send flow ──────────────────────────────────────────────────────────
 
+  /**
+   * embed.sendStreamingRequest for every send path (send, retry, regenerate,
+   * edit), with the best passages from the user's documents added to the
+   * request when the panel is on. Three passages, not more: local models
+   * have a 4K context. Resolves/rejects like sendStreamingRequest, so callers
+   * keep their own .catch.
+   * @param {Object} embed
+   * @param {Object} request sendStreamingRequest options
+   * @returns {Promise}
+   */
+  function sendStreaming(embed, request) {
+    if (!documents) return embed.sendStreamingRequest(request);
+    return documents.prepareRequest(request).then(function (prepared) {
+      return embed.sendStreamingRequest(prepared);
+    });
+  }
+
   function sendMessage() {
     var els = S.els;
     if (!els.input) return;
@@ -419,31 +454,29 @@
       return { role: m.role, content: m.content };
     });
 
-    // Call sendStreamingRequest
-    embed
-      .sendStreamingRequest({
-        userPrompt: text, // Required to pass validation in embed core
-        messages: messagesForApi, // Backend picks this up for multi-turn
-        onChunk: function () {
-          M.removeTypingIndicator(assistantBubble);
-          M.scrollMessagesToBottom();
-        },
-        onComplete: function (response) {
-          postGeneration(assistantBubble, response);
-          S.announceToScreenReader("Response complete.");
-          S.logInfo("Response complete \u2014", response.text.length, "chars");
-        },
-        onError: function (error) {
-          postError(assistantBubble, error);
-          S.announceToScreenReader("Error generating response.");
-          S.logError("Send error:", error.message || error);
-        },
-      })
-      .catch(function (error) {
+    // Send (with any matching passages from the user's documents)
+    sendStreaming(embed, {
+      userPrompt: text, // Required to pass validation in embed core
+      messages: messagesForApi, // Backend picks this up for multi-turn
+      onChunk: function () {
+        M.removeTypingIndicator(assistantBubble);
+        M.scrollMessagesToBottom();
+      },
+      onComplete: function (response) {
+        postGeneration(assistantBubble, response);
+        S.announceToScreenReader("Response complete.");
+        S.logInfo("Response complete \u2014", response.text.length, "chars");
+      },
+      onError: function (error) {
         postError(assistantBubble, error);
         S.announceToScreenReader("Error generating response.");
-        S.logError("Send error (catch):", error.message || error);
-      });
+        S.logError("Send error:", error.message || error);
+      },
+    }).catch(function (error) {
+      postError(assistantBubble, error);
+      S.announceToScreenReader("Error generating response.");
+      S.logError("Send error (catch):", error.message || error);
+    });
   }
 
   // ── WebGPU check ─────────────────────────────────────────────────────────
@@ -480,6 +513,20 @@
     M.attach(S);
     P.attach(S);
 
+    if (window.DocumentLibraryUI) {
+      documents = window.DocumentLibraryUI.attach(S, { topK: 3 });
+    }
+
+    // "Saved prompts" picker. A saved system prompt is none of the presets.
+    if (window.PromptLibraryUI) {
+      window.PromptLibraryUI.attach(document.getElementById(S.elId("prompts")), {
+        targets: { system: els.systemInput, user: els.input },
+        onApply: function (prompt) {
+          if (prompt.kind === "system" && els.presetSelect) els.presetSelect.value = "";
+        },
+      });
+    }
+
     if (!checkWebGPU()) return;
 
     populateModelSelector();
@@ -887,6 +934,7 @@
     // Internal helpers exposed for cross-module calls (messages, persistence)
     _getOrCreateEmbed: getOrCreateEmbed,
     _postGeneration: postGeneration,
+    _sendStreaming: sendStreaming,
     _postError: postError,
     _disableSend: disableSend,
     _enableSend: enableSend,
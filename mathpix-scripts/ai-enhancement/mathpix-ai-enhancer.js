@@ -260,6 +260,15 @@
        */
       this.multiPassEnabled = false;
 
+      /**
+       * The user's own instructions for this enhancement, typed or inserted
+       * from the prompt library. Added to STEP 4 of the user prompt.
+       * Kept for the session, not saved with the preferences: they are
+       * usually about one document.
+       * @type {string}
+       */
+      this.extraInstructions = "";
+
       /**
        * localStorage key for model + engine preferences (Phase 7.4)
        * @type {string}
@@ -1057,6 +1066,13 @@
           });
         }
 
+        // Saved user prompts go into Additional instructions. No "Manage
+        // prompts" button: it would leave this modal for Set Up.
+        window.PromptLibraryUI?.attach(document.getElementById("ai-prompts"), {
+          targets: { user: document.getElementById("ai-extra-instructions") },
+          manage: false,
+        });
+
         logDebug("Modal opened with persistent control");
       } catch (error) {
         logError("Modal error:", error);
@@ -1399,6 +1415,7 @@
      * Build Advanced Options disclosure containing:
      * - Override model <select> (registry models by cost tier)
      * - PDF engine <select>
+     * - Additional instructions, with a "Saved prompts" picker
      * Phase 7.4
      *
      * @returns {string} HTML for <details> disclosure
@@ -1558,11 +1575,39 @@ Native is recommended for mathematics documents. Mistral OCR suits scanned docum
               ${reasoningHTML}
               ${multiPassHTML}
             </div>
+            ${this.buildExtraInstructions()}
             ${this.buildPromptPreview()}
           </div>
         </details>`;
     }
 
+    /**
+     * Build the additional-instructions field. The "Saved prompts" picker
+     * inside it is filled by openrouter-embed/prompt-library-ui.js once the
+     * modal is open (see openModal).
+     *
+     * @returns {string} HTML for the field and the picker host
+     * @private
+     */
+    buildExtraInstructions() {
+      return `
+        <div class="ai-extra-instructions">
+          <label for="ai-extra-instructions" class="ai-extra-instructions-label">
+            Additional instructions <span class="ai-extra-instructions-optional">(optional)</span>
+          </label>
+          <textarea id="ai-extra-instructions"
+                    rows="3"
+                    oninput="window.handleAIExtraInstructionsChange(this.value)"
+                    aria-describedby="ai-extra-instructions-help">${this.escapeHtml(this.extraInstructions)}</textarea>
+          <p id="ai-extra-instructions-help" class="ai-extra-instructions-help">
+            Added to the correction step, for example notation this document uses on purpose.
+          </p>
+          <details class="prompt-picker" id="ai-prompts">
+            <summary>Saved prompts</summary>
+          </details>
+        </div>`;
+    }
+
     /**
      * Build the prompt preview disclosure HTML skeleton
      * Content is populated lazily when toggled open
@@ -1937,6 +1982,17 @@ Native is recommended for mathematics documents. Mistral OCR suits scanned docum
       this.saveEnhancerPreferences();
     }
 
+    /**
+     * Handle additional-instructions input (typed, or inserted from the
+     * prompt library — both fire "input")
+     *
+     * @param {string} text - Current field value
+     */
+    handleExtraInstructionsChange(text) {
+      this.extraInstructions = text;
+      logDebug("Additional instructions changed:", text.length, "characters");
+    }
+
     /**
      * Get reasoning help text based on the selected model
      *
@@ -2720,7 +2776,8 @@ Native is recommended for mathematics documents. Mistral OCR suits scanned docum
      * 1. Document understanding — asks LLM to identify document type/subject
      * 2. Structural inventory — from MMD Analyser (environments, headings, etc.)
      * 3. Semantic context — from Lines.json Mapper (regions, low-confidence, diagrams)
-     * 4. Correction — editing instructions + MMD content
+     * 4. Correction — editing instructions (plus the user's additional
+     *    instructions, if any) + MMD content
      *
      * @param {string} mmdContent - Current MMD content
      * @returns {string} Complete chain-of-thought user prompt
@@ -2808,6 +2865,18 @@ Native is recommended for mathematics documents. Mistral OCR suits scanned docum
         `STEP 4 — CORRECTION:`,
         `Now correct OCR errors in the MMD content below. Follow all guidelines in the system prompt.`,
         `Remember: you are EDITING, not REWRITING. Change only what is wrong.`,
+      );
+
+      const extraInstructions = this.extraInstructions.trim();
+      if (extraInstructions) {
+        parts.push(
+          ``,
+          `ADDITIONAL INSTRUCTIONS FROM THE USER (follow these unless they conflict with the guidelines):`,
+          extraInstructions,
+        );
+      }
+
+      parts.push(
         ``,
         `CURRENT MMD CONTENT:`,
         `\`\`\`mmd`,
@@ -5529,6 +5598,8 @@ Native is recommended for mathematics documents. Mistral OCR suits scanned docum
     enhancerInstance?.handleReasoningChange(enabled);
   window.handleAIMultiPassChange = (enabled) =>
     enhancerInstance?.handleMultiPassChange(enabled);
+  window.handleAIExtraInstructionsChange = (text) =>
+    enhancerInstance?.handleExtraInstructionsChange(text);
 
   // PDF control functions
   window.aiPdfZoom = (direction) => enhancerInstance?.handlePdfZoom(direction);
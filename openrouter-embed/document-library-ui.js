@@ -0,0 +1,563 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * DOCUMENT LIBRARY UI — "My documents" panel + cited sources
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The chat-facing half of document-library.js, shared by Chat and
+ * Local Chat. Each chat calls attach(S) once with its state object;
+ * the panel markup is found through S.elId(), so both chats use the
+ * same ids under their own prefix:
+ *
+ *   {prefix}-docs            <details> panel
+ *   {prefix}-docs-enabled    "Answer from my documents" checkbox
+ *   {prefix}-docs-file       file input
+ *   {prefix}-docs-model-note shown until the search model is set up
+ *   {prefix}-docs-setup      button that opens the Set Up card
+ *   {prefix}-docs-status     progress / result line
+ *   {prefix}-docs-list       the documents, each with Remove
+ *
+ * The library itself is shared: adding a file in one chat lists it in
+ * both. Whether a chat USES the library is per chat, remembered in
+ * localStorage under "{prefix}-docs-enabled".
+ *
+ * Send paths call controller.retrieve(query) (Chat, which windows the
+ * thread itself) or controller.prepareRequest(request) (Local Chat).
+ * Both resolve rather than reject: a failed search is announced and the
+ * message goes without passages.
+ *
+ * Renderers call DocumentLibraryUI.attachSources(bubble, sources) with
+ * the sources stored on the turn, so live and restored replies match.
+ *
+ * Architecture: IIFE with window.DocumentLibraryUI global.
+ * No NPM — pure browser JS loaded via <script> tag.
+ *
+ * VERSION: 1.0.0
+ * DATE: 19 October 2026
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+window.DocumentLibraryUI = (function () {
+  "use strict";
+
+  // ========================================================================
+  // LOGGING CONFIGURATION
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[DocumentLibraryUI] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[DocumentLibraryUI] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[DocumentLibraryUI] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[DocumentLibraryUI] " + message, ...args);
+  }
+
+  // ========================================================================
+  // CONSTANTS
+  // ========================================================================
+
+  const DEFAULT_TOP_K = 4;
+  const SETUP_CARD_PREFIX = "setup-emb-model-";
+  const READY_STATES = ["cached", "loading", "loaded"];
+
+  // Never turn "[n]" into a link inside code, existing links, math, or the
+  // bubble's own chrome.
+  const CITATION_SKIP =
+    "pre, code, a, mjx-container, math, .doc-sources, .local-chat-bubble-actions, " +
+    ".local-chat-model-badge, .chat-model-provider-badge, .local-chat-timestamp, " +
+    ".chat-tool-log, .chat-response-clamp-controls";
+
+  // Distinguishes the id sets of every sources list on the page.
+  let sourcesSeq = 0;
+
+  /** @type {Object<string, Object>} one controller per chat prefix */
+  const controllers = {};
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  function icon(name) {
+    return '<span aria-hidden="true" data-icon="' + name + '"></span>';
+  }
+
+  function plural(n, one, many) {
+    return n + " " + (n === 1 ? one : many);
+  }
+
+  function sourceLabel(source) {
+    return source.location ? source.title + ", " + source.location : source.title;
+  }
+
+  function confirmAsync(message) {
+    if (typeof window.safeConfirm === "function") return window.safeConfirm(message);
+    return Promise.resolve(window.confirm(message));
+  }
+
+  /** Switch to Set Up and focus the document search model card. */
+  function openSetupCard() {
+    var gw = window.LocalEmbeddingGateway;
+    var radio = document.getElementById("SetUp");
+    if (radio) radio.checked = true;
+    if (typeof window.showSetUp === "function") window.showSetUp(false);
+    setTimeout(function () {
+      if (!gw) return;
+      var card = document.getElementById(SETUP_CARD_PREFIX + gw.getDefaultModelKey());
+      if (card) {
+        card.scrollIntoView({ behavior: "instant", block: "start" });
+        card.setAttribute("tabindex", "-1");
+        card.focus({ preventScroll: true });
+      }
+    }, 500);
+  }
+
+  // ========================================================================
+  // PER-CHAT PANEL
+  // ========================================================================
+
+  /**
+   * Wire one chat's "My documents" panel. Idempotent per prefix.
+   * @param {Object} S the chat's state object (createChatState)
+   * @param {{topK?: number}} [options] passages sent per turn
+   * @returns {{retrieve: function(string): Promise<Array>, prepareRequest: function(Object): Promise<Object>, refresh: function(): Promise<void>, isEnabled: function(): boolean}|null}
+   */
+  function attach(S, options) {
+    if (!S || !S.idPrefix) return null;
+    if (controllers[S.idPrefix]) return controllers[S.idPrefix];
+
+    var topK = (options && options.topK) || DEFAULT_TOP_K;
+    var storageKey = S.idPrefix + "-docs-enabled";
+    var els = {
+      panel: document.getElementById(S.elId("docs")),
+      enabled: document.getElementById(S.elId("docs-enabled")),
+      file: document.getElementById(S.elId("docs-file")),
+      modelNote: document.getElementById(S.elId("docs-model-note")),
+      setupBtn: document.getElementById(S.elId("docs-setup")),
+      status: document.getElementById(S.elId("docs-status")),
+      list: document.getElementById(S.elId("docs-list")),
+    };
+    var busy = false;
+
+    function setStatus(text, isError) {
+      if (!els.status) return;
+      els.status.textContent = text || "";
+      els.status.classList.toggle("doc-library-status-error", !!isError);
+    }
+
+    function isEnabled() {
+      if (!window.DocumentLibrary) return false;
+      return !els.enabled || els.enabled.checked;
+    }
+
+    // ── Model readiness ──────────────────────────────────────────────
+
+    function updateModelNote() {
+      var gw = window.LocalEmbeddingGateway;
+      var state = gw ? gw.getModelState(gw.getDefaultModelKey()) : null;
+      var ready = READY_STATES.indexOf(state) !== -1;
+      if (els.modelNote) els.modelNote.hidden = ready;
+      if (els.file) els.file.disabled = !ready || busy;
+    }
+
+    // ── Document list ────────────────────────────────────────────────
+
+    function renderList(docs) {
+      if (!els.list) return;
+      els.list.innerHTML = "";
+      els.list.hidden = docs.length === 0;
+
+      docs.forEach(function (doc) {
+        var li = document.createElement("li");
+        li.className = "doc-library-item";
+
+        var name = document.createElement("span");
+        name.className = "doc-library-item-name";
+        name.textContent = doc.title;
+        li.appendChild(name);
+
+        var kind = window.DocumentLibrary.KINDS[doc.kind];
+        var meta = document.createElement("span");
+        meta.className = "doc-library-item-meta";
+        meta.textContent =
+          (kind ? kind.label : doc.kind) + " · " +
+          plural(doc.passageCount || 0, "passage", "passages");
+        li.appendChild(meta);
+
+        var removeBtn = document.createElement("button");
+        removeBtn.type = "button";
+        removeBtn.className = "doc-library-remove";
+        // The suffix names the document for screen-reader and voice users;
+        // the separator is a non-breaking space (see tts-model-ui.js).
+        removeBtn.innerHTML = icon("trash") + " Remove";
+        var hidden = document.createElement("span");
+        hidden.className = "visually-hidden";
+        hidden.textContent = "\u00A0— " + doc.title;
+        removeBtn.appendChild(hidden);
+        removeBtn.addEventListener("click", function () {
+          removeDocument(doc);
+        });
+        li.appendChild(removeBtn);
+
+        els.list.appendChild(li);
+      });
+
+      if (typeof window.refreshIcons === "function") window.refreshIcons(els.list);
+    }
+
+    function summarise(docs) {
+      if (docs.length === 0) return "No documents yet.";
+      var passages = docs.reduce(function (n, doc) {
+        return n + (doc.passageCount || 0);
+      }, 0);
+      return plural(docs.length, "document", "documents") + ", " +
+        plural(passages, "passage", "passages") + ".";
+    }
+
+    function refresh() {
+      if (!window.DocumentLibrary) return Promise.resolve();
+      return window.DocumentLibrary.list()
+        .then(function (docs) {
+          renderList(docs);
+          if (!busy && (!els.status || !els.status.classList.contains("doc-library-status-error"))) {
+            setStatus(summarise(docs));
+          }
+        })
+        .catch(function (err) {
+          logError("Could not list documents:", err);
+          setStatus("Your documents could not be listed: " + (err.message || err), true);
+        });
+    }
+
+    function removeDocument(doc) {
+      confirmAsync("Remove " + doc.title + " from your documents?").then(function (ok) {
+        if (!ok) return;
+        window.DocumentLibrary.remove(doc.id)
+          .then(function () {
+            setStatus("");
+            S.announceToScreenReader("Removed " + doc.title + " from your documents.");
+            // The button that had focus is gone; the file input is the
+            // nearest stable control.
+            if (els.file && !els.file.disabled) els.file.focus();
+          })
+          .catch(function (err) {
+            logError("Remove failed:", err);
+            setStatus("Could not remove " + doc.title + ": " + (err.message || err), true);
+            S.announceToScreenReader("Could not remove " + doc.title + ".");
+          });
+      });
+    }
+
+    // ── Adding files ─────────────────────────────────────────────────
+
+    async function addFiles(fileList) {
+      var files = Array.prototype.slice.call(fileList || []);
+      if (files.length === 0 || busy) return;
+      busy = true;
+      updateModelNote();
+      var failed = false;
+
+      for (var i = 0; i < files.length; i++) {
+        var file = files[i];
+        setStatus("Adding " + file.name + "…");
+        try {
+          var result = await window.DocumentLibrary.addFile(file, {
+            onProgress: function (p) {
+              if (p.phase === "embedding") {
+                setStatus("Adding " + file.name + ": indexed " + p.done + " of " +
+                  plural(p.total, "passage", "passages") + "…");
+              }
+            },
+          });
+          S.announceToScreenReader(
+            result.added
+              ? "Added " + file.name + " to your documents."
+              : file.name + " is already in your documents.",
+          );
+        } catch (err) {
+          failed = true;
+          logWarn("Could not add " + file.name + ":", err);
+          setStatus("Could not add " + file.name + ": " + (err.message || err), true);
+          S.announceToScreenReader("Could not add " + file.name + ". " + (err.message || ""));
+        }
+      }
+
+      busy = false;
+      if (els.file) els.file.value = "";
+      updateModelNote();
+      if (!failed) setStatus("");
+      await refresh();
+    }
+
+    // ── Retrieval ────────────────────────────────────────────────────
+
+    /**
+     * The passages to send with this turn, or [] when the chat is not using
+     * the library, nothing matches, or the search fails.
+     * @param {string} query the user's message
+     * @returns {Promise<Array<Object>>}
+     */
+    function retrieve(query) {
+      if (!isEnabled()) return Promise.resolve([]);
+      return window.DocumentLibrary.search(query, { topK: topK }).catch(function (err) {
+        var reason =
+          err && err.code === "model-not-downloaded"
+            ? "the document search model is not set up"
+            : (err && err.message) || "an unknown error";
+        logWarn("Retrieval failed:", err);
+        setStatus("Your documents were not searched: " + reason + ".", true);
+        S.announceToScreenReader(
+          "Your documents were not searched: " + reason + ". Sending without them.",
+        );
+        return [];
+      });
+    }
+
+    /**
+     * Resolve to `request` with the best passages added to its messages and
+     * its onComplete wrapped so the response carries `sources`. Resolves to
+     * the request untouched when there is nothing to add.
+     * @param {Object} request an embed sendStreamingRequest options object
+     * @returns {Promise<Object>}
+     */
+    function prepareRequest(request) {
+      return retrieve(request.userPrompt).then(function (passages) {
+        if (passages.length === 0) return request;
+        var sources = window.DocumentLibrary.toSources(passages);
+        var onComplete = request.onComplete;
+        return Object.assign({}, request, {
+          messages: window.DocumentLibrary.augmentMessages(request.messages, passages),
+          onComplete: function (response) {
+            if (response) response.sources = sources;
+            if (typeof onComplete === "function") onComplete(response);
+          },
+        });
+      });
+    }
+
+    // ── Wiring ───────────────────────────────────────────────────────
+
+    if (!window.DocumentLibrary || !window.LocalEmbeddingGateway) {
+      if (els.panel) els.panel.hidden = true;
+      logWarn("Document library not available — panel hidden for " + S.idPrefix);
+    } else {
+      if (els.enabled) {
+        var stored = null;
+        try {
+          stored = localStorage.getItem(storageKey);
+        } catch (e) {
+          /* storage blocked — fall back to the default */
+        }
+        els.enabled.checked = stored !== "false";
+        els.enabled.addEventListener("change", function () {
+          try {
+            localStorage.setItem(storageKey, String(els.enabled.checked));
+          } catch (e) {
+            logDebug("Could not save document setting:", e);
+          }
+        });
+      }
+      if (els.file) {
+        els.file.addEventListener("change", function () {
+          addFiles(els.file.files);
+        });
+      }
+      if (els.setupBtn) els.setupBtn.addEventListener("click", openSetupCard);
+      if (window.EmbedEventEmitter) {
+        window.EmbedEventEmitter.on("model:stateChange", function (data) {
+          if (data && data.category === "embedding") updateModelNote();
+        });
+      }
+      window.addEventListener(window.DocumentLibrary.CHANGE_EVENT, function () {
+        refresh();
+      });
+      updateModelNote();
+      refresh();
+    }
+
+    var controller = {
+      retrieve: retrieve,
+      prepareRequest: prepareRequest,
+      refresh: refresh,
+      isEnabled: isEnabled,
+    };
+    controllers[S.idPrefix] = controller;
+    logInfo("Attached document panel for " + S.idPrefix);
+    return controller;
+  }
+
+  // ========================================================================
+  // SOURCES IN THE BUBBLE
+  // ========================================================================
+
+  /**
+   * Turn "[n]" markers in the reply into links to source n. Text inside
+   * CITATION_SKIP elements is left alone, and numbers with no matching
+   * source stay plain text — a reply quoting "[3]" from elsewhere is not
+   * a citation.
+   * @param {HTMLElement} root the bubble
+   * @param {Array<Object>} sources
+   * @param {function(number): string} idFor the element id of source n
+   * @param {HTMLDetailsElement} [details] opened before jumping to a source
+   * @returns {number} how many markers were linked
+   */
+  function linkCitations(root, sources, idFor, details) {
+    if (!root || !Array.isArray(sources) || sources.length === 0) return 0;
+    var byNumber = {};
+    sources.forEach(function (source) {
+      byNumber[source.number] = source;
+    });
+
+    var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: function (node) {
+        if (!/\[\d{1,3}\]/.test(node.nodeValue)) return NodeFilter.FILTER_REJECT;
+        var parent = node.parentElement;
+        if (!parent || parent.closest(CITATION_SKIP)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    var nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    var linked = 0;
+    nodes.forEach(function (node) {
+      var text = node.nodeValue;
+      var pattern = /\[(\d{1,3})\]/g;
+      var fragment = document.createDocumentFragment();
+      var last = 0;
+      var match;
+      var changed = false;
+      while ((match = pattern.exec(text)) !== null) {
+        var source = byNumber[Number(match[1])];
+        if (!source) continue;
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+        fragment.appendChild(buildCitationLink(source, idFor(source.number), details));
+        last = match.index + match[0].length;
+        changed = true;
+        linked++;
+      }
+      if (!changed) return;
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+    return linked;
+  }
+
+  function buildCitationLink(source, targetId, details) {
+    var link = document.createElement("a");
+    link.className = "doc-cite";
+    link.href = "#" + targetId;
+    link.textContent = "[" + source.number + "]";
+    // "[1]" alone says nothing out of context (SC 2.4.4); the name keeps
+    // the visible number first so voice users can still say it.
+    link.setAttribute("aria-label", source.number + ": source " + sourceLabel(source));
+    link.addEventListener("click", function (event) {
+      var target = document.getElementById(targetId);
+      if (!target) return;
+      event.preventDefault();
+      if (details) details.open = true;
+      target.focus();
+      target.scrollIntoView({ block: "nearest" });
+    });
+    return link;
+  }
+
+  /**
+   * Render the sources a reply drew on, below its body and above its action
+   * buttons, and link the reply's [n] markers to them. Replaces any list the
+   * bubble already has; does nothing when there are no sources.
+   * @param {HTMLElement} bubble the assistant bubble
+   * @param {Array<{number: number, title: string, location: string|null, excerpt: string}>} sources
+   */
+  function attachSources(bubble, sources) {
+    if (!bubble) return;
+    var old = bubble.querySelector(".doc-sources");
+    if (old) old.remove();
+    if (!Array.isArray(sources) || sources.length === 0) return;
+
+    sourcesSeq += 1;
+    var baseId = "doc-sources-" + sourcesSeq;
+    function idFor(number) {
+      return baseId + "-" + number;
+    }
+
+    var details = document.createElement("details");
+    details.className = "doc-sources";
+    details.id = baseId;
+
+    var summary = document.createElement("summary");
+    summary.textContent = "Sources from your documents (" + sources.length + ")";
+    details.appendChild(summary);
+
+    var list = document.createElement("ol");
+    list.className = "doc-sources-list";
+    sources.forEach(function (source) {
+      var item = document.createElement("li");
+      item.id = idFor(source.number);
+      item.value = source.number;
+      // Focus target for the citation links.
+      item.tabIndex = -1;
+
+      var title = document.createElement("span");
+      title.className = "doc-source-title";
+      title.textContent = source.title;
+      item.appendChild(title);
+
+      if (source.location) {
+        var location = document.createElement("span");
+        location.className = "doc-source-location";
+        location.textContent = ", " + source.location;
+        item.appendChild(location);
+      }
+
+      if (source.excerpt) {
+        var excerpt = document.createElement("blockquote");
+        excerpt.className = "doc-source-excerpt";
+        excerpt.textContent = source.excerpt;
+        item.appendChild(excerpt);
+      }
+
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+
+    var actions = bubble.querySelector(".local-chat-bubble-actions");
+    if (actions && actions.parentNode === bubble) bubble.insertBefore(details, actions);
+    else bubble.appendChild(details);
+
+    var linked = linkCitations(bubble, sources, idFor, details);
+    logDebug("attachSources: " + sources.length + " sources, " + linked + " citations linked");
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  return {
+    attach: attach,
+    attachSources: attachSources,
+    linkCitations: linkCitations,
+    openSetupCard: openSetupCard,
+  };
+})();
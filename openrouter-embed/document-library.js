@@ -0,0 +1,929 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * DOCUMENT LIBRARY — On-device retrieval over the user's documents
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Lets Chat and Local Chat answer from the user's own documents
+ * without pasting them whole into the context window. A document is
+ * read once, split into overlapping passages, and each passage is
+ * embedded in the browser by LocalEmbeddingGateway. Passages and their
+ * vectors are stored in IndexedDB, keyed by the file's SHA-256 hash,
+ * so adding the same file twice is a no-op.
+ *
+ * Per turn, the send path embeds the user's message, ranks the stored
+ * passages by cosine similarity and prefixes the best few to the last
+ * user message, numbered so the reply can cite them as [1], [2]…
+ * Nothing here touches the network: once the embedding model is cached
+ * the whole round trip works offline.
+ *
+ * Supported inputs: PDF (via the page's pdf.js), Markdown, HTML and
+ * plain text.
+ *
+ * Public API:
+ *   addFile(file, { onProgress })          → Promise<{ document, added }>
+ *   list()                                 → Promise<Array<DocumentRecord>>
+ *   remove(documentId)                     → Promise<void>
+ *   clear()                                → Promise<void>
+ *   getStats()                             → Promise<{ documents, passages }>
+ *   search(query, { topK, minScore })      → Promise<Array<Passage>>
+ *   isSupportedFile(file)                  → boolean
+ *   augmentMessages(messages, passages)    → Array  (new array, inputs untouched)
+ *   toSources(passages)                    → Array<Source>
+ *   CHANGE_EVENT                           — window CustomEvent fired on add/remove/clear
+ *
+ * Pure helpers, exposed for the regression suite:
+ *   chunkText, sectionsFromMarkdown, sectionsFromHtml, cosineSimilarity,
+ *   rankChunks, buildContextBlock
+ *
+ * Architecture: IIFE with window.DocumentLibrary global.
+ * No NPM — pure browser JS loaded via <script> tag.
+ *
+ * VERSION: 1.0.0
+ * DATE: 19 October 2026
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+window.DocumentLibrary = (function () {
+  "use strict";
+
+  // ========================================================================
+  // LOGGING CONFIGURATION
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[DocumentLibrary] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[DocumentLibrary] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[DocumentLibrary] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[DocumentLibrary] " + message, ...args);
+  }
+
+  // ========================================================================
+  // CONSTANTS
+  // ========================================================================
+
+  const DB_NAME = "DocumentLibrary";
+  const DB_VERSION = 1;
+  const DOC_STORE = "documents";
+  const CHUNK_STORE = "chunks";
+
+  const CHANGE_EVENT = "documentlibrary:change";
+
+  // Passage size, in characters. ~800 characters is ~200 tokens: small enough
+  // that four passages fit comfortably in a 4K local context, large enough to
+  // carry a whole paragraph of policy wording.
+  const CHUNK_CHARS = 800;
+  const CHUNK_OVERLAP = 150;
+
+  const EMBED_BATCH = 16;
+  const EXCERPT_CHARS = 400;
+
+  const DEFAULT_TOP_K = 4;
+  // all-MiniLM-L6-v2 scores unrelated English text at roughly 0–0.2; below
+  // this a passage is noise that would only cost context.
+  const DEFAULT_MIN_SCORE = 0.25;
+
+  const PDF_WORKER_URL =
+    "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
+
+  const KINDS = {
+    pdf: { label: "PDF", extensions: ["pdf"], types: ["application/pdf"] },
+    markdown: {
+      label: "Markdown",
+      extensions: ["md", "markdown"],
+      types: ["text/markdown", "text/x-markdown"],
+    },
+    html: { label: "HTML", extensions: ["html", "htm"], types: ["text/html"] },
+    text: { label: "Text", extensions: ["txt"], types: ["text/plain"] },
+  };
+
+  // Elements whose text is read as one paragraph when extracting HTML.
+  const HTML_BLOCKS =
+    "h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dt, dd, td, th, caption, figcaption";
+
+  // ========================================================================
+  // DATABASE CONNECTION
+  // ========================================================================
+
+  /** @type {IDBDatabase|null} */
+  let _db = null;
+
+  /**
+   * Open (or create) the IndexedDB database.
+   * Returns a cached connection on subsequent calls.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function getDB() {
+    if (_db) return Promise.resolve(_db);
+
+    return new Promise(function (resolve, reject) {
+      var request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        logError("IndexedDB not available:", err);
+        reject(new Error("IndexedDB not available: " + err.message));
+        return;
+      }
+
+      request.onerror = function () {
+        logError("Failed to open database:", request.error);
+        reject(request.error);
+      };
+
+      request.onupgradeneeded = function (event) {
+        var db = event.target.result;
+        if (!db.objectStoreNames.contains(DOC_STORE)) {
+          db.createObjectStore(DOC_STORE, { keyPath: "id" });
+          logInfo("Object store created: " + DOC_STORE);
+        }
+        if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+          var chunks = db.createObjectStore(CHUNK_STORE, { keyPath: "id" });
+          chunks.createIndex("documentId", "documentId", { unique: false });
+          logInfo("Object store created: " + CHUNK_STORE);
+        }
+      };
+
+      request.onsuccess = function (event) {
+        _db = event.target.result;
+
+        _db.onclose = function () {
+          logWarn("Database connection closed unexpectedly");
+          _db = null;
+        };
+
+        logDebug("Database connection established");
+        resolve(_db);
+      };
+    });
+  }
+
+  /**
+   * Run a transaction over one or more stores. The callback receives the
+   * stores in the order named; the promise settles when the transaction
+   * completes, with whatever the callback stashed on `out.result`.
+   * @param {string[]} storeNames
+   * @param {string} mode — 'readonly' or 'readwrite'
+   * @param {function(Array<IDBObjectStore>, {result: *}): void} callback
+   * @returns {Promise<*>}
+   */
+  function withStores(storeNames, mode, callback) {
+    return getDB().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(storeNames, mode);
+        var out = { result: undefined };
+        try {
+          callback(
+            storeNames.map(function (name) {
+              return tx.objectStore(name);
+            }),
+            out,
+          );
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        tx.oncomplete = function () {
+          resolve(out.result);
+        };
+        tx.onerror = function () {
+          reject(tx.error);
+        };
+        tx.onabort = function () {
+          reject(tx.error || new Error("Transaction aborted"));
+        };
+      });
+    });
+  }
+
+  /** Queue deletion of every chunk belonging to a document. */
+  function deleteChunksOf(chunkStore, documentId) {
+    var cursorReq = chunkStore
+      .index("documentId")
+      .openKeyCursor(IDBKeyRange.only(documentId));
+    cursorReq.onsuccess = function () {
+      var cursor = cursorReq.result;
+      if (!cursor) return;
+      chunkStore.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  }
+
+  // ========================================================================
+  // FILE HASHING + TYPE DETECTION
+  // ========================================================================
+
+  /**
+   * Compute the SHA-256 hash of a File (or Blob).
+   * @param {File|Blob} file
+   * @returns {Promise<string>} — 64-character lowercase hex string
+   */
+  async function hashFile(file) {
+    var buffer = await file.arrayBuffer();
+    var hashBuffer = await crypto.subtle.digest("SHA-256", buffer);
+    return Array.from(new Uint8Array(hashBuffer))
+      .map(function (b) {
+        return b.toString(16).padStart(2, "0");
+      })
+      .join("");
+  }
+
+  /**
+   * Work out which extractor a file needs. The extension wins over the MIME
+   * type because browsers report .md files as "" or text/plain.
+   * @param {File} file
+   * @returns {string|null} a KINDS key
+   */
+  function detectKind(file) {
+    if (!file) return null;
+    var name = (file.name || "").toLowerCase();
+    var dot = name.lastIndexOf(".");
+    var ext = dot >= 0 ? name.slice(dot + 1) : "";
+    var kind;
+    for (kind in KINDS) {
+      if (KINDS[kind].extensions.indexOf(ext) !== -1) return kind;
+    }
+    for (kind in KINDS) {
+      if (KINDS[kind].types.indexOf(file.type) !== -1) return kind;
+    }
+    return null;
+  }
+
+  function isSupportedFile(file) {
+    return detectKind(file) !== null;
+  }
+
+  // ========================================================================
+  // TEXT EXTRACTION
+  // ========================================================================
+  // Every extractor returns sections: { text, location } where location is
+  // what a citation shows after the title — "page 4", a heading, or null.
+
+  /**
+   * Split Markdown into sections at ATX headings, ignoring "#" lines inside
+   * fenced code. The heading line stays in its section's text so a passage
+   * carries its own context.
+   * @param {string} markdown
+   * @returns {Array<{text: string, location: string|null}>}
+   */
+  function sectionsFromMarkdown(markdown) {
+    var sections = [];
+    var current = { lines: [], location: null };
+    var inFence = false;
+
+    function flush() {
+      var text = current.lines.join("\n").trim();
+      if (text) sections.push({ text: text, location: current.location });
+    }
+
+    String(markdown || "")
+      .split(/\r?\n/)
+      .forEach(function (line) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        var heading = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+          flush();
+          current = { lines: [], location: heading[1].trim() };
+        }
+        current.lines.push(line);
+      });
+    flush();
+    return sections;
+  }
+
+  /**
+   * Split an HTML document into sections at headings. Scripts, styles and
+   * templates are dropped; each block element becomes one paragraph, and a
+   * block nested in another block is read as part of its ancestor.
+   * @param {string} html
+   * @returns {Array<{text: string, location: string|null}>}
+   */
+  function sectionsFromHtml(html) {
+    var doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+    var body = doc.body;
+    if (!body) return [];
+    body
+      .querySelectorAll("script, style, noscript, template")
+      .forEach(function (el) {
+        el.remove();
+      });
+
+    var blocks = Array.prototype.filter.call(
+      body.querySelectorAll(HTML_BLOCKS),
+      function (el) {
+        return !el.parentElement || !el.parentElement.closest(HTML_BLOCKS);
+      },
+    );
+
+    if (blocks.length === 0) {
+      var loose = (body.textContent || "").trim();
+      return loose ? [{ text: loose, location: null }] : [];
+    }
+
+    var sections = [];
+    var current = { paragraphs: [], location: null };
+
+    function flush() {
+      if (current.paragraphs.length) {
+        sections.push({
+          text: current.paragraphs.join("\n\n"),
+          location: current.location,
+        });
+      }
+    }
+
+    blocks.forEach(function (el) {
+      var text = (el.textContent || "").replace(/\s+/g, " ").trim();
+      if (!text) return;
+      if (/^H[1-6]$/.test(el.tagName)) {
+        flush();
+        current = { paragraphs: [], location: text };
+      }
+      current.paragraphs.push(text);
+    });
+    flush();
+    return sections;
+  }
+
+  /**
+   * Read a PDF's text layer, one section per page. Scanned PDFs have no text
+   * layer and come back empty — addFile() turns that into a clear error.
+   * @param {File} file
+   * @returns {Promise<Array<{text: string, location: string}>>}
+   */
+  async function sectionsFromPdf(file) {
+    var pdfjs = window.pdfjsLib;
+    if (!pdfjs) throw new Error("PDF support is not available on this page");
+    if (pdfjs.GlobalWorkerOptions && !pdfjs.GlobalWorkerOptions.workerSrc) {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+    }
+
+    var pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() })
+      .promise;
+    var sections = [];
+    try {
+      for (var pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        var page = await pdf.getPage(pageNumber);
+        var content = await page.getTextContent();
+        var text = content.items
+          .map(function (item) {
+            return (item.str || "") + (item.hasEOL ? "\n" : "");
+          })
+          .join("")
+          .trim();
+        if (text) sections.push({ text: text, location: "page " + pageNumber });
+      }
+    } finally {
+      if (typeof pdf.destroy === "function") pdf.destroy();
+    }
+    return sections;
+  }
+
+  async function extractSections(file, kind) {
+    switch (kind) {
+      case "pdf":
+        return sectionsFromPdf(file);
+      case "markdown":
+        return sectionsFromMarkdown(await file.text());
+      case "html":
+        return sectionsFromHtml(await file.text());
+      default: {
+        var text = (await file.text()).trim();
+        return text ? [{ text: text, location: null }] : [];
+      }
+    }
+  }
+
+  // ========================================================================
+  // CHUNKING
+  // ========================================================================
+
+  /** Break a paragraph longer than `size` at sentence ends, then at spaces. */
+  function splitLongParagraph(paragraph, size) {
+    var pieces = [];
+    var current = "";
+    paragraph.split(/(?<=[.!?])\s+/).forEach(function (sentence) {
+      while (sentence.length > size) {
+        var cut = sentence.lastIndexOf(" ", size);
+        if (cut <= 0) cut = size;
+        if (current) {
+          pieces.push(current);
+          current = "";
+        }
+        pieces.push(sentence.slice(0, cut).trim());
+        sentence = sentence.slice(cut).trim();
+      }
+      if (!sentence) return;
+      if (current && current.length + 1 + sentence.length > size) {
+        pieces.push(current);
+        current = "";
+      }
+      current = current ? current + " " + sentence : sentence;
+    });
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  /** The last ~`overlap` characters of a chunk, starting on a word boundary. */
+  function overlapTail(chunk, overlap) {
+    if (!overlap || chunk.length <= overlap) return "";
+    var tail = chunk.slice(-overlap);
+    var space = tail.search(/\s/);
+    return space >= 0 ? tail.slice(space + 1).trim() : "";
+  }
+
+  /**
+   * Pack text into passages of at most `size` characters, keeping whole
+   * paragraphs together where they fit. Each passage after the first starts
+   * with the tail of the one before, so a sentence that straddles a boundary
+   * is still found whole in at least one passage.
+   * @param {string} text
+   * @param {{size?: number, overlap?: number}} [options]
+   * @returns {string[]}
+   */
+  function chunkText(text, options) {
+    var size = (options && options.size) || CHUNK_CHARS;
+    var overlap =
+      options && typeof options.overlap === "number"
+        ? options.overlap
+        : CHUNK_OVERLAP;
+
+    var pieces = [];
+    String(text || "")
+      .split(/\n\s*\n/)
+      .forEach(function (paragraph) {
+        var p = paragraph.replace(/[ \t]+/g, " ").trim();
+        if (!p) return;
+        if (p.length <= size) pieces.push(p);
+        else pieces.push.apply(pieces, splitLongParagraph(p, size));
+      });
+
+    var chunks = [];
+    var current = "";
+    pieces.forEach(function (piece) {
+      if (!current) {
+        current = piece;
+        return;
+      }
+      if (current.length + 2 + piece.length <= size) {
+        current += "\n\n" + piece;
+        return;
+      }
+      chunks.push(current);
+      var tail = overlapTail(current, overlap);
+      current =
+        tail && tail.length + 2 + piece.length <= size
+          ? tail + "\n\n" + piece
+          : piece;
+    });
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /** Chunk every section; passages never cross a section, so citations stay exact. */
+  function chunkSections(sections) {
+    var out = [];
+    sections.forEach(function (section) {
+      chunkText(section.text).forEach(function (text) {
+        out.push({ text: text, location: section.location || null });
+      });
+    });
+    return out;
+  }
+
+  // ========================================================================
+  // RANKING
+  // ========================================================================
+
+  /**
+   * Cosine similarity of two equal-length vectors. Does not assume they are
+   * normalised, so it stays correct if a future model is not.
+   * @param {ArrayLike<number>} a
+   * @param {ArrayLike<number>} b
+   * @returns {number} -1…1, or 0 when either vector is empty or all zeros
+   */
+  function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+    var dot = 0;
+    var normA = 0;
+    var normB = 0;
+    for (var i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Score chunks against a query vector and keep the best.
+   * @param {ArrayLike<number>} queryVector
+   * @param {Array<{vector: ArrayLike<number>}>} chunks
+   * @param {{topK?: number, minScore?: number}} [options]
+   * @returns {Array<Object>} copies of the chunks with a `score`, best first
+   */
+  function rankChunks(queryVector, chunks, options) {
+    var topK = (options && options.topK) || DEFAULT_TOP_K;
+    var minScore =
+      options && typeof options.minScore === "number"
+        ? options.minScore
+        : DEFAULT_MIN_SCORE;
+    return (chunks || [])
+      .map(function (chunk) {
+        return Object.assign({}, chunk, {
+          score: cosineSimilarity(queryVector, chunk.vector),
+        });
+      })
+      .filter(function (chunk) {
+        return chunk.score >= minScore;
+      })
+      .sort(function (a, b) {
+        return b.score - a.score;
+      })
+      .slice(0, topK);
+  }
+
+  // ========================================================================
+  // PROMPT AUGMENTATION + SOURCES
+  // ========================================================================
+
+  function citationLabel(passage) {
+    return passage.location
+      ? passage.title + " — " + passage.location
+      : passage.title;
+  }
+
+  /**
+   * The numbered passage block that is prefixed to the user's message.
+   * @param {Array<{title: string, location: string|null, text: string}>} passages
+   * @returns {string} "" when there are no passages
+   */
+  function buildContextBlock(passages) {
+    if (!passages || passages.length === 0) return "";
+    var parts = [
+      "Use the numbered passages from my documents below if they help. " +
+        "When you use one, cite it by its number in square brackets, for example [1]. " +
+        "If none of them is relevant, answer without citing them.",
+    ];
+    passages.forEach(function (passage, i) {
+      parts.push("[" + (i + 1) + "] " + citationLabel(passage) + "\n" + passage.text);
+    });
+    parts.push("---");
+    return parts.join("\n\n");
+  }
+
+  /**
+   * Prefix the passage block to the LAST user message. Returns a new array;
+   * the caller's messages (and the stored conversation) are never changed,
+   * so the passages go to the model for this turn only.
+   * Handles both string content and multimodal part arrays.
+   * @param {Array<{role: string, content: string|Array}>} messages
+   * @param {Array<Object>} passages
+   * @returns {Array<Object>}
+   */
+  function augmentMessages(messages, passages) {
+    var list = Array.isArray(messages) ? messages.slice() : [];
+    var block = buildContextBlock(passages);
+    if (!block) return list;
+
+    for (var i = list.length - 1; i >= 0; i--) {
+      if (!list[i] || list[i].role !== "user") continue;
+      var message = Object.assign({}, list[i]);
+      if (Array.isArray(message.content)) {
+        message.content = [{ type: "text", text: block }].concat(message.content);
+      } else {
+        message.content = block + "\n\n" + (message.content || "");
+      }
+      list[i] = message;
+      return list;
+    }
+
+    logWarn("augmentMessages: no user message to attach passages to");
+    return list;
+  }
+
+  /** Trim a passage to an excerpt, on a word boundary. */
+  function excerptOf(text) {
+    var clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (clean.length <= EXCERPT_CHARS) return clean;
+    var cut = clean.lastIndexOf(" ", EXCERPT_CHARS);
+    return clean.slice(0, cut > 0 ? cut : EXCERPT_CHARS) + "…";
+  }
+
+  /**
+   * The citation records stored on an assistant turn. Numbered to match the
+   * passage block, and free of vectors so they are cheap to persist.
+   * @param {Array<Object>} passages
+   * @returns {Array<{number: number, documentId: string, title: string, location: string|null, excerpt: string, score: number}>}
+   */
+  function toSources(passages) {
+    return (passages || []).map(function (passage, i) {
+      return {
+        number: i + 1,
+        documentId: passage.documentId || null,
+        title: passage.title || "Untitled document",
+        location: passage.location || null,
+        excerpt: excerptOf(passage.text),
+        score: Math.round((passage.score || 0) * 1000) / 1000,
+      };
+    });
+  }
+
+  // ========================================================================
+  // LIBRARY OPERATIONS
+  // ========================================================================
+
+  // Stored chunks for the current embedding model, held in memory between
+  // searches so a turn costs one query embedding, not a database scan.
+  let _chunkCache = null;
+
+  function gateway() {
+    if (!window.LocalEmbeddingGateway) {
+      throw new Error("Document search is not available on this page");
+    }
+    return window.LocalEmbeddingGateway;
+  }
+
+  function notifyChange(detail) {
+    _chunkCache = null;
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: detail }));
+  }
+
+  function reportProgress(onProgress, detail) {
+    if (typeof onProgress !== "function") return;
+    try {
+      onProgress(detail);
+    } catch (err) {
+      logWarn("onProgress callback threw:", err);
+    }
+  }
+
+  /**
+   * Read, chunk, embed and store a file.
+   * @param {File} file
+   * @param {{onProgress?: function({phase: string, done?: number, total?: number})}} [options]
+   * @returns {Promise<{document: Object, added: boolean}>} added is false when
+   *   the same file was already in the library
+   */
+  async function addFile(file, options) {
+    var onProgress = options && options.onProgress;
+    var kind = detectKind(file);
+    if (!kind) {
+      throw new Error(
+        (file && file.name ? file.name : "This file") +
+          " is not a supported type. Add PDF, Markdown, HTML or plain text files.",
+      );
+    }
+
+    var modelKey = gateway().getDefaultModelKey();
+    var id = await hashFile(file);
+    var existing = await withStores([DOC_STORE], "readonly", function (stores, out) {
+      var req = stores[0].get(id);
+      req.onsuccess = function () {
+        out.result = req.result || null;
+      };
+    });
+    if (existing && existing.modelKey === modelKey) {
+      logInfo("Already in library: " + file.name);
+      return { document: existing, added: false };
+    }
+
+    reportProgress(onProgress, { phase: "reading" });
+    var sections = await extractSections(file, kind);
+    var passages = chunkSections(sections);
+    if (passages.length === 0) {
+      throw new Error(
+        file.name +
+          " has no text that can be searched." +
+          (kind === "pdf" ? " If it is a scanned PDF, convert it to text first." : ""),
+      );
+    }
+
+    var vectors = [];
+    for (var start = 0; start < passages.length; start += EMBED_BATCH) {
+      reportProgress(onProgress, {
+        phase: "embedding",
+        done: start,
+        total: passages.length,
+      });
+      var batch = passages.slice(start, start + EMBED_BATCH).map(function (p) {
+        return p.text;
+      });
+      vectors.push.apply(vectors, await gateway().embed(batch));
+    }
+    reportProgress(onProgress, {
+      phase: "embedding",
+      done: passages.length,
+      total: passages.length,
+    });
+
+    var record = {
+      id: id,
+      title: file.name,
+      kind: kind,
+      size: file.size,
+      addedAt: Date.now(),
+      modelKey: modelKey,
+      passageCount: passages.length,
+      charCount: passages.reduce(function (n, p) {
+        return n + p.text.length;
+      }, 0),
+    };
+
+    await withStores([DOC_STORE, CHUNK_STORE], "readwrite", function (stores) {
+      // Re-adding under a different model replaces the old vectors outright.
+      if (existing) deleteChunksOf(stores[1], id);
+      stores[0].put(record);
+      passages.forEach(function (passage, i) {
+        stores[1].put({
+          id: id + ":" + i,
+          documentId: id,
+          index: i,
+          text: passage.text,
+          location: passage.location,
+          modelKey: modelKey,
+          vector: vectors[i],
+        });
+      });
+    });
+
+    logInfo("Added " + file.name + " (" + passages.length + " passages)");
+    notifyChange({ action: "add", documentId: id });
+    return { document: record, added: true };
+  }
+
+  /**
+   * Every document in the library, newest first.
+   * @returns {Promise<Array<Object>>}
+   */
+  function list() {
+    return withStores([DOC_STORE], "readonly", function (stores, out) {
+      var req = stores[0].getAll();
+      req.onsuccess = function () {
+        out.result = req.result || [];
+      };
+    }).then(function (docs) {
+      return docs.sort(function (a, b) {
+        return b.addedAt - a.addedAt;
+      });
+    });
+  }
+
+  /**
+   * Remove one document and its passages.
+   * @param {string} documentId
+   * @returns {Promise<void>}
+   */
+  function remove(documentId) {
+    return withStores([DOC_STORE, CHUNK_STORE], "readwrite", function (stores) {
+      stores[0].delete(documentId);
+      deleteChunksOf(stores[1], documentId);
+    }).then(function () {
+      logInfo("Removed document " + String(documentId).substring(0, 16) + "…");
+      notifyChange({ action: "remove", documentId: documentId });
+    });
+  }
+
+  /**
+   * Remove every document.
+   * @returns {Promise<void>}
+   */
+  function clear() {
+    return withStores([DOC_STORE, CHUNK_STORE], "readwrite", function (stores) {
+      stores[0].clear();
+      stores[1].clear();
+    }).then(function () {
+      logInfo("Library cleared");
+      notifyChange({ action: "clear" });
+    });
+  }
+
+  /**
+   * @returns {Promise<{documents: number, passages: number}>}
+   */
+  function getStats() {
+    return withStores([DOC_STORE, CHUNK_STORE], "readonly", function (stores, out) {
+      var result = { documents: 0, passages: 0 };
+      out.result = result;
+      var docReq = stores[0].count();
+      docReq.onsuccess = function () {
+        result.documents = docReq.result;
+      };
+      var chunkReq = stores[1].count();
+      chunkReq.onsuccess = function () {
+        result.passages = chunkReq.result;
+      };
+    });
+  }
+
+  /** Load (and memoise) the searchable chunks, each with its document's title. */
+  async function loadChunks() {
+    var modelKey = gateway().getDefaultModelKey();
+    if (_chunkCache && _chunkCache.modelKey === modelKey) return _chunkCache.chunks;
+
+    var data = await withStores([DOC_STORE, CHUNK_STORE], "readonly", function (stores, out) {
+      var result = { docs: [], chunks: [] };
+      out.result = result;
+      var docReq = stores[0].getAll();
+      docReq.onsuccess = function () {
+        result.docs = docReq.result || [];
+      };
+      var chunkReq = stores[1].getAll();
+      chunkReq.onsuccess = function () {
+        result.chunks = chunkReq.result || [];
+      };
+    });
+
+    var titles = {};
+    data.docs.forEach(function (doc) {
+      titles[doc.id] = doc.title;
+    });
+    var chunks = data.chunks
+      .filter(function (chunk) {
+        return chunk.modelKey === modelKey && titles[chunk.documentId] !== undefined;
+      })
+      .map(function (chunk) {
+        return Object.assign({}, chunk, { title: titles[chunk.documentId] });
+      });
+
+    _chunkCache = { modelKey: modelKey, chunks: chunks };
+    return chunks;
+  }
+
+  /**
+   * Find the passages that best match a query. Resolves to [] without
+   * touching the model when the library is empty.
+   * @param {string} query
+   * @param {{topK?: number, minScore?: number}} [options]
+   * @returns {Promise<Array<{documentId: string, title: string, location: string|null, text: string, score: number}>>}
+   */
+  async function search(query, options) {
+    var text = String(query || "").trim();
+    if (!text) return [];
+    var chunks = await loadChunks();
+    if (chunks.length === 0) return [];
+
+    var vectors = await gateway().embed(text);
+    var ranked = rankChunks(vectors[0], chunks, options);
+    logDebug("search: " + ranked.length + " of " + chunks.length + " passages matched");
+    return ranked.map(function (chunk) {
+      return {
+        documentId: chunk.documentId,
+        title: chunk.title,
+        location: chunk.location,
+        text: chunk.text,
+        score: chunk.score,
+      };
+    });
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  return {
+    CHANGE_EVENT: CHANGE_EVENT,
+    KINDS: KINDS,
+    addFile: addFile,
+    list: list,
+    remove: remove,
+    clear: clear,
+    getStats: getStats,
+    search: search,
+    isSupportedFile: isSupportedFile,
+    detectKind: detectKind,
+    augmentMessages: augmentMessages,
+    toSources: toSources,
+    // Pure helpers (regression suite)
+    chunkText: chunkText,
+    sectionsFromMarkdown: sectionsFromMarkdown,
+    sectionsFromHtml: sectionsFromHtml,
+    cosineSimilarity: cosineSimilarity,
+    rankChunks: rankChunks,
+    buildContextBlock: buildContextBlock,
+  };
+})();
@@ -0,0 +1,391 @@
+/**
+ * Local Embedding Gateway — sentence embeddings via Transformers.js
+ *
+ * Downloads, loads and runs a small feature-extraction model so the
+ * document library (document-library.js) can embed passages and queries
+ * in the browser. Nothing leaves the device: once the model files are in
+ * the shared Cache API store (transformers-cache) embedding works offline.
+ *
+ * Runs on WASM deliberately. The model is ~23 MB and embeds a query in a
+ * few milliseconds on the CPU, so there is nothing to gain from WebGPU and
+ * a lot to lose: it would compete with a loaded text model for GPU memory.
+ *
+ * Managed from Set Up like the text and speech models — see
+ * local-embedding-model-ui.js for the card binder.
+ *
+ * Exposes: window.LocalEmbeddingGateway
+ *
+ * Events (via EmbedEventEmitter):
+ *   model:stateChange  { modelKey, newState, engine: 'onnx', category: 'embedding' }
+ *
+ * @author Matthew Deeprose
+ */
+const LocalEmbeddingGateway = (function () {
+  'use strict';
+
+  // ── Logging configuration ──────────────────────────────────────────
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.ERROR)) console.error.apply(console, ['[LocalEmbeddingGateway]', message].concat(args));
+  }
+  function logWarn(message) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.WARN)) console.warn.apply(console, ['[LocalEmbeddingGateway]', message].concat(args));
+  }
+  function logInfo(message) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.INFO)) console.log.apply(console, ['[LocalEmbeddingGateway]', message].concat(args));
+  }
+  function logDebug(message) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    if (shouldLog(LOG_LEVELS.DEBUG)) console.log.apply(console, ['[LocalEmbeddingGateway]', message].concat(args));
+  }
+
+  // ── Constants ──────────────────────────────────────────────────────
+
+  var CDN_VERSIONS = {
+    'next.9': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@4.0.0-next.9',
+    'next.10': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@4.0.0-next.10',
+    latest: 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@next'
+  };
+  var CDN_DEFAULT = 'next.9';
+  var CACHE_NAME = 'transformers-cache';
+
+  var STATES = {
+    NOT_DOWNLOADED: 'not-downloaded',
+    DOWNLOADING: 'downloading',
+    CACHED: 'cached',
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    ERROR: 'error'
+  };
+
+  // ── Model registry ─────────────────────────────────────────────────
+
+  var MODEL_REGISTRY = [{
+    key: 'minilm-l6',
+    name: 'MiniLM document search',
+    hfModelId: 'Xenova/all-MiniLM-L6-v2',
+    sizeMB: 23,
+    dtype: 'q8',
+    dimensions: 384
+  }];
+
+  var DEFAULT_MODEL_KEY = 'minilm-l6';
+
+  // ── Closure state ──────────────────────────────────────────────────
+
+  var _v4Module = null;       // Transformers.js v4 module
+  var _pipeline = null;       // Loaded feature-extraction pipeline
+  var _loadedKey = null;      // Currently loaded model key
+  var _loading = null;        // In-flight loadModel() promise (single-flight guard)
+  var _modelStates = {};      // Per-model lifecycle state
+
+  MODEL_REGISTRY.forEach(function (model) {
+    _modelStates[model.key] = STATES.NOT_DOWNLOADED;
+  });
+
+  // ── Event emitter helper ───────────────────────────────────────────
+
+  function emit(eventName, payload) {
+    if (window.EmbedEventEmitter && typeof window.EmbedEventEmitter.emit === 'function') {
+      window.EmbedEventEmitter.emit(eventName, payload);
+      logDebug('Emitted event: ' + eventName, payload);
+    }
+  }
+
+  // ── State management ───────────────────────────────────────────────
+
+  function setModelState(modelKey, newState) {
+    var previous = _modelStates[modelKey];
+    _modelStates[modelKey] = newState;
+    logDebug('Model state: ' + modelKey + ' ' + previous + ' → ' + newState);
+    emit('model:stateChange', {
+      modelKey: modelKey, newState: newState, previousState: previous,
+      engine: 'onnx', category: 'embedding'
+    });
+  }
+
+  function findModel(modelKey) {
+    for (var i = 0; i < MODEL_REGISTRY.length; i++) {
+      if (MODEL_REGISTRY[i].key === modelKey) return MODEL_REGISTRY[i];
+    }
+    return null;
+  }
+
+  // ── Library loading ────────────────────────────────────────────────
+
+  /** Load Transformers.js v4 — reuse from LocalTextModelGateway or CDN import. */
+  async function ensureLibrary() {
+    if (_v4Module) return _v4Module;
+
+    if (window.LocalTextModelGateway &&
+        typeof window.LocalTextModelGateway.ensureLibrary === 'function') {
+      try {
+        _v4Module = await window.LocalTextModelGateway.ensureLibrary();
+        if (_v4Module) {
+          logInfo('Reusing Transformers.js v4 from LocalTextModelGateway');
+          return _v4Module;
+        }
+      } catch (e) {
+        logWarn('Could not reuse library from gateway, importing directly');
+      }
+    }
+
+    var versionKey = CDN_DEFAULT;
+    try {
+      _v4Module = await import(CDN_VERSIONS[versionKey]);
+      logInfo('Loaded Transformers.js v4 from CDN: ' + versionKey);
+      return _v4Module;
+    } catch (e) {
+      logDebug('CDN "' + versionKey + '" failed: ' + e.message);
+    }
+
+    for (var key in CDN_VERSIONS) {
+      if (key === versionKey) continue;
+      try {
+        _v4Module = await import(CDN_VERSIONS[key]);
+        logInfo('Loaded Transformers.js v4 from fallback: ' + key);
+        return _v4Module;
+      } catch (e) {
+        logDebug('Fallback "' + key + '" failed: ' + e.message);
+      }
+    }
+
+    throw new Error('Could not load Transformers.js from any CDN');
+  }
+
+  // ── Cache detection ────────────────────────────────────────────────
+
+  /** Check whether model files exist in the Cache API store. */
+  async function isModelCached(modelKey) {
+    var model = findModel(modelKey);
+    if (!model) {
+      logWarn('Unknown embedding model key: ' + modelKey);
+      return false;
+    }
+    try {
+      var cache = await caches.open(CACHE_NAME);
+      var keys = await cache.keys();
+      var modelSlug = model.hfModelId.replace('/', '%2F');
+      return keys.some(function (req) {
+        var url = req.url || '';
+        return url.includes(model.hfModelId) || url.includes(modelSlug);
+      });
+    } catch (e) {
+      logDebug('Cache check failed: ' + e.message);
+      return false;
+    }
+  }
+
+  // ── Model lifecycle ────────────────────────────────────────────────
+
+  function pipelineOptions(model) {
+    return { device: 'wasm', dtype: model.dtype };
+  }
+
+  /**
+   * Download a model to the Cache API without keeping it in memory.
+   * Called from the Set Up card.
+   */
+  async function preDownloadModel(modelKey) {
+    var model = findModel(modelKey);
+    if (!model) throw new Error('Unknown embedding model: ' + modelKey);
+
+    var cached = await isModelCached(modelKey);
+    if (cached) {
+      logInfo(model.name + ' is already cached');
+      if (_modelStates[modelKey] !== STATES.LOADED) setModelState(modelKey, STATES.CACHED);
+      return;
+    }
+
+    setModelState(modelKey, STATES.DOWNLOADING);
+
+    try {
+      var mod = await ensureLibrary();
+      var tempPipeline = await mod.pipeline('feature-extraction', model.hfModelId, pipelineOptions(model));
+      if (tempPipeline && typeof tempPipeline.dispose === 'function') {
+        await tempPipeline.dispose();
+      }
+      setModelState(modelKey, STATES.CACHED);
+      logInfo(model.name + ' pre-downloaded and cached');
+    } catch (e) {
+      setModelState(modelKey, STATES.ERROR);
+      logError('Pre-download failed for ' + model.name + ': ' + e.message);
+      throw e;
+    }
+  }
+
+  /**
+   * Load an embedding model into memory. Concurrent callers share one load,
+   * so the library panel and a send path asking at the same moment do not
+   * build two pipelines.
+   */
+  async function loadModel(modelKey) {
+    var model = findModel(modelKey);
+    if (!model) throw new Error('Unknown embedding model: ' + modelKey);
+
+    if (_loadedKey === modelKey && _pipeline) return;
+    if (_loading) return _loading;
+
+    _loading = (async function () {
+      if (_loadedKey) await unloadModel();
+      setModelState(modelKey, STATES.LOADING);
+      try {
+        var mod = await ensureLibrary();
+        _pipeline = await mod.pipeline('feature-extraction', model.hfModelId, pipelineOptions(model));
+        _loadedKey = modelKey;
+        setModelState(modelKey, STATES.LOADED);
+        logInfo(model.name + ' loaded (WASM)');
+      } catch (e) {
+        _pipeline = null;
+        _loadedKey = null;
+        setModelState(modelKey, STATES.ERROR);
+        logError('Failed to load ' + model.name + ': ' + e.message);
+        throw e;
+      }
+    })();
+
+    try {
+      await _loading;
+    } finally {
+      _loading = null;
+    }
+  }
+
+  /** Unload the currently loaded model and free memory. */
+  async function unloadModel() {
+    if (!_loadedKey) {
+      logDebug('No model loaded — nothing to unload');
+      return;
+    }
+
+    var modelKey = _loadedKey;
+    if (_pipeline && typeof _pipeline.dispose === 'function') {
+      try { await _pipeline.dispose(); } catch (e) {
+        logWarn('Pipeline dispose error: ' + e.message);
+      }
+    }
+
+    _pipeline = null;
+    _loadedKey = null;
+    setModelState(modelKey, STATES.CACHED);
+    logInfo(modelKey + ' unloaded');
+  }
+
+  // ── Embedding ──────────────────────────────────────────────────────
+
+  /**
+   * Embed one or more texts with the default model, loading it from the
+   * cache first if needed. Vectors are mean-pooled and L2-normalised, so
+   * a dot product between two of them is their cosine similarity.
+   *
+   * Rejects with err.code === 'model-not-downloaded' when the model has
+   * never been set up, so callers can point the user at the Set Up card
+   * instead of surfacing a raw network error.
+   *
+   * @param {string|string[]} texts
+   * @returns {Promise<Float32Array[]>} one vector per input, in order
+   */
+  async function embed(texts) {
+    var list = Array.isArray(texts) ? texts : [texts];
+    if (list.length === 0) return [];
+
+    var modelKey = DEFAULT_MODEL_KEY;
+    var model = findModel(modelKey);
+
+    if (_loadedKey !== modelKey || !_pipeline) {
+      var state = _modelStates[modelKey];
+      if (state === STATES.NOT_DOWNLOADED || state === STATES.ERROR) {
+        // The initial cache check may not have settled yet — ask again
+        // before declaring the model missing.
+        if (await isModelCached(modelKey)) {
+          _modelStates[modelKey] = STATES.CACHED;
+        } else {
+          var err = new Error(model.name + ' is not downloaded. Set it up in Set Up → Document Search.');
+          err.code = 'model-not-downloaded';
+          throw err;
+        }
+      }
+      await loadModel(modelKey);
+    }
+
+    var output = await _pipeline(list, { pooling: 'mean', normalize: true });
+    var data = output.data;
+    var dims = output.dims && output.dims.length ? output.dims[output.dims.length - 1] : model.dimensions;
+
+    var vectors = [];
+    for (var i = 0; i < list.length; i++) {
+      vectors.push(Float32Array.from(data.subarray(i * dims, (i + 1) * dims)));
+    }
+    return vectors;
+  }
+
+  // ── Public getters ─────────────────────────────────────────────────
+
+  function getLoadedModel() { return _loadedKey; }
+
+  function getDefaultModelKey() { return DEFAULT_MODEL_KEY; }
+
+  function getModelState(modelKey) {
+    return _modelStates[modelKey] || STATES.NOT_DOWNLOADED;
+  }
+
+  function getRegisteredModels() {
+    return MODEL_REGISTRY.map(function (model) {
+      return {
+        key: model.key, name: model.name, hfModelId: model.hfModelId,
+        sizeMB: model.sizeMB, dimensions: model.dimensions,
+        state: _modelStates[model.key] || STATES.NOT_DOWNLOADED,
+        isLoaded: _loadedKey === model.key
+      };
+    });
+  }
+
+  // ── Initialisation — check cache state on load ─────────────────────
+
+  (async function initCacheStates() {
+    for (var i = 0; i < MODEL_REGISTRY.length; i++) {
+      var model = MODEL_REGISTRY[i];
+      try {
+        var cached = await isModelCached(model.key);
+        if (cached && _modelStates[model.key] === STATES.NOT_DOWNLOADED) {
+          setModelState(model.key, STATES.CACHED);
+          logDebug(model.key + ' found in cache');
+        }
+      } catch (e) {
+        logDebug('Cache check failed for ' + model.key + ': ' + e.message);
+      }
+    }
+    logInfo('LocalEmbeddingGateway initialised — ' + MODEL_REGISTRY.length + ' model(s) registered');
+  })();
+
+  // ── Public API ─────────────────────────────────────────────────────
+
+  return {
+    loadModel: loadModel,
+    unloadModel: unloadModel,
+    preDownloadModel: preDownloadModel,
+    isModelCached: isModelCached,
+    embed: embed,
+    getLoadedModel: getLoadedModel,
+    getDefaultModelKey: getDefaultModelKey,
+    getModelState: getModelState,
+    getRegisteredModels: getRegisteredModels
+  };
+
+})();
+
+window.LocalEmbeddingGateway = LocalEmbeddingGateway;
@@ -0,0 +1,483 @@
+/**
+ * ===================================================================
+ * LOCAL EMBEDDING MODEL UI — Set Up card for document search
+ * ===================================================================
+ *
+ * Binds the document-search model card (in tools.html, Set Up →
+ * Document Search) to LocalEmbeddingGateway
+ * (local-embedding-gateway.js). Mirrors tts/tts-model-ui.js so the
+ * card behaves exactly like its neighbours.
+ *
+ * Responsibilities:
+ *   - Refresh embedding model state display in Set Up tool
+ *   - Render action buttons per model state
+ *   - Listen for model:stateChange events (category === 'embedding')
+ *   - Expose global onclick handlers for inline buttons
+ *   - Cache removal via transformers-cache Cache API
+ *
+ * Architecture: IIFE with window globals for onclick handlers.
+ * No NPM — pure browser JS loaded via <script> tag.
+ *
+ * VERSION: 1.0.0
+ * DATE: 19 October 2026
+ * ===================================================================
+ */
+
+/* global LocalEmbeddingGateway, EmbedEventEmitter, getIcon, safeConfirm */
+
+(function () {
+    "use strict";
+
+    // ========================================================================
+    // LOGGING CONFIGURATION
+    // ========================================================================
+
+    var LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+    var DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+    var ENABLE_ALL_LOGGING = false;
+    var DISABLE_ALL_LOGGING = false;
+
+    function shouldLog(level) {
+        if (DISABLE_ALL_LOGGING) return false;
+        if (ENABLE_ALL_LOGGING) return true;
+        return level <= DEFAULT_LOG_LEVEL;
+    }
+
+    function logError(message) {
+        if (shouldLog(LOG_LEVELS.ERROR)) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            console.error.apply(console, ["[LocalEmbeddingModelUI] " + message].concat(args));
+        }
+    }
+
+    function logWarn(message) {
+        if (shouldLog(LOG_LEVELS.WARN)) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            console.warn.apply(console, ["[LocalEmbeddingModelUI] " + message].concat(args));
+        }
+    }
+
+    function logInfo(message) {
+        if (shouldLog(LOG_LEVELS.INFO)) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            console.log.apply(console, ["[LocalEmbeddingModelUI] " + message].concat(args));
+        }
+    }
+
+    function logDebug(message) {
+        if (shouldLog(LOG_LEVELS.DEBUG)) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            console.log.apply(console, ["[LocalEmbeddingModelUI] " + message].concat(args));
+        }
+    }
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    var CACHE_NAME = "transformers-cache";
+    var CARD_ID_PREFIX = "setup-emb-model-";
+
+    // ========================================================================
+    // CACHED DOM ELEMENTS
+    // ========================================================================
+
+    /** @type {Object<string, {card: HTMLElement, icon: HTMLElement, stateText: HTMLElement, actions: HTMLElement, progress: HTMLElement}>} */
+    var cardEls = {};
+
+    /**
+     * Cache DOM elements for all embedding model cards.
+     */
+    function cacheElements() {
+        if (!window.LocalEmbeddingGateway) return;
+
+        var models = window.LocalEmbeddingGateway.getRegisteredModels();
+        for (var i = 0; i < models.length; i++) {
+            var key = models[i].key;
+            var card = document.getElementById(CARD_ID_PREFIX + key);
+            if (!card) continue;
+
+            cardEls[key] = {
+                card: card,
+                icon: card.querySelector(".imgdesc-mm-status-icon"),
+                stateText: card.querySelector(".imgdesc-mm-state-text"),
+                actions: card.querySelector(".imgdesc-mm-model-actions"),
+                progress: card.querySelector(".imgdesc-mm-progress")
+            };
+        }
+
+        logDebug("Cached elements for " + Object.keys(cardEls).length + " embedding model cards");
+    }
+
+    // ========================================================================
+    // STATE -> DISPLAY MAPPING
+    // ========================================================================
+
+    var STATE_LABELS = {
+        "not-downloaded": "Not downloaded",
+        "downloading": "Downloading…",
+        "cached": "Downloaded — loads when you search",
+        "loading": "Loading…",
+        "loaded": "Loaded and ready",
+        "error": "Error"
+    };
+
+    var STATE_ICONS = {
+        "not-downloaded": "download",
+        "downloading": "hourglass",
+        "cached": "disk",
+        "loading": "hourglass",
+        "loaded": "checkCircle",
+        "error": "error"
+    };
+
+    // ========================================================================
+    // MODEL STATE DISPLAY
+    // ========================================================================
+
+    // Until the first full refresh has run, state changes are initialisation,
+    // not news — same rule as tts-model-ui.js.
+    var hasSettledInitialStates = false;
+
+    /**
+     * Refresh all embedding model cards with current state.
+     */
+    function refreshAll() {
+        if (!window.LocalEmbeddingGateway) return;
+
+        var models = window.LocalEmbeddingGateway.getRegisteredModels();
+        for (var i = 0; i < models.length; i++) {
+            updateModelUI(models[i].key, models[i].state);
+        }
+        hasSettledInitialStates = true;
+    }
+
+    /**
+     * Announce a model's new state, naming the model.
+     * @param {HTMLElement} card
+     * @param {string} label human-readable state label
+     */
+    function announceState(card, label) {
+        if (!hasSettledInitialStates) return;
+        var announcer = window.accessibilityHelpers;
+        if (!announcer || typeof announcer.announce !== "function") return;
+
+        var nameEl = card ? card.querySelector(".imgdesc-mm-model-name") : null;
+        var displayName = nameEl ? nameEl.textContent.trim() : "Model";
+        announcer.announce(displayName + ": " + label);
+    }
+
+    /**
+     * Update a single embedding model card's UI.
+     * @param {string} modelKey
+     * @param {string} state
+     */
+    function updateModelUI(modelKey, state) {
+        var cached = cardEls[modelKey];
+        if (!cached || !cached.card) return;
+
+        cached.card.setAttribute("data-state", state);
+
+        if (cached.icon) {
+            var iconName = STATE_ICONS[state] || "download";
+            cached.icon.setAttribute("data-icon", iconName);
+            if (typeof window.refreshIcons === "function") window.refreshIcons(cached.icon);
+        }
+
+        if (cached.stateText) {
+            var label = STATE_LABELS[state] || state;
+            if (cached.stateText.textContent !== label) {
+                cached.stateText.textContent = label;
+                announceState(cached.card, label);
+            }
+        }
+
+        renderActionButtons(cached, modelKey, state);
+
+        if (cached.progress) {
+            cached.progress.hidden = state !== "downloading";
+        }
+    }
+
+    // ========================================================================
+    // ACTION BUTTONS
+    // ========================================================================
+
+    /**
+     * Render appropriate action buttons based on model state.
+     * @param {object} cached - Cached DOM elements for the card
+     * @param {string} modelKey
+     * @param {string} state
+     */
+    function renderActionButtons(cached, modelKey, state) {
+        if (!cached.actions) return;
+
+        // Name the model in every button (SC 2.4.6 / 2.4.4) — see
+        // tts-model-ui.js renderActionButtons() for the full rationale.
+        var modelName = getDisplayName(modelKey);
+        function actionButton(label, iconName, onclickStr) {
+            return makeButton(label, iconName, onclickStr, modelName);
+        }
+
+        var buttons = [];
+
+        switch (state) {
+            case "not-downloaded":
+                buttons.push(actionButton("Set Up", "download", "embMMDownload('" + modelKey + "')"));
+                break;
+            case "cached":
+                buttons.push(actionButton("Load", "upload", "embMMLoad('" + modelKey + "')"));
+                buttons.push(actionButton("Remove", "trash", "embMMRemove('" + modelKey + "')"));
+                break;
+            case "loaded":
+                buttons.push(actionButton("Unload", "close", "embMMUnload('" + modelKey + "')"));
+                break;
+            case "error":
+                buttons.push(actionButton("Retry", "refresh", "embMMDownload('" + modelKey + "')"));
+                break;
+            default:
+                // downloading / loading — no actions; the gateway cannot cancel
+                break;
+        }
+
+        cached.actions.innerHTML = buttons.join("");
+    }
+
+    /**
+     * Look up a model's display name, or "" when the gateway is missing.
+     * @param {string} modelKey
+     * @returns {string}
+     */
+    function getDisplayName(modelKey) {
+        try {
+            if (window.LocalEmbeddingGateway) {
+                var registered = window.LocalEmbeddingGateway.getRegisteredModels();
+                for (var m = 0; m < registered.length; m++) {
+                    if (registered[m].key === modelKey) return registered[m].name || "";
+                }
+            }
+        } catch (err) {
+            logWarn("Could not resolve display name for " + modelKey, err.message || err);
+        }
+        return "";
+    }
+
+    /**
+     * Create a button HTML string. The visually-hidden suffix is emitted by
+     * the same template that rebuilds the actions, so it survives re-renders.
+     * The separator must stay a non-breaking space (see tts-model-ui.js).
+     * @param {string} label
+     * @param {string} iconName
+     * @param {string} onclickStr
+     * @param {string} modelName
+     * @returns {string}
+     */
+    function makeButton(label, iconName, onclickStr, modelName) {
+        var iconHtml = "";
+        if (typeof window.getIcon === "function") {
+            iconHtml = '<span aria-hidden="true">' + window.getIcon(iconName) + "</span> ";
+        } else {
+            iconHtml = '<span aria-hidden="true" data-icon="' + iconName + '"></span> ';
+        }
+        var suffixHtml = modelName
+            ? '<span class="visually-hidden">\u00A0— ' + modelName + "</span>"
+            : "";
+        return (
+            '<button class="imgdesc-mm-action-btn" onclick="' +
+            onclickStr + '">' + iconHtml + label + suffixHtml + "</button>"
+        );
+    }
+
+    // ========================================================================
+    // CACHE REMOVAL
+    // ========================================================================
+
+    /**
+     * Remove an embedding model's cached files from the Cache API.
+     * Matches entries by the model's HuggingFace model ID.
+     * @param {string} modelKey
+     * @returns {Promise<boolean>} true if entries were removed
+     */
+    async function removeCachedFiles(modelKey) {
+        if (!window.LocalEmbeddingGateway) return false;
+
+        var models = window.LocalEmbeddingGateway.getRegisteredModels();
+        var hfModelId = null;
+        for (var i = 0; i < models.length; i++) {
+            if (models[i].key === modelKey) {
+                hfModelId = models[i].hfModelId;
+                break;
+            }
+        }
+
+        if (!hfModelId) {
+            logWarn("Cannot find HF model ID for key: " + modelKey);
+            return false;
+        }
+
+        try {
+            var cache = await caches.open(CACHE_NAME);
+            var keys = await cache.keys();
+            var modelSlug = hfModelId.replace("/", "%2F");
+            var removed = 0;
+
+            for (var k = 0; k < keys.length; k++) {
+                var url = keys[k].url || "";
+                if (url.includes(hfModelId) || url.includes(modelSlug)) {
+                    await cache.delete(keys[k]);
+                    removed++;
+                }
+            }
+
+            logInfo("Removed " + removed + " cache entries for " + modelKey);
+            return removed > 0;
+        } catch (e) {
+            logError("Cache removal failed for " + modelKey + ": " + e.message);
+            return false;
+        }
+    }
+
+    // ========================================================================
+    // GLOBAL ONCLICK HANDLERS
+    // ========================================================================
+
+    window.embMMDownload = async function (key) {
+        if (!window.LocalEmbeddingGateway) return;
+        try {
+            await window.LocalEmbeddingGateway.preDownloadModel(key);
+        } catch (err) {
+            logError('Download failed for "' + key + '":', err.message || err);
+        }
+    };
+
+    window.embMMLoad = async function (key) {
+        if (!window.LocalEmbeddingGateway) return;
+        try {
+            await window.LocalEmbeddingGateway.loadModel(key);
+        } catch (err) {
+            logError('Load failed for "' + key + '":', err.message || err);
+        }
+    };
+
+    window.embMMUnload = async function (key) {
+        if (!window.LocalEmbeddingGateway) return;
+        try {
+            await window.LocalEmbeddingGateway.unloadModel();
+        } catch (err) {
+            logError('Unload failed for "' + key + '":', err.message || err);
+        }
+    };
+
+    window.embMMRemove = async function (key) {
+        if (!window.LocalEmbeddingGateway) return;
+        try {
+            var displayName = getDisplayName(key) || "the document search model";
+
+            // Documents already in the library keep their stored vectors, but
+            // nothing new can be added or searched until the model is back.
+            var confirmFn = typeof window.safeConfirm === "function" ? window.safeConfirm : confirm;
+            var confirmed = await confirmFn(
+                "Remove " + displayName + " from cache? Your documents stay in the library, " +
+                "but they cannot be searched until you set the model up again."
+            );
+            if (!confirmed) return;
+
+            if (window.LocalEmbeddingGateway.getModelState(key) === "loaded") {
+                await window.LocalEmbeddingGateway.unloadModel();
+            }
+
+            await removeCachedFiles(key);
+
+            updateModelUI(key, "not-downloaded");
+        } catch (err) {
+            logError('Remove failed for "' + key + '":', err.message || err);
+        }
+    };
+
+    // ========================================================================
+    // EVENT LISTENERS
+    // ========================================================================
+
+    /**
+     * Subscribe to model:stateChange events (embedding models only).
+     */
+    function listenForStateChanges() {
+        if (window.EmbedEventEmitter) {
+            window.EmbedEventEmitter.on("model:stateChange", function (data) {
+                if (!data || data.category !== "embedding") return;
+                logDebug("State change:", data.modelKey, data.newState);
+                updateModelUI(data.modelKey, data.newState);
+            });
+        }
+    }
+
+    // ========================================================================
+    // GRACEFUL DEGRADATION
+    // ========================================================================
+
+    /**
+     * If LocalEmbeddingGateway is not available, show "Not available" on the cards.
+     */
+    function showNotAvailable() {
+        var cards = document.querySelectorAll('[id^="' + CARD_ID_PREFIX + '"]');
+        for (var i = 0; i < cards.length; i++) {
+            var stateText = cards[i].querySelector(".imgdesc-mm-state-text");
+            if (stateText) stateText.textContent = "Not available";
+
+            var icon = cards[i].querySelector(".imgdesc-mm-status-icon");
+            if (icon) {
+                icon.setAttribute("data-icon", "error");
+                if (typeof window.getIcon === "function") {
+                    icon.innerHTML = window.getIcon("error");
+                }
+            }
+
+            var actions = cards[i].querySelector(".imgdesc-mm-model-actions");
+            if (actions) actions.innerHTML = "";
+        }
+    }
+
+    // ========================================================================
+    // INITIALISATION
+    // ========================================================================
+
+    function init() {
+        if (!window.LocalEmbeddingGateway) {
+            logWarn("LocalEmbeddingGateway not available — document search card disabled");
+            showNotAvailable();
+            return;
+        }
+
+        cacheElements();
+
+        if (Object.keys(cardEls).length === 0) {
+            logDebug("No embedding model card elements found — skipping initialisation");
+            return;
+        }
+
+        var models = window.LocalEmbeddingGateway.getRegisteredModels();
+        for (var i = 0; i < models.length; i++) {
+            updateModelUI(models[i].key, models[i].state);
+        }
+
+        listenForStateChanges();
+
+        logInfo("Initialised with " + Object.keys(cardEls).length + " embedding model cards");
+    }
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", init);
+    } else {
+        init();
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    window.LocalEmbeddingModelUI = {
+        refreshAll: refreshAll,
+        updateModelUI: updateModelUI
+    };
+
+})();
@@ -289,6 +289,11 @@ class OpenRouterEmbed {
     this.currentStreamId = null;
     this.streamCancelled = false; // Track user-initiated cancellations
 
+    // Tool calling: calls folded from onToolCall deltas for the current
+    // stream, and whether the current request offered tools (no caching).
+    this.streamToolCallBuffer = [];
+    this._currentRequestHasTools = false;
+
     // Screen reader announcement throttling (accessibility improvement)
     this.lastScreenReaderAnnouncement = 0;
     this.screenReaderAnnouncementInterval = 5000; // 5 seconds minimum between streaming updates
@@ -859,7 +864,11 @@ class OpenRouterEmbed {
         Array.isArray(options.messages) && options.messages.length
           ? this._buildMessagesFromOptions(options.messages, userPrompt)
           : this.buildMessages(userPrompt);
-      const requestOptions = this.buildOptions(wireMessages, provider);
+      const requestOptions = this.buildOptions(
+        wireMessages,
+        provider,
+        this._toolOptionsFrom(options),
+      );
 
       // Add abort signal if cancellation is enabled
       if (this._requestAbortController) {
@@ -971,11 +980,15 @@ class OpenRouterEmbed {
    * @param {Provider} provider - The resolved provider for the current model.
    *                              Must be a Provider object with a buildRequest()
    *                              method (see providers/_interface.js typedef).
+   * @param {{tools: Array<Object>, toolChoice: (string|Object|undefined)}|null} [toolOptions]
+   *        Canonical tool definitions for this request (see _toolOptionsFrom).
+   *        Absent or null for every request that offers no tools, which keeps
+   *        the canonical options — and so the wire body — unchanged.
    * @returns {Object} Options object suitable for `this.client.sendRequest()`
    *                   and `this.client.sendStreamingRequest()`.
    * @throws {Error} If `provider` is missing or doesn't expose `buildRequest()`.
    */
-  buildOptions(messages, provider) {
+  buildOptions(messages, provider, toolOptions = null) {
     logDebug("Building canonical options for provider...");
 
     if (!provider || typeof provider.buildRequest !== "function") {
@@ -1016,6 +1029,15 @@ class OpenRouterEmbed {
       canonicalOptions.fileEngine = this.currentFileAnalysis.engine;
     }
 
+    // Tool calling — canonical definitions and choice; the provider maps them
+    // to its own wire shape (providers/_interface.js, TOOL-CALLING CONTRACT).
+    if (toolOptions && toolOptions.tools.length > 0) {
+      canonicalOptions.tools = toolOptions.tools;
+      if (toolOptions.toolChoice !== undefined) {
+        canonicalOptions.tool_choice = toolOptions.toolChoice;
+      }
+    }
+
     // Delegate wire-format construction to the provider.
     const body = provider.buildRequest(messages, canonicalOptions);
 
@@ -1048,6 +1070,23 @@ class OpenRouterEmbed {
     return options;
   }
 
+  /**
+   * Read the tool options a caller passed to sendStreamingRequest() (or the
+   * reduced-motion fallback): `options.tools` as canonical ToolDefinitions and
+   * `options.toolChoice`. Returns null when no tools are offered, so callers
+   * can gate on it and buildOptions leaves the request untouched.
+   *
+   * @private
+   * @param {Object} options - Request options
+   * @returns {{tools: Array<Object>, toolChoice: (string|Object|undefined)}|null}
+   */
+  _toolOptionsFrom(options) {
+    if (!options || !Array.isArray(options.tools) || options.tools.length === 0) {
+      return null;
+    }
+    return { tools: options.tools, toolChoice: options.toolChoice };
+  }
+
   /**
    * Produce a scrubbed, display-safe deep copy of a shaped wire request body.
    *
@@ -1464,7 +1503,17 @@ class OpenRouterEmbed {
         Array.isArray(options.messages) && options.messages.length
           ? this._buildMessagesFromOptions(options.messages, processedUserPrompt)
           : this.buildMessages(processedUserPrompt);
-      const requestOptions = this.buildOptions(wireMessages, provider);
+      const toolOptions = this._toolOptionsFrom(options);
+      const requestOptions = this.buildOptions(
+        wireMessages,
+        provider,
+        toolOptions,
+      );
+
+      // A request that offers tools is one round of a tool loop: its answer
+      // depends on tool results the cache key cannot see, so it is never read
+      // from or written to the response cache (see handleStreamComplete).
+      this._currentRequestHasTools = !!toolOptions;
 
       // Restore original systemPrompt
       this.systemPrompt = originalSystemPrompt;
@@ -1509,6 +1558,11 @@ class OpenRouterEmbed {
       // so a prior request's summary never leaks into this one.
       this.streamReasoningBuffer = "";
 
+      // Per-request tool-call accumulator. Providers report calls as
+      // chat-completions style deltas through onToolCall; they are folded here
+      // by index and buildFinalResponse exposes them as response.toolCalls.
+      this.streamToolCallBuffer = [];
+
       // Phase 4: Store request info for debug data
       this._currentRequestTiming.requestInfo = {
         model: this.model,
@@ -1534,7 +1588,8 @@ class OpenRouterEmbed {
       if (
         this._cacheHandler &&
         this._cacheConfig.enabled &&
-        !this.currentFile
+        !this.currentFile &&
+        !this._currentRequestHasTools
       ) {
         const cacheRequest = {
           userPrompt,
@@ -1656,6 +1711,16 @@ class OpenRouterEmbed {
             }
           }
         },
+
+        // Tool-call deltas (chat-completions shape, merged by index). Only
+        // reported when the request offered tools; see sendWithTools().
+        onToolCall: (deltas) => {
+          if (!window.EmbedToolSchema) return;
+          this.streamToolCallBuffer = window.EmbedToolSchema.accumulateToolCallDeltas(
+            this.streamToolCallBuffer || [],
+            deltas,
+          );
+        },
       };
 
       // Stage 6 Phase 4: Acquire throttle permission if enabled
@@ -1769,6 +1834,170 @@ class OpenRouterEmbed {
     });
   }
 
+  // ==========================================================================
+  // TOOL CALLING
+  // ==========================================================================
+
+  /**
+   * Whether the current model can be offered tools: its provider must declare
+   * `capabilities.toolCalls`. Local (`local/…`) models never can — the local
+   * backend owns its own request lifecycle and has no tool-call surface.
+   *
+   * This is the transport half of the gate only. Whether a given MODEL was
+   * trained for function calling is a catalogue question the caller answers
+   * (e.g. EmbedModelSelector._modelHasCapabilities(entry, ["function_calling"])).
+   *
+   * @returns {boolean}
+   */
+  supportsToolCalls() {
+    if (!this.model || this.model.startsWith("local/")) return false;
+    const provider = OpenRouterEmbed.getProvider(this.model);
+    return !!(provider && provider.capabilities && provider.capabilities.toolCalls);
+  }
+
+  /**
+   * Send a request that may call in-browser tools, running the tool loop until
+   * the model answers in text.
+   *
+   * Each round is an ordinary sendStreamingRequest() offering the tools. When
+   * the model calls any, the assistant tool-call message and one tool-result
+   * message per call are appended to the thread and the next round is sent.
+   * The final round (after `maxToolRounds` rounds that called tools) is sent
+   * with `toolChoice: "none"`, so the loop always ends in a text answer.
+   *
+   * Tools come from window.EmbedToolRegistry (openrouter-embed-tools.js). When
+   * no requested tool is registered, or the provider cannot carry tools (see
+   * supportsToolCalls), this is exactly sendStreamingRequest(options) minus the
+   * tool fields.
+   *
+   * @param {Object} options - sendStreamingRequest() options, plus:
+   * @param {Array<string>} [options.toolNames] - Registered tool names to offer
+   *        (default: every registered tool)
+   * @param {string|Object} [options.toolChoice="auto"] - Canonical ToolChoice
+   *        for every round but the last
+   * @param {number} [options.maxToolRounds=4] - Rounds allowed to call tools
+   * @param {Function} [options.onToolStart] - (toolCall) => {} before a tool runs
+   * @param {Function} [options.onToolResult] - (toolCall, outcome) => {} after
+   *        it settles; outcome is { ok, content } or { ok: false, error }
+   * @returns {Promise<Object>} The final round's response, with
+   *          `toolRuns` ([{ id, name, label, arguments, ok, content|error }])
+   *          when any tool ran
+   *
+   * @example
+   * await embed.sendWithTools({
+   *   userPrompt: 'Is #767676 on white readable?',
+   *   toolNames: ['check_colour_contrast'],
+   *   onToolStart: (call) => console.log('Running', call.function.name),
+   * });
+   */
+  async sendWithTools(options) {
+    const {
+      toolNames,
+      toolChoice = "auto",
+      maxToolRounds = 4,
+      onToolStart,
+      onToolResult,
+      onComplete,
+      ...rest
+    } = options;
+
+    const registry = window.EmbedToolRegistry;
+    const tools = registry ? registry.resolve(toolNames) : [];
+
+    if (tools.length === 0 || !this.supportsToolCalls()) {
+      logDebug("sendWithTools: no tools offered, sending plainly", {
+        tools: tools.length,
+        model: this.model,
+      });
+      return this.sendStreamingRequest({ ...rest, onComplete });
+    }
+
+    const schema = window.EmbedToolSchema;
+    const definitions = tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    }));
+
+    // The thread grows by the tool exchanges. Start from the caller's
+    // multi-turn thread when given, else from the single-turn messages
+    // sendStreamingRequest would itself have built.
+    const thread =
+      Array.isArray(rest.messages) && rest.messages.length
+        ? rest.messages.slice()
+        : this.buildMessages(rest.userPrompt);
+
+    const toolRuns = [];
+    let response = null;
+
+    for (let round = 0; round <= maxToolRounds; round++) {
+      const finalRound = round === maxToolRounds;
+      response = await this.sendStreamingRequest({
+        ...rest,
+        messages: thread,
+        tools: definitions,
+        toolChoice: finalRound ? "none" : toolChoice,
+      });
+
+      if (!response || response.cancelled || response.raw?.cancelled) break;
+
+      const calls = Array.isArray(response.toolCalls) ? response.toolCalls : [];
+      if (calls.length === 0 || finalRound) break;
+
+      logInfo("Model called tools", {
+        round: round + 1,
+        tools: calls.map((call) => call.function.name),
+      });
+
+      thread.push(schema.assistantToolCallMessage(response.text, calls));
+
+      for (const call of calls) {
+        if (typeof onToolStart === "function") {
+          try {
+            onToolStart(call);
+          } catch (error) {
+            logWarn("onToolStart callback failed:", error);
+          }
+        }
+
+        const outcome = await registry.execute(call);
+        const tool = registry.get(call.function.name);
+        toolRuns.push({
+          id: call.id,
+          name: call.function.name,
+          label: (tool && tool.label) || call.function.name,
+          arguments: call.function.arguments,
+          ...outcome,
+        });
+
+        if (typeof onToolResult === "function") {
+          try {
+            onToolResult(call, outcome);
+          } catch (error) {
+            logWarn("onToolResult callback failed:", error);
+          }
+        }
+
+        thread.push(
+          schema.toolResultMessage(
+            call.id,
+            outcome.ok ? outcome.content : { error: outcome.error },
+          ),
+        );
+      }
+    }
+
+    if (response && toolRuns.length > 0) {
+      response.toolRuns = toolRuns;
+    }
+
+    if (typeof onComplete === "function" && response) {
+      await onComplete(response);
+    }
+
+    return response;
+  }
+
   /**
    * Process OpenRouter API response
    * @param {Object} apiResponse - Raw API response
@@ -1806,8 +2035,17 @@ class OpenRouterEmbed {
       logDebug("Response was a direct string");
     }
 
+    // Tool calls (chat-completions shape; the Responses provider's
+    // parseResponse produces the same). A round that only calls tools carries
+    // no text, which is not an error.
+    const rawToolCalls = apiResponse?.choices?.[0]?.message?.tool_calls;
+    const toolCalls =
+      Array.isArray(rawToolCalls) && window.EmbedToolSchema
+        ? window.EmbedToolSchema.normaliseToolCalls(rawToolCalls)
+        : [];
+
     // Validate we got content
-    if (!rawText || typeof rawText !== "string") {
+    if (typeof rawText !== "string" || (!rawText && toolCalls.length === 0)) {
       logError("No valid content in API response", {
         responseType: typeof apiResponse,
         rawTextType: typeof rawText,
@@ -1863,6 +2101,10 @@ class OpenRouterEmbed {
       response.reasoning = apiResponse.reasoning;
     }
 
+    if (toolCalls.length > 0) {
+      response.toolCalls = toolCalls;
+    }
+
     logInfo("Response processed successfully", {
       textLength: rawText.length,
       htmlLength: html.length,
@@ -2167,8 +2409,14 @@ class OpenRouterEmbed {
       cached: false,
     });
 
-    // Stage 6 Phase 5: Cache the response (if caching enabled and no file attached)
-    if (this._cacheHandler && this._cacheConfig.enabled && !this.currentFile) {
+    // Stage 6 Phase 5: Cache the response (if caching enabled, no file attached
+    // and no tools offered — a tool round's answer depends on tool results)
+    if (
+      this._cacheHandler &&
+      this._cacheConfig.enabled &&
+      !this.currentFile &&
+      !this._currentRequestHasTools
+    ) {
       const cacheRequest = {
         userPrompt: this._lastUserPrompt, // We need to store this
         systemPrompt: this.systemPrompt,
@@ -2482,6 +2730,19 @@ class OpenRouterEmbed {
       response.reasoning = this.streamReasoningBuffer;
     }
 
+    // Tool calls the model made this round, folded from onToolCall deltas.
+    // Attached only when present, so a stream that called nothing is unchanged.
+    if (
+      Array.isArray(this.streamToolCallBuffer) &&
+      this.streamToolCallBuffer.length > 0 &&
+      window.EmbedToolSchema
+    ) {
+      const toolCalls = window.EmbedToolSchema.normaliseToolCalls(
+        this.streamToolCallBuffer,
+      );
+      if (toolCalls.length > 0) response.toolCalls = toolCalls;
+    }
+
     return response;
   }
 
@@ -2580,6 +2841,7 @@ class OpenRouterEmbed {
       onError: null,
       onProgress: null,
     };
+    this._currentRequestHasTools = false;
   }
 
   /**
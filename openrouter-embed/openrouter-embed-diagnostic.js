@@ -1042,6 +1042,7 @@ const hello = 'world';
         "azure-inference",
         "anthropic-foundry",
         "local",
+        "local-server",
       ]);
       const actualReserved = new Set(lookup?.getReservedPrefixes?.() ?? []);
       const reservedMatches =
@@ -1049,7 +1050,7 @@ const hello = 'world';
         [...expectedReserved].every((p) => actualReserved.has(p));
       allOk =
         check(
-          "getReservedPrefixes() returns the six expected prefixes (set equality)",
+          "getReservedPrefixes() returns the seven expected prefixes (set equality)",
           reservedMatches
         ) && allOk;
 
@@ -3931,11 +3932,1446 @@ const hello = 'world';
   }
 })();
 
+// ============================================================================
+// TOOL-CALLING TESTS — offline, deterministic
+// ============================================================================
+//
+// window.testEmbedTools_All() exercises the tool-calling contract end to end
+// with SYNTHETIC payloads only: the canonical helpers on window.EmbedToolSchema,
+// the tool registry's never-throw execute(), each provider's tools mapping
+// (including the idempotency the double buildRequest relies on), the
+// Responses function_call round trip, and core's sendWithTools() loop over a
+// stubbed fetch (restored in a finally). The built-in tools themselves load
+// chroma / Mermaid / SRE on demand and are deliberately NOT executed here.
+//
+// Returns { passed, total, results, elapsedMs } (Shape 1 for the aggregator's
+// summarise()), where passed/total count the seven sub-tests.
+//
+// Sibling IIFE — references the code under test only via window globals;
+// touches no other IIFE's scope.
+
+(function () {
+  "use strict";
+
+  /**
+   * Print one assertion in the project's test convention. Returns the boolean
+   * unchanged so callers can ANDify results.
+   */
+  function check(name, condition) {
+    if (condition) {
+      console.log(`  ✅ ${name}`);
+      return true;
+    }
+    console.log(`  ❌ ${name}`);
+    return false;
+  }
+
+  const WORD_COUNT_TOOL = {
+    name: "word_count",
+    description: "Count the words in a passage of text.",
+    parameters: {
+      type: "object",
+      properties: { text: { type: "string" } },
+      required: ["text"],
+    },
+  };
+
+  /** A fetch Response carrying the given SSE text as its body. */
+  function sseResponse(sse) {
+    const body = new ReadableStream({
+      start(c) {
+        c.enqueue(new TextEncoder().encode(sse));
+        c.close();
+      },
+    });
+    return new Response(body, {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  }
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 1: EmbedToolSchema helpers
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_SchemaHelpers = async function () {
+    console.log("\n🧪 TOOLS TEST 1: EmbedToolSchema helpers");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const schema = window.EmbedToolSchema;
+      if (!schema) return check("window.EmbedToolSchema available", false);
+
+      allOk =
+        check(
+          "validateToolDefinition accepts a well-formed tool",
+          schema.validateToolDefinition(WORD_COUNT_TOOL) === null
+        ) && allOk;
+      allOk =
+        check(
+          "validateToolDefinition rejects a name with spaces",
+          typeof schema.validateToolDefinition({
+            ...WORD_COUNT_TOOL,
+            name: "word count",
+          }) === "string"
+        ) && allOk;
+      allOk =
+        check(
+          "validateToolDefinition rejects non-object parameters",
+          typeof schema.validateToolDefinition({
+            ...WORD_COUNT_TOOL,
+            parameters: { type: "string" },
+          }) === "string"
+        ) && allOk;
+
+      const wire = schema.toChatCompletionsTools([WORD_COUNT_TOOL]);
+      allOk =
+        check(
+          "toChatCompletionsTools nests the tool under .function",
+          wire.length === 1 &&
+            wire[0].type === "function" &&
+            wire[0].function.name === "word_count"
+        ) && allOk;
+      allOk =
+        check(
+          "toChatCompletionsTools is idempotent for its own output",
+          JSON.stringify(schema.toChatCompletionsTools(wire)) ===
+            JSON.stringify(wire)
+        ) && allOk;
+
+      const forced = schema.toChatCompletionsToolChoice({ name: "word_count" });
+      allOk =
+        check(
+          "toChatCompletionsToolChoice maps { name } to the function form",
+          forced && forced.type === "function" && forced.function.name === "word_count"
+        ) && allOk;
+      allOk =
+        check(
+          "toChatCompletionsToolChoice leaves unknown values undefined",
+          schema.toChatCompletionsToolChoice("sometimes") === undefined
+        ) && allOk;
+
+      // Two calls streamed in fragments, interleaved by index.
+      let acc = [];
+      acc = schema.accumulateToolCallDeltas(acc, [
+        { index: 0, id: "call_a", function: { name: "word_count", arguments: '{"te' } },
+      ]);
+      acc = schema.accumulateToolCallDeltas(acc, [
+        { index: 1, id: "call_b", function: { name: "word_count", arguments: "" } },
+        { index: 0, function: { arguments: 'xt":"a b"}' } },
+      ]);
+      const calls = schema.normaliseToolCalls(acc);
+      allOk =
+        check(
+          "accumulateToolCallDeltas joins argument fragments by index",
+          calls.length === 2 &&
+            calls[0].id === "call_a" &&
+            calls[0].function.arguments === '{"text":"a b"}'
+        ) && allOk;
+      allOk =
+        check(
+          "normaliseToolCalls defaults empty arguments to '{}'",
+          calls[1].function.arguments === "{}"
+        ) && allOk;
+
+      const result = schema.toolResultMessage("call_a", { words: 2 });
+      allOk =
+        check(
+          "toolResultMessage sends structured results as JSON",
+          result.role === "tool" &&
+            result.tool_call_id === "call_a" &&
+            result.content === '{"words":2}'
+        ) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 1 PASSED!\n" : "\n❌ TOOLS TEST 1 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 1 FAILED with error: ${error.message}`);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 2: registry — registration guards + never-throw execute()
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_RegistryExecute = async function () {
+    console.log("\n🧪 TOOLS TEST 2: Registry — register guards + execute outcomes");
+    console.log("==============================================================\n");
+    try {
+      let allOk = true;
+      const RegistryClass = window.EmbedToolRegistryClass;
+      if (typeof RegistryClass !== "function") {
+        return check("window.EmbedToolRegistryClass available", false);
+      }
+
+      // An isolated instance, so the singleton's built-ins are untouched.
+      const reg = new RegistryClass();
+      reg.register({
+        ...WORD_COUNT_TOOL,
+        execute: ({ text }) => ({ words: text.split(/\s+/).filter(Boolean).length }),
+      });
+      reg.register({
+        name: "always_fails",
+        description: "Fails on purpose.",
+        parameters: { type: "object", properties: {} },
+        execute: () => {
+          throw new Error("deliberate failure");
+        },
+      });
+
+      let threw = false;
+      try {
+        reg.register({ ...WORD_COUNT_TOOL, name: "no_execute" });
+      } catch (e) {
+        threw = true;
+      }
+      allOk = check("register() without execute throws", threw) && allOk;
+
+      threw = false;
+      try {
+        reg.register({ ...WORD_COUNT_TOOL, execute: () => null });
+      } catch (e) {
+        threw = true;
+      }
+      allOk = check("register() of a duplicate name throws", threw) && allOk;
+
+      allOk =
+        check(
+          "label defaults to the tool name",
+          reg.get("word_count") && reg.get("word_count").label === "word_count"
+        ) && allOk;
+
+      const call = (name, args) => ({
+        id: "call_1",
+        type: "function",
+        function: { name, arguments: args },
+      });
+
+      const ok = await reg.execute(call("word_count", '{"text":"one two three"}'));
+      allOk =
+        check(
+          "execute() success → { ok: true, content }",
+          ok.ok === true && ok.content && ok.content.words === 3
+        ) && allOk;
+
+      const unknown = await reg.execute(call("nope", "{}"));
+      allOk =
+        check(
+          "unknown tool → { ok: false, error }",
+          unknown.ok === false && /Unknown tool/.test(unknown.error)
+        ) && allOk;
+
+      const badJson = await reg.execute(call("word_count", '{"text":'));
+      allOk =
+        check(
+          "malformed argument JSON → { ok: false, error }",
+          badJson.ok === false && /not valid JSON/.test(badJson.error)
+        ) && allOk;
+
+      const failed = await reg.execute(call("always_fails", "{}"));
+      allOk =
+        check(
+          "throwing tool → { ok: false, error: message }",
+          failed.ok === false && failed.error === "deliberate failure"
+        ) && allOk;
+
+      allOk =
+        check(
+          "resolve() skips unregistered names",
+          reg.resolve(["word_count", "missing"]).length === 1
+        ) && allOk;
+
+      const singleton = window.EmbedToolRegistry;
+      allOk =
+        check(
+          "singleton registers the three built-in tools",
+          !!singleton &&
+            ["check_colour_contrast", "describe_mermaid_diagram", "mathml_to_speech"]
+              .every((name) => singleton.has(name))
+        ) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 2 PASSED!\n" : "\n❌ TOOLS TEST 2 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 2 FAILED with error: ${error.message}`);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 3: chat-completions providers (openrouter, azure-openai)
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_ChatCompletionsBuildRequest = async function () {
+    console.log("\n🧪 TOOLS TEST 3: buildRequest — chat-completions providers");
+    console.log("=========================================================\n");
+    try {
+      let allOk = true;
+      const reg = window.EmbedProviderRegistry;
+      const cases = [
+        ["openrouter", "anthropic/claude-sonnet-4"],
+        ["azure-openai", "azure-openai/gpt-4o-mini"],
+      ];
+
+      for (const [id, model] of cases) {
+        const p = reg && reg.get(id);
+        if (!p) {
+          allOk = check(`${id} provider available`, false) && allOk;
+          continue;
+        }
+        const messages = [{ role: "user", content: "How many words?" }];
+
+        const plain = p.buildRequest(messages, { model });
+        allOk =
+          check(
+            `${id}: a tool-free body carries no tools key`,
+            !("tools" in plain) && !("tool_choice" in plain)
+          ) && allOk;
+
+        const pass1 = p.buildRequest(messages, {
+          model,
+          tools: [WORD_COUNT_TOOL],
+          tool_choice: { name: "word_count" },
+        });
+        allOk =
+          check(
+            `${id}: tools in the chat-completions function shape`,
+            Array.isArray(pass1.tools) &&
+              pass1.tools[0].type === "function" &&
+              pass1.tools[0].function.name === "word_count"
+          ) && allOk;
+        allOk =
+          check(
+            `${id}: forced tool_choice → { type:'function', function:{ name } }`,
+            pass1.tool_choice &&
+              pass1.tool_choice.function &&
+              pass1.tool_choice.function.name === "word_count"
+          ) && allOk;
+
+        // Second pass, as streamRequest does: pass 1's output fed back in.
+        const pass2 = p.buildRequest(messages, { ...pass1, model });
+        allOk =
+          check(
+            `${id}: second buildRequest pass leaves tools unchanged`,
+            JSON.stringify(pass2.tools) === JSON.stringify(pass1.tools) &&
+              JSON.stringify(pass2.tool_choice) === JSON.stringify(pass1.tool_choice)
+          ) && allOk;
+      }
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 3 PASSED!\n" : "\n❌ TOOLS TEST 3 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 3 FAILED with error: ${error.message}`);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 4: azure-responses buildRequest — flat tools + call items
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_ResponsesBuildRequest = async function () {
+    console.log("\n🧪 TOOLS TEST 4: buildRequest — azure-responses tools + call items");
+    console.log("=================================================================\n");
+    try {
+      let allOk = true;
+      const p = window.EmbedProviderRegistry.get("azure-responses");
+      if (!p) return check("azure-responses provider available", false);
+
+      allOk =
+        check("capabilities.toolCalls === true", p.capabilities.toolCalls === true) &&
+        allOk;
+
+      const schema = window.EmbedToolSchema;
+      const calls = [
+        {
+          id: "call_a",
+          type: "function",
+          function: { name: "word_count", arguments: '{"text":"a b"}' },
+        },
+      ];
+      const messages = [
+        { role: "user", content: "How many words in 'a b'?" },
+        schema.assistantToolCallMessage("", calls),
+        schema.toolResultMessage("call_a", { words: 2 }),
+      ];
+
+      const pass1 = p.buildRequest(messages, {
+        model: "azure-responses/gpt-5-codex",
+        tools: [WORD_COUNT_TOOL],
+        tool_choice: "required",
+      });
+
+      const callItem = pass1.input.find((i) => i && i.type === "function_call");
+      const outputItem = pass1.input.find(
+        (i) => i && i.type === "function_call_output"
+      );
+      allOk =
+        check(
+          "assistant tool_calls → function_call item (call_id, name, arguments)",
+          callItem &&
+            callItem.call_id === "call_a" &&
+            callItem.name === "word_count" &&
+            callItem.arguments === '{"text":"a b"}'
+        ) && allOk;
+      allOk =
+        check(
+          "tool message → function_call_output keyed by call_id",
+          outputItem &&
+            outputItem.call_id === "call_a" &&
+            outputItem.output === '{"words":2}'
+        ) && allOk;
+      allOk =
+        check(
+          "empty assistant text adds no role-tagged assistant item",
+          !pass1.input.some((i) => i && i.role === "assistant")
+        ) && allOk;
+      allOk =
+        check(
+          "tools are FLAT: { type:'function', name, description, parameters }",
+          Array.isArray(pass1.tools) &&
+            pass1.tools[0].type === "function" &&
+            pass1.tools[0].name === "word_count" &&
+            !("function" in pass1.tools[0])
+        ) && allOk;
+      allOk =
+        check("tool_choice keyword passes through", pass1.tool_choice === "required") &&
+        allOk;
+
+      const pass2 = p.buildRequest(messages, {
+        ...pass1,
+        model: "azure-responses/gpt-5-codex",
+      });
+      allOk =
+        check(
+          "second buildRequest pass leaves tools unchanged",
+          JSON.stringify(pass2.tools) === JSON.stringify(pass1.tools)
+        ) && allOk;
+
+      const forced = p.buildRequest(messages, {
+        model: "azure-responses/gpt-5-codex",
+        tools: [WORD_COUNT_TOOL],
+        tool_choice: { name: "word_count" },
+      });
+      allOk =
+        check(
+          "forced tool_choice → { type:'function', name }",
+          forced.tool_choice &&
+            forced.tool_choice.type === "function" &&
+            forced.tool_choice.name === "word_count"
+        ) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 4 PASSED!\n" : "\n❌ TOOLS TEST 4 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 4 FAILED with error: ${error.message}`);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 5: azure-responses parseResponse — function_call output
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_ResponsesParseResponse = async function () {
+    console.log("\n🧪 TOOLS TEST 5: parseResponse — function_call output → tool_calls");
+    console.log("=================================================================\n");
+    try {
+      let allOk = true;
+      const p = window.EmbedProviderRegistry.get("azure-responses");
+      if (!p) return check("azure-responses provider available", false);
+
+      // A tool-only turn: no output_text at all, which must NOT read as the
+      // empty-response failure.
+      const parsed = p.parseResponse({
+        model: "gpt-5-codex",
+        status: "completed",
+        output: [
+          {
+            type: "function_call",
+            id: "fc_1",
+            call_id: "call_a",
+            name: "word_count",
+            arguments: '{"text":"a b"}',
+          },
+        ],
+        usage: { input_tokens: 10, output_tokens: 4, total_tokens: 14 },
+      });
+      const choice = parsed && parsed.choices && parsed.choices[0];
+      const toolCalls = choice && choice.message && choice.message.tool_calls;
+
+      allOk =
+        check(
+          "message.tool_calls has the call, id taken from call_id",
+          Array.isArray(toolCalls) &&
+            toolCalls.length === 1 &&
+            toolCalls[0].id === "call_a" &&
+            toolCalls[0].function.name === "word_count"
+        ) && allOk;
+      allOk =
+        check("finish_reason === 'tool_calls'", choice && choice.finish_reason === "tool_calls") &&
+        allOk;
+
+      let threw = false;
+      try {
+        p.parseResponse({ model: "gpt-5-codex", status: "completed", output: [] });
+      } catch (e) {
+        threw = true;
+      }
+      allOk =
+        check("an empty turn WITHOUT calls still throws", threw) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 5 PASSED!\n" : "\n❌ TOOLS TEST 5 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 5 FAILED with error: ${error.message}`);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 6: azure-responses streamRequest — onToolCall from completed
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_ResponsesStreamToolCall = async function () {
+    console.log("\n🧪 TOOLS TEST 6: streamRequest — azure-responses onToolCall");
+    console.log("==========================================================\n");
+    const origFetch = window.fetch;
+    try {
+      let allOk = true;
+      const p = window.EmbedProviderRegistry.get("azure-responses");
+      if (!p) return check("azure-responses provider available", false);
+
+      const fake = sseResponse(
+        'data: {"type":"response.completed","response":{"id":"r1","status":"completed","model":"gpt-5-codex","output":[{"type":"function_call","id":"fc_1","call_id":"call_a","name":"word_count","arguments":"{\\"text\\":\\"a b\\"}"}],"usage":{"input_tokens":10,"output_tokens":4,"total_tokens":14}}}\n\n' +
+          "data: [DONE]\n\n"
+      );
+      window.fetch = async () => fake;
+
+      let deltas = null;
+      let completed = false;
+      let errored = null;
+      await p.streamRequest([{ role: "user", content: "hi" }], {
+        model: "azure-responses/gpt-5-codex",
+        providerConfig: { proxyUrl: "http://test.invalid" },
+        onChunk: () => {},
+        onToolCall: (d) => {
+          deltas = d;
+        },
+        onComplete: () => {
+          completed = true;
+        },
+        onError: (e) => {
+          errored = e;
+        },
+      });
+
+      allOk =
+        check("a text-free tool turn completes without onError", completed && !errored) &&
+        allOk;
+      allOk =
+        check(
+          "onToolCall received one whole-call delta with index 0",
+          Array.isArray(deltas) &&
+            deltas.length === 1 &&
+            deltas[0].index === 0 &&
+            deltas[0].id === "call_a" &&
+            deltas[0].function.arguments === '{"text":"a b"}'
+        ) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 6 PASSED!\n" : "\n❌ TOOLS TEST 6 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 6 FAILED with error: ${error.message}`);
+      return false;
+    } finally {
+      window.fetch = origFetch;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 7: sendWithTools THROUGH CORE — call, run, answer
+  // ──────────────────────────────────────────────────────────────────────────
+  // A real OpenRouterEmbed instance over a stubbed fetch that answers round 1
+  // with a function call and round 2 with text. Proves the loop end to end:
+  // the tool runs, round 2's request carries the call and its output, and the
+  // final response exposes both the answer and response.toolRuns.
+  window.testEmbedTools_SendWithToolsThroughCore = async function () {
+    console.log("\n🧪 TOOLS TEST 7: sendWithTools through core → toolRuns");
+    console.log("=====================================================\n");
+    const origFetch = window.fetch;
+    const registry = window.EmbedToolRegistry;
+    const containerId = "embed-test-tools-throughcore";
+    let container = document.getElementById(containerId);
+    let createdContainer = false;
+    if (!container) {
+      container = document.createElement("div");
+      container.id = containerId;
+      document.body.appendChild(container);
+      createdContainer = true;
+    }
+    let registered = false;
+    try {
+      let allOk = true;
+
+      if (typeof window.OpenRouterEmbed !== "function" || !registry) {
+        return check("window.OpenRouterEmbed and EmbedToolRegistry available", false);
+      }
+
+      registry.register({
+        ...WORD_COUNT_TOOL,
+        label: "Word count",
+        execute: ({ text }) => ({ words: text.split(/\s+/).filter(Boolean).length }),
+      });
+      registered = true;
+
+      const rounds = [
+        'data: {"type":"response.completed","response":{"id":"r1","status":"completed","model":"gpt-5-codex","output":[{"type":"function_call","id":"fc_1","call_id":"call_a","name":"word_count","arguments":"{\\"text\\":\\"one two three\\"}"}],"usage":{"input_tokens":10,"output_tokens":4,"total_tokens":14}}}\n\n' +
+          "data: [DONE]\n\n",
+        'data: {"type":"response.output_text.delta","delta":"Three words."}\n\n' +
+          'data: {"type":"response.completed","response":{"id":"r2","status":"completed","model":"gpt-5-codex","output":[],"usage":{"input_tokens":20,"output_tokens":3,"total_tokens":23}}}\n\n' +
+          "data: [DONE]\n\n",
+      ];
+      const requestBodies = [];
+      window.fetch = async (url, init) => {
+        try {
+          requestBodies.push(JSON.parse((init && init.body) || "{}"));
+        } catch (e) {
+          requestBodies.push(null);
+        }
+        return sseResponse(rounds[Math.min(requestBodies.length - 1, rounds.length - 1)]);
+      };
+
+      const embed = new window.OpenRouterEmbed({
+        containerId,
+        model: "azure-responses/gpt-5-codex",
+        showNotifications: false,
+      });
+      embed.configureProvider("azure-responses", {
+        proxyUrl: "http://test.invalid",
+      });
+
+      const started = [];
+      const settled = [];
+      let completeResponse = null;
+      const returned = await embed.sendWithTools({
+        userPrompt: "How many words in 'one two three'?",
+        toolNames: ["word_count"],
+        onChunk: () => {},
+        onToolStart: (call) => started.push(call.function.name),
+        onToolResult: (call, outcome) => settled.push(outcome),
+        onComplete: (response) => {
+          completeResponse = response;
+        },
+      });
+
+      allOk = check("two requests were sent", requestBodies.length === 2) && allOk;
+      allOk =
+        check(
+          "round 1 offered the tool in the flat Responses shape",
+          requestBodies[0] &&
+            Array.isArray(requestBodies[0].tools) &&
+            requestBodies[0].tools[0].name === "word_count"
+        ) && allOk;
+      const round2Input = (requestBodies[1] && requestBodies[1].input) || [];
+      allOk =
+        check(
+          "round 2 carried the function_call and its function_call_output",
+          round2Input.some((i) => i && i.type === "function_call" && i.call_id === "call_a") &&
+            round2Input.some(
+              (i) =>
+                i &&
+                i.type === "function_call_output" &&
+                i.call_id === "call_a" &&
+                i.output === '{"words":3}'
+            )
+        ) && allOk;
+      allOk =
+        check(
+          "onToolStart / onToolResult fired once each",
+          started.length === 1 && settled.length === 1 && settled[0].ok === true
+        ) && allOk;
+      allOk =
+        check(
+          "final response text is round 2's answer",
+          returned && returned.text === "Three words."
+        ) && allOk;
+      allOk =
+        check(
+          "response.toolRuns records the run with its label and result",
+          returned &&
+            Array.isArray(returned.toolRuns) &&
+            returned.toolRuns.length === 1 &&
+            returned.toolRuns[0].label === "Word count" &&
+            returned.toolRuns[0].ok === true &&
+            returned.toolRuns[0].content.words === 3
+        ) && allOk;
+      allOk =
+        check(
+          "onComplete fired once, with the final response",
+          completeResponse === returned
+        ) && allOk;
+
+      console.log(
+        allOk ? "\n🎉 TOOLS TEST 7 PASSED!\n" : "\n❌ TOOLS TEST 7 FAILED.\n"
+      );
+      return allOk;
+    } catch (error) {
+      console.error(`❌ TOOLS TEST 7 FAILED with error: ${error.message}`);
+      return false;
+    } finally {
+      window.fetch = origFetch;
+      if (registered) registry.unregister("word_count");
+      if (createdContainer && container && container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // MASTER RUNNER
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedTools_All = async function (options) {
+    const { clearConsole = false } = options || {};
+    if (clearConsole) console.clear();
+    console.log("╔═══════════════════════════════════════════════════════════╗");
+    console.log("║  OpenRouter Embed - Tool-Calling Tests                    ║");
+    console.log("║                                                           ║");
+    console.log("║  Offline / deterministic — synthetic payloads, no network ║");
+    console.log("╚═══════════════════════════════════════════════════════════╝\n");
+
+    const t0 = performance.now();
+
+    const results = {
+      schemaHelpers: await window.testEmbedTools_SchemaHelpers(),
+      registryExecute: await window.testEmbedTools_RegistryExecute(),
+      chatCompletionsBuildRequest:
+        await window.testEmbedTools_ChatCompletionsBuildRequest(),
+      responsesBuildRequest: await window.testEmbedTools_ResponsesBuildRequest(),
+      responsesParseResponse: await window.testEmbedTools_ResponsesParseResponse(),
+      responsesStreamToolCall:
+        await window.testEmbedTools_ResponsesStreamToolCall(),
+      sendWithToolsThroughCore:
+        await window.testEmbedTools_SendWithToolsThroughCore(),
+    };
+
+    const elapsedMs = performance.now() - t0;
+    const elapsedSec = (elapsedMs / 1000).toFixed(2);
+
+    console.log("\n" + "═".repeat(60));
+    console.log("📊 TEST RESULTS");
+    console.log("═".repeat(60));
+
+    const order = [
+      "schemaHelpers",
+      "registryExecute",
+      "chatCompletionsBuildRequest",
+      "responsesBuildRequest",
+      "responsesParseResponse",
+      "responsesStreamToolCall",
+      "sendWithToolsThroughCore",
+    ];
+    let passed = 0;
+    for (const key of order) {
+      console.log(results[key] ? `✅ ${key}` : `❌ ${key}`);
+      if (results[key]) passed++;
+    }
+
+    console.log("\n" + "═".repeat(60));
+    const allPassed = passed === order.length;
+    const status = allPassed ? "PASS" : "FAIL";
+    const icon = allPassed ? "🎉" : "⚠️";
+    console.log(
+      `${icon} TOOL-CALLING SUITE: ${status} (${passed}/${order.length} in ${elapsedSec}s)`
+    );
+    console.log("═".repeat(60) + "\n");
+
+    window._embedToolsResults = {
+      passed,
+      total: order.length,
+      results,
+      elapsedMs,
+    };
+
+    return { passed, total: order.length, results, elapsedMs };
+  };
+
+  if (console && console.log) {
+    console.log(
+      "[testEmbedTools_All] loaded — run: await window.testEmbedTools_All()"
+    );
+  }
+})();
+
+// ============================================================================
+// LOCAL MODEL SERVER TESTS — offline, deterministic
+// ============================================================================
+//
+// window.testEmbedLocalServer_All() exercises providers/local-server.js with
+// SYNTHETIC payloads only: registration and prefix lookup, the base-URL rule,
+// the request body, capability inference, discovery against a stubbed Ollama
+// (window.fetch restored in a finally), the model selector reading the
+// discovered list, and streaming with all three reasoning spellings. The two
+// localStorage keys the provider reads are saved and restored around each
+// sub-test that writes them.
+//
+// Returns { passed, total, results, elapsedMs } (Shape 1 for the aggregator's
+// summarise()), where passed/total count the seven sub-tests.
+//
+// Sibling IIFE — references the code under test only via window globals;
+// touches no other IIFE's scope.
+
+(function () {
+  "use strict";
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`  ✅ ${name}`);
+      return true;
+    }
+    console.log(`  ❌ ${name}`);
+    return false;
+  }
+
+  const STORAGE_KEYS = ["localServerUrl", "local-server-models"];
+
+  function provider() {
+    return window.EmbedProviderRegistry
+      ? window.EmbedProviderRegistry.get("local-server")
+      : null;
+  }
+
+  /** Run fn with the provider's storage keys saved and restored afterwards. */
+  async function withSavedStorage(fn) {
+    const saved = STORAGE_KEYS.map((k) => localStorage.getItem(k));
+    try {
+      STORAGE_KEYS.forEach((k) => localStorage.removeItem(k));
+      return await fn();
+    } finally {
+      STORAGE_KEYS.forEach((k, i) => {
+        if (saved[i] === null) localStorage.removeItem(k);
+        else localStorage.setItem(k, saved[i]);
+      });
+    }
+  }
+
+  function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+      status: status || 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  function sseResponse(sse) {
+    const body = new ReadableStream({
+      start(c) {
+        c.enqueue(new TextEncoder().encode(sse));
+        c.close();
+      },
+    });
+    return new Response(body, {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  }
+
+  /**
+   * A fetch stub that answers like Ollama: three models (one vision, one
+   * thinking, one embedding-only) with per-model /api/show details.
+   */
+  function fakeOllamaFetch(calls) {
+    const shows = {
+      "llama3.2:3b": {
+        capabilities: ["completion", "tools"],
+        model_info: { "llama.context_length": 131072 },
+      },
+      "gemma3:4b": {
+        capabilities: ["completion", "vision"],
+        model_info: { "gemma3.context_length": 8192 },
+      },
+      "qwen3:8b": {
+        capabilities: ["completion", "thinking", "tools"],
+        model_info: { "qwen3.context_length": 40960 },
+      },
+      "nomic-embed-text:latest": {
+        capabilities: ["embedding"],
+        model_info: {},
+      },
+    };
+    return async function (url, init) {
+      calls.push(url);
+      if (url.endsWith("/v1/models")) {
+        return jsonResponse({
+          object: "list",
+          data: Object.keys(shows).map((id) => ({
+            id,
+            object: "model",
+            owned_by: "library",
+          })),
+        });
+      }
+      if (url.endsWith("/api/version")) return jsonResponse({ version: "0.9.0" });
+      if (url.endsWith("/api/show")) {
+        const model = JSON.parse(init.body).model;
+        return shows[model]
+          ? jsonResponse(shows[model])
+          : jsonResponse({ error: "not found" }, 404);
+      }
+      return jsonResponse({ error: "not found" }, 404);
+    };
+  }
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 1: registration, lookup and the switcher's on-device list
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_Registration = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 1: registration and lookup");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const p = provider();
+      if (!p) return check("local-server provider registered", false);
+
+      allOk =
+        check(
+          "provider owns its transport",
+          typeof p.streamRequest === "function" && typeof p.request === "function"
+        ) && allOk;
+      allOk =
+        check(
+          "'local-server' is a reserved prefix",
+          window.EmbedProviderLookup.isReserved("local-server")
+        ) && allOk;
+      const resolved = window.EmbedProviderLookup.resolve("local-server/llama3.2:3b");
+      allOk =
+        check(
+          "'local-server/…' resolves to the local-server provider",
+          resolved && resolved.id === "local-server"
+        ) && allOk;
+
+      const switcher = window.ProviderSwitcher;
+      if (switcher) {
+        allOk =
+          check(
+            "ProviderSwitcher lists it as on-device, not as a switch choice",
+            switcher.isOnDevice("local-server") &&
+              !switcher.getKnown().some((k) => k.id === "local-server") &&
+              switcher.getOnDevice().some((k) => k.id === "local-server")
+          ) && allOk;
+      }
+      return allOk;
+    } catch (error) {
+      console.error("❌ Registration test failed:", error);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 2: base-URL rule and the missing-address error
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_BaseUrl = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 2: base URL");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const p = provider();
+      const n = p.normaliseBaseUrl;
+
+      allOk = check("root kept", n("http://localhost:11434") === "http://localhost:11434") && allOk;
+      allOk = check("trailing /v1/ stripped", n("http://localhost:8080/v1/") === "http://localhost:8080") && allOk;
+      allOk =
+        check(
+          "full endpoint stripped to the root",
+          n(" http://127.0.0.1:1234/v1/chat/completions ") === "http://127.0.0.1:1234"
+        ) && allOk;
+      allOk = check("non-http rejected", n("localhost:11434") === null) && allOk;
+      allOk = check("empty rejected", n("") === null) && allOk;
+
+      await withSavedStorage(async () => {
+        let threw = false;
+        try {
+          p.endpoint("local-server/x", {});
+        } catch (err) {
+          threw = /Set Up/.test(err.message);
+        }
+        allOk = check("no address → endpoint() throws pointing at Set Up", threw) && allOk;
+
+        localStorage.setItem("localServerUrl", "http://localhost:11434");
+        allOk =
+          check(
+            "stored address → /v1/chat/completions, no auth header",
+            p.endpoint("local-server/x", {}).url ===
+              "http://localhost:11434/v1/chat/completions" &&
+              !("Authorization" in p.endpoint("local-server/x", {}).headers)
+          ) && allOk;
+        allOk =
+          check(
+            "providerConfig.proxyUrl wins over the stored address",
+            p.endpoint("local-server/x", {
+              providerConfig: { proxyUrl: "http://localhost:8080" },
+            }).url === "http://localhost:8080/v1/chat/completions"
+          ) && allOk;
+      });
+      return allOk;
+    } catch (error) {
+      console.error("❌ Base URL test failed:", error);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 3: request body
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_BuildRequest = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 3: buildRequest");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const p = provider();
+      const messages = [{ role: "user", content: "Hello" }];
+      const body = p.buildRequest(messages, {
+        model: "local-server/qwen3:8b",
+        max_tokens: 500,
+        temperature: 0.4,
+        top_p: 0.9,
+        presence_penalty: 0.1,
+        stream: true,
+      });
+
+      allOk = check("registry prefix stripped from model", body.model === "qwen3:8b") && allOk;
+      allOk = check("plain max_tokens sent", body.max_tokens === 500) && allOk;
+      allOk =
+        check(
+          "sampling params passed through",
+          body.temperature === 0.4 && body.top_p === 0.9 && body.presence_penalty === 0.1
+        ) && allOk;
+      allOk =
+        check(
+          "streaming asks for usage",
+          body.stream === true && body.stream_options && body.stream_options.include_usage === true
+        ) && allOk;
+
+      const again = p.buildRequest(messages, { ...body, model: "local-server/qwen3:8b" });
+      allOk =
+        check(
+          "buildRequest is idempotent over its own output",
+          JSON.stringify(again) === JSON.stringify(body)
+        ) && allOk;
+      return allOk;
+    } catch (error) {
+      console.error("❌ buildRequest test failed:", error);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 4: capability inference and model-list parsing
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_Capabilities = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 4: capability inference");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const p = provider();
+      const infer = p._inferCapabilities;
+
+      const named = infer("llava:7b", {});
+      allOk =
+        check(
+          "name pattern marks llava as vision, default context applied",
+          named.capabilities.includes("vision") && named.contextLimit === 4096
+        ) && allOk;
+      allOk =
+        check(
+          "name pattern marks deepseek-r1 as reasoning",
+          infer("deepseek-r1:7b", {}).capabilities.includes("reasoning")
+        ) && allOk;
+      const authoritative = infer("llava:7b", {
+        capabilities: ["completion"],
+        authoritative: true,
+        contextLength: 32768,
+      });
+      allOk =
+        check(
+          "an authoritative server list overrides the name pattern",
+          !authoritative.capabilities.includes("vision") &&
+            authoritative.contextLimit === 32768
+        ) && allOk;
+      allOk =
+        check(
+          "LM Studio type 'vlm' is vision; 'embeddings' is not a chat model",
+          infer("some-model", { type: "vlm" }).capabilities.includes("vision") &&
+            infer("some-model", { type: "embeddings" }).chat === false
+        ) && allOk;
+      allOk =
+        check(
+          "tools reported → tool_calling capability",
+          infer("m", { capabilities: ["tool_use"] }).capabilities.includes("tool_calling")
+        ) && allOk;
+
+      const parsed = p._parseModelList({
+        data: [{ id: "/models/Qwen2.5-VL-7B.gguf", owned_by: "llamacpp", meta: { n_ctx_train: 32768 } }],
+        models: [{ model: "/models/Qwen2.5-VL-7B.gguf", capabilities: ["completion", "multimodal"] }],
+      });
+      allOk =
+        check(
+          "llama.cpp's models[].capabilities merged into the entry",
+          parsed.length === 1 &&
+            parsed[0].hints.capabilities.includes("multimodal") &&
+            parsed[0].hints.contextLength === 32768
+        ) && allOk;
+      return allOk;
+    } catch (error) {
+      console.error("❌ Capability test failed:", error);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 5: discovery against a stubbed Ollama, read by the selector
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_Discovery = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 5: discovery");
+    console.log("========================================\n");
+    const p = provider();
+    const origFetch = window.fetch;
+    let eventDetail = null;
+    const onModels = (e) => {
+      eventDetail = e.detail;
+    };
+    window.addEventListener(p.MODELS_EVENT, onModels);
+    try {
+      return await withSavedStorage(async () => {
+        let allOk = true;
+        const calls = [];
+        window.fetch = fakeOllamaFetch(calls);
+        localStorage.setItem("localServerUrl", "http://localhost:11434/v1");
+
+        const discovery = await p.discoverModels();
+        const byId = {};
+        discovery.models.forEach((m) => {
+          byId[m.id] = m;
+        });
+
+        allOk = check("server identified as Ollama", discovery.server === "ollama") && allOk;
+        allOk =
+          check(
+            "embedding-only model dropped, three chat models kept",
+            discovery.models.length === 3 && !byId["local-server/nomic-embed-text:latest"]
+          ) && allOk;
+        allOk =
+          check(
+            "vision, reasoning and tools read from /api/show",
+            byId["local-server/gemma3:4b"].capabilities.includes("vision") &&
+              byId["local-server/qwen3:8b"].capabilities.includes("reasoning") &&
+              byId["local-server/llama3.2:3b"].capabilities.includes("tool_calling") &&
+              !byId["local-server/llama3.2:3b"].capabilities.includes("vision")
+          ) && allOk;
+        allOk =
+          check(
+            "context length read from model_info",
+            byId["local-server/qwen3:8b"].contextLimit === 40960
+          ) && allOk;
+        allOk =
+          check(
+            "models event dispatched with the list",
+            eventDetail && eventDetail.models.length === 3
+          ) && allOk;
+        allOk =
+          check(
+            "listModels() serves the cached list",
+            p.listModels().length === 3 &&
+              p.listModels()[0].providerId === "local-server"
+          ) && allOk;
+
+        const selector = window.EmbedModelSelector;
+        if (selector) {
+          const fakeEmbed = { isProviderConfigured: (id) => id === "local-server" };
+          const eligible = selector.getEligibleModels({
+            providerId: "local-server",
+            embed: fakeEmbed,
+          });
+          allOk =
+            check(
+              "selector lists discovered models for the provider",
+              eligible.length === 3
+            ) && allOk;
+          allOk =
+            check(
+              "selector's vision gate uses the discovered capabilities",
+              selector
+                .getEligibleModels({
+                  providerId: "local-server",
+                  capabilities: ["vision"],
+                  embed: fakeEmbed,
+                })
+                .map((m) => m.id)
+                .join() === "local-server/gemma3:4b"
+            ) && allOk;
+        }
+
+        localStorage.setItem("localServerUrl", "http://localhost:8080");
+        allOk =
+          check(
+            "a cache for a different address is not served",
+            p.listModels().length === 0
+          ) && allOk;
+
+        window.fetch = async () => {
+          throw new TypeError("Failed to fetch");
+        };
+        let friendly = false;
+        try {
+          await p.discoverModels();
+        } catch (err) {
+          friendly = /running/.test(err.message) && /CORS/.test(err.message);
+        }
+        allOk =
+          check(
+            "an unreachable server gives a sentence naming running and CORS",
+            friendly
+          ) && allOk;
+        return allOk;
+      });
+    } catch (error) {
+      console.error("❌ Discovery test failed:", error);
+      return false;
+    } finally {
+      window.fetch = origFetch;
+      window.removeEventListener(p.MODELS_EVENT, onModels);
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 6: <think> splitting across chunk boundaries
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_ThinkSplitter = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 6: think-tag splitter");
+    console.log("========================================\n");
+    try {
+      let allOk = true;
+      const p = provider();
+
+      function run(pieces) {
+        const s = p._createThinkSplitter();
+        let content = "";
+        let reasoning = "";
+        pieces.forEach((piece) => {
+          const out = s.push(piece);
+          content += out.content;
+          reasoning += out.reasoning;
+        });
+        const tail = s.flush();
+        return { content: content + tail.content, reasoning: reasoning + tail.reasoning };
+      }
+
+      const split = run(["<thi", "nk>Weigh it", " up.</th", "ink>\n\nThe answer."]);
+      allOk =
+        check(
+          "tags split across chunks are routed correctly",
+          split.reasoning === "Weigh it up." && split.content === "The answer."
+        ) && allOk;
+      const plain = run(["Use the ", "<think> tag."]);
+      allOk =
+        check(
+          "a <think> later in the answer stays content",
+          plain.content === "Use the <think> tag." && plain.reasoning === ""
+        ) && allOk;
+      const unfinished = run(["<think>still going"]);
+      allOk =
+        check(
+          "an unclosed block ends as reasoning, not content",
+          unfinished.reasoning === "still going" && unfinished.content === ""
+        ) && allOk;
+      return allOk;
+    } catch (error) {
+      console.error("❌ Think splitter test failed:", error);
+      return false;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // SUB-TEST 7: streaming with reasoning over a stubbed fetch
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_Streaming = async function () {
+    console.log("\n🧪 LOCAL SERVER TEST 7: streaming");
+    console.log("========================================\n");
+    const p = provider();
+    const origFetch = window.fetch;
+    try {
+      let allOk = true;
+      const frames = [
+        { choices: [{ delta: { reasoning_content: "First, " } }] },
+        { choices: [{ delta: { reasoning: "then." } }] },
+        { choices: [{ delta: { content: "<think>Also" } }] },
+        { choices: [{ delta: { content: " this.</think>Hello" } }] },
+        { choices: [{ delta: { content: " there." }, finish_reason: "stop" }] },
+        {
+          model: "qwen3:8b",
+          choices: [],
+          usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 },
+        },
+      ];
+      const sse =
+        frames.map((f) => "data: " + JSON.stringify(f) + "\n\n").join("") +
+        "data: [DONE]\n\n";
+      let sentUrl = null;
+      let sentBody = null;
+      window.fetch = async (url, init) => {
+        sentUrl = url;
+        sentBody = JSON.parse(init.body);
+        return sseResponse(sse);
+      };
+
+      const chunks = [];
+      let reasoning = "";
+      let completed = null;
+      await p.streamRequest([{ role: "user", content: "Hi" }], {
+        model: "local-server/qwen3:8b",
+        providerConfig: { proxyUrl: "http://localhost:11434" },
+        onChunk: (text) => chunks.push(text),
+        onReasoning: (r) => {
+          reasoning += r.text;
+        },
+        onComplete: (fullText, data) => {
+          completed = { fullText, data };
+        },
+      });
+
+      allOk =
+        check(
+          "request sent to the configured server, prefix stripped",
+          sentUrl === "http://localhost:11434/v1/chat/completions" &&
+            sentBody.model === "qwen3:8b" &&
+            sentBody.stream === true
+        ) && allOk;
+      allOk =
+        check(
+          "reasoning_content, reasoning and <think> all reach onReasoning",
+          reasoning === "First, then.Also this."
+        ) && allOk;
+      allOk =
+        check(
+          "answer streamed without think tags",
+          chunks.join("") === "Hello there." &&
+            completed &&
+            completed.fullText === "Hello there."
+        ) && allOk;
+      allOk =
+        check(
+          "usage from the final frame passed to onComplete",
+          completed && completed.data.usage && completed.data.usage.total_tokens === 8
+        ) && allOk;
+
+      window.fetch = async () => new Response("model not found", { status: 404 });
+      let status = null;
+      try {
+        await p.streamRequest([{ role: "user", content: "Hi" }], {
+          model: "local-server/missing",
+          providerConfig: { proxyUrl: "http://localhost:11434" },
+        });
+      } catch (err) {
+        status = err.status;
+      }
+      allOk = check("non-2xx throws with .status", status === 404) && allOk;
+      return allOk;
+    } catch (error) {
+      console.error("❌ Streaming test failed:", error);
+      return false;
+    } finally {
+      window.fetch = origFetch;
+    }
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // MASTER RUNNER
+  // ──────────────────────────────────────────────────────────────────────────
+  window.testEmbedLocalServer_All = async function (options) {
+    const { clearConsole = false } = options || {};
+    if (clearConsole) console.clear();
+    console.log("╔═══════════════════════════════════════════════════════════╗");
+    console.log("║  OpenRouter Embed - Local Model Server Tests              ║");
+    console.log("║                                                           ║");
+    console.log("║  Offline / deterministic — synthetic payloads, no network ║");
+    console.log("╚═══════════════════════════════════════════════════════════╝\n");
+
+    const t0 = performance.now();
+
+    if (!provider()) {
+      console.log("❌ local-server provider not registered — suite skipped");
+      return { passed: 0, total: 1, results: {}, elapsedMs: 0 };
+    }
+
+    const results = {
+      registration: await window.testEmbedLocalServer_Registration(),
+      baseUrl: await window.testEmbedLocalServer_BaseUrl(),
+      buildRequest: await window.testEmbedLocalServer_BuildRequest(),
+      capabilities: await window.testEmbedLocalServer_Capabilities(),
+      discovery: await window.testEmbedLocalServer_Discovery(),
+      thinkSplitter: await window.testEmbedLocalServer_ThinkSplitter(),
+      streaming: await window.testEmbedLocalServer_Streaming(),
+    };
+
+    const elapsedMs = performance.now() - t0;
+    const elapsedSec = (elapsedMs / 1000).toFixed(2);
+
+    console.log("\n" + "═".repeat(60));
+    console.log("📊 TEST RESULTS");
+    console.log("═".repeat(60));
+
+    const order = [
+      "registration",
+      "baseUrl",
+      "buildRequest",
+      "capabilities",
+      "discovery",
+      "thinkSplitter",
+      "streaming",
+    ];
+    let passed = 0;
+    for (const key of order) {
+      console.log(results[key] ? `✅ ${key}` : `❌ ${key}`);
+      if (results[key]) passed++;
+    }
+
+    console.log("\n" + "═".repeat(60));
+    const allPassed = passed === order.length;
+    const status = allPassed ? "PASS" : "FAIL";
+    const icon = allPassed ? "🎉" : "⚠️";
+    console.log(
+      `${icon} LOCAL SERVER SUITE: ${status} (${passed}/${order.length} in ${elapsedSec}s)`
+    );
+    console.log("═".repeat(60) + "\n");
+
+    window._embedLocalServerResults = {
+      passed,
+      total: order.length,
+      results,
+      elapsedMs,
+    };
+
+    return { passed, total: order.length, results, elapsedMs };
+  };
+
+  if (console && console.log) {
+    console.log(
+      "[testEmbedLocalServer_All] loaded — run: await window.testEmbedLocalServer_All()"
+    );
+  }
+})();
+
 // ============================================================================
 // CONSOLIDATED MULTI-SUITE RUNNER (results-recording aid)
 // ============================================================================
 //
-// window.runAllEmbedSuites() awaits the six named regression suites in their
+// window.runAllEmbedSuites() awaits the eight named regression suites in their
 // documented order, captures each suite's STRUCTURED RETURN VALUE, and prints
 // ONE consolidated console.table at the very end. Because the per-suite tally
 // is taken from the return value (not scraped from the scroll-back), the final
@@ -3946,7 +5382,7 @@ const hello = 'world';
 // Suites that predate the flag simply ignore the unknown options argument.
 // Every call is wrapped so one suite throwing does not abort the sweep.
 //
-// The six suites return heterogeneous shapes; summarise() normalises them:
+// The eight suites return heterogeneous shapes; summarise() normalises them:
 //   - { passed, total, ... }            → used directly (ProviderAbstraction, Foundry)
 //   - boolean                           → enriched from window._embedStage1Results
 //                                         when present, else 1/1 (testEmbedStage1_All)
@@ -3967,6 +5403,8 @@ const hello = 'world';
     { name: "testEmbedStage4_Phase2_All" },
     { name: "testEmbedFoundry_All" },
     { name: "testEmbedResponses_All" },
+    { name: "testEmbedTools_All" },
+    { name: "testEmbedLocalServer_All" },
   ];
 
   function summarise(name, ret) {
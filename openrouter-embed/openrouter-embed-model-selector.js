@@ -4,7 +4,7 @@
  * Provides capability-based model selection with cost awareness
  * for OpenRouter Embed API.
  *
- * @version 1.0.0 (Stage 5 Phase 5)
+ * @version 1.1.0 (Local model server — discovered models via provider.listModels)
  * @date 30 November 2025
  */
 
@@ -148,6 +148,7 @@
     "azure-openai": "Microsoft Foundry",
     "azure-inference": "Foundry (Inference)",   // Stage 5 placeholder
     "anthropic-foundry": "Claude via Foundry",  // Stage 4 placeholder
+    "local-server": "Local server",
   };
 
   // A UI provider may surface models from more than one routing provider (surface).
@@ -640,6 +641,10 @@
      *                              always available).
      * @returns {Array<Object>} Full model objects with providerId injected
      *
+     * A registered provider that exposes `listModels()` (the local model
+     * server, whose models are discovered rather than catalogued) is its own
+     * model source; window.modelRegistry is not consulted for it.
+     *
      * Edge cases:
      *   - window.modelRegistry not loaded → returns []
      *   - providerId missing/blank → returns []
@@ -670,13 +675,17 @@
         }
       }
 
+      const ownSource = this._getProviderModelSource(id);
       const registry = window.modelRegistry;
-      if (!registry || typeof registry.getAllModels !== "function") {
+      if (
+        !ownSource &&
+        (!registry || typeof registry.getAllModels !== "function")
+      ) {
         logDebug("window.modelRegistry unavailable, returning []");
         return [];
       }
 
-      const allModels = registry.getAllModels();
+      const allModels = ownSource ? ownSource : registry.getAllModels();
 
       const results = [];
       for (const model of allModels) {
@@ -704,6 +713,29 @@
       return results;
     }
 
+    /**
+     * The model list a provider supplies itself via `listModels()`, or null
+     * when the provider is not registered or relies on window.modelRegistry.
+     * A throwing listModels reads as an empty list rather than falling back
+     * to the registry, which holds none of that provider's models.
+     * @param {string} providerId
+     * @returns {Array<Object>|null}
+     * @private
+     */
+    _getProviderModelSource(providerId) {
+      const registry = window.EmbedProviderRegistry;
+      if (!registry || typeof registry.get !== "function") return null;
+      const provider = registry.get(providerId);
+      if (!provider || typeof provider.listModels !== "function") return null;
+      try {
+        const models = provider.listModels();
+        return Array.isArray(models) ? models : [];
+      } catch (error) {
+        logWarn(`listModels failed for provider '${providerId}'`, error);
+        return [];
+      }
+    }
+
     /**
      * Stage 2 (Unified Chat) — pure mapper from a local text-model registry
      * entry to the unified-list shape. Copies only the fields the picker and
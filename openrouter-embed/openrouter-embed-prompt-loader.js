@@ -10,10 +10,18 @@
  * - Global variable exposure (window[name])
  * - Load status checking
  * - Ready promise for async coordination
+ * - {{variable}} templates: list a prompt's variables and fill them
  *
- * @version 1.0.0 (Stage 5 Phase 4 Feature 2)
+ * Template syntax: {{name}} is replaced by the value given for "name";
+ * {{name|default text}} falls back to "default text" when no value is
+ * given. Names start with a letter and may contain letters, digits,
+ * spaces, hyphens and underscores; the same name may appear more than
+ * once and is filled everywhere. Anything else in braces is left as is.
+ *
+ * @version 1.1.0 (templated variables, shared with prompt-library.js)
+ *          1.0.0 (Stage 5 Phase 4 Feature 2)
  * @author OpenRouter Embed Development Team
- * @date 29 November 2025
+ * @date 19 October 2026
  */
 
 (function () {
@@ -60,6 +68,29 @@
       console.log(`[EmbedPromptLoader DEBUG] ${message}`, ...args);
   }
 
+  // ============================================================================
+  // TEMPLATE SYNTAX
+  // ============================================================================
+
+  // {{name}} or {{name|default}}. Copied per call so each caller gets its
+  // own lastIndex.
+  const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9 _-]*?)\s*(?:\|([^{}]*))?\}\}/;
+
+  function variablePattern() {
+    return new RegExp(VARIABLE_PATTERN.source, "g");
+  }
+
+  /**
+   * Human label for a variable name: "reading_level" → "Reading level"
+   *
+   * @param {string} name - Variable name as written in the template
+   * @returns {string} Label for a form field
+   */
+  function labelFor(name) {
+    const words = name.replace(/[_-]+/g, " ").replace(/\s+/g, " ").trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
   // ============================================================================
   // EMBED PROMPT LOADER CLASS
   // ============================================================================
@@ -287,6 +318,84 @@
       return names;
     }
 
+    // ==========================================================================
+    // TEMPLATES
+    // ==========================================================================
+
+    /**
+     * List the {{variables}} in a template, in order of first appearance
+     *
+     * A name used more than once is listed once; its default is the first
+     * one given.
+     *
+     * @param {string} template - Prompt text
+     * @returns {Array<{name: string, label: string, defaultValue: string|null}>}
+     */
+    extractVariables(template) {
+      const variables = [];
+      const seen = new Map();
+      if (typeof template !== "string") return variables;
+
+      const pattern = variablePattern();
+      let match;
+      while ((match = pattern.exec(template)) !== null) {
+        const name = match[1];
+        const defaultValue = match[2] !== undefined ? match[2].trim() : null;
+        if (seen.has(name)) {
+          const existing = seen.get(name);
+          if (existing.defaultValue === null && defaultValue !== null) {
+            existing.defaultValue = defaultValue;
+          }
+          continue;
+        }
+        const variable = { name, label: labelFor(name), defaultValue };
+        seen.set(name, variable);
+        variables.push(variable);
+      }
+
+      logDebug("Variables extracted", { count: variables.length });
+      return variables;
+    }
+
+    /**
+     * Fill a template's {{variables}}
+     *
+     * A variable with no value (missing, or only whitespace) takes its
+     * default; with neither it becomes an empty string, or is left as
+     * written when options.keepMissing is true.
+     *
+     * @param {string} template - Prompt text
+     * @param {Object<string, string>} values - Values keyed by variable name
+     * @param {Object} [options]
+     * @param {boolean} [options.keepMissing=false] - Leave unfilled variables in place
+     * @returns {string} The filled text
+     */
+    fill(template, values = {}, options = {}) {
+      if (typeof template !== "string") return "";
+      const keepMissing = options.keepMissing === true;
+
+      return template.replace(variablePattern(), (whole, name, fallback) => {
+        const value = values[name];
+        if (typeof value === "string" && value.trim() !== "") return value;
+        if (fallback !== undefined) return fallback.trim();
+        return keepMissing ? whole : "";
+      });
+    }
+
+    /**
+     * Fill the variables of a previously loaded prompt
+     *
+     * @param {string} name - Name the prompt was loaded under
+     * @param {Object<string, string>} values - Values keyed by variable name
+     * @param {Object} [options] - As for fill()
+     * @returns {string|null} The filled text, or null if the prompt is not loaded
+     */
+    render(name, values = {}, options = {}) {
+      const template = this.get(name);
+      if (template === null) return null;
+      return this.fill(template, values, options);
+    }
+
     // ==========================================================================
     // CLEANUP
     // ==========================================================================
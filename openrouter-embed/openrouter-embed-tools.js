@@ -0,0 +1,552 @@
+/**
+ * OpenRouter Embed API - Tool Registry (Tool calling)
+ *
+ * Holds the in-browser tools a model may call during an embed request, and
+ * runs them. The embed core's sendWithTools() offers registered tools to the
+ * model, executes the calls it makes through this registry and feeds the
+ * results back; each provider maps the canonical definitions to its own wire
+ * shape (see providers/_interface.js, TOOL-CALLING CONTRACT).
+ *
+ * A tool is a plain object:
+ *   {
+ *     name: "check_colour_contrast",      // canonical ToolDefinition name
+ *     label: "Colour contrast check",     // human-readable, for the UI
+ *     description: "...",                 // what the model reads
+ *     parameters: { type: "object", ... },// JSON Schema for the arguments
+ *     execute: async (args) => result     // any JSON-serialisable result
+ *   }
+ *
+ * Built-in tools wrap capabilities the site already ships, each loaded on
+ * first use so a page that never calls them pays nothing:
+ * - check_colour_contrast — WCAG 2.1 and APCA contrast
+ *   (suggester/services/contrastChecker.js, over chroma.js)
+ * - describe_mermaid_diagram — the Mermaid accessibility short and detailed
+ *   descriptions (md-scripts/mermaid/)
+ * - mathml_to_speech — Clearspeak speech text for MathML (tts/tts-sre-loader.js)
+ *
+ * Features:
+ * - EmbedToolRegistry class with register / get / has / list / resolve /
+ *   unregister / clear / execute
+ * - Registration validated against the canonical tool schema
+ * - execute() never throws: failures come back as { ok: false, error }
+ * - Singleton instance plus class globally exposed
+ *
+ * @version 1.0.0 (Tool calling)
+ * @requires window.EmbedToolSchema (providers/_interface.js)
+ */
+
+(function () {
+  "use strict";
+
+  // ============================================================================
+  // LOGGING CONFIGURATION
+  // ============================================================================
+
+  const LOG_LEVELS = {
+    ERROR: 0,
+    WARN: 1,
+    INFO: 2,
+    DEBUG: 3,
+  };
+
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error(`[EmbedToolRegistry ERROR] ${message}`, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn(`[EmbedToolRegistry WARN] ${message}`, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log(`[EmbedToolRegistry INFO] ${message}`, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log(`[EmbedToolRegistry DEBUG] ${message}`, ...args);
+  }
+
+  // ============================================================================
+  // CONSTANTS
+  // ============================================================================
+
+  // Site-relative paths of the modules the built-in tools load on first use.
+  // Resolved against document.baseURI so they work from any page of the site.
+  const CHROMA_SCRIPT_PATH = "scripts/chroma.min.js";
+  const CONTRAST_CHECKER_PATH = "suggester/services/contrastChecker.js";
+
+  // Cap on the MathML a single mathml_to_speech call accepts. SRE is fast, but
+  // a model pasting a whole document into one call is a mistake worth refusing.
+  const MAX_MATHML_LENGTH = 20000;
+
+  // ============================================================================
+  // TOOL REGISTRY CLASS
+  // ============================================================================
+
+  class EmbedToolRegistry {
+    /**
+     * Create a new tool registry instance.
+     *
+     * Consumers should normally use the singleton exposed at
+     * `window.EmbedToolRegistry`; the class is exposed only for testing and
+     * for callers that want an isolated set of tools.
+     */
+    constructor() {
+      this._tools = new Map();
+
+      logInfo("EmbedToolRegistry initialised");
+    }
+
+    // ==========================================================================
+    // REGISTRATION METHODS
+    // ==========================================================================
+
+    /**
+     * Register a tool.
+     *
+     * Validates the definition half against the canonical tool schema
+     * (EmbedToolSchema.validateToolDefinition) and requires an `execute`
+     * function. `label` defaults to the name.
+     *
+     * @param {Object} tool - { name, label?, description, parameters, execute }
+     * @returns {void}
+     * @throws {Error} If validation fails or a tool with the same name is already registered
+     *
+     * @example
+     * window.EmbedToolRegistry.register({
+     *   name: 'word_count',
+     *   label: 'Word count',
+     *   description: 'Count the words in a passage of text.',
+     *   parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+     *   execute: ({ text }) => ({ words: text.split(/\s+/).filter(Boolean).length }),
+     * });
+     */
+    register(tool) {
+      const problem = window.EmbedToolSchema.validateToolDefinition(tool);
+      if (problem) {
+        throw new Error(problem);
+      }
+      if (typeof tool.execute !== "function") {
+        throw new Error(`Tool.execute must be a function (tool: '${tool.name}')`);
+      }
+      if (this._tools.has(tool.name)) {
+        throw new Error(`Tool with name '${tool.name}' is already registered`);
+      }
+
+      this._tools.set(tool.name, {
+        ...tool,
+        label:
+          typeof tool.label === "string" && tool.label.trim()
+            ? tool.label
+            : tool.name,
+      });
+
+      logInfo(`Tool registered: '${tool.name}'`, {
+        totalTools: this._tools.size,
+      });
+    }
+
+    /**
+     * Remove a tool from the registry.
+     *
+     * @param {string} name - The tool name to remove
+     * @returns {boolean} True if a tool was removed
+     */
+    unregister(name) {
+      const removed = this._tools.delete(name);
+      logDebug(
+        removed
+          ? `Tool unregistered: '${name}'`
+          : `unregister() — no tool named '${name}'`,
+      );
+      return removed;
+    }
+
+    // ==========================================================================
+    // LOOKUP METHODS
+    // ==========================================================================
+
+    /**
+     * Retrieve a registered tool by name.
+     *
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(name) {
+      const tool = this._tools.get(name);
+      return tool === undefined ? null : tool;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} True if a tool with that name is registered
+     */
+    has(name) {
+      return this._tools.has(name);
+    }
+
+    /**
+     * List the names of all registered tools, in registration order.
+     *
+     * @returns {string[]}
+     */
+    list() {
+      return Array.from(this._tools.keys());
+    }
+
+    /**
+     * Resolve a list of names to registered tools, skipping (with a warning)
+     * any name that is not registered. With no list, resolves every tool.
+     *
+     * @param {string[]} [names]
+     * @returns {Object[]}
+     */
+    resolve(names) {
+      if (!Array.isArray(names)) {
+        return Array.from(this._tools.values());
+      }
+      const tools = [];
+      for (const name of names) {
+        const tool = this._tools.get(name);
+        if (tool) {
+          tools.push(tool);
+        } else {
+          logWarn(`resolve() — no tool named '${name}'; skipped`);
+        }
+      }
+      return tools;
+    }
+
+    // ==========================================================================
+    // EXECUTION
+    // ==========================================================================
+
+    /**
+     * Run one tool call the model made. Never throws: an unknown tool,
+     * malformed argument JSON or a failing tool all come back as
+     * `{ ok: false, error }`, which the caller hands back to the model as the
+     * tool result so it can recover or explain.
+     *
+     * @param {Object} call - Canonical ToolCall ({ id, function: { name, arguments } })
+     * @returns {Promise<{ok: true, content: *}|{ok: false, error: string}>}
+     */
+    async execute(call) {
+      const name = call && call.function ? call.function.name : "";
+      const tool = this._tools.get(name);
+      if (!tool) {
+        return { ok: false, error: `Unknown tool '${name}'` };
+      }
+
+      let args;
+      try {
+        args = JSON.parse(call.function.arguments || "{}");
+      } catch (error) {
+        return {
+          ok: false,
+          error: `Arguments for '${name}' were not valid JSON`,
+        };
+      }
+      if (!args || typeof args !== "object" || Array.isArray(args)) {
+        return {
+          ok: false,
+          error: `Arguments for '${name}' must be a JSON object`,
+        };
+      }
+
+      try {
+        const content = await tool.execute(args);
+        logDebug(`Tool '${name}' succeeded`);
+        return { ok: true, content: content === undefined ? null : content };
+      } catch (error) {
+        logWarn(`Tool '${name}' failed:`, error);
+        return {
+          ok: false,
+          error: (error && error.message) || String(error),
+        };
+      }
+    }
+
+    // ==========================================================================
+    // CLEANUP METHODS
+    // ==========================================================================
+
+    /**
+     * Remove all registered tools. Primarily for test cleanup.
+     *
+     * @returns {void}
+     */
+    clear() {
+      const previousSize = this._tools.size;
+      this._tools.clear();
+      logDebug(`Registry cleared (${previousSize} tools removed)`);
+    }
+  }
+
+  // ============================================================================
+  // BUILT-IN TOOL HELPERS
+  // ============================================================================
+
+  /**
+   * Resolve a site-relative path against the page, so a tool works from any
+   * page of the site.
+   *
+   * @param {string} path
+   * @returns {string}
+   */
+  function siteUrl(path) {
+    return new URL(path, document.baseURI).href;
+  }
+
+  let _chromaPromise = null;
+
+  /**
+   * Load chroma.js (a classic script exposing the global `chroma`) once.
+   * The contrast checker reads the global at construction time.
+   *
+   * @returns {Promise<void>}
+   */
+  function loadChroma() {
+    if (typeof window.chroma !== "undefined") return Promise.resolve();
+    if (_chromaPromise) return _chromaPromise;
+    _chromaPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = siteUrl(CHROMA_SCRIPT_PATH);
+      script.async = true;
+      script.addEventListener("load", () => resolve(), { once: true });
+      script.addEventListener(
+        "error",
+        () => reject(new Error("chroma.js failed to load")),
+        { once: true },
+      );
+      document.head.appendChild(script);
+    });
+    // Allow a retry on failure.
+    _chromaPromise.catch(() => {
+      _chromaPromise = null;
+    });
+    return _chromaPromise;
+  }
+
+  let _contrastCheckerPromise = null;
+
+  /**
+   * The colour suggester's ContrastChecker, created once on first use.
+   *
+   * @returns {Promise<Object>}
+   */
+  function getContrastChecker() {
+    if (!_contrastCheckerPromise) {
+      _contrastCheckerPromise = loadChroma()
+        .then(() => import(siteUrl(CONTRAST_CHECKER_PATH)))
+        .then((module) => new module.ContrastChecker());
+      _contrastCheckerPromise.catch(() => {
+        _contrastCheckerPromise = null;
+      });
+    }
+    return _contrastCheckerPromise;
+  }
+
+  /**
+   * Round to two decimal places for a model-readable figure.
+   *
+   * @param {number} value
+   * @returns {number}
+   */
+  function round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Plain text of a description that may be HTML (the detailed Mermaid
+   * descriptions are), so the model is not handed markup to read round.
+   *
+   * @param {string} html
+   * @returns {string}
+   */
+  function htmlToText(html) {
+    const holder = document.createElement("div");
+    holder.innerHTML = html;
+    return (holder.textContent || "").replace(/\s+/g, " ").trim();
+  }
+
+  // ============================================================================
+  // BUILT-IN TOOLS
+  // ============================================================================
+
+  const BUILT_IN_TOOLS = [
+    {
+      name: "check_colour_contrast",
+      label: "Colour contrast check",
+      description:
+        "Measure the contrast between a text (foreground) colour and a background colour, " +
+        "returning the WCAG 2.1 contrast ratio and rating (AAA, AA, G for large text only, F for fail) " +
+        "and the APCA lightness contrast. Use this rather than estimating contrast yourself.",
+      parameters: {
+        type: "object",
+        properties: {
+          foreground: {
+            type: "string",
+            description: "Text colour as any CSS colour, e.g. '#767676' or 'rgb(118,118,118)'",
+          },
+          background: {
+            type: "string",
+            description: "Background colour as any CSS colour, e.g. '#ffffff'",
+          },
+        },
+        required: ["foreground", "background"],
+      },
+      async execute({ foreground, background }) {
+        const checker = await getContrastChecker();
+        for (const colour of [foreground, background]) {
+          if (typeof colour !== "string" || !window.chroma.valid(colour)) {
+            throw new Error(`'${colour}' is not a recognised colour`);
+          }
+        }
+        const result = checker.calculateContrast(foreground, background);
+        return {
+          foreground,
+          background,
+          wcag: {
+            ratio: round2(result.wcag.ratio),
+            rating: result.wcag.rating,
+            normalTextPasses: result.wcag.isTextReadable,
+            largeTextPasses: result.wcag.isLargeTextReadable,
+            graphicsPass: result.wcag.isGraphicsReadable,
+          },
+          apca: {
+            contrast: round2(result.apca.contrast),
+            compliance: result.apca.compliance,
+          },
+        };
+      },
+    },
+    {
+      name: "describe_mermaid_diagram",
+      label: "Mermaid diagram description",
+      description:
+        "Render Mermaid diagram code and return this site's accessible text descriptions of it: " +
+        "the diagram type, a short description and a detailed description. " +
+        "Use this to describe or check a Mermaid diagram for someone who cannot see it.",
+      parameters: {
+        type: "object",
+        properties: {
+          code: {
+            type: "string",
+            description: "The Mermaid diagram source, without the ```mermaid fence",
+          },
+        },
+        required: ["code"],
+      },
+      async execute({ code }) {
+        if (typeof code !== "string" || !code.trim()) {
+          throw new Error("No Mermaid code was given");
+        }
+        if (
+          typeof window.mermaid === "undefined" ||
+          !window.MermaidAccessibility ||
+          !window.MermaidDiagramDetection
+        ) {
+          throw new Error("Mermaid diagram support is not loaded on this page");
+        }
+        const diagramType = window.MermaidDiagramDetection.detectDiagramType(code);
+        const renderId = `embed-tool-mermaid-${Date.now()}`;
+        const { svg } = await window.mermaid.render(renderId, code);
+        const holder = document.createElement("div");
+        holder.innerHTML = svg;
+        const svgElement = holder.querySelector("svg");
+        const descriptions =
+          await window.MermaidAccessibility.getDiagramDescriptions(
+            svgElement,
+            code,
+            diagramType,
+          );
+        return {
+          diagramType,
+          short: descriptions.short || null,
+          detailed: descriptions.detailed
+            ? htmlToText(descriptions.detailed)
+            : null,
+        };
+      },
+    },
+    {
+      name: "mathml_to_speech",
+      label: "MathML to speech",
+      description:
+        "Convert a MathML expression into the spoken English a screen reader would read " +
+        "(Speech Rule Engine, Clearspeak style). Use this to check or explain how an equation will be read aloud.",
+      parameters: {
+        type: "object",
+        properties: {
+          mathml: {
+            type: "string",
+            description: "A complete <math>…</math> MathML element",
+          },
+        },
+        required: ["mathml"],
+      },
+      async execute({ mathml }) {
+        if (typeof mathml !== "string" || !/<math[\s>]/i.test(mathml)) {
+          throw new Error("Expected a <math> MathML element");
+        }
+        if (mathml.length > MAX_MATHML_LENGTH) {
+          throw new Error(
+            `MathML is too long (${mathml.length} characters; limit ${MAX_MATHML_LENGTH})`,
+          );
+        }
+        if (!window.TTSSreLoader) {
+          throw new Error("The speech engine is not available on this page");
+        }
+        const sre = await window.TTSSreLoader.loadSRE();
+        return { speech: sre.toSpeech(mathml), style: "clearspeak" };
+      },
+    },
+  ];
+
+  // ============================================================================
+  // SINGLETON INSTANCE
+  // ============================================================================
+
+  const embedToolRegistry = new EmbedToolRegistry();
+
+  for (const tool of BUILT_IN_TOOLS) {
+    try {
+      embedToolRegistry.register(tool);
+    } catch (error) {
+      logError(`Built-in tool '${tool.name}' failed to register:`, error);
+    }
+  }
+
+  // ============================================================================
+  // GLOBAL EXPOSURE
+  // ============================================================================
+
+  // Expose singleton instance for normal use
+  window.EmbedToolRegistry = embedToolRegistry;
+
+  // Also expose the class for testing and isolated registry instances
+  window.EmbedToolRegistryClass = EmbedToolRegistry;
+
+  // ============================================================================
+  // INITIALISATION LOG
+  // ============================================================================
+
+  logInfo("OpenRouter Embed Tool Registry loaded", {
+    tools: embedToolRegistry.list(),
+  });
+  logInfo("Available as: window.EmbedToolRegistry (singleton instance)");
+  logInfo("Class available as: window.EmbedToolRegistryClass");
+})();
@@ -0,0 +1,819 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PROMPT LIBRARY UI — Set Up manager + per-tool "Saved prompts"
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The page-facing half of prompt-library.js, in two parts.
+ *
+ * 1. The manager, in Set Up (section#setup-prompts). Lists every
+ *    prompt with search, kind and tag filters; creates, edits,
+ *    duplicates and deletes them; shows a prompt's earlier versions
+ *    with Restore; imports and exports collections as JSON. Wired
+ *    once on DOMContentLoaded when the section is on the page.
+ *
+ * 2. The picker, one per tool. A tool calls attach(host, options)
+ *    with an empty <details> (its <summary> only) and the fields a
+ *    prompt should go into:
+ *
+ *      attach(host, {
+ *        targets: { system: textarea, user: textarea },  // either or both
+ *        manage: true,              // show "Manage prompts" (default true)
+ *        onApply: function (prompt, text) {},
+ *      })
+ *
+ *    Only prompts of a kind with a target are offered. Choosing one
+ *    shows a form with a labelled field per {{variable}}; a variable
+ *    without a default must be filled. A system prompt replaces the
+ *    system field; a user prompt is inserted at the caret. Either way
+ *    the field gets an "input" event, so the tool reacts as if typed.
+ *    Ids inside the picker are the host's id plus a suffix.
+ *
+ * Architecture: IIFE with window.PromptLibraryUI global.
+ * No NPM — pure browser JS loaded via <script> tag.
+ *
+ * VERSION: 1.0.0
+ * DATE: 19 October 2026
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+window.PromptLibraryUI = (function () {
+  "use strict";
+
+  // ========================================================================
+  // LOGGING CONFIGURATION
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[PromptLibraryUI] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[PromptLibraryUI] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[PromptLibraryUI] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[PromptLibraryUI] " + message, ...args);
+  }
+
+  // ========================================================================
+  // CONSTANTS
+  // ========================================================================
+
+  const SETUP_SECTION_ID = "setup-prompts";
+  const EXCERPT_LENGTH = 160;
+
+  const KIND_LABELS = { system: "System prompt", user: "User prompt" };
+  const KIND_GROUP_LABELS = { system: "System prompts", user: "User prompts" };
+  const APPLY_LABELS = { system: "Use as system prompt", user: "Insert into message" };
+
+  /** @type {Object<string, Object>} one picker per host id */
+  const pickers = {};
+  let managerWired = false;
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  function library() {
+    return window.PromptLibrary || null;
+  }
+
+  function icon(name) {
+    return '<span aria-hidden="true" data-icon="' + name + '"></span>';
+  }
+
+  function plural(n, one, many) {
+    return n + " " + (n === 1 ? one : many);
+  }
+
+  function confirmAsync(message) {
+    if (typeof window.safeConfirm === "function") return window.safeConfirm(message);
+    return Promise.resolve(window.confirm(message));
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /** A button whose visible text is short but whose name says which prompt. */
+  function actionButton(iconName, label, promptTitle, onClick) {
+    var btn = el("button");
+    btn.type = "button";
+    btn.innerHTML = icon(iconName) + " " + label;
+    var hidden = el("span", "visually-hidden", " — " + promptTitle);
+    btn.appendChild(hidden);
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function formatDate(iso) {
+    if (!iso) return "";
+    var date = new Date(iso);
+    if (isNaN(date.getTime())) return "";
+    return date.toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+  }
+
+  function excerpt(text) {
+    var flat = text.replace(/\s+/g, " ").trim();
+    return flat.length > EXCERPT_LENGTH ? flat.slice(0, EXCERPT_LENGTH) + "..." : flat;
+  }
+
+  function fileSlug(text) {
+    return (
+      String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "prompts"
+    );
+  }
+
+  function downloadJSON(data, filename) {
+    var blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /** Switch to Set Up and move focus to the prompt library. */
+  function openManager() {
+    var radio = document.getElementById("SetUp");
+    if (radio) radio.checked = true;
+    if (typeof window.showSetUp === "function") window.showSetUp(false);
+    setTimeout(function () {
+      var section = document.getElementById(SETUP_SECTION_ID);
+      var heading = section && section.querySelector("h2");
+      if (!heading) return;
+      section.scrollIntoView({ behavior: "instant", block: "start" });
+      heading.focus({ preventScroll: true });
+    }, 500);
+  }
+
+  /**
+   * Fill a system field, or insert at the caret of a user field, then tell
+   * the tool through an ordinary "input" event.
+   */
+  function putText(target, text, kind) {
+    var panel = target.closest && target.closest("details");
+    if (panel && !panel.open) panel.open = true;
+    if (kind === "system") {
+      target.value = text;
+    } else if (typeof target.setRangeText === "function") {
+      target.setRangeText(text, target.selectionStart, target.selectionEnd, "end");
+    } else {
+      target.value += text;
+    }
+    target.dispatchEvent(new Event("input", { bubbles: true }));
+    target.focus();
+  }
+
+  // ========================================================================
+  // PICKER
+  // ========================================================================
+
+  /**
+   * Add a "Saved prompts" picker to a tool. Idempotent per host: a second
+   * call re-points the existing picker at the new targets. A new element
+   * with the same id (the MathPix modal is rebuilt each time it opens)
+   * replaces the old picker.
+   * @param {HTMLElement} host <details> with an id and a <summary>
+   * @param {{targets: {system?: HTMLElement, user?: HTMLElement}, manage?: boolean, onApply?: function(Object, string)}} options
+   * @returns {{refresh: function(): void, detach: function(): void}|null}
+   */
+  function attach(host, options) {
+    if (!host || !host.id || !library()) return null;
+    var opts = options || {};
+    var existing = pickers[host.id];
+    if (existing && existing.host === host) {
+      existing.setOptions(opts);
+      return existing;
+    }
+    if (existing) existing.detach();
+
+    var targets = {};
+    var onApply = null;
+    var chosen = null;
+    var variables = [];
+
+    var body = el("div", "prompt-picker-body");
+    var chooseRow = el("div", "prompt-picker-choose");
+    var selectLabel = el("label", null, "Prompt");
+    selectLabel.htmlFor = host.id + "-select";
+    var select = el("select");
+    select.id = host.id + "-select";
+    chooseRow.appendChild(selectLabel);
+    chooseRow.appendChild(select);
+    body.appendChild(chooseRow);
+
+    var empty = el("p", "prompt-picker-empty");
+    empty.id = host.id + "-empty";
+    empty.hidden = true;
+    body.appendChild(empty);
+
+    var form = el("form", "prompt-picker-form");
+    form.id = host.id + "-form";
+    form.noValidate = true;
+    form.hidden = true;
+    body.appendChild(form);
+
+    var status = el("p", "prompt-picker-status");
+    status.id = host.id + "-status";
+    status.setAttribute("role", "status");
+    body.appendChild(status);
+
+    var manageBtn = el("button", "prompt-picker-manage");
+    manageBtn.type = "button";
+    manageBtn.innerHTML = icon("settings") + " Manage prompts";
+    manageBtn.addEventListener("click", openManager);
+    body.appendChild(manageBtn);
+
+    host.appendChild(body);
+
+    function kinds() {
+      return window.PromptLibrary.KINDS.filter(function (kind) {
+        return !!targets[kind];
+      });
+    }
+
+    function setStatus(text, isError) {
+      status.textContent = text || "";
+      status.classList.toggle("prompt-picker-status-error", !!isError);
+    }
+
+    // ── Prompt list ──────────────────────────────────────────────────
+
+    function refresh() {
+      var previous = select.value;
+      select.innerHTML = "";
+      var placeholder = el("option", null, "Choose a prompt…");
+      placeholder.value = "";
+      select.appendChild(placeholder);
+
+      var count = 0;
+      kinds().forEach(function (kind) {
+        var prompts = window.PromptLibrary.list({ kind: kind });
+        if (prompts.length === 0) return;
+        var group = el("optgroup");
+        group.label = KIND_GROUP_LABELS[kind];
+        prompts.forEach(function (prompt) {
+          var option = el("option", null, prompt.title);
+          option.value = prompt.id;
+          group.appendChild(option);
+        });
+        select.appendChild(group);
+        count += prompts.length;
+      });
+
+      chooseRow.hidden = count === 0;
+      empty.hidden = count !== 0;
+      empty.textContent =
+        kinds().length === 1 && kinds()[0] === "user"
+          ? "No saved user prompts yet."
+          : "No saved prompts yet.";
+
+      if (previous && window.PromptLibrary.get(previous)) {
+        select.value = previous;
+      } else if (chosen) {
+        showForm(null);
+      }
+    }
+
+    // ── Variables form ───────────────────────────────────────────────
+
+    function showForm(prompt) {
+      chosen = prompt;
+      form.innerHTML = "";
+      form.hidden = !prompt;
+      if (!prompt) {
+        variables = [];
+        return;
+      }
+      variables = window.PromptLibrary.variablesOf(prompt);
+
+      var fieldset = el("fieldset", "prompt-picker-fields");
+      fieldset.appendChild(el("legend", null, "Fill in “" + prompt.title + "”"));
+      if (variables.length === 0) {
+        fieldset.appendChild(el("p", "prompt-picker-hint", "This prompt has nothing to fill in."));
+      }
+      variables.forEach(function (variable, i) {
+        var id = host.id + "-var-" + i;
+        var field = el("div", "prompt-picker-field");
+        var label = el("label", null, variable.label);
+        label.htmlFor = id;
+        var input = el("textarea");
+        input.id = id;
+        input.rows = 2;
+        input.dataset.variable = variable.name;
+        var hint = el("p", "prompt-picker-hint");
+        hint.id = id + "-hint";
+        if (variable.defaultValue === null) {
+          input.setAttribute("aria-required", "true");
+          hint.textContent = "Required.";
+        } else if (variable.defaultValue) {
+          hint.textContent = "Optional. Leave blank for “" + variable.defaultValue + "”.";
+        } else {
+          hint.textContent = "Optional.";
+        }
+        input.setAttribute("aria-describedby", hint.id);
+        input.addEventListener("input", function () {
+          input.removeAttribute("aria-invalid");
+        });
+        field.appendChild(label);
+        field.appendChild(input);
+        field.appendChild(hint);
+        fieldset.appendChild(field);
+      });
+      form.appendChild(fieldset);
+
+      var submit = el("button", "prompt-picker-apply");
+      submit.type = "submit";
+      submit.textContent = APPLY_LABELS[prompt.kind];
+      form.appendChild(submit);
+    }
+
+    function readValues() {
+      var values = {};
+      var missing = [];
+      Array.prototype.forEach.call(form.querySelectorAll("textarea"), function (input, i) {
+        var variable = variables[i];
+        values[variable.name] = input.value;
+        var blank = input.value.trim() === "";
+        if (blank && variable.defaultValue === null) {
+          input.setAttribute("aria-invalid", "true");
+          missing.push({ input: input, label: variable.label });
+        } else {
+          input.removeAttribute("aria-invalid");
+        }
+      });
+      return { values: values, missing: missing };
+    }
+
+    function apply(event) {
+      event.preventDefault();
+      if (!chosen) return;
+      var read = readValues();
+      if (read.missing.length > 0) {
+        setStatus(
+          "Fill in " + read.missing.map(function (m) { return m.label; }).join(", ") + ".",
+          true
+        );
+        read.missing[0].input.focus();
+        return;
+      }
+      var prompt = chosen;
+      var target = targets[prompt.kind];
+      if (!target) return;
+      var text = window.PromptLibrary.render(prompt, read.values);
+      putText(target, text, prompt.kind);
+      if (onApply) onApply(prompt, text);
+      setStatus(
+        prompt.kind === "system"
+          ? "“" + prompt.title + "” is now the system prompt."
+          : "“" + prompt.title + "” inserted into your message."
+      );
+      logInfo("Prompt applied:", prompt.title, "in", host.id);
+      select.value = "";
+      showForm(null);
+    }
+
+    select.addEventListener("change", function () {
+      setStatus("");
+      showForm(select.value ? window.PromptLibrary.get(select.value) : null);
+    });
+    form.addEventListener("submit", apply);
+    window.addEventListener(window.PromptLibrary.CHANGE_EVENT, refresh);
+
+    function setOptions(next) {
+      targets = next.targets || {};
+      onApply = typeof next.onApply === "function" ? next.onApply : null;
+      manageBtn.hidden = next.manage === false;
+      refresh();
+    }
+
+    function detach() {
+      window.removeEventListener(window.PromptLibrary.CHANGE_EVENT, refresh);
+      if (pickers[host.id] === picker) delete pickers[host.id];
+    }
+
+    var picker = { host: host, refresh: refresh, setOptions: setOptions, detach: detach };
+    pickers[host.id] = picker;
+    setOptions(opts);
+    window.PromptLibrary.ready().then(refresh);
+    logDebug("Picker attached:", host.id);
+    return picker;
+  }
+
+  // ========================================================================
+  // SET UP MANAGER
+  // ========================================================================
+
+  var m = {};
+  var editingId = null;
+  var editorOpener = null;
+
+  function cacheManager() {
+    m = {
+      section: document.getElementById(SETUP_SECTION_ID),
+      newBtn: document.getElementById("setup-prompts-new"),
+      exportBtn: document.getElementById("setup-prompts-export"),
+      importInput: document.getElementById("setup-prompts-import"),
+      status: document.getElementById("setup-prompts-status"),
+      editor: document.getElementById("setup-prompts-editor"),
+      editorHeading: document.getElementById("setup-prompts-editor-heading"),
+      editorError: document.getElementById("setup-prompts-editor-error"),
+      title: document.getElementById("setup-prompts-title"),
+      tags: document.getElementById("setup-prompts-tags"),
+      text: document.getElementById("setup-prompts-text"),
+      variables: document.getElementById("setup-prompts-variables"),
+      note: document.getElementById("setup-prompts-note"),
+      cancelBtn: document.getElementById("setup-prompts-cancel"),
+      history: document.getElementById("setup-prompts-history"),
+      versions: document.getElementById("setup-prompts-versions"),
+      search: document.getElementById("setup-prompts-search"),
+      kindFilter: document.getElementById("setup-prompts-kind-filter"),
+      tagFilter: document.getElementById("setup-prompts-tag-filter"),
+      count: document.getElementById("setup-prompts-count"),
+      list: document.getElementById("setup-prompts-list"),
+    };
+  }
+
+  function setManagerStatus(text, isError) {
+    if (!m.status) return;
+    m.status.textContent = text || "";
+    m.status.classList.toggle("setup-prompts-status-error", !!isError);
+  }
+
+  function editorKind() {
+    var checked = m.editor.querySelector('input[name="setup-prompts-kind"]:checked');
+    return checked ? checked.value : "";
+  }
+
+  // ── Filters and list ───────────────────────────────────────────────
+
+  function renderTagFilter() {
+    var current = m.tagFilter.value;
+    m.tagFilter.innerHTML = "";
+    var anyTag = el("option", null, "All tags");
+    anyTag.value = "";
+    m.tagFilter.appendChild(anyTag);
+    window.PromptLibrary.allTags().forEach(function (tag) {
+      var option = el("option", null, tag);
+      option.value = tag;
+      m.tagFilter.appendChild(option);
+    });
+    m.tagFilter.value = window.PromptLibrary.allTags().indexOf(current) !== -1 ? current : "";
+  }
+
+  function renderItem(prompt) {
+    var PL = window.PromptLibrary;
+    var li = el("li", "setup-prompts-item");
+
+    li.appendChild(el("h3", "setup-prompts-item-title", prompt.title));
+
+    var latest = prompt.versions[prompt.versions.length - 1];
+    var meta = [KIND_LABELS[prompt.kind]];
+    if (prompt.builtIn) meta.push("Built-in");
+    else meta.push("Version " + latest.version);
+    if (prompt.tags.length > 0) meta.push("Tags: " + prompt.tags.join(", "));
+    var variables = PL.variablesOf(prompt);
+    if (variables.length > 0) {
+      meta.push(
+        "Fill in: " +
+          variables.map(function (v) { return v.label; }).join(", ")
+      );
+    }
+    li.appendChild(el("p", "setup-prompts-item-meta", meta.join(" · ")));
+    li.appendChild(el("p", "setup-prompts-item-excerpt", excerpt(PL.currentText(prompt))));
+
+    var actions = el("div", "setup-prompts-item-actions");
+    if (!prompt.builtIn) {
+      actions.appendChild(
+        actionButton("pencil", "Edit", prompt.title, function (event) {
+          openEditor(prompt.id, event.currentTarget);
+        })
+      );
+    }
+    actions.appendChild(
+      actionButton("clipboard", "Duplicate", prompt.title, function (event) {
+        duplicatePrompt(prompt, event.currentTarget);
+      })
+    );
+    if (!prompt.builtIn) {
+      actions.appendChild(
+        actionButton("download", "Export", prompt.title, function () {
+          downloadJSON(PL.exportCollection([prompt.id]), fileSlug(prompt.title) + ".json");
+          setManagerStatus("Exported “" + prompt.title + "”.");
+        })
+      );
+      actions.appendChild(
+        actionButton("trash", "Delete", prompt.title, function () {
+          deletePrompt(prompt);
+        })
+      );
+    }
+    li.appendChild(actions);
+    return li;
+  }
+
+  function renderList() {
+    var PL = window.PromptLibrary;
+    var prompts = PL.list({
+      kind: m.kindFilter.value,
+      tag: m.tagFilter.value,
+      query: m.search.value,
+    });
+    var total = PL.list().length;
+
+    m.list.innerHTML = "";
+    prompts.forEach(function (prompt) {
+      m.list.appendChild(renderItem(prompt));
+    });
+    m.count.textContent =
+      prompts.length === total
+        ? plural(total, "prompt", "prompts") + "."
+        : "Showing " + prompts.length + " of " + plural(total, "prompt", "prompts") + ".";
+
+    if (typeof window.refreshIcons === "function") window.refreshIcons(m.list);
+  }
+
+  function renderManager() {
+    renderTagFilter();
+    renderList();
+  }
+
+  // ── Editor ─────────────────────────────────────────────────────────
+
+  function describeVariables() {
+    var variables = window.PromptLibrary.variablesOf(m.text.value);
+    m.variables.textContent =
+      variables.length === 0
+        ? "No blanks yet. Write {{name}} where the prompt needs filling in, or {{name|default}} to give it a default."
+        : "Filled in when used: " +
+          variables.map(function (v) { return v.label; }).join(", ") + ".";
+  }
+
+  function showEditorError(text, field) {
+    m.editorError.textContent = text || "";
+    m.editorError.hidden = !text;
+    [m.title, m.text].forEach(function (input) {
+      if (input === field) input.setAttribute("aria-invalid", "true");
+      else input.removeAttribute("aria-invalid");
+    });
+    if (field) field.focus();
+  }
+
+  function renderVersions(prompt) {
+    m.versions.innerHTML = "";
+    var earlier = prompt ? prompt.versions.slice(0, -1).reverse() : [];
+    m.history.hidden = earlier.length === 0;
+    earlier.forEach(function (v) {
+      var li = el("li", "setup-prompts-version");
+      var label = "Version " + v.version;
+      var when = formatDate(v.savedAt);
+      var summary = label + (when ? ", saved " + when : "") + (v.note ? " — " + v.note : "");
+      li.appendChild(el("p", "setup-prompts-version-summary", summary));
+      li.appendChild(el("p", "setup-prompts-item-excerpt", excerpt(v.text)));
+      li.appendChild(
+        actionButton("undo", "Restore", label, function () {
+          restoreVersion(prompt, v.version);
+        })
+      );
+      m.versions.appendChild(li);
+    });
+    if (typeof window.refreshIcons === "function") window.refreshIcons(m.versions);
+  }
+
+  function openEditor(id, opener) {
+    var prompt = id ? window.PromptLibrary.get(id) : null;
+    editingId = prompt ? prompt.id : null;
+    editorOpener = opener || m.newBtn;
+
+    m.editorHeading.textContent = prompt ? "Edit “" + prompt.title + "”" : "New prompt";
+    m.title.value = prompt ? prompt.title : "";
+    m.tags.value = prompt ? prompt.tags.join(", ") : "";
+    m.text.value = prompt ? window.PromptLibrary.currentText(prompt) : "";
+    m.note.value = "";
+    var kind = prompt ? prompt.kind : "system";
+    Array.prototype.forEach.call(
+      m.editor.querySelectorAll('input[name="setup-prompts-kind"]'),
+      function (radio) {
+        radio.checked = radio.value === kind;
+      }
+    );
+    showEditorError("");
+    describeVariables();
+    renderVersions(prompt);
+
+    m.editor.hidden = false;
+    m.editorHeading.focus();
+  }
+
+  function closeEditor() {
+    m.editor.hidden = true;
+    editingId = null;
+    var opener = editorOpener;
+    editorOpener = null;
+    // The opener may have been re-rendered away; New is always there.
+    if (opener && document.body.contains(opener)) opener.focus();
+    else if (m.newBtn) m.newBtn.focus();
+  }
+
+  function saveEditor(event) {
+    event.preventDefault();
+    var result = window.PromptLibrary.save({
+      id: editingId,
+      title: m.title.value,
+      kind: editorKind(),
+      tags: m.tags.value,
+      text: m.text.value,
+      note: m.note.value,
+    });
+    if (!result.ok) {
+      var field = !m.title.value.trim() ? m.title : !m.text.value.trim() ? m.text : null;
+      showEditorError(result.error, field);
+      return;
+    }
+    var latest = result.prompt.versions[result.prompt.versions.length - 1];
+    setManagerStatus(
+      "Saved “" + result.prompt.title + "” (version " + latest.version + ")."
+    );
+    closeEditor();
+  }
+
+  // ── Item actions ───────────────────────────────────────────────────
+
+  function duplicatePrompt(prompt, opener) {
+    var result = window.PromptLibrary.duplicate(prompt.id);
+    if (!result.ok) {
+      setManagerStatus(result.error, true);
+      return;
+    }
+    setManagerStatus("Made a copy of “" + prompt.title + "” for you to edit.");
+    openEditor(result.prompt.id, opener);
+  }
+
+  function deletePrompt(prompt) {
+    confirmAsync(
+      "Delete “" + prompt.title + "” and its earlier versions from your prompt library?"
+    ).then(function (ok) {
+      if (!ok) return;
+      if (!window.PromptLibrary.remove(prompt.id)) {
+        setManagerStatus("“" + prompt.title + "” could not be deleted.", true);
+        return;
+      }
+      if (editingId === prompt.id) m.editor.hidden = true;
+      setManagerStatus("Deleted “" + prompt.title + "”.");
+      // The button that had focus is gone.
+      if (m.newBtn) m.newBtn.focus();
+    });
+  }
+
+  function restoreVersion(prompt, version) {
+    var result = window.PromptLibrary.restoreVersion(prompt.id, version);
+    if (!result.ok) {
+      showEditorError(result.error);
+      return;
+    }
+    var opener = editorOpener;
+    openEditor(prompt.id, opener);
+    setManagerStatus(
+      "Restored version " + version + " of “" + prompt.title + "” as the current version."
+    );
+  }
+
+  // ── Import and export ──────────────────────────────────────────────
+
+  function importReport(result) {
+    var parts = [];
+    if (result.added) parts.push("added " + plural(result.added, "prompt", "prompts"));
+    if (result.updated) parts.push("updated " + plural(result.updated, "prompt", "prompts"));
+    if (result.unchanged) parts.push(plural(result.unchanged, "prompt was", "prompts were") + " already in your library");
+    var text = parts.length > 0 ? "Import finished: " + parts.join(", ") + "." : "Nothing was imported.";
+    if (result.skipped.length > 0) {
+      text +=
+        " Skipped " +
+        result.skipped
+          .map(function (s) {
+            return "prompt " + s.position + (s.title ? " (" + s.title + ")" : "") + ": " + s.reason;
+          })
+          .join("; ") +
+        ".";
+    }
+    return text;
+  }
+
+  function importFile(file) {
+    if (!file) return;
+    file
+      .text()
+      .then(function (text) {
+        var data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          setManagerStatus(file.name + " is not a JSON file, so nothing was imported.", true);
+          return;
+        }
+        var result = window.PromptLibrary.importCollection(data);
+        if (!result.ok) {
+          setManagerStatus(result.error, true);
+          return;
+        }
+        setManagerStatus(importReport(result), result.skipped.length > 0);
+      })
+      .catch(function (err) {
+        logError("Import failed:", err);
+        setManagerStatus(file.name + " could not be read.", true);
+      })
+      .then(function () {
+        m.importInput.value = "";
+      });
+  }
+
+  function exportAll() {
+    var collection = window.PromptLibrary.exportCollection();
+    if (collection.prompts.length === 0) {
+      setManagerStatus("You have no prompts of your own to export yet.", true);
+      return;
+    }
+    var date = collection.exported.slice(0, 10);
+    downloadJSON(collection, "prompt-library-" + date + ".json");
+    setManagerStatus("Exported " + plural(collection.prompts.length, "prompt", "prompts") + ".");
+  }
+
+  // ── Wiring ─────────────────────────────────────────────────────────
+
+  function initManager() {
+    if (managerWired || !library()) return;
+    cacheManager();
+    if (!m.section || !m.list || !m.editor) return;
+
+    var searchTimer = null;
+    m.newBtn.addEventListener("click", function () {
+      openEditor(null, m.newBtn);
+    });
+    m.exportBtn.addEventListener("click", exportAll);
+    m.importInput.addEventListener("change", function () {
+      importFile(m.importInput.files && m.importInput.files[0]);
+    });
+    m.editor.addEventListener("submit", saveEditor);
+    m.cancelBtn.addEventListener("click", closeEditor);
+    m.text.addEventListener("input", describeVariables);
+    m.search.addEventListener("input", function () {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(renderList, 250);
+    });
+    m.kindFilter.addEventListener("change", renderList);
+    m.tagFilter.addEventListener("change", renderList);
+    window.addEventListener(window.PromptLibrary.CHANGE_EVENT, renderManager);
+
+    managerWired = true;
+    renderManager();
+    window.PromptLibrary.ready();
+    logInfo("Prompt library manager wired");
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initManager);
+  } else {
+    initManager();
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  return {
+    attach: attach,
+    openManager: openManager,
+    initManager: initManager,
+    // Pure helper (regression suite)
+    importReport: importReport,
+  };
+})();
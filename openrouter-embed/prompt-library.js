@@ -0,0 +1,632 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PROMPT LIBRARY — The user's own system and user prompts
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * One store of reusable prompts for every tool that sends text to a
+ * model: Chat, Local Chat, Image Describer and the MathPix AI
+ * enhancer. A prompt has a title, a kind ("system" or "user"), tags,
+ * and a list of versions; editing the text adds a version rather than
+ * overwriting, so an earlier wording can be restored.
+ *
+ * Prompt text may contain {{variables}}. The syntax, the variable list
+ * and the filling all come from EmbedPromptLoader
+ * (openrouter-embed-prompt-loader.js), which also fetches the built-in
+ * prompts from presets/system-prompts.json. Built-ins are read-only and
+ * never stored; duplicate one to change it.
+ *
+ * Own prompts live in localStorage under STORAGE_KEY. Collections are
+ * exchanged as JSON ({ tool: "prompt-library", formatVersion, prompts }).
+ * Import also accepts the presets file's own shape
+ * ({ prompts: [{ label, text }] }), read as system prompts.
+ *
+ * Public API:
+ *   ready()                                → Promise<void> (built-ins loaded)
+ *   list({ kind, tag, query })             → Array<Prompt>, built-ins included
+ *   get(id)                                → Prompt | null
+ *   save({ id, title, kind, tags, text, note })
+ *                                          → { ok, prompt } | { ok: false, error }
+ *   duplicate(id)                          → { ok, prompt } | { ok: false, error }
+ *   restoreVersion(id, version)            → { ok, prompt } | { ok: false, error }
+ *   remove(id)                             → boolean
+ *   allTags()                              → Array<string>
+ *   variablesOf(prompt | text)             → Array<{ name, label, defaultValue }>
+ *   render(prompt, values)                 → string
+ *   exportCollection(ids)                  → collection object (own prompts)
+ *   importCollection(data)                 → { ok, added, updated, unchanged, skipped }
+ *   CHANGE_EVENT                           — window CustomEvent fired on every change
+ *
+ * Pure helpers, exposed for the regression suite:
+ *   normaliseTags, currentText, addVersion, filterPrompts,
+ *   buildCollection, mergeCollection
+ *
+ * Architecture: IIFE with window.PromptLibrary global.
+ * No NPM — pure browser JS loaded via <script> tag.
+ *
+ * VERSION: 1.0.0
+ * DATE: 19 October 2026
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+window.PromptLibrary = (function () {
+  "use strict";
+
+  // ========================================================================
+  // LOGGING CONFIGURATION
+  // ========================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error("[PromptLibrary] " + message, ...args);
+  }
+
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn("[PromptLibrary] " + message, ...args);
+  }
+
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log("[PromptLibrary] " + message, ...args);
+  }
+
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log("[PromptLibrary] " + message, ...args);
+  }
+
+  // ========================================================================
+  // CONSTANTS
+  // ========================================================================
+
+  const STORAGE_KEY = "prompt-library";
+  const CHANGE_EVENT = "promptlibrary:change";
+  const KINDS = ["system", "user"];
+
+  // Bump when the collection shape changes in a way older readers cannot
+  // follow; importCollection refuses anything newer than this.
+  const FORMAT_VERSION = 1;
+  const COLLECTION_TOOL = "prompt-library";
+
+  // Oldest versions go first once a prompt has this many.
+  const MAX_VERSIONS = 20;
+
+  const PRESETS_BASE_PATH = "presets/";
+  const PRESETS_FILE = "system-prompts.json";
+  const PRESETS_GLOBAL = "PROMPT_LIBRARY_PRESETS";
+  const BUILT_IN_PREFIX = "builtin-";
+  const BUILT_IN_TAG = "preset";
+
+  // Templates, and the built-ins' fetch, go through our own loader so the
+  // shared window.embedPromptLoader keeps whatever base path its caller set.
+  const loader = window.EmbedPromptLoader
+    ? new window.EmbedPromptLoader().configure({ basePath: PRESETS_BASE_PATH })
+    : null;
+
+  /** @type {Array<Object>} read-only prompts from presets/system-prompts.json */
+  let builtIns = [];
+  let readyPromise = null;
+
+  // ========================================================================
+  // PURE HELPERS
+  // ========================================================================
+
+  /**
+   * Tags as typed ("Marking, feedback ,marking") → ["feedback", "marking"].
+   * @param {string|Array<string>} tags
+   * @returns {Array<string>} lower-case, trimmed, unique, sorted
+   */
+  function normaliseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+    const seen = {};
+    list.forEach(function (tag) {
+      const clean = String(tag).trim().toLowerCase().replace(/\s+/g, " ");
+      if (clean) seen[clean] = true;
+    });
+    return Object.keys(seen).sort();
+  }
+
+  /** The text of a prompt's newest version ("" when it has none). */
+  function currentText(prompt) {
+    const versions = prompt && prompt.versions;
+    if (!Array.isArray(versions) || versions.length === 0) return "";
+    return versions[versions.length - 1].text;
+  }
+
+  /**
+   * A copy of the prompt with text as its newest version. Same text as now
+   * → the prompt is returned unchanged. Numbers keep counting after the
+   * oldest versions are dropped at MAX_VERSIONS.
+   * @param {Object} prompt
+   * @param {string} text
+   * @param {{ note?: string, now: string }} opts
+   * @returns {Object}
+   */
+  function addVersion(prompt, text, opts) {
+    const versions = Array.isArray(prompt.versions) ? prompt.versions.slice() : [];
+    if (versions.length > 0 && currentText(prompt) === text) return prompt;
+    const last = versions[versions.length - 1];
+    versions.push({
+      version: last ? last.version + 1 : 1,
+      text: text,
+      note: (opts.note || "").trim(),
+      savedAt: opts.now,
+    });
+    return Object.assign({}, prompt, {
+      versions: versions.slice(-MAX_VERSIONS),
+      updated: opts.now,
+    });
+  }
+
+  /**
+   * Filter prompts for a picker or the manager. Every word of the query
+   * must appear in the title, the tags or the current text.
+   * @param {Array<Object>} prompts
+   * @param {{ kind?: string, tag?: string, query?: string }} [filters]
+   * @returns {Array<Object>} sorted by title
+   */
+  function filterPrompts(prompts, filters) {
+    const f = filters || {};
+    const terms = String(f.query || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    return prompts
+      .filter(function (prompt) {
+        if (f.kind && prompt.kind !== f.kind) return false;
+        if (f.tag && prompt.tags.indexOf(f.tag) === -1) return false;
+        if (terms.length === 0) return true;
+        const haystack = [prompt.title, prompt.tags.join(" "), currentText(prompt)]
+          .join("\n")
+          .toLowerCase();
+        return terms.every(function (term) {
+          return haystack.indexOf(term) !== -1;
+        });
+      })
+      .sort(function (a, b) {
+        return a.title.localeCompare(b.title);
+      });
+  }
+
+  /**
+   * The exportable form of some own prompts.
+   * @param {Array<Object>} prompts
+   * @param {string} now ISO timestamp
+   * @returns {Object}
+   */
+  function buildCollection(prompts, now) {
+    return {
+      tool: COLLECTION_TOOL,
+      formatVersion: FORMAT_VERSION,
+      exported: now,
+      prompts: prompts.map(function (prompt) {
+        return {
+          id: prompt.id,
+          title: prompt.title,
+          kind: prompt.kind,
+          tags: prompt.tags.slice(),
+          created: prompt.created,
+          updated: prompt.updated,
+          versions: prompt.versions.map(function (v) {
+            return { version: v.version, text: v.text, note: v.note, savedAt: v.savedAt };
+          }),
+        };
+      }),
+    };
+  }
+
+  /** One imported entry as a prompt record, or { reason } when unusable. */
+  function importEntry(entry, now) {
+    if (!entry || typeof entry !== "object") return { reason: "not a prompt" };
+    // The presets file's { label, text } shape.
+    if (!Array.isArray(entry.versions) && typeof entry.text === "string") {
+      entry = {
+        title: entry.title || entry.label,
+        kind: entry.kind || "system",
+        tags: entry.tags,
+        versions: [{ version: 1, text: entry.text, note: "", savedAt: now }],
+      };
+    }
+    const title = typeof entry.title === "string" ? entry.title.trim() : "";
+    if (!title) return { reason: "no title" };
+    if (KINDS.indexOf(entry.kind) === -1) return { reason: "unknown kind" };
+    const versions = (Array.isArray(entry.versions) ? entry.versions : [])
+      .filter(function (v) {
+        return v && typeof v.text === "string" && v.text.trim() !== "";
+      })
+      .map(function (v, i) {
+        return {
+          version: Number.isInteger(v.version) && v.version > 0 ? v.version : i + 1,
+          text: v.text,
+          note: typeof v.note === "string" ? v.note : "",
+          savedAt: typeof v.savedAt === "string" ? v.savedAt : now,
+        };
+      });
+    if (versions.length === 0) return { reason: "no text" };
+    return {
+      prompt: {
+        id: typeof entry.id === "string" ? entry.id : "",
+        title: title,
+        kind: entry.kind,
+        tags: normaliseTags(entry.tags),
+        created: typeof entry.created === "string" ? entry.created : now,
+        updated: typeof entry.updated === "string" ? entry.updated : now,
+        versions: versions.slice(-MAX_VERSIONS),
+      },
+    };
+  }
+
+  /**
+   * Merge an imported collection into the own prompts. A prompt whose id is
+   * already in the library gains the versions it does not have yet (and any
+   * new tags); anything else is added, under a fresh id if its own is
+   * missing or taken by a built-in.
+   * @param {Array<Object>} existing own prompts
+   * @param {*} data parsed JSON
+   * @param {{ now: string, makeId: function(): string }} opts
+   * @returns {{ ok: true, prompts, added, updated, unchanged, skipped }
+   *          | { ok: false, error: string }}
+   */
+  function mergeCollection(existing, data, opts) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.prompts)) {
+      return { ok: false, error: "This file is not a prompt collection." };
+    }
+    if (data.tool !== undefined && data.tool !== COLLECTION_TOOL) {
+      return { ok: false, error: "This file was exported from another tool, not the prompt library." };
+    }
+    const formatVersion = data.formatVersion === undefined ? 1 : data.formatVersion;
+    if (!Number.isInteger(formatVersion) || formatVersion > FORMAT_VERSION) {
+      return {
+        ok: false,
+        error: "This collection was saved by a newer version of the prompt library and cannot be read here.",
+      };
+    }
+
+    const prompts = existing.slice();
+    const report = { ok: true, added: 0, updated: 0, unchanged: 0, skipped: [] };
+
+    data.prompts.forEach(function (entry, i) {
+      const result = importEntry(entry, opts.now);
+      if (!result.prompt) {
+        report.skipped.push({
+          position: i + 1,
+          title: entry && (entry.title || entry.label) ? String(entry.title || entry.label) : "",
+          reason: result.reason,
+        });
+        return;
+      }
+      const incoming = result.prompt;
+      const at = incoming.id
+        ? prompts.findIndex(function (p) {
+            return p.id === incoming.id;
+          })
+        : -1;
+
+      if (at === -1) {
+        if (!incoming.id || incoming.id.indexOf(BUILT_IN_PREFIX) === 0) {
+          incoming.id = opts.makeId();
+        }
+        prompts.push(incoming);
+        report.added++;
+        return;
+      }
+
+      let merged = prompts[at];
+      const known = merged.versions.map(function (v) {
+        return v.text;
+      });
+      incoming.versions.forEach(function (v) {
+        if (known.indexOf(v.text) !== -1) return;
+        merged = addVersion(merged, v.text, { note: v.note, now: opts.now });
+        known.push(v.text);
+      });
+      const tags = normaliseTags(merged.tags.concat(incoming.tags));
+      if (merged === prompts[at] && tags.length === merged.tags.length) {
+        report.unchanged++;
+        return;
+      }
+      prompts[at] = Object.assign({}, merged, { tags: tags, updated: opts.now });
+      report.updated++;
+    });
+
+    report.prompts = prompts;
+    return report;
+  }
+
+  // ========================================================================
+  // STORAGE
+  // ========================================================================
+
+  function loadOwn() {
+    try {
+      const json = localStorage.getItem(STORAGE_KEY);
+      if (!json) return [];
+      const data = JSON.parse(json);
+      return data && Array.isArray(data.prompts) ? data.prompts : [];
+    } catch (e) {
+      logWarn("Failed to load prompt library:", e.message);
+      return [];
+    }
+  }
+
+  function storeOwn(prompts) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ formatVersion: FORMAT_VERSION, prompts: prompts })
+      );
+      return true;
+    } catch (e) {
+      logWarn("Failed to save prompt library:", e.message);
+      return false;
+    }
+  }
+
+  function notifyChange(detail) {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: detail }));
+  }
+
+  function makeId() {
+    return "prompt-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+  }
+
+  function nowIso() {
+    return new Date().toISOString();
+  }
+
+  // ========================================================================
+  // BUILT-IN PROMPTS
+  // ========================================================================
+
+  function slug(text) {
+    return (
+      String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "prompt"
+    );
+  }
+
+  function builtInFrom(entry) {
+    return {
+      id: BUILT_IN_PREFIX + slug(entry.label),
+      title: entry.label,
+      kind: "system",
+      tags: [BUILT_IN_TAG],
+      builtIn: true,
+      created: null,
+      updated: null,
+      versions: [{ version: 1, text: entry.text, note: "", savedAt: null }],
+    };
+  }
+
+  /**
+   * Fetch the built-in prompts once. Resolves either way: without them the
+   * library still holds the user's own prompts.
+   * @returns {Promise<void>}
+   */
+  function ready() {
+    if (readyPromise) return readyPromise;
+    if (!loader) {
+      logWarn("EmbedPromptLoader not loaded — built-in prompts unavailable.");
+      readyPromise = Promise.resolve();
+      return readyPromise;
+    }
+    readyPromise = loader.load(PRESETS_GLOBAL, PRESETS_FILE).then(function (text) {
+      if (text === null) return;
+      try {
+        const data = JSON.parse(text);
+        builtIns = (Array.isArray(data.prompts) ? data.prompts : [])
+          .filter(function (entry) {
+            return entry && typeof entry.label === "string" && typeof entry.text === "string";
+          })
+          .map(builtInFrom);
+        logInfo("Built-in prompts loaded:", builtIns.length);
+        notifyChange({ action: "builtins" });
+      } catch (e) {
+        logWarn("Built-in prompts could not be read:", e.message);
+      }
+    });
+    return readyPromise;
+  }
+
+  // ========================================================================
+  // PUBLIC OPERATIONS
+  // ========================================================================
+
+  function all() {
+    return loadOwn().concat(builtIns);
+  }
+
+  function list(filters) {
+    return filterPrompts(all(), filters);
+  }
+
+  function get(id) {
+    return (
+      all().find(function (prompt) {
+        return prompt.id === id;
+      }) || null
+    );
+  }
+
+  /**
+   * Create a prompt (no id) or change one. Changed text becomes a new
+   * version; title, kind and tags are updated in place.
+   */
+  function save(fields) {
+    const title = String(fields.title || "").trim();
+    const text = String(fields.text || "");
+    if (!title) return { ok: false, error: "Give the prompt a title." };
+    if (!text.trim()) return { ok: false, error: "Write the prompt text." };
+    if (KINDS.indexOf(fields.kind) === -1) return { ok: false, error: "Choose system or user prompt." };
+
+    const now = nowIso();
+    const own = loadOwn();
+    const at = fields.id
+      ? own.findIndex(function (p) {
+          return p.id === fields.id;
+        })
+      : -1;
+    if (fields.id && at === -1) {
+      return { ok: false, error: "That prompt is not in your library any more." };
+    }
+
+    const base =
+      at === -1
+        ? { id: makeId(), created: now, updated: now, versions: [] }
+        : own[at];
+    let prompt = addVersion(base, text, { note: fields.note, now: now });
+    prompt = Object.assign({}, prompt, {
+      title: title,
+      kind: fields.kind,
+      tags: normaliseTags(fields.tags),
+      updated: now,
+    });
+
+    if (at === -1) own.push(prompt);
+    else own[at] = prompt;
+    if (!storeOwn(own)) {
+      return { ok: false, error: "Your browser's storage is full, so the prompt was not saved." };
+    }
+    logInfo((at === -1 ? "Prompt created: " : "Prompt saved: ") + title);
+    notifyChange({ action: at === -1 ? "add" : "save", id: prompt.id });
+    return { ok: true, prompt: prompt };
+  }
+
+  /** An editable copy of any prompt, built-ins included. */
+  function duplicate(id) {
+    const source = get(id);
+    if (!source) return { ok: false, error: "That prompt is not in your library any more." };
+    return save({
+      title: source.title + " (copy)",
+      kind: source.kind,
+      tags: source.tags.filter(function (tag) {
+        return !source.builtIn || tag !== BUILT_IN_TAG;
+      }),
+      text: currentText(source),
+      note: "Copied from " + source.title,
+    });
+  }
+
+  /** Make an earlier version current again, as a new version. */
+  function restoreVersion(id, version) {
+    const prompt = get(id);
+    if (!prompt || prompt.builtIn) {
+      return { ok: false, error: "That prompt is not in your library any more." };
+    }
+    const old = prompt.versions.find(function (v) {
+      return v.version === version;
+    });
+    if (!old) return { ok: false, error: "That version is no longer kept." };
+    return save({
+      id: id,
+      title: prompt.title,
+      kind: prompt.kind,
+      tags: prompt.tags,
+      text: old.text,
+      note: "Restored version " + version,
+    });
+  }
+
+  function remove(id) {
+    const own = loadOwn();
+    const kept = own.filter(function (prompt) {
+      return prompt.id !== id;
+    });
+    if (kept.length === own.length || !storeOwn(kept)) return false;
+    logInfo("Prompt deleted:", id);
+    notifyChange({ action: "remove", id: id });
+    return true;
+  }
+
+  function allTags() {
+    return normaliseTags(
+      all().reduce(function (tags, prompt) {
+        return tags.concat(prompt.tags);
+      }, [])
+    );
+  }
+
+  /** The {{variables}} of a prompt's current text, or of some text. */
+  function variablesOf(promptOrText) {
+    const text = typeof promptOrText === "string" ? promptOrText : currentText(promptOrText);
+    return loader ? loader.extractVariables(text) : [];
+  }
+
+  /** The prompt's current text with its {{variables}} filled. */
+  function render(prompt, values) {
+    const text = currentText(prompt);
+    return loader ? loader.fill(text, values || {}) : text;
+  }
+
+  /**
+   * Own prompts as a collection; all of them when ids is omitted.
+   * @param {Array<string>} [ids]
+   */
+  function exportCollection(ids) {
+    const own = loadOwn().filter(function (prompt) {
+      return !ids || ids.indexOf(prompt.id) !== -1;
+    });
+    logDebug("Exporting prompts:", own.length);
+    return buildCollection(own, nowIso());
+  }
+
+  function importCollection(data) {
+    const result = mergeCollection(loadOwn(), data, { now: nowIso(), makeId: makeId });
+    if (!result.ok) return result;
+    if (result.added + result.updated > 0 && !storeOwn(result.prompts)) {
+      logError("Imported prompts could not be stored.");
+      return { ok: false, error: "Your browser's storage is full, so nothing was imported." };
+    }
+    logInfo("Prompts imported:", result.added, "added,", result.updated, "updated");
+    if (result.added + result.updated > 0) notifyChange({ action: "import" });
+    return {
+      ok: true,
+      added: result.added,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      skipped: result.skipped,
+    };
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  return {
+    CHANGE_EVENT: CHANGE_EVENT,
+    KINDS: KINDS,
+    FORMAT_VERSION: FORMAT_VERSION,
+    ready: ready,
+    list: list,
+    get: get,
+    save: save,
+    duplicate: duplicate,
+    restoreVersion: restoreVersion,
+    remove: remove,
+    allTags: allTags,
+    variablesOf: variablesOf,
+    render: render,
+    exportCollection: exportCollection,
+    importCollection: importCollection,
+    // Pure helpers (regression suite)
+    normaliseTags: normaliseTags,
+    currentText: currentText,
+    addVersion: addVersion,
+    filterPrompts: filterPrompts,
+    buildCollection: buildCollection,
+    mergeCollection: mergeCollection,
+  };
+})();
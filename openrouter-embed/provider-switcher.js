@@ -21,13 +21,15 @@
  *   ProviderSwitcher.setActive(id)            -> boolean (true on change)
  *   ProviderSwitcher.getKnown()               -> array of provider info objects
  *   ProviderSwitcher.isAvailable(id)          -> boolean
+ *   ProviderSwitcher.getOnDevice()            -> array of on-device provider info objects
+ *   ProviderSwitcher.isOnDevice(id)           -> boolean
  *   ProviderSwitcher.filterToActiveProvider(models)  -> array
  *
  * Events:
  *   window dispatches 'provider:changed' with detail { oldProvider, newProvider }
  *   on every successful setActive call AND on cross-tab storage events.
  *
- * @version 1.0.0 (Stage 3a, Task 3.1a)
+ * @version 1.1.0 (Local model server — on-device providers beside the switch)
  * @date 17 May 2026
  */
 
@@ -90,6 +92,12 @@
     { id: "azure-openai", label: "Microsoft Foundry" },
   ];
 
+  // Providers that run on the person's own machine. They are NOT switch
+  // choices: like the WebGPU locals, their models are listed beside whichever
+  // cloud provider is active, so setActive() still rejects these ids. They
+  // count as available once their address is stored (CREDENTIAL_KEYS below).
+  const ON_DEVICE_PROVIDERS = [{ id: "local-server", label: "Local server" }];
+
   // Local copy of the reserved-prefixes list. Mirrors the constant in
   // providers/_lookup.js. Duplicated here intentionally — this module must
   // work when the library (including EmbedProviderLookup) is absent.
@@ -101,6 +109,7 @@
     "azure-inference",
     "anthropic-foundry",
     "local",
+    "local-server",
   ];
 
   // localStorage credential keys, by provider id. Read-only — this module
@@ -113,6 +122,7 @@
     openrouter: "openrouter_api_key",
     "azure-openai": "foundryProxyUrl",
     "azure-responses": "foundryProxyUrl",
+    "local-server": "localServerUrl",
   };
 
   // Provider ids whose adapter carries a working built-in default, so they
@@ -390,6 +400,30 @@
       });
     }
 
+    /**
+     * List the on-device providers with the same shape as getKnown(). Kept
+     * apart from getKnown() so the Set Up radios never offer them as a switch.
+     *
+     * @returns {Array<{id: string, label: string, configured: boolean, available: boolean}>}
+     */
+    getOnDevice() {
+      return ON_DEVICE_PROVIDERS.map(({ id, label }) => {
+        const configured = this.isAvailable(id);
+        return { id, label, configured, available: configured };
+      });
+    }
+
+    /**
+     * Whether an id names an on-device provider (listed beside the active
+     * provider rather than switched to).
+     *
+     * @param {string} id - Provider id
+     * @returns {boolean}
+     */
+    isOnDevice(id) {
+      return ON_DEVICE_PROVIDERS.some((p) => p.id === id);
+    }
+
     /**
      * Check whether a provider is usable — i.e. it's a known provider that can
      * reach a live service right now, either because its adapter carries a
@@ -407,11 +441,14 @@
      * @example
      * ProviderSwitcher.isAvailable('openrouter')    // → true if api key set
      * ProviderSwitcher.isAvailable('azure-openai')  // → always true (built-in default proxy)
+     * ProviderSwitcher.isAvailable('local-server')  // → true if a server address is set
      * ProviderSwitcher.isAvailable('nonsense')      // → false (silent)
      */
     isAvailable(id) {
       if (typeof id !== "string") return false;
-      if (!KNOWN_PROVIDERS.some((p) => p.id === id)) return false;
+      if (!KNOWN_PROVIDERS.some((p) => p.id === id) && !this.isOnDevice(id)) {
+        return false;
+      }
 
       // A working built-in default means there is nothing to configure, so the
       // stored key is irrelevant here. Checked after the membership test above
@@ -15,8 +15,11 @@
  * - EmbedProviderRegistry class with register / get / has / unregister / list / clear
  * - Validation of registered providers (id, four wire methods, capabilities object)
  * - Singleton instance plus class globally exposed
+ * - Canonical tool-calling shapes (tool definition, tool call, tool-call and
+ *   tool-result messages) plus pure helpers at `window.EmbedToolSchema`
  *
- * @version 1.0.0 (Stage 1, Task 1.1)
+ * @version 1.1.0 (Tool calling — canonical tool schema and message shapes)
+ *          1.0.0 (Stage 1, Task 1.1)
  * @date 6 May 2026
  */
 
@@ -107,6 +110,245 @@
    * @property {ProviderCapabilities} capabilities  Provider-level capability flags (see typedef)
    */
 
+  // ============================================================================
+  // TOOL-CALLING CONTRACT
+  // ============================================================================
+  //
+  // The canonical tool shapes are the OpenAI chat-completions ones, because the
+  // canonical MESSAGE shapes already are: a provider whose wire format matches
+  // (OpenRouter, azure-openai v1) passes tool-bearing messages through, and a
+  // provider whose wire format differs (azure-responses) translates them in
+  // buildRequest, exactly as it already translates content parts.
+  //
+  // Providers that declare `capabilities.toolCalls: true` must:
+  //   - map `options.tools` / `options.tool_choice` (canonical, below) onto
+  //     their wire body, idempotently — buildRequest runs twice per streaming
+  //     request (once via core's buildOptions, once inside streamRequest), so
+  //     the second pass sees the FIRST pass's output and must leave it as is;
+  //   - accept assistant tool-call messages and tool-result messages in
+  //     `messages`;
+  //   - report the model's calls: streaming through `options.onToolCall(deltas,
+  //     raw)` with chat-completions style deltas (see accumulateToolCallDeltas),
+  //     non-streaming as `choices[0].message.tool_calls` on the parsed response.
+
+  /**
+   * @typedef {Object} ToolDefinition
+   *
+   * A tool offered to the model — flat, provider-neutral. Providers wrap it in
+   * their own wire shape.
+   *
+   * @property {string} name        Function name the model calls; [a-zA-Z0-9_-], max 64
+   * @property {string} description What the tool does and when to use it
+   * @property {Object} parameters  JSON Schema (type "object") for the arguments
+   */
+
+  /**
+   * @typedef {Object} ToolCall
+   *
+   * One call the model asked for, in the chat-completions shape. `arguments`
+   * is the model's JSON text, unparsed — it may be malformed, and parsing is
+   * the executor's job.
+   *
+   * @property {string} id                 Call id, echoed back on the tool result
+   * @property {"function"} type
+   * @property {{name: string, arguments: string}} function
+   */
+
+  /**
+   * @typedef {Object} AssistantToolCallMessage
+   *
+   * @property {"assistant"} role
+   * @property {string|null} content   Any text the model emitted alongside its calls
+   * @property {ToolCall[]}  tool_calls
+   */
+
+  /**
+   * @typedef {Object} ToolResultMessage
+   *
+   * @property {"tool"}  role
+   * @property {string}  tool_call_id  The ToolCall.id this answers
+   * @property {string}  content       The result as text (JSON for structured results)
+   */
+
+  /**
+   * Tool choice: "auto" (the model decides), "none" (offer no call), "required"
+   * (the model must call something), or `{ name }` to force one tool.
+   * @typedef {("auto"|"none"|"required"|{name: string})} ToolChoice
+   */
+
+  const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+  /**
+   * Check a ToolDefinition. Returns the problem as a sentence, or null.
+   *
+   * @param {*} tool
+   * @returns {string|null}
+   */
+  function validateToolDefinition(tool) {
+    if (!tool || typeof tool !== "object") return "Tool must be an object";
+    if (typeof tool.name !== "string" || !TOOL_NAME_PATTERN.test(tool.name)) {
+      return "Tool.name must be 1–64 letters, digits, underscores or hyphens";
+    }
+    if (typeof tool.description !== "string" || !tool.description.trim()) {
+      return `Tool.description must be a non-empty string (tool: '${tool.name}')`;
+    }
+    if (
+      !tool.parameters ||
+      typeof tool.parameters !== "object" ||
+      tool.parameters.type !== "object"
+    ) {
+      return `Tool.parameters must be a JSON Schema with type "object" (tool: '${tool.name}')`;
+    }
+    return null;
+  }
+
+  /**
+   * Map canonical tools to the chat-completions `tools` array. Idempotent: an
+   * entry already in wire shape (`{ type: "function", function: {...} }`)
+   * passes through, which is what the second buildRequest pass sees.
+   *
+   * @param {Array<ToolDefinition|Object>} tools
+   * @returns {Array<Object>}
+   */
+  function toChatCompletionsTools(tools) {
+    if (!Array.isArray(tools)) return [];
+    return tools
+      .filter((t) => t && typeof t === "object")
+      .map((t) => {
+        if (t.type === "function" && t.function && typeof t.function === "object") {
+          return t;
+        }
+        return {
+          type: "function",
+          function: {
+            name: t.name,
+            description: t.description,
+            parameters: t.parameters,
+          },
+        };
+      });
+  }
+
+  /**
+   * Map a canonical ToolChoice to the chat-completions `tool_choice` value.
+   * Idempotent for the wire shape. Returns undefined for anything unrecognised,
+   * so the caller can leave the field off and let the provider default apply.
+   *
+   * @param {ToolChoice|Object} choice
+   * @returns {string|Object|undefined}
+   */
+  function toChatCompletionsToolChoice(choice) {
+    if (choice === "auto" || choice === "none" || choice === "required") {
+      return choice;
+    }
+    if (choice && typeof choice === "object") {
+      if (choice.type === "function" && choice.function && choice.function.name) {
+        return choice;
+      }
+      if (typeof choice.name === "string" && choice.name) {
+        return { type: "function", function: { name: choice.name } };
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Fold one batch of streamed tool-call deltas into an accumulator.
+   *
+   * Chat-completions streams a call in pieces keyed by `index`: the first piece
+   * carries the id and name, later pieces append fragments of `arguments`. A
+   * provider that receives whole calls (azure-responses) sends each as a single
+   * delta with its own index, which folds the same way.
+   *
+   * @param {Array<ToolCall>} acc - Mutated and returned; pass [] to start
+   * @param {Array<Object>} deltas - `delta.tool_calls` from one chunk
+   * @returns {Array<ToolCall>}
+   */
+  function accumulateToolCallDeltas(acc, deltas) {
+    const list = Array.isArray(acc) ? acc : [];
+    if (!Array.isArray(deltas)) return list;
+    for (const d of deltas) {
+      if (!d || typeof d !== "object") continue;
+      const index = typeof d.index === "number" ? d.index : list.length;
+      if (!list[index]) {
+        list[index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+      }
+      const call = list[index];
+      if (typeof d.id === "string" && d.id) call.id = d.id;
+      const fn = d.function || {};
+      if (typeof fn.name === "string" && fn.name) call.function.name = fn.name;
+      if (typeof fn.arguments === "string") call.function.arguments += fn.arguments;
+    }
+    return list;
+  }
+
+  /**
+   * Tidy accumulated or parsed calls into complete ToolCalls: drop gaps and
+   * nameless entries, give an id to any call that arrived without one, and
+   * default empty arguments to "{}".
+   *
+   * @param {Array<Object>} calls
+   * @returns {Array<ToolCall>}
+   */
+  function normaliseToolCalls(calls) {
+    if (!Array.isArray(calls)) return [];
+    const out = [];
+    calls.forEach((c, i) => {
+      const fn = c && c.function;
+      if (!fn || typeof fn.name !== "string" || !fn.name) return;
+      out.push({
+        id: typeof c.id === "string" && c.id ? c.id : `call_${i + 1}`,
+        type: "function",
+        function: {
+          name: fn.name,
+          arguments:
+            typeof fn.arguments === "string" && fn.arguments.trim()
+              ? fn.arguments
+              : "{}",
+        },
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Build the assistant message that records the model's calls in the thread.
+   *
+   * @param {string|null} content
+   * @param {Array<ToolCall>} toolCalls
+   * @returns {AssistantToolCallMessage}
+   */
+  function assistantToolCallMessage(content, toolCalls) {
+    return {
+      role: "assistant",
+      content: typeof content === "string" && content ? content : null,
+      tool_calls: normaliseToolCalls(toolCalls),
+    };
+  }
+
+  /**
+   * Build the tool-result message answering one call. Non-string results are
+   * sent as JSON.
+   *
+   * @param {string} toolCallId
+   * @param {*} result
+   * @returns {ToolResultMessage}
+   */
+  function toolResultMessage(toolCallId, result) {
+    let content;
+    if (typeof result === "string") {
+      content = result;
+    } else {
+      try {
+        content = JSON.stringify(result === undefined ? null : result);
+      } catch (error) {
+        logWarn("Tool result is not serialisable; sending its string form", error);
+        content = String(result);
+      }
+    }
+    return { role: "tool", tool_call_id: toolCallId, content: content };
+  }
+
   // ============================================================================
   // EMBED PROVIDER REGISTRY CLASS
   // ============================================================================
@@ -332,6 +574,18 @@
   // Also expose the class for testing and isolated registry instances
   window.EmbedProviderRegistryClass = EmbedProviderRegistry;
 
+  // Canonical tool-calling helpers, shared by the providers, the core's tool
+  // loop and the tool registry (openrouter-embed-tools.js)
+  window.EmbedToolSchema = {
+    validateToolDefinition,
+    toChatCompletionsTools,
+    toChatCompletionsToolChoice,
+    accumulateToolCallDeltas,
+    normaliseToolCalls,
+    assistantToolCallMessage,
+    toolResultMessage,
+  };
+
   // ============================================================================
   // INITIALISATION LOG
   // ============================================================================
@@ -339,4 +593,5 @@
   logInfo("OpenRouter Embed Provider Registry (Stage 1, Task 1.1) loaded");
   logInfo("Available as: window.EmbedProviderRegistry (singleton instance)");
   logInfo("Class available as: window.EmbedProviderRegistryClass");
+  logInfo("Tool schema helpers available as: window.EmbedToolSchema");
 })();
@@ -29,7 +29,7 @@
  *   module-load time
  * - Singleton instance plus class globally exposed
  *
- * @version 1.0.0 (Stage 1, Task 1.3)
+ * @version 1.1.0 (Local model server — reserves the 'local-server' prefix)
  * @date 8 May 2026
  */
 
@@ -90,6 +90,7 @@
     "azure-inference",   // Stage 5 (deferred)
     "anthropic-foundry", // Stage 4 (deferred)
     "local",             // No registry entry; local backend pre-empts dispatch in core.js
+    "local-server",      // OpenAI-compatible server on the person's machine (providers/local-server.js)
   ]);
 
   const DEFAULT_PROVIDER_ID = "openrouter";
@@ -36,7 +36,13 @@
  * back to the same localStorage keys the Set Up tool writes for the v1
  * provider, then a hardcoded default — identical precedence to v1.
  *
- * @version 1.0.0 (Responses-API workstream, Task 2)
+ * Tool calling: canonical tools map to flat `{ type:"function", name, … }`
+ * entries; assistant tool-call messages and tool results map to
+ * `function_call` / `function_call_output` input items; the model's own
+ * `function_call` output items come back as chat-completions `tool_calls`.
+ *
+ * @version 1.1.0 (Tool calling — function tools, function_call items)
+ *          1.0.0 (Responses-API workstream, Task 2)
  */
 
 (function () {
@@ -526,6 +532,84 @@
     return out;
   }
 
+  /**
+   * Walk a Responses `output[]` array and collect the model's function calls as
+   * canonical chat-completions ToolCalls (providers/_interface.js). Each
+   * `function_call` item carries `call_id`, `name` and the `arguments` JSON
+   * text; `call_id` (not the item's own `id`) is what a function_call_output
+   * must echo, so it becomes the ToolCall id.
+   *
+   * @param {Array} outputArr
+   * @returns {Array<Object>} [] when the model called nothing
+   * @private
+   */
+  function extractFunctionCalls(outputArr) {
+    if (!Array.isArray(outputArr)) return [];
+    const calls = [];
+    for (const item of outputArr) {
+      if (item && item.type === "function_call" && typeof item.name === "string") {
+        calls.push({
+          id: item.call_id || item.id || "",
+          type: "function",
+          function: {
+            name: item.name,
+            arguments: typeof item.arguments === "string" ? item.arguments : "",
+          },
+        });
+      }
+    }
+    return window.EmbedToolSchema.normaliseToolCalls(calls);
+  }
+
+  /**
+   * Map canonical tools to the Responses `tools` array. The Responses surface
+   * takes the function fields FLAT on the entry (`{ type:"function", name,
+   * description, parameters }`), not nested under `function` as chat
+   * completions does. Accepts either canonical or chat-completions input, and
+   * is idempotent for its own output — buildRequest runs twice per stream.
+   *
+   * @param {Array<Object>} tools
+   * @returns {Array<Object>}
+   * @private
+   */
+  function toResponsesTools(tools) {
+    if (!Array.isArray(tools)) return [];
+    return tools
+      .filter((t) => t && typeof t === "object")
+      .map((t) => {
+        const fn = t.type === "function" && t.function ? t.function : t;
+        return {
+          type: "function",
+          name: fn.name,
+          description: fn.description,
+          parameters: fn.parameters,
+        };
+      });
+  }
+
+  /**
+   * Map a canonical ToolChoice to the Responses `tool_choice`: the three
+   * keywords pass through; a forced tool is `{ type:"function", name }`.
+   * Returns undefined for anything unrecognised so the key is left off.
+   *
+   * @param {string|Object} choice
+   * @returns {string|Object|undefined}
+   * @private
+   */
+  function toResponsesToolChoice(choice) {
+    if (choice === "auto" || choice === "none" || choice === "required") {
+      return choice;
+    }
+    if (choice && typeof choice === "object") {
+      const name =
+        choice.function && typeof choice.function.name === "string"
+          ? choice.function.name
+          : choice.name;
+      if (typeof name === "string" && name) return { type: "function", name };
+    }
+    return undefined;
+  }
+
   /**
    * Walk a Responses output[] array and assemble the reasoning summary text.
    *
@@ -668,14 +752,15 @@
      *     deployments against an image-only scan). The floor is true; gate
      *     per model via the model-level "pdf" capability token, not this floor.
      *   - reasoning: true — the Codex/pro family is reasoning-first.
-     *   - toolCalls: false — out of scope for this workstream.
+     *   - toolCalls: true — function tools, function_call output items and
+     *     function_call_output input items (see buildRequest / parseResponse).
      */
     capabilities: {
       streaming: true,
       images: true,
       pdf: true,
       reasoning: true,
-      toolCalls: false,
+      toolCalls: true,
     },
 
     /**
@@ -703,6 +788,10 @@
      *     stripped deployment is in SAMPLING_PARAMS_ALLOWED.
      *   - NO `stream_options` — usage arrives natively on the Responses
      *     surface (unlike v1, which must request include_usage).
+     *   - Tool calling: an assistant message's `tool_calls` → one
+     *     `function_call` item per call (after any text it carried); a `tool`
+     *     message → a `function_call_output` item; `options.tools` /
+     *     `options.tool_choice` → the flat Responses function-tool shape.
      */
     buildRequest(messages, options) {
       logDebug("Building Foundry Responses request body");
@@ -724,6 +813,30 @@
           // System → instructions (always text; flattened to a string).
           const text = extractText(m.content);
           if (text) systemParts.push(text);
+        } else if (m.role === "tool") {
+          // Tool result → function_call_output, keyed by the call it answers.
+          inputItems.push({
+            type: "function_call_output",
+            call_id: m.tool_call_id,
+            output: typeof m.content === "string" ? m.content : extractText(m.content),
+          });
+        } else if (m.role === "assistant" && Array.isArray(m.tool_calls)) {
+          // An assistant turn that called tools: its text (if any) stays a
+          // role-tagged item, then each call becomes a function_call item so
+          // the function_call_output items that follow have something to answer.
+          const text = extractText(m.content);
+          if (text) {
+            inputItems.push({ role: "assistant", content: buildInputContent(text) });
+          }
+          for (const call of m.tool_calls) {
+            if (!call || !call.function) continue;
+            inputItems.push({
+              type: "function_call",
+              call_id: call.id,
+              name: call.function.name,
+              arguments: call.function.arguments || "{}",
+            });
+          }
         } else {
           // Assistant history is preserved as a role-tagged item. Text-only
           // content keeps the Task 2 shape byte-for-byte; an image-bearing
@@ -849,6 +962,12 @@
         }
       }
 
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        body.tools = toResponsesTools(options.tools);
+        const toolChoice = toResponsesToolChoice(options.tool_choice);
+        if (toolChoice !== undefined) body.tool_choice = toolChoice;
+      }
+
       if (options.stream === true) {
         body.stream = true;
         // NO stream_options — the Responses surface returns usage natively on
@@ -938,6 +1057,7 @@
      */
     parseResponse(json) {
       const text = extractOutputText(json && json.output);
+      const toolCalls = extractFunctionCalls(json && json.output);
 
       // Fail loudly on a completed-but-EMPTY or incomplete response. A reasoning
       // model can exhaust its output budget on hidden reasoning before emitting
@@ -945,9 +1065,15 @@
       // status:"incomplete" with incomplete_details.reason "max_output_tokens").
       // Surfacing this as an error — rather than silently returning "" — is what
       // lets the controller report failure instead of "generated successfully".
+      //
+      // A turn that only calls tools legitimately carries no text, so the
+      // empty-text half of the check stands aside when function calls came back.
       const status =
         json && typeof json.status === "string" ? json.status : null;
-      if (!text || text.trim() === "" || status === "incomplete") {
+      if (
+        ((!text || text.trim() === "") && toolCalls.length === 0) ||
+        status === "incomplete"
+      ) {
         const modelName = (json && json.model) || "unknown";
         const reason =
           json &&
@@ -979,13 +1105,16 @@
         usage.reasoning_tokens = reasoning;
       }
 
+      const message = { role: "assistant", content: text };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
       const result = {
         model: (json && json.model) || null,
         choices: [
           {
             index: 0,
-            message: { role: "assistant", content: text },
-            finish_reason: "stop",
+            message,
+            finish_reason: toolCalls.length > 0 ? "tool_calls" : "stop",
           },
         ],
         usage,
@@ -1020,6 +1149,10 @@
      *     the two paths feed two different core normalisers).
      *   - onError(error: Error): transport / non-2xx failures. AbortError is
      *     propagated UNCHANGED so core's expected-cancellation detection works.
+     *   - onToolCall(deltas: Array, completedResponse: Object): once, before
+     *     onComplete, when the completed response carries function calls. Each
+     *     call arrives whole as one chat-completions style delta with its own
+     *     index, so core folds it exactly like a v1 / OpenRouter stream.
      *
      * Cancellation: reads options.abortSignal and threads it into fetch.
      */
@@ -1035,6 +1168,8 @@
       // caller can show a "reasoning" state rather than a frozen UI.
       const onReasoning =
         typeof opts.onReasoning === "function" ? opts.onReasoning : null;
+      const onToolCall =
+        typeof opts.onToolCall === "function" ? opts.onToolCall : null;
       const abortSignal = opts.abortSignal || null;
 
       try {
@@ -1189,12 +1324,22 @@
         // path — never complete with an empty buffer, which would read as
         // success downstream. Thrown here, it is caught below and routed to
         // onError + rethrow exactly like a transport failure.
+        //
+        // Function calls ride the completed response's output[] (the same
+        // items parseResponse walks). A tool-calling turn may carry no text,
+        // so the empty-buffer half of the check stands aside when it has any.
+        const toolCalls = extractFunctionCalls(
+          finalResponsePayload && finalResponsePayload.output,
+        );
         const finalStatus =
           finalResponsePayload &&
           typeof finalResponsePayload.status === "string"
             ? finalResponsePayload.status
             : null;
-        if (finalStatus === "incomplete" || fullText.trim() === "") {
+        if (
+          finalStatus === "incomplete" ||
+          (fullText.trim() === "" && toolCalls.length === 0)
+        ) {
           const modelName =
             (finalResponsePayload && finalResponsePayload.model) ||
             opts.model ||
@@ -1240,8 +1385,20 @@
           chars: fullText.length,
           elapsedMs,
           hasUsage: !!responseData.usage,
+          toolCalls: toolCalls.length,
         });
 
+        if (onToolCall && toolCalls.length > 0) {
+          try {
+            onToolCall(
+              toolCalls.map((call, index) => ({ index, ...call })),
+              finalResponsePayload,
+            );
+          } catch (callbackErr) {
+            logWarn("onToolCall callback threw:", callbackErr);
+          }
+        }
+
         if (onComplete) {
           try {
             onComplete(fullText, responseData);
@@ -23,7 +23,9 @@
  * Task 2.2 wires the source of that config; until then, `endpoint()`
  * and the transport methods throw a clear error if config is absent.
  *
- * @version 1.0.0 (Stage 2, Task 2.1)
+ * @version 1.1.0 (Tool calling — tools / tool_choice on the body, streamed
+ *                 delta.tool_calls forwarded through onToolCall)
+ *          1.0.0 (Stage 2, Task 2.1)
  */
 
 (function () {
@@ -611,6 +613,17 @@
         }
       }
 
+      // Tools, in the chat-completions function shape (the v1 surface is
+      // OpenAI-compatible, so tool-call and tool-result messages pass through
+      // in `messages`). toChatCompletionsTools is idempotent, which the
+      // double-build above relies on: pass 2 sees pass 1's wire-shaped tools.
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        const schema = window.EmbedToolSchema;
+        body.tools = schema.toChatCompletionsTools(options.tools);
+        const toolChoice = schema.toChatCompletionsToolChoice(options.tool_choice);
+        if (toolChoice !== undefined) body.tool_choice = toolChoice;
+      }
+
       if (options.stream === true) {
         body.stream = true;
         // Critical: ensures Azure returns usage stats in the final chunk.
@@ -700,6 +713,9 @@
      *   - onError(error: Error): transport failures or non-2xx HTTP
      *     responses. AbortError is propagated unchanged so core.js's
      *     expected-cancellation detection works.
+     *   - onToolCall(deltas: Array, parsedChunk: Object): called per chunk
+     *     carrying delta.tool_calls — the same signature the OpenRouter
+     *     client uses, so core.js accumulates both identically.
      *
      * Cancellation: reads options.abortSignal and threads it into fetch.
      */
@@ -716,6 +732,8 @@
       // provider's summary-delta handling. The answer buffer is never touched.
       const onReasoning =
         typeof opts.onReasoning === "function" ? opts.onReasoning : null;
+      const onToolCall =
+        typeof opts.onToolCall === "function" ? opts.onToolCall : null;
       const abortSignal = opts.abortSignal || null;
 
       try {
@@ -792,6 +810,21 @@
             }
           }
 
+          // Tool-call fragments: forwarded verbatim for core.js to fold
+          // together by index. Independent of delta.content.
+          const toolCallDeltas = delta && delta.tool_calls;
+          if (
+            onToolCall &&
+            Array.isArray(toolCallDeltas) &&
+            toolCallDeltas.length > 0
+          ) {
+            try {
+              onToolCall(toolCallDeltas, parsed);
+            } catch (callbackErr) {
+              logWarn("onToolCall callback threw:", callbackErr);
+            }
+          }
+
           // Emit only when content is a non-empty string. Role-only chunks
           // (typically the first) are skipped to avoid empty callbacks.
           if (typeof contentPiece === "string" && contentPiece !== "") {
@@ -0,0 +1,1294 @@
+/**
+ * OpenRouter Embed API - Local Model Server Provider
+ *
+ * Concrete provider implementing the contract from `providers/_interface.js`
+ * for any OpenAI-compatible chat-completions server the person runs on their
+ * own machine: llama.cpp's `llama-server`, Ollama and LM Studio all speak
+ * `POST {base}/v1/chat/completions` and `GET {base}/v1/models`. Provider id is
+ * 'local-server' (a reserved prefix in `_lookup.js`), so its models are
+ * addressed as `local-server/<model id>` — e.g. `local-server/llama3.2:3b`.
+ * Self-registers with `window.EmbedProviderRegistry` on load.
+ *
+ * Owns its own transport, like the Foundry v1 provider it mirrors for the IIFE
+ * + logging scaffold, the fetch + SSE loop and the AbortError-propagated-
+ * unchanged contract. What differs:
+ *
+ *   - No proxy and no credential. The base URL comes from
+ *     `options.providerConfig.proxyUrl` (the field name the core's
+ *     configureProvider validates) or the `localServerUrl` localStorage key
+ *     the Set Up card writes. There is deliberately NO built-in default: a
+ *     guessed localhost port would have every page probing people's machines.
+ *   - The model list is DISCOVERED, not catalogued. discoverModels() reads
+ *     `/v1/models`, then probes whichever server-specific endpoint answers
+ *     (llama.cpp `/props`, Ollama `/api/show`, LM Studio `/api/v0/models`) for
+ *     vision, reasoning, tools and context length, falling back to name
+ *     patterns when nothing answers. The result is cached in localStorage so
+ *     the Chat picker can list the models synchronously on the next load;
+ *     listModels() reads that cache and the model selector uses it in place
+ *     of window.modelRegistry for this provider.
+ *   - Reasoning arrives three ways depending on the server: `reasoning_content`
+ *     deltas (llama.cpp, LM Studio), `reasoning` deltas (Ollama), or a leading
+ *     `<think>…</think>` block inside the content (older builds). All three
+ *     are routed to onReasoning so the answer never shows raw think tags.
+ *
+ * Browser note: each server must allow requests from this page's origin
+ * (CORS). llama.cpp does by default; Ollama needs OLLAMA_ORIGINS and LM Studio
+ * its "Enable CORS" switch. A blocked request surfaces as a TypeError from
+ * fetch, which is rewritten into a sentence that says so.
+ *
+ * @version 1.0.0 (Local model server)
+ */
+
+(function () {
+  "use strict";
+
+  // ============================================================================
+  // LOGGING CONFIGURATION
+  // ============================================================================
+
+  const LOG_LEVELS = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
+  const DEFAULT_LOG_LEVEL = LOG_LEVELS.WARN;
+  const ENABLE_ALL_LOGGING = false;
+  const DISABLE_ALL_LOGGING = false;
+
+  function shouldLog(level) {
+    if (DISABLE_ALL_LOGGING) return false;
+    if (ENABLE_ALL_LOGGING) return true;
+    return level <= DEFAULT_LOG_LEVEL;
+  }
+
+  function logError(message, ...args) {
+    if (shouldLog(LOG_LEVELS.ERROR))
+      console.error(`[EmbedLocalServerProvider ERROR] ${message}`, ...args);
+  }
+  function logWarn(message, ...args) {
+    if (shouldLog(LOG_LEVELS.WARN))
+      console.warn(`[EmbedLocalServerProvider WARN] ${message}`, ...args);
+  }
+  function logInfo(message, ...args) {
+    if (shouldLog(LOG_LEVELS.INFO))
+      console.log(`[EmbedLocalServerProvider INFO] ${message}`, ...args);
+  }
+  function logDebug(message, ...args) {
+    if (shouldLog(LOG_LEVELS.DEBUG))
+      console.log(`[EmbedLocalServerProvider DEBUG] ${message}`, ...args);
+  }
+
+  // ============================================================================
+  // CONSTANTS
+  // ============================================================================
+
+  const PROVIDER_ID = "local-server";
+  const MODEL_PREFIX = PROVIDER_ID + "/";
+
+  // localStorage keys. The Set Up card writes the base URL; this provider owns
+  // the discovery cache. ProviderSwitcher's CREDENTIAL_KEYS mirrors the first.
+  const LS_BASE_URL_KEY = "localServerUrl";
+  const LS_MODELS_KEY = "local-server-models";
+
+  // Dispatched on window whenever the discovered list changes (a discovery
+  // finished, or the list was cleared). detail: { baseUrl, server, models }.
+  const MODELS_EVENT = "localserver:models";
+
+  // A server on this machine answers in milliseconds; anything slower is not
+  // running (or is loading a model, which the chat request itself can wait
+  // for). The probes are best-effort extras, so they get less.
+  const DISCOVERY_TIMEOUT_MS = 5000;
+  const PROBE_TIMEOUT_MS = 3000;
+
+  // Ollama answers capabilities one model at a time. Cap the fan-out so a
+  // library of hundreds of models does not become hundreds of requests; the
+  // rest fall back to name patterns.
+  const MAX_DETAIL_PROBES = 40;
+
+  // Used when nothing reports a context window. Ollama's own default num_ctx,
+  // and a safe floor for the token-budget trimming in Chat.
+  const DEFAULT_CONTEXT_LIMIT = 4096;
+
+  const SSE_DONE_MARKER = "[DONE]";
+
+  const THINK_OPEN = "<think>";
+  const THINK_CLOSE = "</think>";
+
+  // Display names for the detected server, shown after each model name in the
+  // picker (the "upstream vendor" slot) and on the Set Up card.
+  const SERVER_LABELS = {
+    llamacpp: "llama.cpp",
+    ollama: "Ollama",
+    lmstudio: "LM Studio",
+    generic: "OpenAI-compatible server",
+  };
+
+  // Name patterns used only when the server itself reports nothing. Tested
+  // against the bare model id, case-insensitively. Grow these as families
+  // appear; a miss only means a capable model is not offered images or shown
+  // as reasoning, never that a request is malformed.
+  const VISION_NAME_PATTERNS = [
+    /llava/i,
+    /bakllava/i,
+    /vision/i,
+    /[-_.]vl\b/i,
+    /qwen[\d.]*-?vl/i,
+    /gemma-?3(?!n)/i,
+    /pixtral/i,
+    /moondream/i,
+    /minicpm-?v/i,
+    /granite[\d.]*-vision/i,
+    /mistral-small-?3\.[12]/i,
+  ];
+  const REASONING_NAME_PATTERNS = [
+    /deepseek-?r1/i,
+    /r1-distill/i,
+    /qwq/i,
+    /qwen3/i,
+    /gpt-oss/i,
+    /magistral/i,
+    /phi-?4-(mini-)?reasoning/i,
+    /reasoning/i,
+    /thinking/i,
+  ];
+  // Models that cannot chat at all. Listed by /v1/models on every server, so
+  // they are dropped from discovery rather than offered and left to fail.
+  const EMBEDDING_NAME_PATTERNS = [/embed/i, /\bbge-/i, /rerank/i];
+
+  // ============================================================================
+  // INTERNAL HELPERS — configuration
+  // ============================================================================
+
+  /**
+   * Read a non-empty trimmed string from localStorage, or null on miss /
+   * failure. Swallows storage errors so a private window reads as "not set".
+   *
+   * @param {string} key
+   * @returns {string|null}
+   * @private
+   */
+  function readLocalStorageString(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      if (typeof raw !== "string") return null;
+      const trimmed = raw.trim();
+      return trimmed.length > 0 ? trimmed : null;
+    } catch (err) {
+      logDebug(`localStorage read failed for '${key}'; treating as missing`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Reduce whatever the person typed to the server ROOT, or null when it is
+   * not an http(s) URL. People paste the root ("http://localhost:11434"), the
+   * OpenAI base ("…/v1") or a full endpoint ("…/v1/chat/completions"); all
+   * three mean the same server. The root is what is stored, because Ollama's
+   * and LM Studio's probe endpoints live beside /v1, not under it.
+   *
+   * @param {string} raw
+   * @returns {string|null}
+   */
+  function normaliseBaseUrl(raw) {
+    if (typeof raw !== "string") return null;
+    let url = raw.trim();
+    if (!/^https?:\/\/[^/\s]+/i.test(url)) return null;
+    url = url.replace(/[?#].*$/, "").replace(/\/+$/, "");
+    url = url.replace(/\/chat\/completions$/i, "").replace(/\/models$/i, "");
+    url = url.replace(/\/v1$/i, "");
+    return url.replace(/\/+$/, "");
+  }
+
+  /**
+   * The server root for the next request: an explicit providerConfig wins,
+   * then the Set Up card's stored value. Null when neither is usable.
+   *
+   * @param {Object} [options]
+   * @returns {string|null}
+   * @private
+   */
+  function readBaseUrl(options) {
+    const cfg = (options && options.providerConfig) || null;
+    if (cfg && typeof cfg.proxyUrl === "string" && cfg.proxyUrl.trim()) {
+      const fromConfig = normaliseBaseUrl(cfg.proxyUrl);
+      if (fromConfig) return fromConfig;
+    }
+    return normaliseBaseUrl(readLocalStorageString(LS_BASE_URL_KEY) || "");
+  }
+
+  /**
+   * readBaseUrl, or a thrown Error telling the person where to set it. Used by
+   * the transport methods, which cannot send anywhere without it.
+   *
+   * @param {Object} [options]
+   * @returns {string}
+   * @private
+   */
+  function requireBaseUrl(options) {
+    const root = readBaseUrl(options);
+    if (!root) {
+      throw new Error(
+        "No local model server address is set. Add one in Set Up, under " +
+          "Local model server.",
+      );
+    }
+    return root;
+  }
+
+  /** Strip the registry prefix: "local-server/llama3.2:3b" → "llama3.2:3b". */
+  function stripPrefix(modelId) {
+    return typeof modelId === "string" && modelId.indexOf(MODEL_PREFIX) === 0
+      ? modelId.slice(MODEL_PREFIX.length)
+      : modelId;
+  }
+
+  // ============================================================================
+  // INTERNAL HELPERS — fetch
+  // ============================================================================
+
+  /**
+   * fetch with a timeout, optionally also bound to a caller's AbortSignal.
+   * A timeout surfaces as an Error whose name is "TimeoutError" so callers can
+   * tell it from a caller-initiated abort.
+   *
+   * @param {string} url
+   * @param {Object} init
+   * @param {number} timeoutMs
+   * @param {AbortSignal} [outerSignal]
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async function fetchWithTimeout(url, init, timeoutMs, outerSignal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (outerSignal) {
+      if (outerSignal.aborted) controller.abort();
+      else outerSignal.addEventListener("abort", forwardAbort);
+    }
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) {
+        const timeoutErr = new Error(
+          `No answer from ${url} within ${Math.round(timeoutMs / 1000)} seconds`,
+        );
+        timeoutErr.name = "TimeoutError";
+        throw timeoutErr;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (outerSignal) outerSignal.removeEventListener("abort", forwardAbort);
+    }
+  }
+
+  /**
+   * GET or POST returning parsed JSON, or null on any failure. For the
+   * best-effort capability probes only: a server that does not have the
+   * endpoint is the ordinary case, not an error.
+   *
+   * @param {string} url
+   * @param {Object} [init]
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async function probeJson(url, init) {
+    try {
+      const response = await fetchWithTimeout(
+        url,
+        init || { method: "GET" },
+        PROBE_TIMEOUT_MS,
+      );
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (err) {
+      logDebug(`Probe ${url} failed; ignoring`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Rewrite a transport failure into something a person can act on. fetch
+   * reports both "nothing listening" and "CORS refused" as a bare TypeError,
+   * and the page cannot tell them apart, so the sentence names both.
+   *
+   * @param {Error} err
+   * @param {string} root
+   * @returns {Error}
+   * @private
+   */
+  function describeTransportError(err, root) {
+    if (err && err.name === "TypeError") {
+      const friendly = new Error(
+        `Could not reach the local model server at ${root}. Check that it is ` +
+          "running and that it allows requests from this page (CORS).",
+      );
+      friendly.cause = err;
+      return friendly;
+    }
+    return err;
+  }
+
+  /**
+   * Build the Error for a non-2xx chat-completions response.
+   *
+   * @param {Response} response
+   * @returns {Promise<Error>}
+   * @private
+   */
+  async function httpError(response) {
+    let errorBody = "";
+    try {
+      errorBody = await response.text();
+    } catch (_) {
+      errorBody = "<unable to read error body>";
+    }
+    const err = new Error(
+      `Local model server request failed: HTTP ${response.status} — ${errorBody}`,
+    );
+    err.status = response.status;
+    err.body = errorBody;
+    return err;
+  }
+
+  // ============================================================================
+  // INTERNAL HELPERS — discovery and capability probing
+  // ============================================================================
+
+  /**
+   * Pull model entries out of a /v1/models response. Every server returns the
+   * OpenAI `{ data: [{ id, … }] }` list; llama.cpp additionally returns a
+   * `models` array carrying `capabilities`, merged in here by id.
+   *
+   * @param {Object} json
+   * @returns {Array<{id: string, ownedBy: string, hints: Object}>}
+   */
+  function parseModelList(json) {
+    const data = json && Array.isArray(json.data) ? json.data : [];
+    const extras = {};
+    if (json && Array.isArray(json.models)) {
+      for (const m of json.models) {
+        const key = m && (m.model || m.name);
+        if (typeof key === "string") extras[key] = m;
+      }
+    }
+
+    const entries = [];
+    const seen = new Set();
+    for (const item of data) {
+      if (!item || typeof item.id !== "string" || !item.id.trim()) continue;
+      const id = item.id.trim();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const extra = extras[id] || {};
+      const meta = item.meta || {};
+      entries.push({
+        id,
+        ownedBy: typeof item.owned_by === "string" ? item.owned_by : "",
+        hints: {
+          capabilities: Array.isArray(extra.capabilities)
+            ? extra.capabilities
+            : [],
+          type: typeof item.type === "string" ? item.type : null,
+          contextLength:
+            meta.n_ctx || meta.n_ctx_train || item.context_length || null,
+        },
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Combine whatever the server reported with the name patterns into the
+   * unified capability list the model selector reads. Server facts win; the
+   * patterns only add what the server did not mention, and never when the
+   * server gave an authoritative capability list (Ollama's /api/show).
+   *
+   * Recognised hint spellings: Ollama "vision" / "thinking" / "tools" /
+   * "embedding", llama.cpp "multimodal", LM Studio type "vlm" / "embeddings"
+   * and capability "tool_use".
+   *
+   * @param {string} id - bare model id (no registry prefix)
+   * @param {Object} [hints]
+   * @param {string[]} [hints.capabilities]
+   * @param {boolean} [hints.authoritative] - capabilities is the full list
+   * @param {string|null} [hints.type]
+   * @param {boolean} [hints.vision]
+   * @param {number|null} [hints.contextLength]
+   * @returns {{capabilities: string[], contextLimit: number, chat: boolean}}
+   */
+  function inferCapabilities(id, hints) {
+    const h = hints || {};
+    const reported = (Array.isArray(h.capabilities) ? h.capabilities : []).map(
+      (c) => String(c).toLowerCase(),
+    );
+    const type = typeof h.type === "string" ? h.type.toLowerCase() : "";
+    const byName = (patterns) => patterns.some((re) => re.test(id));
+
+    const embeddingOnly =
+      type === "embeddings" ||
+      (reported.includes("embedding") && !reported.includes("completion")) ||
+      (!h.authoritative && !type && byName(EMBEDDING_NAME_PATTERNS));
+
+    const vision =
+      h.vision === true ||
+      type === "vlm" ||
+      reported.includes("vision") ||
+      reported.includes("multimodal") ||
+      (!h.authoritative && h.vision !== false && byName(VISION_NAME_PATTERNS));
+    const reasoning =
+      reported.includes("thinking") ||
+      reported.includes("reasoning") ||
+      (!h.authoritative && byName(REASONING_NAME_PATTERNS));
+    const tools =
+      reported.includes("tools") || reported.includes("tool_use");
+
+    const capabilities = ["text"];
+    if (vision) capabilities.push("vision");
+    if (reasoning) capabilities.push("reasoning");
+    if (tools) capabilities.push("tool_calling");
+
+    const context = Number(h.contextLength);
+    return {
+      capabilities,
+      contextLimit:
+        Number.isFinite(context) && context > 0
+          ? Math.floor(context)
+          : DEFAULT_CONTEXT_LIMIT,
+      chat: !embeddingOnly,
+    };
+  }
+
+  /**
+   * A readable name from a model id. llama.cpp often reports the file path
+   * it was started with, so keep the last path segment and drop ".gguf".
+   *
+   * @param {string} id
+   * @returns {string}
+   * @private
+   */
+  function displayNameFor(id) {
+    const lastSegment = id.split(/[\\/]/).filter(Boolean).pop() || id;
+    return lastSegment.replace(/\.gguf$/i, "");
+  }
+
+  /**
+   * Read Ollama's per-model details into hints. The capability list is
+   * authoritative (Ollama reports every capability the model has); the
+   * context window is the architecture's `<arch>.context_length`.
+   *
+   * @param {Object|null} show - /api/show response
+   * @returns {Object|null}
+   * @private
+   */
+  function hintsFromOllamaShow(show) {
+    if (!show || typeof show !== "object") return null;
+    const hints = {};
+    if (Array.isArray(show.capabilities)) {
+      hints.capabilities = show.capabilities;
+      hints.authoritative = true;
+    }
+    const info = show.model_info || {};
+    const contextKey = Object.keys(info).find((k) =>
+      /\.context_length$/.test(k),
+    );
+    if (contextKey) hints.contextLength = info[contextKey];
+    return hints;
+  }
+
+  /**
+   * Identify the server behind the base URL and gather per-model hints from
+   * its own endpoints. Every probe is best-effort; the worst case is
+   * "generic" with no hints, and name patterns fill in.
+   *
+   * @param {string} root
+   * @param {Array} entries - parseModelList output
+   * @returns {Promise<{server: string, hintsById: Object}>}
+   * @private
+   */
+  async function probeServer(root, entries) {
+    const hintsById = {};
+
+    // llama.cpp labels its models and reports modalities for the loaded model
+    // on /props.
+    if (entries.some((e) => e.ownedBy === "llamacpp")) {
+      const props = await probeJson(root + "/props");
+      if (props) {
+        const vision = !!(props.modalities && props.modalities.vision);
+        const settings = props.default_generation_settings || {};
+        for (const entry of entries) {
+          hintsById[entry.id] = {
+            vision: props.modalities ? vision : undefined,
+            contextLength: settings.n_ctx || null,
+          };
+        }
+      }
+      return { server: "llamacpp", hintsById };
+    }
+
+    // Ollama answers /api/version; its capabilities come per model.
+    const version = await probeJson(root + "/api/version");
+    if (version && typeof version.version === "string") {
+      const probed = entries.slice(0, MAX_DETAIL_PROBES);
+      const shows = await Promise.all(
+        probed.map((entry) =>
+          probeJson(root + "/api/show", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ model: entry.id }),
+          }),
+        ),
+      );
+      probed.forEach((entry, i) => {
+        const hints = hintsFromOllamaShow(shows[i]);
+        if (hints) hintsById[entry.id] = hints;
+      });
+      if (entries.length > MAX_DETAIL_PROBES) {
+        logWarn(
+          `Ollama lists ${entries.length} models; probed the first ${MAX_DETAIL_PROBES}, ` +
+            "the rest use name patterns",
+        );
+      }
+      return { server: "ollama", hintsById };
+    }
+
+    // LM Studio's native REST API lists type, context and capabilities.
+    const lmStudio = await probeJson(root + "/api/v0/models");
+    if (lmStudio && Array.isArray(lmStudio.data)) {
+      for (const m of lmStudio.data) {
+        if (!m || typeof m.id !== "string") continue;
+        hintsById[m.id] = {
+          type: m.type || null,
+          capabilities: Array.isArray(m.capabilities) ? m.capabilities : [],
+          contextLength: m.loaded_context_length || m.max_context_length || null,
+        };
+      }
+      return { server: "lmstudio", hintsById };
+    }
+
+    return { server: "generic", hintsById };
+  }
+
+  /**
+   * Turn one discovered entry into the unified model shape the selector and
+   * the Chat picker use, or null for a model that cannot chat.
+   *
+   * @param {{id: string, hints: Object}} entry
+   * @param {Object|undefined} serverHints
+   * @param {string} server
+   * @returns {Object|null}
+   * @private
+   */
+  function toUnifiedModel(entry, serverHints, server) {
+    const hints = { ...entry.hints, ...(serverHints || {}) };
+    hints.capabilities = [
+      ...(entry.hints.capabilities || []),
+      ...((serverHints && serverHints.capabilities) || []),
+    ];
+    if (!hints.contextLength) hints.contextLength = entry.hints.contextLength;
+    const inferred = inferCapabilities(entry.id, hints);
+    if (!inferred.chat) return null;
+    return {
+      id: MODEL_PREFIX + entry.id,
+      name: displayNameFor(entry.id),
+      provider: SERVER_LABELS[server] || SERVER_LABELS.generic,
+      providerId: PROVIDER_ID,
+      contextLimit: inferred.contextLimit,
+      capabilities: inferred.capabilities,
+    };
+  }
+
+  // ============================================================================
+  // INTERNAL HELPERS — discovery cache
+  // ============================================================================
+
+  /**
+   * The cached discovery, or null when absent or unreadable.
+   * @returns {{baseUrl: string, server: string, discoveredAt: number, models: Array}|null}
+   * @private
+   */
+  function readCache() {
+    const raw = readLocalStorageString(LS_MODELS_KEY);
+    if (!raw) return null;
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.models)) return null;
+      return parsed;
+    } catch (err) {
+      logWarn("Discovery cache is not valid JSON; ignoring", err);
+      return null;
+    }
+  }
+
+  function writeCache(record) {
+    try {
+      if (record) localStorage.setItem(LS_MODELS_KEY, JSON.stringify(record));
+      else localStorage.removeItem(LS_MODELS_KEY);
+    } catch (err) {
+      logWarn("Could not write the discovery cache", err);
+    }
+  }
+
+  function announceModels(record) {
+    window.dispatchEvent(
+      new CustomEvent(MODELS_EVENT, {
+        detail: {
+          baseUrl: record ? record.baseUrl : null,
+          server: record ? record.server : null,
+          models: record ? record.models.slice() : [],
+        },
+      }),
+    );
+  }
+
+  // ============================================================================
+  // INTERNAL HELPERS — streaming
+  // ============================================================================
+
+  /**
+   * Parse a single SSE `data:` line. Null for [DONE], malformed JSON (logged)
+   * and non-data lines. Same rules as the Foundry v1 provider.
+   *
+   * @param {string} dataLine
+   * @returns {Object|null}
+   * @private
+   */
+  function parseSSEDataLine(dataLine) {
+    if (typeof dataLine !== "string") return null;
+    const trimmed = dataLine.trim();
+    if (!trimmed.startsWith("data:")) return null;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === "" || payload === SSE_DONE_MARKER) return null;
+
+    try {
+      return JSON.parse(payload);
+    } catch (err) {
+      logWarn("Failed to parse SSE data line as JSON:", payload, err);
+      return null;
+    }
+  }
+
+  /**
+   * Pull complete SSE events out of a buffer. An event ends at a blank line;
+   * llama.cpp and Ollama both use bare "\n", but "\r\n" is normalised first so
+   * a proxy in between cannot stall the loop.
+   *
+   * @param {string} buffer
+   * @returns {{events: Array<Array<Object>>, remaining: string}}
+   * @private
+   */
+  function extractSSEEvents(buffer) {
+    const events = [];
+    let remaining = buffer.replace(/\r\n/g, "\n");
+
+    while (true) {
+      const eventEnd = remaining.indexOf("\n\n");
+      if (eventEnd === -1) break;
+
+      const rawEvent = remaining.slice(0, eventEnd);
+      remaining = remaining.slice(eventEnd + 2);
+
+      const parsedDataPayloads = [];
+      for (const line of rawEvent.split("\n")) {
+        if (!line.startsWith("data:")) continue;
+        const parsed = parseSSEDataLine(line);
+        if (parsed !== null) parsedDataPayloads.push(parsed);
+      }
+      if (parsedDataPayloads.length > 0) events.push(parsedDataPayloads);
+    }
+
+    return { events, remaining };
+  }
+
+  /**
+   * Split a leading `<think>…</think>` block out of streamed content.
+   *
+   * Only a block at the very START of the answer counts — that is where
+   * reasoning models put it, and a literal "<think>" later in an answer (a
+   * person asking about the tag) must stay content. Tags split across chunks
+   * are held back until they resolve, so nothing half-tagged reaches either
+   * channel.
+   *
+   * @returns {{push: function(string): {content: string, reasoning: string},
+   *            flush: function(): {content: string, reasoning: string}}}
+   */
+  function createThinkSplitter() {
+    let state = "start"; // start → thinking → content, or start → content
+    let buffer = "";
+    let trimLeading = false;
+
+    function drain() {
+      const out = { content: "", reasoning: "" };
+
+      if (state === "start") {
+        const lead = buffer.replace(/^\s+/, "");
+        if (lead.length < THINK_OPEN.length && THINK_OPEN.startsWith(lead)) {
+          return out; // could still become "<think>" — wait for more
+        }
+        if (lead.startsWith(THINK_OPEN)) {
+          buffer = lead.slice(THINK_OPEN.length);
+          state = "thinking";
+        } else {
+          state = "content";
+        }
+      }
+
+      if (state === "thinking") {
+        const close = buffer.indexOf(THINK_CLOSE);
+        if (close === -1) {
+          // Hold back any tail that could be the start of "</think>".
+          let hold = 0;
+          for (let n = Math.min(THINK_CLOSE.length - 1, buffer.length); n > 0; n--) {
+            if (THINK_CLOSE.startsWith(buffer.slice(-n))) {
+              hold = n;
+              break;
+            }
+          }
+          out.reasoning = buffer.slice(0, buffer.length - hold);
+          buffer = buffer.slice(buffer.length - hold);
+          return out;
+        }
+        out.reasoning = buffer.slice(0, close);
+        buffer = buffer.slice(close + THINK_CLOSE.length);
+        state = "content";
+        trimLeading = true;
+      }
+
+      if (trimLeading) {
+        buffer = buffer.replace(/^\s+/, "");
+        if (buffer) trimLeading = false;
+      }
+      out.content = buffer;
+      buffer = "";
+      return out;
+    }
+
+    return {
+      push(text) {
+        buffer += typeof text === "string" ? text : "";
+        return drain();
+      },
+      flush() {
+        const out = { content: "", reasoning: "" };
+        if (state === "thinking") out.reasoning = buffer;
+        else out.content = buffer;
+        buffer = "";
+        state = "content";
+        return out;
+      },
+    };
+  }
+
+  // ============================================================================
+  // PROVIDER
+  // ============================================================================
+
+  /** @type {Provider} */
+  const provider = {
+    id: PROVIDER_ID,
+
+    /**
+     * Provider-level flags describe the OpenAI-compatible SURFACE the three
+     * servers share, not any one model: per-model vision, reasoning and tools
+     * come from discovery (see inferCapabilities).
+     *
+     *   - pdf: false — none of the servers reads a `file` content part.
+     *   - toolCalls: true — all three accept `tools` for models that support
+     *     them (llama.cpp needs --jinja); the model-level gate decides.
+     */
+    capabilities: {
+      streaming: true,
+      images: true,
+      pdf: false,
+      reasoning: true,
+      toolCalls: true,
+    },
+
+    // Names other modules need without copying strings: the Set Up card
+    // writes BASE_URL_KEY, Chat listens for MODELS_EVENT.
+    BASE_URL_KEY: LS_BASE_URL_KEY,
+    MODELS_EVENT: MODELS_EVENT,
+
+    /**
+     * Translate canonical request options to a chat-completions body.
+     *
+     * The registry prefix is stripped (servers know "llama3.2:3b", not
+     * "local-server/llama3.2:3b"). Plain `max_tokens` — every local server
+     * accepts it, and llama.cpp ignores `max_completion_tokens`. An existing
+     * `max_completion_tokens` is carried over so the core's second buildRequest
+     * pass over this output stays idempotent. `stream_options.include_usage`
+     * is harmless where unsupported and gives Ollama and llama.cpp usage.
+     */
+    buildRequest(messages, options) {
+      const body = {
+        model: stripPrefix(options.model),
+        messages: messages,
+      };
+
+      if (typeof options.max_tokens === "number") {
+        body.max_tokens = options.max_tokens;
+      } else if (typeof options.max_completion_tokens === "number") {
+        body.max_tokens = options.max_completion_tokens;
+      }
+
+      for (const key of [
+        "temperature",
+        "top_p",
+        "frequency_penalty",
+        "presence_penalty",
+      ]) {
+        if (typeof options[key] === "number") body[key] = options[key];
+      }
+
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        const schema = window.EmbedToolSchema;
+        body.tools = schema.toChatCompletionsTools(options.tools);
+        const toolChoice = schema.toChatCompletionsToolChoice(options.tool_choice);
+        if (toolChoice !== undefined) body.tool_choice = toolChoice;
+      }
+
+      if (options.stream === true) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+      }
+
+      logDebug("Local server request body built", { keys: Object.keys(body) });
+      return body;
+    },
+
+    /**
+     * The chat-completions URL on the configured server. No credential
+     * headers: these servers run unauthenticated on the person's machine.
+     * Throws when no address is configured.
+     */
+    endpoint(model, options) {
+      const root = requireBaseUrl(options);
+      return {
+        url: root + "/v1/chat/completions",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
+      };
+    },
+
+    /** Parse a raw SSE `data:` line — this provider owns its transport. */
+    parseStreamChunk(rawLine) {
+      return parseSSEDataLine(rawLine);
+    },
+
+    /**
+     * Non-streaming responses are OpenAI-shaped already. The one translation
+     * is a leading `<think>` block in the content, moved to
+     * `message.reasoning` so it never reaches the answer.
+     */
+    parseResponse(json) {
+      const message =
+        json && json.choices && json.choices[0] && json.choices[0].message;
+      if (message && typeof message.content === "string") {
+        const splitter = createThinkSplitter();
+        const first = splitter.push(message.content);
+        const rest = splitter.flush();
+        const reasoning = first.reasoning + rest.reasoning;
+        if (reasoning) {
+          message.content = first.content + rest.content;
+          message.reasoning = (message.reasoning || "") + reasoning;
+        }
+      }
+      return json;
+    },
+
+    /**
+     * Send a streaming chat-completion request and dispatch the canonical
+     * callbacks (onStart, onChunk, onReasoning, onToolCall, onComplete,
+     * onError) exactly as the Foundry v1 provider does, so core.js treats
+     * both identically. Reasoning text, whichever way the server sends it,
+     * goes to onReasoning as `{ type: "summary", text }`.
+     */
+    async streamRequest(messages, options) {
+      const opts = options || {};
+      const onStart = typeof opts.onStart === "function" ? opts.onStart : null;
+      const onChunk = typeof opts.onChunk === "function" ? opts.onChunk : null;
+      const onComplete =
+        typeof opts.onComplete === "function" ? opts.onComplete : null;
+      const onError = typeof opts.onError === "function" ? opts.onError : null;
+      const onReasoning =
+        typeof opts.onReasoning === "function" ? opts.onReasoning : null;
+      const onToolCall =
+        typeof opts.onToolCall === "function" ? opts.onToolCall : null;
+      const abortSignal = opts.abortSignal || null;
+
+      let root = null;
+      try {
+        root = requireBaseUrl(opts);
+        const { url, headers } = this.endpoint(opts.model, opts);
+        const body = this.buildRequest(messages, { ...opts, stream: true });
+
+        logInfo("Local server streaming request", { url, model: opts.model });
+
+        if (onStart) {
+          try {
+            onStart();
+          } catch (callbackErr) {
+            logWarn("onStart callback threw:", callbackErr);
+          }
+        }
+
+        const startTime = Date.now();
+
+        const response = await fetch(url, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal: abortSignal || undefined,
+        });
+
+        if (!response.ok) throw await httpError(response);
+        if (!response.body) {
+          throw new Error("Local server response has no body — cannot stream");
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder("utf-8");
+        const splitter = createThinkSplitter();
+        let buffer = "";
+        let fullText = "";
+        let finalChunkData = null;
+        let chunkIndex = 0;
+
+        const emitReasoning = (text, label) => {
+          if (!onReasoning || typeof text !== "string" || text.length === 0) {
+            return;
+          }
+          try {
+            onReasoning({ type: "summary", text });
+          } catch (callbackErr) {
+            logWarn(`onReasoning (${label}) callback threw:`, callbackErr);
+          }
+        };
+
+        const emitContent = (text, parsed) => {
+          if (typeof text !== "string" || text === "") return;
+          fullText += text;
+          if (onChunk) {
+            try {
+              onChunk(text, parsed);
+            } catch (callbackErr) {
+              logWarn("onChunk callback threw:", callbackErr);
+            }
+          }
+          chunkIndex++;
+        };
+
+        const processParsed = (parsed) => {
+          finalChunkData = parsed;
+          const choice = parsed && parsed.choices && parsed.choices[0];
+          const delta = choice && choice.delta;
+          if (!delta) return;
+
+          emitReasoning(delta.reasoning_content, "reasoning_content");
+          emitReasoning(delta.reasoning, "reasoning");
+
+          const toolCallDeltas = delta.tool_calls;
+          if (
+            onToolCall &&
+            Array.isArray(toolCallDeltas) &&
+            toolCallDeltas.length > 0
+          ) {
+            try {
+              onToolCall(toolCallDeltas, parsed);
+            } catch (callbackErr) {
+              logWarn("onToolCall callback threw:", callbackErr);
+            }
+          }
+
+          if (typeof delta.content === "string" && delta.content !== "") {
+            const split = splitter.push(delta.content);
+            emitReasoning(split.reasoning, "think tag");
+            emitContent(split.content, parsed);
+          }
+        };
+
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const { events, remaining } = extractSSEEvents(buffer);
+            buffer = remaining;
+
+            for (const eventPayloads of events) {
+              for (const parsed of eventPayloads) processParsed(parsed);
+            }
+          }
+
+          if (buffer.trim().length > 0) {
+            const { events: tailEvents } = extractSSEEvents(buffer + "\n\n");
+            for (const eventPayloads of tailEvents) {
+              for (const parsed of eventPayloads) processParsed(parsed);
+            }
+          }
+
+          const tail = splitter.flush();
+          emitReasoning(tail.reasoning, "think tag");
+          emitContent(tail.content, finalChunkData);
+        } finally {
+          try {
+            reader.releaseLock();
+          } catch (_) {
+            /* may already be released */
+          }
+        }
+
+        const elapsedMs = Date.now() - startTime;
+
+        const responseData = {
+          model: (finalChunkData && finalChunkData.model) || opts.model || null,
+          usage:
+            finalChunkData && finalChunkData.usage ? finalChunkData.usage : null,
+          choices:
+            finalChunkData && finalChunkData.choices
+              ? finalChunkData.choices
+              : null,
+          created:
+            finalChunkData && finalChunkData.created
+              ? finalChunkData.created
+              : null,
+          processingTime: elapsedMs,
+        };
+
+        logInfo("Local server streaming complete", {
+          chunks: chunkIndex,
+          chars: fullText.length,
+          elapsedMs,
+          hasUsage: !!responseData.usage,
+        });
+
+        if (onComplete) {
+          try {
+            onComplete(fullText, responseData);
+          } catch (callbackErr) {
+            logWarn("onComplete callback threw:", callbackErr);
+          }
+        }
+      } catch (rawError) {
+        if (rawError && rawError.name === "AbortError") {
+          logDebug("Local server stream aborted (expected cancellation)");
+          if (onError) {
+            try {
+              onError(rawError);
+            } catch (_) {
+              /* suppress to keep AbortError identity */
+            }
+          }
+          throw rawError;
+        }
+
+        const error = root ? describeTransportError(rawError, root) : rawError;
+        logError("Local server streaming error:", error);
+        if (onError) {
+          try {
+            onError(error);
+          } catch (callbackErr) {
+            logWarn("onError callback threw:", callbackErr);
+          }
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Send a non-streaming chat-completion request. Used by core.js's
+     * reduced-motion fallback path.
+     */
+    async request(messages, options) {
+      const opts = options || {};
+      const root = requireBaseUrl(opts);
+      const { url, headers } = this.endpoint(opts.model, opts);
+      const body = this.buildRequest(messages, { ...opts, stream: false });
+
+      logInfo("Local server non-streaming request", { url, model: opts.model });
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal: opts.abortSignal || undefined,
+        });
+      } catch (err) {
+        if (err && err.name === "AbortError") throw err;
+        throw describeTransportError(err, root);
+      }
+
+      if (!response.ok) throw await httpError(response);
+
+      const json = await response.json();
+      return this.parseResponse(json);
+    },
+
+    // ==========================================================================
+    // DISCOVERY (beyond the provider contract)
+    // ==========================================================================
+
+    /**
+     * Reduce a typed address to the stored server root; null when invalid.
+     * Exposed so the Set Up card validates with the same rule.
+     */
+    normaliseBaseUrl: normaliseBaseUrl,
+
+    /**
+     * The configured server root, or null when the Set Up card has none.
+     * @returns {string|null}
+     */
+    getBaseUrl() {
+      return readBaseUrl(null);
+    },
+
+    /**
+     * The most recent discovery for the CONFIGURED server — models, server
+     * kind and when it ran — or null. A cache left over from a different
+     * address is ignored rather than shown against the new one.
+     *
+     * @returns {{baseUrl: string, server: string, serverLabel: string,
+     *            discoveredAt: number, models: Array}|null}
+     */
+    getDiscovery() {
+      const root = readBaseUrl(null);
+      const cache = readCache();
+      if (!root || !cache || cache.baseUrl !== root) return null;
+      return {
+        ...cache,
+        serverLabel: SERVER_LABELS[cache.server] || SERVER_LABELS.generic,
+        models: cache.models.map((m) => ({
+          ...m,
+          capabilities: (m.capabilities || []).slice(),
+        })),
+      };
+    },
+
+    /**
+     * The discovered models in the unified selector shape (copies). Read
+     * synchronously by EmbedModelSelector.getEligibleModels in place of
+     * window.modelRegistry. Empty until a discovery has succeeded.
+     *
+     * @returns {Array<Object>}
+     */
+    listModels() {
+      const discovery = this.getDiscovery();
+      return discovery ? discovery.models : [];
+    },
+
+    /**
+     * Ask the server which models it has, probe their capabilities, cache the
+     * result and dispatch MODELS_EVENT. A failure throws (with a sentence a
+     * person can act on) and leaves the previous cache untouched, so a server
+     * that is briefly down does not empty the Chat picker.
+     *
+     * @param {Object} [opts]
+     * @param {string} [opts.baseUrl] - probe this address instead of the stored one
+     * @param {AbortSignal} [opts.signal]
+     * @returns {Promise<{baseUrl: string, server: string, serverLabel: string,
+     *                    discoveredAt: number, models: Array}>}
+     */
+    async discoverModels(opts) {
+      const o = opts || {};
+      const root = o.baseUrl ? normaliseBaseUrl(o.baseUrl) : readBaseUrl(null);
+      if (!root) {
+        throw new Error(
+          "Enter an address starting with http:// or https://, for example " +
+            "http://localhost:11434.",
+        );
+      }
+
+      let json;
+      try {
+        const response = await fetchWithTimeout(
+          root + "/v1/models",
+          { method: "GET", headers: { Accept: "application/json" } },
+          DISCOVERY_TIMEOUT_MS,
+          o.signal,
+        );
+        if (!response.ok) {
+          throw new Error(
+            `The server at ${root} answered HTTP ${response.status} for ` +
+              "/v1/models. Check the address points at an OpenAI-compatible server.",
+          );
+        }
+        json = await response.json();
+      } catch (err) {
+        if (err && err.name === "AbortError") throw err;
+        if (err && err.name === "SyntaxError") {
+          throw new Error(
+            `The server at ${root} did not return a model list. Check the ` +
+              "address points at an OpenAI-compatible server.",
+          );
+        }
+        throw describeTransportError(err, root);
+      }
+
+      const entries = parseModelList(json);
+      const { server, hintsById } = await probeServer(root, entries);
+      const models = entries
+        .map((entry) => toUnifiedModel(entry, hintsById[entry.id], server))
+        .filter(Boolean);
+
+      const record = { baseUrl: root, server, discoveredAt: Date.now(), models };
+      writeCache(record);
+      announceModels(record);
+
+      logInfo("Local server discovery complete", {
+        server,
+        listed: entries.length,
+        chatModels: models.length,
+      });
+      return { ...record, serverLabel: SERVER_LABELS[server] };
+    },
+
+    /**
+     * Forget the discovered models (the Set Up card's Clear) and tell
+     * listeners the list is now empty.
+     */
+    clearModels() {
+      writeCache(null);
+      announceModels(null);
+    },
+
+    // Test seams for the diagnostic suite — pure, no network, no storage.
+    _parseModelList: parseModelList,
+    _inferCapabilities: inferCapabilities,
+    _createThinkSplitter: createThinkSplitter,
+  };
+
+  // ============================================================================
+  // SELF-REGISTRATION
+  // ============================================================================
+
+  if (
+    window.EmbedProviderRegistry &&
+    typeof window.EmbedProviderRegistry.register === "function"
+  ) {
+    try {
+      window.EmbedProviderRegistry.register(provider);
+      logInfo("Local model server (local-server) provider registered");
+    } catch (error) {
+      logError("Failed to register local model server provider:", error);
+    }
+  } else {
+    logError(
+      "EmbedProviderRegistry not available — script load order issue. " +
+        "providers/_interface.js must load before providers/local-server.js.",
+    );
+  }
+
+  // ============================================================================
+  // INITIALISATION LOG
+  // ============================================================================
+
+  logInfo("OpenRouter Embed Local Model Server Provider loaded");
+  logInfo("Provider id: 'local-server'");
+})();
@@ -15,7 +15,8 @@
  * for real transport; the OpenRouter provider may follow in a later iteration
  * if the OpenRouter client is itself folded into the provider abstraction.
  *
- * @version 1.0.0 (Stage 1, Task 1.2a)
+ * @version 1.1.0 (Tool calling — tools / tool_choice on the wire body)
+ *          1.0.0 (Stage 1, Task 1.2a)
  * @date 6 May 2026
  */
 
@@ -97,6 +98,9 @@
      * @param {number}  [options.reasoning.max_tokens]
      * @param {string}  [options.fileEngine] - PDF engine: 'native', 'pdf-text',
      *                                         'mistral-ocr', or 'auto'
+     * @param {Array<ToolDefinition>} [options.tools] - Canonical tools (see
+     *                                         providers/_interface.js)
+     * @param {ToolChoice} [options.tool_choice]
      * @returns {Object} Request body suitable for the OpenRouter chat-completions API
      */
     buildRequest(messages, options) {
@@ -152,6 +156,18 @@
         });
       }
 
+      // Tools, in the chat-completions function shape. Only added when tools
+      // are offered, so a tool-free request stays byte-compatible. Tool-call
+      // and tool-result messages are already in OpenRouter's shape and pass
+      // through in `messages` untouched.
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        const schema = window.EmbedToolSchema;
+        body.tools = schema.toChatCompletionsTools(options.tools);
+        const toolChoice = schema.toChatCompletionsToolChoice(options.tool_choice);
+        if (toolChoice !== undefined) body.tool_choice = toolChoice;
+        logDebug("Added tools", { count: body.tools.length });
+      }
+
       return body;
     },
 
@@ -0,0 +1,589 @@
+// Hand-maintained stylesheet assets, layered over the generated css.js by
+// index.js: an entry here replaces its generated namesake. tools/build-assets.mjs
+// and its source/templates/css/ sources live outside this repository, so a
+// change made inside css.js would be lost on the next regeneration. Keep style
+// changes to these entries here; once the template source carries them, delete
+// the entry so the generated copy is used again.
+//
+//   features/quiz.css — the "Try again" button and the hidden state of the
+//     attempt controls.
+//   accessibility/navigation-aids.css — the TOC scrollspy highlight and the
+//     "resume where you left off" prompt.
+
+export const maintainedCss = {
+  "features/quiz.css": `/* Quiz styling. Minimal but accessible-by-construction: generous click targets
+ * (WCAG 2.5.8), a visible focus ring inherited from focus-management.css, and
+ * feedback that conveys outcome with a text label as well as colour (never colour
+ * alone, WCAG 1.4.1). Fuller styling/theming lands with the wider quiz work. */
+
+/* Every question is one consistent card, matching the app's sidebar panels
+ * (surface fill + border + soft shadow), so all nine types read as the same
+ * component in both themes. */
+.quiz-question {
+  background: var(--surface-color);
+  border: 1px solid var(--sidebar-border);
+  border-radius: 8px;
+  padding: 1.25rem 1.5rem;
+  margin: 1.5rem 0;
+  box-shadow: 0 2px 8px var(--sidebar-shadow);
+  box-sizing: border-box;
+}
+
+/* "Question N" eyebrow. Overrides the global (large, underlined) <h2> so it reads
+ * as a small kicker above the prompt, not a section divider. */
+.quiz-question-heading {
+  margin: 0 0 0.75rem;
+  font-size: 0.8rem;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.06em;
+  color: var(--heading-color);
+  border-bottom: 0;
+}
+
+/* The card is the boundary now, so the fieldset itself is borderless — no
+ * box-in-a-box. Its legend becomes the bold question text, identical to the
+ * .quiz-stem used by the entry/ordering/matching types. */
+/* Fieldsets group multi-control answers, but the card is the visual boundary, so
+ * reset the browser's default border/padding. min-inline-size:0 stops a fieldset
+ * forcing a wider-than-content box. Covers the choice-family (.quiz-fieldset) and
+ * the entry/matching groups. */
+.quiz-fieldset,
+.quiz-entry-group,
+.quiz-match-group {
+  border: 0;
+  padding: 0;
+  margin: 0 0 0.5rem;
+  min-inline-size: 0;
+}
+
+.quiz-fieldset legend,
+.quiz-stem {
+  font-weight: 600;
+  font-size: 1.05rem;
+  padding: 0;
+}
+
+/* Each option is a generous, clickable target (>= 44px tall). */
+.quiz-option {
+  display: flex;
+  align-items: baseline;
+  gap: 0.6rem;
+  padding: 0.5rem 0.4rem;
+  min-height: 44px;
+  box-sizing: border-box;
+}
+
+.quiz-option input {
+  margin: 0;
+  /* 24px control so the radio/checkbox itself meets the target minimum
+   * (WCAG 2.5.8), on top of the 44px-tall option row. */
+  width: 1.5rem;
+  height: 1.5rem;
+  flex: 0 0 auto;
+}
+
+.quiz-option label {
+  flex: 1;
+}
+
+.quiz-actions {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin: 0.5rem 0;
+}
+
+/* Quiz buttons match the app's action buttons (theme-aware surface variables),
+   so they sit congruently with the sidebar controls in both light and dark. */
+.quiz-actions button {
+  font: inherit;
+  font-weight: 600;
+  border-radius: 6px;
+  padding: 0.55rem 1rem;
+  min-height: 44px;
+  cursor: pointer;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+  transition: background-color 0.2s ease, color 0.2s ease, border-color 0.2s ease,
+    transform 0.2s ease, box-shadow 0.2s ease;
+  /* Align an optional leading icon with the label (matches .action-button). */
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  gap: 0.5rem;
+}
+
+/* Leading button icon: monochrome, inherits the button text colour, never
+   shrinks. Decorative — the button's text label is the accessible name. */
+.quiz-actions button .quiz-icon {
+  flex-shrink: 0;
+  width: 1.1em;
+  height: 1.1em;
+}
+
+/* "Check answer" — neutral secondary. --body-bg so it lifts off the surface
+ * question card rather than blending into it. */
+.quiz-actions .quiz-check {
+  background: var(--body-bg);
+  color: var(--body-text);
+  border: 1px solid var(--sidebar-border);
+}
+
+.quiz-actions .quiz-check:hover {
+  background: var(--focus-bg);
+  border-color: var(--link-color);
+  transform: translateY(-1px);
+}
+
+/* "Submit quiz" / "Try again" / "Finish and return" — primary accent, like the
+ * back-to-top. */
+#quiz-submit,
+#quiz-retry,
+#quiz-finish {
+  background: var(--link-color);
+  color: var(--body-bg);
+  border: 2px solid var(--link-color);
+}
+
+/* The attempt controls swap by [hidden], which display: inline-flex would beat. */
+.quiz-actions button[hidden] {
+  display: none;
+}
+
+#quiz-submit:hover,
+#quiz-retry:hover,
+#quiz-finish:hover {
+  background: var(--link-hover);
+  border-color: var(--link-hover);
+  transform: translateY(-1px);
+}
+
+.quiz-actions button:focus-visible {
+  outline: 3px solid var(--focus-outline);
+  outline-offset: 2px;
+}
+
+.quiz-actions button:active {
+  transform: translateY(0);
+  box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
+}
+
+@media (prefers-reduced-motion: reduce) {
+  .quiz-actions button {
+    transition: none;
+  }
+  .quiz-actions button:hover,
+  .quiz-actions button:active {
+    transform: none;
+  }
+}
+
+/* Feedback: text label + colour, never colour alone (WCAG 1.4.1). */
+.quiz-feedback:empty {
+  margin: 0;
+}
+
+.quiz-feedback-box {
+  padding: 0.6rem 0.8rem;
+  border-left: 6px solid var(--body-text, #6b6b6b);
+  background: rgba(127, 127, 127, 0.1);
+  margin: 0.5rem 0 0;
+}
+
+.quiz-feedback-box.is-correct {
+  border-left-color: #1a7f37;
+  background: rgba(26, 127, 55, 0.12);
+}
+
+.quiz-feedback-box.is-incorrect {
+  border-left-color: #b42318;
+  background: rgba(180, 35, 24, 0.12);
+}
+
+.quiz-feedback-box.is-partial {
+  border-left-color: #9a6700;
+  background: rgba(154, 103, 0, 0.12);
+}
+
+.quiz-feedback-label {
+  font-weight: 700;
+}
+
+/* Generated "X of Y correct" count line for matching/ordering. */
+.quiz-feedback-count {
+  font-weight: 600;
+}
+
+/* Per-part validity badge: a visible text word ("Correct"/"Incorrect"/"Missed")
+ * beside a marked control — this TEXT is the non-colour cue (WCAG 1.4.1). The
+ * coloured border/background only reinforce it, and the text colour inherits the
+ * body colour so it stays legible in both themes. */
+.quiz-part-badge {
+  display: inline-block;
+  margin: 0 0.35rem;
+  padding: 0 0.45rem;
+  border-radius: 999px;
+  font-size: 0.8em;
+  font-weight: 700;
+  line-height: 1.7;
+  white-space: nowrap;
+  vertical-align: baseline;
+  color: var(--body-text);
+  border: 1px solid var(--body-text, #6b6b6b);
+  background: rgba(127, 127, 127, 0.12);
+}
+
+.quiz-part-badge--correct {
+  border-color: #1a7f37;
+  background: rgba(26, 127, 55, 0.15);
+}
+
+.quiz-part-badge--incorrect {
+  border-color: #b42318;
+  background: rgba(180, 35, 24, 0.15);
+}
+
+.quiz-part-badge--missed {
+  border-color: #9a6700;
+  background: rgba(154, 103, 0, 0.18);
+}
+
+/* Non-colour reinforcement on the marked control itself: a thicker border in the
+ * state colour. The badge text remains the primary signal. */
+.quiz-blank[data-state="incorrect"],
+.quiz-numeric[data-state="incorrect"],
+.quiz-inline-select[data-state="incorrect"],
+.quiz-match-select[data-state="incorrect"],
+.quiz-reorder-item[data-state="incorrect"] {
+  border-color: #b42318;
+  border-width: 2px;
+}
+
+.quiz-blank[data-state="correct"],
+.quiz-numeric[data-state="correct"],
+.quiz-inline-select[data-state="correct"],
+.quiz-match-select[data-state="correct"],
+.quiz-reorder-item[data-state="correct"] {
+  border-color: #1a7f37;
+  border-width: 2px;
+}
+
+/* The submit zone is a congruent final card, matching the question cards. */
+.quiz-results {
+  background: var(--surface-color);
+  border: 1px solid var(--sidebar-border);
+  border-radius: 8px;
+  padding: 1.25rem 1.5rem;
+  margin: 2rem 0;
+  box-shadow: 0 2px 8px var(--sidebar-shadow);
+  box-sizing: border-box;
+}
+
+.quiz-summary {
+  margin-top: 0.75rem;
+  font-weight: 600;
+}
+
+/* Practice-mode note (HTML export or formative SCORM: score not recorded). */
+.quiz-practice-note {
+  margin: 0 0 0.75rem;
+  padding: 0.6rem 0.8rem;
+  border-left: 6px solid var(--body-text, #6b6b6b);
+  background: rgba(127, 127, 127, 0.1);
+}
+
+/* Post-submit "finish" block shown once a score has been reported to the LMS. */
+.quiz-finish-block {
+  margin-top: 1rem;
+}
+
+.quiz-saved-note {
+  margin: 0 0 0.5rem;
+  font-weight: 600;
+}
+
+/* Neutral outcome (likert / unscored): grey, distinct from correct/incorrect. */
+.quiz-feedback-box.is-neutral {
+  border-left-color: var(--body-text, #6b6b6b);
+  background: rgba(127, 127, 127, 0.12);
+}
+
+/* Self-contained visually-hidden utility for programmatic labels (fill-in and
+ * select-in-text blanks) and the ordering status region: present to assistive
+ * tech, off-screen visually. Named to avoid clashing with host utilities. */
+.quiz-visually-hidden {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  margin: -1px;
+  padding: 0;
+  border: 0;
+  clip: rect(0 0 0 0);
+  clip-path: inset(50%);
+  overflow: hidden;
+  white-space: nowrap;
+}
+
+/* Prompt stem for the types with no <legend> (entry, ordering, matching). Font
+ * is shared with .quiz-fieldset legend above; this just sets its spacing. */
+.quiz-stem {
+  margin: 0 0 0.75rem;
+}
+
+/* Selection-limit hint for multiple-answer (referenced by aria-describedby). */
+.quiz-hint {
+  margin: 0 0 0.5rem;
+  font-size: 0.95em;
+  color: var(--body-text);
+}
+
+/* Sentence carrying inline blanks / selects (fill-in, numeric, select-in-text).
+ * line-height leaves room for the taller-than-text inputs to sit on the line. */
+.quiz-entry {
+  line-height: 2.2;
+}
+
+/* Blank/numeric text inputs and inline / matching selects share one control
+ * style. Their background is --body-bg so they read as insets against the
+ * --surface-color question card, and they meet the 44px target minimum. */
+.quiz-blank,
+.quiz-numeric,
+.quiz-inline-select,
+.quiz-match-select {
+  font: inherit;
+  min-height: 44px;
+  padding: 0.35rem 0.5rem;
+  border: 1px solid var(--sidebar-border, #6b6b6b);
+  border-radius: 4px;
+  background: var(--body-bg);
+  color: var(--body-text);
+  box-sizing: border-box;
+}
+
+/* Inline controls sit on a text baseline within the sentence. */
+.quiz-blank,
+.quiz-inline-select {
+  margin: 0 0.15rem;
+  vertical-align: baseline;
+}
+
+.quiz-blank {
+  width: 14ch;
+}
+
+.quiz-blank:focus-visible,
+.quiz-numeric:focus-visible,
+.quiz-inline-select:focus-visible,
+.quiz-match-select:focus-visible {
+  outline: 3px solid var(--focus-outline);
+  outline-offset: 2px;
+}
+
+/* Matching: a label + its select per row, wrapping on narrow screens. */
+.quiz-match-row {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem 0.75rem;
+  margin-bottom: 0.6rem;
+}
+
+.quiz-match-row label {
+  min-width: 8rem;
+  font-weight: 600;
+}
+
+.quiz-match-select {
+  min-width: 10rem;
+}
+
+/* Ordering: a bordered list whose items each carry Move up / Move down buttons
+ * (no drag — SC 2.5.7). Buttons meet the 44px target minimum. */
+.quiz-reorder-list {
+  list-style: none;
+  padding: 0;
+  margin: 0 0 0.75rem;
+}
+
+.quiz-reorder-item {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.4rem 0.6rem;
+  border: 1px solid var(--sidebar-border, #6b6b6b);
+  border-radius: 4px;
+  margin-bottom: 0.4rem;
+  background: var(--body-bg);
+}
+
+.quiz-item-text {
+  flex: 1;
+}
+
+.quiz-move-buttons {
+  display: flex;
+  gap: 0.4rem;
+}
+
+.quiz-move {
+  font: inherit;
+  min-height: 44px;
+  min-width: 44px;
+  padding: 0.4rem 0.7rem;
+  border: 1px solid var(--sidebar-border, #6b6b6b);
+  border-radius: 6px;
+  background: var(--body-bg);
+  color: var(--body-text);
+  cursor: pointer;
+}
+
+.quiz-move:hover:not([disabled]) {
+  background: var(--focus-bg);
+  border-color: var(--link-color);
+}
+
+.quiz-move:focus-visible {
+  outline: 3px solid var(--focus-outline);
+  outline-offset: 2px;
+}
+`,
+  "accessibility/navigation-aids.css": `/* ===== NAVIGATION AIDS ===== */
+
+/* Reading-progress bar (decorative). Sits just under the skip links. Uses the
+   heading-underline colour (--border-color) so it matches the document's accent
+   rule — rich purple in light mode, mint in dark. */
+#reading-progress {
+    position: fixed;
+    top: 0;
+    left: 0;
+    height: 4px;
+    width: 0;
+    background: var(--border-color);
+    z-index: 9999;
+    pointer-events: none;
+    transition: width 0.1s linear;
+}
+
+/* Back-to-top button — a real, focusable control shown once scrolled down.
+   Centred along the bottom edge for every output: inside an LMS both bottom
+   corners can be occupied (the host's floating help button bottom-right, the
+   narrow layout pushing controls bottom-left), and centring reads consistently
+   in the standalone HTML too. */
+#back-to-top {
+    position: fixed;
+    bottom: 1.5rem;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 9999;
+    display: none;
+    align-items: center;
+    gap: 0.35rem;
+    padding: 0.5rem 0.75rem;
+    background: var(--link-color);
+    color: var(--body-bg);
+    border: 2px solid var(--body-bg);
+    border-radius: 6px;
+    font: inherit;
+    font-size: 0.85rem;
+    cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+}
+
+#back-to-top.visible {
+    display: inline-flex;
+}
+
+/* Dark mode inside an LMS: Blackboard renders a white frame directly above our
+   content, so the mint reading-progress bar meets white at its top edge. Drop a
+   solid black line across the very top and nudge the bar down, giving the bar
+   strong contrast on both edges (black above, dark page below). Not needed in
+   light mode (page and frame are both light) or outside an LMS. */
+[data-theme="dark"] .scorm-runtime::before {
+    content: "";
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    height: 3px;
+    background: #000;
+    z-index: 9998;
+    pointer-events: none;
+}
+
+[data-theme="dark"] .scorm-runtime #reading-progress {
+    top: 3px;
+}
+
+#back-to-top:hover {
+    background: var(--link-hover);
+}
+
+#back-to-top:focus-visible {
+    outline: 2px solid var(--focus-outline);
+    outline-offset: 2px;
+}
+
+/* TOC scrollspy: the section being read. aria-current carries the state for
+   screen readers; the bar and weight give a cue that is not colour alone. */
+#toc a[aria-current="location"] {
+    font-weight: 700;
+    box-shadow: inset 3px 0 0 var(--border-color);
+    padding-left: 0.4rem;
+}
+
+/* "Resume where you left off" prompt (SCORM progress tracker), first in <main>. */
+.resume-prompt {
+    margin: 0 0 1.5rem;
+    padding: 0.75rem 1rem;
+    border: 2px solid var(--border-color);
+    border-radius: 6px;
+}
+
+.resume-prompt p {
+    margin: 0 0 0.5rem;
+}
+
+.resume-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+}
+
+.resume-actions button {
+    padding: 0.4rem 0.8rem;
+    font: inherit;
+    border: 2px solid var(--link-color);
+    border-radius: 6px;
+    background: var(--body-bg);
+    color: var(--link-color);
+    cursor: pointer;
+}
+
+.resume-actions .resume-go {
+    background: var(--link-color);
+    color: var(--body-bg);
+}
+
+.resume-actions button:focus-visible {
+    outline: 2px solid var(--focus-outline);
+    outline-offset: 2px;
+}
+
+@media (prefers-reduced-motion: reduce) {
+    #reading-progress {
+        transition: none;
+    }
+}
+
+@media (max-width: 900px) {
+    #back-to-top .back-to-top-text {
+        /* keep the control compact on small screens */
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+    }
+}
+`,
+};
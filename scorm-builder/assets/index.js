@@ -1,11 +1,18 @@
 // Synchronous accessors over the generated asset maps. Hand-written (not
 // generated): the *.js siblings here are pure data produced by
-// tools/build-assets.mjs. No fetch, no fs — assets are baked in at import time.
+// tools/build-assets.mjs, except *-maintained.js, whose hand-kept entries
+// replace their generated namesakes. No fetch, no fs — assets are baked in at
+// import time.
 
 import { fonts } from "./fonts.js";
-import { css } from "./css.js";
+import { css as generatedCss } from "./css.js";
 import { templates } from "./templates.js";
-import { scripts } from "./scripts.js";
+import { scripts as generatedScripts } from "./scripts.js";
+import { maintainedCss } from "./css-maintained.js";
+import { maintainedScripts } from "./scripts-maintained.js";
+
+const css = { ...generatedCss, ...maintainedCss };
+const scripts = { ...generatedScripts, ...maintainedScripts };
 
 export { fonts, css, templates, scripts };
 
@@ -0,0 +1,1204 @@
+// Hand-maintained script assets, layered over the generated scripts.js by
+// index.js: an entry here replaces its generated namesake. tools/build-assets.mjs
+// and its source/templates/js/ sources live outside this repository, so a change
+// made inside scripts.js would be lost on the next regeneration. Keep runtime
+// changes to these entries here; once the template source carries them, delete
+// the entry so the generated copy is used again.
+//
+//   quiz-runtime.js — cmi5/xAPI score reporting (cmi5/runtime.js), question pools
+//     with seeded draws, attempt limits and suspend_data persistence, and the
+//     completion hand-off to progress tracking (scorm/progress-tracker.js).
+//   navigation-aids.js — the TOC scrollspy and its "section:current" event for
+//     the progress tracker's sections-viewed completion.
+
+export const maintainedScripts = {
+  "quiz-runtime.js": `// Quiz runtime: drive the accessible quiz questions that enhancers/quiz.js baked
+// into the page. For each question it reads the sibling answers block, scores the
+// learner's response on "Check answer", and shows two-level feedback through a
+// polite live region. A single "Submit quiz" control rolls the questions up into
+// an overall score and announces it.
+//
+// SCORM bridge (guarded): when this build enabled score reporting AND the page is
+// running inside an LMS (window.SCORM.reportScore exists), submitting reports the
+// rolled-up score to the gradebook and offers a "Finish and return" control. In a
+// standalone HTML export window.SCORM is absent, so the very same runtime shows a
+// local results summary and a note that the score is not saved anywhere.
+//
+// Every checked answer is also announced as a "quiz:answered" DOM event
+// ({ id, type, response, score, points, outcome }) for trackers that record
+// per-question data, such as the cmi5 runtime.
+//
+// Pools and attempts: the build's data-quiz-config block (enhancers/quiz.js) can
+// name question pools ("draw 5 of these 20"), an attempt limit, a pass mark and
+// question shuffling. The draw and every shuffle come from a PRNG seeded by the
+// learner id and attempt number, and the draw, answers and results are saved
+// through window.SCORM.saveState (cmi.suspend_data, or the cmi5 State API), so a
+// resumed session shows the same questions with the same answers filled in.
+//
+// This file is a template rendered at build time: {{quizReportScore}} and
+// {{quizMasteryScore}} come from the script context (see script-orchestrator.js).
+
+(function () {
+    "use strict";
+
+    // Baked-in build config.
+    var REPORT_SCORE = {{quizReportScore}};   // SCORM target only
+    var MASTERY_PERCENT = {{quizMasteryScore}}; // pass threshold, 0–100
+
+    // Leading button icons: monochrome line art in currentColor, aria-hidden
+    // (the button text is the accessible name). Match the app's icon style and
+    // the build-time "Check answer" icon in enhancers/quiz.js.
+    var ICON_ATTRS = 'class="quiz-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" ' +
+        'stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"';
+    var SUBMIT_ICON = '<svg ' + ICON_ATTRS + '><path d="M22 2 11 13"/><path d="M22 2 15 22l-4-9-9-4 20-7z"/></svg>';
+    var RETRY_ICON = '<svg ' + ICON_ATTRS + '><path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><path d="M3 3v5h5"/></svg>';
+    var FINISH_ICON = '<svg ' + ICON_ATTRS + '><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/>' +
+        '<path d="m16 17 5-5-5-5"/><path d="M21 12H9"/></svg>';
+
+    var STATE_KEY = "quiz";
+    var STATE_VERSION = 1;
+
+    // The running attempt once setup() has run: { config, state, entries, active,
+    // panel, homes }. Null until then (and nothing is saved before it exists).
+    var session = null;
+
+    // True only when this build wants to report AND an LMS API is actually here.
+    function reportingActive() {
+        return REPORT_SCORE && window.SCORM && typeof window.SCORM.reportScore === "function";
+    }
+
+    // Read the authored question object out of a question section's answers block.
+    function readAnswers(root) {
+        var el = root.querySelector('[data-quiz-answers]');
+        if (!el) return null;
+        try {
+            return JSON.parse(el.textContent);
+        } catch (e) {
+            console.error("[quiz] could not parse answers for", root.getAttribute("data-quiz-question-root"), e);
+            return null;
+        }
+    }
+
+    // --- Seeded randomness -----------------------------------------------------
+    // FNV-1a: a string to a 32-bit seed.
+    function hashString(s) {
+        var h = 0x811c9dc5;
+        for (var i = 0; i < s.length; i += 1) {
+            h ^= s.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h >>> 0;
+    }
+
+    // mulberry32: a small, fast PRNG — plenty for shuffling questions — that
+    // replays the same sequence for the same seed.
+    function seededRandom(seed) {
+        var a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            var t = Math.imul(a ^ (a >>> 15), a | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function shuffleInPlace(list, random) {
+        for (var i = list.length - 1; i > 0; i -= 1) {
+            var j = Math.floor(random() * (i + 1));
+            var tmp = list[i]; list[i] = list[j]; list[j] = tmp;
+        }
+        return list;
+    }
+
+    // Shuffle the DISPLAY order of a question's options on load (opt-in per
+    // question via data-quiz-shuffle). The build output stays deterministic; each
+    // radio keeps its value=optionId, so scoring by id is unaffected by order.
+    function shuffleOptions(root, random) {
+        var fieldset = root.querySelector(".quiz-fieldset");
+        if (!fieldset) return;
+        var opts = shuffleInPlace(Array.prototype.slice.call(fieldset.querySelectorAll(".quiz-option")), random);
+        // Re-append in the new order (appendChild moves existing nodes).
+        opts.forEach(function (o) { fieldset.appendChild(o); });
+    }
+
+    // --- Ordering interaction (no drag — SC 2.5.7) ---------------------------
+    function orderIds(lis) {
+        return lis.map(function (li) { return li.getAttribute("data-item-id"); });
+    }
+
+    function ordersEqual(a, b) {
+        if (a.length !== b.length) return false;
+        for (var i = 0; i < a.length; i += 1) { if (a[i] !== b[i]) return false; }
+        return true;
+    }
+
+    // Present an ordering question in a NON-correct start order, so there is
+    // something to arrange. Fisher-Yates, reshuffling if it lands on the correct
+    // order; a two-item list has only two arrangements, so swap as a fallback.
+    function shuffleOrdering(list, q, random) {
+        var lis = Array.prototype.slice.call(list.children);
+        var correct = (q.body && q.body.correctOrder) || [];
+        var attempts = 0;
+        do {
+            shuffleInPlace(lis, random);
+            attempts += 1;
+        } while (ordersEqual(orderIds(lis), correct) && attempts < 20);
+        if (ordersEqual(orderIds(lis), correct) && lis.length >= 2) {
+            var t = lis[0]; lis[0] = lis[1]; lis[1] = t; // rotate-by-one fallback
+        }
+        lis.forEach(function (li) { list.appendChild(li); });
+    }
+
+    // Move one item up (-1) or down (1). Buttons are always enabled (never
+    // disabled), so a press at a boundary is a no-op that announces "already at
+    // the top/bottom" and keeps focus put; a real move announces the new position
+    // and keeps focus on the pressed button as it travels with the item. Keeping
+    // buttons enabled is what avoids the disabled-button focus trap.
+    function moveItem(li, direction, list, statusEl, pressedBtn) {
+        var word = li.querySelector(".quiz-item-text").textContent;
+        var canMove = direction === -1 ? li.previousElementSibling : li.nextElementSibling;
+        if (!canMove) {
+            if (statusEl) {
+                statusEl.textContent = word + " is already at the " + (direction === -1 ? "top" : "bottom") + ".";
+            }
+            if (pressedBtn) pressedBtn.focus();
+            return;
+        }
+        if (direction === -1) {
+            list.insertBefore(li, li.previousElementSibling);
+        } else {
+            list.insertBefore(li.nextElementSibling, li);
+        }
+        var position = Array.prototype.indexOf.call(list.children, li) + 1;
+        if (statusEl) {
+            statusEl.textContent = word + " moved to position " + position + " of " + list.children.length;
+        }
+        clearOrderingMarks(list); // positions changed — any prior check marks are stale
+        // The pressed button travelled with the item and is still enabled.
+        if (pressedBtn) pressedBtn.focus();
+    }
+
+    // Wire the move buttons. The start order is set per attempt (prepareQuestion).
+    function initOrdering(root) {
+        var list = root.querySelector(".quiz-reorder-list");
+        if (!list) return;
+        var statusEl = root.querySelector("[data-reorder-status]");
+        Array.prototype.forEach.call(list.querySelectorAll(".quiz-move"), function (btn) {
+            btn.addEventListener("click", function () {
+                var li = btn.closest ? btn.closest("[data-item-id]") : btn.parentNode.parentNode;
+                if (!li) return;
+                var dir = btn.getAttribute("data-dir") === "up" ? -1 : 1;
+                moveItem(li, dir, list, statusEl, btn);
+                saveProgress();
+            });
+        });
+    }
+
+    // --- Reading responses per type -----------------------------------------
+    // Each reader turns a question's DOM controls into its learner response, in
+    // the shape the matching scorer expects. Registered in READERS by type.
+    function readChoiceSingle(q, root) {
+        // multiple-choice, true-false, likert: one radio group, value = chosen id.
+        var picked = root.querySelector('input[name="' + cssEscape(q.id) + '"]:checked');
+        return picked ? picked.value : null;
+    }
+
+    function readChoiceMulti(q, root) {
+        // multiple-answer: every checked box, as an array of option ids.
+        var checked = root.querySelectorAll('input[name="' + cssEscape(q.id) + '"]:checked');
+        return Array.prototype.map.call(checked, function (el) { return el.value; });
+    }
+
+    function readBlanks(q, root) {
+        // fill-in-the-blank: a map of blank id -> typed text.
+        var answers = {};
+        var inputs = root.querySelectorAll("input[data-blank]");
+        Array.prototype.forEach.call(inputs, function (el) {
+            answers[el.getAttribute("data-blank")] = el.value;
+        });
+        return answers;
+    }
+
+    function readNumeric(q, root) {
+        var el = root.querySelector("input[data-numeric]");
+        return el ? el.value : "";
+    }
+
+    function readOrdering(q, root) {
+        // The item ids in their current on-screen order.
+        var items = root.querySelectorAll(".quiz-reorder-list [data-item-id]");
+        return Array.prototype.map.call(items, function (li) { return li.getAttribute("data-item-id"); });
+    }
+
+    function readMatching(q, root) {
+        // A map of prompt id -> chosen choice id ("" when unset).
+        var pairs = {};
+        var selects = root.querySelectorAll("select[data-prompt]");
+        Array.prototype.forEach.call(selects, function (sel) {
+            pairs[sel.getAttribute("data-prompt")] = sel.value;
+        });
+        return pairs;
+    }
+
+    function readSelectInText(q, root) {
+        var picks = {};
+        var selects = root.querySelectorAll("select[data-select]");
+        Array.prototype.forEach.call(selects, function (sel) {
+            picks[sel.getAttribute("data-select")] = sel.value;
+        });
+        return picks;
+    }
+
+    // --- Restoring responses per type ------------------------------------------
+    // The inverse of the readers: put a saved response back into the controls. A
+    // null response clears them (a fresh attempt). Registered in WRITERS by type.
+    function writeChoiceSingle(q, root, response) {
+        Array.prototype.forEach.call(root.querySelectorAll('input[name="' + cssEscape(q.id) + '"]'), function (el) {
+            el.checked = response != null && el.value === response;
+        });
+    }
+
+    function writeChoiceMulti(q, root, response) {
+        var picked = {};
+        (response || []).forEach(function (id) { picked[id] = true; });
+        Array.prototype.forEach.call(root.querySelectorAll('input[name="' + cssEscape(q.id) + '"]'), function (el) {
+            el.checked = picked[el.value] === true;
+        });
+    }
+
+    function writeKeyed(selector, attr) {
+        return function (q, root, response) {
+            Array.prototype.forEach.call(root.querySelectorAll(selector), function (el) {
+                var value = response ? response[el.getAttribute(attr)] : null;
+                el.value = value == null ? "" : value;
+            });
+        };
+    }
+
+    function writeNumeric(q, root, response) {
+        var el = root.querySelector("input[data-numeric]");
+        if (el) el.value = response == null ? "" : response;
+    }
+
+    function writeOrdering(q, root, response) {
+        var list = root.querySelector(".quiz-reorder-list");
+        if (!list || !response) return;
+        response.forEach(function (id) {
+            var li = list.querySelector('[data-item-id="' + cssEscape(id) + '"]');
+            if (li) list.appendChild(li);
+        });
+    }
+
+    // Normalise a fill-in answer for comparison: trim, lowercase, and optionally
+    // drop punctuation, each governed by the blank's \`match\` options.
+    function normaliseText(value, match) {
+        var text = String(value == null ? "" : value);
+        match = match || {};
+        if (match.trimWhitespace !== false) text = text.replace(/^\\s+|\\s+$/g, "");
+        if (match.caseSensitive !== true) text = text.toLowerCase();
+        if (match.ignorePunctuation === true) text = text.replace(/[^\\w\\s]/g, "");
+        return text;
+    }
+
+    // --- Scoring per type ----------------------------------------------------
+    // Each scorer returns { score, detail } where detail is an array of per-answer
+    // feedback RichText objects to show when showAnswerFeedback is on. Registered
+    // in SCORERS by type. The contract is unchanged so checkQuestion/submitQuiz
+    // need no per-type knowledge.
+    function scoreMultipleChoice(q, response) {
+        var detail = [];
+        var chosen = (q.body.options || []).find(function (o) { return o.id === response; });
+        var correct = !!(chosen && chosen.correct);
+        if (chosen && chosen.feedback) detail.push(chosen.feedback);
+        return { score: correct ? (q.points || 0) : 0, detail: detail };
+    }
+
+    function scoreTrueFalse(q, response) {
+        var correct = String(q.body.correctAnswer) === response;
+        return { score: correct ? (q.points || 0) : 0, detail: [] };
+    }
+
+    // Opinion only: never scored, never affects the roll-up denominator (points
+    // is 0). Any per-scale feedback stays outcome-level (neutral).
+    function scoreLikert(q, response) {
+        return { score: 0, detail: [] };
+    }
+
+    // Award opt.score for each selected option (correct ones positive; wrong ones
+    // negative but only subtracted when penaliseIncorrect), or all-or-nothing when
+    // the chosen set must match the correct set exactly. Missed-correct options
+    // contribute feedbackWhenMissed. Clamp to [minScore, points].
+    function scoreMultipleAnswer(q, response) {
+        var detail = [];
+        var picked = {};
+        (response || []).forEach(function (id) { picked[id] = true; });
+        var options = q.body.options || [];
+        var scoring = q.scoring || {};
+        var penalise = scoring.penaliseIncorrect === true;
+        var points = q.points || 0;
+
+        // Per-option validity is independent of the scoring method: a picked
+        // correct option is correct, a picked wrong one is incorrect, and an
+        // unpicked correct one was missed. Unpicked wrong options get no mark.
+        var parts = [];
+        options.forEach(function (opt) {
+            if (picked[opt.id] && opt.correct) parts.push({ part: opt.id, state: "correct" });
+            else if (picked[opt.id] && !opt.correct) parts.push({ part: opt.id, state: "incorrect" });
+            else if (!picked[opt.id] && opt.correct) parts.push({ part: opt.id, state: "missed" });
+        });
+
+        var score;
+        if (scoring.method === "per-option") {
+            score = 0;
+            options.forEach(function (opt) {
+                if (picked[opt.id]) {
+                    var s = (typeof opt.score === "number") ? opt.score : (opt.correct ? 1 : 0);
+                    if (s < 0 && !penalise) s = 0;
+                    score += s;
+                } else if (opt.correct && opt.feedbackWhenMissed) {
+                    detail.push(opt.feedbackWhenMissed);
+                }
+                if (picked[opt.id] && opt.feedback) detail.push(opt.feedback);
+            });
+            var minScore = (typeof scoring.minScore === "number") ? scoring.minScore : 0;
+            score = Math.max(minScore, Math.min(score, points));
+        } else {
+            // all-or-nothing: selected set equals correct set exactly.
+            var exact = options.every(function (opt) {
+                return !!picked[opt.id] === (opt.correct === true);
+            });
+            score = exact ? points : 0;
+            options.forEach(function (opt) {
+                if (picked[opt.id]) { if (opt.feedback) detail.push(opt.feedback); }
+                else if (opt.correct && opt.feedbackWhenMissed) { detail.push(opt.feedbackWhenMissed); }
+            });
+        }
+        return { score: score, detail: detail, parts: parts };
+    }
+
+    // Per-blank partial credit: each blank scores an equal share of points when
+    // any of its expected answers matches (after normalisation). Per-blank
+    // correct/incorrect feedback flows into detail.
+    function scoreFillIn(q, response) {
+        var detail = [];
+        var parts = [];
+        var blanks = q.body.blanks || [];
+        var per = blanks.length ? (q.points || 0) / blanks.length : 0;
+        var score = 0;
+        blanks.forEach(function (blank) {
+            var given = normaliseText(response ? response[blank.id] : "", blank.match);
+            var ok = (blank.expected || []).some(function (exp) {
+                return normaliseText(exp, blank.match) === given;
+            });
+            if (ok) score += per;
+            parts.push({ part: blank.id, state: ok ? "correct" : "incorrect" });
+            if (blank.feedback) {
+                var msg = ok ? blank.feedback.correct : blank.feedback.incorrect;
+                if (msg) detail.push(msg);
+            }
+        });
+        return { score: Math.round(score * 100) / 100, detail: detail, parts: parts };
+    }
+
+    function scoreNumeric(q, response) {
+        var detail = [];
+        var value = parseFloat(response);
+        var tolerance = (typeof q.body.tolerance === "number") ? q.body.tolerance : 0;
+        var ok = !isNaN(value) && Math.abs(value - q.body.expected) <= tolerance;
+        if (q.body.feedback) {
+            var msg = ok ? q.body.feedback.correct : q.body.feedback.incorrect;
+            if (msg) detail.push(msg);
+        }
+        return { score: ok ? (q.points || 0) : 0, detail: detail, parts: [{ part: "value", state: ok ? "correct" : "incorrect" }] };
+    }
+
+    // Per-position (a share of points for each item in its correct place) or
+    // all-or-nothing (full points only when every item is in place). Ordering
+    // feedback stays outcome-level per the spec, so detail is always empty.
+    function scoreOrdering(q, response) {
+        var order = q.body.correctOrder || [];
+        var method = (q.scoring && q.scoring.method) || "all-or-nothing";
+        var points = q.points || 0;
+        var inPlace = 0;
+        var parts = [];
+        response.forEach(function (id, i) {
+            var ok = id === order[i];
+            if (ok) inPlace += 1;
+            parts.push({ part: id, state: ok ? "correct" : "incorrect" });
+        });
+        var score;
+        if (method === "per-position") {
+            score = order.length ? (points * inPlace) / order.length : 0;
+        } else {
+            score = (inPlace === order.length) ? points : 0;
+        }
+        return { score: Math.round(score * 100) / 100, detail: [], parts: parts };
+    }
+
+    // Per-pair (a share of points for each prompt matched to its correct choice)
+    // or all-or-nothing. Outcome-level feedback only, per the spec.
+    function scoreMatching(q, response) {
+        var pairs = q.body.correctPairs || [];
+        var method = (q.scoring && q.scoring.method) || "all-or-nothing";
+        var points = q.points || 0;
+        var right = 0;
+        var parts = [];
+        pairs.forEach(function (pair) {
+            var ok = response[pair.prompt] === pair.choice;
+            if (ok) right += 1;
+            parts.push({ part: pair.prompt, state: ok ? "correct" : "incorrect" });
+        });
+        var score;
+        if (method === "per-pair") {
+            score = pairs.length ? (points * right) / pairs.length : 0;
+        } else {
+            score = (right === pairs.length) ? points : 0;
+        }
+        return { score: Math.round(score * 100) / 100, detail: [], parts: parts };
+    }
+
+    // All-or-nothing per select, summed across selects for partial credit. Also
+    // surfaces the chosen option's authored feedback (choice family, like MC).
+    function scoreSelectInText(q, response) {
+        var selects = q.body.selects || [];
+        var per = selects.length ? (q.points || 0) / selects.length : 0;
+        var score = 0;
+        var detail = [];
+        var parts = [];
+        selects.forEach(function (sel) {
+            var options = sel.options || [];
+            var correct = options.find(function (o) { return o.correct; });
+            var chosenId = response[sel.id];
+            var ok = !!(correct && chosenId === correct.id);
+            if (ok) score += per;
+            parts.push({ part: sel.id, state: ok ? "correct" : "incorrect" });
+            var chosen = options.find(function (o) { return o.id === chosenId; });
+            if (chosen && chosen.feedback) detail.push(chosen.feedback);
+        });
+        return { score: Math.round(score * 100) / 100, detail: detail, parts: parts };
+    }
+
+    // --- Dispatch tables -----------------------------------------------------
+    // Add a type by registering a reader and a scorer. An unknown type reads null
+    // and scores 0 rather than throwing.
+    var READERS = {
+        "multiple-choice": readChoiceSingle,
+        "true-false": readChoiceSingle,
+        "likert": readChoiceSingle,
+        "multiple-answer": readChoiceMulti,
+        "fill-in-the-blank": readBlanks,
+        "numeric": readNumeric,
+        "ordering": readOrdering,
+        "matching": readMatching,
+        "select-in-text": readSelectInText
+    };
+
+    var SCORERS = {
+        "multiple-choice": scoreMultipleChoice,
+        "true-false": scoreTrueFalse,
+        "likert": scoreLikert,
+        "multiple-answer": scoreMultipleAnswer,
+        "fill-in-the-blank": scoreFillIn,
+        "numeric": scoreNumeric,
+        "ordering": scoreOrdering,
+        "matching": scoreMatching,
+        "select-in-text": scoreSelectInText
+    };
+
+    var WRITERS = {
+        "multiple-choice": writeChoiceSingle,
+        "true-false": writeChoiceSingle,
+        "likert": writeChoiceSingle,
+        "multiple-answer": writeChoiceMulti,
+        "fill-in-the-blank": writeKeyed("input[data-blank]", "data-blank"),
+        "numeric": writeNumeric,
+        "ordering": writeOrdering,
+        "matching": writeKeyed("select[data-prompt]", "data-prompt"),
+        "select-in-text": writeKeyed("select[data-select]", "data-select")
+    };
+
+    function readResponse(q, root) {
+        var reader = READERS[q.type];
+        return reader ? reader(q, root) : null;
+    }
+
+    function scoreQuestion(q, response) {
+        var scorer = SCORERS[q.type];
+        return scorer ? scorer(q, response) : { score: 0, detail: [] };
+    }
+
+    function outcomeFor(q, score) {
+        if (q.type === "likert") return "neutral"; // recorded, never judged
+        var points = q.points || 0;
+        if (score >= points && points > 0) return "correct";
+        if (score <= 0) return "incorrect";
+        return "partiallyCorrect";
+    }
+
+    // --- Feedback rendering --------------------------------------------------
+    var LABELS = { correct: "Correct", incorrect: "Not quite", partiallyCorrect: "Partially correct", neutral: "Answer recorded" };
+    var CLASSES = { correct: "is-correct", incorrect: "is-incorrect", partiallyCorrect: "is-partial", neutral: "is-neutral" };
+
+    function renderFeedback(q, root, outcome, detail) {
+        var region = root.querySelector('[data-quiz-feedback]');
+        if (!region) return;
+        region.innerHTML = "";
+
+        var fb = q.feedback || {};
+        var outcomeMsg = (fb.byOutcome && fb.byOutcome[outcome]) || fb.default;
+        if (outcomeMsg) {
+            var box = document.createElement("div");
+            box.className = "quiz-feedback-box " + (CLASSES[outcome] || "");
+            box.innerHTML = '<span class="quiz-feedback-label">' + LABELS[outcome] + '.</span> ' + (outcomeMsg.html || "");
+            region.appendChild(box);
+        }
+
+        if (fb.showAnswerFeedback) {
+            detail.forEach(function (msg) {
+                if (!msg || !msg.html) return;
+                var d = document.createElement("div");
+                d.className = "quiz-feedback-box";
+                d.innerHTML = msg.html;
+                region.appendChild(d);
+            });
+        }
+    }
+
+    // --- Per-part validity ---------------------------------------------------
+    // On check, mark each individually wrong control so the learner knows WHICH
+    // part is wrong (SC 3.3.1), not just the overall outcome. The visible text
+    // badge is the non-colour cue (SC 1.4.1); aria-invalid carries the state to
+    // assistive tech for form controls. Cleared per-control when the learner edits.
+    var STATE_LABELS = { correct: "Correct", incorrect: "Incorrect", missed: "Missed" };
+
+    function isFormControl(el) {
+        return el.tagName === "INPUT" || el.tagName === "SELECT" || el.tagName === "TEXTAREA";
+    }
+
+    // Where a control's badge lives: appended to its option row (checkboxes), to
+    // the ordering <li>, else placed right after the control (inline blanks/selects).
+    function badgeHost(el) {
+        if (el.tagName === "LI") return el;
+        return (el.closest && el.closest(".quiz-option")) || null;
+    }
+
+    function removeBadge(el) {
+        var host = badgeHost(el);
+        var existing = host ? host.querySelector(".quiz-part-badge")
+                            : (el.nextElementSibling && el.nextElementSibling.classList &&
+                               el.nextElementSibling.classList.contains("quiz-part-badge")
+                               ? el.nextElementSibling : null);
+        if (existing && existing.parentNode) existing.parentNode.removeChild(existing);
+    }
+
+    function setBadge(el, state) {
+        removeBadge(el);
+        var badge = document.createElement("span");
+        badge.className = "quiz-part-badge quiz-part-badge--" + state;
+        badge.textContent = STATE_LABELS[state] || "";
+        var host = badgeHost(el);
+        if (el.tagName === "LI") {
+            el.appendChild(badge); // no aria-invalid on <li>, so keep it readable
+        } else {
+            // aria-invalid already conveys state to AT; the badge is a visual cue.
+            badge.setAttribute("aria-hidden", "true");
+            if (host) host.appendChild(badge);
+            else el.parentNode.insertBefore(badge, el.nextSibling);
+        }
+    }
+
+    function applyValidity(root, parts) {
+        if (!parts) return;
+        parts.forEach(function (p) {
+            var el = root.querySelector('[data-part="' + cssEscape(p.part) + '"]');
+            if (!el) return;
+            el.setAttribute("data-state", p.state);
+            if (isFormControl(el)) {
+                if (p.state === "correct") el.removeAttribute("aria-invalid");
+                else el.setAttribute("aria-invalid", "true");
+            }
+            setBadge(el, p.state);
+        });
+    }
+
+    function clearPart(el) {
+        el.removeAttribute("data-state");
+        el.removeAttribute("aria-invalid");
+        removeBadge(el);
+    }
+
+    // Ordering rebuilds positions on every move, so its per-item marks go stale.
+    function clearOrderingMarks(list) {
+        Array.prototype.forEach.call(list.querySelectorAll("[data-part]"), clearPart);
+    }
+
+    function countCorrect(parts) {
+        var n = 0;
+        parts.forEach(function (p) { if (p.state === "correct") n += 1; });
+        return n;
+    }
+
+    // A generated "X of Y" line for matching/ordering, whose authored feedback the
+    // schema deliberately keeps outcome-level. Appended to the feedback region.
+    function appendCountLine(root, text) {
+        var region = root.querySelector('[data-quiz-feedback]');
+        if (!region) return;
+        var d = document.createElement("div");
+        d.className = "quiz-feedback-box quiz-feedback-count";
+        d.textContent = text;
+        region.appendChild(d);
+    }
+
+    // Score one question and paint its feedback; returns { score, points }.
+    function checkQuestion(entry) {
+        var q = entry.q, root = entry.root;
+        var response = readResponse(q, root);
+        var result = scoreQuestion(q, response);
+        var outcome = outcomeFor(q, result.score);
+        renderFeedback(q, root, outcome, result.detail);
+        applyValidity(root, result.parts);
+        // Matching/ordering keep authored feedback outcome-level, so surface a
+        // generated count of the parts the learner got right.
+        if (result.parts && (q.type === "matching" || q.type === "ordering")) {
+            var right = countCorrect(result.parts), total = result.parts.length;
+            appendCountLine(root, q.type === "matching"
+                ? right + " of " + total + (total === 1 ? " pair correct" : " pairs correct")
+                : right + " of " + total + " in the right place");
+        }
+        entry.answered = response != null;
+        entry.lastScore = result.score;
+        announceAnswer(entry, response, result.score, outcome);
+        return { score: result.score, points: q.points || 0 };
+    }
+
+    // Tell any listening tracker what was answered (the cmi5 runtime turns this
+    // into an xAPI "answered" statement). A DOM event, not a window.SCORM call, so
+    // the SCORM wrappers — which record nothing per question — need no stub, and
+    // the standalone export simply has no listener.
+    function announceAnswer(entry, response, score, outcome) {
+        try {
+            document.dispatchEvent(new CustomEvent("quiz:answered", {
+                detail: {
+                    id: entry.q.id,
+                    type: entry.q.type,
+                    response: response,
+                    score: score,
+                    points: entry.q.points || 0,
+                    outcome: outcome
+                }
+            }));
+        } catch (e) { /* CustomEvent unavailable — nothing can be listening */ }
+    }
+
+    // --- Overall submit + results -------------------------------------------
+    function scoreMessage(result) {
+        var msg = "Your score is " + roundish(result.raw) + " out of " + roundish(result.max) + ", " + result.percent + " percent.";
+        if (result.max > 0) msg += result.passed ? " You passed." : " You did not reach the pass mark.";
+        return msg;
+    }
+
+    function submitQuiz() {
+        var panel = session.panel;
+        var summaryEl = panel.querySelector(".quiz-summary");
+        var raw = 0, max = 0;
+        session.active.forEach(function (entry) {
+            var r = checkQuestion(entry);
+            raw += r.score;
+            max += r.points;
+        });
+
+        var percent = max > 0 ? Math.round((raw / max) * 100) : 0;
+        var passed = percent >= passMark(session.config);
+        var result = { raw: raw, max: max, percent: percent, passed: passed };
+        summaryEl.textContent = scoreMessage(result);
+
+        session.state.results.push(result);
+        saveProgress();
+        showAttemptStatus();
+
+        // Guarded SCORM report: only when this build enabled it and the LMS API is
+        // present. Standalone HTML exports simply skip this and show the text.
+        if (reportingActive()) {
+            try {
+                window.SCORM.reportScore(raw, 0, max, passed);
+                revealFinish(panel);
+            } catch (e) {
+                console.error("[quiz] SCORM reportScore failed:", e);
+            }
+        }
+        // For the SCORM progress tracker's "quiz attempted" completion rule.
+        document.dispatchEvent(new CustomEvent("quiz:submitted", { detail: result }));
+        return result;
+    }
+
+    // After a score has been reported, offer a clear way to end the attempt and
+    // return to the LMS, so learners are not left hunting for the LMS's own close
+    // control. Shown once. Exit support varies by LMS, so we also keep the note.
+    function revealFinish(panel) {
+        if (panel.querySelector("#quiz-finish")) return;
+        var block = document.createElement("div");
+        block.className = "quiz-finish-block";
+        block.innerHTML =
+            '<p class="quiz-saved-note">Your score has been saved to the gradebook. You can now finish and return to the course.</p>' +
+            '<div class="quiz-actions"><button type="button" id="quiz-finish">' + FINISH_ICON + 'Finish and return to course</button></div>';
+        panel.appendChild(block);
+        panel.querySelector("#quiz-finish").addEventListener("click", function () {
+            if (window.SCORM && typeof window.SCORM.requestExit === "function") {
+                window.SCORM.requestExit();
+            }
+            // A popup launch can close itself; an iframe launch relies on the LMS
+            // honouring the exit request (or the learner using the LMS's control).
+            try { if (window.opener) window.close(); } catch (e) { /* iframe */ }
+        });
+    }
+
+    // Trim trailing .0 / long decimals for display ("2" not "2.00", "1.5" kept).
+    function roundish(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    // Minimal CSS.escape shim for attribute-selector safety (ids are URL-safe by
+    // schema rule, but guard anyway for older engines).
+    function cssEscape(s) {
+        if (window.CSS && typeof window.CSS.escape === "function") return window.CSS.escape(s);
+        return String(s).replace(/["\\\\\\]]/g, "\\\\$&");
+    }
+
+    // --- Pools, attempts and saved state --------------------------------------
+    function readConfig() {
+        var el = document.querySelector("[data-quiz-config]");
+        var config = null;
+        if (el) {
+            try {
+                config = JSON.parse(el.textContent);
+            } catch (e) {
+                console.error("[quiz] could not parse the quiz settings", e);
+            }
+        }
+        config = config || {};
+        return {
+            pools: config.pools || {},
+            attempts: config.attempts || 0,
+            shuffleQuestions: config.shuffleQuestions === true,
+            masteryScore: typeof config.masteryScore === "number" ? config.masteryScore : null
+        };
+    }
+
+    // A reporting build bakes in the threshold the LMS judges by (already taken
+    // from these settings at build time); an unreported quiz uses the settings'.
+    function passMark(config) {
+        if (REPORT_SCORE || config.masteryScore == null) return MASTERY_PERCENT;
+        return config.masteryScore;
+    }
+
+    function canPersist() {
+        return window.SCORM && typeof window.SCORM.saveState === "function";
+    }
+
+    function loadSaved() {
+        if (!window.SCORM || typeof window.SCORM.loadState !== "function") return Promise.resolve(null);
+        return window.SCORM.loadState(STATE_KEY).catch(function (e) {
+            console.error("[quiz] could not load saved state:", e);
+            return null;
+        });
+    }
+
+    // Saved state is only trusted when it names questions this page still has
+    // (a republished package may have renamed or removed some).
+    function usableState(saved, entries) {
+        if (!saved || saved.v !== STATE_VERSION || typeof saved.seed !== "number" || !(saved.attempt >= 1)) return false;
+        if (!Array.isArray(saved.draw) || !Array.isArray(saved.results)) return false;
+        var ids = {};
+        entries.forEach(function (e) { ids[e.q.id] = true; });
+        return saved.draw.every(function (id) { return ids[id] === true; });
+    }
+
+    // The same learner + attempt always draws the same questions. Without a
+    // learner id (standalone, or an LMS that withholds it) the seed is random and
+    // the saved state pins it.
+    function seedFor(attempt) {
+        if (!session.learner) return Math.floor(Math.random() * 4294967296);
+        return hashString(session.learner + "|" + session.quizKey + "|" + attempt);
+    }
+
+    // Each configured pool contributes \`draw\` questions; questions outside a
+    // configured pool are always in. Returns question ids in display order.
+    function drawQuestions(entries, config, random) {
+        var byPool = {}, drawn = {};
+        entries.forEach(function (e) {
+            var pool = e.root.getAttribute("data-quiz-pool");
+            if (pool && config.pools[pool]) (byPool[pool] = byPool[pool] || []).push(e);
+            else drawn[e.q.id] = true;
+        });
+        Object.keys(byPool).sort().forEach(function (pool) {
+            shuffleInPlace(byPool[pool].slice(), random).slice(0, config.pools[pool].draw).forEach(function (e) {
+                drawn[e.q.id] = true;
+            });
+        });
+        var order = entries.filter(function (e) { return drawn[e.q.id]; });
+        if (config.shuffleQuestions) shuffleInPlace(order, random);
+        return order.map(function (e) { return e.q.id; });
+    }
+
+    function newState(attempt, results) {
+        var seed = seedFor(attempt);
+        return {
+            v: STATE_VERSION,
+            attempt: attempt,
+            seed: seed,
+            draw: drawQuestions(session.entries, session.config, seededRandom(seed)),
+            answers: {},
+            results: results || []
+        };
+    }
+
+    // Persist the attempt. Answers are re-read from the controls, so a save
+    // always reflects what is on screen.
+    function saveProgress() {
+        if (!session) return;
+        var answers = {};
+        session.active.forEach(function (e) { answers[e.q.id] = readResponse(e.q, e.root); });
+        session.state.answers = answers;
+        if (canPersist()) window.SCORM.saveState(STATE_KEY, session.state);
+    }
+
+    // A comment marker where each question (and its TOC item) sat in the built
+    // page, so every layout starts from the same places.
+    function markHome(node) {
+        var marker = document.createComment("quiz");
+        node.parentNode.insertBefore(marker, node);
+        return marker;
+    }
+
+    function placeAfter(marker, node) {
+        marker.parentNode.insertBefore(node, marker.nextSibling);
+    }
+
+    // Put the drawn nodes, in draw order, into the places the drawn questions held
+    // in the built page; every other node goes back to its own place.
+    function arrange(key, homeKey, drawn) {
+        session.entries.forEach(function (e) { if (e[key]) placeAfter(e[homeKey], e[key]); });
+        var slots = session.entries.filter(function (e) { return drawn[e.q.id] && e[key]; });
+        session.active.filter(function (e) { return e[key]; }).forEach(function (e, i) {
+            placeAfter(slots[i][homeKey], e[key]);
+        });
+    }
+
+    // Option and ordering-item order as built, so an attempt's shuffle is the
+    // same however the page got here.
+    function canonicalOrder(root, q) {
+        var parent = q.type === "ordering" ? root.querySelector(".quiz-reorder-list")
+            : root.getAttribute("data-quiz-shuffle") === "true" ? root.querySelector(".quiz-fieldset") : null;
+        if (!parent) return null;
+        var nodes = q.type === "ordering" ? parent.children : parent.querySelectorAll(".quiz-option");
+        return { parent: parent, nodes: Array.prototype.slice.call(nodes) };
+    }
+
+    function resetQuestion(entry) {
+        var region = entry.root.querySelector("[data-quiz-feedback]");
+        if (region) region.innerHTML = "";
+        var statusEl = entry.root.querySelector("[data-reorder-status]");
+        if (statusEl) statusEl.textContent = "";
+        Array.prototype.forEach.call(entry.root.querySelectorAll("[data-part]"), clearPart);
+        entry.answered = false;
+        entry.lastScore = 0;
+    }
+
+    // Shuffle a drawn question for this attempt, then restore its saved answer
+    // (or clear its controls when there is none).
+    function prepareQuestion(entry, response) {
+        var q = entry.q, root = entry.root;
+        var random = seededRandom(session.state.seed ^ hashString(q.id));
+        if (entry.canon) {
+            entry.canon.nodes.forEach(function (n) { entry.canon.parent.appendChild(n); });
+            if (q.type === "ordering") shuffleOrdering(entry.canon.parent, q, random); // always a non-correct start
+            else shuffleOptions(root, random);
+        }
+        var writer = WRITERS[q.type];
+        if (writer) writer(q, root, response == null ? null : response);
+    }
+
+    // Lay out the current attempt: only its draw shows, in its order, numbered
+    // from 1, in the page and in the table of contents.
+    function applyAttempt() {
+        var state = session.state;
+        var byId = {}, drawn = {};
+        session.entries.forEach(function (e) { byId[e.q.id] = e; });
+        state.draw.forEach(function (id) { drawn[id] = true; });
+        session.active = state.draw.map(function (id) { return byId[id]; });
+
+        session.entries.forEach(function (e) {
+            e.root.hidden = !drawn[e.q.id];
+            if (e.tocItem) e.tocItem.hidden = !drawn[e.q.id];
+            resetQuestion(e);
+        });
+        arrange("root", "home", drawn);
+        arrange("tocItem", "tocHome", drawn);
+
+        session.active.forEach(function (e, i) {
+            var label = "Question " + (i + 1);
+            var heading = e.root.querySelector(".quiz-question-heading");
+            if (heading) heading.textContent = label;
+            if (e.tocLink) e.tocLink.textContent = label;
+            prepareQuestion(e, state.answers[e.q.id]);
+        });
+    }
+
+    // With an attempt limit, a submit ends the attempt: the submit control gives
+    // way to "Try again" while attempts remain and the pass mark is not yet met,
+    // or to a closing note. Without a limit the quiz can be resubmitted as before.
+    function showAttemptStatus() {
+        var panel = session.panel, config = session.config, state = session.state;
+        var status = panel.querySelector(".quiz-attempts");
+        var submitBtn = panel.querySelector("#quiz-submit");
+        var retryBtn = panel.querySelector("#quiz-retry");
+        if (!config.attempts) return;
+
+        var submitted = state.results.length >= state.attempt;
+        var passed = state.results.some(function (r) { return r.passed; });
+        var remaining = config.attempts - state.results.length;
+        var hadFocus = document.activeElement === submitBtn;
+        submitBtn.hidden = submitted;
+        retryBtn.hidden = !(submitted && !passed && remaining > 0);
+        status.hidden = false;
+        if (!submitted) status.textContent = "Attempt " + state.attempt + " of " + config.attempts + ".";
+        else if (passed) status.textContent = "You have passed this quiz.";
+        else if (remaining > 0) status.textContent = "You have " + remaining + (remaining === 1 ? " attempt" : " attempts") + " left.";
+        else status.textContent = "You have used all " + config.attempts + " attempts.";
+        // The pressed control just disappeared; keep focus on the results.
+        if (hadFocus && submitted) panel.querySelector("#quiz-results-heading").focus();
+    }
+
+    function startNextAttempt() {
+        session.state = newState(session.state.attempt + 1, session.state.results);
+        applyAttempt();
+        session.panel.querySelector(".quiz-summary").textContent = "";
+        saveProgress();
+        showAttemptStatus();
+        var first = session.active[0] && session.active[0].root.querySelector(".quiz-question-heading");
+        if (first) {
+            first.setAttribute("tabindex", "-1");
+            first.focus();
+        }
+    }
+
+    function setup(entries, panel, config, saved) {
+        var learner = window.SCORM && typeof window.SCORM.getLearnerId === "function" ? window.SCORM.getLearnerId() : null;
+        session = {
+            config: config,
+            entries: entries,
+            panel: panel,
+            learner: learner,
+            quizKey: entries.map(function (e) { return e.q.id; }).join(","),
+            active: [],
+            state: null
+        };
+        var resumed = usableState(saved, entries);
+        session.state = resumed ? saved : newState(1);
+        if (!session.state.answers) session.state.answers = {};
+        applyAttempt();
+        showAttemptStatus();
+
+        var last = session.state.results[session.state.results.length - 1];
+        if (resumed && last && session.state.results.length >= session.state.attempt) {
+            panel.querySelector(".quiz-summary").textContent = scoreMessage(last);
+        }
+        // A seeded draw must survive a relaunch even before anything is answered.
+        var pooled = Object.keys(config.pools).length > 0;
+        if (!resumed && (pooled || config.shuffleQuestions || config.attempts)) saveProgress();
+
+        console.log("✅ Quiz runtime initialised (" + session.active.length + " of " + entries.length +
+            " question(s), attempt " + session.state.attempt + ", resumed=" + resumed + ", reporting=" + reportingActive() + ")");
+    }
+
+    function init() {
+        var roots = Array.prototype.slice.call(document.querySelectorAll('[data-quiz-question-root]'));
+        if (!roots.length) return; // no quiz on this page — nothing to do
+
+        var config = readConfig();
+        var entries = [];
+        roots.forEach(function (root) {
+            var q = readAnswers(root);
+            if (!q) return;
+            if (q.type === "ordering") initOrdering(root);
+            var tocLink = document.querySelector('#toc a[href="#' + cssEscape(q.id + "-heading") + '"]');
+            var tocItem = tocLink && tocLink.closest ? tocLink.closest("li") : null;
+            var entry = {
+                q: q,
+                root: root,
+                answered: false,
+                lastScore: 0,
+                home: markHome(root),
+                tocLink: tocLink,
+                tocItem: tocItem,
+                tocHome: tocItem ? markHome(tocItem) : null,
+                canon: canonicalOrder(root, q)
+            };
+            entries.push(entry);
+            // Pooled questions stay out of sight until the draw is known.
+            if (config.pools[root.getAttribute("data-quiz-pool")]) root.hidden = true;
+            var checkBtn = root.querySelector('[data-quiz-check]');
+            if (checkBtn) checkBtn.addEventListener("click", function () {
+                checkQuestion(entry);
+                saveProgress();
+            });
+            root.addEventListener("change", saveProgress);
+            // Clear a control's per-part mark when the learner edits/changes it, so a
+            // stale error never lingers (SC 3.3.1). Ordering items clear on move instead.
+            Array.prototype.forEach.call(root.querySelectorAll("[data-part]"), function (el) {
+                if (!isFormControl(el)) return;
+                var clear = function () { clearPart(el); };
+                el.addEventListener("input", clear);
+                el.addEventListener("change", clear);
+            });
+        });
+        if (!entries.length) return;
+
+        // Build a single results panel after the last question.
+        var panel = document.createElement("section");
+        panel.className = "quiz-results";
+        panel.setAttribute("aria-labelledby", "quiz-results-heading");
+        var noteHtml = reportingActive()
+            ? ""
+            : '<p class="quiz-practice-note" role="note">This is a practice quiz. Your answers are checked here, but your score is <strong>not saved or sent anywhere</strong>.</p>';
+        panel.innerHTML =
+            '<h2 id="quiz-results-heading" tabindex="-1">Quiz results</h2>' +
+            noteHtml +
+            '<p class="quiz-attempts" hidden></p>' +
+            '<div class="quiz-actions"><button type="button" id="quiz-submit">' + SUBMIT_ICON + 'Submit quiz</button>' +
+            '<button type="button" id="quiz-retry" hidden>' + RETRY_ICON + 'Try again</button></div>' +
+            '<div class="quiz-summary" role="status" aria-live="polite"></div>';
+
+        var last = entries[entries.length - 1].root;
+        last.parentNode.insertBefore(panel, last.nextSibling);
+
+        panel.querySelector("#quiz-submit").addEventListener("click", function () {
+            if (session) submitQuiz();
+        });
+        panel.querySelector("#quiz-retry").addEventListener("click", function () {
+            if (session) startNextAttempt();
+        });
+
+        loadSaved().then(function (saved) { setup(entries, panel, config, saved); });
+    }
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", init);
+    } else {
+        init();
+    }
+})();
+`,
+  "navigation-aids.js": `// Navigation aids: a reading-progress bar, a back-to-top button and a TOC
+// scrollspy. All run offline. The progress bar is decorative (aria-hidden); the
+// back-to-top control is a real, focusable button. The scrollspy marks the TOC
+// link of the section being read with aria-current="location" and announces it
+// as a "section:current" event ({ id, title }) for the SCORM progress tracker.
+
+class NavigationAidsManager {
+    constructor() {
+        this.reduceMotion = !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+        this.progressEl = null;
+        this.backBtn = null;
+        this.sections = [];
+        this.currentSection = null;
+
+        this.buildProgressBar();
+        this.buildBackToTop();
+        this.collectSections();
+
+        this.onScroll = this.onScroll.bind(this);
+        window.addEventListener("scroll", this.onScroll, { passive: true });
+        window.addEventListener("resize", this.onScroll, { passive: true });
+        this.onScroll();
+        console.log("✅ Navigation aids initialised");
+    }
+
+    buildProgressBar() {
+        this.progressEl = document.createElement("div");
+        this.progressEl.id = "reading-progress";
+        this.progressEl.setAttribute("aria-hidden", "true");
+        document.body.appendChild(this.progressEl);
+    }
+
+    buildBackToTop() {
+        this.backBtn = document.createElement("button");
+        this.backBtn.id = "back-to-top";
+        this.backBtn.type = "button";
+        this.backBtn.setAttribute("aria-label", "Back to top of document");
+        this.backBtn.innerHTML =
+            '<svg width="20" height="20" viewBox="0 0 21 21" aria-hidden="true" xmlns="http://www.w3.org/2000/svg">' +
+            '<g fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round">' +
+            '<path d="m10.5 15.5v-10"/><path d="m6.5 9.5 4-4 4 4"/></g></svg>' +
+            '<span class="back-to-top-text">Top</span>';
+        this.backBtn.addEventListener("click", () => this.scrollToTop());
+        document.body.appendChild(this.backBtn);
+    }
+
+    scrollToTop() {
+        try {
+            window.scrollTo({ top: 0, behavior: this.reduceMotion ? "auto" : "smooth" });
+        } catch (e) {
+            window.scrollTo(0, 0);
+        }
+        // Move focus to the main region so keyboard users continue from the top.
+        const main = document.getElementById("main");
+        if (main) {
+            main.focus({ preventScroll: true });
+        }
+    }
+
+    // TOC links in document order, paired with the headings they point at.
+    collectSections() {
+        const links = document.querySelectorAll('#toc a[href^="#"]');
+        links.forEach((link) => {
+            const target = document.getElementById(decodeURIComponent(link.getAttribute("href").slice(1)));
+            if (target) this.sections.push({ link, target });
+        });
+    }
+
+    // The current section is the last heading (not inside hidden content, e.g.
+    // an undrawn quiz question) whose top has passed a quarter of the viewport.
+    updateCurrentSection() {
+        if (!this.sections.length) return;
+        const line = window.innerHeight * 0.25;
+        let current = null;
+        for (const section of this.sections) {
+            if (section.target.closest("[hidden]")) continue;
+            if (!current) current = section;
+            if (section.target.getBoundingClientRect().top <= line) current = section;
+        }
+        if (!current || current === this.currentSection) return;
+
+        if (this.currentSection) this.currentSection.link.removeAttribute("aria-current");
+        current.link.setAttribute("aria-current", "location");
+        this.currentSection = current;
+        document.dispatchEvent(new CustomEvent("section:current", {
+            detail: { id: current.target.id, title: current.link.textContent.trim() },
+        }));
+    }
+
+    onScroll() {
+        const doc = document.documentElement;
+        const max = doc.scrollHeight - doc.clientHeight;
+        const y = window.scrollY || doc.scrollTop || 0;
+        const pct = max > 0 ? Math.min(100, (y / max) * 100) : 0;
+        if (this.progressEl) this.progressEl.style.width = pct + "%";
+        if (this.backBtn) this.backBtn.classList.toggle("visible", y > 400);
+        this.updateCurrentSection();
+    }
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    try {
+        window.navigationAidsManager = new NavigationAidsManager();
+    } catch (error) {
+        console.error("❌ Failed to initialise Navigation Aids:", error);
+    }
+});
+
+if (typeof window !== "undefined") {
+    window.NavigationAidsManager = NavigationAidsManager;
+}
+`,
+};
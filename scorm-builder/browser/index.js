@@ -4,4 +4,5 @@
 export { download } from "./download.js";
 export { ensureDependencies, loadScript, DEFAULT_JSZIP_URL, DEFAULT_MATHPIX_URL } from "./ensure-deps.js";
 export { attachExportButton } from "./attach.js";
+export { previewPackage } from "./preview.js";
 export { exportDocument, setDefaults, getDefaults, resetDefaults } from "../core/export-facade.js";
@@ -0,0 +1,408 @@
+// Browser helper: a preview player for built SCORM 2004 packages. Loads the zip
+// (a build() result, or a file the user picked), serves its files from memory
+// into an iframe, and stands in for the LMS with the instrumented API from
+// scorm/lms-simulator.js — so a package can be checked before it is uploaded.
+//
+//   const player = await previewPackage(containerEl, result, { deps: { JSZip } });
+//   player.simulator.calls   // every Initialize/GetValue/SetValue/Commit/Terminate
+//
+// The player renders a live call log (errors and warnings flagged in words, not
+// just colour) and the cmi data model as the simulated LMS holds it. Ending the
+// session navigates the frame away, so the content's own unload handling
+// terminates — the same path a learner closing the LMS window takes.
+//
+// Only SCORM 2004 packages run here: a SCORM 1.2 package needs window.API, and a
+// cmi5 package an LRS (tools/mock-lrs.mjs). Both are refused with a message.
+
+import { resolveJSZip } from "../util/zip-helpers.js";
+import { createScormSimulator } from "../scorm/lms-simulator.js";
+
+const MEDIA_TYPES = {
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  otf: "font/otf",
+  ttf: "font/ttf",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  vtt: "text/vtt",
+  xml: "application/xml",
+  xsd: "application/xml",
+};
+
+// Data model elements shown first in the table; the rest follow alphabetically.
+const MODEL_ORDER = [
+  "cmi.completion_status",
+  "cmi.success_status",
+  "cmi.score.scaled",
+  "cmi.score.raw",
+  "cmi.progress_measure",
+  "cmi.location",
+  "cmi.exit",
+  "cmi.session_time",
+  "cmi.total_time",
+  "cmi.entry",
+  "cmi.suspend_data",
+];
+
+const STYLE_ID = "sb-preview-style";
+const STYLES = `
+.sb-preview { display: grid; grid-template-columns: minmax(0, 3fr) minmax(18rem, 2fr); gap: 1rem; font: 14px/1.4 system-ui, sans-serif; }
+.sb-preview-stage { display: flex; flex-direction: column; gap: 0.5rem; min-width: 0; }
+.sb-preview-controls { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; }
+.sb-preview-frame { width: 100%; min-height: 32rem; border: 1px solid #767676; background: #fff; }
+.sb-preview-panel { display: flex; flex-direction: column; gap: 0.5rem; min-width: 0; }
+.sb-preview-panel h2 { font-size: 1rem; margin: 0.5rem 0 0; }
+.sb-preview-log { list-style: none; margin: 0; padding: 0; max-height: 22rem; overflow: auto; border: 1px solid #767676; font: 12px/1.4 ui-monospace, monospace; }
+.sb-preview-log li { padding: 0.25rem 0.5rem; border-bottom: 1px solid #ddd; overflow-wrap: anywhere; }
+.sb-preview-log .is-error { background: #fdecea; border-left: 4px solid #b00020; }
+.sb-preview-log .is-warning { background: #fff4e0; border-left: 4px solid #8a5300; }
+.sb-preview-log .is-notice { color: #555; }
+.sb-preview-log .sb-preview-flag { font-weight: bold; }
+.sb-preview-log.errors-only li:not(.is-error):not(.is-warning) { display: none; }
+.sb-preview-model { border-collapse: collapse; font: 12px/1.4 ui-monospace, monospace; }
+.sb-preview-model th, .sb-preview-model td { text-align: left; vertical-align: top; padding: 0.125rem 0.5rem; border-bottom: 1px solid #ddd; overflow-wrap: anywhere; }
+.sb-preview-model-wrap { max-height: 22rem; overflow: auto; border: 1px solid #767676; }
+@media (max-width: 60rem) { .sb-preview { grid-template-columns: 1fr; } }
+`;
+
+function extension(path) {
+  const m = path.match(/\.([a-z0-9]+)$/i);
+  return m ? m[1].toLowerCase() : "";
+}
+
+function resolvePath(ref, fromFile) {
+  try {
+    return decodeURIComponent(new URL(ref, `http://package/${fromFile}`).pathname.slice(1));
+  } catch {
+    return null;
+  }
+}
+
+// Point the package's relative references (src/href attributes, CSS url())
+// at the in-memory copies. Absolute URLs and fragments are left alone.
+function rewriteReferences(text, fromFile, urls) {
+  const swap = (ref) => {
+    if (/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref)) return null;
+    const [path, hash = ""] = ref.split("#");
+    const target = resolvePath(path.split("?")[0], fromFile);
+    return target && urls.has(target) ? urls.get(target) + (hash ? `#${hash}` : "") : null;
+  };
+  return text
+    .replace(/\b(src|href)=(["'])([^"']+)\2/gi, (all, attr, quote, ref) => {
+      const url = swap(ref);
+      return url ? `${attr}=${quote}${url}${quote}` : all;
+    })
+    .replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (all, quote, ref) => {
+      const url = swap(ref.trim());
+      return url ? `url(${quote}${url}${quote})` : all;
+    });
+}
+
+async function toZip(pkg, opts) {
+  const JSZip = resolveJSZip(opts);
+  const data = pkg?.data ?? pkg;
+  if (data == null) throw new Error("scorm-builder: previewPackage() needs a package (a build() result, Blob or ArrayBuffer).");
+  // Read Blobs (and Files) ourselves: JSZip only reads them where FileReader exists.
+  return JSZip.loadAsync(typeof data.arrayBuffer === "function" ? await data.arrayBuffer() : data);
+}
+
+function firstText(scope, localName) {
+  const el = scope.getElementsByTagNameNS("*", localName)[0];
+  return el ? el.textContent.trim() : "";
+}
+
+/**
+ * Read the launchable SCOs from an imsmanifest.xml, in organization order.
+ * @param {string} xml
+ * @returns {{ id: string, title: string, href: string, launchData?: string,
+ *   scaledPassingScore?: number, completionThreshold?: number }[]}
+ */
+function readManifest(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("scorm-builder: imsmanifest.xml is not well-formed XML.");
+  }
+  const version = firstText(doc, "schemaversion");
+  if (version === "1.2") {
+    throw new Error("scorm-builder: this is a SCORM 1.2 package; the preview player simulates SCORM 2004 only.");
+  }
+
+  const resources = {};
+  for (const res of doc.getElementsByTagNameNS("*", "resource")) {
+    resources[res.getAttribute("identifier")] = res;
+  }
+
+  const scos = [];
+  for (const item of doc.getElementsByTagNameNS("*", "item")) {
+    const res = resources[item.getAttribute("identifierref")];
+    const href = res?.getAttribute("href");
+    if (!href) continue;
+    const title = Array.from(item.children).find((c) => c.localName === "title");
+    const sco = { id: item.getAttribute("identifier"), title: title?.textContent.trim() || href, href };
+
+    const launchData = firstText(item, "dataFromLMS");
+    if (launchData) sco.launchData = launchData;
+    // minNormalizedMeasure (2004) first; the single-SCO manifest's Moodle-facing
+    // masteryscore is already on the 0..1 scale.
+    const mastery = firstText(item, "minNormalizedMeasure") || firstText(item, "masteryscore");
+    if (mastery !== "" && !Number.isNaN(Number(mastery))) sco.scaledPassingScore = Number(mastery);
+    const threshold = firstText(item, "completionThreshold");
+    if (threshold !== "" && !Number.isNaN(Number(threshold))) sco.completionThreshold = Number(threshold);
+    scos.push(sco);
+  }
+  if (!scos.length) throw new Error("scorm-builder: imsmanifest.xml lists no launchable SCO.");
+  return scos;
+}
+
+// Blob URLs for every file: assets first, then CSS, then HTML, so each
+// rewritten file can point at the URLs of the files it references.
+async function serveFromMemory(zip) {
+  const urls = new Map();
+  const files = Object.values(zip.files).filter((f) => !f.dir);
+  const rank = (f) => ({ css: 1, html: 2, htm: 2 })[extension(f.name)] || 0;
+  files.sort((a, b) => rank(a) - rank(b));
+
+  for (const file of files) {
+    const ext = extension(file.name);
+    const type = MEDIA_TYPES[ext] || "application/octet-stream";
+    let body;
+    if (rank(file)) body = rewriteReferences(await file.async("string"), file.name, urls);
+    else body = await file.async("uint8array");
+    urls.set(file.name, URL.createObjectURL(new Blob([body], { type })));
+  }
+  return urls;
+}
+
+function el(doc, tag, props = {}, children = []) {
+  const node = doc.createElement(tag);
+  for (const [k, v] of Object.entries(props)) {
+    if (k === "className" || k === "textContent") node[k] = v;
+    else node.setAttribute(k, v);
+  }
+  for (const child of children) node.append(child);
+  return node;
+}
+
+function describeCall(call) {
+  const args = call.args.map((a) => JSON.stringify(a)).join(", ");
+  return `#${call.seq} ${call.method}(${args}) → ${JSON.stringify(call.result)}`;
+}
+
+/**
+ * Mount a preview player for a SCORM 2004 package.
+ * @param {Element} container - emptied and filled with the player
+ * @param {object|Blob|ArrayBuffer|Uint8Array} pkg - a build() result ({ data }) or the zip itself
+ * @param {object} [opts]
+ * @param {{ JSZip?: Function }} [opts.deps]
+ * @param {object} [opts.simulator] - extra createScormSimulator() options (learnerId, mode, ...)
+ * @param {boolean} [opts.autoLaunch=true] - launch the first SCO straight away
+ * @param {(call:object, sco:object) => void} [opts.onCall] - every API call, as logged
+ * @returns {Promise<{ scos: object[], readonly simulator: object, launch: (id?:string, o?:{resume?:boolean}) => void,
+ *   end: () => Promise<void>, relaunch: (o?:{newAttempt?:boolean}) => Promise<void>, destroy: () => void }>}
+ */
+export async function previewPackage(container, pkg, opts = {}) {
+  if (typeof document === "undefined" || typeof URL === "undefined" || !URL.createObjectURL) {
+    throw new Error("previewPackage() requires a browser environment");
+  }
+  if (!container || typeof container.append !== "function") {
+    throw new Error("previewPackage: a container element is required");
+  }
+
+  const zip = await toZip(pkg, opts);
+  const manifest = zip.file("imsmanifest.xml");
+  if (!manifest) {
+    throw new Error(
+      zip.file("cmi5.xml")
+        ? "scorm-builder: this is a cmi5 package; preview it against an LRS (tools/mock-lrs.mjs) instead."
+        : "scorm-builder: no imsmanifest.xml at the root of the package."
+    );
+  }
+  const scos = readManifest(await manifest.async("string"));
+  const urls = await serveFromMemory(zip);
+
+  const doc = container.ownerDocument;
+  const win = doc.defaultView;
+  if (!doc.getElementById(STYLE_ID)) doc.head.append(el(doc, "style", { id: STYLE_ID, textContent: STYLES }));
+
+  // ---- the player's DOM ----
+  const select = el(doc, "select", { className: "sb-preview-sco" });
+  for (const sco of scos) select.append(el(doc, "option", { value: sco.id, textContent: sco.title }));
+  const scoLabel = el(doc, "label", {}, ["SCO ", select]);
+  if (scos.length === 1) scoLabel.hidden = true;
+  const launchBtn = el(doc, "button", { type: "button", textContent: "Launch (new attempt)" });
+  const endBtn = el(doc, "button", { type: "button", textContent: "End session" });
+  const relaunchBtn = el(doc, "button", { type: "button", textContent: "Relaunch (resume)" });
+  const errorsOnly = el(doc, "input", { type: "checkbox" });
+  const frame = el(doc, "iframe", { className: "sb-preview-frame", title: "Package preview" });
+  const status = el(doc, "p", { className: "sb-preview-status", role: "status" });
+  const log = el(doc, "ol", { className: "sb-preview-log", "aria-label": "API calls" });
+  const modelBody = el(doc, "tbody");
+  const model = el(doc, "table", { className: "sb-preview-model" }, [
+    el(doc, "caption", { className: "sb-preview-caption", textContent: "cmi data model" }),
+    el(doc, "thead", {}, [el(doc, "tr", {}, [el(doc, "th", { scope: "col", textContent: "Element" }), el(doc, "th", { scope: "col", textContent: "Value" })])]),
+    modelBody,
+  ]);
+
+  const root = el(doc, "div", { className: "sb-preview" }, [
+    el(doc, "div", { className: "sb-preview-stage" }, [
+      el(doc, "div", { className: "sb-preview-controls" }, [scoLabel, launchBtn, endBtn, relaunchBtn]),
+      frame,
+    ]),
+    el(doc, "div", { className: "sb-preview-panel" }, [
+      status,
+      el(doc, "h2", { textContent: "API calls" }),
+      el(doc, "label", {}, [errorsOnly, " Errors and warnings only"]),
+      log,
+      el(doc, "h2", { textContent: "Data model" }),
+      el(doc, "div", { className: "sb-preview-model-wrap" }, [model]),
+    ]),
+  ]);
+  container.replaceChildren(root);
+
+  // ---- state ----
+  const previousApi = win.API_1484_11;
+  let sco = scos[0];
+  let simulator = null;
+  let modelPending = false;
+
+  function summarise() {
+    const calls = simulator ? simulator.calls : [];
+    const errors = calls.filter((c) => c.severity === "error").length;
+    const warnings = calls.filter((c) => c.severity === "warning").length;
+    const session = simulator ? simulator.state : "not launched";
+    status.textContent =
+      `${sco.title}: session ${session}. ${calls.length} calls, ` +
+      `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}.`;
+    endBtn.disabled = !simulator || simulator.state === "terminated" || frame.getAttribute("src") === "about:blank";
+    relaunchBtn.disabled = !simulator;
+  }
+
+  function renderModel() {
+    modelPending = false;
+    if (!simulator) return;
+    const { values, counts } = simulator.snapshot();
+    const keys = Object.keys(values).sort((a, b) => {
+      const ia = MODEL_ORDER.indexOf(a);
+      const ib = MODEL_ORDER.indexOf(b);
+      if (ia !== ib) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+    const rows = keys.map((k) => [k, values[k]]);
+    for (const [path, n] of Object.entries(counts)) rows.push([`${path}._count`, String(n)]);
+    modelBody.replaceChildren(
+      ...rows.map(([k, v]) => el(doc, "tr", {}, [el(doc, "th", { scope: "row", textContent: k }), el(doc, "td", { textContent: v })]))
+    );
+  }
+
+  function scheduleModel() {
+    if (modelPending) return;
+    modelPending = true;
+    (win.requestAnimationFrame || ((fn) => setTimeout(fn, 0)))(renderModel);
+  }
+
+  function logCall(call) {
+    const item = el(doc, "li", { className: `is-${call.severity}` });
+    if (call.severity === "error" || call.severity === "warning") {
+      const label = call.severity === "error" ? `Error ${call.error}:` : "Warning:";
+      item.append(el(doc, "span", { className: "sb-preview-flag", textContent: label }), " ");
+    }
+    item.append(describeCall(call));
+    if (call.message) item.append(` — ${call.message}`);
+    log.append(item);
+    log.scrollTop = log.scrollHeight;
+    summarise();
+    if (call.method !== "GetValue") scheduleModel();
+    opts.onCall?.(call, sco);
+  }
+
+  function launch(id = select.value, { resume = false } = {}) {
+    const next = scos.find((s) => s.id === id);
+    if (!next) throw new Error(`previewPackage: no SCO "${id}" in this package`);
+    const fresh = !resume || !simulator || next !== sco;
+    sco = next;
+    select.value = sco.id;
+    simulator = fresh
+      ? createScormSimulator({
+          ...opts.simulator,
+          launchData: sco.launchData,
+          scaledPassingScore: sco.scaledPassingScore,
+          completionThreshold: sco.completionThreshold,
+          onCall: logCall,
+        })
+      : simulator.nextSession();
+    win.API_1484_11 = simulator.api;
+    log.replaceChildren();
+    modelBody.replaceChildren();
+    renderModel();
+    frame.setAttribute("src", urls.get(sco.href));
+    summarise();
+  }
+
+  // Navigating away runs the content's beforeunload/pagehide handlers, which is
+  // where the wrapper sets session_time and exit and calls Terminate.
+  function end() {
+    if (frame.getAttribute("src") === "about:blank" || !frame.getAttribute("src")) return Promise.resolve();
+    return new Promise((resolve) => {
+      frame.addEventListener(
+        "load",
+        () => {
+          summarise();
+          renderModel();
+          resolve();
+        },
+        { once: true }
+      );
+      frame.setAttribute("src", "about:blank");
+    });
+  }
+
+  async function relaunch({ newAttempt = false } = {}) {
+    await end();
+    if (newAttempt) launch(sco.id);
+    else launch(sco.id, { resume: true });
+  }
+
+  const onLaunch = () => end().then(() => launch(select.value));
+  const onEnd = () => end();
+  const onRelaunch = () => relaunch();
+  const onFilter = () => log.classList.toggle("errors-only", errorsOnly.checked);
+  launchBtn.addEventListener("click", onLaunch);
+  endBtn.addEventListener("click", onEnd);
+  relaunchBtn.addEventListener("click", onRelaunch);
+  errorsOnly.addEventListener("change", onFilter);
+
+  if (opts.autoLaunch !== false) launch(sco.id);
+  else summarise();
+
+  return {
+    scos,
+    get simulator() {
+      return simulator;
+    },
+    launch,
+    end,
+    relaunch,
+    destroy() {
+      launchBtn.removeEventListener("click", onLaunch);
+      endBtn.removeEventListener("click", onEnd);
+      relaunchBtn.removeEventListener("click", onRelaunch);
+      errorsOnly.removeEventListener("change", onFilter);
+      frame.setAttribute("src", "about:blank");
+      root.remove();
+      for (const url of urls.values()) URL.revokeObjectURL(url);
+      if (win.API_1484_11 === simulator?.api) win.API_1484_11 = previousApi;
+    },
+  };
+}
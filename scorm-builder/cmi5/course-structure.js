@@ -0,0 +1,104 @@
+// cmi5.xml generation — the cmi5 course structure for a one-AU package.
+// The cmi5 counterpart of scorm/manifest.js: it tells the LMS what to launch and
+// when the assignable unit (AU) counts as satisfied. Deterministic like the
+// manifest: the course/AU ids are derived from an injected `identifier`.
+//
+// Three things the CourseStructure.xsd is strict about:
+//
+//   * Child order inside <au> is an xs:sequence — title, description, then url.
+//   * langstrings carry a plain `lang` attribute here, NOT xml:lang as in LOM.
+//   * course@id and au@id must be IRIs. The defaults are `urn:` IRIs so a build
+//     never invents a web domain it does not own; a host that publishes under its
+//     own domain passes courseId/auId.
+
+import { escapeXML } from "../util/escape-xml.js";
+
+export const CMI5_NAMESPACE = "https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd";
+
+// AU launchMethod and moveOn vocabularies, straight from the cmi5 spec §13.1.4.
+export const CMI5_LAUNCH_METHODS = Object.freeze(["AnyWindow", "OwnWindow"]);
+export const CMI5_MOVE_ON = Object.freeze([
+  "Passed",
+  "Completed",
+  "CompletedAndPassed",
+  "CompletedOrPassed",
+  "NotApplicable",
+]);
+
+/**
+ * Resolve the course and AU IRIs from an identifier (or explicit overrides).
+ * Shared with the package builder so the runtime's activityId defaults agree.
+ * @param {string} identifier
+ * @param {object} [opts] - { courseId?, auId? }
+ * @returns {{ courseId: string, auId: string }}
+ */
+export function resolveCmi5Ids(identifier, opts = {}) {
+  return {
+    courseId: opts.courseId || `urn:scorm-builder:course:${identifier}`,
+    auId: opts.auId || `urn:scorm-builder:au:${identifier}`,
+  };
+}
+
+/**
+ * @param {object} metadata - { title, description? }
+ * @param {object} [opts]
+ * @param {string} [opts.identifier] - seed for the default course/AU IRIs
+ * @param {string} [opts.courseId] - explicit course IRI
+ * @param {string} [opts.auId] - explicit AU IRI
+ * @param {string} [opts.url="content.html"] - AU launch URL, relative to cmi5.xml
+ * @param {string} [opts.lang="en"] - langstring language
+ * @param {number|null} [opts.masteryScore] - pass threshold (percent). Emitted as
+ *   the 0..1 masteryScore attribute only when set (a scored quiz).
+ * @param {string} [opts.moveOn] - defaults to "CompletedOrPassed" when scored,
+ *   "Completed" otherwise
+ * @param {string} [opts.launchMethod="AnyWindow"]
+ * @returns {string} cmi5.xml content
+ */
+export function generateCourseStructure(metadata = {}, opts = {}) {
+  const identifier = opts.identifier || `cmi5_${Date.now()}`;
+  const { courseId, auId } = resolveCmi5Ids(identifier, opts);
+  const lang = escapeXML(opts.lang || "en");
+  const scored = Number.isFinite(opts.masteryScore) && opts.masteryScore != null;
+
+  const moveOn = opts.moveOn || (scored ? "CompletedOrPassed" : "Completed");
+  if (!CMI5_MOVE_ON.includes(moveOn)) {
+    throw new Error(`cmi5: unknown moveOn "${moveOn}". Use one of: ${CMI5_MOVE_ON.join(", ")}.`);
+  }
+  const launchMethod = opts.launchMethod || "AnyWindow";
+  if (!CMI5_LAUNCH_METHODS.includes(launchMethod)) {
+    throw new Error(
+      `cmi5: unknown launchMethod "${launchMethod}". Use one of: ${CMI5_LAUNCH_METHODS.join(", ")}.`
+    );
+  }
+
+  const masteryAttr = scored
+    ? ` masteryScore="${String(Math.max(0, Math.min(1, opts.masteryScore / 100)))}"`
+    : "";
+
+  const title = escapeXML(metadata.title || "Accessible Document");
+  const description = escapeXML(
+    metadata.description ||
+      "Accessible content with WCAG 2.2 AA support, screen reader compatibility, and interactive MathJax features."
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="${CMI5_NAMESPACE}">
+  <course id="${escapeXML(courseId)}">
+    <title>
+      <langstring lang="${lang}">${title}</langstring>
+    </title>
+    <description>
+      <langstring lang="${lang}">${description}</langstring>
+    </description>
+  </course>
+  <au id="${escapeXML(auId)}" moveOn="${moveOn}"${masteryAttr} launchMethod="${launchMethod}">
+    <title>
+      <langstring lang="${lang}">${title}</langstring>
+    </title>
+    <description>
+      <langstring lang="${lang}">${description}</langstring>
+    </description>
+    <url>${escapeXML(opts.url || "content.html")}</url>
+  </au>
+</courseStructure>`;
+}
@@ -0,0 +1,118 @@
+// Assemble a cmi5 .zip from a self-contained HTML string — the cmi5 counterpart
+// of scorm/package-builder.js. The zip layout is deliberately the SCORM one with
+// two substitutions: cmi5.xml replaces imsmanifest.xml/metadata.xml, and
+// cmi5-runtime.js replaces scorm-api.js. Because the runtime exposes the same
+// window.SCORM surface, prepareScormHtml() wires content.html unchanged (it only
+// needs to know the runtime's filename) and the quiz reports through it as-is.
+//
+// JSZip is an INJECTED dependency (opts.deps.JSZip), as for the SCORM builder.
+
+import { resolveConfig } from "../scorm/config.js";
+import { prepareScormHtml } from "../scorm/prepare-scorm-html.js";
+import { resolveTracking } from "../scorm/progress-tracker.js";
+import { generateFilename } from "../scorm/filename.js";
+import { generateCourseStructure } from "./course-structure.js";
+import { generateCmi5Runtime } from "./runtime.js";
+import {
+  resolveJSZip,
+  bundleLocalMathjax,
+  bundleAssets,
+  auditMathjaxAssets,
+} from "../util/zip-helpers.js";
+
+// cmi5 overrides on the shared packaging config. MANIFEST_FILENAME doubles as a
+// reserved name for bundleAssets(), so a companion file cannot clobber cmi5.xml.
+export const CMI5_CONFIG = Object.freeze({
+  VERSION: "cmi5",
+  MANIFEST_FILENAME: "cmi5.xml",
+  API_FILENAME: "cmi5-runtime.js",
+});
+
+/**
+ * @param {string} html - a self-contained HTML document (the AU content)
+ * @param {object} [metadata] - { title, description? }
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { JSZip }
+ * @param {object} [opts.config] - packaging config overrides (cmi5 defaults applied)
+ * @param {string} [opts.mathjaxMode] - "cdn" | "local"
+ * @param {object} [opts.assets] - { 'relative/path.ext': content } companion files to bundle
+ * @param {string} [opts.identifier] - pin the seed of the default course/AU IRIs
+ * @param {number} [opts.epochMs] - pin timestamps
+ * @param {string} [opts.isoDate] - pin date (YYYY-MM-DD)
+ * @param {string} [opts.lang] - cmi5.xml langstring language. Defaults to "en".
+ * @param {object} [opts.cmi5] - { courseId?, auId?, moveOn?, launchMethod?, trackSections?, tracking? }
+ *   (`tracking` as scorm.tracking: bookmark/resume/completion, kept in the State API)
+ * @param {boolean} [opts.quizPresent] - with reportScore, the AU is scored
+ * @param {boolean} [opts.reportScore]
+ * @param {number} [opts.masteryScore=60] - pass threshold (percent) when scored
+ * @param {(warning:{type,message,snippet}) => void} [opts.onMathjaxAssetWarning]
+ * @param {string} [opts.outputType] - JSZip output type ("blob" | "nodebuffer" | "uint8array")
+ * @returns {Promise<{ data: Blob|Buffer|Uint8Array, filename: string, entries: string[], mediaType: string }>}
+ */
+export async function buildCmi5Package(html, metadata = {}, opts = {}) {
+  const JSZip = resolveJSZip(opts);
+  const config = resolveConfig({ ...CMI5_CONFIG, ...opts.config });
+  const epochMs = opts.epochMs ?? Date.now();
+  const isoDate = opts.isoDate || new Date(epochMs).toISOString().slice(0, 10);
+  const identifier = opts.identifier || `cmi5_${epochMs}`;
+  const mathjaxMode = opts.mathjaxMode || config.MATHJAX_MODE;
+  const cmi5 = opts.cmi5 || {};
+
+  const tracking = resolveTracking(cmi5.tracking);
+
+  const zip = new JSZip();
+  zip.file(config.CONTENT_FILENAME, prepareScormHtml(html, { config, mathjaxMode, tracking: cmi5.tracking }));
+
+  const assetEntries = bundleAssets(zip, opts.assets, config);
+
+  // Same "scored" rule as the SCORM builder: only a present quiz that the build
+  // asked to report makes the AU's moveOn depend on passing.
+  const scored = opts.quizPresent === true && opts.reportScore === true;
+  const masteryScore = Number.isFinite(opts.masteryScore) ? opts.masteryScore : 60;
+
+  zip.file(
+    config.MANIFEST_FILENAME,
+    generateCourseStructure(metadata, {
+      identifier,
+      courseId: cmi5.courseId,
+      auId: cmi5.auId,
+      moveOn: cmi5.moveOn,
+      launchMethod: cmi5.launchMethod,
+      url: config.CONTENT_FILENAME,
+      lang: opts.lang,
+      masteryScore: scored ? masteryScore : null,
+    })
+  );
+  zip.file(
+    config.API_FILENAME,
+    generateCmi5Runtime({
+      quizPresent: scored,
+      masteryScore: scored ? masteryScore : null,
+      trackSections: cmi5.trackSections,
+      trackCompletion: !!tracking?.completion,
+    })
+  );
+
+  const entries = [config.CONTENT_FILENAME, config.MANIFEST_FILENAME, config.API_FILENAME, ...assetEntries];
+
+  if (mathjaxMode === "local") {
+    if (opts.onMathjaxAssetWarning) {
+      for (const w of auditMathjaxAssets(html, opts.mathjaxAssets)) opts.onMathjaxAssetWarning(w);
+    }
+    entries.push(...bundleLocalMathjax(zip, opts.mathjaxAssets, config));
+  }
+
+  const outputType = opts.outputType || (typeof Blob !== "undefined" ? "blob" : "nodebuffer");
+  const data = await zip.generateAsync({
+    type: outputType,
+    compression: "DEFLATE",
+    compressionOptions: { level: config.COMPRESSION_LEVEL },
+  });
+
+  return {
+    data,
+    filename: generateFilename(metadata, { isoDate, target: "cmi5" }),
+    entries,
+    mediaType: "application/zip",
+  };
+}
@@ -0,0 +1,517 @@
+// cmi5-runtime.js generation — the cmi5 AU runtime the packaged content.html
+// loads in place of scorm-api.js. Like scorm/api-wrapper.js, the returned string
+// IS the file; it is plain ES5 so it runs in every LMS-launched browser.
+//
+// It does three jobs:
+//
+//   1. Launch handling (cmi5 §8): read endpoint/fetch/actor/registration/
+//      activityId from the launch URL, POST the fetch URL once for the auth
+//      token, and read the LMS.LaunchData state document (contextTemplate,
+//      launchMode, masteryScore, returnURL).
+//   2. Statement emission: the cmi5-defined verbs (initialized, completed,
+//      passed/failed, terminated) under the cmi5 rules — Normal launch mode only
+//      for completed/passed/failed, once each per session, the masteryScore from
+//      LaunchData overriding the build's threshold — plus cmi5-allowed
+//      statements for richer data: "answered" per quiz question (from the quiz
+//      runtime's quiz:answered event), "experienced" per section viewed, and
+//      "progressed".
+//   3. The window.SCORM surface (initialize, terminate, trackProgress,
+//      reportScore, requestExit, loadState, saveState, getLearnerId, getLocation,
+//      setCompleted, getAPI, isAvailable), so quiz-runtime.js and the progress
+//      tracker work here exactly as they do with a SCORM LMS. Where SCORM uses
+//      cmi.suspend_data and cmi.location, state (the bookmark included) lives in
+//      one xAPI State API document (stateId "suspendData") per actor + activity
+//      + registration.
+//
+// Statements are queued until launch completes, so nothing the page does before
+// the token arrives is lost, and the queue drains in order.
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.quizPresent] - a scored quiz is in the content, so
+ *   terminate must NOT send "completed" on its own; reportScore() decides.
+ * @param {number} [opts.masteryScore] - pass threshold (percent) used when the
+ *   LaunchData carries no masteryScore of its own
+ * @param {boolean} [opts.trackSections=true] - emit "experienced" per section
+ * @param {boolean} [opts.trackCompletion] - the progress tracker's threshold
+ *   sends "completed" (setCompleted()); neither terminate nor reportScore() does
+ * @returns {string} cmi5-runtime.js file contents
+ */
+export function generateCmi5Runtime(opts = {}) {
+  const quizPresent = opts.quizPresent === true;
+  const masteryScore = Number.isFinite(opts.masteryScore) ? opts.masteryScore / 100 : null;
+  const trackSections = opts.trackSections !== false;
+  const trackCompletion = opts.trackCompletion === true;
+
+  return `/**
+ * cmi5 AU Runtime (xAPI 1.0.3)
+ * Self-contained accessible content cmi5 integration.
+ */
+
+(function() {
+  'use strict';
+
+  // Baked at build time.
+  var quizPresent = ${quizPresent ? "true" : "false"};
+  var buildMasteryScore = ${masteryScore == null ? "null" : String(masteryScore)};
+  var trackSections = ${trackSections ? "true" : "false"};
+  var trackCompletion = ${trackCompletion ? "true" : "false"};
+
+  var XAPI_VERSION = "1.0.3";
+  var VERBS = {
+    initialized: "http://adlnet.gov/expapi/verbs/initialized",
+    completed: "http://adlnet.gov/expapi/verbs/completed",
+    passed: "http://adlnet.gov/expapi/verbs/passed",
+    failed: "http://adlnet.gov/expapi/verbs/failed",
+    terminated: "http://adlnet.gov/expapi/verbs/terminated",
+    answered: "http://adlnet.gov/expapi/verbs/answered",
+    experienced: "http://adlnet.gov/expapi/verbs/experienced",
+    progressed: "http://adlnet.gov/expapi/verbs/progressed"
+  };
+  var CATEGORY_CMI5 = "https://w3id.org/xapi/cmi5/context/categories/cmi5";
+  var CATEGORY_MOVEON = "https://w3id.org/xapi/cmi5/context/categories/moveon";
+  var EXT_MASTERY = "https://w3id.org/xapi/cmi5/context/extensions/masteryscore";
+  var EXT_PROGRESS = "https://w3id.org/xapi/cmi5/result/extensions/progress";
+  var STATE_ID = "suspendData";
+
+  // quiz type -> xAPI cmi.interaction interactionType
+  var INTERACTION_TYPES = {
+    "multiple-choice": "choice",
+    "multiple-answer": "choice",
+    "true-false": "true-false",
+    "likert": "likert",
+    "fill-in-the-blank": "fill-in",
+    "numeric": "numeric",
+    "ordering": "sequencing",
+    "matching": "matching",
+    "select-in-text": "other"
+  };
+
+  var launch = null;       // { endpoint, fetchUrl, actor, registration, activityId }
+  var launchData = null;   // LMS.LaunchData state document
+  var authToken = null;
+  var ready = null;        // Promise resolving true once launch completes
+  var queue = Promise.resolve();
+  var sessionStart = Date.now();
+  var state = { initialized: false, completed: false, judged: false, terminated: false };
+  var suspendState = null; // Promise of the saved state document, fetched once
+  var lastAnswers = {};
+  var seenSections = {};
+  var lastProgress = null;
+
+  function readLaunchParams() {
+    var params = new URLSearchParams(window.location.search);
+    var endpoint = params.get("endpoint");
+    var fetchUrl = params.get("fetch");
+    var actor = params.get("actor");
+    var registration = params.get("registration");
+    var activityId = params.get("activityId");
+    if (!endpoint || !fetchUrl || !actor || !registration || !activityId) return null;
+    try { actor = JSON.parse(actor); } catch (e) { return null; }
+    if (endpoint.charAt(endpoint.length - 1) !== "/") endpoint += "/";
+    return { endpoint: endpoint, fetchUrl: fetchUrl, actor: actor, registration: registration, activityId: activityId };
+  }
+
+  function uuid() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") return window.crypto.randomUUID();
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+      var r = Math.random() * 16 | 0;
+      return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  function isoDuration(ms) {
+    return "PT" + Math.round(ms / 10) / 100 + "S";
+  }
+
+  function headers() {
+    return {
+      "Authorization": "Basic " + authToken,
+      "X-Experience-API-Version": XAPI_VERSION,
+      "Content-Type": "application/json"
+    };
+  }
+
+  // cmi5 §8.2: the fetch URL is single-use and answers { "auth-token": "..." }.
+  function fetchToken() {
+    return fetch(launch.fetchUrl, { method: "POST" })
+      .then(function (res) { return res.json(); })
+      .then(function (body) {
+        if (!body || !body["auth-token"]) {
+          throw new Error("fetch URL returned no auth-token (" + (body && body["error-text"]) + ")");
+        }
+        authToken = body["auth-token"];
+      });
+  }
+
+  function stateUrl(stateId) {
+    return launch.endpoint + "activities/state" +
+      "?stateId=" + encodeURIComponent(stateId) +
+      "&activityId=" + encodeURIComponent(launch.activityId) +
+      "&agent=" + encodeURIComponent(JSON.stringify(launch.actor)) +
+      "&registration=" + encodeURIComponent(launch.registration);
+  }
+
+  function fetchLaunchData() {
+    return fetch(stateUrl("LMS.LaunchData"), { headers: headers() })
+      .then(function (res) {
+        if (!res.ok) throw new Error("LMS.LaunchData request failed (" + res.status + ")");
+        return res.json();
+      })
+      .then(function (doc) { launchData = doc || {}; });
+  }
+
+  function isNormalMode() {
+    return !launchData || !launchData.launchMode || launchData.launchMode === "Normal";
+  }
+
+  function masteryScore() {
+    if (launchData && typeof launchData.masteryScore === "number") return launchData.masteryScore;
+    return buildMasteryScore;
+  }
+
+  // Deep-ish copy of the LaunchData contextTemplate plus the registration and,
+  // for cmi5-defined statements, the cmi5 (and moveOn) categories.
+  function buildContext(cmi5Defined, moveOn) {
+    var template = (launchData && launchData.contextTemplate) || {};
+    var context = JSON.parse(JSON.stringify(template));
+    context.registration = launch.registration;
+    if (cmi5Defined) {
+      context.contextActivities = context.contextActivities || {};
+      var category = context.contextActivities.category || [];
+      category.push({ id: CATEGORY_CMI5 });
+      if (moveOn) category.push({ id: CATEGORY_MOVEON });
+      context.contextActivities.category = category;
+    }
+    return context;
+  }
+
+  function makeStatement(verb, extra) {
+    extra = extra || {};
+    var statement = {
+      id: uuid(),
+      timestamp: new Date().toISOString(),
+      actor: launch.actor,
+      verb: { id: VERBS[verb], display: { "en-US": verb } },
+      object: extra.object || { id: launch.activityId, objectType: "Activity" },
+      context: buildContext(extra.cmi5Defined === true, extra.moveOn === true)
+    };
+    if (extra.result) statement.result = extra.result;
+    if (extra.contextExtensions) {
+      statement.context.extensions = statement.context.extensions || {};
+      for (var k in extra.contextExtensions) {
+        if (Object.prototype.hasOwnProperty.call(extra.contextExtensions, k)) {
+          statement.context.extensions[k] = extra.contextExtensions[k];
+        }
+      }
+    }
+    return statement;
+  }
+
+  function post(statement, keepalive) {
+    return fetch(launch.endpoint + "statements", {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify(statement),
+      keepalive: keepalive === true
+    }).then(function (res) {
+      if (!res.ok) throw new Error("LRS rejected statement (" + res.status + ")");
+      console.log("[cmi5] sent " + statement.verb.display["en-US"]);
+      return true;
+    });
+  }
+
+  // Queue a statement behind launch and every earlier statement, so the LRS
+  // receives them in the order the page produced them.
+  function sendStatement(verb, extra, keepalive) {
+    if (!launch) return Promise.resolve(false);
+    queue = queue
+      .then(function () { return ready; })
+      .then(function (ok) {
+        if (!ok) return false;
+        return post(makeStatement(verb, extra), keepalive);
+      })
+      .catch(function (error) {
+        console.error("[cmi5] statement error:", error);
+        return false;
+      });
+    return queue;
+  }
+
+  // cmi5 Session Management
+  function initializeCMI5() {
+    if (ready) return ready;
+    launch = readLaunchParams();
+    if (!launch) {
+      console.warn("[cmi5] launch parameters not found - standalone mode");
+      ready = Promise.resolve(false);
+      return ready;
+    }
+    ready = fetchToken()
+      .then(fetchLaunchData)
+      .then(function () {
+        state.initialized = true;
+        console.log("[cmi5] Session initialized successfully (" + (launchData.launchMode || "Normal") + ")");
+        return true;
+      })
+      .catch(function (error) {
+        console.error("[cmi5] Initialization error:", error);
+        return false;
+      });
+    sendStatement("initialized", { cmi5Defined: true });
+    return ready;
+  }
+
+  function sendCompleted(keepalive) {
+    if (state.completed || !isNormalMode()) return;
+    state.completed = true;
+    sendStatement("completed", {
+      cmi5Defined: true,
+      moveOn: true,
+      result: { completion: true, duration: isoDuration(Date.now() - sessionStart) }
+    }, keepalive);
+  }
+
+  function terminateCMI5() {
+    if (state.terminated || !launch) return;
+    state.terminated = true;
+    // Content-only packages complete on exit; a scored quiz decides for itself,
+    // and a completion threshold has already sent what was earned.
+    if (!quizPresent && !trackCompletion) sendCompleted(true);
+    sendStatement("terminated", {
+      cmi5Defined: true,
+      result: { duration: isoDuration(Date.now() - sessionStart) }
+    }, true);
+  }
+
+  // Leave the AU: terminate, then return to the LMS when it told us where.
+  function requestExit() {
+    if (!launch) return false;
+    terminateCMI5();
+    queue.then(function () {
+      if (launchData && launchData.returnURL) window.location.href = launchData.returnURL;
+    });
+    return true;
+  }
+
+  // Report a quiz score as passed/failed (+ completed). A masteryScore in the
+  // LaunchData is authoritative over the build's threshold (cmi5 §10.2.2), so
+  // success is recomputed from the scaled score when one is present.
+  function reportScore(raw, min, max, passed) {
+    if (!launch || !isNormalMode() || state.judged) return false;
+    var lo = Number(min) || 0;
+    var hi = Number(max);
+    var scaled = (hi > lo) ? (Number(raw) - lo) / (hi - lo) : 0;
+    if (scaled < 0) scaled = 0;
+    if (scaled > 1) scaled = 1;
+    scaled = Math.round(scaled * 10000) / 10000;
+
+    var mastery = masteryScore();
+    var success = mastery != null ? scaled >= mastery : !!passed;
+    state.judged = success; // a pass is final for the session; a fail may be retried
+
+    sendStatement(success ? "passed" : "failed", {
+      cmi5Defined: true,
+      moveOn: true,
+      result: {
+        success: success,
+        score: { scaled: scaled, raw: Number(raw), min: lo, max: hi },
+        duration: isoDuration(Date.now() - sessionStart)
+      },
+      contextExtensions: mastery != null ? (function () {
+        var ext = {};
+        ext[EXT_MASTERY] = mastery;
+        return ext;
+      })() : null
+    });
+    if (!trackCompletion) sendCompleted(false);
+    return true;
+  }
+
+  // The progress tracker's completion threshold was met.
+  function setCompleted() {
+    if (!launch) return false;
+    sendCompleted(false);
+    return true;
+  }
+
+  // The AU's own state document; a 404 (first launch) reads as empty.
+  function readSuspendState() {
+    if (suspendState) return suspendState;
+    suspendState = (ready || initializeCMI5()).then(function (ok) {
+      if (!ok) return {};
+      return fetch(stateUrl(STATE_ID), { headers: headers() }).then(function (res) {
+        if (res.status === 404) return {};
+        if (!res.ok) throw new Error("state request failed (" + res.status + ")");
+        return res.json();
+      });
+    }).then(function (doc) {
+      return doc && typeof doc === "object" ? doc : {};
+    }).catch(function (error) {
+      console.error("[cmi5] loadState error:", error);
+      return {};
+    });
+    return suspendState;
+  }
+
+  function loadState(key) {
+    if (!launch && !readLaunchParams()) return Promise.resolve(null);
+    return readSuspendState().then(function (doc) {
+      return doc[key] === undefined ? null : doc[key];
+    });
+  }
+
+  // PUT the whole document (not a POST merge) so a key set back to null really
+  // replaces its old value. Queued with the statements, so saves land in order.
+  function saveState(key, value) {
+    if (!launch && !readLaunchParams()) return Promise.resolve(false);
+    var saved = readSuspendState().then(function (doc) {
+      doc[key] = value;
+      return doc;
+    });
+    queue = queue
+      .then(function () { return saved; })
+      .then(function (doc) {
+        if (!authToken) return false;
+        return fetch(stateUrl(STATE_ID), {
+          method: "PUT",
+          headers: headers(),
+          body: JSON.stringify(doc),
+          keepalive: true
+        }).then(function (res) {
+          if (!res.ok) throw new Error("LRS rejected state (" + res.status + ")");
+          return true;
+        });
+      })
+      .catch(function (error) {
+        console.error("[cmi5] saveState error:", error);
+        return false;
+      });
+    return queue;
+  }
+
+  function getLearnerId() {
+    var actor = launch ? launch.actor : null;
+    if (!actor) return null;
+    if (actor.account) return actor.account.homePage + "|" + actor.account.name;
+    return actor.mbox || actor.mbox_sha1sum || actor.openid || null;
+  }
+
+  // The bookmark is kept in the state document (xAPI has no cmi.location); a
+  // "progressed" statement goes out only when the percentage actually moves.
+  function trackProgress(location, progress) {
+    if (!launch) return;
+    if (location) saveState("location", String(location));
+    var percent = Math.max(0, Math.min(100, Math.round(Number(progress) || 0)));
+    if (percent === lastProgress) return;
+    lastProgress = percent;
+    var result = { extensions: {} };
+    result.extensions[EXT_PROGRESS] = percent;
+    sendStatement("progressed", { result: result });
+  }
+
+  function getLocation() {
+    return loadState("location");
+  }
+
+  // xAPI interaction response string for each quiz response shape.
+  function formatResponse(type, response) {
+    if (response == null) return "";
+    if (Array.isArray(response)) return response.join("[,]");
+    if (typeof response === "object") {
+      var parts = [];
+      for (var k in response) {
+        if (!Object.prototype.hasOwnProperty.call(response, k)) continue;
+        parts.push(type === "fill-in-the-blank" ? String(response[k]) : k + "[.]" + response[k]);
+      }
+      return parts.join("[,]");
+    }
+    return String(response);
+  }
+
+  function onQuizAnswered(event) {
+    var d = event.detail || {};
+    if (!d.id) return;
+    var response = formatResponse(d.type, d.response);
+    // Submit re-checks every question; only send what actually changed.
+    if (lastAnswers[d.id] === response) return;
+    lastAnswers[d.id] = response;
+    var result = { response: response, score: { raw: Number(d.score) || 0, min: 0, max: Number(d.points) || 0 } };
+    if (d.outcome === "correct" || d.outcome === "incorrect") result.success = d.outcome === "correct";
+    sendStatement("answered", {
+      object: {
+        id: launch.activityId + "/question/" + encodeURIComponent(d.id),
+        objectType: "Activity",
+        definition: {
+          type: "http://adlnet.gov/expapi/activities/cmi.interaction",
+          interactionType: INTERACTION_TYPES[d.type] || "other"
+        }
+      },
+      result: result
+    });
+  }
+
+  // "experienced" once per section heading that scrolls into view.
+  function watchSections() {
+    if (!trackSections || typeof IntersectionObserver === "undefined") return;
+    var headings = document.querySelectorAll("#main h2[id], #main h3[id]");
+    if (!headings.length) return;
+    var observer = new IntersectionObserver(function (entries) {
+      entries.forEach(function (entry) {
+        if (!entry.isIntersecting) return;
+        var h = entry.target;
+        observer.unobserve(h);
+        if (seenSections[h.id]) return;
+        seenSections[h.id] = true;
+        sendStatement("experienced", {
+          object: {
+            id: launch.activityId + "/section/" + encodeURIComponent(h.id),
+            objectType: "Activity",
+            definition: { name: { "und": (h.textContent || h.id).trim() } }
+          }
+        });
+      });
+    }, { threshold: 0.5 });
+    Array.prototype.forEach.call(headings, function (h) { observer.observe(h); });
+  }
+
+  function start() {
+    initializeCMI5().then(function (ok) {
+      if (!ok) return;
+      document.addEventListener("quiz:answered", onQuizAnswered);
+      watchSections();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+  window.addEventListener('pagehide', terminateCMI5);
+  window.addEventListener('beforeunload', terminateCMI5);
+
+  window.SCORM = {
+    initialize: initializeCMI5,
+    terminate: terminateCMI5,
+    trackProgress: trackProgress,
+    reportScore: reportScore,
+    requestExit: requestExit,
+    loadState: loadState,
+    saveState: saveState,
+    getLearnerId: getLearnerId,
+    getLocation: getLocation,
+    setCompleted: setCompleted,
+    getAPI: function() { return launch; },
+    isAvailable: function() { return launch != null || readLaunchParams() != null; }
+  };
+
+  window.CMI5 = {
+    sendStatement: sendStatement,
+    getLaunchData: function() { return launchData; },
+    ready: function() { return ready || Promise.resolve(false); }
+  };
+
+})();`;
+}
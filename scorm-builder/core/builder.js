@@ -1,17 +1,32 @@
 // Top-level orchestrator. Accepts { html } or { markdown }, resolves content,
 // embeds images, derives metadata, assembles the self-contained document, and
-// packages it as a SCORM 2004 zip.
+// packages it as a SCORM 2004 zip (or SCORM 1.2 with scormVersion: "1.2"), or
+// as a cmi5 zip via buildCmi5().
 //
-//   build({ html | markdown, title, metadata, features, mathjaxMode, deps }) -> package
+//   build({ html | markdown, title, metadata, features, mathjaxMode, scormVersion, deps }) -> package
+//   build({ ..., scorm: { split: { level, flow, choice, forwardOnly, prerequisites } } })
+//     -> multi-SCO package, one lesson per heading at `level`
+//   build({ ..., scorm: { tracking: { bookmark, resume, completion } } })
+//     -> bookmark + "resume where you left off" + sections-viewed completion
+//   buildCmi5({ ...same, cmi5 }) -> package
 //   buildDocument(...) -> { html, metadata }   (self-contained HTML, no zip)
+//   prepareDocument(...) -> { content, metadata, warnings, lang, ... }  (pre-shell)
+//
+// Every build returns the audit as `accessibilityReport` (JSON); packaged targets
+// also ship it as files when asked: `accessibilityReport: true | { json, html }`.
 
 import { buildHtml } from "./html-assembler.js";
 import { deriveMetadata } from "./metadata-provider.js";
 import { renderMarkdown } from "../render/render-markdown.js";
-import { buildPackage } from "../scorm/package-builder.js";
+import { buildPackage, buildMultiScoPackage } from "../scorm/package-builder.js";
+import { splitLessons } from "../scorm/split-lessons.js";
+import { buildCmi5Package } from "../cmi5/package-builder.js";
 import { embedImages, createBrowserImageResolver } from "../enhancers/image-embedder.js";
 import { auditAccessibility } from "../enhancers/audit.js";
+import { readQuizSettings } from "../enhancers/quiz.js";
+import { createAccessibilityReport, accessibilityReportFiles } from "../enhancers/audit-report.js";
 import { DEFAULT_FEATURES } from "./defaults.js";
+import { createSourceRecord, renderSourceRecord } from "./source-record.js";
 
 // Resolve the document language (WCAG 3.1.1). Explicit option wins; otherwise
 // honour a `lang` on a source <html> element when the caller pasted a whole
@@ -47,9 +62,14 @@ function pickImageResolver(options) {
 }
 
 /**
- * @returns {Promise<{ html: string, metadata: object }>}
+ * The front half of buildDocument(): resolve the content, embed images, derive
+ * metadata and language, and run the build-time audit — everything short of
+ * assembling the HTML shell. Shared with packagers that need the content itself
+ * rather than the shell (e.g. the EPUB target).
+ * @returns {Promise<{ content: string, metadata: object, warnings: object[], accessibilityReport: object,
+ *   lang: string|undefined, features: object, callerSuppliedTitle: string|undefined }>}
  */
-export async function buildDocument(options = {}) {
+export async function prepareDocument(options = {}) {
   const features = { ...DEFAULT_FEATURES, ...(options.features || {}) };
 
   let content = await resolveContent(options);
@@ -87,26 +107,45 @@ export async function buildDocument(options = {}) {
   // straight back through.
   const callerSuppliedTitle = options.metadata?.title;
 
+  // Resolved once and returned, not just handed to buildHtml: build() needs it
+  // for the SCORM LOM too. Without that, `build({ lang: "cy" })` produced
+  // <html lang="cy"> alongside a LOM claiming <language>en</language>. The audit
+  // needs it as well, to tell a foreign-language passage from the document's own.
+  const lang = deriveLang(options, content);
+
   // Build-time accessibility audit (non-blocking). Surfaces authoring gaps the
   // library cannot auto-fix — e.g. images shipped with no alt text (WCAG 1.1.1).
-  const warnings = auditAccessibility(content, {
+  const audit = {
+    lang,
     warnMissingLongDescription: options.warnMissingLongDescription,
-  });
-  if (warnings.length) {
-    if (options.onAccessibilityWarning) {
-      for (const w of warnings) options.onAccessibilityWarning(w);
-    }
-    if (options.strictAccessibility) {
-      throw new Error(
-        `Accessibility audit found ${warnings.length} issue(s); first: ${warnings[0].message}`
-      );
-    }
+    rules: options.accessibilityRules,
+  };
+  const warnings = auditAccessibility(content, audit);
+  if (warnings.length && options.onAccessibilityWarning) {
+    for (const w of warnings) options.onAccessibilityWarning(w);
   }
+  // Strict mode fails on errors and warnings; notices (good practice, such as a
+  // table caption) never break a build.
+  const blocking = warnings.filter((w) => w.severity !== "notice");
+  if (blocking.length && options.strictAccessibility) {
+    throw new Error(`Accessibility audit found ${blocking.length} issue(s); first: ${blocking[0].message}`);
+  }
+  const accessibilityReport = createAccessibilityReport(warnings, {
+    title: metadata.title,
+    lang,
+    isoDate: options.isoDate,
+    audit,
+  });
 
-  // Resolved once and returned, not just handed to buildHtml: build() needs it
-  // for the SCORM LOM too. Without that, `build({ lang: "cy" })` produced
-  // <html lang="cy"> alongside a LOM claiming <language>en</language>.
-  const lang = deriveLang(options, content);
+  return { content, metadata, warnings, accessibilityReport, lang, features, callerSuppliedTitle };
+}
+
+/**
+ * @returns {Promise<{ html: string, metadata: object, warnings: object[], accessibilityReport: object, lang: string|undefined }>}
+ */
+export async function buildDocument(options = {}) {
+  const { content, metadata, warnings, accessibilityReport, lang, features, callerSuppliedTitle } =
+    await prepareDocument(options);
 
   const html = buildHtml({
     content,
@@ -130,28 +169,40 @@ export async function buildDocument(options = {}) {
     longDescriptionLabel: options.longDescriptionLabel,       // <summary> text
     onLongDescriptionWarning: options.onLongDescriptionWarning, // orphan-block callback
     onQuizWarning: options.onQuizWarning, // skipped/soft quiz-authoring callback
+    // The caller's source + options, for importPackage(). A multi-SCO build passes
+    // the whole document's record for its first lesson and false for the rest.
+    sourceRecord:
+      features.sourceRecord === false || options.sourceRecord === false
+        ? ""
+        : renderSourceRecord(options.sourceRecord || createSourceRecord(options)),
   });
 
-  return { html, metadata, warnings, lang };
+  return { html, metadata, warnings, accessibilityReport, lang };
 }
 
-/**
- * @returns {Promise<{ data, filename, entries, mediaType, metadata, html, warnings }>}
- */
-export async function build(options = {}) {
-  // Quiz score reporting is a SCORM-only capability: only the LMS package can
+// Shared front half of build() and buildCmi5(): switch on quiz reporting from
+// the target's scoring options, build the document, and detect a quiz.
+// `documentSettings` is the whole source's quiz settings, for a split lesson
+// whose own slice does not carry the data-quiz-settings block.
+async function buildReportedDocument(options, scoring = {}, documentSettings = null) {
+  // Quiz score reporting is a packaged-target capability: only an LMS package can
   // talk to a gradebook. Activating it here (and never in the standalone HTML
   // builders) keeps the same quiz runtime inert-by-default for html exports.
-  const scorm = options.scorm || {};
-  const reportScore = scorm.reportScore === true;
-  const masteryScore = Number.isFinite(scorm.masteryScore) ? scorm.masteryScore : 60;
-  const maxScore = Number.isFinite(scorm.maxScore) ? scorm.maxScore : 100;
+  const reportScore = scoring.reportScore === true;
+  // The target's own threshold wins; otherwise the quiz settings' pass mark.
+  const settings = readQuizSettings(options.markdown ?? options.html ?? "") || documentSettings;
+  const masteryScore = Number.isFinite(scoring.masteryScore)
+    ? scoring.masteryScore
+    : settings && settings.masteryScore != null
+      ? settings.masteryScore
+      : 60;
+  const maxScore = Number.isFinite(scoring.maxScore) ? scoring.maxScore : 100;
 
   const scriptContext = reportScore
     ? { ...options.scriptContext, quizReportScore: true, quizMasteryScore: masteryScore }
     : options.scriptContext;
 
-  // Companion files live in the SCORM zip, not in the HTML — so the in-page Save
+  // Companion files live in the zip, not in the HTML — so the in-page Save
   // button (which downloads a standalone copy of just the HTML) would produce a
   // broken file missing those assets. Force the save feature off when bundling.
   const hasAssets = options.assets && Object.keys(options.assets).length > 0;
@@ -161,19 +212,40 @@ export async function build(options = {}) {
     ...(hasAssets ? { features: { ...options.features, save: false } } : {}),
   };
 
-  const { html, metadata, warnings, lang } = await buildDocument(docOptions);
+  const { html, metadata, warnings, accessibilityReport, lang } = await buildDocument(docOptions);
 
   // The rendered markup carries a data-quiz-question-root per question; use it to
-  // tell the SCORM layer a scored quiz is present so the API wrapper stops
-  // hard-coding "passed" and the manifest/README switch to scoring instructions.
+  // tell the packaging layer a scored quiz is present so the runtime stops
+  // hard-coding completion and the manifest/README switch to scoring instructions.
   const quizPresent = /data-quiz-question-root=/.test(html);
 
+  return { html, metadata, warnings, accessibilityReport, lang, quizPresent, reportScore, masteryScore, maxScore };
+}
+
+// Companion assets plus, when `accessibilityReport` asks for them, the audit
+// report files — bundled and declared in the manifest like any other asset.
+function packageAssets(options, report) {
+  if (!options.accessibilityReport) return options.assets;
+  return { ...options.assets, ...accessibilityReportFiles(report, options.accessibilityReport) };
+}
+
+/**
+ * @returns {Promise<{ data, filename, entries, mediaType, metadata, html, warnings, accessibilityReport }>}
+ */
+export async function build(options = {}) {
+  if (options.scorm?.split) return buildSplit(options);
+
+  const { html, metadata, warnings, accessibilityReport, lang, quizPresent, reportScore, masteryScore, maxScore } =
+    await buildReportedDocument(options, options.scorm);
+
   const pkg = await buildPackage(html, metadata, {
     deps: options.deps,
     config: options.scormConfig,
+    scormVersion: options.scormVersion, // "2004" (default) | "1.2"
     mathjaxMode: options.mathjaxMode,
     mathjaxAssets: options.mathjaxAssets,
-    assets: options.assets,   // companion files bundled + declared in the SCORM zip
+    // companion files (and any requested audit report) bundled + declared in the SCORM zip
+    assets: packageAssets(options, accessibilityReport),
     identifier: options.identifier,
     epochMs: options.epochMs,
     isoDate: options.isoDate,
@@ -182,6 +254,7 @@ export async function build(options = {}) {
     // mathjaxMode 'local' + chemistry + no mhchem.js bundled = no maths at all
     onMathjaxAssetWarning: options.onMathjaxAssetWarning,
     outputType: options.outputType,
+    tracking: options.scorm?.tracking, // bookmark, resume, completion threshold
     // Quiz scoring wiring (inert unless reportScore + a quiz is present).
     quizPresent,
     reportScore,
@@ -189,5 +262,122 @@ export async function build(options = {}) {
     maxScore,
   });
 
-  return { ...pkg, metadata, html, warnings };
+  return { ...pkg, metadata, html, warnings, accessibilityReport };
+}
+
+// scorm.split may be `true` (h2, default sequencing), a heading level, or an
+// object carrying `level` plus the sequencing switches.
+function resolveSplit(split) {
+  if (typeof split === "number") return { level: split };
+  return split === true ? {} : split;
+}
+
+// Multi-SCO build: resolve the content ONCE (markdown renders once, package
+// metadata and language come from the whole document), split it into lessons,
+// then build each lesson as its own self-contained page through the same
+// buildReportedDocument() path as a single-SCO build.
+async function buildSplit(options) {
+  const split = resolveSplit(options.scorm.split);
+  const content = await resolveContent(options);
+  const metadata = deriveMetadata(content, options.metadata || {});
+  const lang = deriveLang(options, content);
+
+  const record = createSourceRecord(options);
+  // Read once from the whole document: the settings block sits in one lesson,
+  // but its pass mark applies to a quiz in any of them.
+  const documentSettings = readQuizSettings(content);
+  const lessons = [];
+  const warnings = [];
+  // Package-level scoring comes from the first lesson with a quiz, not the last
+  // lesson built — a quiz-free trailing lesson must not reset it to defaults.
+  let scoring = null;
+  for (const lesson of splitLessons(content, { level: split.level })) {
+    const built = await buildReportedDocument(
+      {
+        ...options,
+        html: lesson.html,
+        markdown: undefined,
+        lang,
+        // Each page's <title> names its lesson; the package keeps the document title.
+        metadata: { ...options.metadata, title: lesson.title || metadata.title },
+        // The lesson's own split heading already heads the page; an injected
+        // <h1> of the same text would only repeat it.
+        ensureH1: false,
+        sourceRecord: lessons.length === 0 ? record : false,
+      },
+      options.scorm,
+      documentSettings
+    );
+    if (built.quizPresent && !scoring) scoring = built;
+    // Each lesson is audited as the page it becomes; findings name their page.
+    warnings.push(...built.warnings.map((w) => ({ ...w, page: lesson.href })));
+    lessons.push({
+      title: lesson.title,
+      href: lesson.href,
+      html: built.html,
+      quizPresent: built.quizPresent,
+      masteryScore: built.masteryScore, // the pass mark this page's quiz bakes in
+    });
+  }
+
+  const accessibilityReport = createAccessibilityReport(warnings, {
+    title: metadata.title,
+    lang,
+    isoDate: options.isoDate,
+    audit: { warnMissingLongDescription: options.warnMissingLongDescription, rules: options.accessibilityRules },
+  });
+
+  const pkg = await buildMultiScoPackage(lessons, metadata, {
+    deps: options.deps,
+    config: options.scormConfig,
+    scormVersion: options.scormVersion,
+    mathjaxMode: options.mathjaxMode,
+    mathjaxAssets: options.mathjaxAssets,
+    assets: packageAssets(options, accessibilityReport),
+    identifier: options.identifier,
+    epochMs: options.epochMs,
+    isoDate: options.isoDate,
+    lang,
+    onMetadataWarning: options.onMetadataWarning,
+    onMathjaxAssetWarning: options.onMathjaxAssetWarning,
+    outputType: options.outputType,
+    sequencing: split,
+    tracking: options.scorm.tracking,
+    reportScore: scoring?.reportScore === true,
+    masteryScore: scoring?.masteryScore,
+    maxScore: scoring?.maxScore,
+  });
+
+  return { ...pkg, metadata, html: lessons[0].html, lessons, warnings, accessibilityReport };
+}
+
+/**
+ * cmi5 counterpart of build(). Scoring and AU options come from `options.cmi5`:
+ * { reportScore, masteryScore, courseId, auId, moveOn, launchMethod, trackSections, tracking }.
+ * @returns {Promise<{ data, filename, entries, mediaType, metadata, html, warnings, accessibilityReport }>}
+ */
+export async function buildCmi5(options = {}) {
+  const cmi5 = options.cmi5 || {};
+  const { html, metadata, warnings, accessibilityReport, lang, quizPresent, reportScore, masteryScore } =
+    await buildReportedDocument(options, cmi5);
+
+  const pkg = await buildCmi5Package(html, metadata, {
+    deps: options.deps,
+    config: options.scormConfig,
+    mathjaxMode: options.mathjaxMode,
+    mathjaxAssets: options.mathjaxAssets,
+    assets: packageAssets(options, accessibilityReport),
+    identifier: options.identifier,
+    epochMs: options.epochMs,
+    isoDate: options.isoDate,
+    lang,
+    onMathjaxAssetWarning: options.onMathjaxAssetWarning,
+    outputType: options.outputType,
+    cmi5,
+    quizPresent,
+    reportScore,
+    masteryScore,
+  });
+
+  return { ...pkg, metadata, html, warnings, accessibilityReport };
 }
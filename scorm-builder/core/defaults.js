@@ -19,6 +19,9 @@ export const DEFAULT_FEATURES = Object.freeze({
   mathpixFigures: true,
   distractionFree: true,
   save: true,
+  // Embed the caller's source and build options (core/source-record.js) so
+  // importPackage() can re-open the package for editing.
+  sourceRecord: true,
   footer: true,
   readAloud: true,
   visualAids: true,
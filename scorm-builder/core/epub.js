@@ -0,0 +1,55 @@
+// EPUB 3 export — course notes for e-readers. Like standalone.js this is
+// packaging around the shared document pipeline, but it takes prepareDocument()'s
+// resolved content (markdown rendered, images embedded, metadata and language
+// derived, audit run) rather than buildDocument()'s HTML shell, because an EPUB
+// content document carries the content alone.
+//
+//   buildEpub(options) -> { data, filename, entries, mediaType, metadata, accessibility, warnings, accessibilityReport }
+//
+// Options are buildDocument's, plus `epub: { pageLevel, summary, conformsTo,
+// certifiedBy }`, `deps.texToMathML` for maths and `onEpubWarning`.
+
+import { prepareDocument } from "./builder.js";
+import { buildEpubPackage } from "../epub/package-builder.js";
+
+// Companion files are declared through a SCORM manifest; an EPUB manifest is
+// generated from the content, so there is nowhere for them to go.
+function assertNoAssets(options) {
+  if (options.assets && Object.keys(options.assets).length > 0) {
+    throw new Error(
+      "scorm-builder: 'assets' are only supported for target 'scorm' (a SCORM package). " +
+        "buildEpub / target 'epub' cannot carry companion files — inline them as data: URLs, or use the SCORM target."
+    );
+  }
+}
+
+/**
+ * @param {object} [options] - the same options buildDocument accepts, plus
+ *   epub, onEpubWarning, identifier, epochMs, isoDate, outputType and deps.JSZip
+ * @returns {Promise<{ data: Blob|Buffer|Uint8Array, filename: string, entries: string[], mediaType: string,
+ *   metadata: object, accessibility: object, warnings: object[], accessibilityReport: object }>}
+ */
+export async function buildEpub(options = {}) {
+  assertNoAssets(options);
+  const { content, metadata, warnings, accessibilityReport, lang, features, callerSuppliedTitle } =
+    await prepareDocument(options);
+
+  const pkg = await buildEpubPackage(content, metadata, {
+    deps: options.deps,
+    features,
+    warnings,
+    accessibilityReport,
+    identifier: options.identifier,
+    epochMs: options.epochMs,
+    isoDate: options.isoDate,
+    lang,
+    // Same guard as buildDocument: never stamp the placeholder title as an <h1>.
+    ensureH1: options.ensureH1 === true && Boolean(callerSuppliedTitle),
+    longDescriptionLabel: options.longDescriptionLabel,
+    epub: options.epub,
+    onEpubWarning: options.onEpubWarning,
+    outputType: options.outputType,
+  });
+
+  return { ...pkg, metadata, warnings, accessibilityReport };
+}
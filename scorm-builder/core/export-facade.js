@@ -1,14 +1,16 @@
 // Unified export facade — one call for every output, plus app-wide defaults.
 // This is the main entry a host wires to an "Export" button.
 //
-//   exportDocument({ target: 'scorm' | 'html' | 'html-offline', html|markdown, ... })
+//   exportDocument({ target: 'scorm' | 'scorm12' | 'cmi5' | 'qti' | 'epub' | 'html' | 'html-offline', html|markdown, ... })
 //     -> { data, filename, mediaType, metadata, html, entries? }
 //
 // `target` dispatches to the existing builders; everything else is merged over
 // setDefaults() so the host configures deps/mathpix/features once.
 
-import { build } from "./builder.js";
+import { build, buildCmi5 } from "./builder.js";
 import { buildStandaloneHtml, buildStandalonePackage } from "./standalone.js";
+import { buildEpub } from "./epub.js";
+import { buildQtiPackage } from "../qti/cartridge.js";
 import { ensureDependencies } from "../browser/ensure-deps.js";
 import { download } from "../browser/download.js";
 
@@ -38,6 +40,15 @@ export function resetDefaults() {
 
 const TARGETS = {
   scorm: build,
+  // SCORM 1.2 for LMSs that reject 2004. Same pipeline, different edition.
+  scorm12: (opts) => build({ ...opts, scormVersion: "1.2" }),
+  // cmi5 AU for xAPI-aware LMSs; scoring options live under `cmi5`, not `scorm`.
+  cmi5: buildCmi5,
+  // Question bank for an LMS's native quiz engine: `quiz` JSON in, a Common
+  // Cartridge (or, with qti.packaging "qti", a bare QTI 3.0 package) out.
+  qti: (opts) => buildQtiPackage(opts.quiz, { ...opts, ...opts.qti }),
+  // Reflowable EPUB 3 for e-readers: maths as MathML (needs deps.texToMathML).
+  epub: buildEpub,
   html: buildStandaloneHtml,
   "html-offline": buildStandalonePackage,
 };
@@ -62,7 +73,13 @@ function mergeOptions(options) {
 async function resolveDeps(target, opts) {
   if (opts.autoDeps === false || !isBrowser()) return opts.deps;
 
-  const needsZip = target === "scorm" || target === "html-offline";
+  const needsZip =
+    target === "scorm" ||
+    target === "scorm12" ||
+    target === "cmi5" ||
+    target === "qti" ||
+    target === "epub" ||
+    target === "html-offline";
   const needsMathpix = opts.markdown != null && opts.mathpix == null && !opts.deps?.mathpix;
 
   const wantZip = needsZip && !opts.deps?.JSZip && !hasGlobal("JSZip");
@@ -41,6 +41,7 @@ const SAVE_EMBED_EMPTY =
  * @param {string} [options.headExtra=""] - extra <head> markup (author <style>/<link>/<script>, MathJax config, etc.)
  * @param {string} [options.bodyScripts] - REPLACES the default feature scripts (internal use).
  * @param {string} [options.bodyEnd=""] - extra end-of-<body> markup APPENDED after the feature scripts (author scripts).
+ * @param {string} [options.sourceRecord=""] - the rendered source record (core/source-record.js)
  * @returns {string} complete HTML document
  */
 export function buildHtml(options = {}) {
@@ -185,6 +186,7 @@ export function buildHtml(options = {}) {
   // When the save feature is on, leave an (empty) self-reference placeholder in the
   // body; we fill it below with the base64 of the whole document.
   const saveEmbed = features.save ? "\n" + SAVE_EMBED_EMPTY : "";
+  const recordEmbed = options.sourceRecord ? "\n" + options.sourceRecord : "";
 
   const doc = `<!DOCTYPE html>
 <html lang="${escapeXML(lang)}">
@@ -200,7 +202,7 @@ ${headExtra}
 </head>
 <body>
 ${shell}
-${bodyScripts}${saveEmbed}
+${bodyScripts}${recordEmbed}${saveEmbed}
 </body>
 </html>`;
 
@@ -0,0 +1,143 @@
+// Re-open a built package for editing: the inverse of build(). Reads the source
+// record every built document carries (core/source-record.js) out of a SCORM /
+// cmi5 / offline zip or a standalone .html, and returns build options that
+// rebuild the same package:
+//
+//   importPackage(zipOrHtml, { deps }) ->
+//     { markdown | html, metadata, features, lang, scorm, ..., target, quiz?, assets?, mathjaxAssets? }
+//
+// `target` names the exportDocument() target the package was built for (build()
+// and buildCmi5() ignore it). `quiz` is the authored question JSON found in the
+// source, ready for the "qti" target. Companion files and bundled MathJax come
+// back out of the zip as `assets` / `mathjaxAssets`.
+//
+// A record written by another builder version is refused with an error naming
+// both versions: options and defaults move between versions, so a silent import
+// could rebuild a different package. `allowVersionMismatch: true` imports anyway.
+
+import { resolveJSZip } from "../util/zip-helpers.js";
+import { resolveConfig } from "../scorm/config.js";
+import { CMI5_CONFIG } from "../cmi5/package-builder.js";
+import { ACCESSIBILITY_REPORT_JSON, ACCESSIBILITY_REPORT_HTML } from "../enhancers/audit-report.js";
+import { extractQuizQuestions } from "../enhancers/quiz.js";
+import {
+  readSourceRecord,
+  SOURCE_RECORD_ID,
+  SOURCE_RECORD_FORMAT,
+  SOURCE_RECORD_GENERATOR,
+} from "./source-record.js";
+import { VERSION } from "./version.js";
+
+const LESSON_FILE = /^lesson-\d+\.html$/;
+const FIRST_PAGE = /^(content|lesson-0*1|index)\.html$/;
+
+function isZip(bytes) {
+  return bytes.length > 3 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+async function toBytes(input) {
+  if (typeof Blob !== "undefined" && input instanceof Blob) return new Uint8Array(await input.arrayBuffer());
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  throw new Error("scorm-builder: importPackage expects a zip (Blob, ArrayBuffer or Uint8Array) or an HTML string.");
+}
+
+function checkRecord(record, where, opts) {
+  if (!record || record.generator !== SOURCE_RECORD_GENERATOR) {
+    throw new Error(
+      `scorm-builder: ${where} has no source record (#${SOURCE_RECORD_ID}). Only packages built by scorm-builder ` +
+        "with features.sourceRecord on can be re-opened."
+    );
+  }
+  const mismatch = record.version !== VERSION || record.format !== SOURCE_RECORD_FORMAT;
+  if (mismatch && !opts.allowVersionMismatch) {
+    throw new Error(
+      `scorm-builder: ${where} was built by scorm-builder ${record.version} (source record format ${record.format}); ` +
+        `this is scorm-builder ${VERSION} (format ${SOURCE_RECORD_FORMAT}). Import it with scorm-builder ${record.version}, ` +
+        "or pass { allowVersionMismatch: true } to import it anyway."
+    );
+  }
+}
+
+function toOptions(record, target) {
+  const options = { ...record.source, ...record.options, target };
+  const quiz = extractQuizQuestions(record.source.markdown ?? record.source.html ?? "");
+  if (quiz.length) options.quiz = quiz;
+  return options;
+}
+
+async function importZip(bytes, opts) {
+  const JSZip = resolveJSZip(opts);
+  const zip = await JSZip.loadAsync(bytes);
+  const paths = Object.keys(zip.files).filter((p) => !zip.files[p].dir);
+
+  // The record sits in the first page: content.html, lesson-01.html (multi-SCO)
+  // or index.html (offline). Any other root page is tried after those.
+  const pages = paths
+    .filter((p) => !p.includes("/") && /\.html?$/i.test(p) && p !== ACCESSIBILITY_REPORT_HTML)
+    .sort((a, b) => FIRST_PAGE.test(b) - FIRST_PAGE.test(a));
+  let record = null;
+  for (const p of pages) {
+    record = readSourceRecord(await zip.file(p).async("string"));
+    if (record) break;
+  }
+  checkRecord(record, "the package", opts);
+
+  const recorded = record.options || {};
+  const config = resolveConfig(recorded.scormConfig);
+  const target = paths.includes(CMI5_CONFIG.MANIFEST_FILENAME)
+    ? "cmi5"
+    : paths.includes(config.MANIFEST_FILENAME)
+      ? recorded.scormVersion === "1.2" ? "scorm12" : "scorm"
+      : "html-offline";
+
+  // Everything the builder writes itself is regenerated by the rebuild; what is
+  // left is the caller's companion files and the bundled MathJax.
+  const owned = new Set([
+    config.CONTENT_FILENAME,
+    config.MANIFEST_FILENAME,
+    config.METADATA_FILENAME,
+    config.API_FILENAME,
+    config.README_FILENAME,
+    CMI5_CONFIG.MANIFEST_FILENAME,
+    CMI5_CONFIG.API_FILENAME,
+    ACCESSIBILITY_REPORT_JSON,
+    ACCESSIBILITY_REPORT_HTML,
+  ]);
+  if (target === "html-offline") owned.add("index.html");
+  const mathjaxDir = `${config.LOCAL_MATHJAX_DIR}/`;
+  const assets = {};
+  const mathjaxAssets = {};
+  for (const p of paths) {
+    if (owned.has(p) || LESSON_FILE.test(p)) continue;
+    const data = await zip.file(p).async("uint8array");
+    if (p.startsWith(mathjaxDir)) mathjaxAssets[p.slice(mathjaxDir.length)] = data;
+    else assets[p] = data;
+  }
+
+  const options = toOptions(record, target);
+  if (Object.keys(assets).length) options.assets = assets;
+  if (Object.keys(mathjaxAssets).length) options.mathjaxAssets = mathjaxAssets;
+  return options;
+}
+
+/**
+ * @param {Blob|ArrayBuffer|Uint8Array|string} zipOrHtml - a built zip, or a
+ *   standalone document's HTML (as a string or bytes)
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { JSZip } (only needed for a zip)
+ * @param {boolean} [opts.allowVersionMismatch=false] - import a record written by
+ *   another builder version instead of throwing
+ * @returns {Promise<object>} build options, plus `target` and, when found, `quiz`,
+ *   `assets` and `mathjaxAssets`
+ */
+export async function importPackage(zipOrHtml, opts = {}) {
+  if (typeof zipOrHtml === "string") {
+    const record = readSourceRecord(zipOrHtml);
+    checkRecord(record, "the document", opts);
+    return toOptions(record, "html");
+  }
+  const bytes = await toBytes(zipOrHtml);
+  if (isZip(bytes)) return importZip(bytes, opts);
+  return importPackage(new TextDecoder().decode(bytes), opts);
+}
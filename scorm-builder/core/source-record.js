@@ -0,0 +1,101 @@
+// The source record: the caller's original input and build options, embedded in
+// every built document so the package can be re-opened for editing
+// (core/import.js) after the authoring copy is gone.
+//
+// The save feature's base64 embed (html-assembler.js) cannot serve here: it is
+// the ASSEMBLED document — markdown already rendered, images inlined, enhancers
+// applied — not what the author wrote. The record keeps the raw markdown or HTML
+// plus the JSON-serialisable options that shaped the build, under:
+//
+//   <script type="application/json" id="scorm-builder-source">{ ... }</script>
+//
+// Only options named in RECORDED_OPTIONS are kept: callbacks and injected deps
+// cannot be serialised, and companion assets already travel in the zip itself.
+// Turn the record off with features.sourceRecord: false (e.g. a build whose
+// source must not ship to learners).
+
+import { VERSION } from "./version.js";
+
+export const SOURCE_RECORD_ID = "scorm-builder-source";
+export const SOURCE_RECORD_FORMAT = 1;
+export const SOURCE_RECORD_GENERATOR = "scorm-builder";
+
+/** Build options carried in the record, in the order they are written. */
+export const RECORDED_OPTIONS = Object.freeze([
+  "metadata",
+  "features",
+  "lang",
+  "mathjaxMode",
+  "mathMode",
+  "mathpixOptions",
+  "scormVersion",
+  "scorm",
+  "cmi5",
+  "scormConfig",
+  "identifier",
+  "sidebar",
+  "head",
+  "bodyEnd",
+  "footer",
+  "ensureH1",
+  "processHeadings",
+  "processTables",
+  "tableColumnThreshold",
+  "processLongDescriptions",
+  "longDescriptionLabel",
+  "warnMissingLongDescription",
+  "accessibilityRules",
+  "accessibilityReport",
+  "strictAccessibility",
+]);
+
+const RECORD = new RegExp(
+  `<script\\b[^>]*\\bid\\s*=\\s*["']${SOURCE_RECORD_ID}["'][^>]*>([\\s\\S]*?)<\\/script>`,
+  "i"
+);
+
+/**
+ * @param {object} options - build options ({ html } or { markdown } plus the rest)
+ * @returns {{ generator: string, version: string, format: number,
+ *   source: { markdown?: string, html?: string }, options: object }}
+ */
+export function createSourceRecord(options = {}) {
+  const source = options.markdown != null ? { markdown: String(options.markdown) } : { html: String(options.html ?? "") };
+  const recorded = {};
+  for (const key of RECORDED_OPTIONS) {
+    if (options[key] !== undefined) recorded[key] = options[key];
+  }
+  return {
+    generator: SOURCE_RECORD_GENERATOR,
+    version: VERSION,
+    format: SOURCE_RECORD_FORMAT,
+    source,
+    // A JSON round trip drops anything a caller nested that cannot serialise.
+    options: JSON.parse(JSON.stringify(recorded)),
+  };
+}
+
+/**
+ * The record as an inert <script> block. `<` is escaped so no source markup can
+ * close the element early.
+ * @param {object} record - createSourceRecord() result
+ * @returns {string}
+ */
+export function renderSourceRecord(record) {
+  const json = JSON.stringify(record).replace(/</g, "\\u003c");
+  return `<script type="application/json" id="${SOURCE_RECORD_ID}">${json}</script>`;
+}
+
+/**
+ * @param {string} html - a built document
+ * @returns {object|null} the embedded record, or null when there is none
+ */
+export function readSourceRecord(html) {
+  const m = String(html).match(RECORD);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[1]);
+  } catch {
+    throw new Error(`scorm-builder: the embedded source record (#${SOURCE_RECORD_ID}) is not valid JSON.`);
+  }
+}
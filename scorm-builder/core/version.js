@@ -0,0 +1,4 @@
+// The builder's own version. Stamped into every document's source record (see
+// core/source-record.js) so importPackage() can tell which builder produced a
+// package it is asked to re-open.
+export const VERSION = "0.0.0";
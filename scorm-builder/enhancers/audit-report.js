@@ -0,0 +1,171 @@
+// The build-time audit as a report an instructor can read: which rules ran, what
+// each tests (with its WCAG success criteria), and what it found. One JSON shape
+// (createAccessibilityReport) and one rendering of it (renderAccessibilityReportHtml);
+// packaged targets can ship both next to the content when asked
+// (build({ accessibilityReport: true })).
+//
+// The report records what an AUTOMATED check saw. It says so in the HTML: a clean
+// report is not a WCAG conformance claim.
+
+import { escapeXML } from "../util/escape-xml.js";
+import { AUDIT_RULES, WCAG_CRITERIA, SEVERITIES, resolveAuditRules } from "./audit.js";
+
+export const ACCESSIBILITY_REPORT_JSON = "accessibility-report.json";
+export const ACCESSIBILITY_REPORT_HTML = "ACCESSIBILITY-REPORT.html";
+export const ACCESSIBILITY_REPORT_FORMAT = "scorm-builder-accessibility-report";
+
+function criterion(sc) {
+  const { name, level } = WCAG_CRITERIA[sc];
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return { sc, name, level, url: `https://www.w3.org/WAI/WCAG22/Understanding/${slug}` };
+}
+
+/**
+ * @param {object[]} findings - auditAccessibility() results (a `page` field, as a
+ *   multi-SCO build adds, is carried through)
+ * @param {object} [opts]
+ * @param {string} [opts.title] - document title
+ * @param {string} [opts.lang="en"]
+ * @param {string} [opts.isoDate] - report date (YYYY-MM-DD); defaults to today
+ * @param {object} [opts.audit] - the options the audit ran with, to tell checked
+ *   rules from skipped ones
+ * @returns {{ format: string, version: number, title: string, lang: string, date: string,
+ *   summary: object, rules: object[], findings: object[] }}
+ */
+export function createAccessibilityReport(findings = [], opts = {}) {
+  const active = new Set(resolveAuditRules(opts.audit).map((r) => r.id));
+  const rules = AUDIT_RULES.map((rule) => {
+    const count = findings.filter((f) => f.rule === rule.id).length;
+    return {
+      id: rule.id,
+      title: rule.title,
+      severity: rule.severity,
+      wcag: rule.wcag.map(criterion),
+      status: !active.has(rule.id) ? "skipped" : count ? "failed" : "passed",
+      findings: count,
+    };
+  });
+  const bySeverity = Object.fromEntries(SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]));
+
+  return {
+    format: ACCESSIBILITY_REPORT_FORMAT,
+    version: 1,
+    title: opts.title || "Accessible Document",
+    lang: opts.lang || "en",
+    date: opts.isoDate || new Date().toISOString().slice(0, 10),
+    summary: {
+      rulesChecked: active.size,
+      rulesPassed: rules.filter((r) => r.status === "passed").length,
+      rulesFailed: rules.filter((r) => r.status === "failed").length,
+      rulesSkipped: rules.filter((r) => r.status === "skipped").length,
+      findings: findings.length,
+      errors: bySeverity.error,
+      warnings: bySeverity.warning,
+      notices: bySeverity.notice,
+    },
+    rules,
+    findings: findings.map((f) => ({ ...f })),
+  };
+}
+
+const STATUS_LABEL = { passed: "Passed", failed: "Issues found", skipped: "Not checked" };
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * Render a report as a standalone, accessible HTML page.
+ * @param {object} report - createAccessibilityReport() result
+ * @returns {string}
+ */
+export function renderAccessibilityReportHtml(report) {
+  const s = report.summary;
+  const esc = (v) => escapeXML(String(v));
+  const wcag = (list) =>
+    list.map((c) => `<a href="${esc(c.url)}">${esc(c.sc)} ${esc(c.name)}</a> (${esc(c.level)})`).join(", ");
+
+  const rows = report.rules
+    .map(
+      (r) => `      <tr>
+        <th scope="row">${esc(r.title)}<br><code>${esc(r.id)}</code></th>
+        <td>${wcag(r.wcag)}</td>
+        <td>${esc(r.severity)}</td>
+        <td>${STATUS_LABEL[r.status]}${r.findings ? ` (${r.findings})` : ""}</td>
+      </tr>`
+    )
+    .join("\n");
+
+  const groups = report.rules
+    .filter((r) => r.findings)
+    .map((r) => {
+      const items = report.findings
+        .filter((f) => f.rule === r.id)
+        .map(
+          (f) =>
+            `      <li>${esc(f.message)}${f.page ? ` <span class="page">(${esc(f.page)})</span>` : ""}` +
+            `${f.snippet ? `<br><code>${esc(f.snippet)}</code>` : ""}</li>`
+        )
+        .join("\n");
+      return `    <h3 id="rule-${esc(r.id)}">${esc(r.title)} — ${esc(r.severity)}</h3>\n    <ul>\n${items}\n    </ul>`;
+    })
+    .join("\n");
+
+  const verdict = s.findings
+    ? `${plural(s.errors, "error")}, ${plural(s.warnings, "warning")} and ${plural(s.notices, "notice")} ` +
+      `across ${plural(s.rulesFailed, "rule")}.`
+    : "No issues found.";
+
+  return `<!DOCTYPE html>
+<html lang="${esc(report.lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Accessibility report: ${esc(report.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #1a1a1a; background: #fff; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #767676; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  thead th { background: #f0f0f0; }
+  code { font-size: 0.9em; word-break: break-all; }
+  a { color: #0645ad; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Accessibility report: ${esc(report.title)}</h1>
+  <p>Generated ${esc(report.date)} by the scorm-builder build-time audit. ${plural(s.rulesChecked, "rule")} checked; ${verdict}</p>
+  <p>This is an automated check of the source content. It cannot confirm conformance with WCAG:
+    reading order, the quality of alt text and captions, and keyboard use still need a person to review.</p>
+  <h2>Rules checked</h2>
+  <table>
+    <caption>Each rule, the WCAG success criteria it tests, and its result</caption>
+    <thead>
+      <tr><th scope="col">Rule</th><th scope="col">WCAG</th><th scope="col">Severity</th><th scope="col">Result</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <h2>Findings</h2>
+${groups || "  <p>None.</p>"}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * The report as package files: { [filename]: content }, ready to bundle as
+ * companion assets.
+ * @param {object} report - createAccessibilityReport() result
+ * @param {boolean|{json?: boolean, html?: boolean}} [which=true] - true for both
+ * @returns {Object<string, string>}
+ */
+export function accessibilityReportFiles(report, which = true) {
+  const want = which === true ? {} : which || {};
+  const files = {};
+  if (want.json !== false) files[ACCESSIBILITY_REPORT_JSON] = JSON.stringify(report, null, 2) + "\n";
+  if (want.html !== false) files[ACCESSIBILITY_REPORT_HTML] = renderAccessibilityReportHtml(report);
+  return files;
+}
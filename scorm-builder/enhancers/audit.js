@@ -1,17 +1,48 @@
 // Build-time accessibility audit of the source content. Non-blocking by design:
-// it collects warnings the caller can surface (via `onAccessibilityWarning`) or
+// it collects findings the caller can surface (via `onAccessibilityWarning`) or
 // escalate (via `strictAccessibility`), and never mutates the HTML.
 //
-// Currently checks:
-//   img-missing-alt — an <img> with NO `alt` attribute at all (WCAG 1.1.1
-//     Non-text Content). An EMPTY alt (alt="") is deliberately NOT flagged: it
-//     is the correct, intentional marker for a decorative image.
-//   img-missing-longdesc — OPT-IN (opts.warnMissingLongDescription): an <img>
-//     with a very long alt (a sign the author is stuffing structure meant for a
-//     long description into alt) and no adjacent long description. Off by default
-//     so builds stay quiet; see enhancers/long-descriptions.js for the fix.
+// The audit is a table of rules (AUDIT_RULES). Each rule carries an id, the WCAG
+// success criteria it tests, a severity and a check over a single scan of the
+// document. Severities:
+//   error   — a failure of the criterion as written (an image with no alt, a link
+//             with no accessible name)
+//   warning — very likely a failure, but the check is a heuristic (a heading that
+//             skips levels, "click here" link text, untagged foreign script)
+//   notice  — good practice the criterion's techniques ask for (a table caption)
 //
-// Each warning: { type, message, snippet }.
+// Rules are string scans, not a DOM: like the other enhancers the audit runs
+// identically in node and the browser. Two rules are deliberately conservative:
+//   contrast-inline — only an element whose own inline style sets BOTH a colour
+//     and a background is measured. A lone `color` is left alone: the page
+//     background comes from the reader's light/dark theme, not the author.
+//   lang-missing-on-part — only text in a different SCRIPT from the document
+//     language (Cyrillic in an English page) is detectable; a French phrase in an
+//     English page is not.
+//
+// img-missing-alt deliberately does NOT flag an EMPTY alt (alt=""): it is the
+// correct, intentional marker for a decorative image. img-missing-longdesc is
+// OPT-IN (opts.warnMissingLongDescription) so builds stay quiet by default; see
+// enhancers/long-descriptions.js for the fix it points at.
+//
+// Each finding: { type, rule, severity, wcag, message, snippet } — `type` and
+// `rule` are the same id (`type` is the original field name, kept for callers).
+// enhancers/audit-report.js turns a list of findings into the JSON/HTML report.
+
+import { RESERVED_IDS } from "../util/reserved-ids.js";
+
+/** WCAG 2.2 success criteria the rules reference: sc -> { name, level }. */
+export const WCAG_CRITERIA = Object.freeze({
+  "1.1.1": { name: "Non-text Content", level: "A" },
+  "1.3.1": { name: "Info and Relationships", level: "A" },
+  "1.4.3": { name: "Contrast (Minimum)", level: "AA" },
+  "2.4.4": { name: "Link Purpose (In Context)", level: "A" },
+  "2.4.6": { name: "Headings and Labels", level: "AA" },
+  "3.1.2": { name: "Language of Parts", level: "AA" },
+  "4.1.2": { name: "Name, Role, Value", level: "A" },
+});
+
+export const SEVERITIES = Object.freeze(["error", "warning", "notice"]);
 
 const IMG_TAG = /<img\b[^>]*>/gi;
 // Matches a real alt attribute: alt="...", alt='...' or alt=token. Requires
@@ -25,58 +56,510 @@ const LONG_ALT_THRESHOLD = 150;
 // either means the author already supplied / linked a long description nearby.
 const LONGDESC_MARKER = /\bclass\s*=\s*("[^"]*\blongdesc\b[^"]*"|'[^']*\blongdesc\b[^']*')|\baria-details\s*=/i;
 
-function altText(tag) {
-  const m = tag.match(ALT_ATTR);
-  if (!m) return null;
-  return m[1].replace(/^["']|["']$/g, "");
+const TABLE = /<table\b([^>]*)>([\s\S]*?)<\/table>/gi;
+const LINK = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+const BUTTON = /<button\b([^>]*)>([\s\S]*?)<\/button>/gi;
+const IFRAME = /<iframe\b[^>]*>/gi;
+
+// Link text that says nothing about the destination out of context (2.4.4).
+const AMBIGUOUS_LINK_TEXT = new Set([
+  "click here", "click", "here", "this", "this link", "link", "more", "read more",
+  "learn more", "more info", "more information", "details", "go", "continue", "download",
+]);
+
+// Elements whose text is not prose: code, maths and embedded markup are neither
+// "foreign language" nor part of the heading/link structure.
+const RAW_TEXT = new Set(["script", "style", "code", "pre", "kbd", "samp", "math", "svg", "textarea"]);
+const VOID = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+// Writing systems detectable in text, and the language subtags written in each.
+// Text in one of these scripts inside an element whose language is not listed
+// needs its own `lang` (3.1.2). Latin is absent: it is shared by too many
+// languages to tell apart.
+const SCRIPTS = [
+  { name: "Cyrillic", re: /\p{Script=Cyrillic}{3,}/u, langs: ["ru", "uk", "be", "bg", "sr", "mk", "kk", "ky", "mn", "tg", "tt", "ba", "cv"] },
+  { name: "Greek", re: /\p{Script=Greek}{3,}/u, langs: ["el", "grc"] },
+  { name: "Arabic", re: /\p{Script=Arabic}{3,}/u, langs: ["ar", "fa", "ur", "ps", "ku", "sd", "ug", "ckb"] },
+  { name: "Hebrew", re: /\p{Script=Hebrew}{3,}/u, langs: ["he", "yi", "iw"] },
+  { name: "Han", re: /\p{Script=Han}{2,}/u, langs: ["zh", "ja", "ko", "yue", "cmn"] },
+  { name: "Japanese kana", re: /[\p{Script=Hiragana}\p{Script=Katakana}]{2,}/u, langs: ["ja"] },
+  { name: "Hangul", re: /\p{Script=Hangul}{2,}/u, langs: ["ko"] },
+  { name: "Devanagari", re: /\p{Script=Devanagari}{3,}/u, langs: ["hi", "mr", "ne", "sa", "kok", "mai"] },
+  { name: "Bengali", re: /\p{Script=Bengali}{3,}/u, langs: ["bn", "as"] },
+  { name: "Tamil", re: /\p{Script=Tamil}{3,}/u, langs: ["ta"] },
+  { name: "Thai", re: /\p{Script=Thai}{3,}/u, langs: ["th"] },
+  { name: "Georgian", re: /\p{Script=Georgian}{3,}/u, langs: ["ka"] },
+  { name: "Armenian", re: /\p{Script=Armenian}{3,}/u, langs: ["hy"] },
+];
+
+// CSS named colours common enough to appear in authored inline styles. Anything
+// else (currentColor, var(), hsl()) is skipped rather than guessed at.
+const NAMED_COLOURS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128],
+  gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192], maroon: [128, 0, 0],
+  navy: [0, 0, 128], teal: [0, 128, 128], olive: [128, 128, 0], lime: [0, 255, 0],
+  aqua: [0, 255, 255], cyan: [0, 255, 255], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+  pink: [255, 192, 203], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+  darkgray: [169, 169, 169], darkgrey: [169, 169, 169], lightyellow: [255, 255, 224],
+  gold: [255, 215, 0], brown: [165, 42, 42],
+};
+
+function snippet(tag) {
+  return tag.length > 120 ? tag.slice(0, 117) + "..." : tag;
+}
+
+// Value of attribute `name` in an open tag (or its attribute string), or null.
+// Same leading-boundary rule as ALT_ATTR, so `data-title` is not `title`.
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`(?:^|[\\s"'])${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? m[2] ?? m[3] ?? m[4] : null;
+}
+
+function textOf(html) {
+  return String(html)
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;|&#160;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Accessible name of a link or button: aria-label, else aria-labelledby (assumed
+// to resolve), else its text plus the alt of any image inside, else title.
+function accessibleName(attrs, inner) {
+  const label = attr(attrs, "aria-label");
+  if (label && label.trim()) return label.trim();
+  if (attr(attrs, "aria-labelledby")) return "(labelled by reference)";
+  const alts = (inner.match(IMG_TAG) || []).map((img) => attr(img, "alt") || "").join(" ");
+  const text = `${textOf(inner)} ${alts}`.trim();
+  if (text) return text;
+  return (attr(attrs, "title") || "").trim();
+}
+
+// Strip TeX so maths (Greek letters, \alpha) is not mistaken for prose.
+function stripTex(text) {
+  return text
+    .replace(/\\\$/g, "")
+    .replace(/\$\$[\s\S]*?\$\$|\$[^$]*\$|\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\]/g, " ");
+}
+
+// One pass over the markup: every opening tag and text run, each with the
+// language in force and whether it sits in raw text or a long description.
+function scan(html) {
+  const elements = [];
+  const texts = [];
+  const stack = [];
+  const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  const top = () => stack[stack.length - 1] || { lang: null, raw: false, longdesc: false };
+  let m;
+  while ((m = TOKEN.exec(html)) !== null) {
+    const [token, closing, rawName, attrs] = m;
+    if (rawName === undefined) {
+      if (token[0] !== "<" || token === "<") texts.push({ text: token, index: m.index, ...top() });
+      continue;
+    }
+    const name = rawName.toLowerCase();
+    if (closing) {
+      const at = stack.map((e) => e.name).lastIndexOf(name);
+      if (at !== -1) stack.length = at;
+      continue;
+    }
+    const parent = top();
+    const lang = attr(attrs, "lang");
+    const cls = attr(attrs, "class") || "";
+    const ctx = {
+      name,
+      lang: lang != null ? lang : parent.lang,
+      raw: parent.raw || RAW_TEXT.has(name),
+      longdesc: parent.longdesc || /(?:^|\s)longdesc(?:\s|$)/.test(cls),
+    };
+    elements.push({ tag: token, attrs, index: m.index, ...ctx });
+    if (!VOID.has(name) && !/\/\s*$/.test(attrs)) stack.push(ctx);
+  }
+  return { html, elements, texts };
+}
+
+// ---- colour contrast -------------------------------------------------------
+
+function parseColour(value) {
+  const v = String(value).trim().toLowerCase();
+  if (NAMED_COLOURS[v]) return NAMED_COLOURS[v];
+  let m = v.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (m) {
+    const hex = m[1].length <= 4 ? [...m[1]].map((c) => c + c).join("") : m[1];
+    // A translucent colour depends on what is behind it; not measurable here.
+    if (hex.length === 8 && hex.slice(6) !== "ff") return null;
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  }
+  m = v.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (m) {
+    if (m[4] !== undefined && parseFloat(m[4]) < (m[4].endsWith("%") ? 100 : 1)) return null;
+    return m.slice(1, 4).map((c) => (c.endsWith("%") ? Math.round(parseFloat(c) * 2.55) : Number(c)));
+  }
+  return null;
+}
+
+function luminance([r, g, b]) {
+  const lin = (c) => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
 }
 
 /**
- * @param {string} html
- * @param {object} [opts]
- * @param {boolean} [opts.warnMissingLongDescription=false] - emit img-missing-longdesc
- * @returns {Array<{type: string, message: string, snippet: string}>}
+ * WCAG contrast ratio between two sRGB colours, 1–21.
+ * @param {number[]} a - [r, g, b]
+ * @param {number[]} b - [r, g, b]
+ * @returns {number}
  */
-export function auditAccessibility(html, opts = {}) {
-  const warnings = [];
-  const src = String(html);
-  const tags = src.match(IMG_TAG) || [];
-  for (const tag of tags) {
-    if (!ALT_ATTR.test(tag)) {
-      warnings.push({
-        type: "img-missing-alt",
-        message:
-          'Image has no alt attribute. Add descriptive alt text, or alt="" if the image is purely decorative.',
-        snippet: tag.length > 120 ? tag.slice(0, 117) + "..." : tag,
-      });
-    }
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function declarations(style) {
+  const out = {};
+  for (const decl of style.split(";")) {
+    const i = decl.indexOf(":");
+    if (i === -1) continue;
+    out[decl.slice(0, i).trim().toLowerCase()] = decl.slice(i + 1).replace(/!important/i, "").trim();
   }
+  return out;
+}
+
+// Large text (18pt, or 14pt bold) only needs 3:1.
+function isLargeText(decls) {
+  const m = String(decls["font-size"] || "").match(/^([\d.]+)(px|pt|em|rem)$/);
+  if (!m) return false;
+  const pt = m[2] === "pt" ? Number(m[1]) : m[2] === "px" ? Number(m[1]) * 0.75 : Number(m[1]) * 12;
+  const weight = String(decls["font-weight"] || "");
+  const bold = weight === "bold" || weight === "bolder" || Number(weight) >= 700;
+  return pt >= 18 || (bold && pt >= 14);
+}
+
+// ---- rules -----------------------------------------------------------------
 
-  if (opts.warnMissingLongDescription) {
-    IMG_TAG.lastIndex = 0;
-    let m;
-    while ((m = IMG_TAG.exec(src)) !== null) {
-      const tag = m[0];
-      if (/\baria-details\s*=/i.test(tag)) continue;
-      const alt = altText(tag);
-      if (!alt || alt.length <= LONG_ALT_THRESHOLD) continue;
-
-      // Look from just after this img up to the next img (or end) for a nearby
-      // long description; absence is the signal to warn.
-      const rest = src.slice(m.index + tag.length);
-      const nextImg = rest.search(/<img\b/i);
-      const window = nextImg === -1 ? rest : rest.slice(0, nextImg);
-      if (!LONGDESC_MARKER.test(window)) {
-        warnings.push({
-          type: "img-missing-longdesc",
-          message:
-            "Image has a very long alt and no long description. Move the detail into a " +
-            '<div class="longdesc"> block so screen-reader users get structured content.',
-          snippet: tag.length > 120 ? tag.slice(0, 117) + "..." : tag,
+function headingsOf(doc) {
+  return doc.elements.filter((e) => /^h[1-6]$/.test(e.name) && !e.longdesc).map((e) => ({ ...e, level: Number(e.name[1]) }));
+}
+
+/**
+ * The rule table. `optIn` names the audit option that must be true for the rule
+ * to run; every other rule runs unless switched off through `opts.rules`.
+ * @type {ReadonlyArray<{ id: string, title: string, severity: string, wcag: string[], optIn?: string,
+ *   check: (doc: object) => Array<{message: string, snippet: string}> }>}
+ */
+export const AUDIT_RULES = Object.freeze([
+  {
+    id: "img-missing-alt",
+    title: "Images have an alt attribute",
+    severity: "error",
+    wcag: ["1.1.1"],
+    check: (doc) =>
+      (doc.html.match(IMG_TAG) || [])
+        .filter((tag) => !ALT_ATTR.test(tag))
+        .map((tag) => ({
+          message: 'Image has no alt attribute. Add descriptive alt text, or alt="" if the image is purely decorative.',
+          snippet: snippet(tag),
+        })),
+  },
+  {
+    id: "img-missing-longdesc",
+    title: "Complex images have a long description",
+    severity: "warning",
+    wcag: ["1.1.1"],
+    optIn: "warnMissingLongDescription",
+    check: (doc) => {
+      const found = [];
+      const src = doc.html;
+      const re = new RegExp(IMG_TAG.source, "gi");
+      let m;
+      while ((m = re.exec(src)) !== null) {
+        const tag = m[0];
+        if (/\baria-details\s*=/i.test(tag)) continue;
+        const alt = attr(tag, "alt");
+        if (!alt || alt.length <= LONG_ALT_THRESHOLD) continue;
+        // Look from just after this img up to the next img (or end) for a nearby
+        // long description; absence is the signal to warn.
+        const rest = src.slice(m.index + tag.length);
+        const nextImg = rest.search(/<img\b/i);
+        const window = nextImg === -1 ? rest : rest.slice(0, nextImg);
+        if (!LONGDESC_MARKER.test(window)) {
+          found.push({
+            message:
+              "Image has a very long alt and no long description. Move the detail into a " +
+              '<div class="longdesc"> block so screen-reader users get structured content.',
+            snippet: snippet(tag),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "heading-level-skip",
+    title: "Heading levels do not skip",
+    severity: "warning",
+    wcag: ["1.3.1", "2.4.6"],
+    check: (doc) => {
+      const found = [];
+      const headings = headingsOf(doc);
+      for (let i = 1; i < headings.length; i++) {
+        const prev = headings[i - 1].level;
+        const h = headings[i];
+        if (h.level > prev + 1) {
+          found.push({
+            message: `Heading level jumps from h${prev} to h${h.level}. Use h${prev + 1} so the outline has no gap.`,
+            snippet: snippet(h.tag),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "heading-multiple-h1",
+    title: "The document has at most one h1",
+    severity: "warning",
+    wcag: ["1.3.1", "2.4.6"],
+    check: (doc) =>
+      headingsOf(doc)
+        .filter((h) => h.level === 1)
+        .slice(1)
+        .map((h) => ({
+          message: "More than one h1. Keep a single h1 for the document title and use h2 for its sections.",
+          snippet: snippet(h.tag),
+        })),
+  },
+  {
+    id: "table-missing-headers",
+    title: "Data tables have header cells",
+    severity: "error",
+    wcag: ["1.3.1"],
+    check: (doc) => {
+      const found = [];
+      for (const [table, attrs, inner] of doc.html.matchAll(TABLE)) {
+        if (/^(presentation|none)$/i.test(attr(attrs, "role") || "")) continue;
+        if (!/<th\b/i.test(inner)) {
+          found.push({
+            message: 'Table has no header cells. Mark the header row or column with <th>, or role="presentation" for a layout table.',
+            snippet: snippet(table),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "table-missing-caption",
+    title: "Data tables have a caption",
+    severity: "notice",
+    wcag: ["1.3.1"],
+    check: (doc) => {
+      const found = [];
+      for (const [table, attrs, inner] of doc.html.matchAll(TABLE)) {
+        if (/^(presentation|none)$/i.test(attr(attrs, "role") || "")) continue;
+        if (/<caption\b/i.test(inner) || attr(attrs, "aria-label") || attr(attrs, "aria-labelledby")) continue;
+        found.push({
+          message: "Table has no <caption>. A caption names the table for screen-reader users browsing by table.",
+          snippet: snippet(table),
         });
       }
+      return found;
+    },
+  },
+  {
+    id: "link-empty",
+    title: "Links have an accessible name",
+    severity: "error",
+    wcag: ["2.4.4", "4.1.2"],
+    check: (doc) => {
+      const found = [];
+      for (const [link, attrs, inner] of doc.html.matchAll(LINK)) {
+        if (attr(attrs, "href") === null) continue;
+        if (!accessibleName(attrs, inner)) {
+          found.push({
+            message: "Link has no text. Give it text (or an image with alt text) that names its destination.",
+            snippet: snippet(link),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "link-ambiguous-text",
+    title: "Link text describes the destination",
+    severity: "warning",
+    wcag: ["2.4.4"],
+    check: (doc) => {
+      const found = [];
+      for (const [link, attrs, inner] of doc.html.matchAll(LINK)) {
+        if (attr(attrs, "href") === null) continue;
+        const name = accessibleName(attrs, inner).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").replace(/\s+/g, " ").trim();
+        if (AMBIGUOUS_LINK_TEXT.has(name)) {
+          found.push({
+            message: `Link text "${textOf(inner)}" does not say where it goes. Name the destination instead.`,
+            snippet: snippet(link),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "button-empty",
+    title: "Buttons have an accessible name",
+    severity: "error",
+    wcag: ["4.1.2"],
+    check: (doc) => {
+      const found = [];
+      for (const [button, attrs, inner] of doc.html.matchAll(BUTTON)) {
+        if (!accessibleName(attrs, inner)) {
+          found.push({
+            message: "Button has no text or aria-label, so a screen reader announces only \"button\".",
+            snippet: snippet(button),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "contrast-inline",
+    title: "Inline colours meet minimum contrast",
+    severity: "error",
+    wcag: ["1.4.3"],
+    check: (doc) => {
+      const found = [];
+      for (const el of doc.elements) {
+        const style = attr(el.attrs, "style");
+        if (!style) continue;
+        const decls = declarations(style);
+        const fgValue = decls.color;
+        const bgValue = decls["background-color"] || (decls.background || "").split(/\s+(?![^(]*\))/)[0];
+        if (!fgValue || !bgValue) continue;
+        const fg = parseColour(fgValue);
+        const bg = parseColour(bgValue);
+        if (!fg || !bg) continue;
+        const ratio = contrastRatio(fg, bg);
+        const required = isLargeText(decls) ? 3 : 4.5;
+        if (ratio < required) {
+          found.push({
+            message: `Text colour ${fgValue} on ${bgValue} has a contrast ratio of ${ratio.toFixed(2)}:1; at least ${required}:1 is required.`,
+            snippet: snippet(el.tag),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "lang-missing-on-part",
+    title: "Passages in another language are marked with lang",
+    severity: "warning",
+    wcag: ["3.1.2"],
+    check: (doc) => {
+      const found = [];
+      const docLang = String(doc.lang || "en");
+      for (const t of doc.texts) {
+        if (t.raw) continue;
+        const lang = String(t.lang || docLang).toLowerCase().split("-")[0];
+        const text = stripTex(t.text);
+        for (const script of SCRIPTS) {
+          const m = text.match(script.re);
+          if (!m || script.langs.includes(lang)) continue;
+          found.push({
+            message: `${script.name} text in a passage whose language is "${t.lang || docLang}". Wrap it in an element with the right lang attribute.`,
+            snippet: snippet(t.text.trim()),
+          });
+          break;
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "duplicate-id",
+    title: "Element ids are unique",
+    severity: "error",
+    wcag: ["1.3.1", "4.1.2"],
+    check: (doc) => {
+      const found = [];
+      const seen = new Map();
+      for (const el of doc.elements) {
+        const id = attr(el.attrs, "id");
+        if (id === null || id === "") continue;
+        seen.set(id, (seen.get(id) || 0) + 1);
+        if (seen.get(id) === 2) {
+          found.push({
+            message: `id "${id}" is used more than once; labels, links and aria references resolve to the first only.`,
+            snippet: snippet(el.tag),
+          });
+        } else if (seen.get(id) === 1 && RESERVED_IDS.has(id)) {
+          // The document shell already owns this id (see util/reserved-ids.js).
+          found.push({
+            message: `id "${id}" is also used by the page's own controls; rename it so both stay reachable.`,
+            snippet: snippet(el.tag),
+          });
+        }
+      }
+      return found;
+    },
+  },
+  {
+    id: "iframe-missing-title",
+    title: "Embedded frames have a title",
+    severity: "error",
+    wcag: ["4.1.2"],
+    check: (doc) =>
+      (doc.html.match(IFRAME) || [])
+        .filter((tag) => !(attr(tag, "title") || "").trim() && !(attr(tag, "aria-label") || "").trim())
+        .map((tag) => ({
+          message: 'Embedded frame has no title. Add title="…" describing what it contains.',
+          snippet: snippet(tag),
+        })),
+  },
+]);
+
+/**
+ * The rules an audit with these options runs: opt-in rules need their option,
+ * and `opts.rules` can switch any rule off ({ "table-missing-caption": false }).
+ * @param {object} [opts] - auditAccessibility options
+ * @returns {object[]} entries of AUDIT_RULES
+ */
+export function resolveAuditRules(opts = {}) {
+  const toggles = opts.rules || {};
+  return AUDIT_RULES.filter((rule) => {
+    if (toggles[rule.id] === false) return false;
+    if (rule.optIn && !opts[rule.optIn] && toggles[rule.id] !== true) return false;
+    return true;
+  });
+}
+
+/**
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {string} [opts.lang="en"] - document language, for lang-missing-on-part
+ * @param {boolean} [opts.warnMissingLongDescription=false] - run img-missing-longdesc
+ * @param {Object<string, boolean>} [opts.rules] - per-rule on/off switches by id
+ * @returns {Array<{type: string, rule: string, severity: string, wcag: string[], message: string, snippet: string}>}
+ */
+export function auditAccessibility(html, opts = {}) {
+  const doc = { ...scan(String(html)), lang: opts.lang };
+  const findings = [];
+  for (const rule of resolveAuditRules(opts)) {
+    for (const f of rule.check(doc)) {
+      findings.push({ type: rule.id, rule: rule.id, severity: rule.severity, wcag: rule.wcag, ...f });
     }
   }
-
-  return warnings;
+  return findings;
 }
@@ -22,6 +22,19 @@
 // Malformed or unsupported blocks are replaced with an HTML comment rather than
 // rendered broken (fail loudly in tests, degrade quietly for a learner).
 //
+// Quiz-wide settings travel in one optional block of their own:
+//
+//   <script type="application/json" data-quiz-settings>
+//   { "pools": { "core": { "draw": 5 } }, "attempts": 2, "masteryScore": 80, "shuffleQuestions": true }
+//   </script>
+//
+// A question joins a pool with "pool": "core"; the runtime then shows each
+// learner `draw` of that pool's questions (seeded per learner, so a resumed
+// session shows the same draw). Questions outside any pool are always shown.
+// `attempts` caps how often the quiz may be submitted (0 = no limit) and
+// `masteryScore` is the pass mark in percent. The block is validated and
+// rewritten as <script data-quiz-config> for quiz-runtime.js.
+//
 // Every question type is rendered through the RENDERERS / VALIDATORS dispatch
 // tables near the foot of the file: a type is supported iff it has an entry in
 // RENDERERS. Authored HTML is treated as trusted here (inserted as-is, matching
@@ -36,6 +49,10 @@ import { escapeXML } from "../util/escape-xml.js";
 const QUIZ_BLOCK =
   /<script\b[^>]*\btype\s*=\s*["']application\/json["'][^>]*\bdata-quiz-question\b[^>]*>([\s\S]*?)<\/script>/gi;
 
+// The quiz-wide settings block. Only the first is honoured.
+const QUIZ_SETTINGS_BLOCK =
+  /<script\b[^>]*\btype\s*=\s*["']application\/json["'][^>]*\bdata-quiz-settings\b[^>]*>([\s\S]*?)<\/script>/gi;
+
 // Leading icon for the "Check answer" button. Monochrome line art using
 // currentColor so it inherits the button text colour; aria-hidden because the
 // button's text label is the accessible name. Matches the app's icon style.
@@ -103,6 +120,7 @@ function validate(q) {
   if (!q.prompt || typeof q.prompt !== "object") return "missing prompt";
   if (q.points != null && (typeof q.points !== "number" || q.points < 0))
     return "points must be a non-negative number";
+  if (q.pool != null && (typeof q.pool !== "string" || !q.pool)) return "pool must be a non-empty string";
   // Every attached image needs a non-null text alternative (spec rule; SC 1.1.1).
   if (Array.isArray(q.media)) {
     for (const m of q.media) {
@@ -114,6 +132,61 @@ function validate(q) {
   return perType ? perType(q) : null;
 }
 
+// The settings block, checked with the same contract as validate().
+function validateSettings(s) {
+  if (!s || typeof s !== "object" || Array.isArray(s)) return "not an object";
+  if (s.pools != null) {
+    if (typeof s.pools !== "object" || Array.isArray(s.pools)) return "pools must map each pool id to { draw }";
+    for (const [id, pool] of Object.entries(s.pools)) {
+      if (!pool || !Number.isInteger(pool.draw) || pool.draw < 1) return `pool "${id}" needs a positive integer draw`;
+    }
+  }
+  if (s.attempts != null && (!Number.isInteger(s.attempts) || s.attempts < 0))
+    return "attempts must be a non-negative integer (0 = no limit)";
+  if (s.masteryScore != null && (typeof s.masteryScore !== "number" || s.masteryScore < 0 || s.masteryScore > 100))
+    return "masteryScore must be a percentage from 0 to 100";
+  if (s.shuffleQuestions != null && typeof s.shuffleQuestions !== "boolean")
+    return "shuffleQuestions must be true or false";
+  return null;
+}
+
+// The runtime's view of valid settings: every field present, nothing extra.
+function normaliseSettings(s) {
+  const config = { pools: {}, attempts: s.attempts || 0, shuffleQuestions: s.shuffleQuestions === true };
+  for (const [id, pool] of Object.entries(s.pools || {})) config.pools[id] = { draw: pool.draw };
+  if (s.masteryScore != null) config.masteryScore = s.masteryScore;
+  return config;
+}
+
+// Parse + validate one settings block: { config } or { error }.
+function parseSettings(jsonText) {
+  let s;
+  try {
+    s = JSON.parse(jsonText.trim());
+  } catch (e) {
+    return { error: `could not parse the settings block (${e.message})` };
+  }
+  const err = validateSettings(s);
+  return err ? { error: err } : { config: normaliseSettings(s) };
+}
+
+// Pools the settings and the questions disagree about still render (every
+// question shows); the author is told why the draw is not what they set.
+function poolWarnings(config, poolSizes) {
+  const warnings = [];
+  for (const [id, { draw }] of Object.entries(config ? config.pools : {})) {
+    const size = poolSizes.get(id) || 0;
+    if (!size) warnings.push(`quiz: pool "${id}" has no questions`);
+    else if (draw > size)
+      warnings.push(`quiz: pool "${id}" draws ${draw} but has only ${size} question(s); all are shown`);
+  }
+  for (const id of poolSizes.keys()) {
+    if (!config || !config.pools[id])
+      warnings.push(`quiz: pool "${id}" has no draw in the quiz settings; all its questions are shown`);
+  }
+  return warnings;
+}
+
 // Partial-credit methods should carry a partiallyCorrect outcome message, else a
 // partial result silently falls back to the "incorrect" message (spec rule).
 // This is a SOFT warning: the question still renders.
@@ -550,12 +623,13 @@ function renderQuestion(q, number) {
   // above"). Only meaningful for choice-family types; ordering always shuffles.
   const shuffleAttr =
     q.shuffle === true && SHUFFLE_TYPES.has(q.type) ? ` data-quiz-shuffle="true"` : "";
+  const poolAttr = q.pool ? ` data-quiz-pool="${escapeXML(q.pool)}"` : "";
 
   // No aria-labelledby on the section: a named <section> is a region landmark, and
   // one per question floods the rotor. The "Question N" <h2> gives heading-level
   // navigation instead; the prompt (legend/stem) names each control group.
   return (
-    `<section class="quiz-question" data-quiz-question-root="${id}"${shuffleAttr}>\n` +
+    `<section class="quiz-question" data-quiz-question-root="${id}"${shuffleAttr}${poolAttr}>\n` +
     `<h2 class="quiz-question-heading" id="${id}-heading">Question ${number}</h2>\n` +
     `${body}\n` +
     `<div class="quiz-actions">` +
@@ -577,7 +651,8 @@ function renderQuestion(q, number) {
  * @param {(message: string) => void} [options.onWarning] - called for each
  *   warning (skipped blocks and soft authoring warnings) so a host can surface
  *   authoring gaps loudly, mirroring onLongDescriptionWarning.
- * @returns {{ html: string, count: number, warnings: string[] }}
+ * @returns {{ html: string, count: number, warnings: string[], settings: object|null }}
+ *   `settings` is the validated settings block, or null when there is none
  */
 export function processQuiz(html, options = {}) {
   const warnings = [];
@@ -586,8 +661,9 @@ export function processQuiz(html, options = {}) {
     if (typeof options.onWarning === "function") options.onWarning(message);
   };
   let count = 0;
+  const poolSizes = new Map();
 
-  const out = String(html).replace(QUIZ_BLOCK, (full, jsonText) => {
+  let out = String(html).replace(QUIZ_BLOCK, (full, jsonText) => {
     let q;
     try {
       q = JSON.parse(jsonText.trim());
@@ -601,11 +677,75 @@ export function processQuiz(html, options = {}) {
       return `<!-- quiz: skipped question (${escapeXML(err)}) -->`;
     }
     count += 1;
+    if (q.pool) poolSizes.set(q.pool, (poolSizes.get(q.pool) || 0) + 1);
     softWarnings(q).forEach(emit);
     return renderQuestion(q, count);
   });
 
-  return { html: out, count, warnings };
+  let settings = null;
+  let seen = false;
+  out = out.replace(QUIZ_SETTINGS_BLOCK, (full, jsonText) => {
+    if (seen) {
+      emit("quiz: ignored a second settings block (only the first applies)");
+      return `<!-- quiz: ignored a second settings block -->`;
+    }
+    seen = true;
+    const { config, error } = parseSettings(jsonText);
+    if (error) {
+      emit(`quiz: skipped the settings block — ${error}`);
+      return `<!-- quiz: skipped settings block (${escapeXML(error)}) -->`;
+    }
+    settings = config;
+    return `<script type="application/json" data-quiz-config>${toInlineJson(config)}</script>`;
+  });
+  poolWarnings(settings, poolSizes).forEach(emit);
+
+  return { html: out, count, warnings, settings };
+}
+
+/**
+ * Validate one authored question against the same rules the renderer applies,
+ * for other consumers of the schema (e.g. the QTI exporter) that must accept and
+ * reject exactly what a build would.
+ * @param {object} q
+ * @returns {string|null} an error string, or null when the question is usable
+ */
+export function validateQuestion(q) {
+  return validate(q);
+}
+
+/** The question types the renderer supports, in dispatch-table order. */
+export const QUIZ_TYPES = Object.freeze(Object.keys(RENDERERS));
+
+/**
+ * The authored questions in an HTML string, in document order — the JSON inside
+ * each inline quiz block. Blocks that do not parse are skipped (processQuiz
+ * reports those at build time).
+ * @param {string} html
+ * @returns {object[]}
+ */
+export function extractQuizQuestions(html) {
+  const questions = [];
+  for (const [, jsonText] of String(html).matchAll(QUIZ_BLOCK)) {
+    try {
+      questions.push(JSON.parse(jsonText.trim()));
+    } catch {
+      // unparseable: nothing to recover
+    }
+  }
+  return questions;
+}
+
+/**
+ * The quiz settings an HTML string carries (its first data-quiz-settings block),
+ * normalised as processQuiz would, so the builder can read the pass mark before
+ * the document is assembled.
+ * @param {string} html
+ * @returns {object|null} null when there is no block or it is invalid
+ */
+export function readQuizSettings(html) {
+  const m = new RegExp(QUIZ_SETTINGS_BLOCK.source, "i").exec(String(html));
+  return m ? parseSettings(m[1]).config || null : null;
 }
 
 // Cheap early-out probe so buildHtml can skip the work when no quiz is present.
@@ -0,0 +1,183 @@
+// Resolved document content → the body of an EPUB 3 content document. Runs the
+// same enhancer passes as html-assembler.js (figures, long descriptions, heading
+// ids + outline, accessible tables) in the same order, then the EPUB-specific
+// ones: maths to MathML, page-break markers for the page-list, embedded images
+// lifted out of data: URLs into package resources, and XHTML serialisation.
+//
+// What an e-reader cannot run is removed with a warning rather than shipped
+// broken: interactive quiz blocks (export those with target "qti"), scripts, and
+// remote <iframe> embeds (replaced by a link to the same address).
+
+import { escapeXML } from "../util/escape-xml.js";
+import { htmlToXhtml } from "../util/xhtml.js";
+import { processHeadings } from "../enhancers/headings.js";
+import { processTables } from "../enhancers/enhance-tables.js";
+import { processLongDescriptions, findLongDescriptionRanges } from "../enhancers/long-descriptions.js";
+import { processMathpixFigures, hasMathpixFigure } from "../enhancers/mathpix-figures.js";
+import { convertTexToMathml } from "./math.js";
+
+const QUIZ_BLOCK = /<script\b[^>]*\bdata-quiz-question\b[^>]*>[\s\S]*?<\/script>/gi;
+const SCRIPT = /<script\b[^>]*>[\s\S]*?<\/script>/gi;
+const IFRAME = /<iframe\b([^>]*)>[\s\S]*?<\/iframe>/gi;
+const IMG_TAG = /<img\b[^>]*>/gi;
+const SRC_ATTR = /\bsrc\s*=\s*("([^"]*)"|'([^']*)')/i;
+const TITLE_ATTR = /\btitle\s*=\s*("([^"]*)"|'([^']*)')/i;
+const ALT_ATTR = /(?:^|[\s"'])alt\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i;
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+)(;[^,]*)?,(.*)$/s;
+
+// EPUB core media types for images, and the extension each is written with.
+const IMAGE_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+  "image/webp": "webp",
+};
+
+function attr(tag, re) {
+  const m = tag.match(re);
+  return m ? m[2] ?? m[3] : null;
+}
+
+// Pull data:-URL images out into package files. Identical images share a file.
+function extractImages(html, warn) {
+  const resources = [];
+  const byUrl = new Map();
+  let images = 0;
+  let missingAlt = 0;
+  const out = html.replace(IMG_TAG, (tag) => {
+    images += 1;
+    if (!ALT_ATTR.test(tag)) missingAlt += 1;
+    const src = attr(tag, SRC_ATTR);
+    if (!src) return tag;
+    if (/^(?:https?:)?\/\//i.test(src)) {
+      warn({
+        type: "epub-remote-image",
+        message: "Image is not embedded; EPUB readers do not load remote images. Provide an imageResolver so it can be packaged.",
+        snippet: src,
+      });
+      return tag;
+    }
+    const m = src.match(DATA_URL);
+    if (!m) return tag;
+    let href = byUrl.get(src);
+    if (!href) {
+      const mediaType = m[1].toLowerCase();
+      const ext = IMAGE_TYPES[mediaType];
+      if (!ext) {
+        warn({ type: "epub-image-type", message: `Image type ${mediaType} is not an EPUB core media type.`, snippet: tag.slice(0, 120) });
+      }
+      href = `images/image-${resources.length + 1}.${ext || "bin"}`;
+      const base64 = /;base64/i.test(m[2] || "");
+      resources.push({ href, mediaType, data: base64 ? m[3] : decodeURIComponent(m[3]), base64 });
+      byUrl.set(src, href);
+    }
+    return tag.replace(SRC_ATTR, `src="${href}"`);
+  });
+  return { html: out, resources, images, missingAlt };
+}
+
+/**
+ * @param {string} content - resolved content (see prepareDocument)
+ * @param {object} [opts]
+ * @param {object} [opts.features] - resolved feature flags
+ * @param {string} [opts.title] - injected as an <h1> when `ensureH1` and none exists
+ * @param {boolean} [opts.ensureH1=false]
+ * @param {string} [opts.longDescriptionLabel]
+ * @param {number|false} [opts.pageLevel=2] - a page-list entry before every heading
+ *   at this level or above; false for no page-list
+ * @param {object} [opts.deps] - { texToMathML }
+ * @param {(warning:{type,message,snippet}) => void} [opts.onWarning]
+ * @returns {{ xhtml: string, sections: Array<{level,text,id}>, pages: Array<{id,label}>,
+ *   resources: Array<{href,mediaType,data,base64}>, stats: object }}
+ */
+export function prepareEpubContent(content, opts = {}) {
+  const features = opts.features || {};
+  const warn = (w) => opts.onWarning && opts.onWarning(w);
+  let html = String(content || "");
+
+  const quizzes = (html.match(QUIZ_BLOCK) || []).length;
+  if (quizzes) {
+    html = html.replace(QUIZ_BLOCK, "");
+    warn({
+      type: "epub-quiz-removed",
+      message: `${quizzes} quiz question(s) removed: EPUB has no quiz runtime. Export them with target "qti".`,
+      snippet: "",
+    });
+  }
+  html = html.replace(SCRIPT, (tag) => {
+    warn({ type: "epub-script-removed", message: "Script removed from EPUB content.", snippet: tag.slice(0, 120) });
+    return "";
+  });
+  html = html.replace(IFRAME, (tag, attrs) => {
+    const src = attr(attrs, SRC_ATTR);
+    if (!src) return "";
+    const label = attr(attrs, TITLE_ATTR) || "Embedded media";
+    warn({ type: "epub-iframe-linked", message: "Embedded frame replaced by a link.", snippet: src });
+    return `<p class="embedded-media"><a href="${escapeXML(src)}">${escapeXML(label)}</a></p>`;
+  });
+
+  if (features.mathpixFigures !== false && hasMathpixFigure(html)) {
+    html = processMathpixFigures(html, { onWarning: opts.onWarning }).html;
+  }
+
+  let longDescriptions = 0;
+  if (features.imageLongDescriptions !== false) {
+    const result = processLongDescriptions(html, { summaryLabel: opts.longDescriptionLabel, onWarning: opts.onWarning });
+    html = result.html;
+    longDescriptions = result.count;
+  }
+
+  let injectedH1 = null;
+  if (opts.ensureH1 && opts.title && !/<h1\b/i.test(html)) {
+    injectedH1 = `<h1>${escapeXML(opts.title)}</h1>\n`;
+    html = injectedH1 + html;
+  }
+
+  // Long-description headings stay anchorable but out of the nav, as in the HTML.
+  const excludeRanges = injectedH1 ? [[0, injectedH1.length]] : [];
+  excludeRanges.push(...findLongDescriptionRanges(html));
+  const processed = processHeadings(html, { excludeRanges });
+  html = processTables(processed.html, { columnThreshold: opts.tableColumnThreshold });
+  const sections = processed.sections;
+
+  const maths = convertTexToMathml(html, { deps: opts.deps });
+  html = maths.html;
+
+  // One page-list entry per major section, marked where it starts.
+  const pageLevel = opts.pageLevel === undefined ? 2 : opts.pageLevel;
+  const pages = [];
+  if (pageLevel) {
+    for (const s of sections) {
+      if (s.level > pageLevel) continue;
+      const label = String(pages.length + 1);
+      const id = `epub-page-${label}`;
+      const marker = `<span id="${id}" role="doc-pagebreak" epub:type="pagebreak" aria-label="${label}"></span>`;
+      const at = new RegExp(`<h${s.level}\\b[^>]*\\bid\\s*=\\s*["']${s.id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}["']`, "i");
+      const before = html.length;
+      html = html.replace(at, (h) => marker + h);
+      if (html.length !== before) pages.push({ id, label });
+    }
+  }
+
+  const images = extractImages(html, warn);
+  html = images.html;
+
+  return {
+    xhtml: htmlToXhtml(html),
+    sections,
+    pages,
+    resources: images.resources,
+    stats: {
+      images: images.images,
+      imagesMissingAlt: images.missingAlt,
+      longDescriptions,
+      figures: (html.match(/<figure\b/gi) || []).length,
+      tables: (html.match(/<table\b/gi) || []).length,
+      maths: maths.count,
+      quizzesRemoved: quizzes,
+      // GIFs may be animated (a flashing hazard this build cannot rule out).
+      animatedImages: images.resources.filter((r) => r.mediaType === "image/gif").length,
+    },
+  };
+}
@@ -0,0 +1,125 @@
+// TeX → MathML for EPUB content. The HTML targets leave TeX in the page for the
+// document's own MathJax to typeset; an e-reader runs no MathJax, so the EPUB
+// target converts every equation to MathML at build time, which reading systems
+// render natively and hand to assistive technology as real maths.
+//
+// The converter is an INJECTED dependency, like mathpix and JSZip:
+//   opts.deps.texToMathML(tex, { display }) -> "<math …>…</math>"
+// e.g. (tex, o) => MathJax.tex2mml(tex, o) or
+//      (tex, o) => temml.renderToString(tex, { displayMode: o.display })
+// falling back to globalThis.MathJax.tex2mml when a MathJax 3 with the TeX input
+// is already on the page. Content with maths and no converter is an error, not
+// raw TeX quietly shipped to readers.
+//
+// Delimiters are the ones generators/mathjax-config.js configures — $…$, \(…\),
+// $$…$$, \[…\] and top-level \begin{env}…\end{env} — with \$ as a literal dollar
+// (processEscapes) and nothing converted inside code, pre, script, style or
+// textarea, matching MathJax's skipHtmlTags.
+
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+const SKIP = /<(code|pre|script|style|textarea)\b[\s\S]*?<\/\1>/gi;
+
+// Longest delimiters first so $$ is never read as two empty $ spans.
+const MATH = new RegExp(
+  [
+    String.raw`\$\$([\s\S]+?)\$\$`,
+    String.raw`\\\[([\s\S]+?)\\\]`,
+    String.raw`(\\begin\{([a-zA-Z*]+)\}[\s\S]+?\\end\{\3\})`,
+    String.raw`\\\(([\s\S]+?)\\\)`,
+    String.raw`(?<![\\$])\$(?!\s)((?:\\\$|[^$])+?)(?<!\s)\$`,
+  ].join("|"),
+  "g"
+);
+
+/**
+ * @param {object} [opts] - { deps: { texToMathML } }
+ * @returns {Function|null} the converter, or null when none is available
+ */
+export function resolveTexToMathml(opts = {}) {
+  if (typeof opts.deps?.texToMathML === "function") return opts.deps.texToMathML;
+  const mj = typeof globalThis !== "undefined" ? globalThis.MathJax : undefined;
+  if (mj && typeof mj.tex2mml === "function") return (tex, o) => mj.tex2mml(tex, o);
+  return null;
+}
+
+/** Cheap probe: does this HTML contain TeX maths outside code blocks? */
+export function hasTexMath(html) {
+  MATH.lastIndex = 0;
+  return MATH.test(String(html).replace(SKIP, ""));
+}
+
+// Decode the entities the HTML renderer will have applied inside TeX (a < b is
+// written a &lt; b in HTML) before handing the TeX to the converter.
+function decodeTex(tex) {
+  return tex
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+// Every <math> must carry the MathML namespace and a display mode; the alttext
+// keeps the TeX source available to readers that cannot render MathML.
+function normaliseMath(mathml, tex, display) {
+  let out = String(mathml).trim().replace(/^<\?xml[^>]*>\s*/, "");
+  out = out.replace(/^<(?:mml:)?math\b([^>]*)>/, (open, attrs) => {
+    let a = attrs;
+    if (!/\bxmlns\s*=/.test(a)) a += ` xmlns="${MATHML_NAMESPACE}"`;
+    if (!/\bdisplay\s*=/.test(a)) a += ` display="${display ? "block" : "inline"}"`;
+    if (!/\balttext\s*=/.test(a)) {
+      a += ` alttext="${tex.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;")}"`;
+    }
+    return `<math${a}>`;
+  });
+  return out.replace(/<\/mml:math>$/, "</math>");
+}
+
+/**
+ * Replace every TeX equation in `html` with MathML.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { texToMathML }
+ * @returns {{ html: string, count: number }}
+ * @throws when the content has maths and no converter is available, or the
+ *   converter rejects an equation (the message names the equation)
+ */
+export function convertTexToMathml(html, opts = {}) {
+  const src = String(html);
+  const convert = resolveTexToMathml(opts);
+  if (!convert && hasTexMath(src)) {
+    throw new Error(
+      "scorm-builder: the EPUB target converts maths to MathML and needs a TeX converter. " +
+        "Pass opts.deps.texToMathML(tex, { display }) (e.g. MathJax.tex2mml or temml), or load MathJax 3 with the TeX input."
+    );
+  }
+
+  let count = 0;
+  const toMathml = (full, dd, bracket, env, envName, paren, dollar) => {
+    const display = dd != null || bracket != null || env != null;
+    const tex = decodeTex((dd ?? bracket ?? env ?? paren ?? dollar).trim());
+    let mathml;
+    try {
+      mathml = convert(tex, { display });
+    } catch (e) {
+      throw new Error(`scorm-builder: could not convert maths "${tex.slice(0, 60)}" to MathML: ${e.message}`);
+    }
+    count += 1;
+    return normaliseMath(mathml, tex, display);
+  };
+  // processEscapes: a \$ left in text (never in code) is a literal dollar.
+  const typeset = (segment) => segment.replace(MATH, toMathml).replace(/\\\$/g, "$");
+
+  // Convert between the skipped blocks only.
+  let out = "";
+  let last = 0;
+  SKIP.lastIndex = 0;
+  let m;
+  while ((m = SKIP.exec(src)) !== null) {
+    out += typeset(src.slice(last, m.index)) + m[0];
+    last = SKIP.lastIndex;
+  }
+  out += typeset(src.slice(last));
+  return { html: out, count };
+}
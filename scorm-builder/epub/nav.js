@@ -0,0 +1,92 @@
+// The EPUB navigation document (nav.xhtml): the table of contents from the same
+// heading outline the HTML sidebar TOC uses, a page-list for the page-break
+// markers epub/content.js inserted, and landmarks.
+//
+// Unlike enhancers/toc-generator.js this builds a tree first: EPUB requires every
+// <ol> in a nav to sit directly inside an <li> with its own label, so a skipped
+// level (an h2 followed by an h4) nests under the h2 instead of opening an
+// anonymous list, which reading systems reject.
+
+import { escapeXML } from "../util/escape-xml.js";
+
+function outlineTree(sections) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  for (const s of sections) {
+    while (stack.length > 1 && stack[stack.length - 1].level >= s.level) stack.pop();
+    const node = { ...s, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+  return root.children;
+}
+
+function renderList(nodes, href, indent) {
+  const pad = "  ".repeat(indent);
+  const items = nodes
+    .map((n) => {
+      const link = `<a href="${escapeXML(href)}#${escapeXML(n.id)}">${escapeXML(n.text)}</a>`;
+      const nested = n.children.length ? `\n${renderList(n.children, href, indent + 2)}\n${pad}  ` : "";
+      return `${pad}  <li>${link}${nested}</li>`;
+    })
+    .join("\n");
+  return `${pad}<ol>\n${items}\n${pad}</ol>`;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.title - publication title
+ * @param {string} [opts.lang="en"]
+ * @param {string} opts.href - the content document the entries point into
+ * @param {Array<{level:number,text:string,id:string}>} opts.sections
+ * @param {Array<{id:string,label:string}>} [opts.pages]
+ * @param {string} [opts.stylesheet] - href of the package stylesheet
+ * @returns {string} nav.xhtml content
+ */
+export function generateNavDocument(opts) {
+  const lang = escapeXML(opts.lang || "en");
+  const title = escapeXML(opts.title || "Contents");
+  const href = opts.href;
+  const sections = opts.sections || [];
+  const pages = opts.pages || [];
+
+  // A nav must list at least one entry; a document with no headings points at
+  // its own start.
+  const toc = sections.length
+    ? renderList(outlineTree(sections), href, 3)
+    : `      <ol>\n        <li><a href="${escapeXML(href)}">${title}</a></li>\n      </ol>`;
+
+  const pageList = pages.length
+    ? `
+    <nav epub:type="page-list" role="doc-pagelist" aria-labelledby="page-list-heading" hidden="hidden">
+      <h2 id="page-list-heading">Pages</h2>
+      <ol>
+${pages.map((p) => `        <li><a href="${escapeXML(href)}#${escapeXML(p.id)}">${escapeXML(p.label)}</a></li>`).join("\n")}
+      </ol>
+    </nav>`
+    : "";
+
+  const stylesheet = opts.stylesheet ? `\n    <link rel="stylesheet" type="text/css" href="${escapeXML(opts.stylesheet)}"/>` : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+  <head>
+    <meta charset="utf-8"/>
+    <title>${title}</title>${stylesheet}
+  </head>
+  <body>
+    <nav epub:type="toc" role="doc-toc" id="toc" aria-labelledby="toc-heading">
+      <h1 id="toc-heading">Table of Contents</h1>
+${toc}
+    </nav>${pageList}
+    <nav epub:type="landmarks" aria-labelledby="landmarks-heading" hidden="hidden">
+      <h2 id="landmarks-heading">Landmarks</h2>
+      <ol>
+        <li><a epub:type="toc" href="#toc">Table of Contents</a></li>
+        <li><a epub:type="bodymatter" href="${escapeXML(href)}">${title}</a></li>
+      </ol>
+    </nav>
+  </body>
+</html>`;
+}
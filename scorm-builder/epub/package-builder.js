@@ -0,0 +1,178 @@
+// Assemble an EPUB 3 from resolved document content — the e-reader counterpart
+// of scorm/package-builder.js. The zip layout:
+//
+//   mimetype                    "application/epub+zip", first and uncompressed
+//   META-INF/container.xml      points at the package document
+//   EPUB/content.opf            metadata (incl. accessibility), manifest, spine
+//   EPUB/nav.xhtml              table of contents, page-list, landmarks
+//   EPUB/content.xhtml          the document
+//   EPUB/styles.css             a small reading stylesheet
+//   EPUB/images/…               images lifted out of embedded data: URLs
+//
+// None of the HTML shell ships: the sidebar, reading tools and MathJax are what
+// an e-reader provides itself. JSZip is an INJECTED dependency (opts.deps.JSZip).
+
+import { resolveJSZip } from "../util/zip-helpers.js";
+import { escapeXML } from "../util/escape-xml.js";
+import { generateHtmlFilename } from "../scorm/filename.js";
+import { prepareEpubContent } from "./content.js";
+import { generateNavDocument } from "./nav.js";
+import { generatePackageDocument, deriveAccessibilityMetadata } from "./package-document.js";
+
+export const EPUB_CONFIG = Object.freeze({
+  MEDIA_TYPE: "application/epub+zip",
+  ROOT_DIR: "EPUB",
+  PACKAGE_FILENAME: "content.opf",
+  NAV_FILENAME: "nav.xhtml",
+  CONTENT_FILENAME: "content.xhtml",
+  STYLESHEET_FILENAME: "styles.css",
+});
+
+// Deliberately minimal: reading systems own fonts, colours and margins, and a
+// user's settings must win. Only layout the markup needs is styled.
+const EPUB_CSS = `figure { margin: 1em 0; }
+figure img, img { max-width: 100%; height: auto; }
+figcaption { font-size: 0.9em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid currentColor; padding: 0.25em 0.5em; text-align: left; vertical-align: top; }
+math[display="block"] { display: block; margin: 1em 0; }
+details.long-description-details { margin: 0.5em 0 1em; }
+details.long-description-details > summary { font-weight: bold; }
+`;
+
+function container(config) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${config.ROOT_DIR}/${config.PACKAGE_FILENAME}" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+}
+
+function contentDocument(body, { title, lang, stylesheet }) {
+  const l = escapeXML(lang);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${l}" xml:lang="${l}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXML(title)}</title>
+<link rel="stylesheet" type="text/css" href="${escapeXML(stylesheet)}"/>
+</head>
+<body epub:type="bodymatter">
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * @param {string} content - resolved content (prepareDocument().content)
+ * @param {object} [metadata] - { title, author?, date?, description? }
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { JSZip, texToMathML }
+ * @param {object} [opts.features] - resolved feature flags (figures, long descriptions)
+ * @param {Array<{type:string,message:string}>} [opts.warnings] - audit warnings, for the summary
+ * @param {object} [opts.accessibilityReport] - createAccessibilityReport() result, for the summary
+ * @param {string} [opts.identifier] - publication identifier; a bare id becomes urn:scorm-builder:<id>
+ * @param {number} [opts.epochMs] - pin dcterms:modified
+ * @param {string} [opts.isoDate] - pin the filename date (YYYY-MM-DD)
+ * @param {string} [opts.lang="en"]
+ * @param {boolean} [opts.ensureH1=false]
+ * @param {string} [opts.longDescriptionLabel]
+ * @param {object} [opts.epub] - { pageLevel, summary, conformsTo, certifiedBy }
+ * @param {(warning:{type,message,snippet}) => void} [opts.onEpubWarning] - removed or unpackaged content
+ * @param {string} [opts.outputType] - JSZip output type ("blob" | "nodebuffer" | "uint8array")
+ * @returns {Promise<{ data: Blob|Buffer|Uint8Array, filename: string, entries: string[], mediaType: string,
+ *   accessibility: object }>}
+ */
+export async function buildEpubPackage(content, metadata = {}, opts = {}) {
+  const JSZip = resolveJSZip(opts);
+  const config = EPUB_CONFIG;
+  const epub = opts.epub || {};
+  const epochMs = opts.epochMs ?? Date.now();
+  const isoDate = opts.isoDate || new Date(epochMs).toISOString().slice(0, 10);
+  const id = opts.identifier || `epub_${epochMs}`;
+  const identifier = id.includes(":") ? id : `urn:scorm-builder:${id}`;
+  const lang = opts.lang || "en";
+  const title = metadata.title || "Accessible Document";
+
+  const prepared = prepareEpubContent(content, {
+    features: opts.features,
+    title,
+    ensureH1: opts.ensureH1,
+    longDescriptionLabel: opts.longDescriptionLabel,
+    pageLevel: epub.pageLevel,
+    deps: opts.deps,
+    onWarning: opts.onEpubWarning,
+  });
+
+  const accessibility = deriveAccessibilityMetadata(prepared.stats, {
+    warnings: opts.warnings,
+    report: opts.accessibilityReport,
+    sections: prepared.sections.length,
+    pages: prepared.pages.length,
+    summary: epub.summary,
+  });
+
+  const items = [
+    { id: "nav", href: config.NAV_FILENAME, mediaType: "application/xhtml+xml", properties: "nav" },
+    {
+      id: "content",
+      href: config.CONTENT_FILENAME,
+      mediaType: "application/xhtml+xml",
+      properties: prepared.stats.maths ? "mathml" : undefined,
+    },
+    { id: "css", href: config.STYLESHEET_FILENAME, mediaType: "text/css" },
+    ...prepared.resources.map((r, i) => ({ id: `image-${i + 1}`, href: r.href, mediaType: r.mediaType })),
+  ];
+
+  const zip = new JSZip();
+  // The mimetype entry must be the first in the archive and stored uncompressed.
+  zip.file("mimetype", config.MEDIA_TYPE, { compression: "STORE" });
+  zip.file("META-INF/container.xml", container(config));
+
+  const files = {
+    [config.PACKAGE_FILENAME]: generatePackageDocument(metadata, {
+      identifier,
+      modified: new Date(epochMs).toISOString().replace(/\.\d{3}Z$/, "Z"),
+      lang,
+      items,
+      spine: ["content"],
+      accessibility,
+      conformsTo: epub.conformsTo,
+      certifiedBy: epub.certifiedBy,
+    }),
+    [config.NAV_FILENAME]: generateNavDocument({
+      title,
+      lang,
+      href: config.CONTENT_FILENAME,
+      sections: prepared.sections,
+      pages: prepared.pages,
+      stylesheet: config.STYLESHEET_FILENAME,
+    }),
+    [config.CONTENT_FILENAME]: contentDocument(prepared.xhtml, { title, lang, stylesheet: config.STYLESHEET_FILENAME }),
+    [config.STYLESHEET_FILENAME]: EPUB_CSS,
+  };
+  for (const [name, text] of Object.entries(files)) zip.file(`${config.ROOT_DIR}/${name}`, text);
+  for (const r of prepared.resources) zip.file(`${config.ROOT_DIR}/${r.href}`, r.data, { base64: r.base64 });
+
+  const entries = [
+    "mimetype",
+    "META-INF/container.xml",
+    ...Object.keys(files).map((name) => `${config.ROOT_DIR}/${name}`),
+    ...prepared.resources.map((r) => `${config.ROOT_DIR}/${r.href}`),
+  ];
+
+  const outputType = opts.outputType || (typeof Blob !== "undefined" ? "blob" : "nodebuffer");
+  const data = await zip.generateAsync({ type: outputType, compression: "DEFLATE", mimeType: config.MEDIA_TYPE });
+
+  return {
+    data,
+    filename: generateHtmlFilename(metadata, { isoDate, ext: ".epub" }),
+    entries,
+    mediaType: config.MEDIA_TYPE,
+    accessibility,
+  };
+}
@@ -0,0 +1,135 @@
+// The EPUB package document (content.opf): Dublin Core metadata, the manifest and
+// spine, and schema.org accessibility metadata (EPUB Accessibility 1.1).
+//
+// The accessibility metadata is DERIVED, never asserted: accessMode, features and
+// the summary come from what epub/content.js counted in the content (images and
+// their alt text, long descriptions, MathML, page-list) and from the build-time
+// audit's warnings. In particular no conformance claim (dcterms:conformsTo) is
+// made unless the caller supplies one — an automated audit cannot certify WCAG.
+
+import { escapeXML } from "../util/escape-xml.js";
+
+/**
+ * @param {object} stats - prepareEpubContent().stats
+ * @param {object} [opts]
+ * @param {Array<{type:string,message:string}>} [opts.warnings] - audit warnings
+ * @param {object} [opts.report] - createAccessibilityReport() result; adds the rule count
+ * @param {number} [opts.sections=0] - headings in the outline
+ * @param {number} [opts.pages=0] - page-list entries
+ * @param {string} [opts.summary] - caller-written accessibilitySummary (replaces the derived one)
+ * @returns {{ accessMode: string[], accessModeSufficient: string[], accessibilityFeature: string[],
+ *   accessibilityHazard: string[], accessibilitySummary: string }}
+ */
+export function deriveAccessibilityMetadata(stats, opts = {}) {
+  const warnings = opts.warnings || [];
+  const sections = opts.sections || 0;
+  const pages = opts.pages || 0;
+  const hasImages = stats.images > 0;
+  const allAlt = stats.imagesMissingAlt === 0;
+
+  const accessMode = hasImages ? ["textual", "visual"] : ["textual"];
+  const accessModeSufficient = hasImages ? (allAlt ? ["textual", "textual,visual"] : ["textual,visual"]) : ["textual"];
+
+  const accessibilityFeature = ["tableOfContents", "readingOrder", "displayTransformability"];
+  if (sections) accessibilityFeature.push("structuralNavigation");
+  if (hasImages && allAlt) accessibilityFeature.push("alternativeText");
+  if (stats.longDescriptions) accessibilityFeature.push("longDescription");
+  if (stats.maths) accessibilityFeature.push("MathML");
+  if (pages) accessibilityFeature.push("pageNavigation");
+
+  const parts = [
+    sections
+      ? `Navigable table of contents and ${sections} structured heading${sections === 1 ? "" : "s"}.`
+      : "Navigable table of contents.",
+  ];
+  if (hasImages) {
+    parts.push(
+      allAlt
+        ? `All ${stats.images} image${stats.images === 1 ? " has" : "s have"} a text alternative.`
+        : `${stats.imagesMissingAlt} of ${stats.images} images ${stats.imagesMissingAlt === 1 ? "lacks" : "lack"} a text alternative.`
+    );
+  }
+  if (stats.longDescriptions) {
+    parts.push(`${stats.longDescriptions} complex image${stats.longDescriptions === 1 ? " has" : "s have"} an extended long description.`);
+  }
+  if (stats.maths) parts.push(`Mathematics is encoded as MathML (${stats.maths} expression${stats.maths === 1 ? "" : "s"}).`);
+  if (pages) parts.push(`A page list marks the start of each of the ${pages} main sections; there is no print equivalent.`);
+  const audit = opts.report
+    ? `The build-time accessibility audit checked ${opts.report.summary.rulesChecked} rules and reported`
+    : "The build-time accessibility audit reported";
+  parts.push(
+    warnings.length
+      ? `${audit} ${warnings.length} issue${warnings.length === 1 ? "" : "s"}: ` +
+          `${[...new Set(warnings.map((w) => w.type))].join(", ")}.`
+      : `${audit} no issues.`
+  );
+
+  return {
+    accessMode,
+    accessModeSufficient,
+    accessibilityFeature,
+    // Animated GIFs may flash; anything else in this pipeline is static text/images.
+    accessibilityHazard: stats.animatedImages ? ["unknown"] : ["none"],
+    accessibilitySummary: opts.summary || parts.join(" "),
+  };
+}
+
+/**
+ * @param {object} metadata - { title, author?, date?, description? }
+ * @param {object} opts
+ * @param {string} opts.identifier - unique publication identifier (a URN)
+ * @param {string} opts.modified - CCYY-MM-DDThh:mm:ssZ
+ * @param {string} [opts.lang="en"]
+ * @param {Array<{id:string, href:string, mediaType:string, properties?:string}>} opts.items - manifest items
+ * @param {string[]} opts.spine - item ids in reading order
+ * @param {object} opts.accessibility - deriveAccessibilityMetadata() result
+ * @param {string} [opts.conformsTo] - e.g. "EPUB Accessibility 1.1 - WCAG 2.2 Level AA"
+ * @param {string} [opts.certifiedBy]
+ * @returns {string} content.opf content
+ */
+export function generatePackageDocument(metadata = {}, opts) {
+  const lang = escapeXML(opts.lang || "en");
+  const a11y = opts.accessibility;
+  const meta = (property, value) => `\n    <meta property="${property}">${escapeXML(String(value))}</meta>`;
+
+  const dc = [
+    `<dc:identifier id="pub-id">${escapeXML(opts.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXML(metadata.title || "Accessible Document")}</dc:title>`,
+    `<dc:language>${lang}</dc:language>`,
+  ];
+  if (metadata.author) dc.push(`<dc:creator>${escapeXML(String(metadata.author))}</dc:creator>`);
+  // dc:date must be W3CDTF; a free-text date ("Spring 2026") is left out.
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(metadata.date || ""))) dc.push(`<dc:date>${metadata.date}</dc:date>`);
+  if (metadata.description) dc.push(`<dc:description>${escapeXML(String(metadata.description))}</dc:description>`);
+
+  const accessibility =
+    a11y.accessMode.map((v) => meta("schema:accessMode", v)).join("") +
+    a11y.accessModeSufficient.map((v) => meta("schema:accessModeSufficient", v)).join("") +
+    a11y.accessibilityFeature.map((v) => meta("schema:accessibilityFeature", v)).join("") +
+    a11y.accessibilityHazard.map((v) => meta("schema:accessibilityHazard", v)).join("") +
+    meta("schema:accessibilitySummary", a11y.accessibilitySummary) +
+    (a11y.accessibilityFeature.includes("pageNavigation") ? meta("a11y:pageBreakSource", "none") : "") +
+    (opts.conformsTo ? meta("dcterms:conformsTo", opts.conformsTo) : "") +
+    (opts.conformsTo && opts.certifiedBy ? meta("a11y:certifiedBy", opts.certifiedBy) : "");
+
+  const items = opts.items
+    .map(
+      (it) =>
+        `\n    <item id="${escapeXML(it.id)}" href="${escapeXML(it.href)}" media-type="${escapeXML(it.mediaType)}"` +
+        `${it.properties ? ` properties="${escapeXML(it.properties)}"` : ""}/>`
+    )
+    .join("");
+  const spine = opts.spine.map((id) => `\n    <itemref idref="${escapeXML(id)}"/>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${dc.join("\n    ")}
+    <meta property="dcterms:modified">${escapeXML(opts.modified)}</meta>${accessibility}
+  </metadata>
+  <manifest>${items}
+  </manifest>
+  <spine>${spine}
+  </spine>
+</package>`;
+}
@@ -1,4 +1,4 @@
-// scorm-builder — standalone accessible SCORM 2004 package builder.
+// scorm-builder — standalone accessible SCORM 2004 / 1.2, cmi5, QTI and EPUB package builder.
 //
 // Public API (filled out across the phased build):
 //   build({ html | markdown, title, metadata, features, mathjaxMode, scorm, deps }) -> Promise<Blob|Buffer>
@@ -8,26 +8,84 @@
 // The library ships as plain ESM and requires no build step to consume.
 // JSZip and mathpix-markdown-it are injected dependencies (opts.deps) with
 // window/global fallbacks, so the core stays dependency-free and testable.
+//
+// Batch builds from the command line: node tools/scorm-builder.mjs build ./week*.md
+// Preview a built SCORM 2004 package against a simulated LMS: tools/preview.html
 
-export const VERSION = "0.0.0";
+export { VERSION } from "./core/version.js";
 
 // SCORM packaging (phase 1).
-export { buildPackage } from "./scorm/package-builder.js";
+export { buildPackage, buildMultiScoPackage } from "./scorm/package-builder.js";
 export { generateManifest } from "./scorm/manifest.js";
+export { generateManifest12 } from "./scorm/manifest-12.js";
+export {
+  generateMultiScoManifest,
+  resolveSequencing,
+  DEFAULT_SEQUENCING,
+} from "./scorm/manifest-multi-sco.js";
+export { splitLessons, lessonFilename } from "./scorm/split-lessons.js";
 export {
   generateLom,
   normaliseLom,
   renderLomDocument,
   renderLomFragment,
+  renderLom12Document,
+  renderLom12Fragment,
   DEFAULT_LOM_KEYWORDS,
   LOM_VOCABULARIES,
   LOM_NAMESPACE,
+  LOM12_NAMESPACE,
 } from "./scorm/lom.js";
 export { generateApiWrapper } from "./scorm/api-wrapper.js";
+export { generateApiWrapper12 } from "./scorm/api-wrapper-12.js";
+export { createScormSimulator, SCORM_ERRORS } from "./scorm/lms-simulator.js";
 export { generateReadme } from "./scorm/readme.js";
 export { generateFilename, generateHtmlFilename } from "./scorm/filename.js";
 export { prepareScormHtml } from "./scorm/prepare-scorm-html.js";
-export { DEFAULT_SCORM_CONFIG, resolveConfig } from "./scorm/config.js";
+export {
+  resolveTracking,
+  generateProgressTracker,
+  DEFAULT_TRACKING,
+  RESUME_MODES,
+} from "./scorm/progress-tracker.js";
+export {
+  DEFAULT_SCORM_CONFIG,
+  SCORM12_CONFIG,
+  SCORM_VERSIONS,
+  resolveConfig,
+  resolveEditionConfig,
+} from "./scorm/config.js";
+
+// cmi5 packaging — cmi5.xml course structure + xAPI runtime.
+export { buildCmi5Package, CMI5_CONFIG } from "./cmi5/package-builder.js";
+export {
+  generateCourseStructure,
+  resolveCmi5Ids,
+  CMI5_NAMESPACE,
+  CMI5_LAUNCH_METHODS,
+  CMI5_MOVE_ON,
+} from "./cmi5/course-structure.js";
+export { generateCmi5Runtime } from "./cmi5/runtime.js";
+
+// QTI 3.0 / Common Cartridge — quiz JSON ⇄ an LMS question bank.
+export {
+  buildQtiPackage,
+  generateCartridgeManifest,
+  QTI_TEST_FILENAME,
+  QTI_ITEMS_DIR,
+} from "./qti/cartridge.js";
+export { questionToQtiItem, generateAssessmentTest, toQtiIdentifier, QTI_NAMESPACE } from "./qti/qti-items.js";
+export { qtiItemToQuestion, importQtiPackage } from "./qti/qti-import.js";
+export { validateQuestion, extractQuizQuestions, readQuizSettings, QUIZ_TYPES } from "./enhancers/quiz.js";
+
+// EPUB 3 — reflowable e-reader output with MathML and accessibility metadata.
+export { buildEpub } from "./core/epub.js";
+export { buildEpubPackage, EPUB_CONFIG } from "./epub/package-builder.js";
+export { prepareEpubContent } from "./epub/content.js";
+export { generateNavDocument } from "./epub/nav.js";
+export { generatePackageDocument, deriveAccessibilityMetadata } from "./epub/package-document.js";
+export { convertTexToMathml, hasTexMath, resolveTexToMathml } from "./epub/math.js";
+export { htmlToXhtml } from "./util/xhtml.js";
 
 // HTML assembly + document shell (phase 3).
 export { buildHtml } from "./core/html-assembler.js";
@@ -52,15 +110,49 @@ export { processMathpixFigures, hasMathpixFigure } from "./enhancers/mathpix-fig
 export { renderToc } from "./enhancers/toc-generator.js";
 export { deriveMetadata } from "./core/metadata-provider.js";
 
+// Build-time accessibility audit: the rule table and its JSON/HTML report.
+export {
+  auditAccessibility,
+  resolveAuditRules,
+  contrastRatio,
+  AUDIT_RULES,
+  WCAG_CRITERIA,
+  SEVERITIES,
+} from "./enhancers/audit.js";
+export {
+  createAccessibilityReport,
+  renderAccessibilityReportHtml,
+  accessibilityReportFiles,
+  ACCESSIBILITY_REPORT_JSON,
+  ACCESSIBILITY_REPORT_HTML,
+  ACCESSIBILITY_REPORT_FORMAT,
+} from "./enhancers/audit-report.js";
+
 // MathJax config + a11y controls (phase 6).
 export { renderMathJaxHead } from "./generators/mathjax-config.js";
 
 // Top-level orchestrator + markdown input (phase 7).
-export { build, buildDocument, resolveContent } from "./core/builder.js";
+export { build, buildCmi5, buildDocument, prepareDocument, resolveContent } from "./core/builder.js";
 export { renderMarkdown } from "./render/render-markdown.js";
 
+// Re-open a built package for editing: its embedded source record -> build options.
+export { importPackage } from "./core/import.js";
+export {
+  createSourceRecord,
+  renderSourceRecord,
+  readSourceRecord,
+  RECORDED_OPTIONS,
+  SOURCE_RECORD_ID,
+} from "./core/source-record.js";
+
 // Quiz authoring: questions JSON → content HTML (the inverse of processQuiz).
-export { wrapQuestion, quizContentFromQuestions, parseQuizJson } from "./render/quiz-from-json.js";
+export {
+  wrapQuestion,
+  wrapQuizSettings,
+  quizContentFromQuestions,
+  quizSettingsFromModel,
+  parseQuizJson,
+} from "./render/quiz-from-json.js";
 
 // Distraction-free + save (phase 8).
 export { renderDistractionFreeControls } from "./core/document-shell.js";
@@ -76,3 +168,4 @@ export { exportDocument, setDefaults, getDefaults, resetDefaults } from "./core/
 export { download } from "./browser/download.js";
 export { ensureDependencies, loadScript, DEFAULT_JSZIP_URL, DEFAULT_MATHPIX_URL } from "./browser/ensure-deps.js";
 export { attachExportButton } from "./browser/attach.js";
+export { previewPackage } from "./browser/preview.js";
@@ -0,0 +1,165 @@
+// Package quiz questions as a QTI 3.0 content package or an IMS Common Cartridge
+// 1.3 (.imscc) — the question-bank counterpart of scorm/package-builder.js. The
+// questions are the same JSON a quiz build consumes (anything parseQuizJson
+// accepts); the zip carries one item file per question, an assessment test that
+// orders them, and an imsmanifest.xml declaring both.
+//
+//   imsmanifest.xml
+//   assessment.xml          qti-assessment-test referencing every item
+//   items/<id>.xml          one qti-assessment-item per question
+//
+// Both packagings use the same files; they differ only in the manifest's
+// namespace and <schema>/<schemaversion>, which is what an importer sniffs.
+// Deterministic like the other packagers: pin opts.identifier and opts.isoDate.
+
+import { escapeXML } from "../util/escape-xml.js";
+import { resolveJSZip } from "../util/zip-helpers.js";
+import { generateFilename } from "../scorm/filename.js";
+import { parseQuizJson } from "../render/quiz-from-json.js";
+import { validateQuestion } from "../enhancers/quiz.js";
+import { questionToQtiItem, generateAssessmentTest } from "./qti-items.js";
+
+const PACKAGINGS = {
+  cartridge: {
+    namespace: "http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1",
+    schema: "IMS Common Cartridge",
+    schemaversion: "1.3.0",
+    ext: ".imscc",
+    // Cartridges carry their title as manifest-level LOM; QTI packages do not.
+    lom: "http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest",
+  },
+  qti: {
+    namespace: "http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1",
+    schema: "QTI Package",
+    schemaversion: "3.0.0",
+    ext: ".zip",
+  },
+};
+
+export const QTI_TEST_FILENAME = "assessment.xml";
+export const QTI_ITEMS_DIR = "items";
+
+/**
+ * @param {object} metadata - { title }
+ * @param {object} opts
+ * @param {Array<{identifier:string, href:string}>} opts.items - in order
+ * @param {string} [opts.identifier] - manifest identifier (inject for determinism)
+ * @param {"cartridge"|"qti"} [opts.packaging="cartridge"]
+ * @returns {string} imsmanifest.xml content
+ */
+export function generateCartridgeManifest(metadata = {}, opts = {}) {
+  const packaging = PACKAGINGS[opts.packaging || "cartridge"];
+  if (!packaging) throw new Error(`scorm-builder: unknown QTI packaging "${opts.packaging}" (use "cartridge" or "qti").`);
+  const identifier = escapeXML(opts.identifier || `qti_${Date.now()}`);
+  const title = escapeXML(metadata.title || "Quiz");
+  const items = opts.items || [];
+  const lomNamespace = packaging.lom ? `\n          xmlns:lomimscc="${packaging.lom}"` : "";
+  const lom = packaging.lom
+    ? `
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title><lomimscc:string>${title}</lomimscc:string></lomimscc:title>
+      </lomimscc:general>
+    </lomimscc:lom>`
+    : "";
+
+  const itemResources = items
+    .map(
+      (it) => `
+    <resource identifier="item_${it.identifier}" type="imsqti_item_xmlv3p0" href="${escapeXML(it.href)}">
+      <file href="${escapeXML(it.href)}"/>
+    </resource>`
+    )
+    .join("");
+  const dependencies = items.map((it) => `\n      <dependency identifierref="item_${it.identifier}"/>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}"
+          xmlns="${packaging.namespace}"${lomNamespace}
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+
+  <metadata>
+    <schema>${packaging.schema}</schema>
+    <schemaversion>${packaging.schemaversion}</schemaversion>${lom}
+  </metadata>
+
+  <organizations/>
+
+  <resources>
+    <resource identifier="assessment" type="imsqti_test_xmlv3p0" href="${QTI_TEST_FILENAME}">
+      <file href="${QTI_TEST_FILENAME}"/>${dependencies}
+    </resource>${itemResources}
+  </resources>
+
+</manifest>`;
+}
+
+/**
+ * @param {string|object|Array} input - quiz JSON (see parseQuizJson)
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { JSZip }
+ * @param {"cartridge"|"qti"} [opts.packaging="cartridge"]
+ * @param {string} [opts.title] - overrides the quiz JSON's title
+ * @param {number} [opts.masteryScore] - overrides the quiz JSON's masteryScore
+ * @param {string} [opts.identifier] - pin the manifest/test identifiers
+ * @param {string} [opts.isoDate] - pin date (YYYY-MM-DD)
+ * @param {string} [opts.lang="en"]
+ * @param {(message: string) => void} [opts.onQuizWarning] - skipped questions and
+ *   detail QTI cannot carry (per-option feedback, media, …)
+ * @param {string} [opts.outputType] - JSZip output type ("blob" | "nodebuffer" | "uint8array")
+ * @returns {Promise<{ data: Blob|Buffer|Uint8Array, filename: string, entries: string[], mediaType: string, warnings: string[] }>}
+ */
+export async function buildQtiPackage(input, opts = {}) {
+  const JSZip = resolveJSZip(opts);
+  const model = parseQuizJson(input);
+  const packagingName = opts.packaging || "cartridge";
+  const packaging = PACKAGINGS[packagingName];
+  if (!packaging) throw new Error(`scorm-builder: unknown QTI packaging "${opts.packaging}" (use "cartridge" or "qti").`);
+  const isoDate = opts.isoDate || new Date().toISOString().slice(0, 10);
+  const identifier = opts.identifier || `qti_${Date.now()}`;
+  const title = opts.title || model.title || "Quiz";
+  const masteryScore = Number.isFinite(opts.masteryScore) ? opts.masteryScore : model.masteryScore;
+
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    if (opts.onQuizWarning) opts.onQuizWarning(message);
+  };
+
+  // Same policy as processQuiz: an invalid question is skipped with a warning,
+  // never exported half-formed. Duplicate ids would collide as item files.
+  const items = [];
+  const seen = new Set();
+  for (const q of model.questions) {
+    const err = validateQuestion(q);
+    if (err) {
+      warn(`qti: skipped question "${q && q.id ? q.id : "?"}" — ${err}`);
+      continue;
+    }
+    const item = questionToQtiItem(q, { lang: opts.lang, onWarning: warn });
+    if (seen.has(item.identifier)) {
+      warn(`qti: skipped question "${q.id}" — duplicate identifier "${item.identifier}"`);
+      continue;
+    }
+    seen.add(item.identifier);
+    items.push({ ...item, href: `${QTI_ITEMS_DIR}/${item.identifier}.xml` });
+  }
+  if (!items.length) throw new Error("scorm-builder: QTI export needs at least one valid question.");
+
+  const zip = new JSZip();
+  const manifest = generateCartridgeManifest({ title }, { items, identifier, packaging: packagingName });
+  zip.file("imsmanifest.xml", manifest);
+  zip.file(QTI_TEST_FILENAME, generateAssessmentTest(items, { identifier: `${identifier}_test`, title, masteryScore }));
+  for (const it of items) zip.file(it.href, it.xml);
+
+  const outputType = opts.outputType || (typeof Blob !== "undefined" ? "blob" : "nodebuffer");
+  const data = await zip.generateAsync({ type: outputType, compression: "DEFLATE" });
+
+  return {
+    data,
+    filename: generateFilename({ title }, { isoDate, target: packagingName, ext: packaging.ext }),
+    entries: ["imsmanifest.xml", QTI_TEST_FILENAME, ...items.map((it) => it.href)],
+    mediaType: "application/zip",
+    warnings,
+  };
+}
@@ -0,0 +1,357 @@
+// QTI 3.0 → quiz questions: the inverse of qti-items.js, so a bank exported from
+// here (or authored elsewhere in the same shapes) comes back as schema JSON that
+// render/quiz-from-json.js and a build accept unchanged.
+//
+// The question type is inferred from the interactions in the item body, the
+// scoring method from how response processing scores them (a <qti-mapping> or
+// per-position <qti-index> conditions mean partial credit), and `points` from
+// MAXSCORE. Only the shapes qti-items.js writes are recognised; an item using
+// anything else is rejected with the reason, never half-imported. Every result
+// is run through validateQuestion() before it is returned.
+
+import { validateQuestion } from "../enhancers/quiz.js";
+import { resolveJSZip } from "../util/zip-helpers.js";
+import {
+  parseXml,
+  localName,
+  childElements,
+  firstChild,
+  findAll,
+  findFirst,
+  textContent,
+  innerHtml,
+} from "../util/xml-reader.js";
+
+function fail(id, message) {
+  throw new Error(`qti: item "${id || "?"}" — ${message}`);
+}
+
+function rich(node) {
+  return { html: innerHtml(node).trim() };
+}
+
+// RESPONSE_<id> is how the exporter names one response per blank/select.
+function partId(responseIdentifier) {
+  return responseIdentifier.replace(/^RESPONSE_/, "");
+}
+
+function declarationsOf(item) {
+  const map = new Map();
+  for (const d of childElements(item, "qti-response-declaration")) map.set(d.attrs.identifier, d);
+  return map;
+}
+
+function correctValues(declaration) {
+  const cr = declaration && firstChild(declaration, "qti-correct-response");
+  return cr ? childElements(cr, "qti-value").map((v) => textContent(v).trim()) : [];
+}
+
+function mappingOf(declaration) {
+  return declaration ? firstChild(declaration, "qti-mapping") : null;
+}
+
+function mapEntries(mapping) {
+  return childElements(mapping, "qti-map-entry").map((e) => ({
+    key: e.attrs["map-key"],
+    value: Number(e.attrs["mapped-value"]),
+    caseSensitive: e.attrs["case-sensitive"],
+  }));
+}
+
+function outcomeDefault(item, identifier) {
+  const od = childElements(item, "qti-outcome-declaration").find((d) => d.attrs.identifier === identifier);
+  const value = od && findFirst(od, "qti-value");
+  return value ? Number(textContent(value)) : null;
+}
+
+function choices(interaction, name = "qti-simple-choice") {
+  return childElements(interaction, name).map((c) => ({ id: c.attrs.identifier, content: rich(c) }));
+}
+
+function promptOf(body, interaction) {
+  const inline = interaction && firstChild(interaction, "qti-prompt");
+  if (inline) return rich(inline);
+  const div = childElements(body, "div").find((d) => /\bquiz-prompt\b/.test(d.attrs.class || ""));
+  if (div) return rich(div);
+  // A foreign item: everything in the body that is not an interaction.
+  return { html: innerHtml({ children: body.children.filter((c) => typeof c === "string" || !/interaction$/.test(localName(c))) }).trim() };
+}
+
+// Re-serialise a template div, replacing each interaction with its {{kind:id}} token.
+function templateOf(body, kind, interactionName) {
+  const div = childElements(body, "div").find((d) => /\bquiz-template\b/.test(d.attrs.class || "")) || body;
+  const swap = (node) => {
+    if (typeof node === "string") return node;
+    if (localName(node) === interactionName) return `{{${kind}:${partId(node.attrs["response-identifier"])}}}`;
+    return { ...node, children: node.children.map(swap) };
+  };
+  const tokenised = { children: div.children.map(swap) };
+  // innerHtml escapes text; the tokens were inserted as text and contain no
+  // escapable characters, so they survive verbatim.
+  return { html: innerHtml(tokenised).trim() };
+}
+
+// --- Per-type readers ------------------------------------------------------
+
+function readChoice(ctx) {
+  const { interaction, decls, id } = ctx;
+  const decl = decls.get(interaction.attrs["response-identifier"]);
+  const options = choices(interaction);
+  const correct = new Set(correctValues(decl));
+  const cardinality = decl ? decl.attrs.cardinality : "single";
+
+  if (cardinality === "multiple") {
+    const body = { options: options.map((o) => ({ ...o, correct: correct.has(o.id) })) };
+    const min = Number(interaction.attrs["min-choices"]);
+    const max = Number(interaction.attrs["max-choices"]);
+    if (min > 0) body.minSelections = min;
+    if (max > 0) body.maxSelections = max;
+    const q = { type: "multiple-answer", body };
+    const mapping = mappingOf(decl);
+    if (mapping) {
+      const scores = new Map(mapEntries(mapping).map((e) => [e.key, e.value]));
+      const scoring = { method: "per-option" };
+      for (const o of body.options) {
+        const s = scores.has(o.id) ? scores.get(o.id) : 0;
+        // Only spell out a score the runtime's default (1 if correct, else 0) would not give.
+        if (s !== (o.correct ? 1 : 0)) o.score = s;
+        if (s < 0) scoring.penaliseIncorrect = true;
+      }
+      const lower = Number(mapping.attrs["lower-bound"]);
+      if (Number.isFinite(lower) && lower !== 0) scoring.minScore = lower;
+      q.scoring = scoring;
+    }
+    return q;
+  }
+
+  if (!correct.size) return { type: "likert", body: { scale: options } };
+
+  const ids = options.map((o) => o.id).sort().join(",");
+  if (ids === "false,true") {
+    const label = (choiceId) => innerHtml(childElements(interaction, "qti-simple-choice").find((c) => c.attrs.identifier === choiceId)).trim();
+    const body = { correctAnswer: correct.has("true") };
+    if (label("true") !== "True") body.trueLabel = label("true");
+    if (label("false") !== "False") body.falseLabel = label("false");
+    return { type: "true-false", body };
+  }
+
+  if (correct.size !== 1) fail(id, "a single-choice interaction needs exactly one correct response");
+  return { type: "multiple-choice", body: { options: options.map((o) => ({ ...o, correct: correct.has(o.id) })) } };
+}
+
+function readTextEntry(ctx) {
+  const { body, decls, id, item } = ctx;
+  const entries = findAll(body, "qti-text-entry-interaction");
+  const first = decls.get(entries[0].attrs["response-identifier"]);
+
+  if (entries.length === 1 && first && first.attrs["base-type"] === "float") {
+    const expected = Number(correctValues(first)[0]);
+    if (!Number.isFinite(expected)) fail(id, "numeric item has no numeric correct response");
+    const numeric = { expected };
+    const equal = findFirst(item, "qti-equal");
+    if (equal && equal.attrs["tolerance-mode"] === "absolute") {
+      const t = Number(String(equal.attrs.tolerance || "").split(/\s+/)[0]);
+      if (t > 0) numeric.tolerance = t;
+    }
+    const span = (cls) => findAll(body, "span").find((s) => new RegExp(`\\b${cls}\\b`).test(s.attrs.class || ""));
+    const label = span("quiz-label") ? textContent(span("quiz-label")).trim() : entries[0].attrs["aria-label"];
+    if (label && label !== "Answer") numeric.label = label;
+    if (span("quiz-unit")) numeric.unit = textContent(span("quiz-unit")).trim();
+    return { type: "numeric", body: numeric };
+  }
+
+  const blanks = entries.map((entry) => {
+    const responseId = entry.attrs["response-identifier"];
+    const decl = decls.get(responseId);
+    const mapping = mappingOf(decl);
+    const mapped = mapping ? mapEntries(mapping).filter((e) => e.value > 0) : [];
+    const expected = mapped.length ? mapped.map((e) => e.key) : correctValues(decl);
+    if (!expected.length) fail(id, `blank "${responseId}" has no accepted answer`);
+    const blank = { id: partId(responseId), expected };
+    const label = entry.attrs["aria-label"];
+    if (label && label !== blank.id) blank.label = label;
+    if (mapped.some((e) => e.caseSensitive === "true")) blank.match = { caseSensitive: true };
+    return blank;
+  });
+  return { type: "fill-in-the-blank", body: { template: templateOf(body, "blank", "qti-text-entry-interaction"), blanks } };
+}
+
+function readOrder(ctx) {
+  const { interaction, decls, item } = ctx;
+  const decl = decls.get(interaction.attrs["response-identifier"]);
+  const q = { type: "ordering", body: { items: choices(interaction), correctOrder: correctValues(decl) } };
+  if (findFirst(item, "qti-index")) q.scoring = { method: "per-position" };
+  return q;
+}
+
+function readMatch(ctx) {
+  const { interaction, decls } = ctx;
+  const decl = decls.get(interaction.attrs["response-identifier"]);
+  const [promptSet, choiceSet] = childElements(interaction, "qti-simple-match-set");
+  if (!promptSet || !choiceSet) ctx.fail("match interaction needs two match sets");
+  const q = {
+    type: "matching",
+    body: {
+      prompts: choices(promptSet, "qti-simple-associable-choice"),
+      choices: choices(choiceSet, "qti-simple-associable-choice"),
+      correctPairs: correctValues(decl).map((pair) => {
+        const [prompt, choice] = pair.split(/\s+/);
+        return { prompt, choice };
+      }),
+    },
+  };
+  if (mappingOf(decl)) q.scoring = { method: "per-pair" };
+  return q;
+}
+
+function readInlineChoice(ctx) {
+  const { body, decls } = ctx;
+  const selects = findAll(body, "qti-inline-choice-interaction").map((sel) => {
+    const responseId = sel.attrs["response-identifier"];
+    const correct = new Set(correctValues(decls.get(responseId)));
+    const select = {
+      id: partId(responseId),
+      options: childElements(sel, "qti-inline-choice").map((c) => ({
+        id: c.attrs.identifier,
+        content: rich(c),
+        correct: correct.has(c.attrs.identifier),
+      })),
+    };
+    const label = sel.attrs["aria-label"];
+    if (label && label !== select.id) select.label = label;
+    return select;
+  });
+  return { type: "select-in-text", body: { template: templateOf(body, "select", "qti-inline-choice-interaction"), selects } };
+}
+
+// Interaction local name → reader. The first interaction found decides the type.
+const READERS = {
+  "qti-choice-interaction": readChoice,
+  "qti-text-entry-interaction": readTextEntry,
+  "qti-order-interaction": readOrder,
+  "qti-match-interaction": readMatch,
+  "qti-inline-choice-interaction": readInlineChoice,
+};
+
+function readFeedback(item) {
+  const feedback = {};
+  for (const mf of childElements(item, "qti-modal-feedback")) {
+    if (mf.attrs["outcome-identifier"] !== "FEEDBACK") continue;
+    const node = firstChild(mf, "qti-content-body") || mf;
+    const message = rich(node);
+    if (mf.attrs.identifier === "default") feedback.default = message;
+    else (feedback.byOutcome ||= {})[mf.attrs.identifier] = message;
+  }
+  return Object.keys(feedback).length ? feedback : null;
+}
+
+// --- Public API ------------------------------------------------------------
+
+/**
+ * @param {string} xml - one qti-assessment-item document
+ * @returns {object} a schema-shaped question
+ * @throws when the item uses an interaction or shape this library cannot represent
+ */
+export function qtiItemToQuestion(xml) {
+  const item = parseXml(xml);
+  if (localName(item) !== "qti-assessment-item") {
+    throw new Error(`qti: expected a qti-assessment-item, found <${item.name}>`);
+  }
+  const id = item.attrs.identifier;
+  const body = firstChild(item, "qti-item-body");
+  if (!body) fail(id, "has no qti-item-body");
+
+  const found = Object.keys(READERS)
+    .map((name) => findFirst(body, name))
+    .filter(Boolean);
+  if (!found.length) fail(id, "has no supported interaction");
+  const kinds = new Set(found.map(localName));
+  if (kinds.size > 1) fail(id, `mixes interactions (${[...kinds].join(", ")}); one type per question`);
+  const interaction = found[0];
+
+  const ctx = { item, body, interaction, decls: declarationsOf(item), id, fail: (m) => fail(id, m) };
+  const typed = READERS[localName(interaction)](ctx);
+
+  const q = { id, type: typed.type, prompt: promptOf(body, interaction) };
+  const maxScore = outcomeDefault(item, "MAXSCORE");
+  if (typed.type !== "likert" && maxScore != null && Number.isFinite(maxScore)) q.points = maxScore;
+  if (typed.scoring) q.scoring = typed.scoring;
+  const feedback = readFeedback(item);
+  if (feedback) q.feedback = feedback;
+  if (interaction.attrs.shuffle === "true" && typed.type !== "ordering") q.shuffle = true;
+  q.body = typed.body;
+
+  const err = validateQuestion(q);
+  if (err) fail(id, err);
+  return q;
+}
+
+function resolveHref(base, href) {
+  const parts = base.split("/").slice(0, -1);
+  for (const seg of href.split("/")) {
+    if (seg === "..") parts.pop();
+    else if (seg !== ".") parts.push(seg);
+  }
+  return parts.join("/");
+}
+
+/**
+ * Read a QTI 3.0 package or Common Cartridge (as written by buildQtiPackage) back
+ * into the quiz model parseQuizJson() returns, so it can be rebuilt or re-exported.
+ * Items are returned in assessment-test order, falling back to manifest order.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob} data - the zip
+ * @param {object} [opts]
+ * @param {object} [opts.deps] - { JSZip }
+ * @param {(message: string) => void} [opts.onWarning] - items that could not be imported
+ * @returns {Promise<{ questions: object[], title?: string, masteryScore?: number }>}
+ */
+export async function importQtiPackage(data, opts = {}) {
+  const JSZip = resolveJSZip(opts);
+  const zip = await JSZip.loadAsync(data);
+  const read = (path) => {
+    const entry = zip.file(path);
+    return entry ? entry.async("string") : null;
+  };
+
+  const manifestText = await read("imsmanifest.xml");
+  if (manifestText == null) throw new Error("qti: package has no imsmanifest.xml");
+  const manifest = parseXml(manifestText);
+  const resources = findAll(manifest, "resource");
+  const hrefOf = (r) => r.attrs.href || (firstChild(r, "file") && firstChild(r, "file").attrs.href);
+
+  const model = { questions: [] };
+  let itemPaths = resources.filter((r) => /^imsqti_item_xmlv3p0$/.test(r.attrs.type)).map(hrefOf);
+
+  const test = resources.find((r) => /^imsqti_test_xmlv3p0$/.test(r.attrs.type));
+  if (test) {
+    const testPath = hrefOf(test);
+    const testText = await read(testPath);
+    if (testText != null) {
+      const root = parseXml(testText);
+      if (root.attrs.title) model.title = root.attrs.title;
+      const refs = findAll(root, "qti-assessment-item-ref").map((r) => resolveHref(testPath, r.attrs.href));
+      if (refs.length) itemPaths = refs;
+      const pass = childElements(findFirst(root, "qti-outcome-processing"), "qti-set-outcome-value").find(
+        (s) => s.attrs.identifier === "PASS"
+      );
+      const ratio = pass && findFirst(pass, "qti-base-value");
+      if (ratio) model.masteryScore = Math.round(Number(textContent(ratio)) * 100);
+    }
+  }
+
+  for (const path of itemPaths) {
+    const text = await read(path);
+    if (text == null) {
+      opts.onWarning && opts.onWarning(`qti: item file "${path}" is listed but missing from the package`);
+      continue;
+    }
+    try {
+      model.questions.push(qtiItemToQuestion(text));
+    } catch (e) {
+      if (!opts.onWarning) throw e;
+      opts.onWarning(e.message);
+    }
+  }
+  return model;
+}
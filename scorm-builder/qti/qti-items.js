@@ -0,0 +1,511 @@
+// Quiz questions → QTI 3.0 assessment items and an assessment test, so the same
+// JSON authored for render/quiz-from-json.js can be imported into an LMS's native
+// question bank. qti-import.js is the inverse; cartridge.js zips the result.
+//
+// One writer per type, in a table keyed exactly like RENDERERS in
+// enhancers/quiz.js, so a type is exportable iff it is renderable. Each writer
+// returns the item's response declarations, <qti-item-body> content and the
+// SCORE-setting half of response processing; the envelope (outcomes, feedback,
+// modal feedback) is shared.
+//
+// Scoring follows quiz-runtime.js, not QTI's templates: MAXSCORE is the
+// question's `points`, partial-credit methods become <qti-mapping>s or per-part
+// conditions worth the same share the runtime awards, and the outcome → FEEDBACK
+// rule mirrors outcomeFor() (full marks = correct, zero = incorrect, otherwise
+// partiallyCorrect; likert is always neutral). What QTI cannot say is dropped
+// with a warning rather than approximated: per-option/per-blank feedback, media,
+// fill-in trimWhitespace/ignorePunctuation, numeric inputMode, blank inputWidth.
+
+import { escapeXML } from "../util/escape-xml.js";
+import { htmlToXhtml } from "../util/xhtml.js";
+import { validateQuestion } from "../enhancers/quiz.js";
+
+export const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqtiasi_v3p0";
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd`;
+
+// QTI identifiers are NCName-like. An authored id that already qualifies is
+// kept verbatim (so import gives it back unchanged); anything else is mapped.
+export function toQtiIdentifier(value) {
+  const s = String(value);
+  if (/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(s)) return s;
+  const cleaned = s.replace(/[^A-Za-z0-9_.-]/g, "_");
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+function rich(value) {
+  const html = value && typeof value === "object" ? value.html : value;
+  // Authored rich text is HTML; QTI bodies are XHTML.
+  return htmlToXhtml(html);
+}
+
+function plain(value) {
+  return rich(value).replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim();
+}
+
+const num = (n) => String(Math.round(n * 1e6) / 1e6);
+
+// --- Declaration + processing helpers -------------------------------------
+
+function responseDeclaration(identifier, cardinality, baseType, { correct = [], mapping = "" } = {}) {
+  const correctXml = correct.length
+    ? `\n    <qti-correct-response>${correct.map((v) => `\n      <qti-value>${escapeXML(v)}</qti-value>`).join("")}\n    </qti-correct-response>`
+    : "";
+  return (
+    `  <qti-response-declaration identifier="${identifier}" cardinality="${cardinality}" base-type="${baseType}">` +
+    `${correctXml}${mapping}\n  </qti-response-declaration>`
+  );
+}
+
+function mappingXml(entries, { lowerBound, upperBound, defaultValue = 0 } = {}) {
+  const bounds =
+    (lowerBound != null ? ` lower-bound="${num(lowerBound)}"` : "") +
+    (upperBound != null ? ` upper-bound="${num(upperBound)}"` : "");
+  const rows = entries
+    .map(
+      (e) =>
+        `\n      <qti-map-entry map-key="${escapeXML(e.key)}" mapped-value="${num(e.value)}"` +
+        `${e.caseSensitive != null ? ` case-sensitive="${e.caseSensitive}"` : ""}/>`
+    )
+    .join("");
+  return `\n    <qti-mapping default-value="${num(defaultValue)}"${bounds}>${rows}\n    </qti-mapping>`;
+}
+
+// SCORE = MAXSCORE when RESPONSE matches its correct response.
+function scoreIfCorrect(identifier = "RESPONSE") {
+  return `
+    <qti-response-condition>
+      <qti-response-if>
+        <qti-match>
+          <qti-variable identifier="${identifier}"/>
+          <qti-correct identifier="${identifier}"/>
+        </qti-match>
+        <qti-set-outcome-value identifier="SCORE">
+          <qti-variable identifier="MAXSCORE"/>
+        </qti-set-outcome-value>
+      </qti-response-if>
+    </qti-response-condition>`;
+}
+
+// SCORE = the sum of each listed response's mapped value.
+function scoreFromMappings(identifiers) {
+  const maps = identifiers.map((id) => `\n        <qti-map-response identifier="${id}"/>`).join("");
+  return `
+    <qti-set-outcome-value identifier="SCORE">
+      <qti-sum>${maps}
+      </qti-sum>
+    </qti-set-outcome-value>`;
+}
+
+// --- Per-type writers ------------------------------------------------------
+
+function choiceList(options, tag = "qti-simple-choice") {
+  return options
+    .map((o) => `\n      <${tag} identifier="${toQtiIdentifier(o.id)}">${rich(o.content)}</${tag}>`)
+    .join("");
+}
+
+function promptXml(q) {
+  return `\n      <qti-prompt>${rich(q.prompt)}</qti-prompt>`;
+}
+
+function shuffleAttr(q) {
+  return q.shuffle === true ? "true" : "false";
+}
+
+function writeMultipleChoice(q) {
+  const correct = q.body.options.filter((o) => o.correct === true).map((o) => toQtiIdentifier(o.id));
+  return {
+    declarations: [responseDeclaration("RESPONSE", "single", "identifier", { correct: correct.slice(0, 1) })],
+    body: `    <qti-choice-interaction response-identifier="RESPONSE" shuffle="${shuffleAttr(q)}" max-choices="1">${promptXml(q)}${choiceList(q.body.options)}\n    </qti-choice-interaction>`,
+    processing: scoreIfCorrect(),
+  };
+}
+
+function writeTrueFalse(q) {
+  const b = q.body;
+  const options = [
+    { id: "true", content: b.trueLabel || "True" },
+    { id: "false", content: b.falseLabel || "False" },
+  ];
+  return {
+    declarations: [responseDeclaration("RESPONSE", "single", "identifier", { correct: [String(b.correctAnswer)] })],
+    body: `    <qti-choice-interaction response-identifier="RESPONSE" shuffle="${shuffleAttr(q)}" max-choices="1">${promptXml(q)}${choiceList(options)}\n    </qti-choice-interaction>`,
+    processing: scoreIfCorrect(),
+  };
+}
+
+function writeLikert(q) {
+  // No correct response and no score: an opinion scale, recorded not judged.
+  return {
+    declarations: [responseDeclaration("RESPONSE", "single", "identifier")],
+    body: `    <qti-choice-interaction response-identifier="RESPONSE" shuffle="${shuffleAttr(q)}" max-choices="1">${promptXml(q)}${choiceList(q.body.scale)}\n    </qti-choice-interaction>`,
+    processing: "",
+  };
+}
+
+function writeMultipleAnswer(q, points, warn) {
+  const b = q.body;
+  const scoring = q.scoring || {};
+  const correct = b.options.filter((o) => o.correct === true).map((o) => toQtiIdentifier(o.id));
+  let mapping = "";
+  let processing = scoreIfCorrect();
+  if (scoring.method === "per-option") {
+    const penalise = scoring.penaliseIncorrect === true;
+    const entries = b.options.map((o) => {
+      let value = typeof o.score === "number" ? o.score : o.correct ? 1 : 0;
+      if (value < 0 && !penalise) value = 0;
+      return { key: toQtiIdentifier(o.id), value };
+    });
+    mapping = mappingXml(entries, {
+      lowerBound: typeof scoring.minScore === "number" ? scoring.minScore : 0,
+      upperBound: points,
+    });
+    processing = scoreFromMappings(["RESPONSE"]);
+  } else if (scoring.method && scoring.method !== "all-or-nothing") {
+    warn(`scoring method "${scoring.method}" is not a multiple-answer method; exported as all-or-nothing`);
+  }
+  const min = typeof b.minSelections === "number" ? ` min-choices="${b.minSelections}"` : "";
+  const max = typeof b.maxSelections === "number" ? b.maxSelections : 0;
+  return {
+    declarations: [responseDeclaration("RESPONSE", "multiple", "identifier", { correct, mapping })],
+    body: `    <qti-choice-interaction response-identifier="RESPONSE" shuffle="${shuffleAttr(q)}" max-choices="${max}"${min}>${promptXml(q)}${choiceList(b.options)}\n    </qti-choice-interaction>`,
+    processing,
+  };
+}
+
+// Replace {{kind:id}} tokens in a template with interactions.
+function fillTemplate(template, kind, make) {
+  return rich(template).replace(new RegExp(`\\{\\{${kind}:([^}]+)\\}\\}`, "g"), (full, id) => make(id));
+}
+
+function writeFillIn(q, points, warn) {
+  const blanks = q.body.blanks;
+  const share = blanks.length ? points / blanks.length : 0;
+  if (blanks.some((bl) => bl.match && (bl.match.ignorePunctuation === true || bl.match.trimWhitespace === false))) {
+    warn("fill-in trimWhitespace/ignorePunctuation have no QTI equivalent and were dropped");
+  }
+  if (blanks.some((bl) => bl.inputWidth)) warn("fill-in inputWidth was dropped");
+  const ids = new Map(blanks.map((bl) => [bl.id, `RESPONSE_${toQtiIdentifier(bl.id)}`]));
+  const declarations = blanks.map((bl) =>
+    responseDeclaration(ids.get(bl.id), "single", "string", {
+      correct: [String(bl.expected[0])],
+      mapping: mappingXml(
+        bl.expected.map((exp) => ({
+          key: String(exp),
+          value: share,
+          caseSensitive: Boolean(bl.match && bl.match.caseSensitive === true),
+        }))
+      ),
+    })
+  );
+  const byId = new Map(blanks.map((bl) => [bl.id, bl]));
+  const template = fillTemplate(q.body.template, "blank", (id) => {
+    const bl = byId.get(id);
+    const label = escapeXML(String(bl.label || bl.id));
+    return `<qti-text-entry-interaction response-identifier="${ids.get(id)}" aria-label="${label}"/>`;
+  });
+  return {
+    declarations,
+    body: `    <div class="quiz-prompt">${rich(q.prompt)}</div>\n    <div class="quiz-template">${template}</div>`,
+    processing: scoreFromMappings([...ids.values()]),
+  };
+}
+
+function writeNumeric(q, points, warn) {
+  const b = q.body;
+  if (b.inputMode) warn("numeric inputMode was dropped");
+  const tolerance = typeof b.tolerance === "number" ? b.tolerance : 0;
+  const compare =
+    tolerance > 0
+      ? `<qti-equal tolerance-mode="absolute" tolerance="${num(tolerance)} ${num(tolerance)}">`
+      : `<qti-equal tolerance-mode="exact">`;
+  const label = escapeXML(String(b.label || "Answer"));
+  const unit = b.unit ? ` <span class="quiz-unit">${escapeXML(String(b.unit))}</span>` : "";
+  return {
+    declarations: [responseDeclaration("RESPONSE", "single", "float", { correct: [num(b.expected)] })],
+    body:
+      `    <div class="quiz-prompt">${rich(q.prompt)}</div>\n` +
+      `    <p class="quiz-entry"><span class="quiz-label">${label}</span> ` +
+      `<qti-text-entry-interaction response-identifier="RESPONSE" aria-label="${label}"/>${unit}</p>`,
+    processing: `
+    <qti-response-condition>
+      <qti-response-if>
+        <qti-not><qti-is-null><qti-variable identifier="RESPONSE"/></qti-is-null></qti-not>
+        <qti-response-condition>
+          <qti-response-if>
+            ${compare}
+              <qti-variable identifier="RESPONSE"/>
+              <qti-correct identifier="RESPONSE"/>
+            </qti-equal>
+            <qti-set-outcome-value identifier="SCORE">
+              <qti-variable identifier="MAXSCORE"/>
+            </qti-set-outcome-value>
+          </qti-response-if>
+        </qti-response-condition>
+      </qti-response-if>
+    </qti-response-condition>`,
+  };
+}
+
+function writeOrdering(q, points) {
+  const order = q.body.correctOrder.map(toQtiIdentifier);
+  const method = (q.scoring && q.scoring.method) || "all-or-nothing";
+  let processing = scoreIfCorrect();
+  if (method === "per-position") {
+    // One condition per position, each adding that position's share.
+    const share = order.length ? points / order.length : 0;
+    processing = order
+      .map(
+        (id, i) => `
+    <qti-response-condition>
+      <qti-response-if>
+        <qti-match>
+          <qti-index n="${i + 1}"><qti-variable identifier="RESPONSE"/></qti-index>
+          <qti-base-value base-type="identifier">${id}</qti-base-value>
+        </qti-match>
+        <qti-set-outcome-value identifier="SCORE">
+          <qti-sum><qti-variable identifier="SCORE"/><qti-base-value base-type="float">${num(share)}</qti-base-value></qti-sum>
+        </qti-set-outcome-value>
+      </qti-response-if>
+    </qti-response-condition>`
+      )
+      .join("");
+  }
+  return {
+    declarations: [responseDeclaration("RESPONSE", "ordered", "identifier", { correct: order })],
+    // The runtime always shuffles ordering items to a non-correct start.
+    body: `    <qti-order-interaction response-identifier="RESPONSE" shuffle="true">${promptXml(q)}${choiceList(q.body.items)}\n    </qti-order-interaction>`,
+    processing,
+  };
+}
+
+function writeMatching(q, points) {
+  const b = q.body;
+  const pairs = b.correctPairs.map((p) => `${toQtiIdentifier(p.prompt)} ${toQtiIdentifier(p.choice)}`);
+  const method = (q.scoring && q.scoring.method) || "all-or-nothing";
+  let mapping = "";
+  let processing = scoreIfCorrect();
+  if (method === "per-pair") {
+    const share = pairs.length ? points / pairs.length : 0;
+    mapping = mappingXml(pairs.map((key) => ({ key, value: share })), { upperBound: points });
+    processing = scoreFromMappings(["RESPONSE"]);
+  }
+  const prompts = b.prompts
+    .map((p) => `\n        <qti-simple-associable-choice identifier="${toQtiIdentifier(p.id)}" match-max="1">${rich(p.content)}</qti-simple-associable-choice>`)
+    .join("");
+  const choices = b.choices
+    .map((c) => `\n        <qti-simple-associable-choice identifier="${toQtiIdentifier(c.id)}" match-max="${b.prompts.length}">${rich(c.content)}</qti-simple-associable-choice>`)
+    .join("");
+  return {
+    declarations: [responseDeclaration("RESPONSE", "multiple", "directedPair", { correct: pairs, mapping })],
+    body:
+      `    <qti-match-interaction response-identifier="RESPONSE" shuffle="false" max-associations="${b.prompts.length}">${promptXml(q)}` +
+      `\n      <qti-simple-match-set>${prompts}\n      </qti-simple-match-set>` +
+      `\n      <qti-simple-match-set>${choices}\n      </qti-simple-match-set>` +
+      `\n    </qti-match-interaction>`,
+    processing,
+  };
+}
+
+function writeSelectInText(q, points) {
+  const selects = q.body.selects;
+  const share = selects.length ? points / selects.length : 0;
+  const ids = new Map(selects.map((s) => [s.id, `RESPONSE_${toQtiIdentifier(s.id)}`]));
+  const byId = new Map(selects.map((s) => [s.id, s]));
+  const declarations = selects.map((s) => {
+    const right = toQtiIdentifier(s.options.find((o) => o.correct === true).id);
+    return responseDeclaration(ids.get(s.id), "single", "identifier", {
+      correct: [right],
+      mapping: mappingXml([{ key: right, value: share }]),
+    });
+  });
+  const template = fillTemplate(q.body.template, "select", (id) => {
+    const s = byId.get(id);
+    const label = escapeXML(String(s.label || s.id));
+    const options = s.options
+      .map((o) => `<qti-inline-choice identifier="${toQtiIdentifier(o.id)}">${escapeXML(plain(o.content))}</qti-inline-choice>`)
+      .join("");
+    return `<qti-inline-choice-interaction response-identifier="${ids.get(id)}" shuffle="false" aria-label="${label}">${options}</qti-inline-choice-interaction>`;
+  });
+  return {
+    declarations,
+    body: `    <div class="quiz-prompt">${rich(q.prompt)}</div>\n    <div class="quiz-template">${template}</div>`,
+    processing: scoreFromMappings([...ids.values()]),
+  };
+}
+
+// Keyed exactly like RENDERERS in enhancers/quiz.js.
+const WRITERS = {
+  "multiple-choice": writeMultipleChoice,
+  "true-false": writeTrueFalse,
+  "multiple-answer": writeMultipleAnswer,
+  "likert": writeLikert,
+  "fill-in-the-blank": writeFillIn,
+  "numeric": writeNumeric,
+  "ordering": writeOrdering,
+  "matching": writeMatching,
+  "select-in-text": writeSelectInText,
+};
+
+// --- Feedback --------------------------------------------------------------
+
+const OUTCOMES = ["correct", "incorrect", "partiallyCorrect"];
+
+function setFeedback(identifier) {
+  return `<qti-set-outcome-value identifier="FEEDBACK"><qti-multiple><qti-base-value base-type="identifier">${identifier}</qti-base-value></qti-multiple></qti-set-outcome-value>`;
+}
+
+// The runtime shows byOutcome[outcome] and falls back to `default`; the same
+// choice is made here at export time, per branch, so each branch names the one
+// modal feedback that applies.
+function feedbackProcessing(q) {
+  const fb = q.feedback || {};
+  const byOutcome = fb.byOutcome || {};
+  const pick = (outcome) => (byOutcome[outcome] ? outcome : fb.default ? "default" : null);
+
+  if (q.type === "likert") {
+    const id = pick("neutral");
+    if (!id) return "";
+    return `
+    <qti-response-condition>
+      <qti-response-if>
+        <qti-not><qti-is-null><qti-variable identifier="RESPONSE"/></qti-is-null></qti-not>
+        ${setFeedback(id)}
+      </qti-response-if>
+    </qti-response-condition>`;
+  }
+
+  const [correct, incorrect, partial] = OUTCOMES.map(pick);
+  if (!correct && !incorrect && !partial) return "";
+  const branch = (id) => (id ? `\n        ${setFeedback(id)}` : "");
+  return `
+    <qti-response-condition>
+      <qti-response-if>
+        <qti-and>
+          <qti-gt><qti-variable identifier="MAXSCORE"/><qti-base-value base-type="float">0</qti-base-value></qti-gt>
+          <qti-gte><qti-variable identifier="SCORE"/><qti-variable identifier="MAXSCORE"/></qti-gte>
+        </qti-and>${branch(correct)}
+      </qti-response-if>
+      <qti-response-else-if>
+        <qti-lte><qti-variable identifier="SCORE"/><qti-base-value base-type="float">0</qti-base-value></qti-lte>${branch(incorrect)}
+      </qti-response-else-if>
+      <qti-response-else>${branch(partial)}
+      </qti-response-else>
+    </qti-response-condition>`;
+}
+
+function modalFeedback(q) {
+  const fb = q.feedback || {};
+  const entries = Object.entries(fb.byOutcome || {}).filter(([k, v]) => v && [...OUTCOMES, "neutral"].includes(k));
+  if (fb.default) entries.push(["default", fb.default]);
+  return entries
+    .map(
+      ([id, value]) =>
+        `\n  <qti-modal-feedback outcome-identifier="FEEDBACK" identifier="${id}" show-hide="show">` +
+        `<qti-content-body>${rich(value)}</qti-content-body></qti-modal-feedback>`
+    )
+    .join("");
+}
+
+// --- Public API ------------------------------------------------------------
+
+/**
+ * @param {object} q - a schema-shaped question (see enhancers/quiz.js)
+ * @param {object} [opts]
+ * @param {string} [opts.lang="en"] - item xml:lang
+ * @param {(message: string) => void} [opts.onWarning] - dropped, unexportable detail
+ * @returns {{ identifier: string, xml: string }}
+ * @throws when the question would not render (same rules as a build)
+ */
+export function questionToQtiItem(q, opts = {}) {
+  const err = validateQuestion(q);
+  if (err) throw new Error(`qti: question "${q && q.id ? q.id : "?"}" — ${err}`);
+  const warn = (message) => opts.onWarning && opts.onWarning(`qti: question "${q.id}" — ${message}`);
+
+  const points = q.type === "likert" ? 0 : typeof q.points === "number" ? q.points : 0;
+  if (Array.isArray(q.media) && q.media.length) warn("media attachments were dropped");
+  const hasPartFeedback =
+    (q.body.options || []).some((o) => o.feedback || o.feedbackWhenMissed) ||
+    (q.body.blanks || []).some((bl) => bl.feedback) ||
+    (q.body.feedback != null);
+  if (hasPartFeedback) warn("per-option/per-part feedback was dropped");
+
+  const identifier = toQtiIdentifier(q.id);
+  const { declarations, body, processing } = WRITERS[q.type](q, points, warn);
+  const title = escapeXML(q.title || plain(q.prompt).slice(0, 80) || q.id);
+  const lang = escapeXML(opts.lang || "en");
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<qti-assessment-item xmlns="${QTI_NAMESPACE}"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+    identifier="${identifier}" title="${title}" adaptive="false" time-dependent="false" xml:lang="${lang}">
+${declarations.join("\n")}
+  <qti-outcome-declaration identifier="SCORE" cardinality="single" base-type="float">
+    <qti-default-value><qti-value>0</qti-value></qti-default-value>
+  </qti-outcome-declaration>
+  <qti-outcome-declaration identifier="MAXSCORE" cardinality="single" base-type="float">
+    <qti-default-value><qti-value>${num(points)}</qti-value></qti-default-value>
+  </qti-outcome-declaration>
+  <qti-outcome-declaration identifier="FEEDBACK" cardinality="multiple" base-type="identifier"/>
+  <qti-item-body>
+${body}
+  </qti-item-body>
+  <qti-response-processing>${processing}${feedbackProcessing(q)}
+  </qti-response-processing>${modalFeedback(q)}
+</qti-assessment-item>`;
+
+  return { identifier, xml };
+}
+
+/**
+ * An assessment test referencing every item in order, summing item SCOREs and —
+ * when a mastery score is given — setting PASS the way the SCORM runtime does.
+ * @param {Array<{identifier:string, href:string}>} items
+ * @param {object} [opts]
+ * @param {string} [opts.identifier="assessment"]
+ * @param {string} [opts.title="Quiz"]
+ * @param {number} [opts.masteryScore] - pass threshold (percent of MAXSCORE)
+ * @returns {string} assessment test XML
+ */
+export function generateAssessmentTest(items, opts = {}) {
+  const identifier = toQtiIdentifier(opts.identifier || "assessment");
+  const title = escapeXML(opts.title || "Quiz");
+  const refs = items
+    .map((it) => `\n        <qti-assessment-item-ref identifier="${it.identifier}" href="${escapeXML(it.href)}"/>`)
+    .join("");
+  const mastery = Number.isFinite(opts.masteryScore) ? opts.masteryScore / 100 : null;
+  const passDeclaration =
+    mastery == null ? "" : `\n  <qti-outcome-declaration identifier="PASS" cardinality="single" base-type="boolean"/>`;
+  const passRule =
+    mastery == null
+      ? ""
+      : `
+    <qti-set-outcome-value identifier="PASS">
+      <qti-gte>
+        <qti-variable identifier="SCORE"/>
+        <qti-product><qti-variable identifier="MAXSCORE"/><qti-base-value base-type="float">${num(mastery)}</qti-base-value></qti-product>
+      </qti-gte>
+    </qti-set-outcome-value>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<qti-assessment-test xmlns="${QTI_NAMESPACE}"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+    identifier="${identifier}" title="${title}">
+  <qti-outcome-declaration identifier="SCORE" cardinality="single" base-type="float"/>
+  <qti-outcome-declaration identifier="MAXSCORE" cardinality="single" base-type="float"/>${passDeclaration}
+  <qti-test-part identifier="part_1" navigation-mode="nonlinear" submission-mode="simultaneous">
+    <qti-assessment-section identifier="section_1" title="${title}" visible="true">${refs}
+    </qti-assessment-section>
+  </qti-test-part>
+  <qti-outcome-processing>
+    <qti-set-outcome-value identifier="SCORE">
+      <qti-sum><qti-test-variables variable-identifier="SCORE"/></qti-sum>
+    </qti-set-outcome-value>
+    <qti-set-outcome-value identifier="MAXSCORE">
+      <qti-sum><qti-test-variables variable-identifier="MAXSCORE"/></qti-sum>
+    </qti-set-outcome-value>${passRule}
+  </qti-outcome-processing>
+</qti-assessment-test>`;
+}
@@ -2,7 +2,8 @@
 // into the `content` HTML string that the rest of the pipeline consumes.
 //
 // A quiz author works in plain JSON — an array of question objects, or an object
-// carrying a title/intro plus the questions and the SCORM reporting defaults —
+// carrying a title/intro plus the questions, question pools, attempt limit, pass
+// mark and the SCORM reporting defaults —
 // and this module renders it into the inline
 // `<script type="application/json" data-quiz-question>` blocks that
 // `enhancers/quiz.js` (`processQuiz`) picks up at build time. It is the missing
@@ -26,15 +27,46 @@ export function wrapQuestion(q) {
   return `<script type="application/json" data-quiz-question>\n${JSON.stringify(q, null, 2)}\n</script>`;
 }
 
+// The quiz-wide settings a model carries, in the shape the
+// data-quiz-settings block takes.
+const SETTINGS_KEYS = ["pools", "attempts", "masteryScore", "shuffleQuestions"];
+
+/**
+ * Serialise quiz-wide settings (pools, attempts, masteryScore,
+ * shuffleQuestions) into the settings block `processQuiz` consumes.
+ *
+ * @param {object} settings
+ * @returns {string} the `<script type="application/json" data-quiz-settings>` block
+ */
+export function wrapQuizSettings(settings) {
+  return `<script type="application/json" data-quiz-settings>\n${JSON.stringify(settings, null, 2)}\n</script>`;
+}
+
+/**
+ * The settings a parsed quiz model carries, or null when it sets none.
+ *
+ * @param {object} model - a `parseQuizJson` result
+ * @returns {object|null}
+ */
+export function quizSettingsFromModel(model) {
+  const settings = {};
+  for (const key of SETTINGS_KEYS) {
+    if (model && model[key] !== undefined) settings[key] = model[key];
+  }
+  return Object.keys(settings).length ? settings : null;
+}
+
 /**
  * Build the document `content` HTML from a list of questions: an optional
  * escaped `<h1>` heading, an optional intro (trusted authored HTML, inserted
- * as-is like the rest of this pipeline), then every question wrapped and joined.
+ * as-is like the rest of this pipeline), the settings block when there are
+ * settings, then every question wrapped and joined.
  *
  * @param {object[]} questions
  * @param {object} [options]
- * @param {string} [options.heading] - a plain-text `<h1>` (escaped)
- * @param {string} [options.intro]   - authored HTML placed under the heading
+ * @param {string} [options.heading]  - a plain-text `<h1>` (escaped)
+ * @param {string} [options.intro]    - authored HTML placed under the heading
+ * @param {object} [options.settings] - quiz-wide settings (see `quizSettingsFromModel`)
  * @returns {string}
  */
 export function quizContentFromQuestions(questions, options = {}) {
@@ -44,6 +76,7 @@ export function quizContentFromQuestions(questions, options = {}) {
   const parts = [];
   if (options.heading) parts.push(`<h1>${escapeXML(String(options.heading))}</h1>`);
   if (options.intro) parts.push(String(options.intro));
+  if (options.settings) parts.push(wrapQuizSettings(options.settings));
   for (const q of questions) parts.push(wrapQuestion(q));
   return parts.join("\n");
 }
@@ -53,13 +86,18 @@ export function quizContentFromQuestions(questions, options = {}) {
  * string or an already-parsed value, in two shapes:
  *   - a bare array of questions            → { questions }
  *   - an object with a `questions` array   → passes through, carrying its
- *     `title`, `intro`, `reportScore` and `masteryScore`.
+ *     `title`, `intro`, `reportScore`, `masteryScore`, `attempts` and
+ *     `shuffleQuestions`.
+ * An object may also (or instead) carry `pools`: `[{ id, draw, questions }]`.
+ * Pooled questions are flattened into `questions`, each tagged with its `pool`,
+ * and the model keeps `pools` as `{ [id]: { draw } }` — the settings-block shape.
  * Anything else throws a clear, author-facing error (never a bare TypeError),
  * so a malformed paste lands in the page's status line rather than a broken
  * preview.
  *
  * @param {string|object|Array} input
- * @returns {{ questions: object[], title?: string, intro?: string, reportScore?: boolean, masteryScore?: number }}
+ * @returns {{ questions: object[], title?: string, intro?: string, reportScore?: boolean, masteryScore?: number,
+ *   pools?: object, attempts?: number, shuffleQuestions?: boolean }}
  */
 export function parseQuizJson(input) {
   let value = input;
@@ -78,16 +116,33 @@ export function parseQuizJson(input) {
   }
 
   if (value && typeof value === "object") {
-    if (!Array.isArray(value.questions)) {
+    const hasPools = Array.isArray(value.pools);
+    if (!Array.isArray(value.questions) && !hasPools) {
       throw new Error(
         'Quiz JSON object needs a "questions" array (or pass a bare array of questions).'
       );
     }
-    const model = { questions: value.questions };
+    const model = { questions: Array.isArray(value.questions) ? value.questions.slice() : [] };
+    if (hasPools) {
+      model.pools = {};
+      for (const pool of value.pools) {
+        if (!pool || typeof pool.id !== "string" || !pool.id || !Array.isArray(pool.questions)) {
+          throw new Error('Each quiz pool needs a string "id" and a "questions" array.');
+        }
+        if (!Number.isInteger(pool.draw) || pool.draw < 1) {
+          throw new Error(`Quiz pool "${pool.id}" needs "draw": a whole number of questions to show (1 or more).`);
+        }
+        if (model.pools[pool.id]) throw new Error(`Quiz pool "${pool.id}" is defined twice.`);
+        model.pools[pool.id] = { draw: pool.draw };
+        for (const q of pool.questions) model.questions.push({ ...q, pool: pool.id });
+      }
+    }
     if (typeof value.title === "string") model.title = value.title;
     if (typeof value.intro === "string") model.intro = value.intro;
     if (typeof value.reportScore === "boolean") model.reportScore = value.reportScore;
     if (typeof value.masteryScore === "number") model.masteryScore = value.masteryScore;
+    if (typeof value.attempts === "number") model.attempts = value.attempts;
+    if (typeof value.shuffleQuestions === "boolean") model.shuffleQuestions = value.shuffleQuestions;
     return model;
   }
 
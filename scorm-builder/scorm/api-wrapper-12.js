@@ -0,0 +1,337 @@
+// scorm-api.js generation — SCORM 1.2 RTE wrapper. The 1.2 counterpart of
+// api-wrapper.js: it discovers window.API (not API_1484_11), speaks the LMS*
+// function names and the cmi.core.* data model, and exposes the SAME
+// window.SCORM surface, so quiz-runtime.js and the progress tracker injected by
+// prepareScormHtml() run unchanged against either edition.
+//
+// Data-model mapping from the 2004 wrapper:
+//
+//   2004                              1.2
+//   cmi.completion_status +           cmi.core.lesson_status (one element:
+//   cmi.success_status                  incomplete | completed | passed | failed)
+//   cmi.score.{raw,min,max,scaled}    cmi.core.score.{raw,min,max} — no scaled
+//   cmi.location                      cmi.core.lesson_location
+//   cmi.progress_measure              (none — dropped)
+//   cmi.exit "normal"                 cmi.core.exit "" ("normal" is not 1.2 vocabulary)
+//   cmi.exit "suspend"                cmi.core.exit "suspend"
+//   cmi.suspend_data (64000 chars)    cmi.suspend_data (4096 chars)
+//   cmi.learner_id                    cmi.core.student_id
+//   cmi.session_time PT#S             cmi.core.session_time HHHH:MM:SS
+//   cmi.comments_from_learner.n.*     cmi.comments (one CMIString4096)
+//   adl.nav.request                   (none — requestExit just finishes)
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.quizPresent] - a scored quiz is in the content, so
+ *   finishing must NOT hard-code lesson_status="passed" (the quiz decides it).
+ * @param {boolean} [opts.reportScore] - kept for symmetry with the 2004 wrapper.
+ * @param {boolean} [opts.trackCompletion] - the progress tracker's threshold
+ *   decides "completed" (setCompleted()), not session end. A quiz score still
+ *   sets passed/failed: 1.2 has one status element.
+ * @returns {string} scorm-api.js file contents
+ */
+export function generateApiWrapper12(opts = {}) {
+  const quizPresent = opts.quizPresent === true;
+  const trackCompletion = opts.trackCompletion === true;
+
+  return `/**
+ * SCORM 1.2 API Wrapper
+ * Self-contained accessible content SCORM integration.
+ */
+
+(function() {
+  'use strict';
+
+  var scormAPI = null;
+  var maxSearchDepth = 7;
+  // Baked at build time: when a scored quiz is present, session end must not
+  // assert "passed" — reportScore() sets the real status, or it stays incomplete.
+  var quizPresent = ${quizPresent ? "true" : "false"};
+  var trackCompletion = ${trackCompletion ? "true" : "false"};
+  var scoreReported = false;
+  var sessionInitialized = false;
+  var sessionTerminated = false;
+  // Learner state as keyed JSON in cmi.suspend_data (see the 2004 wrapper). 1.2
+  // only guarantees 4096 characters, so a larger save is refused.
+  var SUSPEND_DATA_LIMIT = 4096;
+  var suspendState = null;
+  var stateSaved = false;
+
+  // SCORM 1.2 API Discovery. The LMS exposes window.API somewhere up the frame
+  // hierarchy (parent chain).
+  function findSCORMAPI(win) {
+    var depth = 0;
+    while ((win.API == null) && (win.parent != null) &&
+           (win.parent != win) && (depth < maxSearchDepth)) {
+      depth++;
+      win = win.parent;
+    }
+    return win.API;
+  }
+
+  function getSCORMAPI() {
+    if (scormAPI != null) return scormAPI;
+
+    // 1. This window's own frame chain (SCO launched in an iframe).
+    var api = findSCORMAPI(window);
+
+    // 2. The opener's frame chain (SCO launched in a new window).
+    if (api == null && window.opener != null && typeof window.opener !== "undefined") {
+      try { api = findSCORMAPI(window.opener); } catch (e) { /* cross-origin */ }
+    }
+
+    // 3. Some players nest the opener under top.
+    if (api == null && window.top && window.top.opener != null) {
+      try { api = findSCORMAPI(window.top.opener); } catch (e) { /* cross-origin */ }
+    }
+
+    scormAPI = api;
+    return scormAPI;
+  }
+
+  // CMITimespan: HHHH:MM:SS with a 2..4 digit hour field.
+  function formatTimespan(totalSeconds) {
+    var h = Math.floor(totalSeconds / 3600);
+    var m = Math.floor((totalSeconds % 3600) / 60);
+    var s = totalSeconds % 60;
+    function pad(n) { return (n < 10 ? "0" : "") + n; }
+    return pad(Math.min(h, 9999)) + ":" + pad(m) + ":" + pad(s);
+  }
+
+  // A terminal status already recorded (re-entry after completing) must not be
+  // downgraded to "incomplete" by the next launch.
+  function isFinalStatus(status) {
+    return status === "completed" || status === "passed" || status === "failed";
+  }
+
+  // SCORM Session Management
+  function initializeSCORM() {
+    if (sessionInitialized) return true; // loadState() may have got here first
+    var api = getSCORMAPI();
+    if (api != null) {
+      try {
+        var result = api.LMSInitialize("");
+        if (String(result) === "true") {
+          sessionInitialized = true;
+          console.log("[SCORM] Session initialized successfully");
+
+          if (!isFinalStatus(api.LMSGetValue("cmi.core.lesson_status"))) {
+            api.LMSSetValue("cmi.core.lesson_status", "incomplete");
+          }
+          api.LMSSetValue("cmi.core.exit", "");
+          api.LMSSetValue("cmi.comments", "Accessible content with WCAG 2.2 AA features");
+
+          api.LMSCommit("");
+          return true;
+        }
+      } catch (error) {
+        console.error("[SCORM] Initialization error:", error);
+      }
+    } else {
+      console.warn("[SCORM] API not found - standalone mode");
+    }
+    return false;
+  }
+
+  function terminateSCORM() {
+    if (sessionTerminated) return; // guard against double LMSFinish (Finish + unload)
+    var api = getSCORMAPI();
+    if (api != null) {
+      try {
+        // Content-only packages complete on exit. When a scored quiz is present,
+        // leave lesson_status to reportScore() — an unsubmitted quiz then stays
+        // incomplete, so no grade is recorded. Nor with a completion threshold.
+        if (!quizPresent && !trackCompletion && !isFinalStatus(api.LMSGetValue("cmi.core.lesson_status"))) {
+          api.LMSSetValue("cmi.core.lesson_status", "completed");
+        }
+        // Suspend when there is saved state, so the next launch resumes with it.
+        api.LMSSetValue("cmi.core.exit", stateSaved ? "suspend" : "");
+
+        if (window.scormSessionStart) {
+          var sessionTime = Math.floor((Date.now() - window.scormSessionStart) / 1000);
+          api.LMSSetValue("cmi.core.session_time", formatTimespan(sessionTime));
+        }
+
+        api.LMSCommit("");
+        api.LMSFinish("");
+        sessionTerminated = true;
+        console.log("[SCORM] Session terminated successfully");
+      } catch (error) {
+        console.error("[SCORM] Termination error:", error);
+      }
+    }
+  }
+
+  // SCORM 1.2 has no navigation request, so ending the attempt is all we can do;
+  // the learner then uses the LMS's own close control (the quiz UI says so).
+  function requestExit() {
+    var api = getSCORMAPI();
+    if (api == null) return false;
+    try {
+      terminateSCORM();
+      return true;
+    } catch (error) {
+      console.error("[SCORM] requestExit error:", error);
+      return false;
+    }
+  }
+
+  // Report a quiz score. Same discipline as the 2004 wrapper (no-overwrite guard,
+  // score before status, commit immediately), with one 1.2-specific rule: raw is
+  // always reported as a PERCENTAGE with min 0 / max 100. 1.2 has no scaled
+  // score, and the LMS compares raw against the manifest's 0..100 masteryscore,
+  // so any other scale would pass or fail the wrong learners.
+  function reportScore(raw, min, max, passed) {
+    var api = getSCORMAPI();
+    if (api == null) return false;
+    try {
+      var lo = Number(min) || 0;
+      var hi = Number(max);
+      var scaled = (hi > lo) ? (Number(raw) - lo) / (hi - lo) : 0;
+      if (scaled < 0) scaled = 0;
+      if (scaled > 1) scaled = 1;
+      var percent = Math.round(scaled * 10000) / 100;
+
+      var prior = parseFloat(api.LMSGetValue("cmi.core.score.raw"));
+      if (!isNaN(prior) && prior >= percent) {
+        return false;
+      }
+
+      api.LMSSetValue("cmi.core.score.min", "0");
+      api.LMSSetValue("cmi.core.score.max", "100");
+      api.LMSSetValue("cmi.core.score.raw", String(percent));
+
+      api.LMSSetValue("cmi.core.lesson_status", passed ? "passed" : "failed");
+
+      scoreReported = true;
+      api.LMSCommit("");
+      return true;
+    } catch (error) {
+      console.error("[SCORM] reportScore error:", error);
+      return false;
+    }
+  }
+
+  function readSuspendState(api) {
+    if (suspendState) return suspendState;
+    suspendState = {};
+    try {
+      var raw = api.LMSGetValue("cmi.suspend_data");
+      var parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && typeof parsed === "object") suspendState = parsed;
+    } catch (error) {
+      console.warn("[SCORM] cmi.suspend_data is not scorm-builder state; starting fresh");
+    }
+    return suspendState;
+  }
+
+  function loadState(key) {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return Promise.resolve(null);
+    var value = readSuspendState(api)[key];
+    return Promise.resolve(value === undefined ? null : value);
+  }
+
+  function saveState(key, value) {
+    var api = getSCORMAPI();
+    if (api == null || sessionTerminated || !initializeSCORM()) return Promise.resolve(false);
+    try {
+      var next = {};
+      var current = readSuspendState(api);
+      for (var k in current) {
+        if (Object.prototype.hasOwnProperty.call(current, k)) next[k] = current[k];
+      }
+      next[key] = value;
+      var text = JSON.stringify(next);
+      if (text.length > SUSPEND_DATA_LIMIT) {
+        console.warn("[SCORM] State for " + key + " exceeds cmi.suspend_data (" + text.length + " characters); not saved");
+        return Promise.resolve(false);
+      }
+      api.LMSSetValue("cmi.suspend_data", text);
+      api.LMSCommit("");
+      suspendState = next;
+      stateSaved = true;
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error("[SCORM] saveState error:", error);
+      return Promise.resolve(false);
+    }
+  }
+
+  function getLearnerId() {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return null;
+    try {
+      return api.LMSGetValue("cmi.core.student_id") || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The progress tracker's threshold was met. A passed/failed quiz result is
+  // already final and is kept.
+  function setCompleted() {
+    var api = getSCORMAPI();
+    if (api == null || sessionTerminated || !initializeSCORM()) return false;
+    try {
+      if (!isFinalStatus(api.LMSGetValue("cmi.core.lesson_status"))) {
+        api.LMSSetValue("cmi.core.lesson_status", "completed");
+        api.LMSCommit("");
+      }
+      return true;
+    } catch (error) {
+      console.error("[SCORM] setCompleted error:", error);
+      return false;
+    }
+  }
+
+  function getLocation() {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return Promise.resolve(null);
+    try {
+      return Promise.resolve(api.LMSGetValue("cmi.core.lesson_location") || null);
+    } catch (error) {
+      return Promise.resolve(null);
+    }
+  }
+
+  // 1.2 has no progress_measure; only the location is recorded.
+  function trackProgress(location, progress) {
+    var api = getSCORMAPI();
+    if (api != null && !sessionTerminated) {
+      try {
+        api.LMSSetValue("cmi.core.lesson_location", String(location).slice(0, 255));
+        api.LMSCommit("");
+      } catch (error) {
+        console.error("[SCORM] Progress tracking error:", error);
+      }
+    }
+  }
+
+  window.scormSessionStart = Date.now();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeSCORM);
+  } else {
+    initializeSCORM();
+  }
+
+  window.addEventListener('beforeunload', terminateSCORM);
+
+  window.SCORM = {
+    initialize: initializeSCORM,
+    terminate: terminateSCORM,
+    trackProgress: trackProgress,
+    reportScore: reportScore,
+    requestExit: requestExit,
+    loadState: loadState,
+    saveState: saveState,
+    getLearnerId: getLearnerId,
+    getLocation: getLocation,
+    setCompleted: setCompleted,
+    getAPI: getSCORMAPI,
+    isAvailable: function() { return getSCORMAPI() != null; }
+  };
+
+})();`;
+}
@@ -4,6 +4,9 @@
 //
 // The returned string is the file contents; it self-discovers the LMS API by
 // walking window.parent up to maxSearchDepth, then Initialize/SetValue/Terminate.
+// loadState/saveState keep runtime state that must survive a resumed session
+// (the quiz draw and answers) as keyed JSON in cmi.suspend_data. getLocation /
+// setCompleted serve the progress tracker (scorm/progress-tracker.js).
 
 /**
  * @param {object} [opts]
@@ -13,10 +16,22 @@
  * @param {boolean} [opts.reportScore] - the build wants score reporting (kept for
  *   symmetry; the reportScore() method is always exposed and simply no-ops when
  *   no LMS API is present).
+ * @param {boolean} [opts.detectQuiz] - decide quizPresent per page at runtime
+ *   instead of baking it in: a multi-SCO package shares one wrapper between
+ *   lessons with and without a quiz.
+ * @param {boolean} [opts.trackCompletion] - the progress tracker owns
+ *   completion_status (a sections-viewed threshold): neither terminate nor
+ *   reportScore() sets it; setCompleted() does.
  * @returns {string} scorm-api.js file contents
  */
 export function generateApiWrapper(opts = {}) {
-  const quizPresent = opts.quizPresent === true;
+  const quizPresent =
+    opts.detectQuiz === true
+      ? 'document.querySelector("[data-quiz-question-root]") != null'
+      : opts.quizPresent === true
+        ? "true"
+        : "false";
+  const trackCompletion = opts.trackCompletion === true;
 
   return `/**
  * SCORM 2004 API Wrapper
@@ -30,9 +45,18 @@ export function generateApiWrapper(opts = {}) {
   var maxSearchDepth = 7;
   // Baked at build time: when a scored quiz is present, session end must not
   // assert "passed" — reportScore() sets the real status, or it stays unknown.
-  var quizPresent = ${quizPresent ? "true" : "false"};
+  var quizPresent = ${quizPresent};
+  // Also baked: completion follows the progress tracker's threshold instead.
+  var trackCompletion = ${trackCompletion};
   var scoreReported = false;
+  var sessionInitialized = false;
   var sessionTerminated = false;
+  // Learner state (quiz draw + answers, ...) lives as keyed JSON in
+  // cmi.suspend_data, read once per session. SCORM 2004 3rd edition guarantees
+  // 64000 characters; a save that would exceed it is refused, not truncated.
+  var SUSPEND_DATA_LIMIT = 64000;
+  var suspendState = null;
+  var stateSaved = false;
 
   // SCORM API Discovery. Walk a window's frame hierarchy (parent chain) looking
   // for the LMS-provided API object.
@@ -70,22 +94,30 @@ export function generateApiWrapper(opts = {}) {
 
   // SCORM Session Management
   function initializeSCORM() {
+    if (sessionInitialized) return true; // loadState() may have got here first
     var api = getSCORMAPI();
     if (api != null) {
       try {
         var result = api.Initialize("");
         if (result === "true") {
+          sessionInitialized = true;
           console.log("[SCORM] Session initialized successfully");
 
-          api.SetValue("cmi.completion_status", "incomplete");
-          api.SetValue("cmi.success_status", "unknown");
+          // A resumed attempt keeps the status it was suspended with (a quiz
+          // already passed must not drop back to unknown).
+          if (api.GetValue("cmi.entry") !== "resume") {
+            api.SetValue("cmi.completion_status", "incomplete");
+            api.SetValue("cmi.success_status", "unknown");
+          }
           api.SetValue("cmi.exit", "");
 
-          api.SetValue("cmi.comments_from_learner._count", "1");
+          // _count is read-only (the record is created by its first element), and
+          // a SCORM timestamp carries at most hundredths of a second.
           api.SetValue("cmi.comments_from_learner.0.comment",
                       "Accessible content with WCAG 2.2 AA features");
           api.SetValue("cmi.comments_from_learner.0.location", "accessibility");
-          api.SetValue("cmi.comments_from_learner.0.timestamp", new Date().toISOString());
+          api.SetValue("cmi.comments_from_learner.0.timestamp",
+                      new Date().toISOString().replace(/\\.\\d+Z$/, "Z"));
 
           api.Commit("");
           return true;
@@ -106,12 +138,15 @@ export function generateApiWrapper(opts = {}) {
       try {
         // Content-only packages complete on exit as before. When a scored quiz
         // is present, leave completion/success to reportScore() — an unsubmitted
-        // quiz then stays incomplete/unknown, so no grade is recorded.
-        if (!quizPresent) {
+        // quiz then stays incomplete/unknown, so no grade is recorded. With a
+        // completion threshold the tracker has already set what was earned.
+        if (!quizPresent && !trackCompletion) {
           api.SetValue("cmi.completion_status", "completed");
           api.SetValue("cmi.success_status", "passed");
         }
-        api.SetValue("cmi.exit", "normal");
+        // Saved learner state only survives into the next session when the
+        // attempt is suspended; a "normal" exit lets the LMS start afresh.
+        api.SetValue("cmi.exit", stateSaved ? "suspend" : "normal");
 
         if (window.scormSessionStart) {
           var sessionTime = Math.floor((Date.now() - window.scormSessionStart) / 1000);
@@ -174,7 +209,7 @@ export function generateApiWrapper(opts = {}) {
       api.SetValue("cmi.score.raw", String(raw));
       api.SetValue("cmi.score.scaled", String(Math.round(newScaled * 10000) / 10000));
 
-      api.SetValue("cmi.completion_status", "completed");
+      if (!trackCompletion) api.SetValue("cmi.completion_status", "completed");
       api.SetValue("cmi.success_status", passed ? "passed" : "failed");
 
       scoreReported = true;
@@ -186,9 +221,94 @@ export function generateApiWrapper(opts = {}) {
     }
   }
 
+  function readSuspendState(api) {
+    if (suspendState) return suspendState;
+    suspendState = {};
+    try {
+      var raw = api.GetValue("cmi.suspend_data");
+      var parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && typeof parsed === "object") suspendState = parsed;
+    } catch (error) {
+      console.warn("[SCORM] cmi.suspend_data is not scorm-builder state; starting fresh");
+    }
+    return suspendState;
+  }
+
+  // Read one saved value (null when there is none). Promise-shaped to match the
+  // cmi5 runtime, whose state lives behind an HTTP call.
+  function loadState(key) {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return Promise.resolve(null);
+    var value = readSuspendState(api)[key];
+    return Promise.resolve(value === undefined ? null : value);
+  }
+
+  function saveState(key, value) {
+    var api = getSCORMAPI();
+    if (api == null || sessionTerminated || !initializeSCORM()) return Promise.resolve(false);
+    try {
+      var next = {};
+      var current = readSuspendState(api);
+      for (var k in current) {
+        if (Object.prototype.hasOwnProperty.call(current, k)) next[k] = current[k];
+      }
+      next[key] = value;
+      var text = JSON.stringify(next);
+      if (text.length > SUSPEND_DATA_LIMIT) {
+        console.warn("[SCORM] State for " + key + " exceeds cmi.suspend_data (" + text.length + " characters); not saved");
+        return Promise.resolve(false);
+      }
+      api.SetValue("cmi.suspend_data", text);
+      api.Commit("");
+      suspendState = next;
+      stateSaved = true;
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error("[SCORM] saveState error:", error);
+      return Promise.resolve(false);
+    }
+  }
+
+  function getLearnerId() {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return null;
+    try {
+      return api.GetValue("cmi.learner_id") || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The progress tracker's completion threshold was met. Success stays with the
+  // quiz when there is one; content-only pages pass on completion as on exit.
+  function setCompleted() {
+    var api = getSCORMAPI();
+    if (api == null || sessionTerminated || !initializeSCORM()) return false;
+    try {
+      api.SetValue("cmi.completion_status", "completed");
+      if (!quizPresent) api.SetValue("cmi.success_status", "passed");
+      api.Commit("");
+      return true;
+    } catch (error) {
+      console.error("[SCORM] setCompleted error:", error);
+      return false;
+    }
+  }
+
+  // The bookmark from a previous session (null when there is none).
+  function getLocation() {
+    var api = getSCORMAPI();
+    if (api == null || !initializeSCORM()) return Promise.resolve(null);
+    try {
+      return Promise.resolve(api.GetValue("cmi.location") || null);
+    } catch (error) {
+      return Promise.resolve(null);
+    }
+  }
+
   function trackProgress(location, progress) {
     var api = getSCORMAPI();
-    if (api != null) {
+    if (api != null && !sessionTerminated) {
       try {
         api.SetValue("cmi.location", location);
         api.SetValue("cmi.progress_measure", (progress / 100).toString());
@@ -215,6 +335,11 @@ export function generateApiWrapper(opts = {}) {
     trackProgress: trackProgress,
     reportScore: reportScore,
     requestExit: requestExit,
+    loadState: loadState,
+    saveState: saveState,
+    getLearnerId: getLearnerId,
+    getLocation: getLocation,
+    setCompleted: setCompleted,
     getAPI: getSCORMAPI,
     isAvailable: function() { return getSCORMAPI() != null; }
   };
@@ -25,7 +25,29 @@ export const DEFAULT_SCORM_CONFIG = {
   PRODUCT_NAME: "Accessible SCORM Builder",
 };
 
+// SCORM 1.2 edition overrides. Only the version strings differ: filenames,
+// MathJax paths and branding are shared, so a 1.2 package has the same zip
+// layout as a 2004 one and only the manifest, LOM and API wrapper change.
+export const SCORM12_CONFIG = Object.freeze({
+  VERSION: "1.2",
+  SCHEMA_VERSION: "1.2",
+});
+
+// The editions package-builder.js can emit, keyed by the `scormVersion` option.
+export const SCORM_VERSIONS = Object.freeze(["2004", "1.2"]);
+
 // Merge caller overrides onto the defaults (shallow — config is flat).
 export function resolveConfig(overrides = {}) {
   return { ...DEFAULT_SCORM_CONFIG, ...overrides };
 }
+
+// The edition's base config with the caller's overrides on top. An unknown
+// edition throws rather than silently packaging as 2004.
+export function resolveEditionConfig(scormVersion = "2004", overrides = {}) {
+  if (!SCORM_VERSIONS.includes(scormVersion)) {
+    throw new Error(
+      `scorm-builder: unknown scormVersion "${scormVersion}". Use one of: ${SCORM_VERSIONS.join(", ")}.`
+    );
+  }
+  return resolveConfig(scormVersion === "1.2" ? { ...SCORM12_CONFIG, ...overrides } : overrides);
+}
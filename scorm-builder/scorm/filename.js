@@ -3,6 +3,10 @@
 // injected via opts.isoDate so tests can pin it.
 //
 // SCORM:      Title-Author_Year-SCORM_Package-Packaged_on_YYYY-MM-DD.zip
+// SCORM 1.2:  Title-Author_Year-SCORM12_Package-Packaged_on_YYYY-MM-DD.zip
+// cmi5:       Title-Author_Year-cmi5_Package-Packaged_on_YYYY-MM-DD.zip
+// Cartridge:  Title-Author_Year-Common_Cartridge-Packaged_on_YYYY-MM-DD.imscc
+// QTI:        Title-Author_Year-QTI_Package-Packaged_on_YYYY-MM-DD.zip
 // Standalone: Title-Author_Year-Converted_on_YYYY-MM-DD.html
 // Offline:    Title-Author_Year-Offline-Converted_on_YYYY-MM-DD.zip
 
@@ -10,6 +14,12 @@ const FILENAME_CONFIG = {
   WORD_SEPARATOR: "_",
   SECTION_SEPARATOR: "-",
   SCORM_IDENTIFIER: "SCORM_Package",
+  // A 1.2 zip is named apart so it cannot be mistaken for (or overwrite) the
+  // 2004 package of the same document when both are built.
+  SCORM12_IDENTIFIER: "SCORM12_Package",
+  CMI5_IDENTIFIER: "cmi5_Package",
+  CC_IDENTIFIER: "Common_Cartridge",
+  QTI_IDENTIFIER: "QTI_Package",
   PACKAGED_TEMPLATE: "Packaged_on_",
   CONVERTED_TEMPLATE: "Converted_on_",
   OFFLINE_IDENTIFIER: "Offline",
@@ -60,16 +70,26 @@ function composeFilename({ title, author, year }, { segments = [], ext = FILENAM
   return parts.join(FILENAME_CONFIG.SECTION_SEPARATOR) + ext;
 }
 
+const TARGET_IDENTIFIERS = {
+  cmi5: FILENAME_CONFIG.CMI5_IDENTIFIER,
+  cartridge: FILENAME_CONFIG.CC_IDENTIFIER,
+  qti: FILENAME_CONFIG.QTI_IDENTIFIER,
+};
+
 export function generateFilename(metadata = {}, opts = {}) {
   const isoDate = opts.isoDate || new Date().toISOString().slice(0, 10);
+  const ext = opts.ext || FILENAME_CONFIG.EXTENSION;
+  const identifier =
+    TARGET_IDENTIFIERS[opts.target] ||
+    (opts.scormVersion === "1.2" ? FILENAME_CONFIG.SCORM12_IDENTIFIER : FILENAME_CONFIG.SCORM_IDENTIFIER);
 
   try {
     return composeFilename(resolveParts(metadata, isoDate), {
-      segments: [FILENAME_CONFIG.SCORM_IDENTIFIER, FILENAME_CONFIG.PACKAGED_TEMPLATE + isoDate],
-      ext: FILENAME_CONFIG.EXTENSION,
+      segments: [identifier, FILENAME_CONFIG.PACKAGED_TEMPLATE + isoDate],
+      ext,
     });
   } catch {
-    return `Accessible_Document-Unknown_Author-SCORM_Package-Packaged_on_${isoDate}.zip`;
+    return `Accessible_Document-Unknown_Author-${identifier}-Packaged_on_${isoDate}${ext}`;
   }
 }
 
@@ -0,0 +1,456 @@
+// A simulated SCORM 2004 (4th edition) LMS runtime: an instrumented API_1484_11
+// and the cmi data model behind it, for previewing packages without uploading
+// them to a real LMS (browser/preview.js mounts it next to the content).
+//
+//   const sim = createScormSimulator({ learnerId, onCall });
+//   window.API_1484_11 = sim.api;        // what scorm-api.js discovers
+//   ... sim.calls, sim.snapshot(), sim.nextSession()
+//
+// Every call is recorded with its arguments, result and error code. The API
+// enforces what a conformant LMS enforces and a lax one lets slide:
+//
+//   * session state — GetValue/SetValue/Commit before Initialize (122/132/142)
+//     or after Terminate (123/133/143), double Initialize/Terminate (103/113);
+//   * the data model — unknown elements (401), writing read-only elements and
+//     keywords (404), reading write-only ones (405), values never set (403);
+//   * types — vocabularies (completion_status, exit, interaction type, ...),
+//     reals and their ranges, ISO 8601 timestamps and durations (406/407);
+//   * collections — records created in order (351) and id-first (408).
+//
+// Findings that are not errors under the standard but break real LMSs (a value
+// over its smallest permitted maximum) are recorded as warnings. 403 is a
+// notice: reading an unset element is how content checks for a value.
+//
+// Environment-agnostic: no DOM, no timers; the clock can be injected (opts.now).
+
+/** SCORM 2004 RTE error codes -> error strings (RTE 3.1.7). */
+export const SCORM_ERRORS = Object.freeze({
+  0: "No Error",
+  101: "General Exception",
+  102: "General Initialization Failure",
+  103: "Already Initialized",
+  104: "Content Instance Terminated",
+  111: "General Termination Failure",
+  112: "Termination Before Initialization",
+  113: "Termination After Termination",
+  122: "Retrieve Data Before Initialization",
+  123: "Retrieve Data After Termination",
+  132: "Store Data Before Initialization",
+  133: "Store Data After Termination",
+  142: "Commit Before Initialization",
+  143: "Commit After Termination",
+  201: "General Argument Error",
+  301: "General Get Failure",
+  351: "General Set Failure",
+  391: "General Commit Failure",
+  401: "Undefined Data Model Element",
+  402: "Unimplemented Data Model Element",
+  403: "Data Model Element Value Not Initialized",
+  404: "Data Model Element Is Read Only",
+  405: "Data Model Element Is Write Only",
+  406: "Data Model Element Type Mismatch",
+  407: "Data Model Element Value Out Of Range",
+  408: "Data Model Dependency Not Established",
+});
+
+const VOCAB = {
+  completion: ["completed", "incomplete", "not attempted", "unknown"],
+  success: ["passed", "failed", "unknown"],
+  exit: ["time-out", "suspend", "logout", "normal", ""],
+  interactionType: ["true-false", "choice", "fill-in", "long-fill-in", "matching", "performance", "sequencing", "likert", "numeric", "other"],
+  result: ["correct", "incorrect", "unanticipated", "neutral"],
+  navRequest: ["continue", "previous", "exit", "exitAll", "abandon", "abandonAll", "suspendAll", "_none_"],
+  captioning: ["-1", "0", "1"],
+};
+
+const TIMEINTERVAL = /^P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/;
+const TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2}(\.\d{1,2})?)?)?(Z|[+-]\d{2}(:\d{2})?)?)?)?)?$/;
+const REAL = /^-?\d+(\.\d+)?$/;
+
+// Value checks by type: return 0 when valid, else the error code.
+const TYPES = {
+  string: () => 0,
+  identifier: (v) => (v !== "" && !/\s/.test(v) ? 0 : 406),
+  time: (v) => (TIME.test(v) ? 0 : 406),
+  timeinterval: (v) => (TIMEINTERVAL.test(v) ? 0 : 406),
+  real: (v, def) => {
+    if (!REAL.test(v)) return 406;
+    const n = Number(v);
+    if (def.min != null && n < def.min) return 407;
+    if (def.max != null && n > def.max) return 407;
+    return 0;
+  },
+  vocab: (v, def) => (VOCAB[def.vocab].includes(v) ? 0 : 406),
+  // interaction result: the vocabulary or a real
+  result: (v) => (VOCAB.result.includes(v) || REAL.test(v) ? 0 : 406),
+  navRequest: (v) => (VOCAB.navRequest.includes(v) || /^\{target=[^}\s]+\}(choice|jump)$/.test(v) ? 0 : 406),
+};
+
+const rw = (type, extra) => ({ access: "rw", type, ...extra });
+const ro = (extra) => ({ access: "ro", type: "string", ...extra });
+
+const SCORE = {
+  "score.scaled": rw("real", { min: -1, max: 1 }),
+  "score.raw": rw("real"),
+  "score.min": rw("real"),
+  "score.max": rw("real"),
+};
+
+function prefixed(prefix, table) {
+  return Object.fromEntries(Object.entries(table).map(([k, v]) => [`${prefix}.${k}`, v]));
+}
+
+// The data model, keyed by element with record indexes written as n (and m for
+// a nested collection). Defaults are what GetValue returns before any SetValue;
+// elements without one answer 403 until set.
+const ELEMENTS = {
+  "cmi._version": ro({ default: "1.0" }),
+  "cmi.comments_from_learner.n.comment": rw("string", { spm: 4000 }),
+  "cmi.comments_from_learner.n.location": rw("string", { spm: 250 }),
+  "cmi.comments_from_learner.n.timestamp": rw("time"),
+  "cmi.comments_from_lms.n.comment": ro(),
+  "cmi.comments_from_lms.n.location": ro(),
+  "cmi.comments_from_lms.n.timestamp": ro(),
+  "cmi.completion_status": rw("vocab", { vocab: "completion", default: "unknown" }),
+  "cmi.completion_threshold": ro(),
+  "cmi.credit": ro({ default: "credit" }),
+  "cmi.entry": ro({ default: "ab-initio" }),
+  "cmi.exit": { access: "wo", type: "vocab", vocab: "exit" },
+  "cmi.interactions.n.id": rw("identifier", { spm: 4000 }),
+  "cmi.interactions.n.type": rw("vocab", { vocab: "interactionType" }),
+  "cmi.interactions.n.objectives.m.id": rw("identifier", { spm: 4000 }),
+  "cmi.interactions.n.timestamp": rw("time"),
+  "cmi.interactions.n.correct_responses.m.pattern": rw("string", { requires: "type" }),
+  "cmi.interactions.n.weighting": rw("real"),
+  "cmi.interactions.n.learner_response": rw("string", { requires: "type" }),
+  "cmi.interactions.n.result": rw("result"),
+  "cmi.interactions.n.latency": rw("timeinterval"),
+  "cmi.interactions.n.description": rw("string", { spm: 250 }),
+  "cmi.launch_data": ro(),
+  "cmi.learner_id": ro(),
+  "cmi.learner_name": ro(),
+  "cmi.learner_preference.audio_level": rw("real", { min: 0, default: "1" }),
+  "cmi.learner_preference.language": rw("string", { spm: 250, default: "" }),
+  "cmi.learner_preference.delivery_speed": rw("real", { min: 0, default: "1" }),
+  "cmi.learner_preference.audio_captioning": rw("vocab", { vocab: "captioning", default: "0" }),
+  "cmi.location": rw("string", { spm: 1000 }),
+  "cmi.max_time_allowed": ro(),
+  "cmi.mode": ro({ default: "normal" }),
+  "cmi.objectives.n.id": rw("identifier", { spm: 4000 }),
+  ...prefixed("cmi.objectives.n", SCORE),
+  "cmi.objectives.n.success_status": rw("vocab", { vocab: "success", default: "unknown" }),
+  "cmi.objectives.n.completion_status": rw("vocab", { vocab: "completion", default: "unknown" }),
+  "cmi.objectives.n.progress_measure": rw("real", { min: 0, max: 1 }),
+  "cmi.objectives.n.description": rw("string", { spm: 250 }),
+  "cmi.progress_measure": rw("real", { min: 0, max: 1 }),
+  "cmi.scaled_passing_score": ro(),
+  ...prefixed("cmi", SCORE),
+  "cmi.session_time": { access: "wo", type: "timeinterval" },
+  "cmi.success_status": rw("vocab", { vocab: "success", default: "unknown" }),
+  "cmi.suspend_data": rw("string", { spm: 64000 }),
+  "cmi.time_limit_action": ro({ default: "continue,no message" }),
+  "cmi.total_time": ro({ default: "PT0S" }),
+  "adl.nav.request": rw("navRequest", { default: "_none_" }),
+};
+
+// Collections: record path -> the children its _children keyword lists, and
+// whether a record must be created by setting its id first.
+const COLLECTIONS = {
+  "cmi.comments_from_learner": { children: "comment,location,timestamp" },
+  "cmi.comments_from_lms": { children: "comment,location,timestamp", readOnly: true },
+  "cmi.interactions": {
+    children: "id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description",
+    idFirst: true,
+  },
+  "cmi.interactions.n.objectives": { children: "id", idFirst: true },
+  "cmi.interactions.n.correct_responses": { children: "pattern" },
+  "cmi.objectives": {
+    children: "id,score,success_status,completion_status,progress_measure,description",
+    idFirst: true,
+  },
+};
+
+// _children of non-collection groups.
+const CHILDREN = {
+  "cmi.score": "scaled,raw,min,max",
+  "cmi.objectives.n.score": "scaled,raw,min,max",
+  "cmi.learner_preference": "audio_level,language,delivery_speed,audio_captioning",
+};
+
+// "cmi.interactions.3.objectives.0.id" -> generic key, plus each collection
+// record on the way: [{ path: "cmi.interactions", index: 3 }, ...].
+function parseElement(element) {
+  const parts = element.split(".");
+  const generic = [];
+  const records = [];
+  let letter = "n";
+  for (let i = 0; i < parts.length; i++) {
+    if (/^\d+$/.test(parts[i]) && i > 0) {
+      records.push({ path: parts.slice(0, i).join("."), generic: generic.join("."), index: Number(parts[i]) });
+      generic.push(letter);
+      letter = "m";
+    } else {
+      generic.push(parts[i]);
+    }
+  }
+  return { generic: generic.join("."), records };
+}
+
+function secondsOf(interval) {
+  const m = String(interval).match(TIMEINTERVAL);
+  if (!m) return 0;
+  const n = (s) => parseFloat(s) || 0;
+  return n(m[1]) * 31536000 + n(m[2]) * 2592000 + n(m[3]) * 86400 + n(m[5]) * 3600 + n(m[6]) * 60 + n(m[7]);
+}
+
+function interval(seconds) {
+  return `PT${Math.round(seconds * 100) / 100}S`;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.learnerId="learner-1"]
+ * @param {string} [opts.learnerName="Learner, Preview"]
+ * @param {"normal"|"browse"|"review"} [opts.mode="normal"]
+ * @param {"credit"|"no-credit"} [opts.credit="credit"]
+ * @param {string} [opts.launchData] - cmi.launch_data (the manifest's adlcp:dataFromLMS)
+ * @param {number} [opts.scaledPassingScore] - cmi.scaled_passing_score (-1..1)
+ * @param {number} [opts.completionThreshold] - cmi.completion_threshold (0..1)
+ * @param {object} [opts.resume] - a previous session's snapshot() to continue
+ *   (set by nextSession(); not normally passed by hand)
+ * @param {(call:object) => void} [opts.onCall] - every API call, as recorded
+ * @param {() => number} [opts.now=Date.now]
+ * @returns {{ api: object, calls: object[], readonly state: string,
+ *   snapshot: () => object, nextSession: (o?:object) => object }}
+ */
+export function createScormSimulator(opts = {}) {
+  const now = opts.now || Date.now;
+  const values = {};
+  const counts = {};
+  const calls = [];
+  let state = "not initialized"; // -> "running" -> "terminated"
+  let lastError = 0;
+  let lastDiagnostic = "";
+  let exitValue;
+
+  values["cmi.learner_id"] = opts.learnerId ?? "learner-1";
+  values["cmi.learner_name"] = opts.learnerName ?? "Learner, Preview";
+  values["cmi.mode"] = opts.mode ?? "normal";
+  values["cmi.credit"] = opts.credit ?? "credit";
+  if (opts.launchData != null) values["cmi.launch_data"] = String(opts.launchData);
+  if (opts.scaledPassingScore != null) values["cmi.scaled_passing_score"] = String(opts.scaledPassingScore);
+  if (opts.completionThreshold != null) values["cmi.completion_threshold"] = String(opts.completionThreshold);
+
+  // A suspended attempt carries its data model into the next session.
+  const resume = opts.resume;
+  if (resume?.values) {
+    Object.assign(values, resume.values);
+    Object.assign(counts, resume.counts);
+    values["cmi.entry"] = "resume";
+  }
+
+  function record(method, args, result, diagnostic) {
+    const code = lastError;
+    const call = {
+      seq: calls.length + 1,
+      time: now(),
+      method,
+      args,
+      result,
+      error: code,
+      errorString: SCORM_ERRORS[code],
+      severity: code === 0 ? (diagnostic ? "warning" : "ok") : code === 403 ? "notice" : "error",
+      message: diagnostic || (code ? SCORM_ERRORS[code] : ""),
+    };
+    calls.push(call);
+    opts.onCall?.(call);
+    return result;
+  }
+
+  function fail(code, diagnostic) {
+    lastError = code;
+    lastDiagnostic = diagnostic || SCORM_ERRORS[code];
+  }
+
+  function ok() {
+    lastError = 0;
+    lastDiagnostic = "";
+  }
+
+  function checkRecords(records, forWrite, leaf) {
+    for (const r of records) {
+      const count = counts[r.path] || 0;
+      if (r.index < count) continue;
+      if (!forWrite) return [301, `${r.path}.${r.index} does not exist (_count is ${count})`];
+      if (r !== records[records.length - 1] || r.index > count) {
+        return [351, `${r.path} records must be created in order; the next index is ${count}`];
+      }
+      const collection = COLLECTIONS[r.generic];
+      if (collection?.idFirst && leaf !== "id") {
+        return [408, `set ${r.path}.${r.index}.id before any other element of the record`];
+      }
+    }
+    return null;
+  }
+
+  function Initialize(param) {
+    if (param !== "") fail(201, 'Initialize takes "" as its only argument');
+    else if (state === "running") fail(103);
+    else if (state === "terminated") fail(104);
+    else {
+      state = "running";
+      ok();
+      return record("Initialize", [param], "true");
+    }
+    return record("Initialize", [param], "false", lastDiagnostic);
+  }
+
+  function Terminate(param) {
+    if (param !== "") fail(201, 'Terminate takes "" as its only argument');
+    else if (state === "not initialized") fail(112);
+    else if (state === "terminated") fail(113);
+    else {
+      const session = values["cmi.session_time"];
+      values["cmi.total_time"] = interval(secondsOf(values["cmi.total_time"] || "PT0S") + secondsOf(session || "PT0S"));
+      exitValue = values["cmi.exit"];
+      state = "terminated";
+      ok();
+      const notes = [];
+      if (session == null) notes.push("cmi.session_time was never set");
+      if (exitValue == null) notes.push("cmi.exit was never set");
+      return record("Terminate", [param], "true", notes.join("; "));
+    }
+    return record("Terminate", [param], "false", lastDiagnostic);
+  }
+
+  function Commit(param) {
+    if (param !== "") fail(201, 'Commit takes "" as its only argument');
+    else if (state === "not initialized") fail(142);
+    else if (state === "terminated") fail(143);
+    else {
+      // Nothing to flush: the snapshot is the data model as it stands.
+      ok();
+      return record("Commit", [param], "true");
+    }
+    return record("Commit", [param], "false", lastDiagnostic);
+  }
+
+  function getValue(element) {
+    if (state === "not initialized") return fail(122);
+    if (state === "terminated") return fail(123);
+    if (typeof element !== "string" || element === "") return fail(301, "GetValue needs a data model element");
+
+    const { generic, records } = parseElement(element);
+    const keyword = generic.match(/^(.*)\._(count|children|version)$/);
+    if (keyword && keyword[2] !== "version") {
+      const [, parent, kind] = keyword;
+      const listed = kind === "count" ? COLLECTIONS[parent] : COLLECTIONS[parent] || CHILDREN[parent];
+      if (!listed) return fail(ELEMENTS[parent] ? 301 : 401, `${element} is not defined`);
+      const bad = checkRecords(records, false);
+      if (bad) return fail(...bad);
+      ok();
+      if (kind === "children") return listed.children || listed;
+      return String(counts[element.slice(0, -"._count".length)] || 0);
+    }
+
+    const def = ELEMENTS[generic];
+    if (!def) return fail(401, `${element} is not in the SCORM 2004 data model`);
+    if (def.access === "wo") return fail(405);
+    const bad = checkRecords(records, false);
+    if (bad) return fail(...bad);
+    if (element in values) {
+      ok();
+      return values[element];
+    }
+    if (def.default !== undefined) {
+      ok();
+      return def.default;
+    }
+    return fail(403, `${element} has not been set`);
+  }
+
+  function GetValue(element) {
+    const result = getValue(element);
+    return record("GetValue", [element], result ?? "", lastError ? lastDiagnostic : "");
+  }
+
+  function setValue(element, value) {
+    if (state === "not initialized") return fail(132);
+    if (state === "terminated") return fail(133);
+    if (typeof element !== "string" || element === "") return fail(351, "SetValue needs a data model element");
+
+    const { generic, records } = parseElement(element);
+    if (/\._(count|children|version)$/.test(generic)) return fail(404, `${element} is a read-only keyword`);
+    const def = ELEMENTS[generic];
+    if (!def) return fail(401, `${element} is not in the SCORM 2004 data model`);
+    if (def.access === "ro") return fail(404);
+    const leaf = generic.split(".").pop();
+    const bad = checkRecords(records, true, leaf);
+    if (bad) return fail(...bad);
+
+    const text = String(value);
+    const typeError = TYPES[def.type](text, def);
+    if (typeError) {
+      const expected = def.type === "vocab" ? `one of: ${VOCAB[def.vocab].map((v) => `"${v}"`).join(", ")}` : def.type;
+      return fail(typeError, `"${text}" is not a valid ${element} (${typeError === 407 ? "out of range" : expected})`);
+    }
+    // A response is only meaningful once the interaction's type is known.
+    if (def.requires) {
+      const sibling = `${records[0].path}.${records[0].index}.${def.requires}`;
+      if (!(sibling in values)) return fail(408, `set ${sibling} before ${element}`);
+    }
+
+    // A record comes into being with its first element.
+    for (const r of records) {
+      if (r.index === (counts[r.path] || 0)) counts[r.path] = r.index + 1;
+    }
+    values[element] = text;
+    ok();
+    return def.spm && text.length > def.spm
+      ? `${element} is ${text.length} characters; LMSs need only keep ${def.spm}`
+      : "";
+  }
+
+  function SetValue(element, value) {
+    const warning = setValue(element, value);
+    return record("SetValue", [element, value], lastError ? "false" : "true", lastError ? lastDiagnostic : warning);
+  }
+
+  const api = {
+    Initialize,
+    Terminate,
+    GetValue,
+    SetValue,
+    Commit,
+    GetLastError: () => String(lastError),
+    GetErrorString: (code) => SCORM_ERRORS[Number(code)] ?? "",
+    GetDiagnostic: (code) => (code === "" || code == null || Number(code) === lastError ? lastDiagnostic : SCORM_ERRORS[Number(code)] ?? ""),
+  };
+
+  return {
+    api,
+    calls,
+    get state() {
+      return state;
+    },
+    /** The data model as the LMS holds it: element -> value, plus _count per collection. */
+    snapshot() {
+      return { values: { ...values }, counts: { ...counts }, exit: exitValue };
+    },
+    /**
+     * The learner's next launch. A session that exited with "suspend" continues
+     * the attempt (cmi.entry "resume", data kept); any other exit, or
+     * `newAttempt: true`, starts afresh.
+     */
+    nextSession(next = {}) {
+      const carry = exitValue === "suspend" && !next.newAttempt;
+      const kept = carry ? this.snapshot() : null;
+      if (kept) {
+        delete kept.values["cmi.exit"];
+        delete kept.values["cmi.session_time"];
+        delete kept.values["adl.nav.request"];
+      }
+      return createScormSimulator({ ...opts, ...next, resume: kept });
+    },
+  };
+}
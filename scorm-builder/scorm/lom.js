@@ -602,10 +602,218 @@ export function renderLomDocument(model) {
  * @param {"document"|"inline"} [opts.form="document"] - "inline" drops the XML
  *   declaration and indents to sit inside the manifest's `<metadata>`.
  * @param {number} [opts.indent] - override the inline indentation (default 4)
+ * @param {"2004"|"1.2"} [opts.scormVersion="2004"] - "1.2" renders IMS MD 1.2.1
  * @returns {string} metadata.xml content, or an inline `<lom>` fragment
  */
 export function generateLom(metadata = {}, opts = {}) {
   const model = normaliseLom(metadata, opts);
-  if (opts.form === "inline") return renderLomFragment(model, opts.indent ?? 4);
-  return renderLomDocument(model);
+  const [fragment, document] =
+    opts.scormVersion === "1.2"
+      ? [renderLom12Fragment, renderLom12Document]
+      : [renderLomFragment, renderLomDocument];
+  if (opts.form === "inline") return fragment(model, opts.indent ?? 4);
+  return document(model);
+}
+
+// ---------------------------------------------------------------------------
+// SCORM 1.2 rendering — IMS Learning Resource Meta-data 1.2.1
+// ---------------------------------------------------------------------------
+//
+// A SCORM 1.2 package carries IMS MD 1.2.1 (imsmd_rootv1p2p1.xsd), not IEEE
+// LOM. It is the same model rendered a second way — normaliseLom() still runs
+// once — but the binding differs in ways that each break validation if missed:
+//
+//   * lower-case element names (lifecycle, aggregationlevel, centity, ...);
+//   * every free-text value is <langstring xml:lang="..">, and every vocabulary
+//     source/value is a langstring too (xml:lang="x-none");
+//   * the containers are xs:sequence, not xs:choice, so child ORDER is part of
+//     validity — the push order below follows the schema exactly;
+//   * general.identifier is a bare string; extra identifiers become
+//     <catalogentry>; dates and durations wrap a <datetime>;
+//   * taxons nest inside each other rather than repeating side by side;
+//   * requirement has no orComposite.
+//
+// The 1.2 vocabulary capitalises its tokens ("Author", "Higher Education") and
+// predates a few LOMv1.0 additions. Tokens with no 1.2 counterpart ("lecture",
+// "subject matter expert", "competency", context "school"/"other") are omitted
+// here — every such element is optional — rather than invented.
+
+export const LOM12_NAMESPACE = "http://www.imsglobal.org/xsd/imsmd_rootv1p2p1";
+
+const titleCase = (s) => s.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+
+// LOMv1.0 token -> IMS MD 1.2 token, per element. An element absent from this
+// table keeps its token unchanged (the lower-case scales and yes/no pairs).
+const LOM12_VOCABULARY_MAP = {
+  structure: { atomic: "Atomic", collection: "Collection", networked: "Networked", hierarchical: "Hierarchical", linear: "Linear" },
+  status: { draft: "Draft", final: "Final", revised: "Revised", unavailable: "Unavailable" },
+  role: Object.fromEntries(
+    LOM_VOCABULARIES.role.filter((r) => r !== "subject matter expert").map((r) => [r, titleCase(r)])
+  ),
+  interactivityType: { active: "Active", expositive: "Expositive", mixed: "Mixed" },
+  learningResourceType: {
+    ...Object.fromEntries(
+      ["exercise", "simulation", "questionnaire", "diagram", "figure", "graph", "index", "slide",
+        "table", "narrative text", "exam", "experiment"].map((t) => [t, titleCase(t)])
+    ),
+    // Both spellings are the 1.2 vocabulary's own, including "Assesment".
+    "problem statement": "ProblemStatement",
+    "self assessment": "SelfAssesment",
+  },
+  intendedEndUserRole: { teacher: "Teacher", author: "Author", learner: "Learner", manager: "Manager" },
+  context: { "higher education": "Higher Education", training: "Vocational Training" },
+  purpose: Object.fromEntries(
+    LOM_VOCABULARIES.purpose.filter((p) => p !== "competency").map((p) => [p, titleCase(p)])
+  ),
+};
+
+function lom12Token(element, value) {
+  const map = LOM12_VOCABULARY_MAP[element];
+  if (!map) return value;
+  return Object.prototype.hasOwnProperty.call(map, value) ? map[value] : null;
+}
+
+/**
+ * Render the model as an IMS MD 1.2.1 `<lom>` element for a SCORM 1.2 package.
+ * Same contract as renderLomFragment(): `indent` is applied while building so
+ * vCard continuation lines stay at column 0.
+ *
+ * @param {object} model - from normaliseLom()
+ * @param {number} [indent=0] - base indentation in spaces
+ * @returns {string}
+ */
+export function renderLom12Fragment(model, indent = 0) {
+  const p = (depth) => " ".repeat(indent + depth * 2);
+  const lang = model.language;
+  const esc = (s) => escapeXML(String(s));
+
+  const langstring = (value) => `<langstring xml:lang="${lang}">${esc(value)}</langstring>`;
+  const ls = (depth, tag, value) => `${p(depth)}<${tag}>${langstring(value)}</${tag}>`;
+  const lsBlock = (depth, tag, value) => [
+    `${p(depth)}<${tag}>`,
+    `${p(depth + 1)}${langstring(value)}`,
+    `${p(depth)}</${tag}>`,
+  ];
+  const none = (value) => `<langstring xml:lang="x-none">${esc(value)}</langstring>`;
+  // `element` is the model key used for token mapping; `tag` the 1.2 element name.
+  const vocab = (depth, tag, element, value) => {
+    const token = lom12Token(element, value);
+    if (!token) return null;
+    return `${p(depth)}<${tag}><source>${none("LOMv1.0")}</source><value>${none(token)}</value></${tag}>`;
+  };
+  const pushVocab = (out, ...args) => {
+    const line = vocab(...args);
+    if (line) out.push(line);
+  };
+
+  const g = model.general;
+  const [primaryId, ...extraIds] = g.identifiers;
+  const general = [`${p(1)}<general>`];
+  if (primaryId && primaryId.entry) general.push(`${p(2)}<identifier>${esc(primaryId.entry)}</identifier>`);
+  general.push(...lsBlock(2, "title", g.title));
+  for (const id of extraIds) {
+    general.push(`${p(2)}<catalogentry>`);
+    if (id.catalog) general.push(`${p(3)}<catalog>${esc(id.catalog)}</catalog>`);
+    if (id.entry) general.push(`${p(3)}<entry>${langstring(id.entry)}</entry>`);
+    general.push(`${p(2)}</catalogentry>`);
+  }
+  general.push(`${p(2)}<language>${esc(lang)}</language>`);
+  general.push(...lsBlock(2, "description", g.description));
+  for (const k of g.keywords) general.push(ls(2, "keyword", k));
+  if (g.coverage) general.push(ls(2, "coverage", g.coverage));
+  if (g.structure) pushVocab(general, 2, "structure", "structure", g.structure);
+  if (g.aggregationLevel) pushVocab(general, 2, "aggregationlevel", "aggregationLevel", g.aggregationLevel);
+  general.push(`${p(1)}</general>`);
+
+  const lc = model.lifeCycle;
+  const lifeCycle = [];
+  if (lc.version || lc.status || lc.contributes.length) {
+    lifeCycle.push(`${p(1)}<lifecycle>`);
+    if (lc.version) lifeCycle.push(ls(2, "version", lc.version));
+    if (lc.status) pushVocab(lifeCycle, 2, "status", "status", lc.status);
+    for (const c of lc.contributes) {
+      // role is REQUIRED in a 1.2 contribute; one without a mappable role is dropped.
+      const role = c.role ? vocab(3, "role", "role", c.role) : null;
+      if (!role) continue;
+      lifeCycle.push(`${p(2)}<contribute>`, role);
+      if (c.entity) lifeCycle.push(`${p(3)}<centity><vcard>${esc(c.entity)}</vcard></centity>`);
+      if (c.date) {
+        lifeCycle.push(`${p(3)}<date>`, `${p(4)}<datetime>${esc(c.date)}</datetime>`, `${p(3)}</date>`);
+      }
+      lifeCycle.push(`${p(2)}</contribute>`);
+    }
+    lifeCycle.push(`${p(1)}</lifecycle>`);
+  }
+
+  const t = model.technical;
+  const technical = [
+    `${p(1)}<technical>`,
+    `${p(2)}<format>text/html</format>`,
+    `${p(2)}<requirement>`,
+    `${p(3)}<type><source>${none("LOMv1.0")}</source><value>${none("Browser")}</value></type>`,
+    `${p(3)}<name><source>${none("LOMv1.0")}</source><value>${none("Any")}</value></name>`,
+    `${p(3)}<minimumversion>HTML5</minimumversion>`,
+    `${p(2)}</requirement>`,
+  ];
+  if (t.installationRemarks) technical.push(...lsBlock(2, "installationremarks", t.installationRemarks));
+  if (t.otherPlatformRequirements) technical.push(ls(2, "otherplatformrequirements", t.otherPlatformRequirements));
+  if (t.duration) technical.push(`${p(2)}<duration><datetime>${esc(t.duration)}</datetime></duration>`);
+  technical.push(`${p(1)}</technical>`);
+
+  const e = model.educational;
+  const educational = [`${p(1)}<educational>`];
+  if (e.interactivityType) pushVocab(educational, 2, "interactivitytype", "interactivityType", e.interactivityType);
+  for (const v of e.learningResourceType) pushVocab(educational, 2, "learningresourcetype", "learningResourceType", v);
+  if (e.interactivityLevel) pushVocab(educational, 2, "interactivitylevel", "interactivityLevel", e.interactivityLevel);
+  if (e.semanticDensity) pushVocab(educational, 2, "semanticdensity", "semanticDensity", e.semanticDensity);
+  for (const v of e.intendedEndUserRole) pushVocab(educational, 2, "intendedenduserrole", "intendedEndUserRole", v);
+  for (const v of e.context) pushVocab(educational, 2, "context", "context", v);
+  if (e.typicalAgeRange) educational.push(ls(2, "typicalagerange", e.typicalAgeRange));
+  if (e.difficulty) pushVocab(educational, 2, "difficulty", "difficulty", e.difficulty);
+  if (e.typicalLearningTime) {
+    educational.push(`${p(2)}<typicallearningtime><datetime>${esc(e.typicalLearningTime)}</datetime></typicallearningtime>`);
+  }
+  if (e.description) educational.push(...lsBlock(2, "description", e.description));
+  if (e.language) educational.push(`${p(2)}<language>${esc(e.language)}</language>`);
+  educational.push(`${p(1)}</educational>`);
+
+  const r = model.rights;
+  const rightsLines = [`${p(1)}<rights>`];
+  pushVocab(rightsLines, 2, "cost", "cost", r.cost);
+  pushVocab(rightsLines, 2, "copyrightandotherrestrictions", "copyrightAndOtherRestrictions", r.copyrightAndOtherRestrictions);
+  if (r.description) rightsLines.push(...lsBlock(2, "description", r.description));
+  rightsLines.push(`${p(1)}</rights>`);
+
+  const classifications = model.classifications.map((c) => {
+    const out = [`${p(1)}<classification>`];
+    if (c.purpose) pushVocab(out, 2, "purpose", "purpose", c.purpose);
+    for (const path of c.taxonPaths) {
+      out.push(`${p(2)}<taxonpath>`);
+      if (path.source) out.push(ls(3, "source", path.source));
+      // Each taxon nests inside the previous one in 1.2 (root-to-leaf).
+      path.taxons.forEach((taxon, i) => {
+        out.push(`${p(3 + i)}<taxon>`);
+        if (taxon.id) out.push(`${p(4 + i)}<id>${esc(taxon.id)}</id>`);
+        if (taxon.entry) out.push(ls(4 + i, "entry", taxon.entry));
+      });
+      for (let i = path.taxons.length - 1; i >= 0; i--) out.push(`${p(3 + i)}</taxon>`);
+      out.push(`${p(2)}</taxonpath>`);
+    }
+    if (c.description) out.push(...lsBlock(2, "description", c.description));
+    for (const k of c.keywords) out.push(ls(2, "keyword", k));
+    out.push(`${p(1)}</classification>`);
+    return out;
+  });
+
+  const body = [general, lifeCycle, technical, educational, rightsLines, ...classifications]
+    .filter((s) => s.length)
+    .map((s) => s.join("\n"))
+    .join("\n\n");
+
+  return `${p(0)}<lom xmlns="${LOM12_NAMESPACE}">\n${body}\n${p(0)}</lom>`;
+}
+
+/** The standalone metadata.xml form for a SCORM 1.2 package. */
+export function renderLom12Document(model) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderLom12Fragment(model, 0)}`;
 }
@@ -0,0 +1,98 @@
+// imsmanifest.xml generation — SCORM 1.2.
+// The 1.2 counterpart of manifest.js, for LMSs (older Moodle, some Blackboard
+// tenants) that refuse a 2004 package. Same inputs, same determinism rules: the
+// package `identifier` is injected by the caller.
+//
+// Written against the 1.2 schemas (imscp_rootv1p1p2.xsd, adlcp_rootv1p2.xsd,
+// imsmd_rootv1p2p1.xsd). The differences from the 2004 manifest that matter:
+//
+//   * Different namespaces throughout, and manifest@version is "1.1". The CP
+//     schema is IMS CP 1.1.2, whose foreign-namespace wildcards are
+//     processContents="lax" — more forgiving than 2004's strict, but the adlcp
+//     names below are still declared globally and so ARE validated.
+//   * The attribute is adlcp:scormtype — all lower case. adlcp:scormType (the
+//     2004 spelling) is an undeclared attribute here and an LMS that reads 1.2
+//     will treat the resource as an untracked asset.
+//   * adlcp:masteryscore IS a 1.2 element (it is the 2004 manifest's one known
+//     validation error), and it is a 0..100 decimal, not a 0..1 fraction. It is
+//     compared by the LMS against cmi.core.score.raw, which is why the 1.2 API
+//     wrapper always reports raw as a percentage.
+//   * No sequencing namespace and no adlcp:timeLimitAction — both are 2004-only.
+//   * resourceType is still an xs:sequence — metadata?, file*, dependency* — so
+//     <metadata> must precede the <file> list, exactly as in 2004.
+
+import { escapeXML } from "../util/escape-xml.js";
+import { resolveEditionConfig } from "./config.js";
+
+/**
+ * @param {object} metadata - { title, description? }
+ * @param {object} [opts]
+ * @param {string} [opts.identifier] - manifest identifier (inject for determinism)
+ * @param {object} [opts.config] - SCORM config overrides (1.2 edition defaults applied)
+ * @param {string[]} [opts.files] - extra companion-file hrefs to declare in the SCO resource
+ * @param {number|null} [opts.masteryScore] - pass threshold (percent) for a scored
+ *   quiz. Emitted as <adlcp:masteryscore> on the 0..100 scale only when set.
+ * @param {string} [opts.lom] - a pre-rendered inline IMS MD 1.2 fragment (from
+ *   renderLom12Fragment), indented to sit inside the top-level <metadata>.
+ * @returns {string} imsmanifest.xml content
+ */
+export function generateManifest12(metadata = {}, opts = {}) {
+  const config = resolveEditionConfig("1.2", opts.config);
+  const identifier = opts.identifier || `scorm_${Date.now()}`;
+
+  // Clamped and rounded to two places: the 1.2 type is a decimal 0..100, and a
+  // long float (e.g. 66.66666666666667) is valid XML but reads as a bug.
+  const masteryElement =
+    Number.isFinite(opts.masteryScore) && opts.masteryScore != null
+      ? `\n        <adlcp:masteryscore>${String(
+          Math.round(Math.max(0, Math.min(100, opts.masteryScore)) * 100) / 100
+        )}</adlcp:masteryscore>`
+      : "";
+
+  const inlineLom = opts.lom ? `\n${opts.lom}` : "";
+
+  const extraFiles = (opts.files || [])
+    .map((href) => `\n      <file href="${escapeXML(href)}"/>`)
+    .join("");
+
+  const title = escapeXML(metadata.title || "Accessible Document");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.1"
+          xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd
+                              http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd
+                              http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${config.SCHEMA_VERSION}</schemaversion>
+    <adlcp:location>${config.METADATA_FILENAME}</adlcp:location>${inlineLom}
+  </metadata>
+
+  <organizations default="scorm_builder_org">
+    <organization identifier="scorm_builder_org">
+      <title>${title}</title>
+      <item identifier="content_item" identifierref="resource_main_content" isvisible="true">
+        <title>${title}</title>${masteryElement}
+      </item>
+    </organization>
+  </organizations>
+
+  <resources>
+    <resource identifier="resource_main_content" type="webcontent"
+              adlcp:scormtype="sco" href="${config.CONTENT_FILENAME}">
+      <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>${config.SCHEMA_VERSION}</schemaversion>
+        <adlcp:location>${config.METADATA_FILENAME}</adlcp:location>
+      </metadata>
+      <file href="${config.CONTENT_FILENAME}"/>
+      <file href="${config.API_FILENAME}"/>${extraFiles}
+    </resource>
+  </resources>
+
+</manifest>`;
+}
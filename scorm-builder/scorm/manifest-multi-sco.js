@@ -0,0 +1,170 @@
+// imsmanifest.xml generation — SCORM 2004 multi-SCO (one SCO per lesson) with
+// IMS Simple Sequencing. The single-SCO manifest.js stays the default path; this
+// one is used only when build() is asked to split the document.
+//
+// Same namespaces, same determinism, same strictness notes as manifest.js. The
+// additions, and what to know before editing them:
+//
+//   * Every lesson is an <item> → its own SCO <resource>, and each SCO resource
+//     depends on one shared asset resource (scorm-api.js + companion files), so
+//     the API wrapper is declared once, not once per lesson.
+//   * imsss:sequencing's children are an xs:sequence: controlMode,
+//     sequencingRules, limitConditions, auxiliaryResources, rollupRules,
+//     objectives, randomizationControls, deliveryControls. Order matters.
+//   * "Prerequisite completion" is expressed the only way IMS SS allows one
+//     activity to look at another: through global objectives. Each lesson's
+//     primary objective WRITES its satisfied status to a global objective; the
+//     next lesson READS it and is disabled until it is satisfied. The API wrapper
+//     sets success_status "passed" on exit for a content-only lesson, and the
+//     quiz sets it for a scored one, so "satisfied" means "finished" or "passed".
+//   * Scored lessons use <imsss:minNormalizedMeasure> on the primary objective —
+//     the standards-correct replacement for adlcp:masteryscore that manifest.js
+//     mentions — so this manifest carries no masteryscore at all.
+//   * Score rollup is weighted: a scored lesson contributes objectiveMeasureWeight
+//     1, a content-only lesson 0, so reading a page never dilutes the course score.
+//     Completion and satisfaction use the default rollup (all children).
+
+import { escapeXML } from "../util/escape-xml.js";
+import { resolveConfig } from "./config.js";
+
+// The sequencing defaults a split build gets when the caller passes `true`.
+export const DEFAULT_SEQUENCING = Object.freeze({
+  flow: true,
+  choice: true,
+  forwardOnly: false,
+  prerequisites: true,
+});
+
+/**
+ * @param {object} sequencing - caller sequencing options (or true/undefined)
+ * @returns {{ flow: boolean, choice: boolean, forwardOnly: boolean, prerequisites: boolean }}
+ */
+export function resolveSequencing(sequencing) {
+  const overrides = sequencing && typeof sequencing === "object" ? sequencing : {};
+  const resolved = { ...DEFAULT_SEQUENCING };
+  for (const key of Object.keys(DEFAULT_SEQUENCING)) {
+    if (typeof overrides[key] === "boolean") resolved[key] = overrides[key];
+  }
+  return resolved;
+}
+
+/**
+ * @param {object} metadata - { title, description? }
+ * @param {object} opts
+ * @param {Array<{title:string, href:string, scored?:boolean, masteryScore?:number}>} opts.lessons - in
+ *   order; a lesson's own masteryScore wins over opts.masteryScore
+ * @param {string} [opts.identifier] - manifest identifier (inject for determinism);
+ *   also namespaces the global objective ids
+ * @param {object} [opts.config] - SCORM config overrides
+ * @param {string[]} [opts.files] - companion-file hrefs for the shared asset resource
+ * @param {number} [opts.masteryScore=60] - pass threshold (percent) for scored lessons
+ * @param {object} [opts.sequencing] - { flow, choice, forwardOnly, prerequisites }
+ * @param {string} [opts.lom] - pre-rendered inline LOM fragment (see manifest.js)
+ * @returns {string} imsmanifest.xml content
+ */
+export function generateMultiScoManifest(metadata = {}, opts = {}) {
+  const config = resolveConfig(opts.config);
+  const identifier = opts.identifier || `scorm_${Date.now()}`;
+  const lessons = opts.lessons || [];
+  const sequencing = resolveSequencing(opts.sequencing);
+  const fallbackMastery = Number.isFinite(opts.masteryScore) ? opts.masteryScore : 60;
+  const mastery = (lesson) =>
+    Math.max(0, Math.min(1, (Number.isFinite(lesson.masteryScore) ? lesson.masteryScore : fallbackMastery) / 100));
+
+  const inlineLom = opts.lom ? `\n${opts.lom}` : "";
+  const title = escapeXML(metadata.title || "Accessible Document");
+  const globalObjective = (i) => escapeXML(`${identifier}.lesson_${i + 1}`);
+
+  const items = lessons
+    .map((lesson, i) => {
+      const prerequisite =
+        sequencing.prerequisites && i > 0
+          ? `
+          <imsss:sequencingRules>
+            <imsss:preConditionRule>
+              <imsss:ruleConditions conditionCombination="any">
+                <imsss:ruleCondition referencedObjective="previous_lesson" operator="not" condition="satisfied"/>
+                <imsss:ruleCondition referencedObjective="previous_lesson" operator="not" condition="objectiveStatusKnown"/>
+              </imsss:ruleConditions>
+              <imsss:ruleAction action="disabled"/>
+            </imsss:preConditionRule>
+          </imsss:sequencingRules>`
+          : "";
+      const readPrevious =
+        sequencing.prerequisites && i > 0
+          ? `
+            <imsss:objective objectiveID="previous_lesson">
+              <imsss:mapInfo targetObjectiveID="${globalObjective(i - 1)}" readSatisfiedStatus="true" writeSatisfiedStatus="false"/>
+            </imsss:objective>`
+          : "";
+      const primary = lesson.scored
+        ? `<imsss:primaryObjective objectiveID="lesson_${i + 1}" satisfiedByMeasure="true">
+              <imsss:minNormalizedMeasure>${String(mastery(lesson))}</imsss:minNormalizedMeasure>`
+        : `<imsss:primaryObjective objectiveID="lesson_${i + 1}">`;
+
+      return `
+      <item identifier="item_lesson_${i + 1}" identifierref="resource_lesson_${i + 1}">
+        <title>${escapeXML(lesson.title || `Lesson ${i + 1}`)}</title>
+        <adlcp:timeLimitAction>continue,no message</adlcp:timeLimitAction>
+        <imsss:sequencing>${prerequisite}
+          <imsss:rollupRules objectiveMeasureWeight="${lesson.scored ? "1" : "0"}"/>
+          <imsss:objectives>
+            ${primary}
+              <imsss:mapInfo targetObjectiveID="${globalObjective(i)}" readSatisfiedStatus="false" writeSatisfiedStatus="true"/>
+            </imsss:primaryObjective>${readPrevious}
+          </imsss:objectives>
+          <imsss:deliveryControls completionSetByContent="true" objectiveSetByContent="true"/>
+        </imsss:sequencing>
+      </item>`;
+    })
+    .join("");
+
+  const resources = lessons
+    .map(
+      (lesson, i) => `
+    <resource identifier="resource_lesson_${i + 1}" type="webcontent"
+              adlcp:scormType="sco" href="${escapeXML(lesson.href)}">
+      <file href="${escapeXML(lesson.href)}"/>
+      <dependency identifierref="resource_shared"/>
+    </resource>`
+    )
+    .join("");
+
+  const sharedFiles = [config.API_FILENAME, ...(opts.files || [])]
+    .map((href) => `\n      <file href="${escapeXML(href)}"/>`)
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.3"
+          xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+          xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+          xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd
+                              http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd
+                              http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd
+                              http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${config.SCHEMA_VERSION}</schemaversion>
+    <adlcp:location>${config.METADATA_FILENAME}</adlcp:location>${inlineLom}
+  </metadata>
+
+  <organizations default="scorm_builder_org">
+    <organization identifier="scorm_builder_org">
+      <title>${title}</title>${items}
+      <imsss:sequencing>
+        <imsss:controlMode choice="${sequencing.choice}" flow="${sequencing.flow}" forwardOnly="${sequencing.forwardOnly}"/>
+      </imsss:sequencing>
+    </organization>
+  </organizations>
+
+  <resources>${resources}
+    <resource identifier="resource_shared" type="webcontent" adlcp:scormType="asset">${sharedFiles}
+    </resource>
+  </resources>
+
+</manifest>`;
+}
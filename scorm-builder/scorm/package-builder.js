@@ -1,15 +1,26 @@
-// Assemble a SCORM 2004 .zip from a self-contained HTML string.
+// Assemble a SCORM 2004 (or, with scormVersion "1.2", SCORM 1.2) .zip from a
+// self-contained HTML string.
 // Ported from scorm-export-manager.js zip build (~lines 1112-1138).
 //
 // JSZip is an INJECTED dependency (opts.deps.JSZip) with a globalThis.JSZip
 // fallback, so this module stays dependency-free for browser consumers while
 // node tests pass JSZip explicitly.
 
-import { resolveConfig } from "./config.js";
+import { resolveEditionConfig } from "./config.js";
 import { generateManifest } from "./manifest.js";
-import { normaliseLom, renderLomDocument, renderLomFragment } from "./lom.js";
+import { generateManifest12 } from "./manifest-12.js";
+import { generateMultiScoManifest } from "./manifest-multi-sco.js";
+import {
+  normaliseLom,
+  renderLomDocument,
+  renderLomFragment,
+  renderLom12Document,
+  renderLom12Fragment,
+} from "./lom.js";
 import { generateApiWrapper } from "./api-wrapper.js";
+import { generateApiWrapper12 } from "./api-wrapper-12.js";
 import { prepareScormHtml } from "./prepare-scorm-html.js";
+import { resolveTracking } from "./progress-tracker.js";
 import { generateReadme } from "./readme.js";
 import { generateFilename } from "./filename.js";
 import {
@@ -27,13 +38,34 @@ function resolveStamp(opts) {
   return { epochMs, isoDate, identifier };
 }
 
+// The per-edition artefact generators. Everything else in the zip (content.html,
+// README, companion assets, local MathJax) is shared between editions.
+const EDITIONS = {
+  "2004": {
+    manifest: generateManifest,
+    lomFragment: renderLomFragment,
+    lomDocument: renderLomDocument,
+    apiWrapper: generateApiWrapper,
+  },
+  "1.2": {
+    manifest: generateManifest12,
+    lomFragment: renderLom12Fragment,
+    lomDocument: renderLom12Document,
+    apiWrapper: generateApiWrapper12,
+  },
+};
+
 /**
  * @param {string} html - a self-contained HTML document (the SCO content)
  * @param {object} [metadata] - { title, author?, date?, sections?, description? }
  * @param {object} [opts]
  * @param {object} [opts.deps] - { JSZip }
  * @param {object} [opts.config] - SCORM config overrides
+ * @param {"2004"|"1.2"} [opts.scormVersion="2004"] - SCORM edition to package as.
+ *   "1.2" swaps the manifest, the LOM binding (IMS MD 1.2.1) and the API wrapper.
  * @param {string} [opts.mathjaxMode] - "cdn" | "local"
+ * @param {boolean|object} [opts.tracking] - bookmark/resume/completion tracking
+ *   (scorm/progress-tracker.js); false for a session-only SCO
  * @param {object} [opts.assets] - { 'relative/path.ext': content } companion files to bundle + declare
  * @param {string} [opts.identifier] - pin manifest/LOM identifier
  * @param {number} [opts.epochMs] - pin timestamps
@@ -50,11 +82,14 @@ function resolveStamp(opts) {
  */
 export async function buildPackage(html, metadata = {}, opts = {}) {
   const JSZip = resolveJSZip(opts);
-  const config = resolveConfig(opts.config);
+  const scormVersion = opts.scormVersion || "2004";
+  const config = resolveEditionConfig(scormVersion, opts.config);
+  const edition = EDITIONS[scormVersion];
   const { isoDate, identifier } = resolveStamp(opts);
   const mathjaxMode = opts.mathjaxMode || config.MATHJAX_MODE;
 
-  const scormHTML = prepareScormHtml(html, { config, mathjaxMode });
+  const tracking = resolveTracking(opts.tracking);
+  const scormHTML = prepareScormHtml(html, { config, mathjaxMode, tracking: opts.tracking });
 
   const zip = new JSZip();
   zip.file(config.CONTENT_FILENAME, scormHTML);
@@ -87,16 +122,19 @@ export async function buildPackage(html, metadata = {}, opts = {}) {
 
   zip.file(
     config.MANIFEST_FILENAME,
-    generateManifest(metadata, {
+    edition.manifest(metadata, {
       identifier,
       config,
       files: assetEntries,
       masteryScore: scored ? masteryScore : null,
-      lom: renderLomFragment(lom, 4), // indented to sit inside <metadata> at depth 1
+      lom: edition.lomFragment(lom, 4), // indented to sit inside <metadata> at depth 1
     })
   );
-  zip.file(config.METADATA_FILENAME, renderLomDocument(lom));
-  zip.file(config.API_FILENAME, generateApiWrapper({ quizPresent: scored, reportScore: scored }));
+  zip.file(config.METADATA_FILENAME, edition.lomDocument(lom));
+  zip.file(
+    config.API_FILENAME,
+    edition.apiWrapper({ quizPresent: scored, reportScore: scored, trackCompletion: !!tracking?.completion })
+  );
   zip.file(
     config.README_FILENAME,
     // isoDate is threaded through so the README honours the determinism pin like
@@ -135,7 +173,123 @@ export async function buildPackage(html, metadata = {}, opts = {}) {
 
   return {
     data,
-    filename: generateFilename(metadata, { isoDate }),
+    filename: generateFilename(metadata, { isoDate, scormVersion }),
+    entries,
+    mediaType: "application/zip",
+  };
+}
+
+/**
+ * Assemble a multi-SCO SCORM 2004 .zip: one self-contained page per lesson, an
+ * organisation tree with IMS Simple Sequencing, and a shared asset resource for
+ * the API wrapper and companion files. Everything else (LOM, README, local
+ * MathJax, determinism pins) behaves exactly as in buildPackage().
+ *
+ * @param {Array<{title:string, href:string, html:string, quizPresent?:boolean, masteryScore?:number}>} lessons
+ *   in order; `href` is the zip filename (see split-lessons.js lessonFilename);
+ *   `masteryScore` overrides opts.masteryScore for that lesson's objective
+ * @param {object} [metadata] - package metadata (title, author, LOM keys…)
+ * @param {object} [opts] - as buildPackage(), plus:
+ * @param {object} [opts.sequencing] - { flow, choice, forwardOnly, prerequisites }
+ * @returns {Promise<{ data: Blob|Buffer|Uint8Array, filename: string, entries: string[], mediaType: string }>}
+ */
+export async function buildMultiScoPackage(lessons, metadata = {}, opts = {}) {
+  const scormVersion = opts.scormVersion || "2004";
+  if (scormVersion !== "2004") {
+    throw new Error(
+      `scorm-builder: splitting into lessons needs SCORM 2004 sequencing; scormVersion "${scormVersion}" has none.`
+    );
+  }
+  if (!Array.isArray(lessons) || lessons.length === 0) {
+    throw new Error("scorm-builder: buildMultiScoPackage needs at least one lesson.");
+  }
+
+  const JSZip = resolveJSZip(opts);
+  const config = resolveEditionConfig(scormVersion, opts.config);
+  const { isoDate, identifier } = resolveStamp(opts);
+  const mathjaxMode = opts.mathjaxMode || config.MATHJAX_MODE;
+  const tracking = resolveTracking(opts.tracking);
+
+  const zip = new JSZip();
+  const assetEntries = bundleAssets(zip, opts.assets, config);
+  const lessonHrefs = new Set(lessons.map((l) => l.href.toLowerCase()));
+  const clash = assetEntries.find((path) => lessonHrefs.has(path.toLowerCase()));
+  if (clash) throw new Error(`scorm-builder: asset path "${clash}" collides with a lesson page.`);
+
+  for (const lesson of lessons) {
+    zip.file(lesson.href, prepareScormHtml(lesson.html, { config, mathjaxMode, tracking: opts.tracking }));
+  }
+
+  // Scoring is per lesson: only a lesson that carries a quiz defers completion
+  // to it. The API wrapper is one shared file, so instead of baking quizPresent
+  // in it checks its own page for quiz markup when the build reports scores.
+  const reportScore = opts.reportScore === true;
+  const scoredLessons = lessons.map((l) => reportScore && l.quizPresent === true);
+  const anyScored = scoredLessons.some(Boolean);
+  const masteryScore = Number.isFinite(opts.masteryScore) ? opts.masteryScore : 60;
+  const maxScore = Number.isFinite(opts.maxScore) ? opts.maxScore : 100;
+
+  const lom = normaliseLom(metadata, {
+    identifier: `${identifier}_lom`,
+    config,
+    language: opts.lang,
+    onWarning: opts.onMetadataWarning,
+  });
+
+  zip.file(
+    config.MANIFEST_FILENAME,
+    generateMultiScoManifest(metadata, {
+      identifier,
+      config,
+      lessons: lessons.map((l, i) => ({
+        title: l.title,
+        href: l.href,
+        scored: scoredLessons[i],
+        masteryScore: l.masteryScore,
+      })),
+      files: assetEntries,
+      masteryScore,
+      sequencing: opts.sequencing,
+      lom: renderLomFragment(lom, 4),
+    })
+  );
+  zip.file(config.METADATA_FILENAME, renderLomDocument(lom));
+  zip.file(
+    config.API_FILENAME,
+    generateApiWrapper({ detectQuiz: anyScored, reportScore: anyScored, trackCompletion: !!tracking?.completion })
+  );
+  zip.file(
+    config.README_FILENAME,
+    generateReadme(metadata, { config, mathjaxMode, reportScore: anyScored, maxScore, isoDate, lessons })
+  );
+
+  const entries = [
+    ...lessons.map((l) => l.href),
+    config.MANIFEST_FILENAME,
+    config.METADATA_FILENAME,
+    config.API_FILENAME,
+    config.README_FILENAME,
+    ...assetEntries,
+  ];
+
+  if (mathjaxMode === "local") {
+    if (opts.onMathjaxAssetWarning) {
+      const all = lessons.map((l) => l.html).join("\n");
+      for (const w of auditMathjaxAssets(all, opts.mathjaxAssets)) opts.onMathjaxAssetWarning(w);
+    }
+    entries.push(...bundleLocalMathjax(zip, opts.mathjaxAssets, config));
+  }
+
+  const outputType = opts.outputType || (typeof Blob !== "undefined" ? "blob" : "nodebuffer");
+  const data = await zip.generateAsync({
+    type: outputType,
+    compression: "DEFLATE",
+    compressionOptions: { level: config.COMPRESSION_LEVEL },
+  });
+
+  return {
+    data,
+    filename: generateFilename(metadata, { isoDate, scormVersion }),
     entries,
     mediaType: "application/zip",
   };
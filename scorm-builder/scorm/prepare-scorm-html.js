@@ -3,12 +3,26 @@
 // correctness fix: the original never injected <script src="scorm-api.js">, so
 // the API wrapper would never load in the LMS. We add that reference here so the
 // SCO actually initialises/terminates a session.
+//
+// After the wrapper comes the progress tracker (scorm/progress-tracker.js):
+// bookmarking, resume and section-viewed completion. `tracking: false` keeps the
+// original session-only script instead.
 
 import { resolveConfig } from "./config.js";
+import { resolveTracking, generateProgressTracker } from "./progress-tracker.js";
 
+/**
+ * @param {string} htmlContent - the assembled document
+ * @param {object} [opts]
+ * @param {object} [opts.config] - SCORM config overrides
+ * @param {string} [opts.mathjaxMode] - "cdn" | "local"
+ * @param {boolean|object} [opts.tracking] - scorm.tracking (see resolveTracking)
+ * @returns {string}
+ */
 export function prepareScormHtml(htmlContent, opts = {}) {
   const config = resolveConfig(opts.config);
   const mathjaxMode = opts.mathjaxMode || config.MATHJAX_MODE;
+  const tracking = resolveTracking(opts.tracking);
 
   let html = String(htmlContent);
 
@@ -20,9 +34,13 @@ export function prepareScormHtml(htmlContent, opts = {}) {
   //    would tag that instead of the actual element.
   html = html.replace(/(<\/head>\s*)<body>/, '$1<body class="scorm-runtime">');
 
-  // 1. Load the SCORM API wrapper, then a small progress tracker, before </body>.
-  const scormInit = `
-    <script src="${config.API_FILENAME}"></script>
+  // 1. Load the SCORM API wrapper, then the progress tracker, before </body>.
+  const tracker = tracking
+    ? `
+    <script>
+${generateProgressTracker(tracking)}
+    </script>`
+    : `
     <script>
       // SCORM session tracking for accessible content
       if (window.SCORM && window.SCORM.isAvailable()) {
@@ -37,9 +55,11 @@ export function prepareScormHtml(htmlContent, opts = {}) {
           });
         }
       }
-    </script>
+    </script>`;
+  const scormInit = `
+    <script src="${config.API_FILENAME}"></script>${tracker}
   </body>`;
-  html = html.replace("</body>", scormInit);
+  html = html.replace("</body>", () => scormInit);
 
   // 2. SCORM meta tags right after the charset declaration.
   const scormMeta = `
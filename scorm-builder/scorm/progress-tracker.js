@@ -0,0 +1,291 @@
+// Bookmark + reading-progress tracker: the inline script prepareScormHtml()
+// injects after the API wrapper. Like the wrappers it is generated as a string of
+// plain ES5, and it talks only to the window.SCORM surface, so it runs unchanged
+// under SCORM 2004, SCORM 1.2 and cmi5.
+//
+// It does four jobs, each configured through build({ scorm: { tracking } }):
+//
+//   1. Bookmark: the section the TOC scrollspy (navigation-aids.js) reports as
+//      current is written to cmi.location (cmi.core.lesson_location in 1.2),
+//      with the share of sections viewed as cmi.progress_measure.
+//   2. Resume: on relaunch, offer to return to the bookmarked section ("prompt"),
+//      go straight there ("auto"), or start at the top ("off").
+//   3. Viewed sections: each TOC section whose heading has been on screen is
+//      recorded in the saved learner state, so progress survives a relaunch.
+//   4. Completion: with a `completion` threshold, cmi.completion_status becomes
+//      "completed" once enough sections are viewed (and, when asked, the quiz
+//      has been submitted) — instead of on exit, the default.
+//
+//   tracking: {
+//     bookmark: true,                       // write cmi.location
+//     resume: "prompt",                     // "prompt" | "auto" | "off"
+//     completion: {                         // omit to complete on exit
+//       sectionsViewed: 100,                // percent of sections viewed
+//       quizAttempted: true,                // and the quiz submitted (when there is one)
+//     },
+//   }
+//
+// `tracking: false` drops the tracker and keeps the session-only wrapper. The
+// bookmark follows the scrollspy, so it needs features.navAids (on by default);
+// without it sections are still counted as viewed, but nothing is bookmarked.
+
+export const RESUME_MODES = Object.freeze(["prompt", "auto", "off"]);
+
+export const DEFAULT_TRACKING = Object.freeze({ bookmark: true, resume: "prompt", completion: null });
+
+/**
+ * Normalise the `scorm.tracking` option. Invalid values throw, so a typo cannot
+ * silently package a course that never completes.
+ * @param {boolean|object} [tracking] - true/undefined for the defaults, false for none
+ * @returns {{ bookmark: boolean, resume: string,
+ *   completion: { sectionsViewed: number, quizAttempted: boolean }|null }|null}
+ */
+export function resolveTracking(tracking) {
+  if (tracking === false) return null;
+  if (tracking == null || tracking === true) return { ...DEFAULT_TRACKING };
+  if (typeof tracking !== "object") {
+    throw new Error("scorm-builder: scorm.tracking must be true, false or an options object.");
+  }
+  const resume = tracking.resume ?? DEFAULT_TRACKING.resume;
+  if (!RESUME_MODES.includes(resume)) {
+    throw new Error(`scorm-builder: scorm.tracking.resume must be one of: ${RESUME_MODES.join(", ")}.`);
+  }
+
+  let completion = null;
+  if (tracking.completion != null && tracking.completion !== false) {
+    const c = tracking.completion === true ? {} : tracking.completion;
+    const sectionsViewed = c.sectionsViewed ?? 100;
+    if (typeof sectionsViewed !== "number" || sectionsViewed < 0 || sectionsViewed > 100) {
+      throw new Error("scorm-builder: scorm.tracking.completion.sectionsViewed must be a percentage from 0 to 100.");
+    }
+    completion = { sectionsViewed, quizAttempted: c.quizAttempted === true };
+  }
+
+  return { bookmark: tracking.bookmark !== false, resume, completion };
+}
+
+/**
+ * @param {object} tracking - a resolveTracking() result (not null)
+ * @returns {string} the tracker's JavaScript (no <script> wrapper)
+ */
+export function generateProgressTracker(tracking) {
+  const completion = tracking.completion ? JSON.stringify(tracking.completion) : "null";
+
+  return `(function () {
+  'use strict';
+
+  // Baked at build time (build({ scorm: { tracking } })).
+  var BOOKMARK = ${tracking.bookmark ? "true" : "false"};
+  var RESUME = ${JSON.stringify(tracking.resume)};
+  var COMPLETION = ${completion};
+
+  var STATE_KEY = "progress";
+  var WRITE_DELAY_MS = 1000; // one bookmark write per pause in scrolling, not per section
+
+  var sections = [];       // [{ id, title, el }] in TOC order
+  var viewed = {};
+  var quizAttempted = false;
+  var currentId = null;
+  var ready = false;       // saved state read and the resume choice settled
+  var completed = false;
+  var writeTimer = null;
+
+  function scorm() {
+    return window.SCORM && window.SCORM.isAvailable() && typeof window.SCORM.saveState === "function"
+      ? window.SCORM : null;
+  }
+
+  // The sections worth tracking: TOC targets, minus quiz question headings (the
+  // quiz has its own completion rule, and a bookmark there would point at a
+  // question the next attempt may not draw) and anything the page has hidden.
+  function trackable(el) {
+    return el != null && !el.classList.contains("quiz-question-heading");
+  }
+
+  function collectSections() {
+    var links = document.querySelectorAll('#toc a[href^="#"]');
+    Array.prototype.forEach.call(links, function (link) {
+      var el = document.getElementById(decodeURIComponent(link.getAttribute("href").slice(1)));
+      if (!trackable(el)) return;
+      sections.push({ id: el.id, title: (link.textContent || el.id).trim(), el: el });
+    });
+  }
+
+  function countable() {
+    return sections.filter(function (s) { return !(s.el.closest && s.el.closest("[hidden]")); });
+  }
+
+  function percentViewed() {
+    var list = countable();
+    if (!list.length) return 100;
+    var n = list.filter(function (s) { return viewed[s.id]; }).length;
+    return Math.round((n / list.length) * 100);
+  }
+
+  function hasQuiz() {
+    return document.querySelector("[data-quiz-question-root]") != null;
+  }
+
+  function saveProgress() {
+    var api = scorm();
+    if (!api) return;
+    api.saveState(STATE_KEY, { viewed: Object.keys(viewed), quizAttempted: quizAttempted });
+  }
+
+  function checkCompletion() {
+    if (!COMPLETION || completed || !ready) return;
+    if (percentViewed() < COMPLETION.sectionsViewed) return;
+    if (COMPLETION.quizAttempted && hasQuiz() && !quizAttempted) return;
+    completed = true;
+    var api = scorm();
+    if (api && typeof api.setCompleted === "function") api.setCompleted();
+  }
+
+  function writeBookmark() {
+    writeTimer = null;
+    var api = scorm();
+    if (!BOOKMARK || !api || !currentId) return;
+    api.trackProgress(currentId, percentViewed());
+  }
+
+  function scheduleBookmark() {
+    if (!BOOKMARK || !ready) return;
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = setTimeout(writeBookmark, WRITE_DELAY_MS);
+  }
+
+  function markViewed(id) {
+    if (!id || viewed[id]) return;
+    viewed[id] = true;
+    if (!ready) return;
+    saveProgress();
+    checkCompletion();
+  }
+
+  function watchSections() {
+    if (typeof IntersectionObserver === "undefined") return; // scrollspy events still mark sections
+    var observer = new IntersectionObserver(function (entries) {
+      entries.forEach(function (entry) {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        markViewed(entry.target.id);
+      });
+    }, { threshold: 0.5 });
+    sections.forEach(function (s) { observer.observe(s.el); });
+  }
+
+  function goTo(section) {
+    if (!section.el.hasAttribute("tabindex")) section.el.setAttribute("tabindex", "-1");
+    section.el.scrollIntoView();
+    section.el.focus({ preventScroll: true });
+  }
+
+  function settle() {
+    ready = true;
+    Object.keys(viewed).length && saveProgress();
+    checkCompletion();
+    scheduleBookmark();
+  }
+
+  // "Resume where you left off" as the first thing in <main>: a labelled region
+  // with two real buttons. Focus is not moved to it; the skip link lands on it.
+  function showResumePrompt(section) {
+    var main = document.getElementById("main");
+    if (!main) return settle();
+    var box = document.createElement("div");
+    box.className = "resume-prompt";
+    box.setAttribute("role", "region");
+    box.setAttribute("aria-labelledby", "resume-prompt-text");
+    var text = document.createElement("p");
+    text.id = "resume-prompt-text";
+    text.appendChild(document.createTextNode("Welcome back. You were last reading "));
+    var strong = document.createElement("strong");
+    strong.textContent = section.title;
+    text.appendChild(strong);
+    text.appendChild(document.createTextNode("."));
+    var actions = document.createElement("div");
+    actions.className = "resume-actions";
+    actions.innerHTML =
+      '<button type="button" class="resume-go">Resume where you left off</button>' +
+      '<button type="button" class="resume-dismiss">Start from the beginning</button>';
+    box.appendChild(text);
+    box.appendChild(actions);
+    main.insertBefore(box, main.firstChild);
+
+    function close(resume) {
+      if (box.parentNode) box.parentNode.removeChild(box);
+      if (resume) goTo(section);
+      else main.focus({ preventScroll: true });
+      settle();
+    }
+    actions.querySelector(".resume-go").addEventListener("click", function () { close(true); });
+    actions.querySelector(".resume-dismiss").addEventListener("click", function () { close(false); });
+  }
+
+  function resume(location) {
+    var section = null;
+    for (var i = 0; i < sections.length; i += 1) {
+      if (sections[i].id === location) section = sections[i];
+    }
+    // Nothing to offer: no bookmark, one we cannot find, or the very top.
+    if (RESUME === "off" || !section || section === sections[0]) return settle();
+    if (RESUME === "auto") {
+      goTo(section);
+      return settle();
+    }
+    showResumePrompt(section);
+  }
+
+  function start() {
+    collectSections();
+    watchSections();
+    var api = scorm();
+    if (!api) return settle();
+    var location = typeof api.getLocation === "function" ? api.getLocation() : Promise.resolve(null);
+    Promise.all([api.loadState(STATE_KEY), location]).then(function (results) {
+      var saved = results[0];
+      if (saved && Array.isArray(saved.viewed)) {
+        saved.viewed.forEach(function (id) { viewed[id] = true; });
+        quizAttempted = saved.quizAttempted === true;
+      }
+      resume(results[1]);
+    }, function (error) {
+      console.error("[SCORM] progress tracker could not load saved state:", error);
+      settle();
+    });
+  }
+
+  // Listen from the start: the scrollspy reports its first section on
+  // DOMContentLoaded, before start() runs.
+  document.addEventListener("section:current", function (event) {
+    var id = event.detail && event.detail.id;
+    if (!id || !trackable(document.getElementById(id))) return;
+    currentId = id;
+    markViewed(id);
+    scheduleBookmark();
+  });
+
+  document.addEventListener("quiz:submitted", function () {
+    quizAttempted = true;
+    if (!ready) return;
+    saveProgress();
+    checkCompletion();
+  });
+
+  // Flush a pending bookmark before the wrapper's own beforeunload terminates the
+  // session. A capture listener runs before the wrapper's (registered earlier, but
+  // non-capture) at the window target.
+  window.addEventListener("beforeunload", function () {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeBookmark();
+    }
+  }, true);
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+})();`;
+}
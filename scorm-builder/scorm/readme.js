@@ -23,6 +23,12 @@ export function generateReadme(metadata = {}, opts = {}) {
     opts.dateString || formatIsoDate(opts.isoDate) || new Date().toLocaleDateString("en-GB");
   const reportScore = opts.reportScore === true;
   const maxScore = Number.isFinite(opts.maxScore) ? opts.maxScore : 100;
+  // A split (multi-SCO) package lists its lessons so an instructor can check the
+  // LMS table of contents against it. Absent for single-SCO packages.
+  const lessonLines = Array.isArray(opts.lessons) && opts.lessons.length
+    ? `\nLESSONS: ${opts.lessons.length} (one SCO each, sequenced in this order)\n` +
+      opts.lessons.map((l, i) => `  ${i + 1}. ${l.title || `Lesson ${i + 1}`}`).join("\n")
+    : "";
 
   // Step 6 differs by whether this package reports a quiz score. A scored quiz
   // needs grading ENABLED and a Maximum score set at import (immutable later); a
@@ -49,7 +55,7 @@ ${config.PRODUCT_NAME}
 
 SCORM VERSION: ${config.VERSION}
 MATHJAX MODE: ${(opts.mathjaxMode || config.MATHJAX_MODE).toUpperCase()}
-ASSESSMENT: ${reportScore ? `Scored quiz — reports to the gradebook (Maximum score ${maxScore})` : "None — content only"}
+ASSESSMENT: ${reportScore ? `Scored quiz — reports to the gradebook (Maximum score ${maxScore})` : "None — content only"}${lessonLines}
 
 QUICK START: UPLOADING TO BLACKBOARD ULTRA
 ===========================================
@@ -65,7 +71,7 @@ UPLOADING TO OTHER LMS SYSTEMS
 - Moodle: Course settings -> Add an activity -> SCORM package
 - Canvas: Modules -> Add Item -> External Tool -> Upload SCORM
 - Most LMS: Look for "SCORM", "Content Package", or "IMS Package" options
-- Always select SCORM 2004 3rd Edition when prompted for version
+- Always select SCORM ${config.VERSION} when prompted for version
 
 ACCESSIBILITY FEATURES
 ======================
@@ -0,0 +1,102 @@
+// Split one rendered document into lessons at a chosen heading level — the
+// content half of multi-SCO packaging (package-builder.js buildMultiScoPackage
+// is the zip half). The outline comes from enhancers/headings.js, so the ids a
+// lesson's TOC links to are the same ids the single-SCO build would mint.
+//
+// Rules:
+//
+//   * A lesson starts at every heading whose level is <= `level`, from the first
+//     heading AT `level` onwards. Splitting at h2 therefore also breaks at a
+//     stray h1 mid-document rather than folding a whole "part" into the
+//     previous lesson.
+//   * Anything before the first split heading (typically the document's <h1>
+//     and an introduction) is kept at the top of the FIRST lesson, so nothing
+//     the author wrote is dropped.
+//   * In-document links (#id) whose target ends up in a different lesson are
+//     rewritten to point at that lesson's file, so cross-references survive.
+
+import { processHeadings } from "../enhancers/headings.js";
+
+const ID_ATTR_ALL = /\bid\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const HASH_HREF = /\bhref\s*=\s*(["'])#([^"']+)\1/gi;
+
+/**
+ * Zip filename for the lesson at `index` (0-based): lesson-01.html, lesson-02.html…
+ * @param {number} index
+ * @returns {string}
+ */
+export function lessonFilename(index) {
+  return `lesson-${String(index + 1).padStart(2, "0")}.html`;
+}
+
+/**
+ * @param {string} html - rendered content (pre-shell; what buildDocument consumes)
+ * @param {object} [opts]
+ * @param {number} [opts.level=2] - split at headings of this level and above (1..6)
+ * @returns {Array<{ title: string, id: string, href: string, html: string }>}
+ *   at least one lesson; a document with no split heading is a single lesson
+ */
+export function splitLessons(html, opts = {}) {
+  const level = opts.level ?? 2;
+  if (!Number.isInteger(level) || level < 1 || level > 6) {
+    throw new Error(`scorm-builder: split level must be an integer 1..6, got "${opts.level}".`);
+  }
+
+  const { html: content, sections } = processHeadings(String(html));
+
+  // Offsets of each split heading in the id-stamped content. Shallower headings
+  // ahead of the first `level` heading are preamble (the document's own <h1>),
+  // not lessons of their own.
+  const firstAtLevel = sections.findIndex((s) => s.level === level);
+  const cuts = [];
+  for (const s of firstAtLevel === -1 ? [] : sections.slice(firstAtLevel)) {
+    if (s.level > level) continue;
+    const match = new RegExp(`<h${s.level}\\b[^>]*\\bid\\s*=\\s*["']${escapeRegExp(s.id)}["']`, "i").exec(content);
+    if (match) cuts.push({ offset: match.index, title: s.text, id: s.id });
+  }
+
+  // No heading at the split level: the whole document is one lesson.
+  if (!cuts.length) {
+    const first = sections[0];
+    return [{ title: first ? first.text : "", id: first ? first.id : "lesson-1", href: lessonFilename(0), html: content }];
+  }
+
+  const lessons = cuts.map((cut, i) => ({
+    title: cut.title,
+    id: cut.id,
+    href: lessonFilename(i),
+    html: content.slice(i === 0 ? 0 : cut.offset, i + 1 < cuts.length ? cuts[i + 1].offset : content.length),
+  }));
+
+  return rewriteCrossLessonLinks(lessons);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function rewriteCrossLessonLinks(lessons) {
+  const owner = new Map();
+  lessons.forEach((lesson, i) => {
+    for (const m of lesson.html.matchAll(ID_ATTR_ALL)) {
+      const id = m[1] ?? m[2];
+      if (!owner.has(id)) owner.set(id, i);
+    }
+  });
+  return lessons.map((lesson, i) => ({
+    ...lesson,
+    html: lesson.html.replace(HASH_HREF, (full, quote, id) => {
+      const target = owner.get(decodeURIComponentSafe(id));
+      if (target == null || target === i) return full;
+      return `href=${quote}${lessons[target].href}#${id}${quote}`;
+    }),
+  }));
+}
+
+function decodeURIComponentSafe(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
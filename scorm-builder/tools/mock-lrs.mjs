@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+// Mock LRS + cmi5 launcher — launch an unzipped cmi5 package locally and check
+// the statement stream it produces, without a real LMS or LRS.
+//
+//   node scorm-builder/tools/mock-lrs.mjs <unzipped-package-dir> [--port 8787]
+//       [--mastery 0.8] [--launch-mode Normal|Browse|Review]
+//
+// It prints a launch URL; open it, work through the content, close the tab, then
+// press Ctrl+C for the statement summary and the cmi5 sequence check. While it
+// runs, GET /statements.json returns every statement received so far.
+//
+// What it stands in for (cmi5 §8 and the xAPI 1.0.3 resources the runtime uses):
+//
+//   * the LMS side of launch — the launch URL query string, a single-use fetch
+//     URL answering { "auth-token" }, and the LMS.LaunchData state document;
+//   * an LRS — statements (POST/PUT/GET), activities/state, agents/profile and
+//     about, with Basic auth on the issued token and permissive CORS so the
+//     content can be served from anywhere.
+//
+// It is a development tool, not an LRS: it keeps everything in memory, checks
+// only what the cmi5 runtime can get wrong, and has no dependencies beyond node.
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const XAPI_VERSION = "1.0.3";
+const CATEGORY_CMI5 = "https://w3id.org/xapi/cmi5/context/categories/cmi5";
+const CATEGORY_MOVEON = "https://w3id.org/xapi/cmi5/context/categories/moveon";
+const VERB = (name) => `http://adlnet.gov/expapi/verbs/${name}`;
+const CMI5_DEFINED = ["launched", "initialized", "completed", "passed", "failed", "abandoned", "waived", "terminated", "satisfied"];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".vtt": "text/vtt",
+};
+
+/**
+ * Read the (single) AU out of a cmi5.xml. Regex, not a parser: the file is the
+ * one generateCourseStructure() writes, and this tool must stay dependency-free.
+ * @param {string} xml
+ * @returns {{ courseId: string|null, auId: string, url: string, moveOn: string, masteryScore: number|null }}
+ */
+export function readCourseStructure(xml) {
+  const course = /<course\b[^>]*\bid="([^"]*)"/.exec(xml);
+  const au = /<au\b([^>]*)>([\s\S]*?)<\/au>/.exec(xml);
+  if (!au) throw new Error("mock-lrs: cmi5.xml has no <au>");
+  const attr = (name) => {
+    const m = new RegExp(`\\b${name}="([^"]*)"`).exec(au[1]);
+    return m ? unescapeXml(m[1]) : null;
+  };
+  const url = /<url>([\s\S]*?)<\/url>/.exec(au[2]);
+  const mastery = attr("masteryScore");
+  return {
+    courseId: course ? unescapeXml(course[1]) : null,
+    auId: attr("id"),
+    url: url ? unescapeXml(url[1].trim()) : "content.html",
+    moveOn: attr("moveOn") || "NotApplicable",
+    masteryScore: mastery == null ? null : Number(mastery),
+  };
+}
+
+function unescapeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Check a session's statements against the cmi5 rules an AU is responsible for.
+ * @param {object[]} statements - in the order the LRS stored them
+ * @param {object} [opts]
+ * @param {string} [opts.moveOn] - the AU's moveOn, to report whether it was met
+ * @param {string} [opts.launchMode="Normal"]
+ * @returns {{ ok: boolean, problems: string[], verbs: string[], satisfied: boolean }}
+ */
+export function verifyCmi5Sequence(statements, opts = {}) {
+  const problems = [];
+  const verbs = statements.map((s) => String(s.verb?.id || "").replace("http://adlnet.gov/expapi/verbs/", ""));
+  const launchMode = opts.launchMode || "Normal";
+
+  if (verbs[0] !== "initialized") problems.push(`first statement is "${verbs[0] || "(none)"}", not "initialized"`);
+  const terminatedAt = verbs.indexOf("terminated");
+  if (terminatedAt === -1) problems.push('no "terminated" statement');
+  else if (terminatedAt !== verbs.length - 1) problems.push('statements were sent after "terminated"');
+
+  for (const verb of ["initialized", "completed", "passed", "terminated"]) {
+    if (verbs.filter((v) => v === verb).length > 1) problems.push(`"${verb}" sent more than once`);
+  }
+  if (verbs.includes("passed") && verbs.indexOf("failed") > verbs.indexOf("passed")) {
+    problems.push('"failed" sent after "passed"');
+  }
+  if (launchMode !== "Normal" && verbs.some((v) => v === "completed" || v === "passed" || v === "failed")) {
+    problems.push(`completed/passed/failed sent in ${launchMode} launch mode`);
+  }
+
+  const registration = statements[0]?.context?.registration;
+  statements.forEach((s, i) => {
+    const verb = verbs[i];
+    const categories = (s.context?.contextActivities?.category || []).map((c) => c.id);
+    if (s.context?.registration !== registration) problems.push(`statement ${i + 1} (${verb}) has a different registration`);
+    if (CMI5_DEFINED.includes(verb) && !categories.includes(CATEGORY_CMI5)) {
+      problems.push(`statement ${i + 1} (${verb}) lacks the cmi5 category`);
+    }
+    if (["completed", "passed", "failed"].includes(verb) && !categories.includes(CATEGORY_MOVEON)) {
+      problems.push(`statement ${i + 1} (${verb}) lacks the moveOn category`);
+    }
+    if ((verb === "passed" || verb === "failed") && typeof s.result?.score?.scaled !== "number") {
+      problems.push(`statement ${i + 1} (${verb}) has no result.score.scaled`);
+    }
+    if ((verb === "completed" || verb === "terminated") && !s.result?.duration) {
+      problems.push(`statement ${i + 1} (${verb}) has no result.duration`);
+    }
+  });
+
+  const done = verbs.includes("completed");
+  const passed = verbs.includes("passed");
+  const satisfied =
+    {
+      Completed: done,
+      Passed: passed,
+      CompletedAndPassed: done && passed,
+      CompletedOrPassed: done || passed,
+      NotApplicable: true,
+    }[opts.moveOn || "NotApplicable"] ?? false;
+
+  return { ok: problems.length === 0, problems, verbs, satisfied };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.root - directory of an unzipped cmi5 package
+ * @param {number} [opts.port=0] - 0 picks a free port
+ * @param {string} [opts.host="127.0.0.1"]
+ * @param {object} [opts.actor] - xAPI Agent for the learner
+ * @param {"Normal"|"Browse"|"Review"} [opts.launchMode="Normal"]
+ * @param {number} [opts.masteryScore] - LaunchData masteryScore (0..1); defaults
+ *   to the AU's cmi5.xml value, as an LMS would
+ * @param {string} [opts.returnURL]
+ */
+export function createMockLrs(opts = {}) {
+  const root = path.resolve(opts.root || ".");
+  const course = readCourseStructure(fs.readFileSync(path.join(root, "cmi5.xml"), "utf8"));
+  const host = opts.host || "127.0.0.1";
+  const actor = opts.actor || {
+    objectType: "Agent",
+    name: "Test Learner",
+    account: { homePage: "http://mock-lrs.local", name: "learner" },
+  };
+  const launchMode = opts.launchMode || "Normal";
+  const masteryScore = opts.masteryScore ?? course.masteryScore;
+
+  const statements = [];
+  const states = new Map();
+  const fetchTokens = new Map(); // fetch id -> auth token (deleted on first use)
+  const authTokens = new Set();
+  let registration = null;
+  let origin = null;
+  let server = null;
+
+  const stateKey = (q) => JSON.stringify([q.get("activityId"), q.get("agent"), q.get("registration") || "", q.get("stateId")]);
+
+  // A fresh registration per launch, with its LaunchData seeded the way an LMS
+  // must before opening the AU (cmi5 §10.2.1).
+  function launchUrl() {
+    registration = randomUUID();
+    const fetchId = randomUUID();
+    fetchTokens.set(fetchId, Buffer.from(`mock:${randomUUID()}`).toString("base64"));
+
+    const launchData = {
+      contextTemplate: {
+        contextActivities: { grouping: [{ id: course.auId }] },
+        extensions: { "https://w3id.org/xapi/cmi5/context/extensions/sessionid": randomUUID() },
+      },
+      launchMode,
+      moveOn: course.moveOn,
+      ...(masteryScore != null ? { masteryScore } : {}),
+      ...(opts.returnURL ? { returnURL: opts.returnURL } : {}),
+    };
+    const q = new URLSearchParams({
+      activityId: course.auId,
+      agent: JSON.stringify(actor),
+      registration,
+      stateId: "LMS.LaunchData",
+    });
+    states.set(stateKey(q), JSON.stringify(launchData));
+
+    const query = new URLSearchParams({
+      endpoint: `${origin}/xapi/`,
+      fetch: `${origin}/fetch/${fetchId}`,
+      actor: JSON.stringify(actor),
+      registration,
+      activityId: course.auId,
+    });
+    return `${origin}/content/${course.url}?${query}`;
+  }
+
+  function send(res, status, body, headers = {}) {
+    const isJson = body != null && typeof body !== "string" && !Buffer.isBuffer(body);
+    res.writeHead(status, {
+      ...(isJson ? { "Content-Type": "application/json" } : {}),
+      "X-Experience-API-Version": XAPI_VERSION,
+      ...headers,
+    });
+    res.end(isJson ? JSON.stringify(body) : body);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+      req.on("error", reject);
+    });
+  }
+
+  function authorised(req) {
+    const header = req.headers.authorization || "";
+    return header.startsWith("Basic ") && authTokens.has(header.slice(6));
+  }
+
+  function serveContent(res, relPath) {
+    const file = path.resolve(root, decodeURIComponent(relPath));
+    if (!file.startsWith(root + path.sep)) return send(res, 403, "Forbidden");
+    fs.readFile(file, (err, data) => {
+      if (err) return send(res, 404, "Not found");
+      send(res, 200, data, { "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" });
+    });
+  }
+
+  function storeStatement(statement, id) {
+    const stored = { ...statement, id: id || statement.id || randomUUID(), stored: new Date().toISOString() };
+    if (statements.some((s) => s.id === stored.id)) return null;
+    statements.push(stored);
+    console.log(`[mock-lrs] ${stored.verb?.display?.["en-US"] || stored.verb?.id} ${stored.object?.id || ""}`);
+    return stored.id;
+  }
+
+  async function handleXapi(req, res, resource, query) {
+    if (!authorised(req)) return send(res, 401, { error: "missing or unknown auth token" });
+
+    if (resource === "about") return send(res, 200, { version: [XAPI_VERSION] });
+
+    if (resource === "statements") {
+      if (req.method === "GET") return send(res, 200, { statements: [...statements].reverse(), more: "" });
+      const body = JSON.parse((await readBody(req)) || "null");
+      if (req.method === "PUT") {
+        return storeStatement(body, query.get("statementId")) ? send(res, 204, "") : send(res, 409, { error: "duplicate statement id" });
+      }
+      const ids = (Array.isArray(body) ? body : [body]).map((s) => storeStatement(s));
+      if (ids.includes(null)) return send(res, 409, { error: "duplicate statement id" });
+      return send(res, 200, ids);
+    }
+
+    if (resource === "activities/state") {
+      const key = stateKey(query);
+      if (req.method === "GET") {
+        return states.has(key) ? send(res, 200, states.get(key), { "Content-Type": "application/json" }) : send(res, 404, "");
+      }
+      if (req.method === "DELETE") {
+        states.delete(key);
+        return send(res, 204, "");
+      }
+      // The LMS owns LaunchData; an AU may read but never write it (cmi5 §10.2.1).
+      if (query.get("stateId") === "LMS.LaunchData") return send(res, 403, { error: "LMS.LaunchData is read-only" });
+      states.set(key, await readBody(req));
+      return send(res, 204, "");
+    }
+
+    // cmi5LearnerPreferences: none set, which an AU must tolerate.
+    if (resource === "agents/profile") return send(res, 404, "");
+
+    return send(res, 404, { error: `unsupported resource "${resource}"` });
+  }
+
+  async function handle(req, res) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, X-Experience-API-Version");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") return send(res, 204, "");
+
+    const url = new URL(req.url, origin);
+    const pathname = url.pathname;
+
+    if (pathname === "/" || pathname === "/launch") {
+      return send(res, 302, "", { Location: launchUrl() });
+    }
+    if (pathname === "/statements.json") {
+      return send(res, 200, {
+        statements,
+        verification: verifyCmi5Sequence(statements, { moveOn: course.moveOn, launchMode }),
+      });
+    }
+    if (pathname.startsWith("/content/")) return serveContent(res, pathname.slice("/content/".length));
+
+    if (pathname.startsWith("/fetch/") && req.method === "POST") {
+      const fetchId = pathname.slice("/fetch/".length);
+      const token = fetchTokens.get(fetchId);
+      // Single-use (cmi5 §8.2.3): a second call gets an error body, not a token.
+      if (!token) return send(res, 200, { "error-code": "1", "error-text": "fetch URL already used or unknown" });
+      fetchTokens.delete(fetchId);
+      authTokens.add(token);
+      return send(res, 200, { "auth-token": token });
+    }
+
+    if (pathname.startsWith("/xapi/")) {
+      try {
+        return await handleXapi(req, res, pathname.slice("/xapi/".length).replace(/\/$/, ""), url.searchParams);
+      } catch (error) {
+        return send(res, 400, { error: error.message });
+      }
+    }
+
+    return send(res, 404, "Not found");
+  }
+
+  return {
+    course,
+    statements,
+    /** @returns {Promise<{ origin: string, launchUrl: string }>} */
+    start() {
+      return new Promise((resolve, reject) => {
+        server = http.createServer((req, res) => {
+          handle(req, res).catch((error) => send(res, 500, { error: error.message }));
+        });
+        server.on("error", reject);
+        server.listen(opts.port || 0, host, () => {
+          origin = `http://${host}:${server.address().port}`;
+          resolve({ origin, launchUrl: launchUrl() });
+        });
+      });
+    },
+    stop() {
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    },
+    launchUrl,
+    get registration() {
+      return registration;
+    },
+    verify() {
+      return verifyCmi5Sequence(statements, { moveOn: course.moveOn, launchMode });
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const args = { root: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--port") args.port = Number(argv[++i]);
+    else if (a === "--mastery") args.masteryScore = Number(argv[++i]);
+    else if (a === "--launch-mode") args.launchMode = argv[++i];
+    else if (a === "--return-url") args.returnURL = argv[++i];
+    else if (!args.root) args.root = a;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.root) {
+    console.error("usage: node mock-lrs.mjs <unzipped-cmi5-package> [--port N] [--mastery 0..1] [--launch-mode Normal|Browse|Review]");
+    process.exit(2);
+  }
+  const lrs = createMockLrs({ port: 8787, ...args });
+  const { origin, launchUrl } = await lrs.start();
+  console.log(`[mock-lrs] AU ${lrs.course.auId} (moveOn ${lrs.course.moveOn})`);
+  console.log(`[mock-lrs] statements: ${origin}/statements.json`);
+  console.log(`[mock-lrs] new launch: ${origin}/launch`);
+  console.log(`\nOpen:\n${launchUrl}\n`);
+
+  process.on("SIGINT", async () => {
+    const result = lrs.verify();
+    console.log(`\n[mock-lrs] ${lrs.statements.length} statement(s): ${result.verbs.join(", ") || "(none)"}`);
+    console.log(`[mock-lrs] moveOn ${lrs.course.moveOn} ${result.satisfied ? "satisfied" : "NOT satisfied"}`);
+    for (const p of result.problems) console.log(`[mock-lrs] problem: ${p}`);
+    await lrs.stop();
+    process.exit(result.ok ? 0 : 1);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(`[mock-lrs] ${error.message}`);
+    process.exit(1);
+  });
+}
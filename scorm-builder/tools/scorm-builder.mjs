@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// scorm-builder CLI — batch-build packages from markdown/HTML files in node, the
+// same exportDocument() pipeline the browser export button drives.
+//
+//   node scorm-builder/tools/scorm-builder.mjs build ./week*.md --target scorm --out dist/
+//       [--config course.json] [--strict] [--report] [--date YYYY-MM-DD]
+//
+// Each input is built on its own. Its options come from, lowest precedence first:
+//
+//   1. --config FILE   shared JSON for the whole batch (features, scorm, lom...)
+//   2. a sidecar JSON  week1.md -> week1.json, beside the input
+//   3. front matter    a leading --- block in a markdown file (a YAML subset:
+//                      `key: value`, nested maps by indentation, `- item` lists
+//                      and [a, b] inline lists)
+//
+// Keys that are build options (RECORDED_OPTIONS: features, lang, scorm, cmi5,
+// identifier, ...) are passed through; every other key is metadata (title,
+// author, date, description, lom, ...). Maps merge one level deep, so a sidecar
+// can turn on one feature without restating the shared set.
+//
+// Output is reproducible: the package identifier is derived from the input's
+// file name (scorm_week1), and the packaging date comes from --date, else
+// SOURCE_DATE_EPOCH, else today. Rebuilding unchanged sources with the same date
+// gives byte-identical manifests, metadata and pages (the zip's own entry
+// timestamps are JSZip's and still vary).
+//
+// The accessibility audit runs on every input and its findings are printed.
+// --strict fails an input on any error or warning; the batch carries on and the
+// exit status is 1 if any input failed (2 for a usage error).
+//
+// JSZip and, for markdown, mathpix-markdown-it are imported from node_modules
+// here — the library itself never imports them.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { exportDocument } from "../core/export-facade.js";
+import { RECORDED_OPTIONS } from "../core/source-record.js";
+import { extractQuizQuestions } from "../enhancers/quiz.js";
+
+const TARGETS = ["scorm", "scorm12", "cmi5", "qti", "epub", "html", "html-offline"];
+const INPUT = /\.(md|markdown|html?)$/i;
+const BUILD_OPTIONS = new Set(RECORDED_OPTIONS.filter((key) => key !== "metadata"));
+const USAGE =
+  "usage: node scorm-builder.mjs build <file|glob>... [--target " + TARGETS.join("|") + "]\n" +
+  "         [--out DIR] [--config FILE] [--strict] [--report] [--date YYYY-MM-DD]";
+
+// ---------- front matter ----------
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value === "") return "";
+  if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value === "null" || value === "~") return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith("[") && value.endsWith("]")) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(",").map(parseScalar) : [];
+  }
+  return value;
+}
+
+// One block of lines at a single indentation: a map, or a list of scalars/maps.
+function parseBlock(lines, start, indent) {
+  const isList = lines[start].text.startsWith("- ");
+  const result = isList ? [] : {};
+  let i = start;
+  while (i < lines.length && lines[i].indent === indent) {
+    const { text, number } = lines[i];
+    if (isList !== text.startsWith("- ")) {
+      throw new Error(`scorm-builder: front matter line ${number} mixes a list with map entries.`);
+    }
+    if (isList) {
+      result.push(parseScalar(text.slice(2)));
+      i++;
+      continue;
+    }
+    const m = text.match(/^([^:]+):(?:\s+(.*))?$/);
+    if (!m) throw new Error(`scorm-builder: front matter line ${number} is not "key: value".`);
+    const key = m[1].trim();
+    i++;
+    if (m[2] != null && m[2].trim() !== "") {
+      result[key] = parseScalar(m[2]);
+    } else if (i < lines.length && lines[i].indent > indent) {
+      const nested = parseBlock(lines, i, lines[i].indent);
+      result[key] = nested.value;
+      i = nested.next;
+    } else {
+      result[key] = null;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) {
+    throw new Error(`scorm-builder: front matter line ${lines[i].number} is indented unexpectedly.`);
+  }
+  return { value: result, next: i };
+}
+
+/**
+ * Split a leading `---` front-matter block off markdown.
+ * @param {string} text
+ * @returns {{ data: object, body: string }} data is {} when there is no block
+ */
+export function parseFrontMatter(text) {
+  const m = String(text).match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: String(text) };
+  const lines = m[1]
+    .split(/\r?\n/)
+    .map((line, i) => ({ text: line.trim(), indent: line.length - line.trimStart().length, number: i + 2 }))
+    .filter((line) => line.text !== "" && !line.text.startsWith("#"));
+  const data = lines.length ? parseBlock(lines, 0, lines[0].indent).value : {};
+  if (Array.isArray(data)) throw new Error("scorm-builder: front matter must be a map of keys, not a list.");
+  return { data, body: String(text).slice(m[0].length) };
+}
+
+// ---------- options ----------
+
+function isMap(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Later layers win; maps merge one level deep.
+function mergeLayers(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      out[key] = isMap(value) && isMap(out[key]) ? { ...out[key], ...value } : value;
+    }
+  }
+  return out;
+}
+
+// Front matter / sidecar keys -> build options, with the rest as metadata.
+function splitOptions(data) {
+  const options = {};
+  const metadata = { ...(isMap(data.metadata) ? data.metadata : {}) };
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "metadata") continue;
+    if (BUILD_OPTIONS.has(key)) options[key] = value;
+    else metadata[key] = value;
+  }
+  return { options, metadata };
+}
+
+// The packaging date for the whole batch: --date, else SOURCE_DATE_EPOCH (the
+// reproducible-builds convention), else today.
+function stamp(args) {
+  const env = process.env.SOURCE_DATE_EPOCH;
+  if (args.date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date) || Number.isNaN(Date.parse(args.date))) {
+      throw new Error(`scorm-builder: --date must be YYYY-MM-DD, got "${args.date}".`);
+    }
+    return { isoDate: args.date, epochMs: Date.parse(`${args.date}T00:00:00Z`) };
+  }
+  const epochMs = env && /^\d+$/.test(env) ? Number(env) * 1000 : Date.now();
+  return { isoDate: new Date(epochMs).toISOString().slice(0, 10), epochMs };
+}
+
+/** Package identifier from a file name: "Week 1.md" -> "scorm_Week_1". */
+export function identifierFor(file) {
+  const base = path.basename(file).replace(/\.[^.]+$/, "");
+  return `scorm_${base.replace(/[^A-Za-z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "document"}`;
+}
+
+async function readJson(file, label) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`scorm-builder: ${label} ${file} is not valid JSON (${error.message}).`);
+  }
+}
+
+// ---------- inputs ----------
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Shells expand globs before node sees them; Windows shells and quoted
+// arguments do not, so a * or ? in the file-name part is expanded here too.
+async function expandInputs(patterns) {
+  const files = [];
+  for (const pattern of patterns) {
+    if (!/[*?]/.test(path.basename(pattern))) {
+      files.push(pattern);
+      continue;
+    }
+    const dir = path.dirname(pattern);
+    const match = globToRegExp(path.basename(pattern));
+    const names = (await fs.readdir(dir)).filter((name) => match.test(name)).sort();
+    if (!names.length) throw new Error(`scorm-builder: no files match ${pattern}.`);
+    files.push(...names.map((name) => path.join(dir, name)));
+  }
+  return [...new Set(files)];
+}
+
+// ---------- build ----------
+
+async function loadDeps(needsMarkdown) {
+  const deps = {};
+  try {
+    deps.JSZip = (await import("jszip")).default;
+  } catch {
+    throw new Error("scorm-builder: the CLI needs the jszip package (npm install jszip).");
+  }
+  if (needsMarkdown) {
+    try {
+      const mod = await import("mathpix-markdown-it");
+      deps.mathpix = mod.MathpixMarkdownModel ?? mod.default?.MathpixMarkdownModel ?? mod.default ?? mod;
+    } catch {
+      throw new Error("scorm-builder: markdown input needs the mathpix-markdown-it package (npm install mathpix-markdown-it).");
+    }
+  }
+  return deps;
+}
+
+async function toBytes(data) {
+  if (typeof data === "string") return data;
+  if (typeof Blob !== "undefined" && data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  return data;
+}
+
+/**
+ * Resolve one input file into exportDocument() options.
+ * @param {string} file
+ * @param {object} args - parsed CLI arguments
+ * @param {object} [shared] - the --config JSON
+ * @param {{ isoDate: string, epochMs: number }} [when] - the batch's packaging date
+ * @returns {Promise<object>}
+ */
+export async function optionsForFile(file, args, shared = {}, when = stamp(args)) {
+  if (!INPUT.test(file)) throw new Error(`scorm-builder: ${file} is not a .md or .html file.`);
+  const text = await fs.readFile(file, "utf8");
+  const markdown = /\.(md|markdown)$/i.test(file);
+  const { data: front, body } = markdown ? parseFrontMatter(text) : { data: {}, body: text };
+  const sidecar = (await readJson(file.replace(INPUT, ".json"), "sidecar")) || {};
+
+  const layers = [shared, sidecar, front].map(splitOptions);
+  const options = mergeLayers(...layers.map((l) => l.options));
+  const metadata = mergeLayers(...layers.map((l) => l.metadata));
+
+  const result = {
+    identifier: identifierFor(file),
+    ...options,
+    ...when,
+    metadata,
+    target: args.target,
+    outputType: "nodebuffer",
+    autoDeps: false,
+  };
+  if (markdown) result.markdown = body;
+  else result.html = body;
+  if (args.strict) result.strictAccessibility = true;
+  if (args.report) result.accessibilityReport = true;
+  // A question bank is built from the quiz blocks in the source.
+  if (args.target === "qti") result.quiz = extractQuizQuestions(body);
+  return result;
+}
+
+function parseArgs(argv) {
+  const args = { command: argv[0], inputs: [], target: "scorm", out: ".", strict: false, report: false };
+  for (let i = 1; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--target") args.target = argv[++i];
+    else if (a === "--out") args.out = argv[++i];
+    else if (a === "--config") args.config = argv[++i];
+    else if (a === "--date") args.date = argv[++i];
+    else if (a === "--strict") args.strict = true;
+    else if (a === "--report") args.report = true;
+    else if (a.startsWith("--")) throw new Error(`scorm-builder: unknown option ${a}.`);
+    else args.inputs.push(a);
+  }
+  if (!TARGETS.includes(args.target)) {
+    throw new Error(`scorm-builder: unknown target "${args.target}". Use one of: ${TARGETS.join(", ")}.`);
+  }
+  return args;
+}
+
+function describe(w) {
+  return `${w.severity}${w.wcag?.length ? ` (WCAG ${w.wcag.join(", ")})` : ""}: ${w.message}`;
+}
+
+async function build(args) {
+  const when = stamp(args);
+  const files = await expandInputs(args.inputs);
+  const shared = args.config ? await readJson(args.config, "config") : {};
+  if (shared == null) throw new Error(`scorm-builder: config file ${args.config} not found.`);
+  const deps = await loadDeps(files.some((f) => /\.(md|markdown)$/i.test(f)));
+  await fs.mkdir(args.out, { recursive: true });
+
+  const written = new Map();
+  let failed = 0;
+  for (const file of files) {
+    // Collected through the callback so a strict-mode failure still lists them.
+    const findings = [];
+    try {
+      const options = await optionsForFile(file, args, shared, when);
+      const result = await exportDocument({
+        ...options,
+        deps: { ...deps, ...options.deps },
+        onAccessibilityWarning: (w) => findings.push(w),
+      });
+      const out = path.join(args.out, result.filename);
+      if (written.has(out)) {
+        throw new Error(`scorm-builder: ${file} and ${written.get(out)} both build ${result.filename}; give them distinct titles.`);
+      }
+      written.set(out, file);
+      await fs.writeFile(out, await toBytes(result.data));
+      console.log(`✓ ${file} -> ${out}${findings.length ? ` (${findings.length} audit finding(s))` : ""}`);
+      for (const w of findings) console.log(`    ${describe(w)}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${file}: ${error.message}`);
+      for (const w of findings) console.error(`    ${describe(w)}`);
+    }
+  }
+  console.log(`${files.length - failed} of ${files.length} built into ${args.out}`);
+  return failed ? 1 : 0;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (args.command !== "build" || !args.inputs.length) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  process.exit(await build(args));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
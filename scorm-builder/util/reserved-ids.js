@@ -66,8 +66,8 @@ export const RESERVED_IDS = new Set([
   "colour-customise", "colour-customise-intro", "user-content-colours",
   "cc-save", "cc-load", "cc-reset", "cc-status", "cc-contrast",
 
-  // Save
-  "original-content-data",
+  // Save + the source record importPackage() reads back (core/source-record.js)
+  "original-content-data", "scorm-builder-source",
 
   // Bundled notification/toast layers
   "universal-toast-announcer", "universal-toast-container", "gb-toast-container",
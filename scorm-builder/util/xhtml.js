@@ -0,0 +1,110 @@
+// HTML fragment → well-formed XHTML, for the outputs that are read by an XML
+// parser rather than a browser's HTML one: QTI item bodies and EPUB content
+// documents. A string transform like the enhancers, so it runs in node too.
+//
+// It fixes what the renderers in this pipeline actually emit — void elements
+// left open, unquoted and boolean attributes, HTML-only named entities, bare
+// ampersands, raw <script>/<style> text — and nothing else. It does NOT repair
+// mis-nested or implicitly closed elements (an unclosed <p> or <li>); content
+// from mathpix and authored HTML in this pipeline closes its elements.
+
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const RAW_TEXT_ELEMENTS = new Set(["script", "style"]);
+
+// HTML named entities that are not among XML's five, as code points. Covers what
+// authors and mathpix produce; anything else unknown is escaped as literal text.
+const HTML_ENTITIES = {
+  nbsp: 160, iexcl: 161, cent: 162, pound: 163, curren: 164, yen: 165, brvbar: 166, sect: 167,
+  uml: 168, copy: 169, ordf: 170, laquo: 171, not: 172, shy: 173, reg: 174, macr: 175, deg: 176,
+  plusmn: 177, sup2: 178, sup3: 179, acute: 180, micro: 181, para: 182, middot: 183, cedil: 184,
+  sup1: 185, ordm: 186, raquo: 187, frac14: 188, frac12: 189, frac34: 190, iquest: 191,
+  times: 215, divide: 247, eacute: 233, egrave: 232, agrave: 224, aacute: 225, ccedil: 231,
+  ouml: 246, uuml: 252, auml: 228, szlig: 223, ntilde: 241,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221,
+  bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242,
+  Prime: 8243, lsaquo: 8249, rsaquo: 8250, euro: 8364, trade: 8482,
+  larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, rArr: 8658, hArr: 8660,
+  forall: 8704, part: 8706, exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713,
+  sum: 8721, minus: 8722, radic: 8730, infin: 8734, ang: 8736, and: 8743, or: 8744, cap: 8745,
+  cup: 8746, int: 8747, there4: 8756, sim: 8764, asymp: 8776, ne: 8800, equiv: 8801, le: 8804,
+  ge: 8805, sub: 8834, sup: 8835, sube: 8838, supe: 8839, perp: 8869, sdot: 8901,
+  alpha: 945, beta: 946, gamma: 947, delta: 948, epsilon: 949, zeta: 950, eta: 951, theta: 952,
+  iota: 953, kappa: 954, lambda: 955, mu: 956, nu: 957, xi: 958, pi: 960, rho: 961, sigma: 963,
+  tau: 964, phi: 966, chi: 967, psi: 968, omega: 969, Delta: 916, Sigma: 931, Omega: 937,
+};
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+
+// Text: keep XML entities and character references, map HTML-only named
+// entities to numeric references, escape every other & and a stray <.
+function fixText(text) {
+  return text
+    .replace(/&(#\d+|#x[0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);|&/g, (full, ref) => {
+      if (!ref) return "&amp;";
+      if (ref[0] === "#" || XML_ENTITIES.has(ref)) return full;
+      return HTML_ENTITIES[ref] != null ? `&#${HTML_ENTITIES[ref]};` : `&amp;${ref};`;
+    })
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const ATTR = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function fixAttrs(text) {
+  const out = [];
+  const seen = new Set();
+  let m;
+  ATTR.lastIndex = 0;
+  while ((m = ATTR.exec(text)) !== null) {
+    const name = m[1];
+    // Duplicate attributes are an XML well-formedness error; HTML keeps the first.
+    if (seen.has(name)) continue;
+    seen.add(name);
+    const value = m[2] ?? m[3] ?? m[4];
+    // A boolean attribute (<details open>) takes its own name as its value.
+    out.push(` ${name}="${fixText(value == null ? name : value).replace(/"/g, "&quot;")}"`);
+  }
+  return out.join("");
+}
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([A-Za-z][^\s>]*)\s*>|<([A-Za-z][^\s/>]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+
+/**
+ * @param {string} html - an HTML fragment (no doctype needed)
+ * @returns {string} the same fragment as well-formed XHTML
+ */
+export function htmlToXhtml(html) {
+  const src = String(html || "");
+  let out = "";
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(src)) !== null) {
+    const [token, closeName, openName, attrText, selfClose] = m;
+    if (token.startsWith("<!--") || token.startsWith("<![CDATA[")) {
+      out += token;
+    } else if (token.startsWith("<!") || token.startsWith("<?")) {
+      // Doctype / processing instruction: not valid inside a fragment.
+    } else if (closeName) {
+      if (!VOID_ELEMENTS.has(closeName.toLowerCase())) out += `</${closeName}>`;
+    } else if (openName) {
+      const lower = openName.toLowerCase();
+      const attrs = fixAttrs(attrText || "");
+      if (VOID_ELEMENTS.has(lower) || selfClose) {
+        out += `<${openName}${attrs}/>`;
+      } else if (RAW_TEXT_ELEMENTS.has(lower)) {
+        // Script/style text is not markup: carry it through as CDATA.
+        const end = src.toLowerCase().indexOf(`</${lower}`, TOKEN.lastIndex);
+        const stop = end === -1 ? src.length : end;
+        const body = src.slice(TOKEN.lastIndex, stop);
+        out += `<${openName}${attrs}>${/[<&]/.test(body) ? `<![CDATA[${body.replace(/\]\]>/g, "]]]]><![CDATA[>")}]]>` : body}</${openName}>`;
+        const close = src.indexOf(">", stop);
+        TOKEN.lastIndex = end === -1 ? src.length : close + 1;
+      } else {
+        out += `<${openName}${attrs}>`;
+      }
+    } else {
+      out += fixText(token);
+    }
+  }
+  return out;
+}
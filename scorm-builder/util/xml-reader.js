@@ -0,0 +1,143 @@
+// A small, dependency-free XML reader for the files this library itself writes
+// (QTI items, manifests, LOM) — so importers run unchanged in node, where there
+// is no DOMParser, and in the browser. It is NOT a general XML parser: no DTDs,
+// no external entities, namespaces are kept as literal prefixes on names. It is
+// forgiving rather than validating — a stray close tag is ignored, an unclosed
+// element closes at end of input.
+//
+//   const root = parseXml(text);            // { name, attrs, children }
+//   findAll(root, "qti-simple-choice")       // depth-first element search
+//   innerXml(node)                           // children re-serialised (rich text)
+
+import { escapeXML } from "./escape-xml.js";
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/** Decode the five XML entities plus numeric character references. */
+export function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (full, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : full;
+    }
+    return NAMED_ENTITIES[ref] ?? full;
+  });
+}
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/gi;
+const ATTR = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * @param {string} text - an XML document or fragment
+ * @returns {{ name: string, attrs: Record<string,string>, children: Array<object|string> }}
+ *   the document element (a synthetic "#document" node when there are several roots)
+ */
+export function parseXml(text) {
+  const doc = { name: "#document", attrs: {}, children: [] };
+  const stack = [doc];
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(String(text))) !== null) {
+    const top = stack[stack.length - 1];
+    const [, cdata, closeName, openName, attrText, selfClose, textRun] = m;
+    if (cdata != null) {
+      top.children.push(cdata);
+    } else if (closeName) {
+      const at = stack.map((n) => n.name).lastIndexOf(closeName);
+      if (at > 0) stack.length = at;
+    } else if (openName) {
+      const node = { name: openName, attrs: parseAttrs(attrText || ""), children: [] };
+      top.children.push(node);
+      if (!selfClose) stack.push(node);
+    } else if (textRun != null) {
+      top.children.push(decodeEntities(textRun));
+    }
+    // Anything else is a comment, processing instruction or doctype: skipped.
+  }
+  const elements = doc.children.filter((c) => typeof c !== "string");
+  return elements.length === 1 ? elements[0] : doc;
+}
+
+function parseAttrs(text) {
+  const attrs = {};
+  let m;
+  ATTR.lastIndex = 0;
+  while ((m = ATTR.exec(text)) !== null) {
+    attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+/** Local name without any namespace prefix ("imsss:objective" → "objective"). */
+export function localName(node) {
+  const name = typeof node === "string" ? node : node.name;
+  const i = name.indexOf(":");
+  return i === -1 ? name : name.slice(i + 1);
+}
+
+/** Element children of `node`, optionally only those with local name `name`. */
+export function childElements(node, name) {
+  return (node?.children || []).filter((c) => typeof c !== "string" && (!name || localName(c) === name));
+}
+
+/** First element child with local name `name`, or null. */
+export function firstChild(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+/** Every descendant element with local name `name`, in document order. */
+export function findAll(node, name, out = []) {
+  for (const child of childElements(node)) {
+    if (localName(child) === name) out.push(child);
+    findAll(child, name, out);
+  }
+  return out;
+}
+
+/** First descendant element with local name `name`, or null. */
+export function findFirst(node, name) {
+  return findAll(node, name)[0] || null;
+}
+
+/** Concatenated text of a node and its descendants. */
+export function textContent(node) {
+  if (node == null) return "";
+  if (typeof node === "string") return node;
+  return node.children.map(textContent).join("");
+}
+
+// HTML void elements: the only ones written self-closed when serialising back
+// to HTML (an empty <p/> would otherwise open a paragraph that never closes).
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+/**
+ * Re-serialise one node (element or text).
+ * @param {object|string} node
+ * @param {boolean} [html=false] - write empty non-void elements as <x></x>
+ */
+export function outerXml(node, html = false) {
+  if (typeof node === "string") return escapeText(node);
+  const attrs = Object.entries(node.attrs)
+    .map(([k, v]) => ` ${k}="${escapeXML(String(v))}"`)
+    .join("");
+  if (!node.children.length && (!html || VOID_ELEMENTS.has(node.name.toLowerCase()))) {
+    return html ? `<${node.name}${attrs}>` : `<${node.name}${attrs}/>`;
+  }
+  return `<${node.name}${attrs}>${innerXml(node, html)}</${node.name}>`;
+}
+
+/** Re-serialise a node's children — e.g. the rich-text body of a QTI prompt. */
+export function innerXml(node, html = false) {
+  return (node?.children || []).map((c) => outerXml(c, html)).join("");
+}
+
+/** A node's children serialised back to HTML (void elements unclosed). */
+export function innerHtml(node) {
+  return innerXml(node, true);
+}
+
+// Text needs only &, < and > escaped; leaving quotes alone keeps rich text that
+// round-trips through here readable.
+function escapeText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
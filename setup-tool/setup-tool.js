@@ -3,7 +3,7 @@
  * Phase SU-2: OpenRouter, MathPix, and Ally credentials + status summary
  *
  * @author Matthew Deeprose
- * @version 1.1.0
+ * @version 1.2.0
  */
 window.SetUpTool = (function () {
   "use strict";
@@ -75,6 +75,14 @@ window.SetUpTool = (function () {
       fdyStatusBadge: document.getElementById("setup-fdy-status-badge"),
       fdyActiveBadge: document.getElementById("setup-fdy-active-badge"),
 
+      // Local model server settings
+      lsBaseUrlInput: document.getElementById("setup-ls-base-url"),
+      lsBaseUrlError: document.getElementById("setup-ls-base-url-error"),
+      lsRefreshBtn: document.getElementById("setup-ls-refresh-btn"),
+      lsStatusBadge: document.getElementById("setup-ls-status-badge"),
+      lsModelsList: document.getElementById("setup-ls-models"),
+      lsModelsEmpty: document.getElementById("setup-ls-models-empty"),
+
       // University sign-in card (F2 stage 9a)
       signinStatusBadge: document.getElementById("setup-signin-status-badge"),
       signinBtn: document.getElementById("setup-signin-btn"),
@@ -84,12 +92,14 @@ window.SetUpTool = (function () {
       summaryOrValue: document.getElementById("setup-summary-or-value"),
       summaryMpValue: document.getElementById("setup-summary-mp-value"),
       summaryFdyValue: document.getElementById("setup-summary-fdy-value"),
+      summaryLsValue: document.getElementById("setup-summary-ls-value"),
       summaryAllyValue: document.getElementById("setup-summary-ally-value"),
 
       // Status summary items (for styling)
       summaryOrItem: document.getElementById("setup-summary-openrouter"),
       summaryMpItem: document.getElementById("setup-summary-mathpix"),
       summaryFdyItem: document.getElementById("setup-summary-foundry"),
+      summaryLsItem: document.getElementById("setup-summary-local-server"),
       summaryAllyItem: document.getElementById("setup-summary-ally"),
 
       // Model status summary
@@ -1840,6 +1850,275 @@ window.SetUpTool = (function () {
     window.EntraAuth.signOut();
   }
 
+  // ============================================================
+  // Local model server (llama.cpp, Ollama, LM Studio)
+  // ============================================================
+  // localStorage keys:
+  //   - localServerUrl        (camelCase, like foundryProxyUrl; the server ROOT)
+  //   - local-server-models   (owned by the provider — its discovery cache)
+  //
+  // Not a credential: the address is all there is, and nothing is secret. The
+  // provider (openrouter-embed/providers/local-server.js) owns discovery and
+  // the address rule; this card only stores the address and shows the result,
+  // so Set Up and Chat can never disagree about what a valid address is.
+
+  const LOCAL_SERVER_URL_KEY = "localServerUrl";
+  const LOCAL_SERVER_NO_MODELS_TEXT = "No models found yet.";
+
+  /**
+   * The registered local-server provider, or null when its script is absent.
+   * @returns {Object|null}
+   */
+  function localServerProvider() {
+    const registry = window.EmbedProviderRegistry;
+    if (!registry || typeof registry.get !== "function") return null;
+    return registry.get("local-server") || null;
+  }
+
+  function setLocalServerUrlError(message) {
+    const input = elements && elements.lsBaseUrlInput;
+    if (elements && elements.lsBaseUrlError) {
+      elements.lsBaseUrlError.textContent = message;
+      elements.lsBaseUrlError.hidden = !message;
+    }
+    if (!input) return;
+    if (message) {
+      input.setAttribute("aria-invalid", "true");
+    } else {
+      input.removeAttribute("aria-invalid");
+    }
+  }
+
+  function loadLocalServerSettings() {
+    if (!elements) return;
+
+    let stored = null;
+    try {
+      stored = localStorage.getItem(LOCAL_SERVER_URL_KEY);
+    } catch (err) {
+      logWarn("Could not read " + LOCAL_SERVER_URL_KEY + "; treating as unset", err);
+    }
+    if (elements.lsBaseUrlInput) {
+      elements.lsBaseUrlInput.value = stored || "";
+    }
+    setLocalServerUrlError("");
+
+    const provider = localServerProvider();
+    renderLocalServerModels(provider ? provider.getDiscovery() : null);
+    updateLocalServerStatus();
+    logDebug("Local server settings loaded, address:", stored);
+  }
+
+  /**
+   * Save the typed address (normalised to the server root) and look for models
+   * straight away, so one press answers "is this working?".
+   */
+  function saveLocalServer() {
+    if (!elements || !elements.lsBaseUrlInput) {
+      logError("Cannot save local server: elements not cached");
+      return;
+    }
+    const provider = localServerProvider();
+    if (!provider) {
+      logError("Local server provider not loaded; cannot save");
+      announce("The local model server support did not load. Reload the page and try again.");
+      return;
+    }
+
+    const raw = elements.lsBaseUrlInput.value.trim();
+    const root = provider.normaliseBaseUrl(raw);
+    if (!root) {
+      const message = raw
+        ? "Enter an address starting with http:// or https://, for example http://localhost:11434."
+        : "Please enter the server address before saving.";
+      setLocalServerUrlError(message);
+      announce(message);
+      return;
+    }
+    setLocalServerUrlError("");
+
+    localStorage.setItem(LOCAL_SERVER_URL_KEY, root);
+    elements.lsBaseUrlInput.value = root;
+    emitCredentialChange("local-server", "saved");
+    logInfo("Local server address saved", root);
+
+    findLocalServerModels();
+  }
+
+  /**
+   * Ask the saved server for its models and report the outcome. The provider
+   * dispatches its models event on success, which is what rebuilds Chat's
+   * picker; this only updates the card and speaks the result.
+   */
+  async function findLocalServerModels() {
+    const provider = localServerProvider();
+    if (!elements || !provider) return;
+
+    if (!provider.getBaseUrl()) {
+      announce("Please save a server address first.");
+      return;
+    }
+
+    const btn = elements.lsRefreshBtn;
+    const originalBtnHtml = btn ? btn.innerHTML : "";
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Finding models…";
+    }
+    if (elements.lsStatusBadge) {
+      setStatusText(elements.lsStatusBadge, "Finding models…");
+      elements.lsStatusBadge.className =
+        "setup-credential-summary-status setup-status-not-configured";
+    }
+    // The badge write above is silent (see setStatusText); a slow server would
+    // otherwise leave the button looking as if it had not worked.
+    announce("Looking for models on the local server…");
+
+    try {
+      const discovery = await provider.discoverModels();
+      renderLocalServerModels(provider.getDiscovery());
+      updateLocalServerStatus();
+      const count = discovery.models.length;
+      announce(
+        count === 0
+          ? discovery.serverLabel + " answered, but has no chat models. Load or pull one, then select Refresh Models."
+          : "Found " + count + (count === 1 ? " model" : " models") + " on " +
+              discovery.serverLabel + ". They are listed in Chat under Local server."
+      );
+    } catch (err) {
+      logWarn("Local server discovery failed", err);
+      updateLocalServerStatus(err.message);
+      // Shown where the models would be, so the reason stays on screen after
+      // the announcement; the previous list is kept by the provider.
+      if (elements.lsModelsEmpty) {
+        elements.lsModelsEmpty.textContent = err.message;
+        elements.lsModelsEmpty.hidden = false;
+      }
+      announce("Could not find models: " + err.message);
+    } finally {
+      if (btn) {
+        btn.disabled = false;
+        btn.innerHTML = originalBtnHtml;
+      }
+    }
+  }
+
+  function clearLocalServer() {
+    const question =
+      "Are you sure you want to clear the local model server address? Its models will no longer be listed in Chat.";
+    if (typeof window.safeConfirm === "function") {
+      window.safeConfirm(question, "Clear Local Model Server").then(function (confirmed) {
+        if (confirmed) {
+          performClearLocalServer();
+        }
+      });
+    } else if (confirm(question)) {
+      performClearLocalServer();
+    }
+  }
+
+  function performClearLocalServer() {
+    localStorage.removeItem(LOCAL_SERVER_URL_KEY);
+    const provider = localServerProvider();
+    if (provider) provider.clearModels();
+
+    if (elements && elements.lsBaseUrlInput) {
+      elements.lsBaseUrlInput.value = "";
+    }
+    setLocalServerUrlError("");
+    renderLocalServerModels(null);
+    updateLocalServerStatus();
+    emitCredentialChange("local-server", "cleared");
+    // Reached only through the confirmation modal — see announceAfterModalClose.
+    announceAfterModalClose("Local model server address cleared.");
+    logInfo("Local server address cleared");
+  }
+
+  /**
+   * List the discovered models with what each can do, so a person can tell
+   * before opening Chat whether a model reads images or shows its reasoning.
+   * @param {Object|null} discovery - the provider's getDiscovery() result
+   */
+  function renderLocalServerModels(discovery) {
+    if (!elements || !elements.lsModelsList) return;
+    const list = elements.lsModelsList;
+    list.textContent = "";
+
+    const models = discovery ? discovery.models : [];
+    models.forEach(function (model) {
+      const item = document.createElement("li");
+      item.className = "setup-ls-model";
+      const name = document.createElement("span");
+      name.className = "setup-ls-model-name";
+      name.textContent = model.name;
+      item.appendChild(name);
+
+      const extras = [];
+      if (model.capabilities.indexOf("vision") !== -1) extras.push("reads images");
+      if (model.capabilities.indexOf("reasoning") !== -1) extras.push("shows reasoning");
+      if (model.capabilities.indexOf("tool_calling") !== -1) extras.push("uses tools");
+      extras.push(model.contextLimit.toLocaleString() + " token context");
+      const meta = document.createElement("span");
+      meta.className = "setup-ls-model-meta";
+      meta.textContent = " — " + extras.join(", ");
+      item.appendChild(meta);
+
+      list.appendChild(item);
+    });
+
+    list.hidden = models.length === 0;
+    if (elements.lsModelsEmpty) {
+      elements.lsModelsEmpty.textContent = LOCAL_SERVER_NO_MODELS_TEXT;
+      elements.lsModelsEmpty.hidden = models.length > 0;
+    }
+  }
+
+  /**
+   * Badge and summary row from the stored address and the last discovery.
+   * @param {string} [errorMessage] - a discovery failure to show on the badge
+   */
+  function updateLocalServerStatus(errorMessage) {
+    if (!elements) return;
+    const provider = localServerProvider();
+    const configured = !!(provider && provider.getBaseUrl());
+    const discovery = configured ? provider.getDiscovery() : null;
+
+    let badgeText;
+    let badgeClass;
+    let summaryText;
+    let summaryClass;
+    if (!configured) {
+      badgeText = summaryText = "Not configured";
+      badgeClass = summaryClass = "setup-status-not-configured";
+    } else if (errorMessage) {
+      badgeText = "Last check failed";
+      badgeClass = "setup-status-not-configured";
+      summaryText = "Connection error (last check)";
+      summaryClass = "setup-status-error";
+    } else if (discovery) {
+      const count = discovery.models.length;
+      badgeText = summaryText =
+        discovery.serverLabel + ", " + count + (count === 1 ? " model" : " models");
+      badgeClass = summaryClass =
+        count > 0 ? "setup-status-configured" : "setup-status-not-configured";
+    } else {
+      badgeText = summaryText = "Configured (no models found yet)";
+      badgeClass = summaryClass = "setup-status-not-configured";
+    }
+
+    if (elements.lsStatusBadge) {
+      setStatusText(elements.lsStatusBadge, badgeText);
+      elements.lsStatusBadge.className =
+        "setup-credential-summary-status " + badgeClass;
+    }
+    if (elements.summaryLsValue) {
+      setStatusText(elements.summaryLsValue, summaryText);
+    }
+    if (elements.summaryLsItem) {
+      elements.summaryLsItem.className = "setup-status-item " + summaryClass;
+    }
+  }
+
   // ============================================================
   // Status updates
   // ============================================================
@@ -1898,6 +2177,7 @@ window.SetUpTool = (function () {
     });
     addGroup("Text", "document", window.LocalTextModelManager, null);
     addGroup("Speech", "speaker", window.TTSNeuralGateway, null);
+    addGroup("Search", "search", window.LocalEmbeddingGateway, null);
 
     var total = groups.reduce(function (s, g) {
       return s + g.total;
@@ -2067,6 +2347,9 @@ window.SetUpTool = (function () {
     }
     updateFoundryStatus(fdyConfigured, fdyLastResult);
 
+    // Local model server — the stored address and the provider's last discovery
+    updateLocalServerStatus();
+
     // Local AI models
     updateModelStatusSummary();
 
@@ -2087,6 +2370,7 @@ window.SetUpTool = (function () {
     loadMathPixCredentials();
     loadAllyCredentials();
     loadFoundryCredentials();
+    loadLocalServerSettings();
     // Not awaited: init() is called synchronously from two places and must
     // stay synchronous. The card renders "Checking" at once and settles when
     // the promise resolves.
@@ -2108,6 +2392,8 @@ window.SetUpTool = (function () {
           loadAllyCredentials();
         } else if (data && data.service === 'foundry') {
           loadFoundryCredentials();
+        } else if (data && data.service === 'local-server') {
+          loadLocalServerSettings();
         }
       });
       logDebug('Bidirectional sync listener registered');
@@ -2120,6 +2406,18 @@ window.SetUpTool = (function () {
       logDebug('Model state change listener registered');
     }
 
+    // A discovery started elsewhere (Chat looks once per page) updates the
+    // local server card too. Silent: Chat's background look is not something
+    // the person asked for here.
+    const lsProvider = localServerProvider();
+    if (lsProvider && lsProvider.MODELS_EVENT) {
+      window.addEventListener(lsProvider.MODELS_EVENT, function () {
+        renderLocalServerModels(lsProvider.getDiscovery());
+        updateLocalServerStatus();
+      });
+      logDebug("Local server models listener registered");
+    }
+
     // Listen for provider switches so the Foundry "Active" badge follows
     // ProviderSwitcher.getActive(). The switcher dispatches CustomEvent
     // 'provider:changed' on window — there is no subscribe() method.
@@ -2171,6 +2469,7 @@ window.SetUpTool = (function () {
     loadMathPixCredentials();
     loadAllyCredentials();
     loadFoundryCredentials();
+    loadLocalServerSettings();
     refreshStatusSummary();
     logDebug("Set Up Tool refreshed");
   }
@@ -2239,6 +2538,18 @@ window.SetUpTool = (function () {
     testFoundryConnection();
   };
 
+  window.setupSaveLocalServer = function () {
+    saveLocalServer();
+  };
+
+  window.setupRefreshLocalServer = function () {
+    findLocalServerModels();
+  };
+
+  window.setupClearLocalServer = function () {
+    clearLocalServer();
+  };
+
   window.setupSignIn = function () {
     signInWithEntra();
   };